@@ -0,0 +1,186 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import bcrypt from "bcryptjs";
+import { appEventBus } from "./src/events/appEventBus.js";
+import { AUTH_EVENTS } from "./src/events/authEvents.js";
+import { buildNewDeviceSignInEmail } from "./src/events/authNotifications.js";
+import { Setting } from "./src/models/Setting.js";
+import { AuthService } from "./src/services/AuthService.js";
+import { lockoutMinutes } from "./src/services/LoginSecurityService.js";
+
+const USER_ID = "64b0000000000000000000a1";
+const CHROME_ON_MAC =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 Chrome/120.0 Safari/537.36";
+const client = { userAgent: CHROME_ON_MAC, ip: "203.0.113.7" };
+
+const setUp = async (overrides = {}) => {
+  jest.spyOn(Setting, "findOne").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue({}),
+    }),
+  });
+  const service = new AuthService();
+  const user = {
+    _id: USER_ID,
+    name: "Jane Doe",
+    email: "jane@example.com",
+    role: "user",
+    status: "active",
+    password: await bcrypt.hash("Password123", 4),
+    ...overrides,
+  };
+  jest.spyOn(service.repository, "findByEmail").mockResolvedValue(user);
+  jest.spyOn(service.sessionRepository, "create").mockResolvedValue({});
+  const history = jest
+    .spyOn(service.loginSecurity.repository, "create")
+    .mockResolvedValue({});
+  return { service, history };
+};
+
+describe("account lockout and sign-in history", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("locks get longer with every fifth failure in a row", () => {
+    expect(lockoutMinutes(4)).toBe(0);
+    expect(lockoutMinutes(5)).toBe(15);
+    expect(lockoutMinutes(6)).toBe(0);
+    expect(lockoutMinutes(10)).toBe(30);
+    expect(lockoutMinutes(15)).toBe(60);
+    expect(lockoutMinutes(100)).toBe(24 * 60);
+  });
+
+  test("the fifth wrong password locks the account", async () => {
+    const { service, history } = await setUp();
+    jest
+      .spyOn(service.repository, "registerFailedLogin")
+      .mockResolvedValueOnce({ failedLoginAttempts: 4 })
+      .mockResolvedValueOnce({ failedLoginAttempts: 5 });
+    const lock = jest
+      .spyOn(service.repository, "lockAccount")
+      .mockResolvedValue({});
+
+    await expect(
+      service.login("jane@example.com", "wrong", false, client),
+    ).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Invalid email or password",
+    });
+    expect(lock).not.toHaveBeenCalled();
+
+    await expect(
+      service.login("jane@example.com", "wrong", false, client),
+    ).rejects.toMatchObject({
+      statusCode: 423,
+      message: expect.stringContaining("Try again in 15 minutes"),
+    });
+    const [, lockUntil] = lock.mock.calls[0];
+    expect(lockUntil.getTime() - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+    expect(history).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user: USER_ID,
+        success: false,
+        reason: "invalid_password",
+        device: "Chrome on macOS",
+        ip: "203.0.113.7",
+      }),
+    );
+  });
+
+  test("a locked account is refused even with the right password", async () => {
+    const { service, history } = await setUp({
+      failedLoginAttempts: 5,
+      lockUntil: new Date(Date.now() + 10 * 60 * 1000),
+    });
+    const count = jest.spyOn(service.repository, "registerFailedLogin");
+
+    await expect(
+      service.login("jane@example.com", "Password123", false, client),
+    ).rejects.toMatchObject({ statusCode: 423 });
+    expect(count).not.toHaveBeenCalled();
+    expect(history).toHaveBeenCalledWith(
+      expect.objectContaining({ success: false, reason: "locked" }),
+    );
+  });
+
+  test("signing in once the lock expires clears the count", async () => {
+    const { service } = await setUp({
+      failedLoginAttempts: 5,
+      lockUntil: new Date(Date.now() - 1000),
+    });
+    jest
+      .spyOn(service.loginSecurity.repository, "hasSignedIn")
+      .mockResolvedValue(true);
+    const clear = jest
+      .spyOn(service.repository, "clearFailedLogins")
+      .mockResolvedValue({});
+
+    const result = await service.login(
+      "jane@example.com",
+      "Password123",
+      false,
+      client,
+    );
+    expect(result.accessToken).toBeDefined();
+    expect(clear).toHaveBeenCalledWith(USER_ID);
+  });
+
+  test("the first sign-in from a new device raises an alert", async () => {
+    const { service, history } = await setUp();
+    const hasSignedIn = jest
+      .spyOn(service.loginSecurity.repository, "hasSignedIn")
+      .mockImplementation(async (_userId, device) => !device);
+    const emit = jest.spyOn(appEventBus, "emit");
+
+    await service.login("jane@example.com", "Password123", false, client);
+
+    expect(hasSignedIn).toHaveBeenCalledWith(USER_ID, "Chrome on macOS");
+    expect(history).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, newDevice: true }),
+    );
+    expect(emit).toHaveBeenCalledWith(
+      AUTH_EVENTS.NEW_DEVICE_SIGN_IN,
+      expect.objectContaining({
+        user: expect.objectContaining({ email: "jane@example.com" }),
+        device: "Chrome on macOS",
+        ip: "203.0.113.7",
+        staff: false,
+      }),
+    );
+
+    // A known device, or an account's very first sign-in, stays quiet.
+    emit.mockClear();
+    hasSignedIn.mockResolvedValue(true);
+    await service.login("jane@example.com", "Password123", false, client);
+    hasSignedIn.mockResolvedValue(false);
+    await service.login("jane@example.com", "Password123", false, client);
+    expect(emit).not.toHaveBeenCalledWith(
+      AUTH_EVENTS.NEW_DEVICE_SIGN_IN,
+      expect.anything(),
+    );
+  });
+
+  test("the new-device email names the device and links to its account page", () => {
+    const payload = {
+      user: { name: "Jane Doe", email: "jane@example.com" },
+      device: "Chrome on macOS",
+      ip: "203.0.113.7",
+      signedInAt: new Date("2026-03-01T09:30:00Z"),
+    };
+    const context = { store: { storeUrl: "https://shop.example.com/" } };
+
+    const email = buildNewDeviceSignInEmail(payload, context);
+    expect(email.to).toBe("jane@example.com");
+    expect(email.subject).toBe("New sign-in to your account");
+    expect(email.html).toContain("Chrome on macOS");
+    expect(email.html).toContain("203.0.113.7");
+    expect(email.html).toContain("2026-03-01 09:30 UTC");
+    expect(email.html).toContain("https://shop.example.com/account/profile");
+
+    const staff = buildNewDeviceSignInEmail(
+      { ...payload, staff: true },
+      context,
+    );
+    expect(staff.html).toContain("https://shop.example.com/forgot-password");
+  });
+});
@@ -0,0 +1,224 @@
+import { EventEmitter } from "node:events";
+import { setImmediate } from "node:timers";
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { audit } from "./src/middleware/audit.js";
+import { AuditLog } from "./src/models/AuditLog.js";
+import { Product } from "./src/models/Product.js";
+import {
+  AuditLogService,
+  REDACTED,
+  diffSnapshots,
+  redactSecrets,
+} from "./src/services/AuditLogService.js";
+
+const PRODUCT_ID = "64b0000000000000000000a1";
+const admin = {
+  _id: "64b0000000000000000000c1",
+  name: "Alex Admin",
+  email: "alex@example.com",
+  role: "admin",
+};
+
+const findByIdReturning = (...snapshots) => {
+  const query = {
+    select: jest.fn().mockReturnThis(),
+    lean: jest.fn(),
+  };
+  for (const snapshot of snapshots) {
+    query.lean.mockResolvedValueOnce(snapshot);
+  }
+  return jest.spyOn(Product, "findById").mockReturnValue(query);
+};
+
+// Runs the middleware, lets the handler answer, and waits for the entry.
+const runAudit = async (middleware, { req, statusCode = 200, body }) => {
+  const res = new EventEmitter();
+  res.statusCode = statusCode;
+  res.json = jest.fn();
+  const next = jest.fn();
+
+  await middleware(req, res, next);
+  expect(next).toHaveBeenCalledWith();
+  res.json(body);
+
+  const written = new Promise((resolve) => setImmediate(resolve));
+  res.emit("finish");
+  await written;
+};
+
+describe("admin audit log", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("diffs changed fields and redacts secrets", () => {
+    const before = {
+      _id: PRODUCT_ID,
+      title: "Desk lamp",
+      basePrice: 40,
+      seo: { title: "Lamp", keywords: ["desk"] },
+      password: "old-hash",
+      updatedAt: "2026-01-01T00:00:00.000Z",
+    };
+    const after = {
+      ...before,
+      basePrice: 35,
+      seo: { title: "Lamp", keywords: ["desk", "light"] },
+      password: "new-hash",
+      updatedAt: "2026-02-01T00:00:00.000Z",
+    };
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: "basePrice", from: 40, to: 35 },
+      { field: "password", from: REDACTED, to: REDACTED },
+      { field: "seo.keywords", from: ["desk"], to: ["desk", "light"] },
+    ]);
+    expect(diffSnapshots(null, { title: "New" })).toEqual([
+      { field: "title", from: null, to: "New" },
+    ]);
+    expect(
+      redactSecrets({
+        googleClientSecret: "abc",
+        twoFactor: { secret: "xyz", enabled: true },
+        items: [{ apiKey: "k", sku: "A1" }],
+      }),
+    ).toEqual({
+      googleClientSecret: REDACTED,
+      twoFactor: { secret: REDACTED, enabled: true },
+      items: [{ apiKey: REDACTED, sku: "A1" }],
+    });
+  });
+
+  test("an update that changed nothing is not recorded", async () => {
+    const create = jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const service = new AuditLogService();
+    const snapshot = { _id: PRODUCT_ID, title: "Desk lamp" };
+
+    await expect(
+      service.record({
+        actor: admin,
+        action: "update",
+        entityType: "product",
+        before: snapshot,
+        after: { ...snapshot },
+      }),
+    ).resolves.toBeNull();
+    expect(create).not.toHaveBeenCalled();
+
+    await service.record({
+      actor: admin,
+      action: "delete",
+      entityType: "product",
+      entityId: PRODUCT_ID,
+      before: snapshot,
+    });
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        actor: expect.objectContaining({ userId: admin._id, role: "admin" }),
+        action: "delete",
+        entityId: PRODUCT_ID,
+        changes: [{ field: "title", from: "Desk lamp", to: null }],
+      }),
+    );
+  });
+
+  test("entries cannot be edited or removed", async () => {
+    await expect(
+      AuditLog.updateOne({ _id: PRODUCT_ID }, { action: "create" }),
+    ).rejects.toThrow("cannot be changed or removed");
+    await expect(AuditLog.deleteMany({})).rejects.toThrow(
+      "cannot be changed or removed",
+    );
+  });
+
+  test("middleware records who changed what after a successful response", async () => {
+    const findById = findByIdReturning(
+      { _id: PRODUCT_ID, title: "Desk lamp", basePrice: 40 },
+      { _id: PRODUCT_ID, title: "Desk lamp", basePrice: 35 },
+    );
+    const create = jest.spyOn(AuditLog, "create").mockResolvedValue({});
+
+    await runAudit(audit("product", { model: Product }), {
+      req: {
+        method: "PUT",
+        params: { id: PRODUCT_ID },
+        originalUrl: `/api/v1/products/${PRODUCT_ID}`,
+        ip: "203.0.113.7",
+        id: "req-42",
+        user: admin,
+      },
+      body: { success: true },
+    });
+
+    expect(findById).toHaveBeenCalledTimes(2);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "update",
+        entityType: "product",
+        entityId: PRODUCT_ID,
+        changes: [{ field: "basePrice", from: 40, to: 35 }],
+        method: "PUT",
+        path: `/api/v1/products/${PRODUCT_ID}`,
+        ip: "203.0.113.7",
+        requestId: "req-42",
+      }),
+    );
+  });
+
+  test("middleware takes a new record's id from the response and skips failures", async () => {
+    findByIdReturning({ _id: PRODUCT_ID, title: "Desk lamp" });
+    const create = jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const req = {
+      method: "POST",
+      params: {},
+      originalUrl: "/api/v1/products",
+      user: admin,
+    };
+
+    await runAudit(audit("product", { model: Product }), {
+      req,
+      statusCode: 422,
+      body: { success: false },
+    });
+    expect(create).not.toHaveBeenCalled();
+
+    await runAudit(audit("product", { model: Product }), {
+      req,
+      statusCode: 201,
+      body: { success: true, data: { _id: PRODUCT_ID } },
+    });
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "create",
+        entityId: PRODUCT_ID,
+        changes: [{ field: "title", from: null, to: "Desk lamp" }],
+      }),
+    );
+  });
+
+  test("middleware skips requests its condition leaves out", async () => {
+    const findById = findByIdReturning({ _id: PRODUCT_ID, title: "Desk lamp" });
+    const create = jest.spyOn(AuditLog, "create").mockResolvedValue({});
+    const middleware = audit("product", {
+      model: Product,
+      when: (req) => req.user.role === "admin",
+    });
+    const req = {
+      method: "DELETE",
+      params: { id: PRODUCT_ID },
+      originalUrl: `/api/v1/products/${PRODUCT_ID}`,
+    };
+
+    await runAudit(middleware, { req: { ...req, user: { role: "user" } } });
+    expect(findById).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+
+    await runAudit(middleware, { req: { ...req, user: admin } });
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "delete",
+        entityId: PRODUCT_ID,
+      }),
+    );
+  });
+});
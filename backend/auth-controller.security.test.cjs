@@ -106,6 +106,7 @@ describe("AuthController security responses", () => {
     expect(next).not.toHaveBeenCalled();
     expect(controller.service.refreshAccessToken).toHaveBeenCalledWith(
       "cookie-refresh-token",
+      expect.any(Object),
     );
 
     const payload = response.json.mock.calls[0][0];
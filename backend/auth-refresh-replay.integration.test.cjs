@@ -35,6 +35,7 @@ describeIfEnabled("Refresh token replay protection (integration)", () => {
   let connectDB;
   let disconnectDB;
   let User;
+  let Session;
   const testEmail = "replay-test@example.com";
 
   beforeAll(async () => {
@@ -43,16 +44,20 @@ describeIfEnabled("Refresh token replay protection (integration)", () => {
     const appModule = await import("./src/app.js");
     const databaseModule = await import("./src/config/database.js");
     const userModule = await import("./src/models/User.js");
+    const sessionModule = await import("./src/models/Session.js");
 
     app = appModule.default;
     connectDB = databaseModule.connectDB;
     disconnectDB = databaseModule.disconnectDB;
     User = userModule.User;
+    Session = sessionModule.Session;
 
     await connectDB();
   }, 30_000);
 
   afterAll(async () => {
+    const users = await User.find({ email: testEmail }).select("_id");
+    await Session.deleteMany({ user: { $in: users.map((user) => user._id) } });
     await User.deleteMany({ email: testEmail });
     await disconnectDB();
   });
@@ -118,13 +123,17 @@ describeIfEnabled("Refresh token replay protection (integration)", () => {
     expect(replayResponse.body.success).toBe(false);
     expect(replayResponse.body.message).toMatch(/invalid refresh token/i);
 
-    const dbUser = await User.findOne({ email: testEmail }).select(
-      "+refreshToken",
-    );
+    // A replay straight after rotation could be a second tab refreshing, so
+    // it is refused without revoking the session.
+    const dbUser = await User.findOne({ email: testEmail });
     expect(dbUser).toBeTruthy();
-    expect(dbUser.refreshToken).toBeTruthy();
-    expect(dbUser.refreshToken).not.toBe(rotatedRefreshToken);
-    expect(dbUser.refreshToken).not.toBe(firstRefreshToken);
+    const session = await Session.findOne({
+      user: dbUser._id,
+      rememberMe: true,
+    }).select("+refreshTokenHash");
+    expect(session.revokedAt).toBeNull();
+    expect(session.refreshTokenHash).not.toBe(rotatedRefreshToken);
+    expect(session.refreshTokenHash).not.toBe(firstRefreshToken);
   });
 
   test("revokes refresh token on logout and blocks reuse", async () => {
@@ -185,10 +194,12 @@ describeIfEnabled("Refresh token replay protection (integration)", () => {
     expect(reusedTokenResponse.body.success).toBe(false);
     expect(reusedTokenResponse.body.message).toMatch(/invalid refresh token/i);
 
-    const dbUser = await User.findOne({ email: testEmail }).select(
-      "+refreshToken",
-    );
+    const dbUser = await User.findOne({ email: testEmail });
     expect(dbUser).toBeTruthy();
-    expect(dbUser.refreshToken).toBeUndefined();
+    const session = await Session.findOne({
+      user: dbUser._id,
+      rememberMe: true,
+    });
+    expect(session.revokedReason).toBe("logout");
   });
 });
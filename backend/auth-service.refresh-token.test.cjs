@@ -3,12 +3,17 @@ const bcrypt = require("bcryptjs");
 describe("AuthService refresh token hashing", () => {
   let AuthService;
   let User;
+  let Session;
+  let LoginAttempt;
 
   beforeAll(async () => {
     const serviceModule = await import("./src/services/AuthService.js");
     const userModule = await import("./src/models/User.js");
+    const sessionModule = await import("./src/models/Session.js");
     AuthService = serviceModule.AuthService;
     User = userModule.User;
+    Session = sessionModule.Session;
+    LoginAttempt = (await import("./src/models/LoginAttempt.js")).LoginAttempt;
   });
 
   afterEach(() => {
@@ -37,48 +42,66 @@ describe("AuthService refresh token hashing", () => {
       select: jest.fn().mockResolvedValue(user),
     });
 
-    const updateSpy = jest
-      .spyOn(User, "findByIdAndUpdate")
-      .mockResolvedValue({});
-
-    const result = await service.login("user@example.com", "Password123", true);
+    const createSpy = jest
+      .spyOn(Session, "create")
+      .mockResolvedValue([{ _id: "s1", toObject: () => ({}) }]);
+    jest.spyOn(LoginAttempt, "exists").mockResolvedValue(null);
+    jest
+      .spyOn(LoginAttempt, "create")
+      .mockResolvedValue([{ _id: "a1", toObject: () => ({}) }]);
+
+    const result = await service.login(
+      "user@example.com",
+      "Password123",
+      true,
+      {
+        userAgent: "Mozilla/5.0 (Windows NT 10.0) Chrome/120.0",
+        ip: "1.2.3.4",
+      },
+    );
 
     expect(result.refreshToken).toBeDefined();
-    expect(updateSpy).toHaveBeenCalled();
+    expect(createSpy).toHaveBeenCalled();
 
-    const dbUpdatePayload = updateSpy.mock.calls[0][1];
-    expect(dbUpdatePayload.refreshToken).toBeDefined();
-    expect(dbUpdatePayload.refreshToken).not.toBe(result.refreshToken);
+    const [[sessionPayload]] = createSpy.mock.calls[0];
+    expect(sessionPayload.refreshTokenHash).toBe(
+      service.hashToken(result.refreshToken),
+    );
+    expect(sessionPayload.refreshTokenHash).not.toBe(result.refreshToken);
+    expect(sessionPayload.device).toBe("Chrome on Windows");
+    expect(sessionPayload.ip).toBe("1.2.3.4");
   });
 
   test("validates incoming refresh token against hashed value and rotates token", async () => {
     const service = new AuthService();
+    const sessionId = "64b0000000000000000000c1";
     const user = {
       _id: "507f1f77bcf86cd799439011",
       email: "user@example.com",
       role: "user",
       status: "active",
-      toObject: () => ({
-        _id: "507f1f77bcf86cd799439011",
-        email: "user@example.com",
-        role: "user",
-        status: "active",
-      }),
     };
 
-    const refreshToken = service.generateRefreshToken(user);
-    const storedHash = service.hashRefreshToken(refreshToken);
-
-    jest.spyOn(User, "findById").mockReturnValue({
-      select: jest.fn().mockResolvedValue({
-        ...user,
-        refreshToken: storedHash,
+    const refreshToken = service.generateRefreshToken(user, sessionId);
+    const storedHash = service.hashToken(refreshToken);
+
+    jest.spyOn(Session, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: sessionId,
+          user: user._id,
+          refreshTokenHash: storedHash,
+          revokedAt: null,
+        }),
       }),
     });
+    jest.spyOn(User, "findById").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(user),
+    });
 
     const updateSpy = jest
-      .spyOn(User, "findByIdAndUpdate")
-      .mockResolvedValue({});
+      .spyOn(Session, "findOneAndUpdate")
+      .mockResolvedValue({ toObject: () => ({}) });
 
     const result = await service.refreshAccessToken(refreshToken);
 
@@ -87,9 +110,11 @@ describe("AuthService refresh token hashing", () => {
     expect(result.refreshToken).not.toBe(refreshToken);
     expect(updateSpy).toHaveBeenCalled();
 
-    const dbUpdatePayload = updateSpy.mock.calls[0][1];
-    expect(dbUpdatePayload.refreshToken).toBe(
-      service.hashRefreshToken(result.refreshToken),
+    const [filter, update] = updateSpy.mock.calls[0];
+    expect(filter.refreshTokenHash).toBe(storedHash);
+    expect(update.$set.refreshTokenHash).toBe(
+      service.hashToken(result.refreshToken),
     );
+    expect(update.$set.previousTokenHash).toBe(storedHash);
   });
 });
@@ -0,0 +1,232 @@
+import { EventEmitter } from "node:events";
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import {
+  buildBackInStockEmail,
+  registerBackInStockNotifications,
+} from "./src/events/backInStockNotifications.js";
+import { INVENTORY_EVENTS } from "./src/events/inventoryEvents.js";
+import { appEventBus } from "./src/events/appEventBus.js";
+import { BackInStockSubscription } from "./src/models/BackInStockSubscription.js";
+import { Product } from "./src/models/Product.js";
+import { BackInStockService } from "./src/services/BackInStockService.js";
+import { announceRestock } from "./src/services/InventoryService.js";
+import { StockReservationService } from "./src/services/StockReservationService.js";
+
+const PRODUCT_ID = "64b0000000000000000000a1";
+const OTHER_PRODUCT_ID = "64b0000000000000000000a2";
+const VARIANT_ID = "64b0000000000000000000b1";
+const SUBSCRIPTION_ID = "64b0000000000000000000f1";
+
+const leanQuery = (value) => {
+  const query = {
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value),
+  };
+  return query;
+};
+
+const kettle = (baseStock, overrides = {}) => ({
+  _id: PRODUCT_ID,
+  title: "Kettle",
+  slug: "kettle",
+  hasVariants: false,
+  baseSku: "KET-1",
+  baseStock,
+  inventoryPolicy: { mode: "deny" },
+  status: "active",
+  ...overrides,
+});
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("back-in-stock notifications", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("subscribes a guest email to an out-of-stock product", async () => {
+    jest.spyOn(Product, "findOne").mockReturnValue(leanQuery(kettle(0)));
+    jest
+      .spyOn(StockReservationService.prototype, "getHeldQuantities")
+      .mockResolvedValue(new Map());
+    const upsert = jest
+      .spyOn(BackInStockSubscription, "findOneAndUpdate")
+      .mockReturnValue(
+        leanQuery({ _id: SUBSCRIPTION_ID, email: "shopper@example.com" }),
+      );
+
+    await new BackInStockService().subscribe({
+      productId: PRODUCT_ID,
+      email: " Shopper@Example.com ",
+    });
+
+    const [filter, update, options] = upsert.mock.calls[0];
+    expect(filter).toEqual({
+      productId: PRODUCT_ID,
+      variantId: null,
+      email: "shopper@example.com",
+      status: "pending",
+    });
+    expect(update.$setOnInsert).toEqual({ sku: "KET-1", userId: null });
+    expect(options).toMatchObject({ upsert: true });
+  });
+
+  test("refuses a subscription for an item that can be ordered", async () => {
+    jest.spyOn(Product, "findOne").mockReturnValue(leanQuery(kettle(2)));
+    jest
+      .spyOn(StockReservationService.prototype, "getHeldQuantities")
+      .mockResolvedValue(new Map());
+    const upsert = jest.spyOn(BackInStockSubscription, "findOneAndUpdate");
+
+    await expect(
+      new BackInStockService().subscribe({
+        productId: PRODUCT_ID,
+        user: { _id: "64b0000000000000000000c1", email: "user@example.com" },
+      }),
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(upsert).not.toHaveBeenCalled();
+  });
+
+  test("claims only subscriptions whose SKU has stock again", async () => {
+    jest.spyOn(BackInStockSubscription, "find").mockReturnValue(
+      leanQuery([
+        {
+          _id: SUBSCRIPTION_ID,
+          productId: PRODUCT_ID,
+          variantId: VARIANT_ID,
+          email: "a@example.com",
+        },
+        {
+          _id: "64b0000000000000000000f2",
+          productId: OTHER_PRODUCT_ID,
+          variantId: null,
+          email: "b@example.com",
+        },
+      ]),
+    );
+    jest.spyOn(Product, "find").mockReturnValue(
+      leanQuery([
+        kettle(0, {
+          hasVariants: true,
+          variants: [
+            {
+              _id: VARIANT_ID,
+              sku: "KET-RED",
+              displayName: "Red",
+              stock: 4,
+              status: "active",
+            },
+          ],
+        }),
+        kettle(0, { _id: OTHER_PRODUCT_ID, title: "Toaster" }),
+      ]),
+    );
+    const claim = jest
+      .spyOn(BackInStockSubscription, "findOneAndUpdate")
+      .mockImplementation((filter) =>
+        leanQuery({ _id: filter._id, status: "notified" }),
+      );
+
+    const notifications = await new BackInStockService().collectRestocked([
+      PRODUCT_ID,
+      OTHER_PRODUCT_ID,
+    ]);
+
+    expect(claim).toHaveBeenCalledTimes(1);
+    expect(claim.mock.calls[0][0]).toEqual({
+      _id: SUBSCRIPTION_ID,
+      status: "pending",
+    });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].variant.sku).toBe("KET-RED");
+  });
+
+  test("queues one email per restocked subscription", async () => {
+    const bus = new EventEmitter();
+    const sendEmail = jest.fn().mockResolvedValue(undefined);
+    const service = {
+      collectRestocked: jest.fn().mockResolvedValue([
+        {
+          subscription: { email: "a@example.com" },
+          product: kettle(3),
+          variant: null,
+        },
+      ]),
+    };
+    const templates = { getRenderContext: jest.fn().mockResolvedValue({}) };
+    registerBackInStockNotifications(sendEmail, bus, service, templates);
+
+    bus.emit(INVENTORY_EVENTS.STOCK_INCREASED, { productIds: [PRODUCT_ID] });
+    await flushPromises();
+
+    expect(service.collectRestocked).toHaveBeenCalledWith([PRODUCT_ID]);
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "a@example.com",
+        subject: "Back in stock: Kettle",
+      }),
+    );
+  });
+
+  test("escapes product names in the email body", () => {
+    const email = buildBackInStockEmail({
+      subscription: { email: "a@example.com" },
+      product: kettle(1, { title: "<b>Kettle</b>" }),
+      variant: { displayName: "Red" },
+    });
+
+    expect(email.html).toContain("&lt;b&gt;Kettle&lt;/b&gt; (Red)");
+    expect(email.text).toContain("/products/kettle");
+  });
+
+  test("announces a restock only for products that gained stock", () => {
+    const emit = jest.spyOn(appEventBus, "emit").mockReturnValue(true);
+
+    announceRestock([
+      { productId: PRODUCT_ID, delta: 2 },
+      { productId: PRODUCT_ID, delta: 1 },
+      { productId: OTHER_PRODUCT_ID, delta: -1 },
+    ]);
+    announceRestock([{ productId: OTHER_PRODUCT_ID, delta: 0 }]);
+
+    expect(emit).toHaveBeenCalledTimes(1);
+    expect(emit).toHaveBeenCalledWith(INVENTORY_EVENTS.STOCK_INCREASED, {
+      productIds: [PRODUCT_ID],
+    });
+  });
+
+  test("reports the most requested SKUs that are still out of stock", async () => {
+    jest.spyOn(BackInStockSubscription, "aggregate").mockResolvedValue([
+      {
+        _id: { productId: OTHER_PRODUCT_ID, variantId: null },
+        subscribers: 5,
+        sku: "TOA-1",
+      },
+      {
+        _id: { productId: PRODUCT_ID, variantId: null },
+        subscribers: 3,
+        sku: "KET-1",
+      },
+    ]);
+    jest
+      .spyOn(Product, "find")
+      .mockReturnValue(
+        leanQuery([
+          kettle(0),
+          kettle(4, { _id: OTHER_PRODUCT_ID, title: "Toaster" }),
+        ]),
+      );
+
+    const rows = await new BackInStockService().getDemandReport({ limit: 10 });
+
+    expect(rows).toEqual([
+      expect.objectContaining({
+        productId: PRODUCT_ID,
+        title: "Kettle",
+        sku: "KET-1",
+        stock: 0,
+        subscribers: 3,
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,266 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { Cart } from "./src/models/Cart.js";
+import { Product } from "./src/models/Product.js";
+import { StockReservation } from "./src/models/StockReservation.js";
+import { CartService } from "./src/services/CartService.js";
+import { PricingService } from "./src/services/PricingService.js";
+import {
+  StockLocationService,
+  reconcileLocationStock,
+} from "./src/services/StockLocationService.js";
+import { StockReservationService } from "./src/services/StockReservationService.js";
+import {
+  availabilityFor,
+  fulfilmentFor,
+  parseInventoryPolicy,
+  requiredStock,
+  resolveInventoryPolicy,
+  sellableQuantity,
+} from "./src/utils/inventoryPolicy.js";
+
+const PRODUCT_ID = "64b0000000000000000000a1";
+const VARIANT_ID = "64b0000000000000000000b1";
+const owner = { userId: "64b0000000000000000000c1" };
+const EXPECTED = new Date("2026-11-02T00:00:00.000Z");
+const east = {
+  _id: "64b0000000000000000000d1",
+  code: "EAST",
+  name: "East warehouse",
+  priority: 10,
+  isDefault: true,
+};
+const west = {
+  _id: "64b0000000000000000000d2",
+  code: "WEST",
+  name: "West warehouse",
+  priority: 20,
+};
+
+const backorder = (oversellLimit = null) => ({
+  mode: "backorder",
+  expectedDate: EXPECTED,
+  oversellLimit,
+});
+
+const leanQuery = (value) => {
+  const query = {
+    select: jest.fn(() => query),
+    session: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value),
+  };
+  return query;
+};
+
+const simpleProduct = (baseStock, inventoryPolicy) => ({
+  _id: PRODUCT_ID,
+  title: "Kettle",
+  hasVariants: false,
+  basePrice: 10,
+  baseDiscount: 0,
+  baseStock,
+  inventoryPolicy,
+  status: "active",
+});
+
+describe("backorders and pre-orders", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("resolves a variant's own policy or the product's when it inherits", () => {
+    const product = { inventoryPolicy: backorder(5) };
+
+    expect(resolveInventoryPolicy(product, { inventoryPolicy: {} })).toEqual(
+      backorder(5),
+    );
+    expect(
+      resolveInventoryPolicy(product, { inventoryPolicy: { mode: "deny" } }),
+    ).toEqual({ mode: "deny", expectedDate: null, oversellLimit: 0 });
+    expect(resolveInventoryPolicy({})).toMatchObject({ mode: "deny" });
+    expect(
+      parseInventoryPolicy(
+        { mode: "preorder", expectedDate: "2026-11-02", oversellLimit: "" },
+        { allowInherit: true },
+      ),
+    ).toEqual({
+      mode: "preorder",
+      expectedDate: EXPECTED,
+      oversellLimit: null,
+    });
+    expect(parseInventoryPolicy({ mode: "inherit" })).toMatchObject({
+      mode: "deny",
+    });
+  });
+
+  test("sells past zero stock down to the oversell cap", () => {
+    const deny = resolveInventoryPolicy({});
+
+    expect(sellableQuantity(3, deny)).toBe(3);
+    expect(sellableQuantity(-2, deny)).toBe(0);
+    expect(sellableQuantity(3, backorder())).toBe(Infinity);
+    expect(sellableQuantity(-2, backorder(5))).toBe(3);
+    expect(requiredStock(4, deny)).toBe(4);
+    expect(requiredStock(4, backorder(5))).toBe(-1);
+    expect(requiredStock(4, backorder())).toBeNull();
+  });
+
+  test("flags the units of a line that are not on the shelf", () => {
+    expect(fulfilmentFor(5, 2, backorder())).toEqual({
+      fulfilment: "backorder",
+      backorderedQuantity: 3,
+      expectedDate: EXPECTED,
+    });
+    expect(fulfilmentFor(2, 5, backorder())).toEqual({
+      fulfilment: "in_stock",
+      backorderedQuantity: 0,
+      expectedDate: null,
+    });
+    expect(
+      fulfilmentFor(1, 0, { ...backorder(), mode: "preorder" }),
+    ).toMatchObject({ fulfilment: "preorder", backorderedQuantity: 1 });
+    expect(availabilityFor(0, backorder(2))).toEqual({
+      status: "backorder",
+      expectedDate: EXPECTED,
+      sellableQuantity: 2,
+    });
+    expect(availabilityFor(-2, backorder(2)).status).toBe("out_of_stock");
+  });
+
+  test("adds more than is in stock to a cart when backorders are allowed", async () => {
+    jest.spyOn(PricingService.prototype, "getCampaigns").mockResolvedValue([]);
+    jest
+      .spyOn(StockReservationService.prototype, "getHeldQuantities")
+      .mockResolvedValue(new Map());
+    jest
+      .spyOn(Product, "findById")
+      .mockReturnValue(leanQuery(simpleProduct(1, backorder())));
+    jest.spyOn(Cart, "findOne").mockResolvedValue(null);
+    const create = jest.spyOn(Cart, "create").mockResolvedValue({});
+    jest.spyOn(CartService.prototype, "getCartForUser").mockResolvedValue({});
+
+    await new CartService().addItem(owner, {
+      productId: PRODUCT_ID,
+      quantity: 4,
+    });
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ productId: PRODUCT_ID, quantity: 4 }),
+    );
+  });
+
+  test("stops adding to a cart at the oversell cap", async () => {
+    jest.spyOn(PricingService.prototype, "getCampaigns").mockResolvedValue([]);
+    jest
+      .spyOn(StockReservationService.prototype, "getHeldQuantities")
+      .mockResolvedValue(new Map());
+    jest
+      .spyOn(Product, "findById")
+      .mockReturnValue(leanQuery(simpleProduct(1, backorder(1))));
+    jest.spyOn(Cart, "findOne").mockResolvedValue(null);
+
+    await expect(
+      new CartService().addItem(owner, { productId: PRODUCT_ID, quantity: 3 }),
+    ).rejects.toThrow("Only 2 item(s) available in stock");
+  });
+
+  test("holds backordered units for a card checkout", async () => {
+    jest
+      .spyOn(Product, "find")
+      .mockReturnValue(leanQuery([simpleProduct(0, backorder())]));
+    jest.spyOn(StockReservation, "find").mockReturnValue(leanQuery([]));
+    jest
+      .spyOn(StockReservation, "insertMany")
+      .mockImplementation(async (docs) =>
+        docs.map((doc) => ({ ...doc, _id: "64b0000000000000000000e1" })),
+      );
+    const updateMany = jest
+      .spyOn(StockReservation, "updateMany")
+      .mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(
+      new StockReservationService().reserve("pi_1", owner, [
+        { productId: PRODUCT_ID, variantId: null, quantity: 2 },
+      ]),
+    ).resolves.toHaveLength(1);
+    expect(updateMany).toHaveBeenCalledTimes(1);
+  });
+
+  test("reports pre-order availability on product details", async () => {
+    jest
+      .spyOn(StockReservationService.prototype, "getHeldQuantities")
+      .mockResolvedValue(new Map());
+
+    const product = await new StockReservationService().withAvailability({
+      _id: PRODUCT_ID,
+      baseStock: 0,
+      inventoryPolicy: { mode: "deny" },
+      variants: [
+        {
+          _id: VARIANT_ID,
+          stock: 0,
+          inventoryPolicy: { mode: "preorder", expectedDate: EXPECTED },
+        },
+      ],
+    });
+
+    expect(product.availability.status).toBe("out_of_stock");
+    expect(product.variants[0].availability).toEqual({
+      status: "preorder",
+      expectedDate: EXPECTED,
+      sellableQuantity: null,
+    });
+  });
+
+  test("takes backordered units from the default location", async () => {
+    const update = jest
+      .spyOn(Product, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const product = {
+      _id: PRODUCT_ID,
+      title: "Kettle",
+      locationStock: [
+        { locationId: east._id, quantity: 0 },
+        { locationId: west._id, quantity: 2 },
+      ],
+    };
+
+    const allocations = await new StockLocationService().allocate(
+      product,
+      null,
+      2,
+      { locations: [east, west], backordered: 3 },
+    );
+
+    expect(allocations).toEqual([
+      { locationId: west._id, code: "WEST", name: west.name, quantity: 2 },
+      { locationId: east._id, code: "EAST", name: east.name, quantity: 3 },
+    ]);
+    const [filter, change] = update.mock.calls[0];
+    expect(filter.locationStock.$all).toEqual([
+      { $elemMatch: { locationId: west._id, quantity: { $gte: 2 } } },
+      { $elemMatch: { locationId: east._id } },
+    ]);
+    expect(change).toEqual({
+      $inc: {
+        "locationStock.$[l0].quantity": -2,
+        "locationStock.$[l1].quantity": -3,
+      },
+    });
+  });
+
+  test("carries a total below zero at the default location", () => {
+    expect(
+      reconcileLocationStock(
+        [
+          { locationId: east._id, quantity: 2 },
+          { locationId: west._id, quantity: 3 },
+        ],
+        -1,
+        [east, west],
+      ),
+    ).toEqual([
+      { locationId: east._id, quantity: -1 },
+      { locationId: west._id, quantity: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, test } from "@jest/globals";
+import {
+  applyProductPricing,
+  findProductDiscount,
+  resolveItemPrice,
+} from "./src/utils/discounts.js";
+
+const now = new Date("2026-06-15T12:00:00Z");
+
+const campaign = (overrides = {}) => ({
+  _id: "d1",
+  title: "Summer Sale",
+  type: "percentage",
+  value: 20,
+  startsAt: new Date("2026-06-01T00:00:00Z"),
+  endsAt: new Date("2026-06-30T00:00:00Z"),
+  isActive: true,
+  categories: [],
+  products: [],
+  priority: 0,
+  ...overrides,
+});
+
+const product = {
+  _id: "p1",
+  hasVariants: false,
+  basePrice: 100,
+  baseDiscount: 0,
+  baseStock: 5,
+  status: "active",
+  category: { id: "c1" },
+  childCategory: { id: "c2" },
+};
+
+describe("discount campaign pricing", () => {
+  test("picks the highest-priority live campaign for the product", () => {
+    const discounts = [
+      campaign({ _id: "low", products: ["p1"], priority: 1 }),
+      campaign({ _id: "high", categories: ["c2"], priority: 5 }),
+      campaign({ _id: "other", products: ["p9"], priority: 10 }),
+    ];
+
+    expect(findProductDiscount(product, discounts, now)._id).toBe("high");
+  });
+
+  test("switches with the campaign window", () => {
+    const discounts = [campaign({ products: ["p1"] })];
+
+    expect(resolveItemPrice(product, null, discounts, now).unitPrice).toBe(80);
+    expect(
+      resolveItemPrice(
+        product,
+        null,
+        discounts,
+        new Date("2026-05-31T23:59:00Z"),
+      ).unitPrice,
+    ).toBe(100);
+    expect(
+      resolveItemPrice(product, null, discounts, new Date("2026-07-01"))
+        .unitPrice,
+    ).toBe(100);
+  });
+
+  test("keeps the item's own discount when it beats the campaign", () => {
+    const onSale = { ...product, baseDiscount: 30 };
+    const pricing = resolveItemPrice(
+      onSale,
+      null,
+      [campaign({ products: ["p1"] })],
+      now,
+    );
+
+    expect(pricing.unitPrice).toBe(70);
+    expect(pricing.discount).toBeNull();
+  });
+
+  test("prices variants and reports the applied campaign", () => {
+    const variantProduct = {
+      ...product,
+      hasVariants: true,
+      variants: [
+        { _id: "v1", price: 50, discount: 0, stock: 2, status: "active" },
+        { _id: "v2", price: 40, discount: 0, stock: 0, status: "inactive" },
+      ],
+    };
+    const discounts = [
+      campaign({ type: "fixed", value: 15, products: ["p1"] }),
+    ];
+
+    const pricing = resolveItemPrice(variantProduct, "v1", discounts, now);
+    expect(pricing).toMatchObject({
+      unitPrice: 35,
+      listPrice: 50,
+      availableStock: 2,
+      discountPercent: 30,
+    });
+    expect(resolveItemPrice(variantProduct, "v2", discounts, now)).toBeNull();
+
+    const listed = applyProductPricing(variantProduct, discounts, now);
+    expect(listed.variants.map((variant) => variant.finalPrice)).toEqual([
+      35, 25,
+    ]);
+    expect(listed.activeDiscount).toMatchObject({ id: "d1", value: 15 });
+  });
+});
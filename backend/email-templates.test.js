@@ -0,0 +1,178 @@
+import { EventEmitter } from "node:events";
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { ORDER_EVENTS } from "./src/events/orderEvents.js";
+import { registerOrderNotifications } from "./src/events/orderNotifications.js";
+import { EmailTemplate } from "./src/models/EmailTemplate.js";
+import { Order } from "./src/models/Order.js";
+import { Setting } from "./src/models/Setting.js";
+import { EmailTemplateService } from "./src/services/EmailTemplateService.js";
+import { emailService } from "./src/utils/emailService.js";
+import {
+  renderEmailTemplate,
+  storeTemplateVariables,
+} from "./src/utils/emailTemplates.js";
+
+const ORDER_ID = "64b000000000000000000001";
+
+const recentOrder = {
+  _id: ORDER_ID,
+  orderNumber: "ORD-2002",
+  email: "sam@example.com",
+  firstName: "Sam",
+  lastName: "Lee",
+  paymentMethod: "stripe",
+  paymentStatus: "paid",
+  totalAmount: 15,
+  items: [{ title: "Mug", quantity: 3, price: 5, amount: 15 }],
+};
+
+const mockSettings = (settings = { siteName: "Mug Shop" }) =>
+  jest.spyOn(Setting, "findOne").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(settings),
+    }),
+  });
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("email templates", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("escapes values, applies sections and derives the plain text", () => {
+    const email = renderEmailTemplate(
+      {
+        subject: "Hello {{firstName}}",
+        html: '<p>Hi {{firstName}},</p>{{#trackingNumber}}<p>Tracking: {{trackingNumber}}</p>{{/trackingNumber}}{{^paid}}<p>Unpaid</p>{{/paid}}<p><a href="{{storeUrl}}">Visit {{storeName}}</a></p>',
+        text: "",
+      },
+      {
+        ...storeTemplateVariables({ siteName: "Mug <Shop>" }),
+        firstName: "<script>Sam</script>",
+        trackingNumber: "",
+        paid: true,
+      },
+    );
+
+    expect(email.subject).toBe("Hello <script>Sam</script>");
+    expect(email.html).toContain("Hi &lt;script&gt;Sam&lt;/script&gt;,");
+    expect(email.html).not.toContain("<script>");
+    expect(email.html).not.toContain("Tracking");
+    expect(email.html).not.toContain("Unpaid");
+    expect(email.text).toMatch(
+      /^Hi <script>Sam<\/script>,\n\nVisit Mug <Shop> \(http/,
+    );
+  });
+
+  test("rejects placeholders the event does not provide", async () => {
+    const save = jest.spyOn(EmailTemplate, "findOneAndUpdate");
+
+    await expect(
+      new EmailTemplateService().updateTemplate("order_shipped", {
+        subject: "Shipped {{orderNumber}}",
+        html: "<p>{{productName}}</p>",
+      }),
+    ).rejects.toMatchObject({ statusCode: 422 });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test("saves an admin's edits over the default", async () => {
+    const save = jest
+      .spyOn(EmailTemplate, "findOneAndUpdate")
+      .mockImplementation((filter, update) => ({
+        lean: jest.fn().mockResolvedValue({ ...filter, ...update.$set }),
+      }));
+
+    const template = await new EmailTemplateService().updateTemplate(
+      "order_shipped",
+      { subject: "  On its way: {{orderNumber}} ", html: "<p>Shipped!</p>" },
+      "64b0000000000000000000c1",
+    );
+
+    expect(save.mock.calls[0][0]).toEqual({ key: "order_shipped" });
+    expect(save.mock.calls[0][2]).toMatchObject({ upsert: true });
+    expect(template).toMatchObject({
+      key: "order_shipped",
+      subject: "On its way: {{orderNumber}}",
+      html: "<p>Shipped!</p>",
+      isCustomized: true,
+    });
+  });
+
+  test("previews unsaved edits against the most recent order", async () => {
+    const sort = jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(recentOrder),
+    });
+    jest.spyOn(Order, "findOne").mockReturnValue({ sort });
+    mockSettings();
+
+    const preview = await new EmailTemplateService().previewTemplate(
+      "order_placed",
+      {
+        subject: "Thanks {{customerName}}",
+        html: "<p>{{itemsTable}}</p><p>{{storeName}}</p>",
+      },
+    );
+
+    expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(preview.subject).toBe("Thanks Sam Lee");
+    expect(preview.html).toContain("<table");
+    expect(preview.text).toContain("3 x Mug (15.00)");
+    expect(preview.text).toContain("Mug Shop");
+    expect(preview.order).toEqual({ _id: ORDER_ID, orderNumber: "ORD-2002" });
+  });
+
+  test("sends a test of a template to any address", async () => {
+    jest.spyOn(Order, "findOne").mockReturnValue({
+      sort: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      }),
+    });
+    jest.spyOn(EmailTemplate, "findOne").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(null),
+    });
+    mockSettings();
+    const send = jest
+      .spyOn(emailService, "sendMail")
+      .mockResolvedValue({ messageId: "m1" });
+
+    await new EmailTemplateService().sendTestEmail("payment_received", {
+      to: "owner@example.com",
+    });
+
+    expect(send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "owner@example.com",
+        subject: "[Test] Payment received for order ORD-SAMPLE",
+      }),
+    );
+  });
+
+  test("notifications use the stored template and store details", async () => {
+    jest.spyOn(EmailTemplate, "find").mockReturnValue({
+      lean: jest.fn().mockResolvedValue([
+        {
+          key: "order_placed",
+          subject: "{{storeName}} got your order {{orderNumber}}",
+          html: "<p>Thanks!</p>",
+          text: "",
+        },
+      ]),
+    });
+    mockSettings({ siteName: "Mug Shop", logo: "uploads/settings/logo.png" });
+    const bus = new EventEmitter();
+    const sendEmail = jest.fn().mockResolvedValue(undefined);
+    registerOrderNotifications(sendEmail, bus, new EmailTemplateService());
+
+    bus.emit(ORDER_EVENTS.PLACED, { order: recentOrder });
+    await flushPromises();
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.to).toBe("sam@example.com");
+    expect(email.subject).toBe("Mug Shop got your order ORD-2002");
+    expect(email.html).toContain("/uploads/settings/logo.png");
+    expect(email.text).toBe("Thanks!");
+  });
+});
@@ -0,0 +1,175 @@
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { appEventBus } from "./src/events/appEventBus.js";
+import { AUTH_EVENTS } from "./src/events/authEvents.js";
+import { registerAuthNotifications } from "./src/events/authNotifications.js";
+import { Cart } from "./src/models/Cart.js";
+import { Order } from "./src/models/Order.js";
+import { Setting } from "./src/models/Setting.js";
+import { User } from "./src/models/User.js";
+import { AuthService } from "./src/services/AuthService.js";
+import { OrderService } from "./src/services/OrderService.js";
+
+const USER_ID = "64b0000000000000000000a1";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const mockSettings = (settings) =>
+  jest.spyOn(Setting, "findOne").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(settings),
+    }),
+  });
+
+describe("email verification", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("registration stores a hashed, expiring token and emails the raw one", async () => {
+    const service = new AuthService();
+    jest.spyOn(service.repository, "findByEmail").mockResolvedValue(null);
+    jest.spyOn(service.repository, "create").mockResolvedValue({
+      _id: USER_ID,
+      name: "Jane Doe",
+      email: "jane@example.com",
+      role: "user",
+      emailVerified: false,
+    });
+    const setToken = jest
+      .spyOn(service.repository, "setEmailVerificationToken")
+      .mockResolvedValue({});
+    jest.spyOn(service.sessionRepository, "create").mockResolvedValue({});
+    const emit = jest.spyOn(appEventBus, "emit").mockReturnValue(true);
+
+    const result = await service.register({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "Str0ng!Pass",
+    });
+
+    expect(result.user.emailVerified).toBe(false);
+    const [, storedHash, expiresAt] = setToken.mock.calls[0];
+    const [event, payload] = emit.mock.calls[0];
+    expect(event).toBe(AUTH_EVENTS.EMAIL_VERIFICATION_REQUESTED);
+    expect(storedHash).toBe(sha256(payload.token));
+    expect(storedHash).not.toBe(payload.token);
+    expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(
+      23 * 60 * 60 * 1000,
+    );
+
+    const bus = new EventEmitter();
+    const sendEmail = jest.fn().mockResolvedValue(undefined);
+    registerAuthNotifications(sendEmail, bus, {
+      getRenderContext: jest.fn().mockResolvedValue({}),
+    });
+    bus.emit(event, payload);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.to).toBe("jane@example.com");
+    expect(email.text).toContain(`/verify-email?token=${payload.token}`);
+    expect(email.text).toContain("Hi Jane,");
+  });
+
+  test("a valid link verifies the account once", async () => {
+    const user = {
+      _id: USER_ID,
+      email: "jane@example.com",
+      emailVerified: false,
+      emailVerificationToken: sha256("abc123"),
+      emailVerificationExpires: new Date(Date.now() + 60000),
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    const findOne = jest.spyOn(User, "findOne").mockReturnValue({
+      select: jest.fn().mockResolvedValue(user),
+    });
+
+    const result = await new AuthService().verifyEmail(" abc123 ");
+
+    expect(findOne.mock.calls[0][0]).toEqual({
+      emailVerificationToken: sha256("abc123"),
+      emailVerificationExpires: { $gt: expect.any(Date) },
+    });
+    expect(user.save).toHaveBeenCalled();
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerificationToken).toBeUndefined();
+    expect(result.user).not.toHaveProperty("emailVerificationToken");
+  });
+
+  test("rejects an unknown or expired link", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue({
+      select: jest.fn().mockResolvedValue(null),
+    });
+
+    await expect(
+      new AuthService().verifyEmail("expired"),
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("resending never reveals whether a signed-out address has an account", async () => {
+    const service = new AuthService();
+    const issue = jest
+      .spyOn(service, "sendEmailVerification")
+      .mockResolvedValue(undefined);
+    jest
+      .spyOn(service.repository, "findByEmail")
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({
+        _id: USER_ID,
+        email: "jane@example.com",
+        status: "active",
+        emailVerified: false,
+      });
+
+    const unknown = await service.resendEmailVerification({
+      email: "nobody@example.com",
+    });
+    const known = await service.resendEmailVerification({
+      email: "jane@example.com",
+    });
+
+    expect(known).toEqual(unknown);
+    expect(issue).toHaveBeenCalledTimes(1);
+
+    jest
+      .spyOn(service.repository, "findByIdOrFail")
+      .mockResolvedValue({ _id: USER_ID, emailVerified: true });
+    await expect(
+      service.resendEmailVerification({ userId: USER_ID }),
+    ).resolves.toMatchObject({ emailVerified: true });
+    expect(issue).toHaveBeenCalledTimes(1);
+  });
+
+  test("unverified accounts cannot order when the store requires it", async () => {
+    mockSettings({ requireVerifiedEmailForOrders: true });
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ emailVerified: false }),
+      }),
+    });
+    jest.spyOn(Order, "findOne").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(null),
+    });
+    const cartFind = jest.spyOn(Cart, "find");
+
+    await expect(
+      new OrderService().createOrder(
+        { userId: USER_ID },
+        { paymentMethod: "cod" },
+        "idem-1",
+      ),
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(cartFind).not.toHaveBeenCalled();
+
+    mockSettings({ requireVerifiedEmailForOrders: false });
+    await expect(
+      new AuthService().assertCanPlaceOrder(USER_ID),
+    ).resolves.toBeUndefined();
+    await expect(
+      new AuthService().assertCanPlaceOrder(null),
+    ).resolves.toBeUndefined();
+  });
+});
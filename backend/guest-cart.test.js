@@ -0,0 +1,180 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  expect,
+  jest,
+  test,
+} from "@jest/globals";
+
+const retrievePaymentIntentMock = jest.fn();
+
+await jest.unstable_mockModule("stripe", () => ({
+  default: jest.fn(() => ({
+    paymentIntents: { retrieve: retrievePaymentIntentMock },
+  })),
+}));
+
+const { CartService, cartOwnerFilter } =
+  await import("./src/services/CartService.js");
+const { OrderController } =
+  await import("./src/controllers/OrderController.js");
+const { Cart } = await import("./src/models/Cart.js");
+const { Order } = await import("./src/models/Order.js");
+const { Product } = await import("./src/models/Product.js");
+const { Setting } = await import("./src/models/Setting.js");
+const { PricingService } = await import("./src/services/PricingService.js");
+const { ShippingService } = await import("./src/services/ShippingService.js");
+const { TaxService } = await import("./src/services/TaxService.js");
+const { StockReservationService } =
+  await import("./src/services/StockReservationService.js");
+
+const GUEST_ID = "6f1c2a4e-8b3d-4c5e-9f70-1a2b3c4d5e6f";
+
+const simpleProduct = (id, baseStock) => ({
+  _id: id,
+  hasVariants: false,
+  basePrice: 10,
+  baseDiscount: 0,
+  baseStock,
+  status: "active",
+});
+
+describe("guest cart", () => {
+  beforeEach(() => {
+    jest.spyOn(PricingService.prototype, "getCampaigns").mockResolvedValue([]);
+    jest
+      .spyOn(StockReservationService.prototype, "getHeldQuantities")
+      .mockResolvedValue(new Map());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    retrievePaymentIntentMock.mockReset();
+  });
+
+  test("resolves the cart owner from a user id or a guest id", () => {
+    expect(cartOwnerFilter("u1")).toEqual({ userId: "u1" });
+    expect(cartOwnerFilter({ userId: "u1" })).toEqual({ userId: "u1" });
+    expect(cartOwnerFilter({ guestId: GUEST_ID })).toEqual({
+      guestId: GUEST_ID,
+    });
+    expect(() => cartOwnerFilter(null)).toThrow("Cart owner is required");
+  });
+
+  test("keeps checkout keys unique per guest, not across all guests", () => {
+    const keyIndex = (owner) =>
+      Order.schema
+        .indexes()
+        .find(([fields]) => fields[owner] && fields.idempotencyKey);
+
+    const [, guestOptions] = keyIndex("guestId");
+    expect(guestOptions).toMatchObject({
+      unique: true,
+      partialFilterExpression: { guestId: { $type: "string" } },
+    });
+    // Guest orders have no userId, so the account index must leave them out.
+    const [, userOptions] = keyIndex("userId");
+    expect(userOptions).toMatchObject({
+      unique: true,
+      partialFilterExpression: { userId: { $type: "objectId" } },
+    });
+    expect(userOptions.sparse).toBeUndefined();
+  });
+
+  test("merges guest lines into the account cart within stock", async () => {
+    jest.spyOn(Cart, "find").mockReturnValue({
+      lean: jest.fn().mockResolvedValue([
+        { productId: "p1", variantId: null, quantity: 3 },
+        { productId: "p2", variantId: null, quantity: 1 },
+        { productId: "p3", variantId: null, quantity: 1 },
+      ]),
+    });
+    jest.spyOn(Product, "find").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest
+          .fn()
+          .mockResolvedValue([simpleProduct("p1", 4), simpleProduct("p2", 5)]),
+      }),
+    });
+    const existingLine = { quantity: 2, save: jest.fn() };
+    jest
+      .spyOn(Cart, "findOne")
+      .mockImplementation(async (filter) =>
+        filter.productId === "p1" ? existingLine : null,
+      );
+    const createSpy = jest.spyOn(Cart, "create").mockResolvedValue({});
+    const deleteSpy = jest.spyOn(Cart, "deleteMany").mockResolvedValue({});
+
+    const result = await new CartService().mergeGuestCart(GUEST_ID, "u1");
+
+    expect(result).toEqual({ merged: 2, adjusted: 1, dropped: 1 });
+    expect(existingLine.quantity).toBe(4);
+    expect(existingLine.save).toHaveBeenCalled();
+    expect(createSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: "u1", productId: "p2", quantity: 1 }),
+    );
+    expect(deleteSpy).toHaveBeenCalledWith({ guestId: GUEST_ID });
+  });
+
+  test("rejects a payment intent created for another guest cart", async () => {
+    jest.spyOn(ShippingService.prototype, "quoteForCart").mockResolvedValue({
+      methodId: null,
+      name: "Standard Shipping",
+      price: 0,
+      estimatedDays: null,
+    });
+    jest.spyOn(TaxService.prototype, "quoteForCart").mockResolvedValue({
+      taxLines: [],
+      taxTotal: 0,
+      pricesIncludeTax: false,
+    });
+    jest
+      .spyOn(PricingService.prototype, "repriceCartItems")
+      .mockImplementation(async (items) => items);
+    jest.spyOn(Setting, "findOne").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ stripeSecretKey: "sk_test_123" }),
+      }),
+    });
+    const cartFind = jest.spyOn(Cart, "find").mockReturnValue({
+      lean: jest
+        .fn()
+        .mockResolvedValue([{ amount: 20, quantity: 1, productId: "p1" }]),
+    });
+    jest.spyOn(Order, "findOne").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(null),
+    });
+    retrievePaymentIntentMock.mockResolvedValue({
+      status: "succeeded",
+      amount_received: 2000,
+      currency: "usd",
+      metadata: { guestId: "another-guest" },
+    });
+
+    const req = {
+      cartOwner: { guestId: GUEST_ID },
+      headers: {},
+      body: {
+        firstName: "Guest",
+        lastName: "Shopper",
+        email: "guest@example.com",
+        phone: "1234567890",
+        address1: "1 Main Street",
+        city: "Austin",
+        postCode: "78701",
+        country: "US",
+        paymentMethod: "stripe",
+        paymentIntentId: "pi_guest",
+      },
+    };
+    const res = { status: jest.fn(), json: jest.fn() };
+    const next = jest.fn();
+
+    await new OrderController().store(req, res, next);
+
+    expect(cartFind).toHaveBeenCalledWith({ guestId: GUEST_ID });
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(next.mock.calls[0][0].statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,221 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  expect,
+  jest,
+  test,
+} from "@jest/globals";
+import { InventoryMovement } from "./src/models/InventoryMovement.js";
+import { Product } from "./src/models/Product.js";
+import { InventoryService } from "./src/services/InventoryService.js";
+import { ProductService } from "./src/services/ProductService.js";
+import { StockLocationService } from "./src/services/StockLocationService.js";
+import { reservationKey } from "./src/services/StockReservationService.js";
+
+const PRODUCT_ID = "64b0000000000000000000a1";
+const VARIANT_ID = "64b0000000000000000000b1";
+const admin = {
+  userId: "64b0000000000000000000c1",
+  name: "Ada",
+  role: "admin",
+};
+
+const updateResult = (value) => {
+  const query = {
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value),
+  };
+  return query;
+};
+
+const mockLedger = () =>
+  jest
+    .spyOn(InventoryMovement, "insertMany")
+    .mockImplementation(async (docs) => docs);
+
+describe("inventory movements", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(StockLocationService.prototype, "getActiveLocations")
+      .mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("moves variant stock by a delta and records who did it", async () => {
+    const ledger = mockLedger();
+    const update = jest.spyOn(Product, "findOneAndUpdate").mockReturnValue(
+      updateResult({
+        _id: PRODUCT_ID,
+        title: "Tee",
+        hasVariants: true,
+        variants: [{ _id: VARIANT_ID, sku: "TEE-M", stock: 3 }],
+      }),
+    );
+
+    const result = await new InventoryService().adjustStock(
+      [{ productId: PRODUCT_ID, variantId: VARIANT_ID, delta: -2 }],
+      { reason: "damage", note: "Water damage" },
+      admin,
+    );
+
+    expect(update.mock.calls[0][0]).toEqual({
+      _id: PRODUCT_ID,
+      hasVariants: true,
+      variants: { $elemMatch: { _id: VARIANT_ID, stock: { $gte: 2 } } },
+    });
+    expect(update.mock.calls[0][1]).toEqual({
+      $inc: { "variants.$.stock": -2 },
+    });
+    expect(result).toMatchObject({ applied: 1, failed: 0 });
+    expect(ledger.mock.calls[0][0]).toEqual([
+      expect.objectContaining({
+        productId: PRODUCT_ID,
+        variantId: VARIANT_ID,
+        sku: "TEE-M",
+        delta: -2,
+        stockAfter: 3,
+        reason: "damage",
+        note: "Water damage",
+        actor: admin,
+      }),
+    ]);
+  });
+
+  test("sets an absolute stock level and records the difference", async () => {
+    const ledger = mockLedger();
+    const update = jest.spyOn(Product, "findOneAndUpdate").mockReturnValue(
+      updateResult({
+        _id: PRODUCT_ID,
+        title: "Cap",
+        hasVariants: false,
+        baseSku: "CAP",
+        baseStock: 4,
+      }),
+    );
+
+    await new InventoryService().adjustStock(
+      [{ productId: PRODUCT_ID, setTo: 10 }],
+      { reason: "correction" },
+      admin,
+    );
+
+    expect(update.mock.calls[0][1]).toEqual({ $set: { baseStock: 10 } });
+    expect(update.mock.calls[0][2]).toMatchObject({ new: false });
+    expect(ledger.mock.calls[0][0][0]).toMatchObject({
+      sku: "CAP",
+      delta: 6,
+      stockAfter: 10,
+      reason: "correction",
+    });
+  });
+
+  test("reports lines that would take stock below zero without recording them", async () => {
+    const ledger = mockLedger();
+    jest.spyOn(Product, "findOneAndUpdate").mockReturnValue(updateResult(null));
+
+    const result = await new InventoryService().adjustStock(
+      [{ productId: PRODUCT_ID, delta: -5 }],
+      { reason: "manual" },
+      admin,
+    );
+
+    expect(result).toMatchObject({ applied: 0, failed: 1 });
+    expect(result.results[0].message).toBe("Not enough stock to remove");
+    expect(ledger).not.toHaveBeenCalled();
+  });
+
+  test("only accepts manual reason codes for adjustments", async () => {
+    await expect(
+      new InventoryService().adjustStock(
+        [{ productId: PRODUCT_ID, delta: 1 }],
+        { reason: "sale" },
+        admin,
+      ),
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("records the stock difference of a product edit, writing off removed variants", async () => {
+    const ledger = mockLedger();
+    const before = {
+      _id: PRODUCT_ID,
+      title: "Tee",
+      hasVariants: true,
+      variants: [
+        { _id: VARIANT_ID, sku: "TEE-M", stock: 5 },
+        { _id: "64b0000000000000000000b2", sku: "TEE-L", stock: 2 },
+      ],
+    };
+    const after = {
+      ...before,
+      variants: [{ _id: VARIANT_ID, sku: "TEE-M", stock: 8 }],
+    };
+
+    await new InventoryService().recordProductChanges(before, after, {
+      reason: "manual",
+      actor: admin,
+    });
+
+    expect(ledger.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ sku: "TEE-M", delta: 3, stockAfter: 8 }),
+      expect.objectContaining({ sku: "TEE-L", delta: -2, stockAfter: 0 }),
+    ]);
+  });
+
+  test("records base stock changes made through the product service", async () => {
+    const ledger = mockLedger();
+    const service = new ProductService();
+    jest.spyOn(service.repository, "updateStock").mockResolvedValue({
+      _id: PRODUCT_ID,
+      title: "Cap",
+      baseSku: "CAP",
+      baseStock: 7,
+    });
+
+    await service.updateStock(PRODUCT_ID, 2, { reason: "restock" });
+
+    expect(ledger.mock.calls[0][0][0]).toMatchObject({
+      productId: PRODUCT_ID,
+      sku: "CAP",
+      delta: 2,
+      stockAfter: 7,
+      reason: "restock",
+      actor: { role: "system" },
+    });
+  });
+
+  test("lists stock per SKU with units held by checkouts", async () => {
+    jest.spyOn(Product, "aggregate").mockResolvedValue([
+      {
+        items: [
+          {
+            _id: PRODUCT_ID,
+            title: "Tee",
+            line: { variantId: VARIANT_ID, sku: "TEE-M", name: "M", stock: 4 },
+          },
+        ],
+        total: [{ count: 1 }],
+      },
+    ]);
+    const service = new InventoryService();
+    jest
+      .spyOn(service.reservationService, "getHeldQuantities")
+      .mockResolvedValue(
+        new Map([[reservationKey(PRODUCT_ID, VARIANT_ID), 1]]),
+      );
+
+    const result = await service.listStock({ lowStock: true });
+
+    expect(result.items[0]).toMatchObject({
+      sku: "TEE-M",
+      stock: 4,
+      heldStock: 1,
+      availableStock: 3,
+      lowStock: true,
+    });
+    expect(result.pagination).toMatchObject({ total: 1, pages: 1 });
+  });
+});
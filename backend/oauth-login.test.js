@@ -0,0 +1,328 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import jwt from "jsonwebtoken";
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  describe,
+  expect,
+  jest,
+  test,
+} from "@jest/globals";
+import { AuthController } from "./src/controllers/AuthController.js";
+import { Setting } from "./src/models/Setting.js";
+import { AuthService } from "./src/services/AuthService.js";
+import { OAuthService } from "./src/services/OAuthService.js";
+import { createOidcProvider } from "./src/utils/oauthProviders.js";
+
+const USER_ID = "64b0000000000000000000a1";
+const CLIENT = { clientId: "shop-client", clientSecret: "shop-secret" };
+
+// A minimal OpenID Connect provider: it issues one code per authorization
+// request and only redeems it with the matching PKCE verifier.
+const startMockIssuer = async () => {
+  const grants = new Map();
+  const tokenRequests = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer.url);
+    const json = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return json(200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+      });
+    }
+    if (url.pathname === "/authorize") {
+      const code = crypto.randomBytes(8).toString("hex");
+      grants.set(code, Object.fromEntries(url.searchParams));
+      const back = new URL(url.searchParams.get("redirect_uri"));
+      back.searchParams.set("code", code);
+      back.searchParams.set("state", url.searchParams.get("state"));
+      res.writeHead(302, { Location: back.toString() });
+      return res.end();
+    }
+    if (url.pathname === "/token" && req.method === "POST") {
+      let raw = "";
+      for await (const chunk of req) raw += chunk;
+      const body = Object.fromEntries(new URLSearchParams(raw));
+      tokenRequests.push(body);
+      const grant = grants.get(body.code);
+      grants.delete(body.code);
+      const challenge = crypto
+        .createHash("sha256")
+        .update(body.code_verifier || "")
+        .digest("base64url");
+      if (
+        !grant ||
+        grant.code_challenge !== challenge ||
+        body.client_secret !== CLIENT.clientSecret
+      ) {
+        return json(400, { error: "invalid_grant" });
+      }
+      return json(200, {
+        access_token: "access",
+        id_token: jwt.sign(
+          {
+            sub: "google-sub-1",
+            email: "Jane@Example.com",
+            email_verified: true,
+            name: "Jane Doe",
+            nonce: grant.nonce,
+          },
+          "issuer-key",
+          { issuer: issuer.url, audience: grant.client_id, expiresIn: 300 },
+        ),
+      });
+    }
+    json(404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const issuer = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    tokenRequests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+  return issuer;
+};
+
+const googleUser = {
+  _id: USER_ID,
+  name: "Jane Doe",
+  email: "jane@example.com",
+  role: "user",
+  status: "active",
+  emailVerified: true,
+};
+
+describe("OAuth sign-in", () => {
+  let issuer;
+  let oauth;
+  let authService;
+
+  beforeAll(async () => {
+    issuer = await startMockIssuer();
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+  });
+
+  const setUp = () => {
+    jest.spyOn(Setting, "findOne").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({}),
+      }),
+    });
+    authService = new AuthService();
+    jest.spyOn(authService.sessionRepository, "create").mockResolvedValue({});
+    jest
+      .spyOn(authService.loginSecurity, "registerSuccess")
+      .mockResolvedValue();
+    const google = createOidcProvider({
+      name: "google",
+      label: "Google",
+      issuer: issuer.url,
+      credentials: () => ({ enabled: true, ...CLIENT }),
+    });
+    oauth = new OAuthService(authService, { google });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("signs a new customer in through the issuer with PKCE", async () => {
+    setUp();
+    jest
+      .spyOn(authService.repository, "findByOAuthAccount")
+      .mockResolvedValue(null);
+    jest.spyOn(authService.repository, "findByEmail").mockResolvedValue(null);
+    const create = jest
+      .spyOn(authService.repository, "create")
+      .mockResolvedValue(googleUser);
+
+    const { url, stateToken } = await oauth.beginAuthorization("google", {
+      returnTo: "https://evil.example.com",
+    });
+    const authorize = new URL(url);
+    expect(authorize.origin + authorize.pathname).toBe(
+      `${issuer.url}/authorize`,
+    );
+    expect(authorize.searchParams.get("code_challenge_method")).toBe("S256");
+    expect(authorize.searchParams.get("redirect_uri")).toMatch(
+      /\/auth\/oauth\/google\/callback$/,
+    );
+
+    const response = await fetch(url, { redirect: "manual" });
+    const callback = new URL(response.headers.get("location"));
+    const result = await oauth.completeAuthorization("google", {
+      code: callback.searchParams.get("code"),
+      state: callback.searchParams.get("state"),
+      stateToken,
+    });
+
+    expect(result.user.email).toBe("jane@example.com");
+    expect(result.accessToken).toEqual(expect.any(String));
+    expect(result.returnTo).toBe("");
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: "jane@example.com",
+        provider: "google",
+        providerId: "google-sub-1",
+        emailVerified: true,
+      }),
+    );
+  });
+
+  test("rejects a callback whose state does not match", async () => {
+    setUp();
+    const { url, stateToken } = await oauth.beginAuthorization("google");
+    const response = await fetch(url, { redirect: "manual" });
+    const callback = new URL(response.headers.get("location"));
+    const tokenCalls = issuer.tokenRequests.length;
+
+    await expect(
+      oauth.completeAuthorization("google", {
+        code: callback.searchParams.get("code"),
+        state: "forged-state",
+        stateToken,
+      }),
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(issuer.tokenRequests).toHaveLength(tokenCalls);
+  });
+
+  test("links a verified provider email to the existing account", async () => {
+    const service = new AuthService();
+    jest.spyOn(service.loginSecurity, "registerSuccess").mockResolvedValue();
+    jest
+      .spyOn(service.repository, "findByOAuthAccount")
+      .mockResolvedValue(null);
+    jest.spyOn(service.repository, "findByEmail").mockResolvedValue({
+      ...googleUser,
+      emailVerified: false,
+    });
+    const link = jest
+      .spyOn(service.repository, "linkOAuthAccount")
+      .mockResolvedValue(googleUser);
+    const revokeSessions = jest
+      .spyOn(service.sessionRepository, "revokeAllForUser")
+      .mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(service.sessionRepository, "create").mockResolvedValue({});
+    const provider = { name: "google", label: "Google" };
+
+    const result = await service.loginWithOAuth(provider, {
+      providerId: "google-sub-1",
+      email: "jane@example.com",
+      emailVerified: true,
+    });
+
+    expect(result.user._id).toBe(USER_ID);
+    // The unverified local account loses its password and sessions.
+    expect(link).toHaveBeenCalledWith(USER_ID, "google", "google-sub-1", true);
+    expect(revokeSessions).toHaveBeenCalledWith(USER_ID, "credentials_dropped");
+
+    await expect(
+      service.loginWithOAuth(provider, {
+        providerId: "google-sub-2",
+        email: "jane@example.com",
+        emailVerified: false,
+      }),
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(link).toHaveBeenCalledTimes(1);
+  });
+
+  test("only lists providers that are switched on and configured", async () => {
+    jest.spyOn(Setting, "findOne").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          googleOAuthEnabled: true,
+          googleClientId: "id",
+          googleClientSecret: "secret",
+          facebookOAuthEnabled: false,
+          facebookAppId: "app",
+          facebookAppSecret: "secret",
+        }),
+      }),
+    });
+    const service = new OAuthService(new AuthService());
+
+    await expect(service.listProviders()).resolves.toEqual([
+      { name: "google", label: "Google" },
+    ]);
+    await expect(service.beginAuthorization("facebook")).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(service.beginAuthorization("github")).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  test("keeps a two-factor challenge out of the redirect URL", async () => {
+    const controller = new AuthController();
+    const challengeToken = controller.service.twoFactorService.issueChallenge(
+      { _id: USER_ID },
+      { method: "google" },
+    );
+    jest
+      .spyOn(controller.oauthService, "completeAuthorization")
+      .mockResolvedValue({
+        twoFactor: { required: true, enrolled: true, challengeToken },
+        returnTo: "/account",
+      });
+    const res = {
+      cookie: jest.fn(),
+      clearCookie: jest.fn(),
+      redirect: jest.fn(),
+    };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+
+    await controller.oauthCallback(
+      { params: { provider: "google" }, query: { code: "c" }, cookies: {} },
+      res,
+    );
+    const [, location] = res.redirect.mock.calls[0];
+    expect(location).not.toContain(challengeToken);
+    expect(new URL(location).searchParams.get("twoFactor")).toBe("1");
+    expect(res.cookie).toHaveBeenCalledWith(
+      "oauthChallenge",
+      challengeToken,
+      expect.objectContaining({ httpOnly: true }),
+    );
+
+    // The page exchanges the cookie for the challenge, once.
+    const next = jest.fn();
+    await controller.oauthChallenge(
+      { cookies: { oauthChallenge: challengeToken } },
+      res,
+      next,
+    );
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: {
+          twoFactor: { required: true, enrolled: true, challengeToken },
+        },
+      }),
+    );
+    expect(res.clearCookie).toHaveBeenCalledWith(
+      "oauthChallenge",
+      expect.any(Object),
+    );
+
+    await controller.oauthChallenge({ cookies: {} }, res, next);
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401 }),
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import mongoose from "mongoose";
+import { InventoryMovement } from "./src/models/InventoryMovement.js";
+import { Order } from "./src/models/Order.js";
+import { Product } from "./src/models/Product.js";
+import { CouponService } from "./src/services/CouponService.js";
+import { PaymentService } from "./src/services/PaymentService.js";
+import { OrderService } from "./src/services/OrderService.js";
+
+const paidOrder = {
+  _id: "o1",
+  orderNumber: "ORD-1",
+  userId: "u1",
+  status: "process",
+  paymentMethod: "stripe",
+  paymentStatus: "paid",
+  transactionId: "pi_123",
+  couponId: "c1",
+  items: [
+    { productId: "p1", variantId: "v1", quantity: 2 },
+    { productId: "p2", variantId: null, quantity: 1 },
+  ],
+};
+
+const leanResult = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+const setup = (order) => {
+  const session = {
+    withTransaction: jest.fn(async (work) => work()),
+    endSession: jest.fn(),
+  };
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+  jest.spyOn(Order, "findOne").mockReturnValue(leanResult(order));
+  let stored = { ...order };
+  const orderUpdate = jest
+    .spyOn(Order, "findOneAndUpdate")
+    .mockImplementation((filter, update) => {
+      stored = { ...stored, ...update.$set };
+      return leanResult(stored);
+    });
+  const bulkWrite = jest.spyOn(Product, "bulkWrite").mockResolvedValue({});
+  jest.spyOn(InventoryMovement, "insertMany").mockResolvedValue([]);
+  const releaseCoupon = jest
+    .spyOn(CouponService.prototype, "releaseCouponUsage")
+    .mockResolvedValue({});
+  const refund = jest
+    .spyOn(PaymentService.prototype, "refundPayment")
+    .mockResolvedValue({ refundId: "re_1", amount: 50, status: "succeeded" });
+  const service = new OrderService();
+  jest
+    .spyOn(service, "enrichOrderItemsWithImages")
+    .mockImplementation(async (orders) => orders);
+  return { service, session, orderUpdate, bulkWrite, releaseCoupon, refund };
+};
+
+describe("order cancellation", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("restocks items, releases the coupon and refunds a paid order", async () => {
+    const { service, session, orderUpdate, bulkWrite, releaseCoupon, refund } =
+      setup(paidOrder);
+
+    const order = await service.cancelOrder("o1", {
+      userId: "u1",
+      actor: { userId: "u1", role: "customer" },
+      note: "Changed my mind",
+    });
+
+    expect(order).toMatchObject({
+      status: "cancelled",
+      paymentStatus: "refunded",
+    });
+    expect(orderUpdate.mock.calls[0][0]).toEqual({
+      _id: "o1",
+      status: "process",
+    });
+    expect(bulkWrite).toHaveBeenCalledWith(
+      [
+        {
+          updateOne: {
+            filter: { _id: "p1", "variants._id": "v1" },
+            update: { $inc: { "variants.$.stock": 2, salesCount: -2 } },
+          },
+        },
+        {
+          updateOne: {
+            filter: { _id: "p2" },
+            update: { $inc: { baseStock: 1, salesCount: -1 } },
+          },
+        },
+      ],
+      { session },
+    );
+    expect(releaseCoupon).toHaveBeenCalledWith("c1", "u1", session);
+    expect(refund).toHaveBeenCalledWith(
+      "pi_123",
+      expect.objectContaining({ idempotencyKey: "order-cancel-o1" }),
+    );
+  });
+
+  test("does not refund unpaid orders", async () => {
+    const { service, refund } = setup({
+      ...paidOrder,
+      paymentMethod: "cod",
+      paymentStatus: "unpaid",
+      couponId: null,
+    });
+
+    const order = await service.cancelOrder("o1");
+
+    expect(order.status).toBe("cancelled");
+    expect(refund).not.toHaveBeenCalled();
+  });
+
+  test("refuses to cancel an order that has shipped", async () => {
+    const { service, orderUpdate } = setup({ ...paidOrder, status: "shipped" });
+
+    await expect(service.cancelOrder("o1")).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(orderUpdate).not.toHaveBeenCalled();
+  });
+});
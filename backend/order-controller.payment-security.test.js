@@ -1,6 +1,7 @@
 import {
   afterEach,
   beforeAll,
+  beforeEach,
   describe,
   expect,
   jest,
@@ -24,6 +25,10 @@ const { AppError } = await import("./src/middleware/errorHandler.js");
 const { Order } = await import("./src/models/Order.js");
 const { Cart } = await import("./src/models/Cart.js");
 const { Setting } = await import("./src/models/Setting.js");
+const { CouponService } = await import("./src/services/CouponService.js");
+const { ShippingService } = await import("./src/services/ShippingService.js");
+const { TaxService } = await import("./src/services/TaxService.js");
+const { PricingService } = await import("./src/services/PricingService.js");
 
 const createResponseMock = () => {
   const response = {};
@@ -55,6 +60,23 @@ describe("OrderController payment security guards", () => {
     controller = new OrderController();
   });
 
+  beforeEach(() => {
+    jest.spyOn(ShippingService.prototype, "quoteForCart").mockResolvedValue({
+      methodId: null,
+      name: "Standard Shipping",
+      price: 10,
+      estimatedDays: null,
+    });
+    jest.spyOn(TaxService.prototype, "quoteForCart").mockResolvedValue({
+      taxLines: [],
+      taxTotal: 0,
+      pricesIncludeTax: false,
+    });
+    jest
+      .spyOn(PricingService.prototype, "repriceCartItems")
+      .mockImplementation(async (items) => items);
+  });
+
   afterEach(() => {
     jest.restoreAllMocks();
     retrievePaymentIntentMock.mockReset();
@@ -166,4 +188,99 @@ describe("OrderController payment security guards", () => {
     expect(err.statusCode).toBe(409);
     expect(err.message).toMatch(/already been used/i);
   });
+
+  test("requires the Stripe amount to include the applied coupon discount", async () => {
+    const req = createBaseRequest();
+    req.body.paymentMethod = "stripe";
+    req.body.paymentIntentId = "pi_coupon";
+    req.body.couponCode = "SAVE5";
+
+    jest.spyOn(Order, "findOne").mockImplementation(() => ({
+      lean: jest.fn().mockResolvedValue(null),
+    }));
+    jest.spyOn(Setting, "findOne").mockImplementation(() => ({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ stripeSecretKey: "sk_test_123" }),
+      }),
+    }));
+    jest.spyOn(Cart, "find").mockImplementation(() => ({
+      lean: jest
+        .fn()
+        .mockResolvedValue([{ amount: 20, quantity: 1, productId: "p1" }]),
+    }));
+    const resolveCouponSpy = jest
+      .spyOn(CouponService.prototype, "resolveCheckoutCoupon")
+      .mockResolvedValue({ couponId: "c1", code: "SAVE5", discount: 5 });
+
+    retrievePaymentIntentMock.mockResolvedValue({
+      status: "succeeded",
+      amount_received: 3000,
+      amount: 3000,
+      currency: "usd",
+      metadata: { userId: "u1" },
+    });
+
+    const res = createResponseMock();
+    const next = jest.fn();
+
+    await controller.store(req, res, next);
+
+    expect(resolveCouponSpy).toHaveBeenCalledWith("SAVE5", "u1", 20);
+    expect(next).toHaveBeenCalledTimes(1);
+    const err = next.mock.calls[0][0];
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.statusCode).toBe(409);
+    expect(err.message).toMatch(/payment amount does not match/i);
+  });
+
+  test("requires the Stripe amount to include exclusive tax", async () => {
+    const req = createBaseRequest();
+    req.body.paymentMethod = "stripe";
+    req.body.paymentIntentId = "pi_tax";
+    req.body.state = "CA";
+
+    jest.spyOn(Order, "findOne").mockImplementation(() => ({
+      lean: jest.fn().mockResolvedValue(null),
+    }));
+    jest.spyOn(Setting, "findOne").mockImplementation(() => ({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ stripeSecretKey: "sk_test_123" }),
+      }),
+    }));
+    jest.spyOn(Cart, "find").mockImplementation(() => ({
+      lean: jest
+        .fn()
+        .mockResolvedValue([{ amount: 20, quantity: 1, productId: "p1" }]),
+    }));
+    const quoteTaxSpy = jest
+      .spyOn(TaxService.prototype, "quoteForCart")
+      .mockResolvedValue({
+        taxLines: [{ name: "CA Sales Tax", rate: 8, amount: 1.6 }],
+        taxTotal: 1.6,
+        pricesIncludeTax: false,
+      });
+
+    retrievePaymentIntentMock.mockResolvedValue({
+      status: "succeeded",
+      amount_received: 3000,
+      amount: 3000,
+      currency: "usd",
+      metadata: { userId: "u1" },
+    });
+
+    const res = createResponseMock();
+    const next = jest.fn();
+
+    await controller.store(req, res, next);
+
+    expect(quoteTaxSpy).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ state: "CA", shippingCost: 10 }),
+    );
+    expect(next).toHaveBeenCalledTimes(1);
+    const err = next.mock.calls[0][0];
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.statusCode).toBe(409);
+    expect(err.message).toMatch(/payment amount does not match/i);
+  });
 });
@@ -0,0 +1,230 @@
+import { EventEmitter } from "node:events";
+import net from "node:net";
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { appEventBus } from "./src/events/appEventBus.js";
+import {
+  buildOrderPlacedEmail,
+  buildOrderStatusEmail,
+  registerOrderNotifications,
+} from "./src/events/orderNotifications.js";
+import { ORDER_EVENTS } from "./src/events/orderEvents.js";
+import { Order } from "./src/models/Order.js";
+import { Setting } from "./src/models/Setting.js";
+import { processEmailJob } from "./src/queues/emailJob.js";
+import { OrderService } from "./src/services/OrderService.js";
+import { StripeWebhookService } from "./src/services/StripeWebhookService.js";
+
+const ORDER_ID = "64b000000000000000000001";
+const admin = { userId: "admin1", name: "Ada Admin", role: "admin" };
+
+const placedOrder = (overrides = {}) => ({
+  _id: ORDER_ID,
+  orderNumber: "ORD-1001",
+  email: "jane@example.com",
+  firstName: "Jane",
+  status: "new",
+  paymentMethod: "cod",
+  paymentStatus: "unpaid",
+  totalAmount: 42.5,
+  items: [
+    { title: "Kettle", quantity: 2, price: 10, amount: 20 },
+    {
+      title: "Toaster <XL>",
+      quantity: 1,
+      price: 22.5,
+      amount: 22.5,
+      fulfilment: "backorder",
+      expectedDate: new Date("2026-11-02T00:00:00.000Z"),
+    },
+  ],
+  ...overrides,
+});
+
+// A minimal SMTP server that accepts every message and keeps it in memory,
+// so emails go through the real nodemailer transport in tests.
+const startSmtpCapture = async () => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 localhost ESMTP capture");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === ".") {
+            messages.push({ ...envelope, raw: data.join("\r\n") });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply("250 Queued");
+          } else {
+            data.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "MAIL") {
+          envelope.from = line.replace(/^MAIL FROM:\s*<?([^>]*)>?.*$/i, "$1");
+        } else if (command === "RCPT") {
+          envelope.to.push(line.replace(/^RCPT TO:\s*<?([^>]*)>?.*$/i, "$1"));
+        } else if (command === "DATA") {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+          continue;
+        } else if (command === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+          continue;
+        }
+        reply("250 OK");
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+describe("transactional order emails", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("lists the order lines and flags backordered ones", () => {
+    const email = buildOrderPlacedEmail(placedOrder());
+
+    expect(email.to).toBe("jane@example.com");
+    expect(email.subject).toBe("Order confirmation ORD-1001");
+    expect(email.text).toContain("2 x Kettle (20.00)");
+    expect(email.text).toContain("backordered, expected 2026-11-02");
+    expect(email.text).toContain("Payment: cash on delivery");
+    expect(email.html).toContain("Toaster &lt;XL&gt;");
+  });
+
+  test("includes the tracking number once an order ships", () => {
+    const email = buildOrderStatusEmail(
+      placedOrder({ status: "shipped", trackingNumber: "1Z999" }),
+    );
+
+    expect(email.subject).toBe("Your order ORD-1001 has shipped");
+    expect(email.text).toContain("Tracking number: 1Z999");
+    expect(buildOrderStatusEmail(placedOrder({ status: "process" }))).toBe(
+      null,
+    );
+  });
+
+  test("announces status and payment changes with the tracking number", async () => {
+    jest.spyOn(Order, "findById").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest
+          .fn()
+          .mockResolvedValue({ status: "process", paymentStatus: "unpaid" }),
+      }),
+    });
+    const updated = placedOrder({
+      status: "shipped",
+      paymentStatus: "paid",
+      trackingNumber: "1Z999",
+    });
+    const updateSpy = jest.spyOn(Order, "findOneAndUpdate").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(updated),
+    });
+    const emit = jest.spyOn(appEventBus, "emit").mockReturnValue(true);
+    const service = new OrderService();
+    jest
+      .spyOn(service, "enrichOrderItemsWithImages")
+      .mockImplementation(async (orders) => orders);
+
+    await service.updateOrderStatus(
+      ORDER_ID,
+      { status: "shipped", paymentStatus: "paid", trackingNumber: " 1Z999 " },
+      admin,
+    );
+
+    expect(updateSpy.mock.calls[0][1].$set).toEqual({
+      status: "shipped",
+      paymentStatus: "paid",
+      trackingNumber: "1Z999",
+    });
+    expect(emit).toHaveBeenCalledWith(ORDER_EVENTS.STATUS_CHANGED, {
+      order: updated,
+      previousStatus: "process",
+    });
+    expect(emit).toHaveBeenCalledWith(ORDER_EVENTS.PAYMENT_RECEIVED, {
+      order: updated,
+    });
+  });
+
+  test("announces a payment confirmed by Stripe", async () => {
+    const order = placedOrder({ paymentMethod: "stripe" });
+    jest.spyOn(Order, "findOne").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue(order),
+      }),
+    });
+    jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    const emit = jest.spyOn(appEventBus, "emit").mockReturnValue(true);
+
+    await new StripeWebhookService().handlePaymentSucceeded({ id: "pi_1" });
+
+    expect(emit).toHaveBeenCalledWith(ORDER_EVENTS.PAYMENT_RECEIVED, {
+      order: { ...order, paymentStatus: "paid" },
+    });
+  });
+
+  test("delivers a queued confirmation over SMTP", async () => {
+    const smtp = await startSmtpCapture();
+    try {
+      jest.spyOn(Setting, "findOne").mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          smtpHost: "127.0.0.1",
+          smtpPort: smtp.port,
+          smtpUser: "store",
+          smtpPassword: "secret",
+          smtpFrom: "shop@example.com",
+        }),
+      });
+      const bus = new EventEmitter();
+      const deliveries = [];
+      const templates = { getRenderContext: jest.fn().mockResolvedValue({}) };
+      registerOrderNotifications(
+        (data) => {
+          const delivery = processEmailJob({ data });
+          deliveries.push(delivery);
+          return delivery;
+        },
+        bus,
+        templates,
+      );
+
+      bus.emit(ORDER_EVENTS.PLACED, { order: placedOrder() });
+      bus.emit(ORDER_EVENTS.STATUS_CHANGED, {
+        order: placedOrder({ status: "process" }),
+      });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      await Promise.all(deliveries);
+
+      expect(deliveries).toHaveLength(1);
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0].from).toBe("shop@example.com");
+      expect(smtp.messages[0].to).toEqual(["jane@example.com"]);
+      expect(smtp.messages[0].raw).toContain(
+        "Subject: Order confirmation ORD-1001",
+      );
+    } finally {
+      await smtp.close();
+    }
+  });
+});
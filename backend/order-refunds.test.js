@@ -0,0 +1,261 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  expect,
+  jest,
+  test,
+} from "@jest/globals";
+
+const createRefundMock = jest.fn();
+
+await jest.unstable_mockModule("stripe", () => ({
+  default: jest.fn(() => ({
+    refunds: { create: createRefundMock },
+  })),
+}));
+
+const { Order } = await import("./src/models/Order.js");
+const { Setting } = await import("./src/models/Setting.js");
+const { OrderService } = await import("./src/services/OrderService.js");
+
+const ORDER_ID = "64b000000000000000000001";
+const admin = { userId: "admin1", name: "Ada Admin", role: "admin" };
+
+const paidOrder = (overrides = {}) => ({
+  _id: ORDER_ID,
+  orderNumber: "ORD-1",
+  paymentMethod: "stripe",
+  paymentStatus: "paid",
+  transactionId: "pi_123",
+  totalAmount: 50,
+  refunds: [],
+  items: [
+    { productId: "p1", variantId: "v1", title: "Tee", price: 20, quantity: 2 },
+    { productId: "p2", variantId: null, title: "Cap", price: 10, quantity: 1 },
+  ],
+  ...overrides,
+});
+
+const setup = (order) => {
+  jest.spyOn(Setting, "findOne").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ stripeSecretKey: "sk_test_123" }),
+    }),
+  });
+  jest.spyOn(Order, "findById").mockReturnValue({
+    lean: jest.fn().mockResolvedValue(order),
+  });
+  const orderUpdate = jest
+    .spyOn(Order, "findOneAndUpdate")
+    .mockImplementation((filter, update) => ({
+      lean: jest.fn().mockResolvedValue({
+        ...order,
+        ...update.$set,
+        refunds: [...order.refunds, update.$push.refunds],
+      }),
+    }));
+  const service = new OrderService();
+  jest
+    .spyOn(service, "enrichOrderItemsWithImages")
+    .mockImplementation(async (orders) => orders);
+  return { service, orderUpdate };
+};
+
+describe("order refunds", () => {
+  beforeEach(() => {
+    createRefundMock.mockImplementation(async (params) => ({
+      id: "re_1",
+      amount: params.amount,
+      status: "succeeded",
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    createRefundMock.mockReset();
+  });
+
+  test("refunds the remaining balance in full by default", async () => {
+    const { service, orderUpdate } = setup(paidOrder());
+
+    const { order, refund } = await service.refundOrder(
+      ORDER_ID,
+      { reason: "Customer request" },
+      admin,
+    );
+
+    expect(createRefundMock).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: "pi_123", amount: 5000 }),
+      { idempotencyKey: `order-refund-${ORDER_ID}-0` },
+    );
+    expect(refund).toEqual({
+      refundId: "re_1",
+      amount: 50,
+      status: "succeeded",
+    });
+    expect(order.paymentStatus).toBe("refunded");
+    const [filter, update] = orderUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: ORDER_ID,
+      "refunds.refundId": { $ne: "re_1" },
+    });
+    expect(update.$push.refunds).toMatchObject({
+      refundId: "re_1",
+      amount: 50,
+      reason: "Customer request",
+      actor: admin,
+      items: [],
+    });
+  });
+
+  test("refunds line items as a partial refund", async () => {
+    const { service, orderUpdate } = setup(paidOrder());
+
+    const { order } = await service.refundOrder(
+      ORDER_ID,
+      { items: [{ productId: "p1", variantId: "v1", quantity: 1 }] },
+      admin,
+    );
+
+    expect(createRefundMock.mock.calls[0][0].amount).toBe(2000);
+    expect(order.paymentStatus).toBe("partially_refunded");
+    expect(orderUpdate.mock.calls[0][1].$push.refunds.items).toEqual([
+      { productId: "p1", variantId: "v1", quantity: 1 },
+    ]);
+  });
+
+  test("refunds what was paid for a line after its coupon share and tax", async () => {
+    // 10% tax on a 50.00 order with a 10.00 coupon and 5.00 untaxed shipping.
+    const couponed = (overrides = {}) =>
+      paidOrder({
+        subTotal: 50,
+        shippingCost: 5,
+        couponDiscount: 10,
+        taxTotal: 4,
+        totalAmount: 49,
+        items: [
+          {
+            productId: "p1",
+            variantId: "v1",
+            title: "Tee",
+            price: 20,
+            quantity: 2,
+            taxAmount: 3.2,
+          },
+          {
+            productId: "p2",
+            variantId: null,
+            title: "Cap",
+            price: 10,
+            quantity: 1,
+            taxAmount: 0.8,
+          },
+        ],
+        ...overrides,
+      });
+    const tee = { items: [{ productId: "p1", variantId: "v1", quantity: 1 }] };
+
+    // 20.00 less its 4.00 coupon share, plus 1.60 tax.
+    const { service } = setup(couponed());
+    await service.refundOrder(ORDER_ID, tee, admin);
+    expect(createRefundMock.mock.calls[0][0].amount).toBe(1760);
+
+    // Older orders without line tax spread the order's tax by value.
+    jest.restoreAllMocks();
+    const legacy = couponed();
+    legacy.items = legacy.items.map(({ taxAmount, ...item }) => item);
+    await setup(legacy).service.refundOrder(ORDER_ID, tee, admin);
+    expect(createRefundMock.mock.calls[1][0].amount).toBe(1760);
+
+    // Tax included in the price is already part of the 16.00.
+    jest.restoreAllMocks();
+    await setup(
+      couponed({ pricesIncludeTax: true, totalAmount: 45 }),
+    ).service.refundOrder(ORDER_ID, tee, admin);
+    expect(createRefundMock.mock.calls[2][0].amount).toBe(1600);
+  });
+
+  test("refuses to refund line items that were already refunded", async () => {
+    const { service } = setup(
+      paidOrder({
+        paymentStatus: "partially_refunded",
+        refunds: [
+          {
+            refundId: "re_0",
+            amount: 40,
+            items: [{ productId: "p1", variantId: "v1", quantity: 2 }],
+          },
+        ],
+      }),
+    );
+
+    await expect(
+      service.refundOrder(
+        ORDER_ID,
+        { items: [{ productId: "p1", variantId: "v1", quantity: 1 }] },
+        admin,
+      ),
+    ).rejects.toMatchObject({ statusCode: 422 });
+    expect(createRefundMock).not.toHaveBeenCalled();
+  });
+
+  test("caps an explicit amount at what is left to refund", async () => {
+    const { service } = setup(
+      paidOrder({
+        paymentStatus: "partially_refunded",
+        refunds: [{ refundId: "re_0", amount: 45 }],
+      }),
+    );
+
+    await expect(
+      service.refundOrder(ORDER_ID, { amount: 10 }, admin),
+    ).rejects.toMatchObject({ statusCode: 422 });
+    expect(createRefundMock).not.toHaveBeenCalled();
+  });
+
+  test("keeps refund and dispute states from being overwritten by hand", async () => {
+    const findById = (order) =>
+      jest.spyOn(Order, "findById").mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue(order),
+        }),
+      });
+    const update = jest.spyOn(Order, "findOneAndUpdate").mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ _id: ORDER_ID, status: "new" }),
+    });
+    const service = new OrderService();
+    jest
+      .spyOn(service, "enrichOrderItemsWithImages")
+      .mockImplementation(async (orders) => orders);
+
+    for (const paymentStatus of ["refunded", "disputed", "charged_back"]) {
+      findById({ _id: ORDER_ID, status: "new", paymentStatus });
+      await expect(
+        service.updateOrderStatus(ORDER_ID, { paymentStatus: "paid" }, admin),
+      ).rejects.toMatchObject({ statusCode: 409 });
+    }
+    expect(update).not.toHaveBeenCalled();
+
+    findById({ _id: ORDER_ID, status: "new", paymentStatus: "unpaid" });
+    await service.updateOrderStatus(ORDER_ID, { paymentStatus: "paid" }, admin);
+    expect(update.mock.calls[0].slice(0, 2)).toEqual([
+      { _id: ORDER_ID, status: "new", paymentStatus: "unpaid" },
+      { $set: { paymentStatus: "paid" } },
+    ]);
+  });
+
+  test("only refunds captured card payments", async () => {
+    setup(paidOrder({ paymentMethod: "cod", transactionId: undefined }));
+    await expect(
+      new OrderService().refundOrder(ORDER_ID, {}, admin),
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    jest.restoreAllMocks();
+    setup(paidOrder({ paymentStatus: "refunded" }));
+    await expect(
+      new OrderService().refundOrder(ORDER_ID, {}, admin),
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(createRefundMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,343 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import mongoose from "mongoose";
+import { appEventBus, ORDER_EVENTS } from "./src/events/index.js";
+import { buildReturnUpdateEmail } from "./src/events/orderNotifications.js";
+import { InventoryMovement } from "./src/models/InventoryMovement.js";
+import { Order, canTransitionReturnStatus } from "./src/models/Order.js";
+import { Product } from "./src/models/Product.js";
+import { PaymentService } from "./src/services/PaymentService.js";
+import { OrderService } from "./src/services/OrderService.js";
+
+const ORDER_ID = "64b000000000000000000001";
+const RETURN_ID = "64b000000000000000000002";
+const admin = { userId: "admin1", name: "Ada Admin", role: "admin" };
+
+const deliveredOrder = (returnStatus, overrides = {}) => ({
+  _id: ORDER_ID,
+  orderNumber: "ORD-1",
+  email: "jane@example.com",
+  firstName: "Jane",
+  status: "delivered",
+  paymentMethod: "stripe",
+  paymentStatus: "paid",
+  transactionId: "pi_123",
+  totalAmount: 50,
+  refunds: [],
+  items: [
+    { productId: "p1", variantId: "v1", title: "Tee", price: 20, quantity: 2 },
+    { productId: "p2", variantId: null, title: "Cap", price: 10, quantity: 1 },
+  ],
+  returnRequests: [
+    {
+      _id: RETURN_ID,
+      reason: "Too small",
+      status: returnStatus,
+      items: [{ productId: "p1", variantId: "v1", quantity: 1 }],
+    },
+  ],
+  ...overrides,
+});
+
+const setup = (order) => {
+  const session = {
+    withTransaction: jest.fn(async (work) => work()),
+    endSession: jest.fn(),
+  };
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+  jest.spyOn(Order, "findById").mockReturnValue({
+    lean: jest.fn().mockResolvedValue(order),
+  });
+  const stored = JSON.parse(JSON.stringify(order));
+  const orderUpdate = jest
+    .spyOn(Order, "findOneAndUpdate")
+    .mockImplementation((filter, update) => {
+      const request = stored.returnRequests[0];
+      for (const [path, value] of Object.entries(update.$set)) {
+        if (path.startsWith("returnRequests.$.")) {
+          request[path.replace("returnRequests.$.", "")] = value;
+        } else {
+          stored[path] = value;
+        }
+      }
+      if (update.$push?.refunds) stored.refunds.push(update.$push.refunds);
+      return {
+        lean: jest.fn().mockResolvedValue(JSON.parse(JSON.stringify(stored))),
+      };
+    });
+  const bulkWrite = jest.spyOn(Product, "bulkWrite").mockResolvedValue({});
+  const ledger = jest
+    .spyOn(InventoryMovement, "insertMany")
+    .mockResolvedValue([]);
+  const refund = jest
+    .spyOn(PaymentService.prototype, "refundPayment")
+    .mockImplementation(async (intentId, { amount }) => ({
+      refundId: "re_1",
+      amount,
+      status: "succeeded",
+    }));
+  const emitted = jest.spyOn(appEventBus, "emit");
+  return {
+    service: new OrderService(),
+    orderUpdate,
+    bulkWrite,
+    ledger,
+    refund,
+    emitted,
+  };
+};
+
+describe("order returns (RMA)", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("follows the review, receive, refund lifecycle", () => {
+    expect(canTransitionReturnStatus("requested", "approved")).toBe(true);
+    expect(canTransitionReturnStatus("requested", "rejected")).toBe(true);
+    expect(canTransitionReturnStatus("approved", "received")).toBe(true);
+    expect(canTransitionReturnStatus("received", "refunded")).toBe(true);
+
+    expect(canTransitionReturnStatus("requested", "refunded")).toBe(false);
+    expect(canTransitionReturnStatus("rejected", "approved")).toBe(false);
+    expect(canTransitionReturnStatus("refunded", "received")).toBe(false);
+  });
+
+  test("requires a reason to reject and notifies the customer", async () => {
+    const { service, orderUpdate, emitted } = setup(
+      deliveredOrder("requested"),
+    );
+
+    await expect(
+      service.updateReturnRequest(ORDER_ID, RETURN_ID, { status: "rejected" }),
+    ).rejects.toMatchObject({ statusCode: 422 });
+
+    const result = await service.updateReturnRequest(
+      ORDER_ID,
+      RETURN_ID,
+      { status: "rejected", rejectionReason: "Worn item" },
+      admin,
+    );
+
+    expect(result).toMatchObject({
+      status: "rejected",
+      rejectionReason: "Worn item",
+      orderNumber: "ORD-1",
+    });
+    const [filter, update] = orderUpdate.mock.calls[0];
+    expect(filter.returnRequests.$elemMatch).toEqual({
+      _id: RETURN_ID,
+      status: "requested",
+    });
+    expect(update.$push["returnRequests.$.history"]).toMatchObject({
+      status: "rejected",
+      fromStatus: "requested",
+      actor: admin,
+    });
+    expect(emitted).toHaveBeenCalledWith(
+      ORDER_EVENTS.RETURN_UPDATED,
+      expect.objectContaining({
+        returnRequest: expect.objectContaining({ status: "rejected" }),
+      }),
+    );
+  });
+
+  test("restocks returned quantities when items are received", async () => {
+    const { service, bulkWrite, ledger } = setup(deliveredOrder("approved"));
+
+    const result = await service.updateReturnRequest(
+      ORDER_ID,
+      RETURN_ID,
+      { status: "received" },
+      admin,
+    );
+
+    expect(result).toMatchObject({ status: "received", restocked: true });
+    expect(bulkWrite).toHaveBeenCalledWith(
+      [
+        {
+          updateOne: {
+            filter: { _id: "p1", "variants._id": "v1" },
+            update: { $inc: { "variants.$.stock": 1, salesCount: -1 } },
+          },
+        },
+      ],
+      expect.anything(),
+    );
+    expect(ledger.mock.calls[0][0]).toEqual([
+      expect.objectContaining({
+        productId: "p1",
+        variantId: "v1",
+        productTitle: "Tee",
+        delta: 1,
+        reason: "return",
+        orderId: ORDER_ID,
+        orderNumber: "ORD-1",
+        actor: { userId: "admin1", name: "Ada Admin", role: "admin" },
+      }),
+    ]);
+  });
+
+  test("skips restocking when the admin marks items as not resellable", async () => {
+    const { service, bulkWrite } = setup(deliveredOrder("approved"));
+
+    const result = await service.updateReturnRequest(
+      ORDER_ID,
+      RETURN_ID,
+      { status: "received", restock: false },
+      admin,
+    );
+
+    expect(result.restocked).toBe(false);
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  test("refunds the returned lines by default and accepts a partial amount", async () => {
+    const { service, refund } = setup(deliveredOrder("received"));
+
+    const result = await service.updateReturnRequest(
+      ORDER_ID,
+      RETURN_ID,
+      { status: "refunded" },
+      admin,
+    );
+
+    expect(refund).toHaveBeenCalledWith(
+      "pi_123",
+      expect.objectContaining({
+        amount: 20,
+        idempotencyKey: `return-refund-${RETURN_ID}`,
+      }),
+    );
+    expect(result).toMatchObject({
+      status: "refunded",
+      refundAmount: 20,
+      refundId: "re_1",
+      paymentStatus: "partially_refunded",
+      refundableAmount: 30,
+    });
+
+    jest.restoreAllMocks();
+    const partial = setup(deliveredOrder("received"));
+    await partial.service.updateReturnRequest(
+      ORDER_ID,
+      RETURN_ID,
+      { status: "refunded", amount: 12.5 },
+      admin,
+    );
+    expect(partial.refund.mock.calls[0][1].amount).toBe(12.5);
+  });
+
+  test("does not refund returned units that were already refunded", async () => {
+    const { service, refund, orderUpdate } = setup(
+      deliveredOrder("received", {
+        paymentStatus: "partially_refunded",
+        refunds: [
+          {
+            refundId: "re_0",
+            amount: 40,
+            items: [{ productId: "p1", variantId: "v1", quantity: 2 }],
+          },
+        ],
+      }),
+    );
+
+    await expect(
+      service.updateReturnRequest(
+        ORDER_ID,
+        RETURN_ID,
+        { status: "refunded" },
+        admin,
+      ),
+    ).rejects.toMatchObject({
+      statusCode: 422,
+      message: "Only 0 of Tee can still be refunded",
+    });
+    expect(orderUpdate).not.toHaveBeenCalled();
+    expect(refund).not.toHaveBeenCalled();
+  });
+
+  test("refuses a refund above what is left on the order", async () => {
+    const { service, refund, orderUpdate } = setup(
+      deliveredOrder("received", {
+        refunds: [{ refundId: "re_0", amount: 45 }],
+      }),
+    );
+
+    await expect(
+      service.updateReturnRequest(
+        ORDER_ID,
+        RETURN_ID,
+        { status: "refunded", amount: 10 },
+        admin,
+      ),
+    ).rejects.toMatchObject({ statusCode: 422 });
+    expect(orderUpdate).not.toHaveBeenCalled();
+    expect(refund).not.toHaveBeenCalled();
+  });
+
+  test("refuses to return units that are already in an open return", async () => {
+    const TEE = "64b0000000000000000000a1";
+    const CAP = "64b0000000000000000000a2";
+    const USER_ID = "64b0000000000000000000c1";
+    const order = Order.hydrate(
+      deliveredOrder("approved", {
+        userId: USER_ID,
+        items: [
+          { productId: TEE, title: "Tee", price: 20, quantity: 2 },
+          { productId: CAP, title: "Cap", price: 10, quantity: 1 },
+        ],
+        returnRequests: [
+          {
+            _id: RETURN_ID,
+            reason: "Too small",
+            status: "approved",
+            items: [{ productId: TEE, quantity: 2 }],
+          },
+          {
+            reason: "Wrong colour",
+            status: "rejected",
+            items: [{ productId: CAP, quantity: 1 }],
+          },
+        ],
+      }),
+    );
+    jest.spyOn(Order, "findOne").mockResolvedValue(order);
+    const save = jest.spyOn(order, "save").mockResolvedValue(order);
+    jest.spyOn(appEventBus, "emit").mockReturnValue(true);
+    const service = new OrderService();
+
+    await expect(
+      service.requestReturn(ORDER_ID, USER_ID, {
+        reason: "Changed my mind",
+        items: [{ productId: TEE, quantity: 1 }],
+      }),
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Only 0 of Tee can still be returned",
+    });
+    expect(save).not.toHaveBeenCalled();
+
+    // Without a list, only what is still returnable is requested.
+    const created = await service.requestReturn(ORDER_ID, USER_ID, {
+      reason: "Changed my mind",
+    });
+    expect(created.items.map((item) => String(item.productId))).toEqual([CAP]);
+
+    await expect(
+      service.requestReturn(ORDER_ID, USER_ID, { reason: "Again" }),
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  test("builds a customer email for each return update", () => {
+    const email = buildReturnUpdateEmail(
+      { orderNumber: "ORD-1", email: "jane@example.com", firstName: "Jane" },
+      { status: "rejected", rejectionReason: "Worn <item>" },
+    );
+
+    expect(email.to).toBe("jane@example.com");
+    expect(email.subject).toBe("Return update for order ORD-1");
+    expect(email.text).toContain("Reason: Worn <item>");
+    expect(email.html).toContain("Worn &lt;item&gt;");
+  });
+});
@@ -0,0 +1,79 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { Order, canTransitionOrderStatus } from "./src/models/Order.js";
+import { OrderService } from "./src/services/OrderService.js";
+
+const mockFindById = (order) =>
+  jest.spyOn(Order, "findById").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(order),
+    }),
+  });
+
+const admin = { userId: "admin1", name: "Ada Admin", role: "admin" };
+
+describe("order status lifecycle", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("only allows forward moves and cancellation before shipment", () => {
+    expect(canTransitionOrderStatus("new", "process")).toBe(true);
+    expect(canTransitionOrderStatus("process", "shipped")).toBe(true);
+    expect(canTransitionOrderStatus("shipped", "delivered")).toBe(true);
+    expect(canTransitionOrderStatus("process", "cancelled")).toBe(true);
+
+    expect(canTransitionOrderStatus("new", "delivered")).toBe(false);
+    expect(canTransitionOrderStatus("shipped", "cancelled")).toBe(false);
+    expect(canTransitionOrderStatus("cancelled", "new")).toBe(false);
+    expect(canTransitionOrderStatus("delivered", "process")).toBe(false);
+  });
+
+  test("rejects a transition the lifecycle does not allow", async () => {
+    mockFindById({ _id: "o1", status: "cancelled" });
+    const updateSpy = jest.spyOn(Order, "findOneAndUpdate");
+
+    await expect(
+      new OrderService().updateOrderStatus("o1", { status: "new" }, admin),
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+
+  test("records the change with actor and note in status history", async () => {
+    mockFindById({ _id: "o1", status: "process" });
+    const updateSpy = jest.spyOn(Order, "findOneAndUpdate").mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ _id: "o1", status: "shipped" }),
+    });
+    const service = new OrderService();
+    jest
+      .spyOn(service, "enrichOrderItemsWithImages")
+      .mockImplementation(async (orders) => orders);
+
+    const order = await service.updateOrderStatus(
+      "o1",
+      { status: "shipped", note: "  UPS 1Z999  " },
+      admin,
+    );
+
+    expect(order.status).toBe("shipped");
+    const [filter, update] = updateSpy.mock.calls[0];
+    expect(filter).toEqual({ _id: "o1", status: "process" });
+    expect(update.$set).toEqual({ status: "shipped" });
+    expect(update.$push.statusHistory).toMatchObject({
+      status: "shipped",
+      fromStatus: "process",
+      actor: admin,
+      note: "UPS 1Z999",
+    });
+  });
+
+  test("reports a concurrent status change as a conflict", async () => {
+    mockFindById({ _id: "o1", status: "new" });
+    jest.spyOn(Order, "findOneAndUpdate").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(null),
+    });
+
+    await expect(
+      new OrderService().updateOrderStatus("o1", { status: "process" }, admin),
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,125 @@
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { appEventBus } from "./src/events/appEventBus.js";
+import { AUTH_EVENTS } from "./src/events/authEvents.js";
+import { registerAuthNotifications } from "./src/events/authNotifications.js";
+import { EmailTemplate } from "./src/models/EmailTemplate.js";
+import { Setting } from "./src/models/Setting.js";
+import { User } from "./src/models/User.js";
+import { AuthService } from "./src/services/AuthService.js";
+import { EmailTemplateService } from "./src/services/EmailTemplateService.js";
+
+const USER_ID = "64b0000000000000000000a1";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const mockRenderContext = (settings) => {
+  jest.spyOn(Setting, "findOne").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(settings),
+    }),
+  });
+  jest.spyOn(EmailTemplate, "find").mockReturnValue({
+    lean: jest.fn().mockResolvedValue([]),
+  });
+};
+
+const deliver = async (event, payload) => {
+  const bus = new EventEmitter();
+  const sendEmail = jest.fn().mockResolvedValue(undefined);
+  registerAuthNotifications(sendEmail, bus, new EmailTemplateService());
+  bus.emit(event, payload);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  return sendEmail;
+};
+
+describe("password reset", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("emails a link on the store's site URL without returning the token", async () => {
+    const service = new AuthService();
+    jest.spyOn(service.repository, "findByEmail").mockResolvedValue({
+      _id: USER_ID,
+      name: "Jane Doe",
+      email: "jane@example.com",
+    });
+    const setToken = jest
+      .spyOn(service.repository, "setPasswordResetToken")
+      .mockResolvedValue({});
+    const emit = jest.spyOn(appEventBus, "emit").mockReturnValue(true);
+
+    const result = await service.requestPasswordReset(" Jane@Example.com ");
+
+    expect(result).toEqual({
+      message:
+        "If an account exists for this email, a reset link will be sent.",
+    });
+    const [, storedHash, expiresAt] = setToken.mock.calls[0];
+    const [event, payload] = emit.mock.calls[0];
+    expect(event).toBe(AUTH_EVENTS.PASSWORD_RESET_REQUESTED);
+    expect(storedHash).toBe(sha256(payload.token));
+    expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(
+      15 * 60 * 1000,
+    );
+
+    mockRenderContext({
+      siteName: "Mug Shop",
+      siteUrl: "https://shop.example.com",
+    });
+    const sendEmail = await deliver(event, payload);
+
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.to).toBe("jane@example.com");
+    expect(email.text).toContain(
+      `https://shop.example.com/reset-password?token=${payload.token}`,
+    );
+    expect(email.text).toContain("15 minutes");
+  });
+
+  test("unknown addresses get the same reply and no email", async () => {
+    const service = new AuthService();
+    jest.spyOn(service.repository, "findByEmail").mockResolvedValue(null);
+    const emit = jest.spyOn(appEventBus, "emit");
+
+    const result = await service.requestPasswordReset("nobody@example.com");
+
+    expect(result).not.toHaveProperty("resetToken");
+    expect(emit).not.toHaveBeenCalled();
+  });
+
+  test("a completed reset notifies the account owner", async () => {
+    const user = {
+      _id: USER_ID,
+      name: "Jane Doe",
+      email: "jane@example.com",
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    jest.spyOn(User, "findOne").mockReturnValue({
+      select: jest.fn().mockResolvedValue(user),
+    });
+    const emit = jest.spyOn(appEventBus, "emit").mockReturnValue(true);
+    const service = new AuthService();
+    const revokeSessions = jest
+      .spyOn(service.sessionRepository, "revokeAllForUser")
+      .mockResolvedValue({ modifiedCount: 2 });
+
+    await service.resetPassword("abc123", "N3w!Password");
+
+    expect(user.save).toHaveBeenCalled();
+    expect(revokeSessions).toHaveBeenCalledWith(USER_ID, "password_reset");
+    const [event, payload] = emit.mock.calls[0];
+    expect(event).toBe(AUTH_EVENTS.PASSWORD_RESET_COMPLETED);
+    expect(payload).not.toHaveProperty("token");
+
+    mockRenderContext({ siteName: "Mug Shop" });
+    const sendEmail = await deliver(event, payload);
+
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.to).toBe("jane@example.com");
+    expect(email.subject).toContain("password was changed");
+  });
+});
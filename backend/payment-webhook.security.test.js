@@ -21,6 +21,7 @@ await jest.unstable_mockModule("stripe", () => ({
 const { handleStripeWebhook } = await import("./src/routes/payment.routes.js");
 const { Setting } = await import("./src/models/Setting.js");
 const { Order } = await import("./src/models/Order.js");
+const { WebhookEvent } = await import("./src/models/WebhookEvent.js");
 const { config } = await import("./src/config/index.js");
 
 const createResponseMock = () => {
@@ -139,7 +140,24 @@ describe("Stripe webhook security", () => {
       stripeWebhookSecret: "whsec_test",
     });
     const updateSpy = jest.spyOn(Order, "updateOne").mockResolvedValue({});
+    jest.spyOn(Order, "findOne").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest
+          .fn()
+          .mockResolvedValue({ _id: "o1", paymentStatus: "unpaid" }),
+      }),
+    });
+    jest.spyOn(WebhookEvent, "create").mockResolvedValue({
+      toObject: () => ({
+        _id: "e1",
+        eventId: "evt_1",
+        type: "payment_intent.succeeded",
+        payload: { data: { object: { id: "pi_123" } } },
+      }),
+    });
+    jest.spyOn(WebhookEvent, "updateOne").mockResolvedValue({});
     constructEventMock.mockReturnValue({
+      id: "evt_1",
       type: "payment_intent.succeeded",
       data: { object: { id: "pi_123" } },
     });
@@ -153,13 +171,13 @@ describe("Stripe webhook security", () => {
     await handleStripeWebhook(req, res);
 
     expect(updateSpy).toHaveBeenCalledWith(
-      { transactionId: "pi_123" },
+      { _id: "o1", paymentStatus: "unpaid" },
       { $set: { paymentStatus: "paid" } },
     );
     // [FIX] Controller wraps result in { success: true, data: ... } per project standard
     expect(res.json).toHaveBeenCalledWith({
       success: true,
-      data: { received: true },
+      data: { received: true, status: "processed" },
     });
   });
 });
@@ -0,0 +1,132 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import {
+  PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  isStaffRole,
+} from "./src/constants/permissions.js";
+import { orderController } from "./src/controllers/OrderController.js";
+import { InventoryMovement } from "./src/models/InventoryMovement.js";
+import { ORDER_ACTOR_ROLES } from "./src/models/Order.js";
+import { requirePermission } from "./src/middleware/auth.js";
+import { AuthService } from "./src/services/AuthService.js";
+import { ReviewService } from "./src/services/ReviewService.js";
+
+const PRODUCT_ID = "64b0000000000000000000b1";
+
+const runMiddleware = (middleware, user) => {
+  const next = jest.fn();
+  middleware({ user }, {}, next);
+  return next.mock.calls[0][0];
+};
+
+describe("staff roles and permissions", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("every role is built from known permissions", () => {
+    const known = Object.values(PERMISSIONS);
+    for (const { permissions } of Object.values(ROLES)) {
+      expect(known).toEqual(expect.arrayContaining(permissions));
+    }
+    expect(ROLES.admin.permissions).toEqual(known);
+    expect(isStaffRole("user")).toBe(false);
+    expect(isStaffRole("marketing")).toBe(true);
+    expect(isStaffRole("unknown")).toBe(false);
+  });
+
+  test("requirePermission needs every listed permission", () => {
+    const refund = requirePermission(PERMISSIONS.ORDERS_REFUND);
+
+    expect(runMiddleware(refund, undefined)).toMatchObject({ statusCode: 401 });
+    expect(runMiddleware(refund, { role: "support" })).toMatchObject({
+      statusCode: 403,
+      message: expect.stringContaining("orders:refund"),
+    });
+    expect(runMiddleware(refund, { role: "order_manager" })).toBeUndefined();
+    expect(runMiddleware(refund, { role: "admin" })).toBeUndefined();
+
+    const both = requirePermission(
+      PERMISSIONS.CATALOG_MANAGE,
+      PERMISSIONS.MARKETING_MANAGE,
+    );
+    expect(runMiddleware(both, { role: "catalog_manager" })).toMatchObject({
+      statusCode: 403,
+      message: expect.not.stringContaining("catalog:manage"),
+    });
+  });
+
+  test("signed-in users carry their role's permissions", () => {
+    const service = new AuthService();
+    const user = service.sanitizeUser({
+      _id: "64b0000000000000000000a1",
+      email: "sam@example.com",
+      role: "support",
+      password: "hash",
+    });
+
+    expect(user.password).toBeUndefined();
+    expect(user.permissions).toEqual(ROLES.support.permissions);
+    expect(service.sanitizeUser({ role: "user" }).permissions).toEqual([]);
+  });
+
+  test("closing a return with a refund needs refund rights", async () => {
+    const update = jest
+      .spyOn(orderController.orderService, "updateReturnRequest")
+      .mockResolvedValue({ status: "refunded" });
+    const next = jest.fn();
+    const res = { json: jest.fn() };
+    const req = (role) => ({
+      params: { id: "o1", returnId: "r1" },
+      body: { status: "refunded" },
+      user: { _id: "u1", name: "Sam", role },
+    });
+
+    await orderController.updateReturn(req("support"), res, next);
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403 });
+    expect(update).not.toHaveBeenCalled();
+
+    await orderController.updateReturn(req("order_manager"), res, next);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(res.json).toHaveBeenCalled();
+  });
+
+  test("staff changes are recorded under the staff member's own role", async () => {
+    const update = jest
+      .spyOn(orderController.orderService, "updateReturnRequest")
+      .mockResolvedValue({ status: "approved" });
+
+    await orderController.updateReturn(
+      {
+        params: { id: "o1", returnId: "r1" },
+        body: { status: "approved" },
+        user: { _id: "u1", name: "Sam", role: "support" },
+      },
+      { json: jest.fn() },
+      jest.fn(),
+    );
+
+    expect(update.mock.calls[0][3]).toEqual({
+      userId: "u1",
+      name: "Sam",
+      role: "support",
+    });
+    const movementRoles =
+      InventoryMovement.schema.path("actor.role").enumValues;
+    for (const role of STAFF_ROLES) {
+      expect(ORDER_ACTOR_ROLES).toContain(role);
+      expect(movementRoles).toContain(role);
+    }
+  });
+
+  test("staff of any role cannot review products", async () => {
+    const service = new ReviewService();
+    await expect(
+      service.checkEligibility("u1", PRODUCT_ID, "catalog_manager"),
+    ).resolves.toEqual({
+      canReview: false,
+      reason: "Store staff cannot submit reviews",
+    });
+  });
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { logger } from "../src/utils/logger.js";
+import { Cart } from "../src/models/Cart.js";
+import { Order } from "../src/models/Order.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const isDryRun = args.includes("--dry-run");
+
+// Replaced by partial unique indexes scoped to user rows and guest rows.
+const LEGACY_INDEXES = [
+  { model: Cart, name: "userId_1_productId_1_variantId_1" },
+  { model: Order, name: "userId_1_idempotencyKey_1" },
+];
+
+async function connectToDatabase() {
+  const mongoUri =
+    process.env.MONGODB_URI || "mongodb://localhost:27017/enterprise-ecommerce";
+  await mongoose.connect(mongoUri, {
+    maxPoolSize: 10,
+    serverSelectionTimeoutMS: 5000,
+    socketTimeoutMS: 45000,
+  });
+  logger.info(`Connected to MongoDB (${mongoose.connection.name})`);
+}
+
+async function migrateIndexes({ model, name }) {
+  const indexes = await model.collection.indexes().catch(() => []);
+  const hasLegacyIndex = indexes.some((index) => index.name === name);
+
+  if (hasLegacyIndex) {
+    logger.info(`Dropping legacy ${model.modelName} index ${name}`);
+    if (!isDryRun) await model.collection.dropIndex(name);
+  } else {
+    logger.info(`Legacy ${model.modelName} index ${name} not present`);
+  }
+
+  if (isDryRun) {
+    const diff = await model.diffIndexes();
+    logger.info(
+      `[DRY RUN] ${model.modelName} indexes to create: ${diff.toCreate.length}, to drop: ${diff.toDrop.length}`,
+    );
+    return;
+  }
+
+  const dropped = await model.syncIndexes();
+  logger.info(
+    `${model.modelName} index migration complete. Dropped: ${dropped.length ? dropped.join(", ") : "none"}`,
+  );
+}
+
+async function main() {
+  logger.info("Guest Cart and Checkout Index Migration");
+  logger.info("=".repeat(40));
+  logger.info(`Mode: ${isDryRun ? "DRY RUN" : "APPLY CHANGES"}`);
+
+  try {
+    await connectToDatabase();
+    for (const legacy of LEGACY_INDEXES) {
+      await migrateIndexes(legacy);
+    }
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    logger.info("Database connection closed");
+  }
+}
+
+main();
@@ -0,0 +1,100 @@
+import { describe, expect, test } from "@jest/globals";
+import {
+  DEFAULT_SHIPPING_METHOD,
+  estimateShippingMethod,
+  quoteShippingMethod,
+} from "./src/utils/shipping.js";
+
+const expressMethod = {
+  _id: "ship-express",
+  type: "Express",
+  rateType: "flat",
+  price: 25,
+  freeShippingThreshold: null,
+  estimatedDays: 5,
+  zones: [
+    {
+      name: "Domestic",
+      countries: ["US"],
+      rateType: "weight",
+      rates: [
+        { min: 0, max: 2, price: 8 },
+        { min: 2, max: null, price: 15 },
+      ],
+      freeShippingThreshold: 150,
+      estimatedDays: 2,
+    },
+    {
+      name: "Alaska & Hawaii",
+      countries: ["US"],
+      states: ["Alaska", "Hawaii"],
+      rateType: "flat",
+      price: 30,
+      estimatedDays: 6,
+    },
+  ],
+};
+
+describe("shipping quotes", () => {
+  test("keeps the legacy flat rate and free threshold when nothing is configured", () => {
+    expect(
+      quoteShippingMethod(DEFAULT_SHIPPING_METHOD, { subTotal: 40 }).price,
+    ).toBe(10);
+    expect(
+      quoteShippingMethod(DEFAULT_SHIPPING_METHOD, { subTotal: 100 }).price,
+    ).toBe(0);
+  });
+
+  test("prices by weight tier inside the matching country zone", () => {
+    const light = quoteShippingMethod(expressMethod, {
+      country: "us",
+      state: "Texas",
+      subTotal: 60,
+      weight: 1.5,
+    });
+    const heavy = quoteShippingMethod(expressMethod, {
+      country: "US",
+      state: "Texas",
+      subTotal: 60,
+      weight: 4,
+    });
+
+    expect(light).toMatchObject({
+      methodId: "ship-express",
+      zone: "Domestic",
+      price: 8,
+      estimatedDays: 2,
+    });
+    expect(heavy.price).toBe(15);
+  });
+
+  test("prefers a state zone over the country zone and applies zone thresholds", () => {
+    expect(
+      quoteShippingMethod(expressMethod, {
+        country: "US",
+        state: "Hawaii",
+        subTotal: 60,
+      }),
+    ).toMatchObject({ zone: "Alaska & Hawaii", price: 30 });
+    expect(
+      quoteShippingMethod(expressMethod, {
+        country: "US",
+        state: "Texas",
+        subTotal: 150,
+        weight: 4,
+      }).price,
+    ).toBe(0);
+  });
+
+  test("returns null when no zone ships to the address", () => {
+    expect(
+      quoteShippingMethod(expressMethod, { country: "CA", subTotal: 60 }),
+    ).toBeNull();
+  });
+
+  test("estimates the cheapest zone before the address is known", () => {
+    expect(
+      estimateShippingMethod(expressMethod, { subTotal: 60, weight: 1 }).price,
+    ).toBe(8);
+  });
+});
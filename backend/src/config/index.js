@@ -38,6 +38,30 @@ const parsedAuthResetMax = parseInt(
     (isTestEnvironment ? "4" : "10"),
   10,
 );
+const parsedAuthVerifyEmailMax = parseInt(
+  process.env.AUTH_RATE_LIMIT_VERIFY_EMAIL_MAX ||
+    (isTestEnvironment ? "4" : "10"),
+  10,
+);
+const parsedAuthResendVerificationMax = parseInt(
+  process.env.AUTH_RATE_LIMIT_RESEND_VERIFICATION_MAX ||
+    (isTestEnvironment ? "3" : "5"),
+  10,
+);
+const parsedAuthTwoFactorMax = parseInt(
+  process.env.AUTH_RATE_LIMIT_TWO_FACTOR_MAX ||
+    (isTestEnvironment ? "4" : "10"),
+  10,
+);
+const parsedCheckoutRateWindow = parseInt(
+  process.env.CHECKOUT_RATE_LIMIT_WINDOW_MS || "900000",
+  10,
+);
+const parsedCheckoutIntentMax = parseInt(
+  process.env.CHECKOUT_RATE_LIMIT_INTENT_MAX ||
+    (isTestEnvironment ? "4" : "20"),
+  10,
+);
 const parsedSlowRouteThresholdMs = parseInt(
   process.env.SLOW_ROUTE_THRESHOLD_MS || "800",
   10,
@@ -205,10 +229,16 @@ export const config = Object.freeze({
     google: {
       clientId: process.env.GOOGLE_CLIENT_ID || "",
       clientSecret: process.env.GOOGLE_CLIENT_SECRET || "",
+      issuer: process.env.GOOGLE_OAUTH_ISSUER || "https://accounts.google.com",
     },
     facebook: {
       appId: process.env.FACEBOOK_APP_ID || "",
       appSecret: process.env.FACEBOOK_APP_SECRET || "",
+      dialogUrl:
+        process.env.FACEBOOK_OAUTH_DIALOG_URL ||
+        "https://www.facebook.com/v19.0/dialog/oauth",
+      graphUrl:
+        process.env.FACEBOOK_GRAPH_URL || "https://graph.facebook.com/v19.0",
     },
   },
 
@@ -241,6 +271,23 @@ export const config = Object.freeze({
     resetPasswordMax: Number.isNaN(parsedAuthResetMax)
       ? 10
       : parsedAuthResetMax,
+    verifyEmailMax: Number.isNaN(parsedAuthVerifyEmailMax)
+      ? 10
+      : parsedAuthVerifyEmailMax,
+    resendVerificationMax: Number.isNaN(parsedAuthResendVerificationMax)
+      ? 5
+      : parsedAuthResendVerificationMax,
+    twoFactorMax: Number.isNaN(parsedAuthTwoFactorMax)
+      ? 10
+      : parsedAuthTwoFactorMax,
+  },
+  checkoutRateLimit: {
+    windowMs: Number.isNaN(parsedCheckoutRateWindow)
+      ? 900000
+      : parsedCheckoutRateWindow,
+    intentMax: Number.isNaN(parsedCheckoutIntentMax)
+      ? 20
+      : parsedCheckoutIntentMax,
   },
 
   logLevel: process.env.LOG_LEVEL || "info",
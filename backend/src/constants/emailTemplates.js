@@ -0,0 +1,184 @@
+// Built-in customer email templates, one per event. Admins can override the
+// subject and body of each from Settings; these apply until they do and
+// again after a reset. Leaving `text` empty derives the plain-text part
+// from the HTML.
+
+export const STORE_TEMPLATE_VARIABLES = [
+  "storeName",
+  "storeLogo",
+  "storeUrl",
+  "supportEmail",
+];
+
+export const ORDER_TEMPLATE_VARIABLES = [
+  "customerName",
+  "firstName",
+  "orderNumber",
+  "orderDate",
+  "orderTotal",
+  "itemsTable",
+  "paymentLabel",
+  "paid",
+  "trackingNumber",
+  "refunded",
+];
+
+export const RETURN_TEMPLATE_VARIABLES = [
+  ...ORDER_TEMPLATE_VARIABLES,
+  "returnStatus",
+  "returnMessage",
+  "refundAmount",
+];
+
+export const BACK_IN_STOCK_TEMPLATE_VARIABLES = [
+  "productName",
+  "productUrl",
+  "sku",
+];
+
+export const ACCOUNT_TEMPLATE_VARIABLES = ["customerName", "firstName"];
+
+export const VERIFICATION_TEMPLATE_VARIABLES = [
+  ...ACCOUNT_TEMPLATE_VARIABLES,
+  "verificationUrl",
+  "expiresIn",
+];
+
+export const PASSWORD_RESET_TEMPLATE_VARIABLES = [
+  ...ACCOUNT_TEMPLATE_VARIABLES,
+  "resetUrl",
+  "expiresIn",
+];
+
+export const NEW_DEVICE_SIGN_IN_TEMPLATE_VARIABLES = [
+  ...ACCOUNT_TEMPLATE_VARIABLES,
+  "device",
+  "ipAddress",
+  "signedInAt",
+  "securityUrl",
+];
+
+const GREETING = "<p>Hi {{firstName}},</p>";
+
+export const EMAIL_TEMPLATE_DEFINITIONS = {
+  order_placed: {
+    name: "Order placed",
+    description: "Sent when a customer places an order.",
+    variables: ORDER_TEMPLATE_VARIABLES,
+    subject: "Order confirmation {{orderNumber}}",
+    html: `${GREETING}
+<p>Thank you for your order. {{#paid}}Your payment has been received and we{{/paid}}{{^paid}}We{{/paid}} will let you know when it ships.</p>
+{{itemsTable}}
+<p>Order: {{orderNumber}}<br>Total: {{orderTotal}}<br>Payment: {{paymentLabel}}</p>`,
+    text: "",
+  },
+  payment_received: {
+    name: "Payment received",
+    description:
+      "Sent when an unpaid order is marked paid by an admin or by Stripe.",
+    variables: ORDER_TEMPLATE_VARIABLES,
+    subject: "Payment received for order {{orderNumber}}",
+    html: `${GREETING}
+<p>We have received your payment of {{orderTotal}}. Thank you!</p>
+<p>Order: {{orderNumber}}</p>`,
+    text: "",
+  },
+  order_shipped: {
+    name: "Order shipped",
+    description: "Sent when an order is marked shipped.",
+    variables: ORDER_TEMPLATE_VARIABLES,
+    subject: "Your order {{orderNumber}} has shipped",
+    html: `${GREETING}
+<p>Your order is on its way.</p>
+<p>Order: {{orderNumber}}{{#trackingNumber}}<br>Tracking number: {{trackingNumber}}{{/trackingNumber}}</p>`,
+    text: "",
+  },
+  order_delivered: {
+    name: "Order delivered",
+    description: "Sent when an order is marked delivered.",
+    variables: ORDER_TEMPLATE_VARIABLES,
+    subject: "Your order {{orderNumber}} has been delivered",
+    html: `${GREETING}
+<p>Your order has been delivered. We hope you enjoy it!</p>
+<p>Order: {{orderNumber}}</p>`,
+    text: "",
+  },
+  order_cancelled: {
+    name: "Order cancelled",
+    description: "Sent when an order is cancelled by the customer or an admin.",
+    variables: ORDER_TEMPLATE_VARIABLES,
+    subject: "Your order {{orderNumber}} has been cancelled",
+    html: `${GREETING}
+<p>Your order has been cancelled{{#refunded}} and your payment refunded{{/refunded}}.</p>
+<p>Order: {{orderNumber}}</p>`,
+    text: "",
+  },
+  return_update: {
+    name: "Return update",
+    description: "Sent at each step of a return request.",
+    variables: RETURN_TEMPLATE_VARIABLES,
+    subject: "Return update for order {{orderNumber}}",
+    html: `${GREETING}
+<p>{{returnMessage}}</p>
+<p>Order: {{orderNumber}}<br>Return status: {{returnStatus}}</p>`,
+    text: "",
+  },
+  back_in_stock: {
+    name: "Back in stock",
+    description:
+      "Sent once to each shopper who asked to hear when an item returns.",
+    variables: BACK_IN_STOCK_TEMPLATE_VARIABLES,
+    subject: "Back in stock: {{productName}}",
+    html: `<p>Good news! <strong>{{productName}}</strong> is back in stock.</p>
+<p><a href="{{productUrl}}">Order it now</a></p>
+<p>You asked us to let you know once; we will not email you about it again.</p>`,
+    text: "",
+  },
+  email_verification: {
+    name: "Email verification",
+    description:
+      "Sent when a customer registers or asks for a new verification link.",
+    variables: VERIFICATION_TEMPLATE_VARIABLES,
+    subject: "Confirm your email address",
+    html: `${GREETING}
+<p>Please confirm your email address to finish setting up your account.</p>
+<p><a href="{{verificationUrl}}">Verify my email</a></p>
+<p>This link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.</p>`,
+    text: "",
+  },
+  password_reset: {
+    name: "Password reset",
+    description: "Sent when someone asks to reset an account's password.",
+    variables: PASSWORD_RESET_TEMPLATE_VARIABLES,
+    subject: "Reset your password",
+    html: `${GREETING}
+<p>We received a request to reset the password for your account.</p>
+<p><a href="{{resetUrl}}">Choose a new password</a></p>
+<p>This link expires in {{expiresIn}} and works once. If you did not ask for it, you can ignore this email; your password stays the same.</p>`,
+    text: "",
+  },
+  password_changed: {
+    name: "Password changed",
+    description: "Sent after an account's password has been reset.",
+    variables: ACCOUNT_TEMPLATE_VARIABLES,
+    subject: "Your password was changed",
+    html: `${GREETING}
+<p>The password for your account was just reset, and you have been signed out on other devices.</p>
+<p>If this was not you, reset your password again right away{{#supportEmail}} and contact us at {{supportEmail}}{{/supportEmail}}.</p>`,
+    text: "",
+  },
+  new_device_sign_in: {
+    name: "New device sign-in",
+    description:
+      "Sent when an account is signed in to from a device it has not used before.",
+    variables: NEW_DEVICE_SIGN_IN_TEMPLATE_VARIABLES,
+    subject: "New sign-in to your account",
+    html: `${GREETING}
+<p>Your account was just signed in to from a new device.</p>
+<p>Device: {{device}}<br>IP address: {{ipAddress}}<br>Time: {{signedInAt}}</p>
+<p>If this was you, there is nothing to do. If not, <a href="{{securityUrl}}">sign that device out and change your password</a> right away.</p>`,
+    text: "",
+  },
+};
+
+export const EMAIL_TEMPLATE_KEYS = Object.keys(EMAIL_TEMPLATE_DEFINITIONS);
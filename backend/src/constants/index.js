@@ -56,6 +56,8 @@ export const PAYMENT_STATUS = {
   FAILED: "failed",
   REFUNDED: "refunded",
   PARTIALLY_REFUNDED: "partially_refunded",
+  DISPUTED: "disputed",
+  CHARGED_BACK: "charged_back",
 };
 
 export const PAYMENT_METHODS = {
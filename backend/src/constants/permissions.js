@@ -0,0 +1,75 @@
+/**
+ * Staff access is granted per permission, and a role is a named set of
+ * permissions. Routes declare what they need with `requirePermission`;
+ * nothing checks role names directly.
+ */
+export const PERMISSIONS = Object.freeze({
+  CATALOG_MANAGE: "catalog:manage",
+  INVENTORY_MANAGE: "inventory:manage",
+  ORDERS_VIEW: "orders:view",
+  ORDERS_MANAGE: "orders:manage",
+  ORDERS_REFUND: "orders:refund",
+  PAYMENTS_MANAGE: "payments:manage",
+  REVIEWS_MODERATE: "reviews:moderate",
+  MARKETING_MANAGE: "marketing:manage",
+  EMAIL_TEMPLATES_MANAGE: "email_templates:manage",
+  SHIPPING_MANAGE: "shipping:manage",
+  TAX_MANAGE: "tax:manage",
+  USERS_VIEW: "users:view",
+  USERS_MANAGE: "users:manage",
+  SETTINGS_MANAGE: "settings:manage",
+  AUDIT_VIEW: "audit:view",
+});
+
+const ALL_PERMISSIONS = Object.freeze(Object.values(PERMISSIONS));
+
+export const ROLES = Object.freeze({
+  admin: { label: "Administrator", permissions: ALL_PERMISSIONS },
+  catalog_manager: {
+    label: "Catalog Manager",
+    permissions: [
+      PERMISSIONS.CATALOG_MANAGE,
+      PERMISSIONS.INVENTORY_MANAGE,
+      PERMISSIONS.REVIEWS_MODERATE,
+    ],
+  },
+  order_manager: {
+    label: "Order Manager",
+    permissions: [
+      PERMISSIONS.ORDERS_VIEW,
+      PERMISSIONS.ORDERS_MANAGE,
+      PERMISSIONS.ORDERS_REFUND,
+      PERMISSIONS.INVENTORY_MANAGE,
+      PERMISSIONS.SHIPPING_MANAGE,
+    ],
+  },
+  support: {
+    label: "Support",
+    permissions: [
+      PERMISSIONS.ORDERS_VIEW,
+      PERMISSIONS.ORDERS_MANAGE,
+      PERMISSIONS.USERS_VIEW,
+      PERMISSIONS.REVIEWS_MODERATE,
+    ],
+  },
+  marketing: {
+    label: "Marketing",
+    permissions: [
+      PERMISSIONS.MARKETING_MANAGE,
+      PERMISSIONS.EMAIL_TEMPLATES_MANAGE,
+    ],
+  },
+  user: { label: "Customer", permissions: [] },
+});
+
+export const ROLE_NAMES = Object.freeze(Object.keys(ROLES));
+
+export const permissionsForRole = (role) => ROLES[role]?.permissions ?? [];
+
+export const hasPermission = (role, permission) =>
+  permissionsForRole(role).includes(permission);
+
+// Any role with at least one permission uses the admin panel.
+export const isStaffRole = (role) => permissionsForRole(role).length > 0;
+
+export const STAFF_ROLES = Object.freeze(ROLE_NAMES.filter(isStaffRole));
@@ -0,0 +1,24 @@
+import { AuditLogService } from "../services/AuditLogService.js";
+import { asyncHandler, ApiResponse } from "../utils/AppError.js";
+
+const service = new AuditLogService();
+
+export class AuditLogController {
+  index = asyncHandler(async (req, res) => {
+    const { page, limit, user, entityType, entityId, action, from, to } =
+      req.query;
+    const result = await service.list({
+      page: Number(page) || 1,
+      limit: Number(limit) || 20,
+      user,
+      entityType,
+      entityId,
+      action,
+      from,
+      to,
+    });
+    ApiResponse.paginated(res, result.entries, result.pagination);
+  });
+}
+
+export const auditLogController = new AuditLogController();
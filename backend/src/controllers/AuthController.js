@@ -1,5 +1,18 @@
 import { BaseController } from "../core/BaseController.js";
 import { AuthService } from "../services/AuthService.js";
+import { CartService } from "../services/CartService.js";
+import {
+  OAUTH_CHALLENGE_COOKIE_NAME,
+  OAUTH_STATE_COOKIE_NAME,
+  OAUTH_STATE_TTL_MINUTES,
+  OAuthService,
+} from "../services/OAuthService.js";
+import { TWO_FACTOR_CHALLENGE_TTL_MINUTES } from "../services/TwoFactorService.js";
+import {
+  GUEST_CART_COOKIE_NAME,
+  getGuestCartCookieOptions,
+  readGuestCartId,
+} from "../middleware/guestCart.js";
 import { logger } from "../utils/logger.js";
 import { AppError } from "../utils/AppError.js";
 import { config } from "../config/index.js";
@@ -8,6 +21,51 @@ export class AuthController extends BaseController {
   constructor() {
     const authService = new AuthService();
     super(authService);
+    this.cartService = new CartService();
+    this.oauthService = new OAuthService(authService);
+  }
+
+  // The state cookie only needs to reach the callback, which the provider
+  // opens as a top-level navigation, so "lax" is enough.
+  oauthStateCookieOptions() {
+    return {
+      httpOnly: true,
+      secure: config.nodeEnv === "production",
+      sameSite: "lax",
+      path: `/api/${config.apiVersion}/auth/oauth`,
+    };
+  }
+
+  // Labels the session this request opens in the user's device list.
+  clientInfo(req) {
+    return { userAgent: req.headers?.["user-agent"], ip: req.ip };
+  }
+
+  setSessionCookies(res, result) {
+    this.setTokenCookie(res, "accessToken", result.accessToken, {
+      maxAge: config.jwt.expireMs,
+    });
+    if (result.refreshToken) {
+      this.setTokenCookie(res, "refreshToken", result.refreshToken, {
+        maxAge: config.jwt.refreshExpireMs,
+      });
+    }
+  }
+
+  // A failed merge must not block sign-in; the guest rows expire on their own.
+  async mergeGuestCart(req, res, userId) {
+    const guestId = readGuestCartId(req);
+    if (!guestId) return null;
+    try {
+      const result = await this.cartService.mergeGuestCart(guestId, userId);
+      res.clearCookie(GUEST_CART_COOKIE_NAME, getGuestCartCookieOptions());
+      return result;
+    } catch (error) {
+      logger.warn(`Guest cart merge failed for user ${userId}`, {
+        error: error.message,
+      });
+      return null;
+    }
   }
 
   register = this.catchAsync(async (req, res) => {
@@ -15,11 +73,10 @@ export class AuthController extends BaseController {
 
     this.validateRequiredFields(req.body, ["name", "email", "password"]);
 
-    const { user, accessToken, expiresIn } = await this.service.register({
-      name,
-      email,
-      password,
-    });
+    const { user, accessToken, expiresIn } = await this.service.register(
+      { name, email, password },
+      this.clientInfo(req),
+    );
 
     this.setTokenCookie(res, "accessToken", accessToken, {
       maxAge: config.jwt.expireMs,
@@ -27,9 +84,11 @@ export class AuthController extends BaseController {
 
     this.logAction("User Registration", { email, userId: user._id });
 
+    const cartMerge = await this.mergeGuestCart(req, res, user._id);
+
     this.sendSuccess(
       res,
-      { user, expiresIn },
+      { user, expiresIn, ...(cartMerge && { cartMerge }) },
       201,
       "User registered successfully",
     );
@@ -44,7 +103,23 @@ export class AuthController extends BaseController {
       rememberMeRaw === true || rememberMeRaw === "true" || rememberMeRaw === 1,
     );
 
-    const result = await this.service.login(email, password, rememberMe);
+    const result = await this.service.login(
+      email,
+      password,
+      rememberMe,
+      this.clientInfo(req),
+    );
+
+    // The password was right but no session exists until the second step.
+    if (result.twoFactor) {
+      this.logAction("Two-Factor Challenge Issued", { email });
+      return this.sendSuccess(
+        res,
+        { twoFactor: result.twoFactor },
+        200,
+        "Two-factor authentication required",
+      );
+    }
 
     this.logAction("User Login", {
       email,
@@ -53,15 +128,9 @@ export class AuthController extends BaseController {
       hasRefreshToken: !!result.refreshToken,
     });
 
-    this.setTokenCookie(res, "accessToken", result.accessToken, {
-      maxAge: config.jwt.expireMs,
-    });
+    this.setSessionCookies(res, result);
 
-    if (rememberMe && result.refreshToken) {
-      this.setTokenCookie(res, "refreshToken", result.refreshToken, {
-        maxAge: config.jwt.refreshExpireMs,
-      });
-    }
+    const cartMerge = await this.mergeGuestCart(req, res, result.user._id);
 
     this.sendSuccess(
       res,
@@ -71,6 +140,7 @@ export class AuthController extends BaseController {
         ...(result.refreshToken && {
           refreshExpiresIn: result.refreshExpiresIn,
         }),
+        ...(cartMerge && { cartMerge }),
       },
       200,
       rememberMe
@@ -79,6 +149,99 @@ export class AuthController extends BaseController {
     );
   });
 
+  twoFactorLogin = this.catchAsync(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    this.validateRequiredFields(req.body, ["challengeToken"]);
+    if (!code && !recoveryCode) {
+      throw new AppError("Enter an authentication or recovery code", 400);
+    }
+
+    const result = await this.service.completeTwoFactorSignIn(
+      challengeToken,
+      { code, recoveryCode },
+      this.clientInfo(req),
+    );
+    this.setSessionCookies(res, result);
+    this.logAction("User Login", {
+      userId: result.user._id,
+      twoFactor: true,
+      hasRefreshToken: !!result.refreshToken,
+    });
+
+    const cartMerge = await this.mergeGuestCart(req, res, result.user._id);
+    this.sendSuccess(
+      res,
+      {
+        user: result.user,
+        expiresIn: result.expiresIn,
+        ...(result.refreshToken && {
+          refreshExpiresIn: result.refreshExpiresIn,
+        }),
+        ...(result.recoveryCodes && { recoveryCodes: result.recoveryCodes }),
+        ...(cartMerge && { cartMerge }),
+      },
+      200,
+      "Login successful",
+    );
+  });
+
+  // QR code for an admin who must enroll before their first sign-in.
+  twoFactorLoginSetup = this.catchAsync(async (req, res) => {
+    this.validateRequiredFields(req.body, ["challengeToken"]);
+    const setup = await this.service.beginTwoFactorEnrollment(
+      req.body.challengeToken,
+    );
+    this.sendSuccess(res, setup, 200);
+  });
+
+  getTwoFactor = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const twoFactor = await this.service.twoFactorService.getStatus(userId);
+    this.sendSuccess(res, { twoFactor }, 200);
+  });
+
+  setupTwoFactor = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const setup = await this.service.twoFactorService.beginSetup(userId);
+    this.sendSuccess(res, setup, 200);
+  });
+
+  enableTwoFactor = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    this.validateRequiredFields(req.body, ["code"]);
+
+    const result = await this.service.twoFactorService.enable(
+      userId,
+      req.body.code,
+    );
+    this.logAction("Two-Factor Enabled", { userId });
+    this.sendSuccess(res, result, 200, "Two-factor authentication turned on");
+  });
+
+  disableTwoFactor = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { code, recoveryCode } = req.body || {};
+
+    const result = await this.service.twoFactorService.disable(userId, {
+      code,
+      recoveryCode,
+    });
+    this.logAction("Two-Factor Disabled", { userId });
+    this.sendSuccess(res, result, 200);
+  });
+
+  regenerateRecoveryCodes = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { code, recoveryCode } = req.body || {};
+
+    const result = await this.service.twoFactorService.regenerateRecoveryCodes(
+      userId,
+      { code, recoveryCode },
+    );
+    this.logAction("Recovery Codes Regenerated", { userId });
+    this.sendSuccess(res, result, 200, "New recovery codes generated");
+  });
+
   getProfile = this.catchAsync(async (req, res) => {
     const userId = this.getUserId(req);
 
@@ -118,7 +281,7 @@ export class AuthController extends BaseController {
   logout = this.catchAsync(async (req, res) => {
     const userId = this.getUserId(req);
 
-    await this.service.revokeRefreshToken(userId);
+    await this.service.logout(userId, req.sessionId);
 
     this.clearTokenCookie(res, "accessToken");
     this.clearTokenCookie(res, "refreshToken");
@@ -128,6 +291,53 @@ export class AuthController extends BaseController {
     this.sendSuccess(res, { message: "Logged out successfully" }, 200);
   });
 
+  getSessions = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const sessions = await this.service.listSessions(userId, req.sessionId);
+    this.sendSuccess(res, { sessions }, 200);
+  });
+
+  getLoginHistory = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const history = await this.service.getLoginHistory(userId, {
+      page: Number(req.query.page) || 1,
+      limit: Number(req.query.limit) || 20,
+    });
+    this.sendSuccess(res, history, 200);
+  });
+
+  revokeSession = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { sessionId } = req.params;
+
+    const result = await this.service.revokeSession(userId, sessionId);
+    if (String(sessionId) === String(req.sessionId)) {
+      this.clearTokenCookie(res, "accessToken");
+      this.clearTokenCookie(res, "refreshToken");
+    }
+
+    this.logAction("Session Revoked", { userId, sessionId });
+    this.sendSuccess(res, result, 200);
+  });
+
+  // `?keepCurrent=true` signs out every other device and leaves this one.
+  revokeAllSessions = this.catchAsync(async (req, res) => {
+    const userId = this.getUserId(req);
+    const keepCurrent =
+      req.query.keepCurrent === "true" && Boolean(req.sessionId);
+
+    const result = await this.service.revokeAllSessions(userId, {
+      exceptSessionId: keepCurrent ? req.sessionId : null,
+    });
+    if (!keepCurrent) {
+      this.clearTokenCookie(res, "accessToken");
+      this.clearTokenCookie(res, "refreshToken");
+    }
+
+    this.logAction("All Sessions Revoked", { userId, keepCurrent });
+    this.sendSuccess(res, result, 200);
+  });
+
   refreshToken = this.catchAsync(async (req, res) => {
     const refreshToken = req.cookies?.refreshToken;
 
@@ -135,7 +345,10 @@ export class AuthController extends BaseController {
       throw new AppError("Refresh token is required", 401);
     }
 
-    const result = await this.service.refreshAccessToken(refreshToken);
+    const result = await this.service.refreshAccessToken(
+      refreshToken,
+      this.clientInfo(req),
+    );
 
     this.setTokenCookie(res, "accessToken", result.accessToken, {
       maxAge: config.jwt.expireMs,
@@ -183,6 +396,147 @@ export class AuthController extends BaseController {
     this.sendSuccess(res, result, 200);
   });
 
+  verifyEmail = this.catchAsync(async (req, res) => {
+    this.validateRequiredFields(req.body, ["token"]);
+
+    const result = await this.service.verifyEmail(req.body.token);
+    this.logAction("Email Verified", { userId: result.user._id });
+
+    this.sendSuccess(res, { user: result.user }, 200, result.message);
+  });
+
+  resendVerification = this.catchAsync(async (req, res) => {
+    const result = await this.service.resendEmailVerification({
+      userId: req.user?._id,
+      email: req.body?.email,
+    });
+    this.logAction("Verification Email Requested", {
+      userId: req.user?._id,
+    });
+
+    this.sendSuccess(res, result, 200);
+  });
+
+  oauthProviders = this.catchAsync(async (req, res) => {
+    const providers = await this.oauthService.listProviders();
+    this.sendSuccess(res, { providers }, 200);
+  });
+
+  // The browser reaches both OAuth steps by navigation, so every outcome
+  // redirects back to the storefront instead of answering with JSON.
+  redirectToOAuthResult(res, params) {
+    const target = new URL("/oauth/callback", config.frontendUrl);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) target.searchParams.set(key, value);
+    });
+    res.redirect(302, target.toString());
+  }
+
+  oauthErrorMessage(error, provider) {
+    if (error instanceof AppError && error.statusCode < 500) {
+      return error.message;
+    }
+    logger.warn(`OAuth sign-in with ${provider} failed`, {
+      error: error.message,
+    });
+    return "Sign-in failed. Please try again.";
+  }
+
+  oauthStart = async (req, res) => {
+    const { provider } = req.params;
+    try {
+      const { url, stateToken } = await this.oauthService.beginAuthorization(
+        provider,
+        {
+          rememberMe: req.query.rememberMe === "true",
+          returnTo: req.query.returnTo,
+        },
+      );
+      res.cookie(OAUTH_STATE_COOKIE_NAME, stateToken, {
+        ...this.oauthStateCookieOptions(),
+        maxAge: OAUTH_STATE_TTL_MINUTES * 60 * 1000,
+      });
+      res.redirect(302, url);
+    } catch (error) {
+      this.redirectToOAuthResult(res, {
+        error: this.oauthErrorMessage(error, provider),
+      });
+    }
+  };
+
+  oauthCallback = async (req, res) => {
+    const { provider } = req.params;
+    const stateToken = req.cookies?.[OAUTH_STATE_COOKIE_NAME];
+    res.clearCookie(OAUTH_STATE_COOKIE_NAME, this.oauthStateCookieOptions());
+
+    try {
+      if (req.query.error) {
+        throw new AppError("Sign-in was cancelled", 400);
+      }
+      const result = await this.oauthService.completeAuthorization(provider, {
+        code: req.query.code,
+        state: req.query.state,
+        stateToken,
+        client: this.clientInfo(req),
+      });
+
+      // The challenge stays out of the redirect URL, where it would end up
+      // in history, logs and Referer headers; the login page collects it
+      // from `POST /oauth/challenge` and asks for the code.
+      if (result.twoFactor) {
+        res.cookie(
+          OAUTH_CHALLENGE_COOKIE_NAME,
+          result.twoFactor.challengeToken,
+          {
+            ...this.oauthStateCookieOptions(),
+            maxAge: TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60 * 1000,
+          },
+        );
+        this.redirectToOAuthResult(res, {
+          twoFactor: "1",
+          returnTo: result.returnTo,
+        });
+        return;
+      }
+
+      this.setSessionCookies(res, result);
+      this.logAction("User Login", { provider, userId: result.user._id });
+
+      const cartMerge = await this.mergeGuestCart(req, res, result.user._id);
+      this.redirectToOAuthResult(res, {
+        returnTo: result.returnTo,
+        cartAdjusted: cartMerge?.adjusted || cartMerge?.dropped ? "1" : "",
+      });
+    } catch (error) {
+      this.redirectToOAuthResult(res, {
+        error: this.oauthErrorMessage(error, provider),
+      });
+    }
+  };
+
+  // Hands a social sign-in's two-factor challenge to the page once.
+  oauthChallenge = this.catchAsync(async (req, res) => {
+    const challengeToken = req.cookies?.[OAUTH_CHALLENGE_COOKIE_NAME];
+    res.clearCookie(
+      OAUTH_CHALLENGE_COOKIE_NAME,
+      this.oauthStateCookieOptions(),
+    );
+
+    const challenge =
+      this.service.twoFactorService.readChallenge(challengeToken);
+    this.sendSuccess(
+      res,
+      {
+        twoFactor: {
+          required: true,
+          enrolled: challenge.enrolled !== false,
+          challengeToken,
+        },
+      },
+      200,
+    );
+  });
+
   getAddresses = this.catchAsync(async (req, res) => {
     const userId = this.getUserId(req);
     const addresses = await this.service.getAddresses(userId);
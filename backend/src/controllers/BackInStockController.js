@@ -0,0 +1,36 @@
+import { BackInStockService } from "../services/BackInStockService.js";
+import { asyncHandler, ApiResponse } from "../utils/AppError.js";
+
+const service = new BackInStockService();
+
+export class BackInStockController {
+  subscribe = asyncHandler(async (req, res) => {
+    const { productId, variantId, email } = req.body;
+    const subscription = await service.subscribe({
+      productId,
+      variantId: variantId || null,
+      email,
+      user: req.user || null,
+    });
+    ApiResponse.created(
+      res,
+      {
+        _id: subscription._id,
+        productId: subscription.productId,
+        variantId: subscription.variantId,
+        email: subscription.email,
+        status: subscription.status,
+      },
+      "We will email you when this item is back in stock",
+    );
+  });
+
+  demand = asyncHandler(async (req, res) => {
+    const rows = await service.getDemandReport({
+      limit: Number(req.query.limit) || 20,
+    });
+    ApiResponse.success(res, rows);
+  });
+}
+
+export const backInStockController = new BackInStockController();
@@ -8,13 +8,13 @@ export class CartController extends BaseController {
   }
 
   index = this.catchAsync(async (req, res) => {
-    const userId = this.getUserId(req);
-    const data = await this.service.getCartForUser(userId);
+    const owner = this.getCartOwner(req);
+    const data = await this.service.getCartForUser(owner);
     this.sendSuccess(res, data);
   });
 
   addItem = this.catchAsync(async (req, res) => {
-    const userId = this.getUserId(req);
+    const owner = this.getCartOwner(req);
     const { productId, variantId = null, quantity = 1 } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(productId)) {
@@ -28,7 +28,7 @@ export class CartController extends BaseController {
         .json({ success: false, message: "Invalid variant ID" });
     }
 
-    const data = await this.service.addItem(userId, {
+    const data = await this.service.addItem(owner, {
       productId,
       variantId,
       quantity,
@@ -37,7 +37,7 @@ export class CartController extends BaseController {
   });
 
   updateItem = this.catchAsync(async (req, res) => {
-    const userId = this.getUserId(req);
+    const owner = this.getCartOwner(req);
     const { id } = req.params;
     const { quantity } = req.body;
 
@@ -47,12 +47,12 @@ export class CartController extends BaseController {
         .json({ success: false, message: "Invalid cart item ID" });
     }
 
-    const data = await this.service.updateItemQuantity(userId, id, quantity);
+    const data = await this.service.updateItemQuantity(owner, id, quantity);
     this.sendSuccess(res, data, 200, "Cart item updated");
   });
 
   removeItem = this.catchAsync(async (req, res) => {
-    const userId = this.getUserId(req);
+    const owner = this.getCartOwner(req);
     const { id } = req.params;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -61,13 +61,13 @@ export class CartController extends BaseController {
         .json({ success: false, message: "Invalid cart item ID" });
     }
 
-    const data = await this.service.removeItem(userId, id);
+    const data = await this.service.removeItem(owner, id);
     this.sendSuccess(res, data, 200, "Item removed from cart");
   });
 
   clear = this.catchAsync(async (req, res) => {
-    const userId = this.getUserId(req);
-    const data = await this.service.clearCart(userId);
+    const owner = this.getCartOwner(req);
+    const data = await this.service.clearCart(owner);
     this.sendSuccess(res, data, 200, "Cart cleared");
   });
 }
@@ -5,6 +5,12 @@ import { Category } from "../models/Category.js";
 import { Product } from "../models/Product.js";
 import { AppError } from '../utils/AppError.js';
 import { logger } from "../utils/logger.js";
+import { invalidateCache } from "../middleware/cache.js";
+import { config } from "../config/index.js";
+
+// Storefront product responses embed campaign prices.
+const invalidateProductResponses = () =>
+  invalidateCache(`/api/${config.apiVersion}/products`);
 
 export class DiscountController extends BaseController {
   constructor() {
@@ -103,12 +109,15 @@ export class DiscountController extends BaseController {
         startsAt: req.body.startsAt,
         endsAt: req.body.endsAt,
         isActive: req.body.isActive !== false,
+        priority: req.body.priority,
         applyToCategories: req.body.categories !== undefined,
         applyToProducts: req.body.products !== undefined,
         categoryIds: req.body.categories,
         productIds: req.body.products,
       });
 
+      invalidateProductResponses();
+
       const populated = await Discount.findById(created._id)
         .populate("categories", "_id title slug")
         .populate("products", "_id title slug status")
@@ -142,12 +151,15 @@ export class DiscountController extends BaseController {
           req.body.isActive !== undefined
             ? Boolean(req.body.isActive)
             : undefined,
+        priority: req.body.priority,
         applyToCategories: req.body.categories !== undefined,
         applyToProducts: req.body.products !== undefined,
         categoryIds: req.body.categories,
         productIds: req.body.products,
       });
 
+      invalidateProductResponses();
+
       const populated = await Discount.findById(updated._id)
         .populate("categories", "_id title slug")
         .populate("products", "_id title slug status")
@@ -172,6 +184,7 @@ export class DiscountController extends BaseController {
   async destroy(req, res, next) {
     try {
       await this.discountService.deleteDiscount(req.params.id);
+      invalidateProductResponses();
 
       return res.json({
         success: true,
@@ -0,0 +1,42 @@
+import { EmailTemplateService } from "../services/EmailTemplateService.js";
+import { asyncHandler, ApiResponse } from "../utils/AppError.js";
+
+const service = new EmailTemplateService();
+
+export class EmailTemplateController {
+  index = asyncHandler(async (req, res) => {
+    ApiResponse.success(res, await service.listTemplates());
+  });
+
+  show = asyncHandler(async (req, res) => {
+    ApiResponse.success(res, await service.getTemplate(req.params.key));
+  });
+
+  update = asyncHandler(async (req, res) => {
+    const template = await service.updateTemplate(
+      req.params.key,
+      req.body,
+      req.user?._id || null,
+    );
+    ApiResponse.success(res, template, "Email template saved");
+  });
+
+  reset = asyncHandler(async (req, res) => {
+    const template = await service.resetTemplate(req.params.key);
+    ApiResponse.success(res, template, "Email template reset to default");
+  });
+
+  preview = asyncHandler(async (req, res) => {
+    ApiResponse.success(
+      res,
+      await service.previewTemplate(req.params.key, req.body),
+    );
+  });
+
+  sendTest = asyncHandler(async (req, res) => {
+    await service.sendTestEmail(req.params.key, req.body);
+    ApiResponse.success(res, null, `Test email sent to ${req.body.to}`);
+  });
+}
+
+export const emailTemplateController = new EmailTemplateController();
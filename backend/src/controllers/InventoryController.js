@@ -0,0 +1,52 @@
+import { BaseController } from "../core/BaseController.js";
+import { InventoryService } from "../services/InventoryService.js";
+import { asyncHandler, ApiResponse } from "../utils/AppError.js";
+
+const service = new InventoryService();
+
+export class InventoryController extends BaseController {
+  index = asyncHandler(async (req, res) => {
+    const { page, limit, search, lowStock, threshold } = req.query;
+    const result = await service.listStock({
+      page: Number(page) || 1,
+      limit: Number(limit) || 20,
+      search,
+      lowStock: lowStock === true || lowStock === "true",
+      threshold,
+    });
+    ApiResponse.paginated(res, result.items, result.pagination);
+  });
+
+  adjust = asyncHandler(async (req, res) => {
+    const { adjustments, reason, note } = req.body;
+    const result = await service.adjustStock(
+      adjustments,
+      { reason, note },
+      this.getActor(req),
+    );
+    ApiResponse.success(
+      res,
+      result,
+      result.failed
+        ? `${result.applied} adjustment(s) applied, ${result.failed} failed`
+        : `${result.applied} adjustment(s) applied`,
+    );
+  });
+
+  movements = asyncHandler(async (req, res) => {
+    const { page, limit, productId, variantId, sku, reason, orderId } =
+      req.query;
+    const result = await service.listMovements({
+      page: Number(page) || 1,
+      limit: Number(limit) || 20,
+      productId,
+      variantId,
+      sku,
+      reason,
+      orderId,
+    });
+    ApiResponse.paginated(res, result.movements, result.pagination);
+  });
+}
+
+export const inventoryController = new InventoryController();
@@ -1,11 +1,14 @@
 import mongoose from "mongoose";
 import { BaseController } from "../core/BaseController.js";
 import { OrderService } from "../services/OrderService.js";
-import { Order } from "../models/Order.js";
+import {
+  Order,
+  MANUAL_PAYMENT_STATUSES,
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+} from "../models/Order.js";
 import { AppError } from '../utils/AppError.js';
-
-const ORDER_STATUSES = ["new", "process", "delivered", "cancelled"];
-const PAYMENT_STATUSES = ["paid", "unpaid"];
+import { hasPermission, PERMISSIONS } from "../constants/permissions.js";
 
 const parsePagination = (query, defaultLimit = 20, maxLimit = 100) => {
   const page = Math.max(1, Number.parseInt(query.page, 10) || 1);
@@ -54,35 +57,6 @@ const buildSearchQuery = (search = "") => {
   };
 };
 
-const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
-
-const resolveOrderItemPricing = (product, variantId = null) => {
-  if (variantId) {
-    const variant = (product.variants || []).find(
-      (item) => item._id.toString() === variantId.toString(),
-    );
-    if (!product.hasVariants || !variant || variant.status !== "active") {
-      return null;
-    }
-
-    return {
-      price: round(variant.price * (1 - (variant.discount || 0) / 100)),
-      stock: Number(variant.stock || 0),
-      variantId: variant._id,
-    };
-  }
-
-  if (product.hasVariants) {
-    return null;
-  }
-
-  return {
-    price: round(product.basePrice * (1 - (product.baseDiscount || 0) / 100)),
-    stock: Number(product.baseStock || 0),
-    variantId: null,
-  };
-};
-
 export class OrderController extends BaseController {
   constructor() {
     const orderService = new OrderService();
@@ -92,13 +66,13 @@ export class OrderController extends BaseController {
 
   async store(req, res, next) {
     try {
-      const userId = req.user?._id || req.user?.id;
+      const owner = this.getCartOwner(req);
       const idempotencyKey = String(req.headers["idempotency-key"] || "")
         .trim()
         .slice(0, 120);
 
       const result = await this.orderService.createOrder(
-        userId,
+        owner,
         req.body,
         idempotencyKey,
       );
@@ -204,6 +178,32 @@ export class OrderController extends BaseController {
     }
   }
 
+  async cancel(req, res, next) {
+    try {
+      const userId = req.user?._id || req.user?.id;
+      const order = await this.orderService.cancelOrder(req.params.id, {
+        userId,
+        actor: { userId, name: req.user?.name, role: "customer" },
+        note: req.body?.reason,
+      });
+
+      return res.json({
+        success: true,
+        message:
+          order.paymentStatus === "refunded"
+            ? "Order cancelled and payment refunded"
+            : "Order cancelled",
+        data: order,
+      });
+    } catch (error) {
+      return next(
+        error instanceof AppError
+          ? error
+          : new AppError("Failed to cancel order", 500),
+      );
+    }
+  }
+
   async requestReturn(req, res, next) {
     try {
       const userId = req.user?._id || req.user?.id;
@@ -297,6 +297,11 @@ export class OrderController extends BaseController {
                 $cond: [{ $eq: ["$status", "process"] }, 1, 0],
               },
             },
+            shippedOrders: {
+              $sum: {
+                $cond: [{ $eq: ["$status", "shipped"] }, 1, 0],
+              },
+            },
             deliveredOrders: {
               $sum: {
                 $cond: [{ $eq: ["$status", "delivered"] }, 1, 0],
@@ -319,6 +324,7 @@ export class OrderController extends BaseController {
           paidOrders: summary?.paidOrders || 0,
           newOrders: summary?.newOrders || 0,
           processingOrders: summary?.processingOrders || 0,
+          shippedOrders: summary?.shippedOrders || 0,
           deliveredOrders: summary?.deliveredOrders || 0,
           cancelledOrders: summary?.cancelledOrders || 0,
         },
@@ -331,7 +337,7 @@ export class OrderController extends BaseController {
   async updateStatus(req, res, next) {
     try {
       const { id } = req.params;
-      const { status, paymentStatus } = req.body;
+      const { status, paymentStatus, notes, trackingNumber } = req.body;
 
       if (!mongoose.Types.ObjectId.isValid(id)) {
         return next(new AppError("Invalid order ID", 400));
@@ -343,35 +349,95 @@ export class OrderController extends BaseController {
 
       if (
         paymentStatus !== undefined &&
-        !PAYMENT_STATUSES.includes(paymentStatus)
+        !MANUAL_PAYMENT_STATUSES.includes(paymentStatus)
       ) {
         return next(new AppError("Invalid payment status", 422));
       }
 
-      const update = {};
-      if (status !== undefined) update.status = status;
-      if (paymentStatus !== undefined) update.paymentStatus = paymentStatus;
+      const order = await this.orderService.updateOrderStatus(
+        id,
+        { status, paymentStatus, note: notes, trackingNumber },
+        this.getActor(req),
+      );
 
-      const order = await Order.findByIdAndUpdate(id, update, {
-        new: true,
-        runValidators: true,
-      }).lean();
+      return res.json({
+        success: true,
+        message: "Order updated successfully",
+        data: order,
+      });
+    } catch (error) {
+      if (error instanceof AppError) return next(error);
+      return next(new AppError("Failed to update order", 500));
+    }
+  }
 
-      if (!order) {
-        return next(new AppError("Order not found", 404));
-      }
+  async refund(req, res, next) {
+    try {
+      const { amount, items, reason } = req.body;
+      const { order, refund } = await this.orderService.refundOrder(
+        req.params.id,
+        { amount, items, reason },
+        this.getActor(req),
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: `Refunded ${refund.amount.toFixed(2)}`,
+        data: { order, refund },
+      });
+    } catch (error) {
+      if (error instanceof AppError) return next(error);
+      return next(new AppError("Failed to refund order", 500));
+    }
+  }
+
+  async adminReturns(req, res, next) {
+    try {
+      const { page, limit } = parsePagination(req.query, 20, 100);
+      const result = await this.orderService.listReturnRequests({
+        status: req.query.status,
+        search: req.query.search,
+        page,
+        limit,
+      });
 
-      const [enrichedOrder] =
-        await this.orderService.enrichOrderItemsWithImages([order]);
+      return res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      return next(new AppError("Failed to fetch return requests", 500));
+    }
+  }
+
+  async updateReturn(req, res, next) {
+    try {
+      const { status, rejectionReason, note, amount, restock } = req.body;
+      // Closing a return pays money out, so it needs refund rights too.
+      if (
+        status === "refunded" &&
+        !hasPermission(req.user?.role, PERMISSIONS.ORDERS_REFUND)
+      ) {
+        throw new AppError(
+          `You do not have permission to do this (${PERMISSIONS.ORDERS_REFUND})`,
+          403,
+        );
+      }
+      const returnRequest = await this.orderService.updateReturnRequest(
+        req.params.id,
+        req.params.returnId,
+        { status, rejectionReason, note, amount, restock },
+        this.getActor(req),
+      );
 
       return res.json({
         success: true,
-        message: "Order updated successfully",
-        data: enrichedOrder,
+        message: `Return ${returnRequest.status}`,
+        data: returnRequest,
       });
     } catch (error) {
       if (error instanceof AppError) return next(error);
-      return next(new AppError("Failed to update order", 500));
+      return next(new AppError("Failed to update return request", 500));
     }
   }
 }
@@ -13,14 +13,59 @@ class PaymentController extends BaseController {
   });
 
   createIntent = this.catchAsync(async (req, res) => {
-    const userId = this.getUserId(req);
+    const owner = this.getCartOwner(req);
     const idempotencyKey = String(
       req.headers["x-idempotency-key"] || "",
     ).trim();
-    const data = await this.service.createPaymentIntent(userId, idempotencyKey);
+    const data = await this.service.createPaymentIntent(owner, idempotencyKey, {
+      couponCode: req.body?.couponCode,
+      shippingMethodId: req.body?.shippingMethodId,
+      country: req.body?.country,
+      state: req.body?.state,
+    });
     this.sendSuccess(res, data);
   });
 
+  checkoutSummary = this.catchAsync(async (req, res) => {
+    const owner = this.getCartOwner(req);
+    const data = await this.service.getCheckoutSummary(owner, {
+      couponCode: req.body?.couponCode,
+      shippingMethodId: req.body?.shippingMethodId,
+      country: req.body?.country,
+      state: req.body?.state,
+    });
+    this.sendSuccess(res, data);
+  });
+
+  webhookEvents = this.catchAsync(async (req, res) => {
+    const { page, limit } = this.parsePaginationParams(req.query);
+    const data = await this.service.listWebhookEvents({
+      status: req.query.status,
+      type: req.query.type,
+      search: req.query.search,
+      page,
+      limit,
+    });
+    this.sendSuccess(res, data);
+  });
+
+  webhookEvent = this.catchAsync(async (req, res) => {
+    const data = await this.service.getWebhookEvent(req.params.id);
+    this.sendSuccess(res, data);
+  });
+
+  replayWebhookEvent = this.catchAsync(async (req, res) => {
+    const data = await this.service.replayWebhookEvent(req.params.id);
+    this.sendSuccess(
+      res,
+      data,
+      200,
+      data.status === "failed"
+        ? "Replay failed again"
+        : `Webhook event ${data.status}`,
+    );
+  });
+
   webhook = async (req, res) => {
     try {
       const signature = req.headers["stripe-signature"];
@@ -44,7 +44,11 @@ export class ProductController extends BaseController {
   });
 
   store = this.catchAsync(async (req, res) => {
-    const product = await this.service.storeProduct(req.body, req.files || []);
+    const product = await this.service.storeProduct(
+      req.body,
+      req.files || [],
+      this.getActor(req),
+    );
     this.logAction("Product Created", {
       productId: product._id,
       userId: this.getUserId(req),
@@ -57,6 +61,7 @@ export class ProductController extends BaseController {
       req.params.id,
       req.body,
       req.files || [],
+      this.getActor(req),
     );
     this.logAction("Product Updated", {
       productId: req.params.id,
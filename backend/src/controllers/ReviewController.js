@@ -1,5 +1,6 @@
 import { ReviewService } from "../services/ReviewService.js";
 import { asyncHandler } from '../utils/AppError.js';
+import { hasPermission, PERMISSIONS } from "../constants/permissions.js";
 
 const reviewService = new ReviewService();
 
@@ -43,8 +44,8 @@ export class ReviewController {
   });
 
   destroy = asyncHandler(async (req, res) => {
-    const isAdmin = req.user?.role === "admin";
-    await reviewService.deleteReview(req.user._id, req.params.id, isAdmin);
+    const canModerate = hasPermission(req.user?.role, PERMISSIONS.REVIEWS_MODERATE);
+    await reviewService.deleteReview(req.user._id, req.params.id, canModerate);
     res.json({ success: true, message: "Review deleted successfully" });
   });
 
@@ -27,7 +27,7 @@ class SettingController {
     res.json({
       success: true,
       message: "Settings updated successfully",
-      data: settings,
+      data: await settingService.getAllSettings(),
     });
   });
 
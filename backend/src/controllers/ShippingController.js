@@ -0,0 +1,50 @@
+import { ShippingService } from "../services/ShippingService.js";
+import { cartOwnerFilter } from "../services/CartService.js";
+import { Cart } from "../models/Cart.js";
+import { asyncHandler, ApiResponse } from "../utils/AppError.js";
+
+const service = new ShippingService();
+
+export class ShippingController {
+  index = asyncHandler(async (req, res) => {
+    const { page, limit, search, status } = req.query;
+    const result = await service.listShippingMethods({
+      page: Number(page) || 1,
+      limit: Number(limit) || 20,
+      search,
+      status,
+    });
+    ApiResponse.paginated(res, result.methods, result.pagination);
+  });
+
+  show = asyncHandler(async (req, res) => {
+    const method = await service.getShippingMethodById(req.params.id);
+    ApiResponse.success(res, method);
+  });
+
+  create = asyncHandler(async (req, res) => {
+    const method = await service.createShippingMethod(req.body);
+    ApiResponse.created(res, method, "Shipping method created successfully");
+  });
+
+  update = asyncHandler(async (req, res) => {
+    const method = await service.updateShippingMethod(req.params.id, req.body);
+    ApiResponse.success(res, method, "Shipping method updated successfully");
+  });
+
+  destroy = asyncHandler(async (req, res) => {
+    await service.deleteShippingMethod(req.params.id);
+    ApiResponse.noContent(res);
+  });
+
+  options = asyncHandler(async (req, res) => {
+    const cartItems = await Cart.find(cartOwnerFilter(req.cartOwner)).lean();
+    const options = await service.getCartShippingOptions(cartItems, {
+      country: req.query.country,
+      state: req.query.state,
+    });
+    ApiResponse.success(res, options);
+  });
+}
+
+export const shippingController = new ShippingController();
@@ -0,0 +1,39 @@
+import { StockLocationService } from "../services/StockLocationService.js";
+import { asyncHandler, ApiResponse } from "../utils/AppError.js";
+
+const service = new StockLocationService();
+
+export class StockLocationController {
+  index = asyncHandler(async (req, res) => {
+    const { page, limit, search, status } = req.query;
+    const result = await service.listLocations({
+      page: Number(page) || 1,
+      limit: Number(limit) || 50,
+      search,
+      status,
+    });
+    ApiResponse.paginated(res, result.locations, result.pagination);
+  });
+
+  show = asyncHandler(async (req, res) => {
+    const location = await service.getLocationById(req.params.id);
+    ApiResponse.success(res, location);
+  });
+
+  create = asyncHandler(async (req, res) => {
+    const location = await service.createLocation(req.body);
+    ApiResponse.created(res, location, "Stock location created successfully");
+  });
+
+  update = asyncHandler(async (req, res) => {
+    const location = await service.updateLocation(req.params.id, req.body);
+    ApiResponse.success(res, location, "Stock location updated successfully");
+  });
+
+  destroy = asyncHandler(async (req, res) => {
+    await service.deleteLocation(req.params.id);
+    ApiResponse.noContent(res);
+  });
+}
+
+export const stockLocationController = new StockLocationController();
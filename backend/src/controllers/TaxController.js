@@ -0,0 +1,40 @@
+import { TaxService } from "../services/TaxService.js";
+import { asyncHandler, ApiResponse } from "../utils/AppError.js";
+
+const service = new TaxService();
+
+export class TaxController {
+  index = asyncHandler(async (req, res) => {
+    const { page, limit, search, status, country } = req.query;
+    const result = await service.listTaxRates({
+      page: Number(page) || 1,
+      limit: Number(limit) || 20,
+      search,
+      status,
+      country,
+    });
+    ApiResponse.paginated(res, result.rates, result.pagination);
+  });
+
+  show = asyncHandler(async (req, res) => {
+    const rate = await service.getTaxRateById(req.params.id);
+    ApiResponse.success(res, rate);
+  });
+
+  create = asyncHandler(async (req, res) => {
+    const rate = await service.createTaxRate(req.body);
+    ApiResponse.created(res, rate, "Tax rate created successfully");
+  });
+
+  update = asyncHandler(async (req, res) => {
+    const rate = await service.updateTaxRate(req.params.id, req.body);
+    ApiResponse.success(res, rate, "Tax rate updated successfully");
+  });
+
+  destroy = asyncHandler(async (req, res) => {
+    await service.deleteTaxRate(req.params.id);
+    ApiResponse.noContent(res);
+  });
+}
+
+export const taxController = new TaxController();
@@ -130,6 +130,56 @@ export class UserController extends BaseController {
     }
   }
 
+  async revokeSessions(req, res, next) {
+    try {
+      const result = await this.userService.revokeUserSessions(req.params.id);
+      res.json({
+        success: true,
+        message: "User signed out of all devices",
+        data: result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return next(error);
+      }
+      next(new AppError("Failed to sign out user", 500));
+    }
+  }
+
+  async loginHistory(req, res, next) {
+    try {
+      const result = await this.userService.getLoginHistory(req.params.id, {
+        page: Number(req.query.page) || 1,
+        limit: Number(req.query.limit) || 20,
+      });
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return next(error);
+      }
+      next(new AppError("Failed to fetch sign-in history", 500));
+    }
+  }
+
+  async unlock(req, res, next) {
+    try {
+      const result = await this.userService.unlockUser(req.params.id);
+      res.json({
+        success: true,
+        message: "Account unlocked",
+        data: result,
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return next(error);
+      }
+      next(new AppError("Failed to unlock account", 500));
+    }
+  }
+
   async destroy(req, res, next) {
     try {
       await this.userService.deleteUser(req.params.id);
@@ -10,6 +10,7 @@ export * from "./PaymentController.js";
 export * from "./ProductController.js";
 export * from "./ReviewController.js";
 export * from "./SettingController.js";
+export * from "./ShippingController.js";
 export * from "./UserController.js";
 export * from "./VariantOptionController.js";
 export * from "./VariantTypeController.js";
@@ -119,6 +119,24 @@ export class BaseController {
     return req.user?._id || req.user?.id || null;
   }
 
+  // Set by resolveCartOwner on cart and checkout routes; falls back to the
+  // signed-in user elsewhere.
+  getCartOwner(req) {
+    if (req.cartOwner) return req.cartOwner;
+    const userId = this.getUserId(req);
+    return userId ? { userId } : null;
+  }
+
+  // The signed-in user as recorded on status history, refunds and stock
+  // movements, with their real staff role.
+  getActor(req) {
+    return {
+      userId: this.getUserId(req),
+      name: req.user?.name,
+      role: req.user?.role || "system",
+    };
+  }
+
   isAdmin(req) {
     return req.user?.role === "admin";
   }
@@ -0,0 +1,6 @@
+export const AUTH_EVENTS = {
+  EMAIL_VERIFICATION_REQUESTED: "auth.email.verification.requested",
+  PASSWORD_RESET_REQUESTED: "auth.password.reset.requested",
+  PASSWORD_RESET_COMPLETED: "auth.password.reset.completed",
+  NEW_DEVICE_SIGN_IN: "auth.sign_in.new_device",
+};
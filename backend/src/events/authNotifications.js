@@ -0,0 +1,100 @@
+import { appEventBus } from "./appEventBus.js";
+import { AUTH_EVENTS } from "./authEvents.js";
+import { EMAIL_TEMPLATE_DEFINITIONS } from "../constants/emailTemplates.js";
+import { EmailTemplateService } from "../services/EmailTemplateService.js";
+import {
+  accountTemplateVariables,
+  newDeviceSignInTemplateVariables,
+  passwordResetTemplateVariables,
+  renderEmailTemplate,
+  verificationTemplateVariables,
+} from "../utils/emailTemplates.js";
+import { logger } from "../utils/logger.js";
+
+const renderAccountEmail = (key, user, variables, context = {}) => ({
+  to: user.email,
+  ...renderEmailTemplate(
+    context.templates?.[key] || EMAIL_TEMPLATE_DEFINITIONS[key],
+    { ...context.store, ...variables },
+  ),
+});
+
+export const buildVerificationEmail = (payload, context = {}) =>
+  renderAccountEmail(
+    "email_verification",
+    payload.user,
+    verificationTemplateVariables(payload, context.store?.storeUrl),
+    context,
+  );
+
+export const buildPasswordResetEmail = (payload, context = {}) =>
+  renderAccountEmail(
+    "password_reset",
+    payload.user,
+    passwordResetTemplateVariables(payload, context.store?.storeUrl),
+    context,
+  );
+
+export const buildPasswordChangedEmail = ({ user }, context = {}) =>
+  renderAccountEmail(
+    "password_changed",
+    user,
+    accountTemplateVariables(user),
+    context,
+  );
+
+export const buildNewDeviceSignInEmail = (payload, context = {}) =>
+  renderAccountEmail(
+    "new_device_sign_in",
+    payload.user,
+    newDeviceSignInTemplateVariables(payload, context.store?.storeUrl),
+    context,
+  );
+
+const ACCOUNT_EMAILS = [
+  [
+    AUTH_EVENTS.EMAIL_VERIFICATION_REQUESTED,
+    "verification",
+    buildVerificationEmail,
+  ],
+  [
+    AUTH_EVENTS.PASSWORD_RESET_REQUESTED,
+    "password reset",
+    buildPasswordResetEmail,
+  ],
+  [
+    AUTH_EVENTS.PASSWORD_RESET_COMPLETED,
+    "password changed",
+    buildPasswordChangedEmail,
+  ],
+  [
+    AUTH_EVENTS.NEW_DEVICE_SIGN_IN,
+    "new device sign-in",
+    buildNewDeviceSignInEmail,
+  ],
+];
+
+/**
+ * Sends account emails for `AUTH_EVENTS` through the email queue. Raw
+ * tokens only ever travel in the event and the email; the user record keeps
+ * their hash.
+ */
+export const registerAuthNotifications = (
+  sendEmail,
+  bus = appEventBus,
+  templates = new EmailTemplateService(),
+) => {
+  ACCOUNT_EMAILS.forEach(([event, label, build]) => {
+    bus.on(event, (payload) => {
+      if (!payload?.user?.email) return;
+      Promise.resolve(templates.getRenderContext())
+        .then((context) => sendEmail(build(payload, context)))
+        .catch((error) =>
+          logger.warn(`Failed to queue ${label} email`, {
+            userId: String(payload.user._id),
+            message: error.message,
+          }),
+        );
+    });
+  });
+};
@@ -0,0 +1,53 @@
+import { appEventBus } from "./appEventBus.js";
+import { INVENTORY_EVENTS } from "./inventoryEvents.js";
+import { EMAIL_TEMPLATE_DEFINITIONS } from "../constants/emailTemplates.js";
+import { BackInStockService } from "../services/BackInStockService.js";
+import { EmailTemplateService } from "../services/EmailTemplateService.js";
+import {
+  backInStockTemplateVariables,
+  renderEmailTemplate,
+} from "../utils/emailTemplates.js";
+import { logger } from "../utils/logger.js";
+
+export const buildBackInStockEmail = (
+  { subscription, product, variant },
+  context = {},
+) => ({
+  to: subscription.email,
+  ...renderEmailTemplate(
+    context.templates?.back_in_stock ||
+      EMAIL_TEMPLATE_DEFINITIONS.back_in_stock,
+    { ...context.store, ...backInStockTemplateVariables({ product, variant }) },
+  ),
+});
+
+/**
+ * Emails shoppers waiting on SKUs that got stock again. Stock-changing code
+ * emits `INVENTORY_EVENTS.STOCK_INCREASED` once its writes are committed;
+ * this listener sends one email per subscription through the email queue.
+ */
+export const registerBackInStockNotifications = (
+  sendEmail,
+  bus = appEventBus,
+  service = new BackInStockService(),
+  templates = new EmailTemplateService(),
+) => {
+  bus.on(INVENTORY_EVENTS.STOCK_INCREASED, ({ productIds = [] } = {}) => {
+    Promise.resolve(service.collectRestocked(productIds))
+      .then(async (notifications) => {
+        if (!notifications.length) return [];
+        const context = await templates.getRenderContext();
+        return Promise.all(
+          notifications.map((notification) =>
+            sendEmail(buildBackInStockEmail(notification, context)),
+          ),
+        );
+      })
+      .catch((error) =>
+        logger.warn("Failed to queue back-in-stock emails", {
+          productIds: productIds.map(String),
+          message: error.message,
+        }),
+      );
+  });
+};
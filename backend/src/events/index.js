@@ -1 +1,7 @@
 export { appEventBus } from "./appEventBus.js";
+export { AUTH_EVENTS } from "./authEvents.js";
+export { INVENTORY_EVENTS } from "./inventoryEvents.js";
+export { ORDER_EVENTS } from "./orderEvents.js";
+export { registerAuthNotifications } from "./authNotifications.js";
+export { registerBackInStockNotifications } from "./backInStockNotifications.js";
+export { registerOrderNotifications } from "./orderNotifications.js";
@@ -0,0 +1,3 @@
+export const INVENTORY_EVENTS = {
+  STOCK_INCREASED: "inventory.stock.increased",
+};
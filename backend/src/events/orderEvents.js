@@ -0,0 +1,6 @@
+export const ORDER_EVENTS = {
+  PLACED: "order.placed",
+  PAYMENT_RECEIVED: "order.payment.received",
+  STATUS_CHANGED: "order.status.changed",
+  RETURN_UPDATED: "order.return.updated",
+};
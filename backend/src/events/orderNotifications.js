@@ -0,0 +1,114 @@
+import { appEventBus } from "./appEventBus.js";
+import { ORDER_EVENTS } from "./orderEvents.js";
+import { EMAIL_TEMPLATE_DEFINITIONS } from "../constants/emailTemplates.js";
+import { EmailTemplateService } from "../services/EmailTemplateService.js";
+import {
+  orderTemplateVariables,
+  renderEmailTemplate,
+  returnTemplateVariables,
+} from "../utils/emailTemplates.js";
+import { logger } from "../utils/logger.js";
+
+const STATUS_TEMPLATES = {
+  shipped: "order_shipped",
+  delivered: "order_delivered",
+  cancelled: "order_cancelled",
+};
+
+// `context` comes from EmailTemplateService.getRenderContext; without one
+// the built-in templates are used.
+const renderOrderEmail = (key, order, variables, context = {}) => ({
+  to: order.email,
+  ...renderEmailTemplate(
+    context.templates?.[key] || EMAIL_TEMPLATE_DEFINITIONS[key],
+    { ...context.store, ...variables },
+  ),
+});
+
+export const buildOrderPlacedEmail = (order, context) =>
+  renderOrderEmail(
+    "order_placed",
+    order,
+    orderTemplateVariables(order),
+    context,
+  );
+
+export const buildPaymentReceivedEmail = (order, context) =>
+  renderOrderEmail(
+    "payment_received",
+    order,
+    orderTemplateVariables(order),
+    context,
+  );
+
+/**
+ * Customers are emailed when their order ships, is delivered or is
+ * cancelled; other status changes return null.
+ */
+export const buildOrderStatusEmail = (order, context) => {
+  const key = STATUS_TEMPLATES[order.status];
+  return key
+    ? renderOrderEmail(key, order, orderTemplateVariables(order), context)
+    : null;
+};
+
+export const buildReturnUpdateEmail = (order, returnRequest, context) =>
+  renderOrderEmail(
+    "return_update",
+    order,
+    returnTemplateVariables(order, returnRequest),
+    context,
+  );
+
+const ORDER_EMAILS = [
+  [
+    ORDER_EVENTS.PLACED,
+    "order confirmation",
+    ({ order }, context) => buildOrderPlacedEmail(order, context),
+  ],
+  [
+    ORDER_EVENTS.PAYMENT_RECEIVED,
+    "payment received",
+    ({ order }, context) => buildPaymentReceivedEmail(order, context),
+  ],
+  [
+    ORDER_EVENTS.STATUS_CHANGED,
+    "order status",
+    ({ order }, context) => buildOrderStatusEmail(order, context),
+  ],
+  [
+    ORDER_EVENTS.RETURN_UPDATED,
+    "return update",
+    ({ order, returnRequest }, context) =>
+      buildReturnUpdateEmail(order, returnRequest, context),
+  ],
+];
+
+/**
+ * Subscribes customer emails to order events. Called once at server start
+ * with the email queue producer, so services only emit events and never
+ * talk to Redis directly. Emails use the admin's edited templates.
+ */
+export const registerOrderNotifications = (
+  sendEmail,
+  bus = appEventBus,
+  templates = new EmailTemplateService(),
+) => {
+  ORDER_EMAILS.forEach(([event, label, build]) => {
+    bus.on(event, (payload) => {
+      const order = payload?.order;
+      if (!order?.email) return;
+      Promise.resolve(templates.getRenderContext())
+        .then((context) => {
+          const email = build(payload, context);
+          return email ? sendEmail(email) : null;
+        })
+        .catch((error) =>
+          logger.warn(`Failed to queue ${label} email`, {
+            orderId: String(order._id),
+            message: error.message,
+          }),
+        );
+    });
+  });
+};
@@ -3,4 +3,5 @@ export {
   emailQueue,
   imageProcessingQueue,
   getQueueHealth,
+  queueEmail,
 } from "../queues/index.js";
@@ -0,0 +1,91 @@
+import { AuditLogService } from "../services/AuditLogService.js";
+import { logger } from "../utils/logger.js";
+
+const auditLogService = new AuditLogService();
+
+const METHOD_ACTIONS = {
+  POST: "create",
+  PUT: "update",
+  PATCH: "update",
+  DELETE: "delete",
+};
+
+/**
+ * Records a back-office change in the audit log. Place it after
+ * `requirePermission`: it snapshots the record before the handler runs and
+ * again once a successful response has been sent, and logs the difference.
+ *
+ * @param {string} entityType - e.g. "product", "order"
+ * @param {object} [options]
+ * @param {string} [options.action] - defaults from the HTTP method
+ * @param {import("mongoose").Model} [options.model] - loads the record by id
+ * @param {string} [options.idParam] - route param holding the id (default "id")
+ * @param {Function} [options.find] - `(id, req) => query` when the record is
+ *   not looked up by `_id`, e.g. settings or email templates by key
+ * @param {string} [options.select] - projection for both snapshots
+ * @param {Function} [options.details] - `(req) => object` for changes with no
+ *   single record to diff; secrets in it are redacted
+ * @param {Function} [options.when] - `(req) => boolean`; only matching
+ *   requests are audited, e.g. a moderator acting on someone else's record
+ */
+export const audit =
+  (entityType, options = {}) =>
+  async (req, res, next) => {
+    const { model, idParam = "id", find, select, details, when } = options;
+    if (when && !when(req)) return next();
+    const action = options.action || METHOD_ACTIONS[req.method] || "update";
+
+    const load = async (id) => {
+      if (!find && (!model || !id)) return null;
+      try {
+        const query = find ? find(id, req) : model.findById(id);
+        return await (select ? query.select(select) : query).lean();
+      } catch (error) {
+        logger.warn(`Audit snapshot failed for ${entityType} ${id}`, {
+          error: error.message,
+        });
+        return null;
+      }
+    };
+
+    const paramId = req.params?.[idParam];
+    const before = await load(paramId);
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400 || !req.user) return;
+      try {
+        const entityId =
+          paramId || responseBody?.data?._id || before?._id || null;
+        const after = action === "delete" ? null : await load(entityId);
+        await auditLogService.record({
+          actor: req.user,
+          action,
+          entityType,
+          entityId: entityId || after?._id,
+          before,
+          after,
+          details: details ? details(req) : null,
+          request: {
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip,
+            requestId: req.id,
+          },
+        });
+      } catch (error) {
+        logger.error(`Audit log write failed for ${entityType}`, {
+          error: error.message,
+          requestId: req.id,
+        });
+      }
+    });
+
+    return next();
+  };
@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken";
 import { config } from "../config/index.js";
+import { hasPermission } from "../constants/permissions.js";
+import { Session } from "../models/Session.js";
 import { User } from "../models/User.js";
 import { AppError } from "../utils/AppError.js";
 import { logger } from "../utils/logger.js";
@@ -11,6 +13,25 @@ const extractToken = (req) => {
   return null;
 };
 
+// Other tokens signed with the same secret (two-factor challenges, OAuth
+// state) must never pass for a signed-in session.
+const isAccessToken = (decoded) =>
+  decoded?.type === "access" && Boolean(decoded.sid);
+
+// Loads the token's user and checks its session is still signed in. A token
+// without a `sid` belongs to no session, so nothing could ever revoke it; it
+// is refused outright.
+const loadTokenUser = async (decoded) => {
+  const userId = decoded.userId || decoded.id;
+  const [user, sessionActive] = await Promise.all([
+    User.findById(userId).select("name email role status"),
+    decoded.sid
+      ? Session.exists({ _id: decoded.sid, user: userId, revokedAt: null })
+      : false,
+  ]);
+  return { user, sessionActive: Boolean(sessionActive) };
+};
+
 export const protect = async (req, res, next) => {
   try {
     const token = extractToken(req);
@@ -21,18 +42,20 @@ export const protect = async (req, res, next) => {
       algorithms: ["HS256"],
     });
 
-    if (decoded.type && decoded.type !== "access") {
+    if (!isAccessToken(decoded)) {
       return next(new AppError("Invalid token type", 401));
     }
 
-    const userId = decoded.userId || decoded.id;
-    const user = await User.findById(userId).select("name email role status");
+    const { user, sessionActive } = await loadTokenUser(decoded);
 
     if (!user) return next(new AppError("User no longer exists", 401));
+    if (!sessionActive)
+      return next(new AppError("Your session has been signed out", 401));
     if (user.status !== "active")
       return next(new AppError("Your account has been deactivated", 401));
 
     req.user = user;
+    req.sessionId = decoded.sid;
     return next();
   } catch (error) {
     if (error.name === "TokenExpiredError")
@@ -61,6 +84,26 @@ export const authorize =
     return next();
   };
 
+// Passes only when the user's role grants every listed permission.
+export const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user)
+      return next(new AppError("Not authorized to access this route", 401));
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user.role, permission),
+    );
+    if (missing.length) {
+      return next(
+        new AppError(
+          `You do not have permission to do this (${missing.join(", ")})`,
+          403,
+        ),
+      );
+    }
+    return next();
+  };
+
 export const authorizeOwner =
   (resourceModel, resourceIdParam = "id") =>
   async (req, res, next) => {
@@ -107,9 +150,12 @@ export const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, config.jwt.secret, {
         algorithms: ["HS256"],
       });
-      const userId = decoded.userId || decoded.id;
-      const user = await User.findById(userId).select("name email role status");
-      if (user && user.status === "active") req.user = user;
+      if (!isAccessToken(decoded)) return next();
+      const { user, sessionActive } = await loadTokenUser(decoded);
+      if (user && sessionActive && user.status === "active") {
+        req.user = user;
+        req.sessionId = decoded.sid;
+      }
     } catch {
       // optional — proceed unauthenticated on any jwt error
     }
@@ -28,6 +28,7 @@ const createToken = () => crypto.randomBytes(32).toString("hex");
  *
  * Security Policy:
  * - Cookie-based sessions (accessToken/refreshToken cookies) MUST include CSRF token
+ * - Guest carts (guestCartId cookie) are treated the same way
  * - Authorization: Bearer header requests bypass CSRF (assumed to be trusted SPA clients)
  *
  * If your API accepts Bearer tokens from untrusted origins, add explicit CSRF
@@ -45,7 +46,10 @@ export const csrfProtection = (req, res, next) => {
   }
 
   const hasSessionCookie = Boolean(
-    req.cookies?.accessToken || req.cookies?.refreshToken || req.cookies?.token,
+    req.cookies?.accessToken ||
+      req.cookies?.refreshToken ||
+      req.cookies?.token ||
+      req.cookies?.guestCartId,
   );
   if (!hasSessionCookie) {
     return next();
@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import { config } from "../config/index.js";
+import { GUEST_CART_TTL_SECONDS } from "../models/Cart.js";
+import { optionalAuth } from "./auth.js";
+
+export const GUEST_CART_COOKIE_NAME = "guestCartId";
+
+const GUEST_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+export const getGuestCartCookieOptions = () => {
+  const isProduction = config.nodeEnv === "production";
+  const isCrossOrigin = config.frontendOrigins.some(
+    (origin) => origin !== config.apiUrl,
+  );
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction && isCrossOrigin ? "none" : "lax",
+    path: "/",
+  };
+};
+
+export const readGuestCartId = (req) => {
+  const value = String(req.cookies?.[GUEST_CART_COOKIE_NAME] || "");
+  return GUEST_ID_PATTERN.test(value) ? value : null;
+};
+
+/**
+ * Sets `req.cartOwner` for cart and checkout routes: `{ userId }` when the
+ * request is authenticated, otherwise `{ guestId }` from the guest cart
+ * cookie, issuing a new cookie on the first cart write.
+ */
+export const resolveCartOwner = [
+  optionalAuth,
+  (req, res, next) => {
+    if (req.user) {
+      req.cartOwner = { userId: req.user._id };
+      return next();
+    }
+
+    const existingId = readGuestCartId(req);
+    const guestId = existingId || crypto.randomUUID();
+    // Reads of an empty cart don't issue a cookie; otherwise each cart
+    // request pushes the cookie's expiry forward.
+    if (existingId || req.method !== "GET") {
+      res.cookie(GUEST_CART_COOKIE_NAME, guestId, {
+        ...getGuestCartCookieOptions(),
+        maxAge: GUEST_CART_TTL_SECONDS * 1000,
+      });
+    }
+    req.cartOwner = { guestId };
+    return next();
+  },
+];
@@ -1,7 +1,9 @@
+export * from "./audit.js";
 export * from "./auth.js";
 export * from "./cache.js";
 export * from "./csrf.js";
 export * from "./dynamicUpload.js";
 export * from "./errorHandler.js";
+export * from "./guestCart.js";
 export * from "./mongoSanitize.js";
 export * from "./rateLimiter.js";
@@ -64,3 +64,64 @@ export const authResetPasswordRateLimiter = rateLimit({
         return `auth:reset:${ip}`;
     },
 });
+
+export const authVerifyEmailRateLimiter = rateLimit({
+    windowMs: config.authRateLimit.windowMs,
+    max: config.authRateLimit.verifyEmailMax,
+    message: 'Too many email verification attempts, please try again later',
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.method === 'OPTIONS',
+    keyGenerator: (req) => {
+        const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+        return `auth:verify:${ip}`;
+    },
+});
+
+export const authResendVerificationRateLimiter = rateLimit({
+    windowMs: config.authRateLimit.windowMs,
+    max: config.authRateLimit.resendVerificationMax,
+    message: 'Too many verification email requests, please try again later',
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.method === 'OPTIONS',
+    keyGenerator: (req) => {
+        const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+        const account = req.user?._id
+            ? String(req.user._id)
+            : String(req.body?.email || '').trim().toLowerCase();
+        return account ? `auth:resend:${ip}:${account}` : `auth:resend:${ip}`;
+    },
+});
+
+// Failed authentication codes, per IP (and per account when signed in), so a
+// stolen password cannot be paired with a brute-forced code.
+export const authTwoFactorRateLimiter = rateLimit({
+    windowMs: config.authRateLimit.windowMs,
+    max: config.authRateLimit.twoFactorMax,
+    message: 'Too many authentication code attempts, please try again later',
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    skip: (req) => req.method === 'OPTIONS',
+    keyGenerator: (req) => {
+        const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+        const account = req.user?._id ? String(req.user._id) : '';
+        return account ? `auth:2fa:${ip}:${account}` : `auth:2fa:${ip}`;
+    },
+});
+
+// Each PaymentIntent holds stock for its cart, and guests need no account,
+// so checkouts are capped per IP to keep stock from being held hostage.
+export const paymentIntentRateLimiter = rateLimit({
+    windowMs: config.checkoutRateLimit.windowMs,
+    max: config.checkoutRateLimit.intentMax,
+    message: 'Too many checkout attempts, please try again later',
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.method === 'OPTIONS',
+    keyGenerator: (req) => {
+        const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+        return `payment:intent:${ip}`;
+    },
+});
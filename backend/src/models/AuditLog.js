@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const AUDIT_ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  "status_change",
+  "refund",
+  "return_update",
+  "stock_adjustment",
+  "reorder",
+  "reset",
+  "replay",
+  "revoke_sessions",
+  "unlock",
+];
+
+const auditActorSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false },
+);
+
+const auditChangeSchema = new Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+// Append-only: one document per successful back-office change, listing each
+// changed field with its old and new value (secrets redacted).
+const auditLogSchema = new Schema(
+  {
+    actor: {
+      type: auditActorSchema,
+      default: () => ({}),
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    entityId: {
+      type: String,
+      default: null,
+    },
+    changes: {
+      type: [auditChangeSchema],
+      default: [],
+    },
+    // Request details for changes with no single record to diff, such as a
+    // bulk stock adjustment.
+    details: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    requestId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+const refuseChange = function (next) {
+  next(new Error("Audit log entries cannot be changed or removed"));
+};
+
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditLogSchema.pre(operation, { document: false, query: true }, refuseChange);
+}
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return refuseChange(next);
+  return next();
+});
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const BACK_IN_STOCK_STATUSES = ["pending", "notified"];
+
+// A shopper's request to hear when one out-of-stock SKU can be bought again.
+// Each subscription sends one email; asking again after that creates a new
+// one.
+const backInStockSubscriptionSchema = new Schema(
+  {
+    productId: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 254,
+    },
+    status: {
+      type: String,
+      enum: BACK_IN_STOCK_STATUSES,
+      default: "pending",
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+backInStockSubscriptionSchema.index(
+  { productId: 1, variantId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } },
+);
+backInStockSubscriptionSchema.index({ status: 1, productId: 1 });
+backInStockSubscriptionSchema.index({ userId: 1, createdAt: -1 });
+
+export const BackInStockSubscription = mongoose.model(
+  "BackInStockSubscription",
+  backInStockSubscriptionSchema,
+);
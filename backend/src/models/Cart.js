@@ -2,12 +2,18 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+export const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+
 const cartSchema = new Schema(
     {
         userId: {
             type: Schema.Types.ObjectId,
             ref: 'User',
-            required: true,
+            default: null,
+        },
+        guestId: {
+            type: String,
+            default: null,
         },
         productId: {
             type: Schema.Types.ObjectId,
@@ -41,8 +47,33 @@ const cartSchema = new Schema(
 );
 
 cartSchema.index({ userId: 1 });
+cartSchema.index({ guestId: 1 });
 cartSchema.index({ productId: 1 });
-cartSchema.index({ userId: 1, productId: 1, variantId: 1 }, { unique: true });
+cartSchema.index(
+    { userId: 1, productId: 1, variantId: 1 },
+    {
+        name: 'uniq_user_cart_line',
+        unique: true,
+        partialFilterExpression: { userId: { $type: 'objectId' } },
+    }
+);
+cartSchema.index(
+    { guestId: 1, productId: 1, variantId: 1 },
+    {
+        name: 'uniq_guest_cart_line',
+        unique: true,
+        partialFilterExpression: { guestId: { $type: 'string' } },
+    }
+);
+// Abandoned guest carts expire; account carts are kept.
+cartSchema.index(
+    { updatedAt: 1 },
+    {
+        name: 'guest_cart_ttl',
+        expireAfterSeconds: GUEST_CART_TTL_SECONDS,
+        partialFilterExpression: { guestId: { $type: 'string' } },
+    }
+);
 
 cartSchema.virtual('product', {
     ref: 'Product',
@@ -51,6 +82,13 @@ cartSchema.virtual('product', {
     justOne: true,
 });
 
+cartSchema.pre('validate', function (next) {
+    if (Boolean(this.userId) === Boolean(this.guestId)) {
+        return next(new Error('A cart item belongs to either a user or a guest'));
+    }
+    return next();
+});
+
 cartSchema.pre('save', function (next) {
     this.amount = this.price * this.quantity;
     next();
@@ -2,6 +2,10 @@ import mongoose from "mongoose";
 
 const { Schema } = mongoose;
 
+// Shared with every validator that accepts a coupon code.
+export const COUPON_CODE_MIN_LENGTH = 3;
+export const COUPON_CODE_MAX_LENGTH = 20;
+
 const couponSchema = new Schema(
   {
     code: {
@@ -10,8 +14,14 @@ const couponSchema = new Schema(
       unique: true,
       uppercase: true,
       trim: true,
-      minlength: [3, "Code must be at least 3 characters"],
-      maxlength: [20, "Code cannot exceed 20 characters"],
+      minlength: [
+        COUPON_CODE_MIN_LENGTH,
+        `Code must be at least ${COUPON_CODE_MIN_LENGTH} characters`,
+      ],
+      maxlength: [
+        COUPON_CODE_MAX_LENGTH,
+        `Code cannot exceed ${COUPON_CODE_MAX_LENGTH} characters`,
+      ],
     },
     type: {
       type: String,
@@ -41,6 +51,14 @@ const couponSchema = new Schema(
       type: Number,
       min: 1,
     },
+    userUsageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
     usedCount: {
       type: Number,
       default: 0,
@@ -110,6 +128,16 @@ couponSchema.pre("validate", function (next) {
   this.usedCount = normalizedUsedCount;
   this.usageCount = normalizedUsedCount;
 
+  const userLimitModified = this.isModified("userUsageLimit");
+  const perUserLimitModified = this.isModified("perUserLimit");
+  const normalizedUserLimit = userLimitModified
+    ? (this.userUsageLimit ?? null)
+    : perUserLimitModified
+      ? (this.perUserLimit ?? null)
+      : (this.userUsageLimit ?? this.perUserLimit ?? null);
+  this.userUsageLimit = normalizedUserLimit;
+  this.perUserLimit = normalizedUserLimit;
+
   const startModified = this.isModified("startDate");
   const validFromModified = this.isModified("validFrom");
   const normalizedStartDate = startModified
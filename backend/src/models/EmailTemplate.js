@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { EMAIL_TEMPLATE_KEYS } from "../constants/emailTemplates.js";
+
+const { Schema } = mongoose;
+
+// An admin's override of one built-in email template. Without a document
+// for a key, the default from constants/emailTemplates.js is used.
+const emailTemplateSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: EMAIL_TEMPLATE_KEYS,
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    html: {
+      type: String,
+      required: true,
+      maxlength: 50000,
+    },
+    text: {
+      type: String,
+      default: "",
+      maxlength: 20000,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+export const EmailTemplate = mongoose.model(
+  "EmailTemplate",
+  emailTemplateSchema,
+);
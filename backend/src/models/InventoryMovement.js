@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import { STAFF_ROLES } from "../constants/permissions.js";
+
+const { Schema } = mongoose;
+
+export const INVENTORY_MOVEMENT_REASONS = [
+  "initial",
+  "sale",
+  "cancellation",
+  "return",
+  "restock",
+  "manual",
+  "correction",
+  "damage",
+  "import",
+];
+
+// Reasons an admin may pick when adjusting stock by hand; the others are
+// written by checkout, cancellations, returns and product saves.
+export const MANUAL_MOVEMENT_REASONS = [
+  "restock",
+  "manual",
+  "correction",
+  "damage",
+  "import",
+];
+
+const movementActorSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: [...STAFF_ROLES, "customer", "guest", "system"],
+      default: "system",
+    },
+  },
+  { _id: false },
+);
+
+// Append-only ledger: one document per stock change of one SKU. Stock on the
+// product stays the source of truth; the ledger explains how it got there.
+const inventoryMovementSchema = new Schema(
+  {
+    productId: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    productTitle: {
+      type: String,
+      trim: true,
+    },
+    locationId: {
+      type: Schema.Types.ObjectId,
+      ref: "StockLocation",
+      default: null,
+    },
+    locationCode: {
+      type: String,
+      trim: true,
+    },
+    delta: {
+      type: Number,
+      required: true,
+    },
+    stockAfter: {
+      type: Number,
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: INVENTORY_MOVEMENT_REASONS,
+      required: true,
+    },
+    actor: {
+      type: movementActorSchema,
+      default: () => ({}),
+    },
+    orderId: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+inventoryMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ sku: 1, createdAt: -1 });
+inventoryMovementSchema.index({ reason: 1, createdAt: -1 });
+inventoryMovementSchema.index({ orderId: 1 }, { sparse: true });
+
+export const InventoryMovement = mongoose.model(
+  "InventoryMovement",
+  inventoryMovementSchema,
+);
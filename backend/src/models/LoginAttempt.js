@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const LOGIN_METHODS = ["password", "google", "facebook"];
+
+export const LOGIN_FAILURE_REASONS = [
+  "invalid_password",
+  "invalid_two_factor",
+  "locked",
+  "inactive",
+];
+
+export const LOGIN_HISTORY_RETENTION_DAYS = 180;
+
+// One document per sign-in attempt on a known account, successful or not.
+// Attempts for unknown emails are not kept: there is no account to show
+// them to.
+const loginAttemptSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: [...LOGIN_FAILURE_REASONS, null],
+      default: null,
+    },
+    method: {
+      type: String,
+      enum: LOGIN_METHODS,
+      default: "password",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 512,
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    // First successful sign-in from this device; an alert email went out.
+    newDevice: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, success: 1, device: 1 });
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
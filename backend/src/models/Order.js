@@ -1,8 +1,100 @@
 import mongoose from "mongoose";
 import { v4 as uuidv4 } from "uuid";
+import { STAFF_ROLES } from "../constants/permissions.js";
 
 const { Schema } = mongoose;
 
+export const ORDER_STATUSES = [
+  "new",
+  "process",
+  "shipped",
+  "delivered",
+  "cancelled",
+];
+
+// Forward-only lifecycle; an order can be cancelled until it ships.
+export const ORDER_STATUS_TRANSITIONS = {
+  new: ["process", "cancelled"],
+  process: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+export const canTransitionOrderStatus = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Staff are recorded with their own role, so history shows who really acted.
+export const ORDER_ACTOR_ROLES = [
+  ...STAFF_ROLES,
+  "customer",
+  "guest",
+  "system",
+];
+
+// Values match PAYMENT_STATUS in shared/constants/statuses.js.
+export const PAYMENT_STATUSES = [
+  "paid",
+  "unpaid",
+  "partially_refunded",
+  "refunded",
+  "failed",
+  "disputed",
+  "charged_back",
+];
+
+export const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+// Payment states an admin may set by hand, and only over each other; the
+// rest are kept by the refund flows and Stripe webhooks.
+export const MANUAL_PAYMENT_STATUSES = ["paid", "unpaid"];
+
+export const RETURN_STATUSES = [
+  "requested",
+  "approved",
+  "rejected",
+  "received",
+  "refunded",
+];
+
+// Returned goods must arrive back before they are refunded.
+export const RETURN_STATUS_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received", "rejected"],
+  received: ["refunded"],
+  rejected: [],
+  refunded: [],
+};
+
+export const canTransitionReturnStatus = (from, to) =>
+  (RETURN_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Where the units of an order line are shipped from; empty when the store
+// has no stock locations.
+const allocationSchema = new Schema(
+  {
+    locationId: {
+      type: Schema.Types.ObjectId,
+      ref: "StockLocation",
+      required: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false },
+);
+
 const orderItemSchema = new Schema(
   {
     productId: {
@@ -37,9 +129,229 @@ const orderItemSchema = new Schema(
       required: true,
       min: 0,
     },
+    // Tax on the line after its share of the coupon; unset on older orders.
+    taxAmount: {
+      type: Number,
+      min: 0,
+    },
     image: {
       type: String,
     },
+    allocations: {
+      type: [allocationSchema],
+      default: [],
+    },
+    // `backorder` when some units were sold beyond stock, `preorder` for
+    // SKUs sold ahead of release; both ship around `expectedDate`.
+    fulfilment: {
+      type: String,
+      enum: ["in_stock", "backorder", "preorder"],
+      default: "in_stock",
+    },
+    backorderedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expectedDate: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const taxLineSchema = new Schema(
+  {
+    taxRateId: {
+      type: Schema.Types.ObjectId,
+      ref: "TaxRate",
+      default: null,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    country: {
+      type: String,
+    },
+    state: {
+      type: String,
+    },
+    taxClass: {
+      type: String,
+      default: "standard",
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    taxableAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+const statusHistorySchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    fromStatus: {
+      type: String,
+      enum: [...ORDER_STATUSES, null],
+      default: null,
+    },
+    actor: {
+      userId: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      name: {
+        type: String,
+        trim: true,
+      },
+      role: {
+        type: String,
+        enum: ORDER_ACTOR_ROLES,
+        default: "system",
+      },
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+export const DISPUTE_STATUSES = [
+  "warning_needs_response",
+  "warning_under_review",
+  "warning_closed",
+  "needs_response",
+  "under_review",
+  "won",
+  "lost",
+];
+
+// Mirrors the Stripe dispute on the order's charge. `previousPaymentStatus`
+// is what a won dispute restores.
+const disputeSchema = new Schema(
+  {
+    disputeId: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: DISPUTE_STATUSES,
+    },
+    previousPaymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "paid",
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+const refundSchema = new Schema(
+  {
+    refundId: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      default: "pending",
+    },
+    // Order lines covered by a line-item refund; empty for amount refunds.
+    items: {
+      type: [
+        {
+          productId: {
+            type: Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+          },
+          variantId: {
+            type: Schema.Types.ObjectId,
+            default: null,
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1,
+          },
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    actor: {
+      userId: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      name: {
+        type: String,
+        trim: true,
+      },
+      role: {
+        type: String,
+        enum: ORDER_ACTOR_ROLES,
+        default: "system",
+      },
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
   },
   { _id: false },
 );
@@ -64,6 +376,47 @@ const returnRequestItemSchema = new Schema(
   { _id: false },
 );
 
+const returnHistorySchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      required: true,
+    },
+    fromStatus: {
+      type: String,
+      enum: [...RETURN_STATUSES, null],
+      default: null,
+    },
+    actor: {
+      userId: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      name: {
+        type: String,
+        trim: true,
+      },
+      role: {
+        type: String,
+        enum: ORDER_ACTOR_ROLES,
+        default: "system",
+      },
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
 const returnRequestSchema = new Schema(
   {
     reason: {
@@ -79,9 +432,31 @@ const returnRequestSchema = new Schema(
     },
     status: {
       type: String,
-      enum: ["requested", "approved", "rejected", "received", "refunded"],
+      enum: RETURN_STATUSES,
       default: "requested",
     },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refundAmount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    refundId: {
+      type: String,
+      default: null,
+    },
+    history: {
+      type: [returnHistorySchema],
+      default: [],
+    },
     items: {
       type: [returnRequestItemSchema],
       required: true,
@@ -110,7 +485,14 @@ const orderSchema = new Schema(
     userId: {
       type: Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.guestId;
+      },
+    },
+    // Guest checkouts carry the guest cart id instead of a user.
+    guestId: {
+      type: String,
+      default: null,
     },
     items: {
       type: [orderItemSchema],
@@ -135,6 +517,16 @@ const orderSchema = new Schema(
       default: 0,
       min: 0,
     },
+    taxLines: [taxLineSchema],
+    taxTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
     totalAmount: {
       type: Number,
       required: true,
@@ -195,9 +587,17 @@ const orderSchema = new Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ["paid", "unpaid"],
+      enum: PAYMENT_STATUSES,
       default: "unpaid",
     },
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+    dispute: {
+      type: disputeSchema,
+      default: null,
+    },
     transactionId: {
       type: String,
     },
@@ -209,19 +609,46 @@ const orderSchema = new Schema(
 
     status: {
       type: String,
-      enum: ["new", "process", "shipped", "delivered", "cancelled"],
+      enum: ORDER_STATUSES,
       default: "new",
     },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
 
     couponCode: {
       type: String,
     },
+    shippingMethod: {
+      methodId: {
+        type: Schema.Types.ObjectId,
+        ref: "Shipping",
+        default: null,
+      },
+      name: { type: String, trim: true },
+      zone: { type: String, trim: true },
+      price: { type: Number, min: 0, default: 0 },
+      estimatedDays: { type: Number, min: 0 },
+      estimatedDeliveryDate: { type: Date },
+    },
+    couponId: {
+      type: Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
     notes: {
       type: String,
       maxlength: 500,
     },
     trackingNumber: {
       type: String,
+      trim: true,
+      maxlength: 100,
     },
     returnRequests: {
       type: [returnRequestSchema],
@@ -240,11 +667,36 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ email: 1 });
+orderSchema.index(
+  { guestId: 1 },
+  { partialFilterExpression: { guestId: { $type: "string" } } },
+);
+orderSchema.index({ "returnRequests.status": 1 });
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+// A checkout key is unique per owner. `guestId` defaults to null, so only
+// partial indexes keep guest and account orders out of each other's index.
 orderSchema.index(
   { userId: 1, idempotencyKey: 1 },
-  { unique: true, sparse: true },
+  {
+    name: "uniq_user_idempotency_key",
+    unique: true,
+    partialFilterExpression: {
+      userId: { $type: "objectId" },
+      idempotencyKey: { $type: "string" },
+    },
+  },
+);
+orderSchema.index(
+  { guestId: 1, idempotencyKey: 1 },
+  {
+    name: "uniq_guest_idempotency_key",
+    unique: true,
+    partialFilterExpression: {
+      guestId: { $type: "string" },
+      idempotencyKey: { $type: "string" },
+    },
+  },
 );
 
 orderSchema.virtual("user", {
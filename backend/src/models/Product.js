@@ -1,8 +1,36 @@
 import mongoose from "mongoose";
 import slugify from "slugify";
+import { TAX_CLASSES } from "./TaxRate.js";
 
 const { Schema } = mongoose;
 
+// How a SKU sells once its stock runs out: `deny` stops at zero, `backorder`
+// keeps selling below zero, `preorder` sells units that ship on the expected
+// date.
+export const INVENTORY_POLICIES = ["deny", "backorder", "preorder"];
+
+const inventoryPolicySchema = (modes, defaultMode) =>
+  new Schema(
+    {
+      mode: {
+        type: String,
+        enum: modes,
+        default: defaultMode,
+      },
+      expectedDate: {
+        type: Date,
+        default: null,
+      },
+      // Units that may be sold below zero; null means no cap.
+      oversellLimit: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+    },
+    { _id: false },
+  );
+
 const VariantOptionSchema = new Schema(
   {
     typeId: {
@@ -69,6 +97,23 @@ const ImageSchema = new Schema(
   { timestamps: true },
 );
 
+// Units of one SKU kept at one stock location.
+const LocationStockSchema = new Schema(
+  {
+    locationId: {
+      type: Schema.Types.ObjectId,
+      ref: "StockLocation",
+      required: true,
+    },
+    // Below zero at the default location while units are on backorder.
+    quantity: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false },
+);
+
 const ProductVariantSchema = new Schema(
   {
     sku: {
@@ -96,11 +141,19 @@ const ProductVariantSchema = new Schema(
       max: 100,
       set: (v) => Math.round(v * 100) / 100,
     },
+    // Negative while units are on backorder or pre-order.
     stock: {
       type: Number,
       required: true,
       default: 0,
-      min: 0,
+    },
+    locationStock: [LocationStockSchema],
+    inventoryPolicy: {
+      type: inventoryPolicySchema(
+        ["inherit", ...INVENTORY_POLICIES],
+        "inherit",
+      ),
+      default: () => ({}),
     },
     status: {
       type: String,
@@ -189,14 +242,29 @@ const productSchema = new Schema(
     },
     baseStock: {
       type: Number,
-      min: 0,
       default: 0,
     },
+    locationStock: [LocationStockSchema],
+    // Applies to the product and to variants that inherit it.
+    inventoryPolicy: {
+      type: inventoryPolicySchema(INVENTORY_POLICIES, "deny"),
+      default: () => ({}),
+    },
     baseSku: {
       type: String,
       trim: true,
       uppercase: true,
     },
+    weight: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    taxClass: {
+      type: String,
+      enum: TAX_CLASSES,
+      default: "standard",
+    },
     size: [String],
 
     variants: [ProductVariantSchema],
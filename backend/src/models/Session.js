@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const SESSION_REVOKE_REASONS = [
+  "logout",
+  "user",
+  "all",
+  "admin",
+  "reuse_detected",
+  "password_reset",
+  "credentials_dropped",
+];
+
+// One document per signed-in device. A session is a refresh-token family:
+// every refresh swaps `refreshTokenHash` for the next token's hash, so an
+// older token showing up again means it was copied, and the whole session is
+// revoked. Access tokens carry the session id and stop working on revoke.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // The token replaced by the latest refresh, honoured for a few seconds
+    // so two tabs refreshing at once are not mistaken for token theft.
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    rememberMe: {
+      type: Boolean,
+      default: false,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 512,
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [...SESSION_REVOKE_REASONS, null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Sessions are removed once they could no longer be refreshed anyway.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -26,6 +26,9 @@ const settingSchema = new Schema(
     currencySymbol: { type: String, default: "$" },
     timezone: { type: String, default: "UTC" },
     maintenanceMode: { type: Boolean, default: false },
+    pricesIncludeTax: { type: Boolean, default: false },
+    requireVerifiedEmailForOrders: { type: Boolean, default: false },
+    requireAdminTwoFactor: { type: Boolean, default: false },
 
     metaTitle: { type: String, default: "" },
     metaDescription: { type: String, default: "" },
@@ -44,6 +47,15 @@ const settingSchema = new Schema(
     stripeEnabled: { type: Boolean, default: false },
     paypalClientId: { type: String, default: "" },
 
+    // Social sign-in. Empty credentials fall back to the GOOGLE_* and
+    // FACEBOOK_* environment variables; secrets are never sent to clients.
+    googleOAuthEnabled: { type: Boolean, default: false },
+    googleClientId: { type: String, default: "" },
+    googleClientSecret: { type: String, default: "", select: false },
+    facebookOAuthEnabled: { type: Boolean, default: false },
+    facebookAppId: { type: String, default: "" },
+    facebookAppSecret: { type: String, default: "", select: false },
+
     imageSettings: {
       allowedInputFormats: {
         type: [String],
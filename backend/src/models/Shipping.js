@@ -2,6 +2,70 @@ import mongoose from "mongoose";
 
 const { Schema } = mongoose;
 
+export const SHIPPING_RATE_TYPES = ["flat", "weight", "order_value"];
+
+const ShippingRateTierSchema = new Schema(
+  {
+    min: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    max: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+const ShippingZoneSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  countries: [
+    {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+  ],
+  states: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  rateType: {
+    type: String,
+    enum: SHIPPING_RATE_TYPES,
+    default: "flat",
+  },
+  price: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  rates: [ShippingRateTierSchema],
+  freeShippingThreshold: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  estimatedDays: {
+    type: Number,
+    min: 0,
+  },
+});
+
 const ShippingSchema = new Schema(
   {
     type: {
@@ -9,11 +73,22 @@ const ShippingSchema = new Schema(
       required: true,
       trim: true,
     },
+    rateType: {
+      type: String,
+      enum: SHIPPING_RATE_TYPES,
+      default: "flat",
+    },
     price: {
       type: Number,
       required: true,
       min: 0,
     },
+    rates: [ShippingRateTierSchema],
+    freeShippingThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
     estimatedDays: {
       type: Number,
       min: 0,
@@ -22,6 +97,7 @@ const ShippingSchema = new Schema(
       type: String,
       trim: true,
     },
+    zones: [ShippingZoneSchema],
     status: {
       type: String,
       enum: ["active", "inactive"],
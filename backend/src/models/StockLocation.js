@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const STOCK_LOCATION_TYPES = ["warehouse", "store", "backroom"];
+
+// A place stock is kept and orders are fulfilled from. Quantities live on
+// each product SKU (`locationStock`); `stock` / `baseStock` stay their sum.
+const StockLocationSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 20,
+    },
+    type: {
+      type: String,
+      enum: STOCK_LOCATION_TYPES,
+      default: "warehouse",
+    },
+    country: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: "",
+    },
+    state: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: "",
+    },
+    city: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Lower numbers are picked first when several locations can ship.
+    priority: {
+      type: Number,
+      default: 100,
+      min: 0,
+    },
+    // Receives stock added without a location, e.g. from the product form.
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+StockLocationSchema.index({ code: 1 }, { unique: true });
+StockLocationSchema.index({ status: 1, priority: 1 });
+
+export const StockLocation = mongoose.model(
+  "StockLocation",
+  StockLocationSchema,
+);
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const RESERVATION_STATUSES = ["active", "consumed", "released"];
+
+// How long a checkout holds stock while the shopper completes payment.
+export const RESERVATION_HOLD_MINUTES = 15;
+
+// Most units one shopper's checkout may hold at once, across all lines.
+export const RESERVATION_MAX_UNITS = 200;
+
+// Settled and expired holds are kept this long for support, then removed.
+const RESERVATION_RETENTION_SECONDS = 24 * 60 * 60;
+
+// One document per cart line held for a PaymentIntent. A hold only counts
+// against available stock while it is active and unexpired, so expiry needs
+// no cleanup job; the TTL index just keeps the collection small.
+const stockReservationSchema = new Schema(
+  {
+    paymentIntentId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    guestId: {
+      type: String,
+      default: null,
+    },
+    productId: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: RESERVATION_STATUSES,
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    releasedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+stockReservationSchema.index({ productId: 1, status: 1, expiresAt: 1 });
+stockReservationSchema.index({ paymentIntentId: 1, status: 1 });
+stockReservationSchema.index({ userId: 1, status: 1 });
+stockReservationSchema.index({ guestId: 1, status: 1 });
+stockReservationSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: RESERVATION_RETENTION_SECONDS },
+);
+
+export const StockReservation = mongoose.model(
+  "StockReservation",
+  stockReservationSchema,
+);
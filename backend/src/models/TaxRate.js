@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const TAX_CLASSES = ["standard", "reduced", "zero"];
+
+const TaxRateSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    country: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: "",
+    },
+    taxClass: {
+      type: String,
+      enum: TAX_CLASSES,
+      default: "standard",
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    appliesToShipping: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+TaxRateSchema.index({ country: 1, state: 1, taxClass: 1, status: 1 });
+
+TaxRateSchema.statics.findActiveForCountry = function (country) {
+  return this.find({
+    status: "active",
+    country: String(country || "")
+      .trim()
+      .toUpperCase(),
+  });
+};
+
+export const TaxRate = mongoose.model("TaxRate", TaxRateSchema);
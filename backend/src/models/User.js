@@ -1,8 +1,30 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLE_NAMES } from "../constants/permissions.js";
 
 const { Schema } = mongoose;
 
+// A social sign-in linked to the account. `provider`/`providerId` above record
+// the one the account was created with; this list holds every linked one.
+const oauthAccountSchema = new Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["google", "facebook", "github"],
+      required: true,
+    },
+    providerId: {
+      type: String,
+      required: true,
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
 const addressSchema = new Schema(
   {
     label: {
@@ -123,7 +145,7 @@ const userSchema = new Schema(
     },
     role: {
       type: String,
-      enum: ["admin", "user"],
+      enum: ROLE_NAMES,
       default: "user",
     },
     photo: {
@@ -144,6 +166,10 @@ const userSchema = new Schema(
       type: String,
       default: null,
     },
+    oauthAccounts: {
+      type: [oauthAccountSchema],
+      default: [],
+    },
     emailVerified: {
       type: Boolean,
       default: false,
@@ -152,6 +178,10 @@ const userSchema = new Schema(
       type: String,
       select: false,
     },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
     passwordResetToken: {
       type: String,
       select: false,
@@ -160,9 +190,44 @@ const userSchema = new Schema(
       type: Date,
       select: false,
     },
-    refreshToken: {
-      type: String,
-      select: false,
+    // TOTP second factor. `pendingSecret` holds a secret being enrolled until
+    // the first code confirms it; recovery codes are stored as SHA-256 hashes.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Failed sign-ins since the last successful one. Each run of
+    // MAX_FAILED_LOGIN_ATTEMPTS locks the account until `lockUntil`.
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
     },
     addresses: {
       type: [addressSchema],
@@ -196,6 +261,13 @@ const userSchema = new Schema(
 userSchema.index({ role: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ provider: 1, providerId: 1 });
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.providerId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oauthAccounts.0": { $exists: true } },
+  },
+);
 
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
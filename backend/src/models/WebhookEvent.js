@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const WEBHOOK_EVENT_STATUSES = [
+  "processing",
+  "processed",
+  "ignored",
+  "failed",
+];
+
+// One document per Stripe event id; the unique index is what keeps a
+// redelivered event from being applied twice.
+const WebhookEventSchema = new Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["stripe"],
+      default: "stripe",
+    },
+    eventId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: WEBHOOK_EVENT_STATUSES,
+      default: "processing",
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    orderId: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+    stripeCreatedAt: {
+      type: Date,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+WebhookEventSchema.index({ type: 1, createdAt: -1 });
+
+export const WebhookEvent = mongoose.model("WebhookEvent", WebhookEventSchema);
@@ -1,16 +1,26 @@
+export * from "./AuditLog.js";
+export * from "./BackInStockSubscription.js";
 export * from "./Banner.js";
 export * from "./Brand.js";
 export * from "./Cart.js";
 export * from "./Category.js";
 export * from "./Coupon.js";
 export * from "./Discount.js";
+export * from "./EmailTemplate.js";
 export * from "./Filter.js";
+export * from "./InventoryMovement.js";
 export * from "./Order.js";
 export * from "./Product.js";
 export * from "./Review.js";
+export * from "./Session.js";
+export * from "./LoginAttempt.js";
 export * from "./Setting.js";
 export * from "./Shipping.js";
+export * from "./StockLocation.js";
+export * from "./StockReservation.js";
+export * from "./TaxRate.js";
 export * from "./User.js";
 export * from "./VariantOption.js";
 export * from "./VariantType.js";
+export * from "./WebhookEvent.js";
 export * from "./Wishlist.js";
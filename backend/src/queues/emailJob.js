@@ -0,0 +1,29 @@
+import { logger } from "../utils/logger.js";
+import { emailService } from "../utils/emailService.js";
+
+// Sends one queued email. Kept apart from the Bull queue so it can run
+// without Redis; a thrown error makes Bull retry the job.
+export const processEmailJob = async (job) => {
+  const { to, subject, html, text } = job.data;
+
+  try {
+    logger.info(`Sending email to: ${to}, subject: ${subject}`);
+
+    const info = await emailService.sendMail({ to, subject, html, text });
+
+    logger.info(`Email sent successfully to: ${to}`, {
+      messageId: info.messageId,
+    });
+
+    return {
+      success: true,
+      to,
+      subject,
+      messageId: info.messageId,
+      sentAt: new Date(),
+    };
+  } catch (error) {
+    logger.error(`Failed to send email to ${to}:`, error);
+    throw error;
+  }
+};
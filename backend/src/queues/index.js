@@ -17,6 +17,25 @@ export const imageProcessingQueue = new Queue("image-processing", {
   redis: redisConfig,
 });
 
+// Producer side of the email queue; the worker in emailQueue.js sends them.
+export const queueEmail = async (emailData) => {
+  try {
+    await emailQueue.add(emailData, {
+      attempts: 3,
+      backoff: {
+        type: "exponential",
+        delay: 5000,
+      },
+      removeOnComplete: 50,
+      removeOnFail: false,
+    });
+
+    logger.info(`Queued email to: ${emailData.to}`);
+  } catch (error) {
+    logger.error(`Failed to queue email:`, error);
+  }
+};
+
 export const getQueueHealth = async () => {
   try {
     const [ratings, emails, imageProcessing] = await Promise.all([
@@ -24,4 +24,11 @@ export class DiscountRepository extends BaseRepository {
       $or: [{ endDate: null }, { endDate: { $gt: new Date() } }],
     });
   }
+
+  async findCurrentAndUpcoming() {
+    return this.find(
+      { isActive: true, endsAt: { $gte: new Date() } },
+      { sort: { priority: -1, createdAt: -1 } },
+    );
+  }
 }
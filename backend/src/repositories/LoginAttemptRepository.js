@@ -0,0 +1,27 @@
+import { BaseRepository } from "./BaseRepository.js";
+import { LoginAttempt } from "../models/LoginAttempt.js";
+
+export class LoginAttemptRepository extends BaseRepository {
+  constructor() {
+    super(LoginAttempt);
+  }
+
+  async findByUser(userId, { page = 1, limit = 20 } = {}) {
+    return this.findAll({
+      filter: { user: userId },
+      sort: { createdAt: -1, _id: -1 },
+      page,
+      limit,
+    });
+  }
+
+  async hasSignedIn(userId, device = null) {
+    return Boolean(
+      await this.model.exists({
+        user: userId,
+        success: true,
+        ...(device && { device }),
+      }),
+    );
+  }
+}
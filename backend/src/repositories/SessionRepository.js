@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import { BaseRepository } from "./BaseRepository.js";
+import { Session } from "../models/Session.js";
+
+export class SessionRepository extends BaseRepository {
+  constructor() {
+    super(Session);
+  }
+
+  async findByIdWithToken(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return this.model
+      .findById(id)
+      .select("+refreshTokenHash +previousTokenHash")
+      .lean();
+  }
+
+  async findActiveByUser(userId) {
+    return this.find(
+      { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { sort: { lastUsedAt: -1 } },
+    );
+  }
+
+  async isActive(id, userId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    return Boolean(
+      await this.model.exists({ _id: id, user: userId, revokedAt: null }),
+    );
+  }
+
+  // Only the caller holding the current token wins; a concurrent refresh with
+  // the same token finds the hash already swapped and gets null back.
+  async rotate(id, currentHash, changes) {
+    return this.findOneAndUpdate(
+      { _id: id, refreshTokenHash: currentHash, revokedAt: null },
+      { $set: changes },
+    );
+  }
+
+  async revoke(filter, reason) {
+    return this.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+  }
+
+  async revokeById(id, reason) {
+    return this.revoke({ _id: id }, reason);
+  }
+
+  async revokeAllForUser(userId, reason, { exceptId = null } = {}) {
+    return this.revoke(
+      { user: userId, ...(exceptId && { _id: { $ne: exceptId } }) },
+      reason,
+    );
+  }
+}
@@ -0,0 +1,12 @@
+import { BaseRepository } from "./BaseRepository.js";
+import { Shipping } from "../models/Shipping.js";
+
+export class ShippingRepository extends BaseRepository {
+  constructor() {
+    super(Shipping);
+  }
+
+  async findActive() {
+    return this.model.findActive().lean();
+  }
+}
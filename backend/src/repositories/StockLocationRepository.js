@@ -0,0 +1,16 @@
+import { BaseRepository } from "./BaseRepository.js";
+import { StockLocation } from "../models/StockLocation.js";
+
+export class StockLocationRepository extends BaseRepository {
+  constructor() {
+    super(StockLocation);
+  }
+
+  async findActive(session = null) {
+    return this.model
+      .find({ status: "active" })
+      .sort({ priority: 1, name: 1 })
+      .session(session)
+      .lean();
+  }
+}
@@ -0,0 +1,12 @@
+import { BaseRepository } from "./BaseRepository.js";
+import { TaxRate } from "../models/TaxRate.js";
+
+export class TaxRateRepository extends BaseRepository {
+  constructor() {
+    super(TaxRate);
+  }
+
+  async findActiveForCountry(country) {
+    return this.model.findActiveForCountry(country).lean();
+  }
+}
@@ -21,11 +21,6 @@ export class UserRepository extends BaseRepository {
     return this.model.findById(id).select("+password");
   }
 
-  async findByIdWithRefreshToken(id) {
-    if (!mongoose.Types.ObjectId.isValid(id)) return null;
-    return this.model.findById(id).select("+refreshToken");
-  }
-
   async findByResetToken(resetToken) {
     const hashedToken = crypto
       .createHash("sha256")
@@ -39,15 +34,94 @@ export class UserRepository extends BaseRepository {
       .select("+passwordResetToken +passwordResetExpires");
   }
 
-  async setRefreshToken(id, hashedToken) {
+  async findByVerificationToken(verificationToken) {
+    const hashedToken = crypto
+      .createHash("sha256")
+      .update(verificationToken)
+      .digest("hex");
+    return this.model
+      .findOne({
+        emailVerificationToken: hashedToken,
+        emailVerificationExpires: { $gt: new Date() },
+      })
+      .select("+emailVerificationToken +emailVerificationExpires");
+  }
+
+  async findByOAuthAccount(provider, providerId) {
+    return this.findOne({
+      $or: [
+        { oauthAccounts: { $elemMatch: { provider, providerId } } },
+        { provider, providerId },
+      ],
+    });
+  }
+
+  // The provider has confirmed the address, so linking also verifies it.
+  // `dropCredentials` removes the password of an account whose address was
+  // never proven; the caller revokes its sessions.
+  async linkOAuthAccount(id, provider, providerId, dropCredentials = false) {
     return this.updateById(id, {
-      refreshToken: hashedToken,
-      $set: { lastLoginAt: new Date() },
+      $push: { oauthAccounts: { provider, providerId, linkedAt: new Date() } },
+      $set: { emailVerified: true },
+      ...(dropCredentials && { $unset: { password: 1 } }),
     });
   }
 
-  async revokeRefreshToken(id) {
-    return this.updateOne({ _id: id }, { $unset: { refreshToken: 1 } });
+  async findByIdWithTwoFactor(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return this.model
+      .findById(id)
+      .select(
+        "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep",
+      )
+      .lean();
+  }
+
+  // Both claims are atomic, so a code or recovery code sent twice at the same
+  // moment is only accepted once.
+  async claimTwoFactorStep(id, step) {
+    const result = await this.updateOne(
+      {
+        _id: id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": { $exists: false } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } },
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async consumeRecoveryCode(id, hashedCode) {
+    const result = await this.updateOne(
+      { _id: id, "twoFactor.recoveryCodes": hashedCode },
+      { $pull: { "twoFactor.recoveryCodes": hashedCode } },
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Counted atomically so parallel guesses cannot slip past the limit.
+  async registerFailedLogin(id) {
+    return this.model
+      .findByIdAndUpdate(
+        id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true },
+      )
+      .select("failedLoginAttempts lockUntil")
+      .lean();
+  }
+
+  async lockAccount(id, lockUntil) {
+    return this.updateOne({ _id: id }, { $set: { lockUntil } });
+  }
+
+  async clearFailedLogins(id) {
+    return this.updateOne(
+      { _id: id },
+      { $set: { failedLoginAttempts: 0, lockUntil: null } },
+    );
   }
 
   async setPasswordResetToken(id, hashedToken, expiresAt) {
@@ -56,4 +130,11 @@ export class UserRepository extends BaseRepository {
       passwordResetExpires: expiresAt,
     });
   }
+
+  async setEmailVerificationToken(id, hashedToken, expiresAt) {
+    return this.updateById(id, {
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: expiresAt,
+    });
+  }
 }
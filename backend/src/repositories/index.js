@@ -13,3 +13,8 @@ export { BannerRepository } from "./BannerRepository.js";
 export { SettingRepository } from "./SettingRepository.js";
 export { VariantTypeRepository } from "./VariantTypeRepository.js";
 export { VariantOptionRepository } from "./VariantOptionRepository.js";
+export { ShippingRepository } from "./ShippingRepository.js";
+export { TaxRateRepository } from "./TaxRateRepository.js";
+export { StockLocationRepository } from "./StockLocationRepository.js";
+export { SessionRepository } from "./SessionRepository.js";
+export { LoginAttemptRepository } from "./LoginAttemptRepository.js";
@@ -1,12 +1,16 @@
 import { Router } from "express";
 import { ProductController } from "../controllers/ProductController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
 
 const router = Router();
 const productController = new ProductController();
 
-router.get("/", protect, authorize("admin"), (req, res, next) =>
-  productController.index(req, res, next),
+router.get(
+  "/",
+  protect,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  (req, res, next) => productController.index(req, res, next),
 );
 
 export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { auditLogController } from "../controllers/AuditLogController.js";
+import { auditLogQueryValidator, validate } from "../validators/index.js";
+
+const router = Router();
+
+// Read-only: entries are written by the `audit` middleware on other routes.
+router.use(protect, requirePermission(PERMISSIONS.AUDIT_VIEW));
+
+router.get("/", auditLogQueryValidator, validate, auditLogController.index);
+
+export default router;
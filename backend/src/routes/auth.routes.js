@@ -1,23 +1,31 @@
 import { Router } from "express";
 import { AuthController } from "../controllers/AuthController.js";
-import { protect } from "../middleware/auth.js";
+import { optionalAuth, protect } from "../middleware/auth.js";
 import {
   authForgotPasswordRateLimiter,
   authRateLimiter,
   authRefreshRateLimiter,
+  authResendVerificationRateLimiter,
   authResetPasswordRateLimiter,
+  authTwoFactorRateLimiter,
+  authVerifyEmailRateLimiter,
 } from "../middleware/rateLimiter.js";
 import { issueCsrfToken } from "../middleware/csrf.js";
 import {
   addressIdValidator,
   createAddressValidator,
   emailValidator,
+  loginHistoryQueryValidator,
   loginValidator,
   registerValidator,
+  resendVerificationValidator,
   resetPasswordValidator,
+  twoFactorCodeValidator,
+  twoFactorLoginValidator,
   updateSearchPreferencesValidator,
   updatePasswordValidator,
   validate,
+  verifyEmailValidator,
 } from "../validators/index.js";
 
 const router = Router();
@@ -41,10 +49,81 @@ router.post(
   (req, res, next) => authController.login(req, res, next),
 );
 
+router.post(
+  "/2fa/login",
+  authTwoFactorRateLimiter,
+  twoFactorLoginValidator,
+  validate,
+  (req, res, next) => authController.twoFactorLogin(req, res, next),
+);
+
+router.post(
+  "/2fa/login/setup",
+  authTwoFactorRateLimiter,
+  twoFactorLoginValidator,
+  validate,
+  (req, res, next) => authController.twoFactorLoginSetup(req, res, next),
+);
+
+router.get("/2fa", protect, (req, res, next) =>
+  authController.getTwoFactor(req, res, next),
+);
+
+router.post("/2fa/setup", protect, (req, res, next) =>
+  authController.setupTwoFactor(req, res, next),
+);
+
+router.post(
+  "/2fa/enable",
+  protect,
+  authTwoFactorRateLimiter,
+  twoFactorCodeValidator,
+  validate,
+  (req, res, next) => authController.enableTwoFactor(req, res, next),
+);
+
+router.post(
+  "/2fa/disable",
+  protect,
+  authTwoFactorRateLimiter,
+  twoFactorCodeValidator,
+  validate,
+  (req, res, next) => authController.disableTwoFactor(req, res, next),
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  authTwoFactorRateLimiter,
+  twoFactorCodeValidator,
+  validate,
+  (req, res, next) => authController.regenerateRecoveryCodes(req, res, next),
+);
+
 router.post("/logout", protect, (req, res, next) =>
   authController.logout(req, res, next),
 );
 
+router.get("/sessions", protect, (req, res, next) =>
+  authController.getSessions(req, res, next),
+);
+
+router.delete("/sessions", protect, (req, res, next) =>
+  authController.revokeAllSessions(req, res, next),
+);
+
+router.delete("/sessions/:sessionId", protect, (req, res, next) =>
+  authController.revokeSession(req, res, next),
+);
+
+router.get(
+  "/login-history",
+  protect,
+  loginHistoryQueryValidator,
+  validate,
+  (req, res, next) => authController.getLoginHistory(req, res, next),
+);
+
 router.post("/refresh-token", authRefreshRateLimiter, (req, res, next) =>
   authController.refreshToken(req, res, next),
 );
@@ -116,18 +195,37 @@ router.post(
   (req, res, next) => authController.resetPassword(req, res, next),
 );
 
-router.get("/google", (req, res) => {
-  res.status(400).json({
-    success: false,
-    message: "Google OAuth is not enabled in this environment",
-  });
-});
+router.post(
+  "/verify-email",
+  authVerifyEmailRateLimiter,
+  verifyEmailValidator,
+  validate,
+  (req, res, next) => authController.verifyEmail(req, res, next),
+);
+
+router.post(
+  "/resend-verification",
+  optionalAuth,
+  authResendVerificationRateLimiter,
+  resendVerificationValidator,
+  validate,
+  (req, res, next) => authController.resendVerification(req, res, next),
+);
+
+router.get("/oauth/providers", (req, res, next) =>
+  authController.oauthProviders(req, res, next),
+);
+
+router.post("/oauth/challenge", authTwoFactorRateLimiter, (req, res, next) =>
+  authController.oauthChallenge(req, res, next),
+);
 
-router.get("/facebook", (req, res) => {
-  res.status(400).json({
-    success: false,
-    message: "Facebook OAuth is not enabled in this environment",
-  });
-});
+router.get("/oauth/:provider", (req, res) =>
+  authController.oauthStart(req, res),
+);
+
+router.get("/oauth/:provider/callback", (req, res) =>
+  authController.oauthCallback(req, res),
+);
 
 export default router;
@@ -0,0 +1,34 @@
+import { Router } from "express";
+import {
+  protect,
+  requirePermission,
+  optionalAuth,
+} from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { backInStockController } from "../controllers/BackInStockController.js";
+import {
+  backInStockSubscribeValidator,
+  backInStockDemandQueryValidator,
+  validate,
+} from "../validators/index.js";
+
+const router = Router();
+
+// Guests subscribe with an email address; signed-in shoppers may omit it.
+router.post(
+  "/",
+  optionalAuth,
+  backInStockSubscribeValidator,
+  validate,
+  backInStockController.subscribe,
+);
+router.get(
+  "/demand",
+  protect,
+  requirePermission(PERMISSIONS.INVENTORY_MANAGE),
+  backInStockDemandQueryValidator,
+  validate,
+  backInStockController.demand,
+);
+
+export default router;
@@ -4,7 +4,10 @@ import {
   createDynamicUpload,
   handleDynamicUploadError,
 } from "../middleware/dynamicUpload.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Banner } from "../models/Banner.js";
 import {
   validate,
   bannerIdValidator,
@@ -20,14 +23,14 @@ router.get("/", bannerController.index.bind(bannerController));
 router.get(
   "/discount-options",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
   bannerController.getDiscountOptions.bind(bannerController),
 );
 
 router.get(
   "/analytics",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
   bannerController.getAnalytics.bind(bannerController),
 );
 
@@ -41,7 +44,8 @@ router.get(
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("banner", { model: Banner }),
   createDynamicUpload("banner", { type: "single", fieldName: "image" }),
   handleDynamicUploadError,
   createBannerValidator,
@@ -52,7 +56,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("banner", { model: Banner }),
   createDynamicUpload("banner", { type: "single", fieldName: "image" }),
   handleDynamicUploadError,
   updateBannerValidator,
@@ -63,7 +68,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("banner", { model: Banner }),
   bannerIdValidator,
   validate,
   bannerController.destroy.bind(bannerController),
@@ -1,6 +1,9 @@
 import { Router } from "express";
 import { BrandController } from "../controllers/BrandController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Brand } from "../models/Brand.js";
 import {
   createDynamicUpload,
   handleDynamicUploadError,
@@ -29,7 +32,8 @@ router.get("/:slug/products", getBrandValidator, validate, (req, res, next) =>
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("brand", { model: Brand }),
   createDynamicUpload("brand", { type: "fields", fields: [{ name: "logo", maxCount: 1 }, { name: "banners", maxCount: 3 }] }),
   handleDynamicUploadError,
   createBrandValidator,
@@ -40,7 +44,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("brand", { model: Brand }),
   createDynamicUpload("brand", { type: "fields", fields: [{ name: "logo", maxCount: 1 }, { name: "banners", maxCount: 3 }] }),
   handleDynamicUploadError,
   updateBrandValidator,
@@ -51,7 +56,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("brand", { model: Brand }),
   deleteBrandValidator,
   validate,
   (req, res, next) => brandController.destroy(req, res, next),
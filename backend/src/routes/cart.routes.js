@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { protect } from "../middleware/auth.js";
+import { resolveCartOwner } from "../middleware/guestCart.js";
 import { cartController } from "../controllers/CartController.js";
 import {
   validate,
@@ -10,7 +10,7 @@ import {
 
 const router = Router();
 
-router.use(protect);
+router.use(resolveCartOwner);
 
 router.get("/", cartController.index);
 router.post("/", addToCartValidator, validate, cartController.addItem);
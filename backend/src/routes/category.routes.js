@@ -1,6 +1,9 @@
 import { Router } from "express";
 import { CategoryController } from "../controllers/CategoryController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Category } from "../models/Category.js";
 import {
   createDynamicUpload,
   handleDynamicUploadError,
@@ -59,7 +62,8 @@ router.get("/:id/brands", categoryIdValidator, validate, (req, res, next) =>
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("category", { model: Category }),
   createDynamicUpload("category", { type: "single", fieldName: "photo" }),
   handleDynamicUploadError,
   createCategoryValidator,
@@ -67,14 +71,19 @@ router.post(
   (req, res, next) => categoryController.store(req, res, next),
 );
 
-router.post("/reorder", protect, authorize("admin"), (req, res, next) =>
-  categoryController.bulkReorder(req, res, next),
+router.post(
+  "/reorder",
+  protect,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("category", { action: "reorder", details: (req) => req.body }),
+  (req, res, next) => categoryController.bulkReorder(req, res, next),
 );
 
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("category", { model: Category }),
   createDynamicUpload("category", { type: "single", fieldName: "photo" }),
   handleDynamicUploadError,
   updateCategoryValidator,
@@ -85,7 +94,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("category", { model: Category }),
   categoryIdValidator,
   validate,
   (req, res, next) => categoryController.destroy(req, res, next),
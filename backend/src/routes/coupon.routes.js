@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Coupon } from "../models/Coupon.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { couponController } from "../controllers/CouponController.js";
 import {
@@ -24,7 +27,7 @@ router.post(
 router.get(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
   couponQueryValidator,
   validate,
   couponController.index.bind(couponController),
@@ -32,7 +35,7 @@ router.get(
 router.get(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
   couponIdValidator,
   validate,
   couponController.show.bind(couponController),
@@ -41,7 +44,8 @@ router.get(
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("coupon", { model: Coupon }),
   createCouponValidator,
   validate,
   couponController.create.bind(couponController),
@@ -50,7 +54,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("coupon", { model: Coupon }),
   updateCouponValidator,
   validate,
   couponController.update.bind(couponController),
@@ -59,7 +64,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("coupon", { model: Coupon }),
   couponIdValidator,
   validate,
   couponController.destroy.bind(couponController),
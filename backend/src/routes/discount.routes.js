@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Discount } from "../models/Discount.js";
 import { discountController } from "../controllers/DiscountController.js";
 import {
   validate,
@@ -14,7 +17,7 @@ const router = Router();
 router.get(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
   discountQueryValidator,
   validate,
   discountController.index.bind(discountController),
@@ -22,13 +25,13 @@ router.get(
 router.get(
   "/form-options",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
   discountController.getFormOptions.bind(discountController),
 );
 router.get(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
   discountIdValidator,
   validate,
   discountController.show.bind(discountController),
@@ -37,7 +40,8 @@ router.get(
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("discount", { model: Discount }),
   createDiscountValidator,
   validate,
   discountController.create.bind(discountController),
@@ -45,7 +49,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("discount", { model: Discount }),
   updateDiscountValidator,
   validate,
   discountController.update.bind(discountController),
@@ -53,7 +58,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.MARKETING_MANAGE),
+  audit("discount", { model: Discount }),
   discountIdValidator,
   validate,
   discountController.destroy.bind(discountController),
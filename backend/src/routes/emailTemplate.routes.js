@@ -0,0 +1,58 @@
+import { Router } from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { EmailTemplate } from "../models/EmailTemplate.js";
+import { emailTemplateController } from "../controllers/EmailTemplateController.js";
+import {
+  emailTemplateKeyValidator,
+  updateEmailTemplateValidator,
+  previewEmailTemplateValidator,
+  testEmailTemplateValidator,
+  validate,
+} from "../validators/index.js";
+
+const router = Router();
+
+const templateAudit = {
+  idParam: "key",
+  find: (key) => EmailTemplate.findOne({ key }),
+};
+
+router.use(protect, requirePermission(PERMISSIONS.EMAIL_TEMPLATES_MANAGE));
+
+router.get("/", emailTemplateController.index);
+router.get(
+  "/:key",
+  emailTemplateKeyValidator,
+  validate,
+  emailTemplateController.show,
+);
+router.put(
+  "/:key",
+  audit("email_template", templateAudit),
+  updateEmailTemplateValidator,
+  validate,
+  emailTemplateController.update,
+);
+router.delete(
+  "/:key",
+  audit("email_template", { ...templateAudit, action: "reset" }),
+  emailTemplateKeyValidator,
+  validate,
+  emailTemplateController.reset,
+);
+router.post(
+  "/:key/preview",
+  previewEmailTemplateValidator,
+  validate,
+  emailTemplateController.preview,
+);
+router.post(
+  "/:key/test",
+  testEmailTemplateValidator,
+  validate,
+  emailTemplateController.sendTest,
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { inventoryController } from "../controllers/InventoryController.js";
+import {
+  inventoryQueryValidator,
+  inventoryAdjustmentValidator,
+  inventoryMovementQueryValidator,
+  validate,
+} from "../validators/index.js";
+
+const router = Router();
+
+router.use(protect, requirePermission(PERMISSIONS.INVENTORY_MANAGE));
+
+router.get("/", inventoryQueryValidator, validate, inventoryController.index);
+router.get(
+  "/movements",
+  inventoryMovementQueryValidator,
+  validate,
+  inventoryController.movements,
+);
+router.post(
+  "/adjustments",
+  audit("inventory", {
+    action: "stock_adjustment",
+    details: ({ body }) => ({
+      adjustments: body.adjustments,
+      reason: body.reason,
+      note: body.note,
+    }),
+  }),
+  inventoryAdjustmentValidator,
+  validate,
+  inventoryController.adjust,
+);
+
+export default router;
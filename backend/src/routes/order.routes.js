@@ -1,27 +1,44 @@
 import { Router } from 'express';
-import { protect, authorize } from '../middleware/auth.js';
+import { PERMISSIONS } from '../constants/permissions.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { audit } from '../middleware/audit.js';
+import { resolveCartOwner } from '../middleware/guestCart.js';
 import { orderController } from '../controllers/OrderController.js';
+import { Order } from '../models/Order.js';
 import {
+    cancelOrderValidator,
     createOrderValidator,
     orderIdValidator,
     orderQueryValidator,
+    refundOrderValidator,
+    returnQueryValidator,
     returnRequestValidator,
     updateOrderStatusValidator,
+    updateReturnRequestValidator,
     validate,
 } from '../validators/index.js';
 
 const router = Router();
 
+// The status history already records each transition, so it is left out of the diff.
+const orderAudit = { model: Order, select: '-statusHistory' };
+
+// Checkout is open to guests; everything else needs an account.
+router.post('/', resolveCartOwner, createOrderValidator, validate, orderController.store.bind(orderController));
+
 router.use(protect);
 
-router.get('/admin/summary', authorize('admin'), orderController.adminSummary.bind(orderController));
-router.get('/admin/all', authorize('admin'), orderQueryValidator, validate, orderController.adminAll.bind(orderController));
-router.put('/:id/status', authorize('admin'), updateOrderStatusValidator, validate, orderController.updateStatus.bind(orderController));
+router.get('/admin/summary', requirePermission(PERMISSIONS.ORDERS_VIEW), orderController.adminSummary.bind(orderController));
+router.get('/admin/all', requirePermission(PERMISSIONS.ORDERS_VIEW), orderQueryValidator, validate, orderController.adminAll.bind(orderController));
+router.get('/admin/returns', requirePermission(PERMISSIONS.ORDERS_VIEW), returnQueryValidator, validate, orderController.adminReturns.bind(orderController));
+router.put('/:id/status', requirePermission(PERMISSIONS.ORDERS_MANAGE), audit('order', { ...orderAudit, action: 'status_change' }), updateOrderStatusValidator, validate, orderController.updateStatus.bind(orderController));
+router.post('/:id/refunds', requirePermission(PERMISSIONS.ORDERS_REFUND), audit('order', { ...orderAudit, action: 'refund' }), refundOrderValidator, validate, orderController.refund.bind(orderController));
+router.patch('/:id/returns/:returnId', requirePermission(PERMISSIONS.ORDERS_MANAGE), audit('order', { ...orderAudit, action: 'return_update' }), updateReturnRequestValidator, validate, orderController.updateReturn.bind(orderController));
 
-router.post('/', createOrderValidator, validate, orderController.store.bind(orderController));
 router.get('/', orderQueryValidator, validate, orderController.index.bind(orderController));
 router.get('/returns', orderController.listReturns.bind(orderController));
 router.post('/:id/reorder', orderIdValidator, validate, orderController.reorder.bind(orderController));
+router.patch('/:id/cancel', cancelOrderValidator, validate, orderController.cancel.bind(orderController));
 router.post('/:id/returns', returnRequestValidator, validate, orderController.requestReturn.bind(orderController));
 router.get('/:id', orderIdValidator, validate, orderController.show.bind(orderController));
 
@@ -1,11 +1,62 @@
 import { Router } from "express";
-import { protect } from "../middleware/auth.js";
+import { resolveCartOwner } from "../middleware/guestCart.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { paymentIntentRateLimiter } from "../middleware/rateLimiter.js";
+import { WebhookEvent } from "../models/WebhookEvent.js";
 import { paymentController } from "../controllers/PaymentController.js";
+import {
+  createPaymentIntentValidator,
+  checkoutSummaryValidator,
+  webhookEventQueryValidator,
+  webhookEventIdValidator,
+  validate,
+} from "../validators/index.js";
 
 const router = Router();
 
 router.get("/config", paymentController.getConfig);
-router.post("/create-intent", protect, paymentController.createIntent);
+router.post(
+  "/create-intent",
+  paymentIntentRateLimiter,
+  resolveCartOwner,
+  createPaymentIntentValidator,
+  validate,
+  paymentController.createIntent,
+);
+router.post(
+  "/summary",
+  resolveCartOwner,
+  checkoutSummaryValidator,
+  validate,
+  paymentController.checkoutSummary,
+);
+router.get(
+  "/webhook-events",
+  protect,
+  requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+  webhookEventQueryValidator,
+  validate,
+  paymentController.webhookEvents,
+);
+router.get(
+  "/webhook-events/:id",
+  protect,
+  requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+  webhookEventIdValidator,
+  validate,
+  paymentController.webhookEvent,
+);
+router.post(
+  "/webhook-events/:id/replay",
+  protect,
+  requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+  audit("webhook_event", { action: "replay", model: WebhookEvent }),
+  webhookEventIdValidator,
+  validate,
+  paymentController.replayWebhookEvent,
+);
 
 export const handleStripeWebhook = paymentController.webhook;
 
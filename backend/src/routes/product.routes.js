@@ -1,6 +1,13 @@
 import { Router } from "express";
 import { ProductController } from "../controllers/ProductController.js";
-import { protect, authorize, optionalAuth } from "../middleware/auth.js";
+import {
+  protect,
+  requirePermission,
+  optionalAuth,
+} from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Product } from "../models/Product.js";
 import {
   createDynamicUpload,
   handleDynamicUploadError,
@@ -41,7 +48,7 @@ router.get(
 router.get(
   "/admin/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
   productIdValidator,
   validate,
   (req, res, next) => productController.adminShow(req, res, next),
@@ -60,7 +67,8 @@ const extendTimeout = (req, res, next) => {
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("product", { model: Product }),
   extendTimeout,
   createDynamicUpload("product", { type: "any" }),
   handleDynamicUploadError,
@@ -72,7 +80,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("product", { model: Product }),
   extendTimeout,
   createDynamicUpload("product", { type: "any" }),
   handleDynamicUploadError,
@@ -84,7 +93,8 @@ router.put(
 router.post(
   "/:id/images",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("product", { action: "update", model: Product }),
   extendTimeout,
   createDynamicUpload("product", { type: "any" }),
   handleDynamicUploadError,
@@ -96,7 +106,8 @@ router.post(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("product", { model: Product }),
   productIdValidator,
   validate,
   (req, res, next) => productController.destroy(req, res, next),
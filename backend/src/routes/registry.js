@@ -1,17 +1,24 @@
 import {
   adminProductRoutes,
+  auditLogRoutes,
   authRoutes,
+  backInStockRoutes,
   bannerRoutes,
   brandRoutes,
   cartRoutes,
   categoryRoutes,
   couponRoutes,
   discountRoutes,
+  emailTemplateRoutes,
+  inventoryRoutes,
   orderRoutes,
   paymentRoutes,
   productRoutes,
   reviewRoutes,
   settingsRoutes,
+  shippingRoutes,
+  stockLocationRoutes,
+  taxRoutes,
   userRoutes,
   variantOptionRoutes,
   variantTypeRoutes,
@@ -33,6 +40,13 @@ export const apiRouteRegistry = Object.freeze([
   { path: "/banners", router: bannerRoutes },
   { path: "/discounts", router: discountRoutes },
   { path: "/settings", router: settingsRoutes },
+  { path: "/email-templates", router: emailTemplateRoutes },
+  { path: "/audit-logs", router: auditLogRoutes },
+  { path: "/shipping", router: shippingRoutes },
+  { path: "/tax-rates", router: taxRoutes },
+  { path: "/inventory", router: inventoryRoutes },
+  { path: "/stock-locations", router: stockLocationRoutes },
+  { path: "/back-in-stock", router: backInStockRoutes },
   { path: "/variant-types", router: variantTypeRoutes },
   { path: "/variant-options", router: variantOptionRoutes },
   { path: "/payments", router: paymentRoutes },
@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS, hasPermission } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Review } from "../models/Review.js";
 import { reviewController } from "../controllers/ReviewController.js";
 import {
   validate,
@@ -41,7 +44,7 @@ router.get(
 router.get(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.REVIEWS_MODERATE),
   reviewAdminQueryValidator,
   validate,
   reviewController.index.bind(reviewController),
@@ -65,7 +68,8 @@ router.put(
 router.put(
   "/:id/status",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+  audit("review", { model: Review }),
   reviewStatusValidator,
   validate,
   reviewController.updateStatus.bind(reviewController),
@@ -81,6 +85,11 @@ router.put(
 router.delete(
   "/:id",
   protect,
+  // Shoppers may delete their own reviews; moderators' deletions are audited.
+  audit("review", {
+    model: Review,
+    when: (req) => hasPermission(req.user?.role, PERMISSIONS.REVIEWS_MODERATE),
+  }),
   reviewIdValidator,
   validate,
   reviewController.destroy.bind(reviewController),
@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Setting } from "../models/Setting.js";
 import { settingController } from "../controllers/SettingController.js";
 import {
   createDynamicUpload,
@@ -13,17 +16,23 @@ import {
 
 const router = Router();
 
+const findSettings = () => Setting.findOne({ key: "main" });
+
 router.get("/public", settingController.publicSettings.bind(settingController));
 router.get(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
   settingController.index.bind(settingController),
 );
 router.put(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  audit("setting", {
+    find: findSettings,
+    select: "+googleClientSecret +facebookAppSecret",
+  }),
   createDynamicUpload("settings", {
     type: "fields",
     fields: [
@@ -39,7 +48,7 @@ router.put(
 router.post(
   "/test-email",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
   testEmailValidator,
   validate,
   settingController.testEmail.bind(settingController),
@@ -52,13 +61,19 @@ router.get(
 router.put(
   "/image",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  audit("setting", { find: findSettings, select: "imageSettings" }),
   settingController.updateImageSettings.bind(settingController),
 );
 router.post(
   "/image/reset",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  audit("setting", {
+    action: "reset",
+    find: findSettings,
+    select: "imageSettings",
+  }),
   settingController.resetImageSettings.bind(settingController),
 );
 router.get(
@@ -68,7 +83,8 @@ router.get(
 router.put(
   "/image/section/:sectionName",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  audit("setting", { find: findSettings, select: "imageSettings" }),
   settingController.updateImageSectionSettings.bind(settingController),
 );
 
@@ -0,0 +1,74 @@
+import { Router } from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { Shipping } from "../models/Shipping.js";
+import { resolveCartOwner } from "../middleware/guestCart.js";
+import { shippingController } from "../controllers/ShippingController.js";
+import {
+  shippingQueryValidator,
+  shippingOptionsQueryValidator,
+  shippingIdValidator,
+  createShippingValidator,
+  updateShippingValidator,
+  validate,
+} from "../validators/index.js";
+
+const router = Router();
+
+router.get(
+  "/options",
+  resolveCartOwner,
+  shippingOptionsQueryValidator,
+  validate,
+  shippingController.options,
+);
+
+router.get(
+  "/",
+  protect,
+  requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  shippingQueryValidator,
+  validate,
+  shippingController.index,
+);
+router.get(
+  "/:id",
+  protect,
+  requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  shippingIdValidator,
+  validate,
+  shippingController.show,
+);
+
+router.post(
+  "/",
+  protect,
+  requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  audit("shipping_method", { model: Shipping }),
+  createShippingValidator,
+  validate,
+  shippingController.create,
+);
+
+router.put(
+  "/:id",
+  protect,
+  requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  audit("shipping_method", { model: Shipping }),
+  updateShippingValidator,
+  validate,
+  shippingController.update,
+);
+
+router.delete(
+  "/:id",
+  protect,
+  requirePermission(PERMISSIONS.SHIPPING_MANAGE),
+  audit("shipping_method", { model: Shipping }),
+  shippingIdValidator,
+  validate,
+  shippingController.destroy,
+);
+
+export default router;
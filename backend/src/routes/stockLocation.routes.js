@@ -0,0 +1,53 @@
+import { Router } from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { StockLocation } from "../models/StockLocation.js";
+import { stockLocationController } from "../controllers/StockLocationController.js";
+import {
+  stockLocationQueryValidator,
+  stockLocationIdValidator,
+  createStockLocationValidator,
+  updateStockLocationValidator,
+  validate,
+} from "../validators/index.js";
+
+const router = Router();
+
+router.use(protect, requirePermission(PERMISSIONS.INVENTORY_MANAGE));
+
+router.get(
+  "/",
+  stockLocationQueryValidator,
+  validate,
+  stockLocationController.index,
+);
+router.get(
+  "/:id",
+  stockLocationIdValidator,
+  validate,
+  stockLocationController.show,
+);
+router.post(
+  "/",
+  audit("stock_location", { model: StockLocation }),
+  createStockLocationValidator,
+  validate,
+  stockLocationController.create,
+);
+router.put(
+  "/:id",
+  audit("stock_location", { model: StockLocation }),
+  updateStockLocationValidator,
+  validate,
+  stockLocationController.update,
+);
+router.delete(
+  "/:id",
+  audit("stock_location", { model: StockLocation }),
+  stockLocationIdValidator,
+  validate,
+  stockLocationController.destroy,
+);
+
+export default router;
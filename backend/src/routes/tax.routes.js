@@ -0,0 +1,43 @@
+import { Router } from "express";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { TaxRate } from "../models/TaxRate.js";
+import { taxController } from "../controllers/TaxController.js";
+import {
+  taxQueryValidator,
+  taxIdValidator,
+  createTaxRateValidator,
+  updateTaxRateValidator,
+  validate,
+} from "../validators/index.js";
+
+const router = Router();
+
+router.use(protect, requirePermission(PERMISSIONS.TAX_MANAGE));
+
+router.get("/", taxQueryValidator, validate, taxController.index);
+router.get("/:id", taxIdValidator, validate, taxController.show);
+router.post(
+  "/",
+  audit("tax_rate", { model: TaxRate }),
+  createTaxRateValidator,
+  validate,
+  taxController.create,
+);
+router.put(
+  "/:id",
+  audit("tax_rate", { model: TaxRate }),
+  updateTaxRateValidator,
+  validate,
+  taxController.update,
+);
+router.delete(
+  "/:id",
+  audit("tax_rate", { model: TaxRate }),
+  taxIdValidator,
+  validate,
+  taxController.destroy,
+);
+
+export default router;
@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { User } from "../models/User.js";
 import { userController } from "../controllers/UserController.js";
 import {
   createDynamicUpload,
@@ -9,6 +12,7 @@ import {
   validate,
   userQueryValidator,
   userIdValidator,
+  loginHistoryQueryValidator,
   createUserValidator,
   updateUserValidator,
 } from "../validators/index.js";
@@ -16,22 +20,33 @@ import {
 const router = Router();
 
 router.use(protect);
-router.use(authorize("admin"));
 
 router.get(
   "/",
+  requirePermission(PERMISSIONS.USERS_VIEW),
   userQueryValidator,
   validate,
   userController.index.bind(userController),
 );
 router.get(
   "/:id",
+  requirePermission(PERMISSIONS.USERS_VIEW),
   userIdValidator,
   validate,
   userController.show.bind(userController),
 );
+router.get(
+  "/:id/login-history",
+  requirePermission(PERMISSIONS.USERS_VIEW),
+  userIdValidator,
+  loginHistoryQueryValidator,
+  validate,
+  userController.loginHistory.bind(userController),
+);
 router.post(
   "/",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  audit("user", { model: User }),
   createDynamicUpload("avatar", { type: "single", fieldName: "avatar" }),
   handleDynamicUploadError,
   createUserValidator,
@@ -40,14 +55,34 @@ router.post(
 );
 router.put(
   "/:id",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  audit("user", { model: User }),
   createDynamicUpload("avatar", { type: "single", fieldName: "avatar" }),
   handleDynamicUploadError,
   updateUserValidator,
   validate,
   userController.update.bind(userController),
 );
+router.post(
+  "/:id/unlock",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  audit("user", { model: User, action: "unlock" }),
+  userIdValidator,
+  validate,
+  userController.unlock.bind(userController),
+);
+router.delete(
+  "/:id/sessions",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  audit("user", { action: "revoke_sessions" }),
+  userIdValidator,
+  validate,
+  userController.revokeSessions.bind(userController),
+);
 router.delete(
   "/:id",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  audit("user", { model: User }),
   userIdValidator,
   validate,
   userController.destroy.bind(userController),
@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { VariantOption } from "../models/VariantOption.js";
 import { variantOptionController } from "../controllers/VariantOptionController.js";
 import {
   validate,
@@ -21,7 +24,8 @@ router.get(
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("variant_option", { model: VariantOption }),
   createVariantOptionValidator,
   validate,
   variantOptionController.create.bind(variantOptionController),
@@ -29,7 +33,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("variant_option", { model: VariantOption }),
   updateVariantOptionValidator,
   validate,
   variantOptionController.update.bind(variantOptionController),
@@ -37,7 +42,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("variant_option", { model: VariantOption }),
   variantOptionIdValidator,
   validate,
   variantOptionController.destroy.bind(variantOptionController),
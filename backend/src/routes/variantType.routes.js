@@ -1,5 +1,8 @@
 import { Router } from "express";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import { audit } from "../middleware/audit.js";
+import { VariantType } from "../models/VariantType.js";
 import { variantTypeController } from "../controllers/VariantTypeController.js";
 import {
   validate,
@@ -25,7 +28,8 @@ router.get(
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("variant_type", { model: VariantType }),
   createVariantTypeValidator,
   validate,
   variantTypeController.create.bind(variantTypeController),
@@ -33,7 +37,8 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("variant_type", { model: VariantType }),
   updateVariantTypeValidator,
   validate,
   variantTypeController.update.bind(variantTypeController),
@@ -41,7 +46,8 @@ router.put(
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  audit("variant_type", { model: VariantType }),
   variantTypeIdValidator,
   validate,
   variantTypeController.destroy.bind(variantTypeController),
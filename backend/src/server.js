@@ -1,6 +1,12 @@
 import { config } from "./config/index.js";
 import { connectDB, disconnectDB } from "./config/database.js";
 import { logger } from "./utils/logger.js";
+import {
+  registerAuthNotifications,
+  registerBackInStockNotifications,
+  registerOrderNotifications,
+} from "./events/index.js";
+import { queueEmail } from "./queues/index.js";
 import app from "./app.js";
 
 const PORT = config.port || 5001;
@@ -25,6 +31,9 @@ const startServer = async () => {
   try {
     await connectDB();
     logger.info("MongoDB connected successfully");
+    registerOrderNotifications(queueEmail);
+    registerBackInStockNotifications(queueEmail);
+    registerAuthNotifications(queueEmail);
 
     server = app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${config.nodeEnv} mode`);
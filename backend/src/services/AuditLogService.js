@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import { AUDIT_ACTIONS, AuditLog } from "../models/AuditLog.js";
+
+export const REDACTED = "[REDACTED]";
+
+// Matched against the whole field path, so `twoFactor.secret` and
+// `stripeSecretKey` are both caught.
+const SECRET_FIELD =
+  /password|secret|token|api_?key|private_?key|recoverycodes/i;
+
+// Bookkeeping fields every save touches.
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+
+function escapeRegex(v = "") {
+  return String(v).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export const isSecretField = (path) => SECRET_FIELD.test(String(path));
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// ObjectIds, Dates and Mongoose documents become plain JSON values.
+const toPlain = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const flatten = (value, prefix = "", out = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+const redactValue = (value) =>
+  value === undefined || value === null || value === "" ? value : REDACTED;
+
+/**
+ * Replaces the values of secret-looking keys anywhere in a request body or
+ * snapshot, keeping the key so the log still shows it was sent.
+ */
+export const redactSecrets = (value, path = "") => {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactSecrets(item, path));
+  }
+  if (!isPlainObject(value)) {
+    return isSecretField(path) ? redactValue(value) : value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => [
+      key,
+      redactSecrets(child, path ? `${path}.${key}` : key),
+    ]),
+  );
+};
+
+/**
+ * Field-level diff of two snapshots of a record: `[{ field, from, to }]` for
+ * each changed path. Nested objects are compared field by field, arrays as a
+ * whole. Secret fields are listed as changed with their values redacted.
+ */
+export const diffSnapshots = (before, after) => {
+  const from = flatten(toPlain(before) ?? {});
+  const to = flatten(toPlain(after) ?? {});
+  const changes = [];
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_FIELDS.has(field.split(".")[0])) continue;
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+
+    const secret = isSecretField(field);
+    changes.push({
+      field,
+      from: (secret ? redactValue(from[field]) : from[field]) ?? null,
+      to: (secret ? redactValue(to[field]) : to[field]) ?? null,
+    });
+  }
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+};
+
+// A bare date means the whole of that day.
+const endOf = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Append-only record of back-office changes: who did what to which record,
+ * with a before/after diff, written by the `audit` route middleware.
+ */
+export class AuditLogService extends BaseService {
+  /**
+   * Writes one entry. An update that changed nothing is not recorded.
+   */
+  async record({
+    actor = {},
+    action,
+    entityType,
+    entityId = null,
+    before = null,
+    after = null,
+    details = null,
+    request = {},
+  }) {
+    const changes = diffSnapshots(before, after);
+    if (action === "update" && changes.length === 0 && !details) return null;
+
+    return AuditLog.create({
+      actor: {
+        userId: actor._id || actor.userId || null,
+        name: actor.name,
+        email: actor.email,
+        role: actor.role,
+      },
+      action,
+      entityType,
+      entityId: entityId ? String(entityId) : null,
+      changes,
+      details: details ? redactSecrets(toPlain(details)) : null,
+      method: request.method,
+      path: request.path,
+      ip: request.ip || "",
+      requestId: request.requestId || null,
+    });
+  }
+
+  async list({
+    page = 1,
+    limit = 20,
+    user,
+    entityType,
+    entityId,
+    action,
+    from,
+    to,
+  } = {}) {
+    const filter = {};
+    const actor = String(user || "").trim();
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter["actor.userId"] = actor;
+    } else if (actor) {
+      const pattern = new RegExp(escapeRegex(actor), "i");
+      filter.$or = [{ "actor.name": pattern }, { "actor.email": pattern }];
+    }
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = String(entityId).trim();
+    if (AUDIT_ACTIONS.includes(action)) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = endOf(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasPrev: page > 1,
+        hasNext: page * limit < total,
+      },
+    };
+  }
+}
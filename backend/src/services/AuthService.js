@@ -2,22 +2,49 @@ import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import mongoose from "mongoose";
-import { UserRepository } from "../repositories/index.js";
+import { SessionRepository, UserRepository } from "../repositories/index.js";
 import { BaseService } from "../core/BaseService.js";
+import { permissionsForRole } from "../constants/permissions.js";
+import { TwoFactorService } from "./TwoFactorService.js";
+import {
+  LoginSecurityService,
+  accountLockedError,
+} from "./LoginSecurityService.js";
+import { appEventBus } from "../events/appEventBus.js";
+import { AUTH_EVENTS } from "../events/authEvents.js";
+import { Setting } from "../models/Setting.js";
 import { AppError } from "../utils/AppError.js";
 import { config } from "../config/index.js";
 import { logger } from "../utils/logger.js";
+import { describeDevice } from "../utils/userAgent.js";
 
 const MAX_SAVED_FILTERS = 20;
 const MAX_RECENT_SEARCHES = 20;
+export const EMAIL_VERIFICATION_TTL_HOURS = 24;
+export const PASSWORD_RESET_TTL_MINUTES = 15;
+// How long after a rotation the replaced token is refused without revoking
+// the session, since another tab may have been refreshing at the same time.
+export const REFRESH_REUSE_GRACE_SECONDS = 10;
 
 export class AuthService extends BaseService {
-  constructor(userRepository = new UserRepository()) {
+  constructor(
+    userRepository = new UserRepository(),
+    sessionRepository = new SessionRepository(),
+    twoFactorService = new TwoFactorService(userRepository),
+    loginSecurity = new LoginSecurityService(userRepository),
+  ) {
     super();
     this.repository = userRepository;
+    this.sessionRepository = sessionRepository;
+    this.twoFactorService = twoFactorService;
+    this.loginSecurity = loginSecurity;
   }
 
-  async register(userData) {
+  /**
+   * `client` is `{ userAgent, ip }` from the request; it labels the session
+   * in the user's device list.
+   */
+  async register(userData, client = {}) {
     const { name, email, password, role = "user" } = userData;
 
     if (!this.isValidEmail(email))
@@ -39,23 +66,50 @@ export class AuthService extends BaseService {
       status: "active",
       emailVerified: false,
     });
-    const tokens = await this.generateAuthTokens(user, false);
+    await this.sendEmailVerification(user);
+    const tokens = await this.generateAuthTokens(user, false, client);
 
     logger.info(`New user registered: ${email}`);
     return { user: this.sanitizeUser(user), ...tokens };
   }
 
-  async login(email, password, rememberMe = false) {
+  /**
+   * A locked account is refused before the password is even checked, and
+   * each wrong password counts towards the next lock.
+   */
+  async login(email, password, rememberMe = false, client = {}) {
     const userDoc = await this.repository.findByEmail(email, true);
     if (!userDoc) throw new AppError("Invalid email or password", 401);
-    if (userDoc.status !== "active")
+    if (userDoc.status !== "active") {
+      await this.loginSecurity.record(userDoc, client, {
+        success: false,
+        reason: "inactive",
+        method: "password",
+      });
       throw new AppError("Account is inactive. Please contact support.", 401);
-
-    const isPasswordValid = await bcrypt.compare(password, userDoc.password);
-    if (!isPasswordValid) throw new AppError("Invalid email or password", 401);
+    }
+    await this.loginSecurity.assertNotLocked(userDoc, client);
+
+    // Accounts created through social sign-in have no password until reset.
+    const isPasswordValid =
+      Boolean(userDoc.password) &&
+      (await bcrypt.compare(password, userDoc.password));
+    if (!isPasswordValid) {
+      const lockUntil = await this.loginSecurity.registerFailure(
+        userDoc,
+        client,
+        { reason: "invalid_password" },
+      );
+      if (lockUntil) throw accountLockedError(lockUntil);
+      throw new AppError("Invalid email or password", 401);
+    }
 
     const user = userDoc.toObject ? userDoc.toObject() : { ...userDoc };
-    const tokens = await this.generateAuthTokens(user, rememberMe);
+    const challenge = await this.twoFactorChallenge(user, rememberMe);
+    if (challenge) return challenge;
+
+    const tokens = await this.generateAuthTokens(user, rememberMe, client);
+    await this.loginSecurity.registerSuccess(user, client);
 
     logger.info(
       `User logged in: ${email}${rememberMe ? " (Remember Me)" : ""}`,
@@ -63,6 +117,163 @@ export class AuthService extends BaseService {
     return { user: this.sanitizeUser(user), ...tokens };
   }
 
+  /**
+   * Signs in with a provider profile. A known provider identity signs in
+   * directly; otherwise an account with the same email is linked when the
+   * provider has verified that address, and a new account is created when
+   * there is none.
+   */
+  async loginWithOAuth(provider, profile, rememberMe = false, client = {}) {
+    let user = await this.repository.findByOAuthAccount(
+      provider.name,
+      profile.providerId,
+    );
+
+    if (!user) {
+      if (!profile.email || !this.isValidEmail(profile.email)) {
+        throw new AppError(
+          `${provider.label} did not share an email address for this account`,
+          400,
+        );
+      }
+
+      const existing = await this.repository.findByEmail(profile.email);
+      if (existing) {
+        if (!profile.emailVerified) {
+          throw new AppError(
+            "An account with this email already exists. Sign in with your password instead.",
+            409,
+          );
+        }
+        // Whoever registered an unverified account never proved they own the
+        // address, so neither their password nor their sessions survive.
+        user = await this.repository.linkOAuthAccount(
+          existing._id,
+          provider.name,
+          profile.providerId,
+          !existing.emailVerified,
+        );
+        if (!existing.emailVerified) {
+          await this.sessionRepository.revokeAllForUser(
+            existing._id,
+            "credentials_dropped",
+          );
+        }
+        logger.info(`Linked ${provider.name} sign-in to: ${existing.email}`);
+      } else {
+        user = await this.repository.create({
+          name: profile.name || profile.email.split("@")[0],
+          email: profile.email,
+          role: "user",
+          status: "active",
+          provider: provider.name,
+          providerId: profile.providerId,
+          oauthAccounts: [
+            { provider: provider.name, providerId: profile.providerId },
+          ],
+          emailVerified: Boolean(profile.emailVerified),
+        });
+        if (!user.emailVerified) await this.sendEmailVerification(user);
+        logger.info(`New user registered with ${provider.name}: ${user.email}`);
+      }
+    }
+
+    if (user.status !== "active")
+      throw new AppError("Account is inactive. Please contact support.", 401);
+
+    const challenge = await this.twoFactorChallenge(
+      user,
+      rememberMe,
+      provider.name,
+    );
+    if (challenge) return challenge;
+
+    const tokens = await this.generateAuthTokens(user, rememberMe, client);
+    await this.loginSecurity.registerSuccess(user, client, {
+      method: provider.name,
+    });
+    logger.info(`User logged in with ${provider.name}: ${user.email}`);
+    return { user: this.sanitizeUser(user), ...tokens };
+  }
+
+  /**
+   * With 2FA on — or required but not yet set up — a correct first factor
+   * only earns a challenge token; the session is opened by
+   * `completeTwoFactorSignIn`.
+   */
+  async twoFactorChallenge(user, rememberMe, method = "password") {
+    const enrolled = Boolean(user.twoFactor?.enabled);
+    if (!enrolled && !(await this.twoFactorService.isRequiredFor(user))) {
+      return null;
+    }
+    return {
+      twoFactor: {
+        required: true,
+        enrolled,
+        challengeToken: this.twoFactorService.issueChallenge(user, {
+          rememberMe,
+          enrolled,
+          method,
+        }),
+      },
+    };
+  }
+
+  // Setup step for an admin who has to enroll before their first sign-in.
+  async beginTwoFactorEnrollment(challengeToken) {
+    const challenge = this.twoFactorService.readChallenge(challengeToken);
+    if (challenge.enrolled) {
+      throw new AppError("Two-factor authentication is already on", 400);
+    }
+    return this.twoFactorService.beginSetup(challenge.userId);
+  }
+
+  async completeTwoFactorSignIn(challengeToken, credentials = {}, client = {}) {
+    const challenge = this.twoFactorService.readChallenge(challengeToken);
+    const user = await this.repository.findById(challenge.userId);
+    if (!user || user.status !== "active")
+      throw new AppError("Account is inactive. Please contact support.", 401);
+    const method = challenge.method || "password";
+    await this.loginSecurity.assertNotLocked(user, client, method);
+
+    let recoveryCodes;
+    try {
+      if (challenge.enrolled) {
+        await this.twoFactorService.verify(user._id, credentials);
+      } else {
+        ({ recoveryCodes } = await this.twoFactorService.enable(
+          user._id,
+          credentials.code,
+        ));
+      }
+    } catch (error) {
+      if (error.statusCode !== 401) throw error;
+      const lockUntil = await this.loginSecurity.registerFailure(user, client, {
+        reason: "invalid_two_factor",
+        method,
+      });
+      throw lockUntil ? accountLockedError(lockUntil) : error;
+    }
+
+    const tokens = await this.generateAuthTokens(
+      user,
+      challenge.rememberMe,
+      client,
+    );
+    await this.loginSecurity.registerSuccess(user, client, { method });
+    logger.info(`User logged in with two-factor: ${user.email}`);
+    return {
+      user: this.sanitizeUser({
+        ...user,
+        ...(recoveryCodes && {
+          twoFactor: { enabled: true, enabledAt: new Date() },
+        }),
+      }),
+      ...tokens,
+      ...(recoveryCodes && { recoveryCodes }),
+    };
+  }
+
   async getProfile(userId) {
     const user = await this.repository.findByIdOrFail(userId);
     return this.sanitizeUser(user);
@@ -77,6 +288,11 @@ export class AuthService extends BaseService {
       refreshToken,
       provider,
       providerId,
+      oauthAccounts,
+      emailVerified,
+      emailVerificationToken,
+      emailVerificationExpires,
+      twoFactor,
       ...safeData
     } = updateData || {};
 
@@ -88,7 +304,15 @@ export class AuthService extends BaseService {
     if (typeof safeData.phone === "string")
       safeData.phone = safeData.phone.trim();
 
+    // A new address has to be verified again.
+    const current = safeData.email
+      ? await this.repository.findByIdOrFail(userId)
+      : null;
+    const emailChanged = Boolean(current) && current.email !== safeData.email;
+    if (emailChanged) safeData.emailVerified = false;
+
     const updated = await this.repository.updateByIdOrFail(userId, safeData);
+    if (emailChanged) await this.sendEmailVerification(updated);
     return this.sanitizeUser(updated);
   }
 
@@ -96,6 +320,13 @@ export class AuthService extends BaseService {
     const user = await this.repository.findByIdWithPassword(userId);
     if (!user) throw new AppError("User not found", 404);
 
+    if (!user.password) {
+      throw new AppError(
+        "This account has no password yet. Use the forgot-password link to set one.",
+        400,
+      );
+    }
+
     const isCurrentPasswordValid = await bcrypt.compare(
       currentPassword,
       user.password,
@@ -134,32 +365,63 @@ export class AuthService extends BaseService {
     }
   }
 
-  async generateAuthTokens(user, rememberMe = false) {
-    const accessToken = this.generateAccessToken(user);
+  /**
+   * Every sign-in opens a session. Without "remember me" there is no refresh
+   * token and the session ends with the access token.
+   */
+  async generateAuthTokens(user, rememberMe = false, client = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const userAgent = String(client.userAgent || "").slice(0, 512);
+    const session = {
+      _id: sessionId,
+      user: user._id,
+      rememberMe,
+      userAgent,
+      device: describeDevice(userAgent),
+      ip: String(client.ip || ""),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(
+        Date.now() +
+          (rememberMe ? config.jwt.refreshExpireMs : config.jwt.expireMs),
+      ),
+    };
+
+    const accessToken = this.generateAccessToken(user, sessionId);
     const result = { accessToken, expiresIn: config.jwt.expire };
 
     if (rememberMe) {
-      const refreshToken = this.generateRefreshToken(user);
-      const hashedRefreshToken = this.hashToken(refreshToken);
-      await this.repository.setRefreshToken(user._id, hashedRefreshToken);
+      const refreshToken = this.generateRefreshToken(user, sessionId);
+      session.refreshTokenHash = this.hashToken(refreshToken);
       result.refreshToken = refreshToken;
       result.refreshExpiresIn = config.jwt.refreshExpire;
     }
 
+    await this.sessionRepository.create(session);
     return result;
   }
 
-  generateAccessToken(user) {
+  generateAccessToken(user, sessionId) {
     return jwt.sign(
-      { userId: user._id, role: user.role, email: user.email, type: "access" },
+      {
+        userId: user._id,
+        sid: String(sessionId),
+        role: user.role,
+        email: user.email,
+        type: "access",
+      },
       config.jwt.secret,
       { expiresIn: config.jwt.expire },
     );
   }
 
-  generateRefreshToken(user) {
+  generateRefreshToken(user, sessionId) {
     return jwt.sign(
-      { userId: user._id, tokenId: crypto.randomUUID(), type: "refresh" },
+      {
+        userId: user._id,
+        sid: String(sessionId),
+        tokenId: crypto.randomUUID(),
+        type: "refresh",
+      },
       config.jwt.refreshSecret,
       { expiresIn: config.jwt.refreshExpire },
     );
@@ -169,7 +431,12 @@ export class AuthService extends BaseService {
     return crypto.createHash("sha256").update(token).digest("hex");
   }
 
-  async refreshAccessToken(refreshToken) {
+  /**
+   * Rotates the session's refresh token. A token this session has already
+   * rotated away from means a copy is in someone else's hands, so the whole
+   * session is revoked — unless it was replaced only moments ago.
+   */
+  async refreshAccessToken(refreshToken, client = {}) {
     if (!refreshToken) throw new AppError("Refresh token is required", 401);
 
     try {
@@ -177,24 +444,57 @@ export class AuthService extends BaseService {
       if (decoded.type !== "refresh")
         throw new AppError("Invalid token type", 401);
 
-      const user = await this.repository.findByIdWithRefreshToken(
-        decoded.userId,
-      );
-      if (!user) throw new AppError("User not found", 401);
-      if (user.status !== "active")
-        throw new AppError("Account is inactive", 401);
+      const session = decoded.sid
+        ? await this.sessionRepository.findByIdWithToken(decoded.sid)
+        : null;
+      if (
+        !session ||
+        session.revokedAt ||
+        String(session.user) !== String(decoded.userId)
+      ) {
+        throw new AppError("Invalid refresh token", 401);
+      }
 
       const hashedToken = this.hashToken(refreshToken);
-      if (!user.refreshToken || user.refreshToken !== hashedToken) {
+      if (session.refreshTokenHash !== hashedToken) {
+        const concurrent =
+          session.previousTokenHash === hashedToken &&
+          Date.now() - new Date(session.rotatedAt).getTime() <
+            REFRESH_REUSE_GRACE_SECONDS * 1000;
+        if (!concurrent) {
+          await this.sessionRepository.revokeById(
+            session._id,
+            "reuse_detected",
+          );
+          logger.warn(
+            `Refresh token reuse detected, session revoked: ${session._id}`,
+            { userId: String(session.user) },
+          );
+        }
         throw new AppError("Invalid refresh token", 401);
       }
 
-      const accessToken = this.generateAccessToken(user);
-      const rotatedRefreshToken = this.generateRefreshToken(user);
-      await this.repository.setRefreshToken(
-        user._id,
-        this.hashToken(rotatedRefreshToken),
+      const user = await this.repository.findById(decoded.userId);
+      if (!user) throw new AppError("User not found", 401);
+      if (user.status !== "active")
+        throw new AppError("Account is inactive", 401);
+
+      const accessToken = this.generateAccessToken(user, session._id);
+      const rotatedRefreshToken = this.generateRefreshToken(user, session._id);
+      const rotated = await this.sessionRepository.rotate(
+        session._id,
+        hashedToken,
+        {
+          refreshTokenHash: this.hashToken(rotatedRefreshToken),
+          previousTokenHash: hashedToken,
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+          expiresAt: new Date(Date.now() + config.jwt.refreshExpireMs),
+          ...(client.ip && { ip: String(client.ip) }),
+        },
       );
+      // Another request rotated this token first; its cookies win.
+      if (!rotated) throw new AppError("Invalid refresh token", 401);
 
       logger.info(`Access token refreshed for user: ${user.email}`);
       return {
@@ -202,7 +502,7 @@ export class AuthService extends BaseService {
         refreshToken: rotatedRefreshToken,
         expiresIn: config.jwt.expire,
         refreshExpiresIn: config.jwt.refreshExpire,
-        user: this.sanitizeUser(user.toObject ? user.toObject() : user),
+        user: this.sanitizeUser(user),
       };
     } catch (error) {
       if (error.name === "JsonWebTokenError")
@@ -213,12 +513,72 @@ export class AuthService extends BaseService {
     }
   }
 
-  async revokeRefreshToken(userId) {
-    await this.repository.revokeRefreshToken(userId);
-    logger.info(`Refresh token revoked for user: ${userId}`);
+  async logout(userId, sessionId) {
+    if (sessionId) {
+      await this.sessionRepository.revoke(
+        { _id: sessionId, user: userId },
+        "logout",
+      );
+    }
+    logger.info(`User logged out: ${userId}`);
     return { message: "Logged out successfully" };
   }
 
+  /**
+   * The user's signed-in devices, most recently used first, with the one
+   * making the request flagged as `current`.
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await this.sessionRepository.findActiveByUser(userId);
+    return sessions.map((session) => ({
+      _id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      rememberMe: session.rememberMe,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(currentSessionId),
+    }));
+  }
+
+  async getLoginHistory(userId, { page = 1, limit = 20 } = {}) {
+    return this.loginSecurity.listHistory(userId, { page, limit });
+  }
+
+  async revokeSession(userId, sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId))
+      throw new AppError("Invalid session id", 400);
+
+    const result = await this.sessionRepository.revoke(
+      { _id: sessionId, user: userId },
+      "user",
+    );
+    if (!result.modifiedCount) throw new AppError("Session not found", 404);
+    logger.info(`Session revoked by user ${userId}: ${sessionId}`);
+    return { message: "Session signed out" };
+  }
+
+  async revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+    const result = await this.sessionRepository.revokeAllForUser(
+      userId,
+      "all",
+      { exceptId: exceptSessionId },
+    );
+    logger.info(`${result.modifiedCount} session(s) revoked by user ${userId}`);
+    return {
+      message: exceptSessionId
+        ? "Signed out of all other devices"
+        : "Signed out of all devices",
+      revoked: result.modifiedCount,
+    };
+  }
+
+  /**
+   * Emails a reset link through the queue. The reply is the same whether or
+   * not the address has an account, and the token is never returned.
+   */
   async requestPasswordReset(email) {
     const normalizedEmail = String(email || "")
       .trim()
@@ -234,19 +594,23 @@ export class AuthService extends BaseService {
 
     const resetToken = crypto.randomBytes(32).toString("hex");
     const hashedToken = this.hashToken(resetToken);
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
+    const expiresAt = new Date(
+      Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+    );
 
     await this.repository.setPasswordResetToken(
       user._id,
       hashedToken,
       expiresAt,
     );
+    appEventBus.emit(AUTH_EVENTS.PASSWORD_RESET_REQUESTED, {
+      user: { _id: user._id, name: user.name, email: user.email },
+      token: resetToken,
+      expiresIn: `${PASSWORD_RESET_TTL_MINUTES} minutes`,
+    });
 
     logger.info(`Password reset requested for: ${normalizedEmail}`);
-    return {
-      ...generic,
-      ...(config.nodeEnv !== "production" && { resetToken }),
-    };
+    return generic;
   }
 
   async resetPassword(resetToken, newPassword, confirmPassword) {
@@ -267,13 +631,118 @@ export class AuthService extends BaseService {
     user.password = newPassword;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
-    user.refreshToken = undefined;
+    // Resetting proves the owner has the mailbox, so any lock is lifted.
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
     await user.save();
+    await this.sessionRepository.revokeAllForUser(user._id, "password_reset");
+    appEventBus.emit(AUTH_EVENTS.PASSWORD_RESET_COMPLETED, {
+      user: { _id: user._id, name: user.name, email: user.email },
+    });
 
     logger.info(`Password reset completed for user: ${user.email}`);
     return { message: "Password reset successful" };
   }
 
+  /**
+   * Issues a fresh verification link, replacing any earlier one. Only the
+   * token's hash is stored; the raw token goes out in the email.
+   */
+  async sendEmailVerification(user) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(
+      Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    );
+    await this.repository.setEmailVerificationToken(
+      user._id,
+      this.hashToken(token),
+      expiresAt,
+    );
+    appEventBus.emit(AUTH_EVENTS.EMAIL_VERIFICATION_REQUESTED, {
+      user: { _id: user._id, name: user.name, email: user.email },
+      token,
+      expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS} hours`,
+    });
+  }
+
+  async verifyEmail(verificationToken) {
+    const token = String(verificationToken || "").trim();
+    if (!token) throw new AppError("Verification token is required", 400);
+
+    const user = await this.repository.findByVerificationToken(token);
+    if (!user) {
+      throw new AppError("Invalid or expired verification link", 400);
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    logger.info(`Email verified for user: ${user.email}`);
+    return {
+      message: "Email verified successfully",
+      user: this.sanitizeUser(user),
+    };
+  }
+
+  /**
+   * Resends the link to the signed-in user, or to `email` for a signed-out
+   * one. The signed-out reply is the same whether or not the address has an
+   * unverified account.
+   */
+  async resendEmailVerification({ userId, email } = {}) {
+    const generic = {
+      message:
+        "If an unverified account exists for this email, a new verification link will be sent.",
+    };
+
+    let user;
+    if (userId) {
+      user = await this.repository.findByIdOrFail(userId);
+      if (user.emailVerified) {
+        return { message: "Email is already verified", emailVerified: true };
+      }
+    } else {
+      const normalizedEmail = String(email || "")
+        .trim()
+        .toLowerCase();
+      if (!normalizedEmail) return generic;
+      user = await this.repository.findByEmail(normalizedEmail);
+      if (!user || user.emailVerified || user.status !== "active") {
+        return generic;
+      }
+    }
+
+    await this.sendEmailVerification(user);
+    logger.info(`Verification email resent to: ${user.email}`);
+    return userId
+      ? { message: `Verification email sent to ${user.email}` }
+      : generic;
+  }
+
+  /**
+   * Enforces the `requireVerifiedEmailForOrders` setting for account
+   * checkouts. Guest checkouts have no account to verify and pass.
+   */
+  async assertCanPlaceOrder(userId) {
+    if (!userId) return;
+    const settings = await Setting.findOne({ key: "main" })
+      .select("requireVerifiedEmailForOrders")
+      .lean();
+    if (!settings?.requireVerifiedEmailForOrders) return;
+
+    const user = await this.repository.findById(userId, {
+      select: "emailVerified",
+    });
+    if (!user?.emailVerified) {
+      throw new AppError(
+        "Please verify your email address before placing an order",
+        403,
+      );
+    }
+  }
+
   sanitizeAddressInput(addressData = {}) {
     return {
       label: String(addressData.label || "").trim() || undefined,
@@ -484,9 +953,19 @@ export class AuthService extends BaseService {
       refreshToken,
       passwordResetToken,
       emailVerificationToken,
+      emailVerificationExpires,
+      twoFactor,
       ...sanitizedUser
     } = userObj;
-    return sanitizedUser;
+    return {
+      ...sanitizedUser,
+      // The admin panel shows only what these allow; routes still check.
+      permissions: permissionsForRole(sanitizedUser.role),
+      twoFactor: {
+        enabled: Boolean(twoFactor?.enabled),
+        enabledAt: twoFactor?.enabledAt || null,
+      },
+    };
   }
 
   async findByEmail(email) {
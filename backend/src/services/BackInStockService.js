@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import { BackInStockSubscription } from "../models/BackInStockSubscription.js";
+import { Product } from "../models/Product.js";
+import { AppError } from "../utils/AppError.js";
+import {
+  resolveInventoryPolicy,
+  sellableQuantity,
+} from "../utils/inventoryPolicy.js";
+import {
+  StockReservationService,
+  reservationKey,
+} from "./StockReservationService.js";
+
+const SKU_FIELDS =
+  "title slug images status hasVariants baseSku baseStock inventoryPolicy variants._id variants.sku variants.displayName variants.stock variants.status variants.inventoryPolicy";
+
+const findVariant = (product, variantId) =>
+  (product?.variants || []).find(
+    (variant) => String(variant._id) === String(variantId),
+  ) || null;
+
+const skuStock = (product, variant) =>
+  Number((variant ? variant.stock : product?.baseStock) || 0);
+
+export class BackInStockService extends BaseService {
+  constructor(reservationService = new StockReservationService()) {
+    super();
+    this.reservationService = reservationService;
+  }
+
+  /**
+   * Subscribes an email address to one SKU that cannot be bought right now.
+   * Signed-in shoppers default to their account email. Asking twice for the
+   * same SKU and address keeps the one pending subscription.
+   */
+  async subscribe({ productId, variantId = null, email, user = null }) {
+    const address = String(email || user?.email || "")
+      .trim()
+      .toLowerCase();
+    if (!this.isValidEmail(address)) {
+      throw new AppError("A valid email address is required", 422);
+    }
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new AppError("Invalid product ID", 400);
+    }
+
+    const product = await Product.findOne({ _id: productId, status: "active" })
+      .select(SKU_FIELDS)
+      .lean();
+    if (!product) throw new AppError("Product not found", 404);
+    const variant = product.hasVariants
+      ? findVariant(product, variantId)
+      : null;
+    if (product.hasVariants && !variant) {
+      throw new AppError(
+        "Choose the variant you want to be notified about",
+        400,
+      );
+    }
+
+    const held = await this.reservationService.getHeldQuantities([product._id]);
+    const available =
+      skuStock(product, variant) -
+      (held.get(reservationKey(product._id, variant?._id)) || 0);
+    if (
+      sellableQuantity(available, resolveInventoryPolicy(product, variant)) > 0
+    ) {
+      throw new AppError("This item can be ordered now", 409);
+    }
+
+    const filter = {
+      productId: product._id,
+      variantId: variant?._id || null,
+      email: address,
+      status: "pending",
+    };
+    try {
+      return await BackInStockSubscription.findOneAndUpdate(
+        filter,
+        {
+          $setOnInsert: {
+            sku: variant ? variant.sku : product.baseSku,
+            userId: user?._id || null,
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true },
+      ).lean();
+    } catch (error) {
+      // A concurrent request created the same pending subscription.
+      if (error?.code !== 11000) throw error;
+      return BackInStockSubscription.findOne(filter).lean();
+    }
+  }
+
+  /**
+   * Claims the pending subscriptions of the given products whose SKU has
+   * stock again, marking each notified so it is only sent once even when
+   * several restocks race. Returns what each email needs.
+   */
+  async collectRestocked(productIds = []) {
+    const ids = [...new Set(productIds.map(String))];
+    if (!ids.length) return [];
+
+    const pending = await BackInStockSubscription.find({
+      productId: { $in: ids },
+      status: "pending",
+    }).lean();
+    if (!pending.length) return [];
+
+    const products = await Product.find({
+      _id: { $in: ids },
+      status: "active",
+    })
+      .select(SKU_FIELDS)
+      .lean();
+    const productMap = new Map(
+      products.map((product) => [String(product._id), product]),
+    );
+
+    const due = pending
+      .map((subscription) => {
+        const product = productMap.get(String(subscription.productId));
+        const variant = subscription.variantId
+          ? findVariant(product, subscription.variantId)
+          : null;
+        return { subscription, product, variant };
+      })
+      .filter(
+        ({ subscription, product, variant }) =>
+          product &&
+          (!subscription.variantId ||
+            (variant && variant.status !== "inactive")) &&
+          skuStock(product, variant) > 0,
+      );
+
+    const claimed = await Promise.all(
+      due.map(async (entry) => {
+        const subscription = await BackInStockSubscription.findOneAndUpdate(
+          { _id: entry.subscription._id, status: "pending" },
+          { $set: { status: "notified", notifiedAt: new Date() } },
+          { new: true },
+        ).lean();
+        return subscription ? { ...entry, subscription } : null;
+      }),
+    );
+    return claimed.filter(Boolean);
+  }
+
+  /**
+   * Out-of-stock SKUs with the most shoppers waiting for them, for the
+   * admin demand report.
+   */
+  async getDemandReport({ limit = 20 } = {}) {
+    const groups = await BackInStockSubscription.aggregate([
+      { $match: { status: "pending" } },
+      {
+        $group: {
+          _id: { productId: "$productId", variantId: "$variantId" },
+          subscribers: { $sum: 1 },
+          sku: { $last: "$sku" },
+          firstRequestedAt: { $min: "$createdAt" },
+          lastRequestedAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { subscribers: -1, lastRequestedAt: -1 } },
+    ]);
+    if (!groups.length) return [];
+
+    const products = await Product.find({
+      _id: { $in: [...new Set(groups.map((group) => group._id.productId))] },
+    })
+      .select(SKU_FIELDS)
+      .lean();
+    const productMap = new Map(
+      products.map((product) => [String(product._id), product]),
+    );
+
+    return groups
+      .map((group) => {
+        const product = productMap.get(String(group._id.productId));
+        if (!product) return null;
+        const variant = group._id.variantId
+          ? findVariant(product, group._id.variantId)
+          : null;
+        return {
+          productId: group._id.productId,
+          variantId: group._id.variantId,
+          title: product.title,
+          slug: product.slug,
+          variantName: variant?.displayName || null,
+          sku: (variant ? variant.sku : product.baseSku) || group.sku,
+          stock: skuStock(product, variant),
+          subscribers: group.subscribers,
+          firstRequestedAt: group.firstRequestedAt,
+          lastRequestedAt: group.lastRequestedAt,
+        };
+      })
+      .filter((row) => row && row.stock <= 0)
+      .slice(0, limit);
+  }
+}
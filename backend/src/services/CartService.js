@@ -3,6 +3,17 @@ import { Product } from "../models/Product.js";
 import { BaseService } from "../core/BaseService.js";
 import { AppError } from '../utils/AppError.js';
 import { CartRepository } from '../repositories/index.js';
+import { ShippingService } from "./ShippingService.js";
+import { PricingService, PRICING_PRODUCT_FIELDS } from "./PricingService.js";
+import {
+  StockReservationService,
+  reservationKey,
+} from "./StockReservationService.js";
+import {
+  fulfilmentFor,
+  resolveInventoryPolicy,
+  sellableQuantity,
+} from "../utils/inventoryPolicy.js";
 
 const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
@@ -22,30 +33,22 @@ const getSelectedVariant = (product, variantId) => {
   );
 };
 
-const resolvePriceAndStock = (product, variantId = null) => {
-  if (variantId) {
-    const variant = product.variants.find(
-      (v) => v._id.toString() === variantId.toString(),
-    );
-    if (!product.hasVariants || !variant || variant.status !== "active")
-      return null;
-    return {
-      unitPrice: round(variant.price * (1 - (variant.discount || 0) / 100)),
-      availableStock: variant.stock || 0,
-      variantId: variant._id,
-    };
-  }
-  if (product.hasVariants) return null;
-  return {
-    unitPrice: round(
-      product.basePrice * (1 - (product.baseDiscount || 0) / 100),
-    ),
-    availableStock: product.baseStock || 0,
-    variantId: null,
-  };
+/**
+ * Query filter for a cart owner: a user id (or `{ userId }`) for signed-in
+ * shoppers, or `{ guestId }` for a cookie-identified guest cart.
+ */
+export const cartOwnerFilter = (owner) => {
+  const isOwnerObject =
+    owner &&
+    typeof owner === "object" &&
+    ("userId" in owner || "guestId" in owner);
+  if (isOwnerObject && owner.guestId) return { guestId: String(owner.guestId) };
+  const userId = isOwnerObject ? owner.userId : owner;
+  if (!userId) throw new AppError("Cart owner is required", 401);
+  return { userId };
 };
 
-export const buildCartPayload = (items) => {
+export const buildCartPayload = (items, { shippingCost = 0 } = {}) => {
   const normalized = items.map((item) => {
     const product = item.productId || null;
     const variant = getSelectedVariant(product, item.variantId);
@@ -57,19 +60,25 @@ export const buildCartPayload = (items) => {
         ? variantPrice
         : Number(product?.basePrice || product?.price || unitFinalPrice),
     );
-    const unitDiscountPercent = round(
-      variant
-        ? variantDiscount
-        : Number(product?.baseDiscount || product?.discount || 0),
-    );
     const unitDiscountAmount = round(
       Math.max(0, unitMrpPrice - unitFinalPrice),
     );
+    // Derived from the stored price so campaign discounts show up as well.
+    const unitDiscountPercent =
+      unitMrpPrice > 0 ? round((unitDiscountAmount / unitMrpPrice) * 100) : 0;
     const lineMrpAmount = round(unitMrpPrice * item.quantity);
     const lineFinalAmount = round(item.amount);
     const lineDiscountAmount = round(
       Math.max(0, lineMrpAmount - lineFinalAmount),
     );
+    // Whether the line ships now, on backorder or as a pre-order.
+    const fulfilment = product
+      ? fulfilmentFor(
+          item.quantity,
+          variant ? variant.stock : product.baseStock,
+          resolveInventoryPolicy(product, variant),
+        )
+      : null;
 
     return {
       _id: item._id,
@@ -87,7 +96,7 @@ export const buildCartPayload = (items) => {
             stock: Number(variant.stock || 0),
             price: round(variantPrice),
             discount: round(variantDiscount),
-            finalPrice: round(variantPrice * (1 - variantDiscount / 100)),
+            finalPrice: unitFinalPrice,
           }
         : null,
       quantity: item.quantity,
@@ -100,6 +109,9 @@ export const buildCartPayload = (items) => {
       lineMrpAmount,
       lineFinalAmount,
       lineDiscountAmount,
+      fulfilment: fulfilment?.fulfilment || "in_stock",
+      backorderedQuantity: fulfilment?.backorderedQuantity || 0,
+      expectedDate: fulfilment?.expectedDate || null,
       createdAt: item.createdAt,
       updatedAt: item.updatedAt,
     };
@@ -119,31 +131,66 @@ export const buildCartPayload = (items) => {
   summary.mrpTotal = round(summary.mrpTotal);
   summary.discountTotal = round(summary.discountTotal);
   summary.subTotal = round(summary.subTotal);
-  summary.shippingCost =
-    summary.subTotal >= 100 || summary.subTotal === 0 ? 0 : 10;
+  summary.shippingCost = summary.subTotal === 0 ? 0 : round(shippingCost);
   summary.totalAmount = round(summary.subTotal + summary.shippingCost);
 
   return { items: normalized, summary };
 };
 
 export class CartService extends BaseService {
-  constructor(repository = new CartRepository()) {
+  constructor(
+    repository = new CartRepository(),
+    shippingService = new ShippingService(),
+    pricingService = new PricingService(),
+    reservationService = new StockReservationService(),
+  ) {
     super();
     this.repository = repository;
+    this.shippingService = shippingService;
+    this.pricingService = pricingService;
+    this.reservationService = reservationService;
   }
 
-  async getCartForUser(userId) {
-    const items = await Cart.find({ userId })
+  // Units held for other shoppers' checkouts cannot be added to a cart.
+  // Backorder and pre-order SKUs sell on past zero, up to their oversell cap.
+  async availableToSell(pricing, productId, ownerFilter) {
+    const held = await this.reservationService.getHeldQuantities([productId], {
+      ownerFilter,
+    });
+    return sellableQuantity(
+      pricing.availableStock -
+        (held.get(reservationKey(productId, pricing.variantId)) || 0),
+      pricing.inventoryPolicy,
+    );
+  }
+
+  async getCartForUser(owner) {
+    const storedItems = await Cart.find(cartOwnerFilter(owner))
       .populate(
         "productId",
-        "title slug images basePrice baseDiscount baseStock hasVariants variants status",
+        `title slug images weight ${PRICING_PRODUCT_FIELDS}`,
       )
       .sort({ createdAt: -1 })
       .lean();
-    return buildCartPayload(items);
+    // Rows keep the price from when they were added; campaigns may have
+    // started or ended since.
+    const items = await this.pricingService.repriceCartItems(storedItems);
+    // Address is unknown until checkout, so the cart shows the cheapest rate.
+    const shippingCost = await this.shippingService.estimateShipping({
+      subTotal: round(
+        items.reduce((sum, item) => sum + Number(item.amount || 0), 0),
+      ),
+      weight: items.reduce(
+        (sum, item) =>
+          sum +
+          Number(item.productId?.weight || 0) * Number(item.quantity || 0),
+        0,
+      ),
+    });
+    return buildCartPayload(items, { shippingCost });
   }
 
-  async addItem(userId, { productId, variantId = null, quantity = 1 }) {
+  async addItem(owner, { productId, variantId = null, quantity = 1 }) {
     const parsedQuantity = Number.parseInt(quantity, 10);
     if (!Number.isInteger(parsedQuantity) || parsedQuantity < 1) {
       throw new AppError("Quantity must be at least 1", 400);
@@ -158,21 +205,27 @@ export class CartService extends BaseService {
       );
     }
 
-    const pricing = resolvePriceAndStock(product, variantId);
+    const pricing = await this.pricingService.resolveItemPrice(
+      product,
+      variantId,
+    );
     if (!pricing) throw new AppError("Invalid product variant selection", 400);
 
+    const ownerFilter = cartOwnerFilter(owner);
     const existing = await Cart.findOne({
-      userId,
+      ...ownerFilter,
       productId,
       variantId: pricing.variantId,
     });
 
     const nextQuantity = (existing?.quantity || 0) + parsedQuantity;
-    if (nextQuantity > pricing.availableStock) {
-      throw new AppError(
-        `Only ${pricing.availableStock} item(s) available in stock`,
-        400,
-      );
+    const available = await this.availableToSell(
+      pricing,
+      product._id,
+      ownerFilter,
+    );
+    if (nextQuantity > available) {
+      throw new AppError(`Only ${available} item(s) available in stock`, 400);
     }
 
     if (existing) {
@@ -181,7 +234,7 @@ export class CartService extends BaseService {
       await existing.save();
     } else {
       await Cart.create({
-        userId,
+        ...ownerFilter,
         productId,
         variantId: pricing.variantId,
         quantity: parsedQuantity,
@@ -190,16 +243,19 @@ export class CartService extends BaseService {
       });
     }
 
-    return this.getCartForUser(userId);
+    return this.getCartForUser(owner);
   }
 
-  async updateItemQuantity(userId, cartItemId, quantity) {
+  async updateItemQuantity(owner, cartItemId, quantity) {
     const parsedQuantity = Number.parseInt(quantity, 10);
     if (!Number.isInteger(parsedQuantity) || parsedQuantity < 1) {
       throw new AppError("Quantity must be at least 1", 400);
     }
 
-    const cartItem = await Cart.findOne({ _id: cartItemId, userId });
+    const cartItem = await Cart.findOne({
+      _id: cartItemId,
+      ...cartOwnerFilter(owner),
+    });
     if (!cartItem) throw new AppError("Cart item not found", 404);
 
     const product = await Product.findOne({
@@ -208,30 +264,110 @@ export class CartService extends BaseService {
     }).lean();
     if (!product) throw new AppError("Product is no longer available", 404);
 
-    const pricing = resolvePriceAndStock(product, cartItem.variantId);
+    const pricing = await this.pricingService.resolveItemPrice(
+      product,
+      cartItem.variantId,
+    );
     if (!pricing) throw new AppError("Invalid product variant selection", 400);
 
-    if (parsedQuantity > pricing.availableStock) {
-      throw new AppError(
-        `Only ${pricing.availableStock} item(s) available in stock`,
-        400,
-      );
+    const available = await this.availableToSell(
+      pricing,
+      product._id,
+      cartOwnerFilter(owner),
+    );
+    if (parsedQuantity > available) {
+      throw new AppError(`Only ${available} item(s) available in stock`, 400);
     }
 
     cartItem.quantity = parsedQuantity;
     cartItem.price = pricing.unitPrice;
     await cartItem.save();
 
-    return this.getCartForUser(userId);
+    return this.getCartForUser(owner);
   }
 
-  async removeItem(userId, cartItemId) {
-    await Cart.deleteOne({ _id: cartItemId, userId });
-    return this.getCartForUser(userId);
+  async removeItem(owner, cartItemId) {
+    await Cart.deleteOne({ _id: cartItemId, ...cartOwnerFilter(owner) });
+    return this.getCartForUser(owner);
   }
 
-  async clearCart(userId) {
-    await Cart.deleteMany({ userId });
+  async clearCart(owner) {
+    await Cart.deleteMany(cartOwnerFilter(owner));
     return buildCartPayload([]);
   }
+
+  /**
+   * Moves a guest cart into the user's cart after sign-in. Quantities for the
+   * same product and variant are added together and capped at current stock;
+   * lines that can no longer be bought are dropped.
+   */
+  async mergeGuestCart(guestId, userId) {
+    const result = { merged: 0, adjusted: 0, dropped: 0 };
+    if (!guestId || !userId) return result;
+
+    const guestItems = await Cart.find({ guestId }).lean();
+    if (!guestItems.length) return result;
+
+    const products = await Product.find({
+      _id: {
+        $in: [...new Set(guestItems.map((item) => String(item.productId)))],
+      },
+      status: "active",
+    })
+      .select(PRICING_PRODUCT_FIELDS)
+      .lean();
+    const productById = new Map(
+      products.map((product) => [product._id.toString(), product]),
+    );
+    const held = await this.reservationService.getHeldQuantities(
+      products.map((product) => product._id),
+      { ownerFilter: { userId } },
+    );
+
+    for (const item of guestItems) {
+      const product = productById.get(String(item.productId));
+      const pricing = product
+        ? await this.pricingService.resolveItemPrice(product, item.variantId)
+        : null;
+      const available = pricing
+        ? sellableQuantity(
+            pricing.availableStock -
+              (held.get(reservationKey(product._id, pricing.variantId)) || 0),
+            pricing.inventoryPolicy,
+          )
+        : 0;
+      if (available < 1) {
+        result.dropped += 1;
+        continue;
+      }
+
+      const existing = await Cart.findOne({
+        userId,
+        productId: item.productId,
+        variantId: pricing.variantId,
+      });
+      const requested = (existing?.quantity || 0) + item.quantity;
+      const quantity = Math.min(requested, available);
+      if (quantity < requested) result.adjusted += 1;
+
+      if (existing) {
+        existing.quantity = quantity;
+        existing.price = pricing.unitPrice;
+        await existing.save();
+      } else {
+        await Cart.create({
+          userId,
+          productId: item.productId,
+          variantId: pricing.variantId,
+          quantity,
+          price: pricing.unitPrice,
+          amount: round(pricing.unitPrice * quantity),
+        });
+      }
+      result.merged += 1;
+    }
+
+    await Cart.deleteMany({ guestId });
+    return result;
+  }
 }
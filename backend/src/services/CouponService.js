@@ -324,7 +324,7 @@ export class CouponService extends BaseService {
     };
   }
 
-  async validateCoupon(code, userId, orderAmount) {
+  async validateCoupon(code, userId, orderAmount, { checkout = false } = {}) {
     const rawCoupon = await this.model
       .findOne({ code: code.toUpperCase(), status: "active" })
       .lean();
@@ -337,6 +337,9 @@ export class CouponService extends BaseService {
       throw new AppError("Coupon has expired", 400);
     if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit)
       throw new AppError("Coupon usage limit reached", 400);
+    // Per-customer limits cannot be tracked for guest checkouts.
+    if (coupon.userUsageLimit && !userId && checkout)
+      throw new AppError("Sign in to use this coupon", 400);
     if (coupon.userUsageLimit && userId) {
       const userUsage =
         coupon.usedBy?.filter((u) => u.toString() === userId.toString())
@@ -355,8 +358,13 @@ export class CouponService extends BaseService {
     return coupon;
   }
 
-  async applyCoupon(code, userId, orderAmount) {
-    const coupon = await this.validateCoupon(code, userId, orderAmount);
+  async applyCoupon(code, userId, orderAmount, options = {}) {
+    const coupon = await this.validateCoupon(
+      code,
+      userId,
+      orderAmount,
+      options,
+    );
     let discount =
       coupon.type === "percent"
         ? (orderAmount * coupon.value) / 100
@@ -377,20 +385,115 @@ export class CouponService extends BaseService {
     };
   }
 
-  async markCouponAsUsed(couponId, userId) {
-    const coupon = await this.findByIdOrFail(couponId);
-    coupon.usedCount = Number(coupon.usedCount ?? coupon.usageCount ?? 0) + 1;
-    coupon.usageCount = coupon.usedCount;
-    if (
-      userId &&
-      Array.isArray(coupon.usedBy) &&
-      !coupon.usedBy.includes(userId)
-    )
-      coupon.usedBy.push(userId);
-    await coupon.save();
+  async resolveCheckoutCoupon(code, userId, orderAmount) {
+    const normalizedCode = String(code || "")
+      .trim()
+      .toUpperCase();
+    if (!normalizedCode) return null;
+    return this.applyCoupon(normalizedCode, userId, orderAmount, {
+      checkout: true,
+    });
+  }
+
+  // Conditional update so concurrent checkouts cannot push a coupon past
+  // usageLimit or a single user past userUsageLimit.
+  async markCouponAsUsed(couponId, userId, session = null) {
+    const userObjectId = userId
+      ? new mongoose.Types.ObjectId(String(userId))
+      : null;
+    const limitGuards = [
+      {
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: [{ $ifNull: ["$usedCount", 0] }, "$usageLimit"] } },
+        ],
+      },
+    ];
+    if (userObjectId) {
+      limitGuards.push({
+        $or: [
+          { userUsageLimit: null },
+          {
+            $expr: {
+              $lt: [
+                {
+                  $size: {
+                    $filter: {
+                      input: { $ifNull: ["$usedBy", []] },
+                      as: "usedById",
+                      cond: { $eq: ["$$usedById", userObjectId] },
+                    },
+                  },
+                },
+                "$userUsageLimit",
+              ],
+            },
+          },
+        ],
+      });
+    }
+
+    const coupon = await this.repository.model
+      .findOneAndUpdate(
+        { _id: couponId, status: "active", $and: limitGuards },
+        {
+          $inc: { usedCount: 1, usageCount: 1 },
+          ...(userObjectId && { $push: { usedBy: userObjectId } }),
+        },
+        { new: true, ...(session && { session }) },
+      )
+      .lean();
+    if (!coupon) throw new AppError("Coupon usage limit reached", 409);
     return coupon;
   }
 
+  // Undoes markCouponAsUsed for a cancelled order: one use off the counters
+  // and one occurrence of the user removed from usedBy.
+  async releaseCouponUsage(couponId, userId, session = null) {
+    const userObjectId = userId
+      ? new mongoose.Types.ObjectId(String(userId))
+      : null;
+    const decrement = (field) => ({
+      $max: [0, { $subtract: [{ $ifNull: [field, 0] }, 1] }],
+    });
+    const set = {
+      usedCount: decrement("$usedCount"),
+      usageCount: decrement("$usageCount"),
+    };
+    if (userObjectId) {
+      set.usedBy = {
+        $let: {
+          vars: {
+            list: { $ifNull: ["$usedBy", []] },
+            idx: {
+              $indexOfArray: [{ $ifNull: ["$usedBy", []] }, userObjectId],
+            },
+          },
+          in: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $range: [0, { $size: "$$list" }] },
+                  as: "i",
+                  cond: { $ne: ["$$i", "$$idx"] },
+                },
+              },
+              as: "i",
+              in: { $arrayElemAt: ["$$list", "$$i"] },
+            },
+          },
+        },
+      };
+    }
+
+    return this.repository.model
+      .findOneAndUpdate({ _id: couponId }, [{ $set: set }], {
+        new: true,
+        ...(session && { session }),
+      })
+      .lean();
+  }
+
   async getActiveCoupons(options = {}) {
     const now = new Date();
     return this.findAll({
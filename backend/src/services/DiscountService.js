@@ -5,6 +5,7 @@ import { Category } from "../models/Category.js";
 import { Product } from "../models/Product.js";
 import { AppError } from "../utils/AppError.js";
 import { DiscountRepository } from "../repositories/index.js";
+import { invalidateCampaignCache } from "./PricingService.js";
 
 export class DiscountService extends BaseService {
   constructor(repository = new DiscountRepository()) {
@@ -145,6 +146,15 @@ export class DiscountService extends BaseService {
       }
     }
 
+    if (!isPartial || payload.priority !== undefined) {
+      if (!Number.isInteger(payload.priority) || payload.priority < 0) {
+        errors.push({
+          field: "priority",
+          message: "Priority must be a whole number of 0 or more",
+        });
+      }
+    }
+
     return errors;
   }
 
@@ -182,6 +192,7 @@ export class DiscountService extends BaseService {
       startsAt: data.startsAt ? new Date(data.startsAt) : null,
       endsAt: data.endsAt ? new Date(data.endsAt) : null,
       isActive: data.isActive !== false,
+      priority: this.parseNumber(data.priority, 0),
       applyToCategories: this.parseBoolean(data.applyToCategories, false),
       applyToProducts: this.parseBoolean(data.applyToProducts, false),
       categoryIds: this.parseObjectIdArray(data.categoryIds),
@@ -220,11 +231,13 @@ export class DiscountService extends BaseService {
       startsAt: payload.startsAt,
       endsAt: payload.endsAt,
       isActive: payload.isActive,
+      priority: payload.priority,
       categories: payload.categoryIds || [],
       products: payload.productIds || [],
     };
 
     const discount = await Discount.create(discountData);
+    invalidateCampaignCache();
     return discount.toObject();
   }
 
@@ -247,6 +260,8 @@ export class DiscountService extends BaseService {
     if (data.startsAt !== undefined) payload.startsAt = new Date(data.startsAt);
     if (data.endsAt !== undefined) payload.endsAt = new Date(data.endsAt);
     if (data.isActive !== undefined) payload.isActive = Boolean(data.isActive);
+    if (data.priority !== undefined)
+      payload.priority = this.parseNumber(data.priority, null);
     if (data.applyToCategories !== undefined)
       payload.applyToCategories = this.parseBoolean(data.applyToCategories);
     if (data.applyToProducts !== undefined)
@@ -289,6 +304,7 @@ export class DiscountService extends BaseService {
     if (payload.startsAt !== undefined) updateData.startsAt = payload.startsAt;
     if (payload.endsAt !== undefined) updateData.endsAt = payload.endsAt;
     if (payload.isActive !== undefined) updateData.isActive = payload.isActive;
+    if (payload.priority !== undefined) updateData.priority = payload.priority;
     if (payload.categoryIds !== undefined)
       updateData.categories = payload.categoryIds;
     if (payload.productIds !== undefined)
@@ -298,6 +314,7 @@ export class DiscountService extends BaseService {
       new: true,
       runValidators: true,
     }).lean();
+    invalidateCampaignCache();
 
     return updated;
   }
@@ -381,6 +398,7 @@ export class DiscountService extends BaseService {
     if (!discount) {
       throw new AppError("Discount not found", 404);
     }
+    invalidateCampaignCache();
 
     return discount.toObject();
   }
@@ -0,0 +1,272 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import {
+  EMAIL_TEMPLATE_DEFINITIONS,
+  EMAIL_TEMPLATE_KEYS,
+  STORE_TEMPLATE_VARIABLES,
+} from "../constants/emailTemplates.js";
+import { EmailTemplate } from "../models/EmailTemplate.js";
+import { Order } from "../models/Order.js";
+import { Product } from "../models/Product.js";
+import { Setting } from "../models/Setting.js";
+import { AppError } from "../utils/AppError.js";
+import { emailService } from "../utils/emailService.js";
+import {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+} from "./AuthService.js";
+import {
+  accountTemplateVariables,
+  backInStockTemplateVariables,
+  newDeviceSignInTemplateVariables,
+  orderTemplateVariables,
+  passwordResetTemplateVariables,
+  renderEmailTemplate,
+  returnTemplateVariables,
+  storeTemplateVariables,
+  templatePlaceholders,
+  verificationTemplateVariables,
+} from "../utils/emailTemplates.js";
+
+const STORE_FIELDS = "siteName siteUrl logo supportEmail websiteEmail";
+
+// Used for previews until the store has its first order.
+const SAMPLE_ORDER = {
+  orderNumber: "ORD-SAMPLE",
+  firstName: "Alex",
+  lastName: "Customer",
+  email: "alex@example.com",
+  paymentMethod: "stripe",
+  paymentStatus: "paid",
+  totalAmount: 59.97,
+  trackingNumber: "1Z999AA10123456784",
+  createdAt: new Date(),
+  items: [
+    { title: "Sample product", quantity: 2, price: 19.99, amount: 39.98 },
+    { title: "Another product", quantity: 1, price: 19.99, amount: 19.99 },
+  ],
+};
+
+const SAMPLE_PRODUCT = {
+  _id: "sample",
+  title: "Sample product",
+  slug: "sample-product",
+  baseSku: "SAMPLE-1",
+};
+
+const SAMPLE_RETURN = { status: "approved", refundAmount: 0 };
+
+const assertTemplateKey = (key) => {
+  if (!EMAIL_TEMPLATE_DEFINITIONS[key]) {
+    throw new AppError("Email template not found", 404);
+  }
+};
+
+const withDefaults = (key, stored) => {
+  const definition = EMAIL_TEMPLATE_DEFINITIONS[key];
+  return {
+    key,
+    name: definition.name,
+    description: definition.description,
+    variables: [...STORE_TEMPLATE_VARIABLES, ...definition.variables],
+    subject: stored?.subject ?? definition.subject,
+    html: stored?.html ?? definition.html,
+    text: stored?.text ?? definition.text,
+    isCustomized: Boolean(stored),
+    updatedAt: stored?.updatedAt || null,
+  };
+};
+
+// Account emails preview with the sample order's customer as the user.
+const templateVariables = (key, { order, product, variant }, store) => {
+  const user = {
+    name: [order.firstName, order.lastName].filter(Boolean).join(" "),
+  };
+  if (key === "email_verification") {
+    return verificationTemplateVariables(
+      {
+        user,
+        token: "preview",
+        expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS} hours`,
+      },
+      store.storeUrl,
+    );
+  }
+  if (key === "password_reset") {
+    return passwordResetTemplateVariables(
+      {
+        user,
+        token: "preview",
+        expiresIn: `${PASSWORD_RESET_TTL_MINUTES} minutes`,
+      },
+      store.storeUrl,
+    );
+  }
+  if (key === "password_changed") return accountTemplateVariables(user);
+  if (key === "new_device_sign_in") {
+    return newDeviceSignInTemplateVariables(
+      { user, device: "Chrome on Windows", ip: "203.0.113.7" },
+      store.storeUrl,
+    );
+  }
+  if (key === "back_in_stock") {
+    return backInStockTemplateVariables({ product, variant });
+  }
+  if (key === "return_update") {
+    return returnTemplateVariables(
+      order,
+      order.returnRequests?.at(-1) || SAMPLE_RETURN,
+    );
+  }
+  return orderTemplateVariables(order);
+};
+
+export class EmailTemplateService extends BaseService {
+  async listTemplates() {
+    const stored = await EmailTemplate.find().lean();
+    const byKey = new Map(stored.map((template) => [template.key, template]));
+    return EMAIL_TEMPLATE_KEYS.map((key) => withDefaults(key, byKey.get(key)));
+  }
+
+  async getTemplate(key) {
+    assertTemplateKey(key);
+    return withDefaults(key, await EmailTemplate.findOne({ key }).lean());
+  }
+
+  async updateTemplate(key, draft, userId = null) {
+    assertTemplateKey(key);
+    const stored = await EmailTemplate.findOneAndUpdate(
+      { key },
+      { $set: { ...this.validateDraft(key, draft), updatedBy: userId } },
+      { upsert: true, new: true, runValidators: true },
+    ).lean();
+    return withDefaults(key, stored);
+  }
+
+  async resetTemplate(key) {
+    assertTemplateKey(key);
+    await EmailTemplate.deleteOne({ key });
+    return withDefaults(key, null);
+  }
+
+  /**
+   * Rejects a template without a subject or body, or one using a
+   * placeholder its event does not provide, so typos surface while editing
+   * instead of as blanks in customers' inboxes.
+   */
+  validateDraft(key, { subject, html, text = "" } = {}) {
+    if (!String(subject || "").trim() || !String(html || "").trim()) {
+      throw new AppError("Subject and HTML body are required", 422);
+    }
+    const allowed = new Set(withDefaults(key, null).variables);
+    const unknown = [subject, html, text]
+      .flatMap(templatePlaceholders)
+      .find((name) => !allowed.has(name));
+    if (unknown) {
+      throw new AppError(`Unknown placeholder {{${unknown}}}`, 422);
+    }
+    return {
+      subject: String(subject).trim(),
+      html: String(html),
+      text: String(text || ""),
+    };
+  }
+
+  /**
+   * Loads every template and the store details in one go, for the
+   * notification listeners to render an email with.
+   */
+  async getRenderContext() {
+    const [templates, settings] = await Promise.all([
+      this.listTemplates(),
+      Setting.findOne({ key: "main" }).select(STORE_FIELDS).lean(),
+    ]);
+    return {
+      templates: Object.fromEntries(
+        templates.map((template) => [template.key, template]),
+      ),
+      store: storeTemplateVariables(settings),
+    };
+  }
+
+  /**
+   * Renders a template, or unsaved edits to it, against a real order: the
+   * given one or the most recent. Back-in-stock previews use the order's
+   * first product. Falls back to sample data before the first order.
+   */
+  async previewTemplate(key, { orderId, ...draft } = {}) {
+    assertTemplateKey(key);
+    const hasDraft = ["subject", "html", "text"].some(
+      (field) => draft[field] !== undefined,
+    );
+    const template = hasDraft
+      ? this.validateDraft(key, draft)
+      : await this.getTemplate(key);
+
+    const [sample, settings] = await Promise.all([
+      this.loadSample(key, orderId),
+      Setting.findOne({ key: "main" }).select(STORE_FIELDS).lean(),
+    ]);
+    const store = storeTemplateVariables(settings);
+    const email = renderEmailTemplate(template, {
+      ...store,
+      ...templateVariables(key, sample, store),
+    });
+
+    return {
+      ...email,
+      order: sample.order._id
+        ? { _id: sample.order._id, orderNumber: sample.order.orderNumber }
+        : null,
+    };
+  }
+
+  async loadSample(key, orderId) {
+    let order;
+    if (orderId) {
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        throw new AppError("Invalid order ID", 400);
+      }
+      order = this.assertFound(await Order.findById(orderId).lean(), "Order");
+    } else {
+      order = await Order.findOne().sort({ createdAt: -1 }).lean();
+    }
+
+    const sample = { order: order || SAMPLE_ORDER };
+    if (key !== "back_in_stock") return sample;
+
+    const item = order?.items?.[0];
+    const product = item
+      ? await Product.findById(item.productId)
+          .select(
+            "title slug baseSku variants._id variants.sku variants.displayName",
+          )
+          .lean()
+      : null;
+    sample.product = product || SAMPLE_PRODUCT;
+    sample.variant =
+      (product?.variants || []).find(
+        (variant) => String(variant._id) === String(item.variantId),
+      ) || null;
+    return sample;
+  }
+
+  /**
+   * Sends the preview straight through SMTP rather than the queue, so the
+   * admin sees delivery errors right away.
+   */
+  async sendTestEmail(key, { to, ...options } = {}) {
+    const address = String(to || "").trim();
+    if (!this.isValidEmail(address)) {
+      throw new AppError("A valid recipient email address is required", 422);
+    }
+    const preview = await this.previewTemplate(key, options);
+    await emailService.sendMail({
+      to: address,
+      subject: `[Test] ${preview.subject}`,
+      html: preview.html,
+      text: preview.text,
+    });
+    return preview;
+  }
+}
@@ -0,0 +1,510 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import { appEventBus, INVENTORY_EVENTS } from "../events/index.js";
+import {
+  InventoryMovement,
+  INVENTORY_MOVEMENT_REASONS,
+  MANUAL_MOVEMENT_REASONS,
+} from "../models/InventoryMovement.js";
+import { Product } from "../models/Product.js";
+import { AppError } from "../utils/AppError.js";
+import { invalidateCacheByPrefix } from "../utils/requestCache.js";
+import {
+  StockLocationService,
+  locationQuantity,
+  locationStockUpdate,
+  skuLocationStock,
+} from "./StockLocationService.js";
+import {
+  StockReservationService,
+  reservationKey,
+} from "./StockReservationService.js";
+
+export const LOW_STOCK_THRESHOLD = 10;
+
+function escapeRegex(v = "") {
+  return String(v).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const toActor = (actor) => ({
+  userId: actor?.userId || null,
+  name: actor?.name,
+  role: actor?.role || "system",
+});
+
+/**
+ * Stock per sellable SKU of a product, keyed with `reservationKey`: one entry
+ * per variant for variant products, otherwise a single base entry.
+ */
+export const stockLevels = (product) => {
+  const levels = new Map();
+  if (!product) return levels;
+  if (product.hasVariants) {
+    for (const variant of product.variants || []) {
+      if (!variant?._id) continue;
+      levels.set(reservationKey(product._id, variant._id), {
+        variantId: variant._id,
+        sku: variant.sku,
+        stock: Number(variant.stock || 0),
+      });
+    }
+  } else {
+    levels.set(reservationKey(product._id), {
+      variantId: null,
+      sku: product.baseSku,
+      stock: Number(product.baseStock || 0),
+    });
+  }
+  return levels;
+};
+
+/**
+ * Tells back-in-stock subscriptions which products gained stock, from
+ * movements or `{ productId, delta }` lines. Call it once the stock writes
+ * are committed so listeners read the new levels.
+ */
+export const announceRestock = (movements = []) => {
+  const productIds = [
+    ...new Set(
+      movements
+        .filter((movement) => Number(movement.delta) > 0)
+        .map((movement) => String(movement.productId)),
+    ),
+  ];
+  if (productIds.length) {
+    appEventBus.emit(INVENTORY_EVENTS.STOCK_INCREASED, { productIds });
+  }
+};
+
+const STOCK_FIELDS =
+  "title baseSku baseStock locationStock hasVariants variants._id variants.sku variants.stock variants.locationStock";
+
+// Validates one adjustment line: either a non-zero `delta` or a `setTo` of
+// zero or more.
+const parseAdjustment = (productId, delta, setTo) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { message: "Invalid product ID" };
+  }
+  const isSet = setTo !== undefined && setTo !== null && setTo !== "";
+  const amount = Number(isSet ? setTo : delta);
+  if (!Number.isInteger(amount) || (isSet ? amount < 0 : amount === 0)) {
+    return { message: "Invalid quantity" };
+  }
+  return { isSet, amount };
+};
+
+export class InventoryService extends BaseService {
+  constructor(
+    reservationService = new StockReservationService(),
+    locationService = new StockLocationService(),
+  ) {
+    super();
+    this.reservationService = reservationService;
+    this.locationService = locationService;
+  }
+
+  /**
+   * Appends movements to the ledger, inside the caller's transaction when a
+   * session is given. Zero deltas are dropped.
+   */
+  async record(movements = [], session = null) {
+    const docs = movements
+      .filter((movement) => Number(movement.delta))
+      .map((movement) => ({
+        productId: movement.productId,
+        variantId: movement.variantId || null,
+        sku: movement.sku,
+        productTitle: movement.productTitle,
+        locationId: movement.locationId || null,
+        locationCode: movement.locationCode,
+        delta: Number(movement.delta),
+        stockAfter: movement.stockAfter ?? null,
+        reason: movement.reason,
+        actor: toActor(movement.actor),
+        orderId: movement.orderId || null,
+        orderNumber: movement.orderNumber,
+        note: movement.note,
+      }));
+    if (!docs.length) return [];
+    return InventoryMovement.insertMany(docs, session ? { session } : {});
+  }
+
+  /**
+   * Records the difference between two snapshots of the same product, e.g.
+   * around an admin edit that replaces its stock figures wholesale. SKUs
+   * dropped by the edit are written off to zero.
+   */
+  async recordProductChanges(before, after, { reason, actor, note } = {}) {
+    const previous = stockLevels(before);
+    const current = stockLevels(after);
+    const movement = (level, delta, stockAfter) => ({
+      productId: after._id,
+      variantId: level.variantId,
+      sku: level.sku,
+      productTitle: after.title,
+      delta,
+      stockAfter,
+      reason,
+      actor,
+      note,
+    });
+
+    const movements = [];
+    for (const [key, level] of current) {
+      const delta = level.stock - (previous.get(key)?.stock || 0);
+      movements.push(movement(level, delta, level.stock));
+    }
+    for (const [key, level] of previous) {
+      if (!current.has(key)) movements.push(movement(level, -level.stock, 0));
+    }
+    return this.record(movements);
+  }
+
+  async listStock({ search, lowStock, threshold, page = 1, limit = 20 } = {}) {
+    const lowStockThreshold = Number.isFinite(Number(threshold))
+      ? Number(threshold)
+      : LOW_STOCK_THRESHOLD;
+    const lineMatch = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      lineMatch.$or = [{ title: pattern }, { "line.sku": pattern }];
+    }
+    if (lowStock) lineMatch["line.stock"] = { $lte: lowStockThreshold };
+
+    const [result] = await Product.aggregate([
+      {
+        $project: {
+          title: 1,
+          status: 1,
+          line: {
+            $cond: [
+              { $eq: ["$hasVariants", true] },
+              {
+                $map: {
+                  input: { $ifNull: ["$variants", []] },
+                  as: "variant",
+                  in: {
+                    variantId: "$$variant._id",
+                    sku: "$$variant.sku",
+                    name: "$$variant.displayName",
+                    stock: { $ifNull: ["$$variant.stock", 0] },
+                    status: "$$variant.status",
+                    locationStock: {
+                      $ifNull: ["$$variant.locationStock", []],
+                    },
+                  },
+                },
+              },
+              [
+                {
+                  variantId: null,
+                  sku: "$baseSku",
+                  name: null,
+                  stock: { $ifNull: ["$baseStock", 0] },
+                  status: "$status",
+                  locationStock: { $ifNull: ["$locationStock", []] },
+                },
+              ],
+            ],
+          },
+        },
+      },
+      { $unwind: "$line" },
+      { $match: lineMatch },
+      {
+        $facet: {
+          items: [
+            { $sort: { "line.stock": 1, title: 1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const rows = result?.items || [];
+    const total = result?.total?.[0]?.count || 0;
+    const [held, locations] = await Promise.all([
+      this.reservationService.getHeldQuantities([
+        ...new Set(rows.map((row) => String(row._id))),
+      ]),
+      this.locationService.getActiveLocations(),
+    ]);
+
+    return {
+      items: rows.map((row) => {
+        const heldStock =
+          held.get(reservationKey(row._id, row.line.variantId)) || 0;
+        return {
+          productId: row._id,
+          variantId: row.line.variantId,
+          sku: row.line.sku,
+          title: row.title,
+          variantName: row.line.name,
+          status: row.line.status,
+          stock: row.line.stock,
+          heldStock,
+          availableStock: Math.max(0, row.line.stock - heldStock),
+          lowStock: row.line.stock <= lowStockThreshold,
+          locations: locations.map((location) => ({
+            locationId: location._id,
+            code: location.code,
+            name: location.name,
+            isDefault: Boolean(location.isDefault),
+            quantity: locationQuantity(row.line.locationStock, location._id),
+          })),
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasPrev: page > 1,
+        hasNext: page * limit < total,
+      },
+    };
+  }
+
+  /**
+   * Applies admin stock adjustments line by line. Each line either moves
+   * stock by `delta` (never below zero) or sets it to `setTo`; the update is
+   * a single atomic write per line, so concurrent checkouts are not lost.
+   * Lines that cannot be applied are reported rather than failing the batch.
+   * Once stock locations exist, each line moves stock at `locationId` (the
+   * default location when omitted) and the SKU total with it.
+   */
+  async adjustStock(lines = [], { reason, note } = {}, actor = null) {
+    if (!MANUAL_MOVEMENT_REASONS.includes(reason)) {
+      throw new AppError("Invalid adjustment reason", 400);
+    }
+    if (!lines.length) {
+      throw new AppError("At least one adjustment is required", 400);
+    }
+
+    const locations = await this.locationService.getActiveLocations();
+    const results = [];
+    const movements = [];
+    for (const line of lines) {
+      const outcome = locations.length
+        ? await this.applyLocationAdjustment(line, locations)
+        : await this.applyAdjustment(line);
+      results.push(outcome);
+      if (outcome.status !== "applied") continue;
+      movements.push({
+        ...outcome,
+        reason,
+        actor,
+        note,
+      });
+    }
+
+    await this.record(movements);
+    if (movements.length) invalidateCacheByPrefix("products:index:");
+    announceRestock(movements);
+
+    const applied = results.filter((r) => r.status === "applied").length;
+    return { applied, failed: results.length - applied, results };
+  }
+
+  async applyAdjustment({ productId, variantId = null, delta, setTo }) {
+    const base = { productId, variantId: variantId || null };
+    const { isSet, amount, message } = parseAdjustment(productId, delta, setTo);
+    if (message) return { ...base, status: "failed", message };
+
+    const field = variantId ? "variants.$.stock" : "baseStock";
+    const minimum = !isSet && amount < 0 ? { $gte: -amount } : null;
+    const filter = variantId
+      ? {
+          _id: productId,
+          hasVariants: true,
+          variants: {
+            $elemMatch: { _id: variantId, ...(minimum && { stock: minimum }) },
+          },
+        }
+      : {
+          _id: productId,
+          hasVariants: false,
+          ...(minimum && { baseStock: minimum }),
+        };
+
+    // Setting returns the document as it was, to work out the delta; moving
+    // by a delta returns it afterwards, for the resulting stock level.
+    const product = await Product.findOneAndUpdate(
+      filter,
+      isSet ? { $set: { [field]: amount } } : { $inc: { [field]: amount } },
+      { new: !isSet, runValidators: true },
+    )
+      .select(STOCK_FIELDS)
+      .lean();
+
+    if (!product) {
+      return {
+        ...base,
+        status: "failed",
+        message: minimum
+          ? "Not enough stock to remove"
+          : "Product or variant not found",
+      };
+    }
+
+    const level = stockLevels(product).get(
+      reservationKey(productId, variantId),
+    );
+    const stockAfter = isSet ? amount : (level?.stock ?? null);
+    return {
+      ...base,
+      sku: level?.sku,
+      productTitle: product.title,
+      status: "applied",
+      delta: isSet ? amount - (level?.stock || 0) : amount,
+      stockAfter,
+    };
+  }
+
+  /**
+   * Moves one SKU's stock at a single location. The location quantity and
+   * the SKU total change in the same update; removals are guarded on the
+   * location holding enough, and a set only applies if the location still
+   * holds what was read, so a concurrent checkout is never overwritten.
+   */
+  async applyLocationAdjustment(line, locations) {
+    const { productId, variantId = null, delta, setTo } = line;
+    const base = { productId, variantId: variantId || null };
+    const { isSet, amount, message } = parseAdjustment(productId, delta, setTo);
+    if (message) return { ...base, status: "failed", message };
+
+    const defaultLocation =
+      locations.find((location) => location.isDefault) || locations[0];
+    const location = line.locationId
+      ? locations.find((item) => String(item._id) === String(line.locationId))
+      : defaultLocation;
+    if (!location) {
+      return { ...base, status: "failed", message: "Unknown stock location" };
+    }
+
+    const readProduct = () =>
+      Product.findById(productId).select(STOCK_FIELDS).lean();
+    let product = await readProduct();
+    const hasSku =
+      product &&
+      (variantId
+        ? product.hasVariants &&
+          stockLevels(product).has(reservationKey(productId, variantId))
+        : !product.hasVariants);
+    if (!hasSku) {
+      return {
+        ...base,
+        status: "failed",
+        message: "Product or variant not found",
+      };
+    }
+    if (
+      await this.locationService.ensureSkuEntry(
+        product,
+        variantId,
+        location._id,
+        defaultLocation._id,
+      )
+    ) {
+      product = await readProduct();
+    }
+
+    const current = locationQuantity(
+      skuLocationStock(product, variantId),
+      location._id,
+    );
+    const change = isSet ? amount - current : amount;
+    const guard = isSet
+      ? { quantity: current }
+      : change < 0
+        ? { quantity: { $gte: -change } }
+        : {};
+    const atLocation = {
+      $elemMatch: { locationId: location._id, ...guard },
+    };
+    const filter = variantId
+      ? {
+          _id: productId,
+          variants: {
+            $elemMatch: { _id: variantId, locationStock: atLocation },
+          },
+        }
+      : { _id: productId, locationStock: atLocation };
+    const { inc, arrayFilters } = locationStockUpdate(variantId, [
+      { locationId: location._id, quantity: change },
+    ]);
+    inc[variantId ? "variants.$[v].stock" : "baseStock"] = change;
+
+    const updated = await Product.findOneAndUpdate(
+      filter,
+      { $inc: inc },
+      { new: true, arrayFilters },
+    )
+      .select(STOCK_FIELDS)
+      .lean();
+    if (!updated) {
+      return {
+        ...base,
+        status: "failed",
+        message: isSet
+          ? "Stock changed while saving. Reload and try again."
+          : `Not enough stock at ${location.code} to remove`,
+      };
+    }
+
+    const level = stockLevels(updated).get(
+      reservationKey(productId, variantId),
+    );
+    return {
+      ...base,
+      sku: level?.sku,
+      productTitle: updated.title,
+      status: "applied",
+      delta: change,
+      stockAfter: level?.stock ?? null,
+      locationId: location._id,
+      locationCode: location.code,
+    };
+  }
+
+  async listMovements({
+    productId,
+    variantId,
+    sku,
+    reason,
+    orderId,
+    page = 1,
+    limit = 20,
+  } = {}) {
+    const filter = {};
+    if (productId) filter.productId = productId;
+    if (variantId !== undefined && productId)
+      filter.variantId = variantId || null;
+    if (sku) filter.sku = sku.trim();
+    if (INVENTORY_MOVEMENT_REASONS.includes(reason)) filter.reason = reason;
+    if (orderId) filter.orderId = orderId;
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      InventoryMovement.countDocuments(filter),
+    ]);
+
+    return {
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasPrev: page > 1,
+        hasNext: page * limit < total,
+      },
+    };
+  }
+}
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import { isStaffRole } from "../constants/permissions.js";
+import { appEventBus } from "../events/appEventBus.js";
+import { AUTH_EVENTS } from "../events/authEvents.js";
+import {
+  LoginAttemptRepository,
+  UserRepository,
+} from "../repositories/index.js";
+import { AppError } from "../utils/AppError.js";
+import { logger } from "../utils/logger.js";
+import { describeDevice } from "../utils/userAgent.js";
+
+export const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+export const LOCKOUT_BASE_MINUTES = 15;
+export const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+/**
+ * Lock length after `failedAttempts` failures in a row: none until the
+ * fifth, then 15 minutes, doubling with every further five up to a day.
+ */
+export const lockoutMinutes = (failedAttempts) => {
+  const attempts = Number(failedAttempts) || 0;
+  if (attempts < MAX_FAILED_LOGIN_ATTEMPTS) return 0;
+  if (attempts % MAX_FAILED_LOGIN_ATTEMPTS !== 0) return 0;
+  const lockouts = attempts / MAX_FAILED_LOGIN_ATTEMPTS;
+  return Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** (lockouts - 1),
+    LOCKOUT_MAX_MINUTES,
+  );
+};
+
+export const accountLockedError = (lockUntil) => {
+  const minutes = Math.max(
+    1,
+    Math.ceil((new Date(lockUntil).getTime() - Date.now()) / 60000),
+  );
+  return new AppError(
+    `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"} or reset your password.`,
+    423,
+  );
+};
+
+/**
+ * Per-account brute-force protection and sign-in history. Every attempt on
+ * a known account is recorded; failed passwords and two-factor codes count
+ * towards a progressive lock, and the first successful sign-in from a
+ * device the account has not used before raises a new-device alert.
+ */
+export class LoginSecurityService extends BaseService {
+  constructor(
+    userRepository = new UserRepository(),
+    loginAttemptRepository = new LoginAttemptRepository(),
+  ) {
+    super();
+    this.userRepository = userRepository;
+    this.repository = loginAttemptRepository;
+  }
+
+  isLocked(user) {
+    return Boolean(
+      user?.lockUntil && new Date(user.lockUntil).getTime() > Date.now(),
+    );
+  }
+
+  async assertNotLocked(user, client = {}, method = "password") {
+    if (!this.isLocked(user)) return;
+    await this.record(user, client, {
+      success: false,
+      reason: "locked",
+      method,
+    });
+    throw accountLockedError(user.lockUntil);
+  }
+
+  /**
+   * Counts a failed password or code. Returns the new `lockUntil` when this
+   * failure locked the account, `null` otherwise.
+   */
+  async registerFailure(user, client = {}, { reason, method = "password" }) {
+    const counted = await this.userRepository.registerFailedLogin(user._id);
+    const minutes = lockoutMinutes(counted?.failedLoginAttempts);
+    let lockUntil = null;
+    if (minutes) {
+      lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+      await this.userRepository.lockAccount(user._id, lockUntil);
+      logger.warn(`Account locked for ${minutes} minutes: ${user.email}`, {
+        userId: String(user._id),
+        failedAttempts: counted.failedLoginAttempts,
+      });
+    }
+    await this.record(user, client, { success: false, reason, method });
+    return lockUntil;
+  }
+
+  async registerSuccess(user, client = {}, { method = "password" } = {}) {
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await this.userRepository.clearFailedLogins(user._id);
+    }
+
+    const device = describeDevice(client.userAgent);
+    let newDevice = false;
+    try {
+      const [signedInBefore, knownDevice] = await Promise.all([
+        this.repository.hasSignedIn(user._id),
+        this.repository.hasSignedIn(user._id, device),
+      ]);
+      newDevice = signedInBefore && !knownDevice;
+    } catch (error) {
+      logger.warn("Could not check sign-in history for a new device", {
+        userId: String(user._id),
+        message: error.message,
+      });
+    }
+
+    await this.record(user, client, { success: true, method, newDevice });
+    if (newDevice) {
+      appEventBus.emit(AUTH_EVENTS.NEW_DEVICE_SIGN_IN, {
+        user: { _id: user._id, name: user.name, email: user.email },
+        device,
+        ip: String(client.ip || ""),
+        signedInAt: new Date(),
+        staff: isStaffRole(user.role),
+      });
+    }
+  }
+
+  // History is best effort: a failed write never blocks or fails a sign-in.
+  async record(user, client, { success, reason = null, method, newDevice }) {
+    const userAgent = String(client.userAgent || "").slice(0, 512);
+    try {
+      await this.repository.create({
+        user: user._id,
+        success,
+        reason,
+        method,
+        userAgent,
+        device: describeDevice(userAgent),
+        ip: String(client.ip || ""),
+        newDevice: Boolean(newDevice),
+      });
+    } catch (error) {
+      logger.warn("Failed to record sign-in attempt", {
+        userId: String(user._id),
+        message: error.message,
+      });
+    }
+  }
+
+  async listHistory(userId, { page = 1, limit = 20 } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(userId))
+      throw new AppError("Invalid user ID", 400);
+
+    const { items, pagination } = await this.repository.findByUser(userId, {
+      page,
+      limit,
+    });
+    return {
+      attempts: items.map((attempt) => ({
+        _id: attempt._id,
+        success: attempt.success,
+        reason: attempt.reason,
+        method: attempt.method,
+        device: attempt.device,
+        userAgent: attempt.userAgent,
+        ip: attempt.ip,
+        newDevice: attempt.newDevice,
+        createdAt: attempt.createdAt,
+      })),
+      pagination: {
+        ...pagination,
+        hasPrev: page > 1,
+        hasNext: page < pagination.pages,
+      },
+    };
+  }
+
+  async unlock(userId) {
+    await this.userRepository.clearFailedLogins(userId);
+    logger.info(`Account unlocked: ${userId}`);
+  }
+}
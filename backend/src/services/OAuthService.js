@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { BaseService } from "../core/BaseService.js";
+import { config } from "../config/index.js";
+import { Setting } from "../models/Setting.js";
+import { AppError } from "../utils/AppError.js";
+import { createPkcePair, OAUTH_PROVIDERS } from "../utils/oauthProviders.js";
+import { AuthService } from "./AuthService.js";
+
+export const OAUTH_STATE_COOKIE_NAME = "oauthState";
+export const OAUTH_STATE_TTL_MINUTES = 10;
+export const OAUTH_CHALLENGE_COOKIE_NAME = "oauthChallenge";
+
+const STATE_AUDIENCE = "oauth-state";
+const SECRET_FIELDS = "+googleClientSecret +facebookAppSecret";
+
+// Only same-site paths, so the callback can't be used as an open redirect.
+const safeReturnTo = (value) => {
+  const path = String(value || "");
+  return path.startsWith("/") && !path.startsWith("//") && !path.includes("\\")
+    ? path
+    : "";
+};
+
+const sameValue = (left, right) => {
+  const a = Buffer.from(String(left || ""));
+  const b = Buffer.from(String(right || ""));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Authorization-code sign-in with PKCE. `beginAuthorization` returns the
+ * provider URL plus a signed, short-lived state token for an httpOnly cookie;
+ * `completeAuthorization` checks it against the callback and signs the user in.
+ */
+export class OAuthService extends BaseService {
+  constructor(authService = new AuthService(), providers = OAUTH_PROVIDERS) {
+    super();
+    this.authService = authService;
+    this.providers = providers;
+  }
+
+  redirectUri(name) {
+    return `${config.apiUrl}/api/${config.apiVersion}/auth/oauth/${name}/callback`;
+  }
+
+  async loadSettings() {
+    return Setting.findOne({ key: "main" }).select(SECRET_FIELDS).lean();
+  }
+
+  async resolveProvider(name) {
+    const provider = Object.hasOwn(this.providers, name)
+      ? this.providers[name]
+      : null;
+    if (!provider) throw new AppError("Unknown sign-in provider", 404);
+
+    const credentials = provider.credentials(await this.loadSettings());
+    if (
+      !credentials.enabled ||
+      !credentials.clientId ||
+      !credentials.clientSecret
+    ) {
+      throw new AppError(`${provider.label} sign-in is not enabled`, 400);
+    }
+    return { provider, credentials };
+  }
+
+  async listProviders() {
+    const settings = await this.loadSettings();
+    return Object.values(this.providers)
+      .filter((provider) => {
+        const { enabled, clientId, clientSecret } =
+          provider.credentials(settings);
+        return enabled && clientId && clientSecret;
+      })
+      .map(({ name, label }) => ({ name, label }));
+  }
+
+  async beginAuthorization(name, { rememberMe = false, returnTo } = {}) {
+    const { provider, credentials } = await this.resolveProvider(name);
+    const state = crypto.randomBytes(24).toString("base64url");
+    const nonce = crypto.randomBytes(24).toString("base64url");
+    const pkce = createPkcePair();
+
+    const url = await provider.authorizationUrl({
+      clientId: credentials.clientId,
+      redirectUri: this.redirectUri(name),
+      state,
+      nonce,
+      codeChallenge: pkce.challenge,
+    });
+    const stateToken = jwt.sign(
+      {
+        provider: name,
+        state,
+        nonce,
+        codeVerifier: pkce.verifier,
+        rememberMe: Boolean(rememberMe),
+        returnTo: safeReturnTo(returnTo),
+      },
+      config.jwt.secret,
+      {
+        audience: STATE_AUDIENCE,
+        expiresIn: `${OAUTH_STATE_TTL_MINUTES}m`,
+      },
+    );
+    return { url, stateToken };
+  }
+
+  async completeAuthorization(name, { code, state, stateToken, client }) {
+    let session;
+    try {
+      session = jwt.verify(String(stateToken || ""), config.jwt.secret, {
+        audience: STATE_AUDIENCE,
+      });
+    } catch {
+      throw new AppError(
+        "Your sign-in session expired. Please try again.",
+        400,
+      );
+    }
+    if (session.provider !== name || !sameValue(session.state, state)) {
+      throw new AppError(
+        "Sign-in could not be verified. Please try again.",
+        400,
+      );
+    }
+    if (!code) throw new AppError("Authorization code is missing", 400);
+
+    const { provider, credentials } = await this.resolveProvider(name);
+    const profile = await provider.fetchProfile({
+      code: String(code),
+      codeVerifier: session.codeVerifier,
+      clientId: credentials.clientId,
+      clientSecret: credentials.clientSecret,
+      redirectUri: this.redirectUri(name),
+      nonce: session.nonce,
+    });
+
+    const result = await this.authService.loginWithOAuth(
+      provider,
+      profile,
+      session.rememberMe,
+      client,
+    );
+    return { ...result, returnTo: session.returnTo };
+  }
+}
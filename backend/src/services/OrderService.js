@@ -1,17 +1,53 @@
 import mongoose from "mongoose";
 import Stripe from "stripe";
 import { BaseService } from "../core/BaseService.js";
-import { Order } from "../models/Order.js";
+import {
+  Order,
+  MANUAL_PAYMENT_STATUSES,
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  REFUNDABLE_PAYMENT_STATUSES,
+  RETURN_STATUSES,
+  canTransitionOrderStatus,
+  canTransitionReturnStatus,
+} from "../models/Order.js";
 import { Cart } from "../models/Cart.js";
 import { Product } from "../models/Product.js";
 import { Setting } from "../models/Setting.js";
 import { AppError } from '../utils/AppError.js';
 import { logger } from "../utils/logger.js";
 import { calculateCartTotals } from "../utils/pricing.js";
+import { resolveItemPrice } from "../utils/discounts.js";
+import {
+  fulfilmentFor,
+  requiredStock,
+  resolveInventoryPolicy,
+  sellableQuantity,
+} from "../utils/inventoryPolicy.js";
 import { OrderRepository } from '../repositories/index.js';
+import { AuthService } from "./AuthService.js";
+import { CouponService } from "./CouponService.js";
+import { ShippingService } from "./ShippingService.js";
+import { TaxService } from "./TaxService.js";
+import { PricingService, PRICING_PRODUCT_FIELDS } from "./PricingService.js";
+import { PaymentService } from "./PaymentService.js";
+import { cartOwnerFilter } from "./CartService.js";
+import {
+  InventoryService,
+  announceRestock,
+  stockLevels,
+} from "./InventoryService.js";
+import {
+  StockLocationService,
+  locationStockUpdate,
+  restockMoves,
+} from "./StockLocationService.js";
+import {
+  StockReservationService,
+  reservationKey,
+} from "./StockReservationService.js";
+import { appEventBus, ORDER_EVENTS } from "../events/index.js";
 
-const ORDER_STATUSES = ["new", "process", "delivered", "cancelled"];
-const PAYMENT_STATUSES = ["paid", "unpaid"];
 const PAYMENT_METHODS = ["cod", "stripe", "paypal"];
 
 const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
@@ -33,10 +69,105 @@ const isTransactionUnsupportedError = (err) => {
   );
 };
 
+// Runs `work(session)` in a transaction, or with a null session on a
+// standalone MongoDB where transactions are unavailable.
+const runWithOptionalTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  let result = null;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } catch (txErr) {
+    if (!isTransactionUnsupportedError(txErr)) throw txErr;
+    logger.warn(
+      "MongoDB transactions unavailable (standalone mode) — retrying without transaction",
+    );
+    result = await work(null);
+  } finally {
+    await session.endSession();
+  }
+  return result;
+};
+
+const buildActor = (actor) => ({
+  userId: actor?.userId || null,
+  name: actor?.name,
+  role: actor?.role || "system",
+});
+
+const buildStatusEntry = (status, fromStatus, actor, note) => ({
+  status,
+  fromStatus,
+  actor: buildActor(actor),
+  note: String(note || "").trim() || undefined,
+  changedAt: new Date(),
+});
+
+const isSameLine = (a, b) =>
+  String(a.productId) === String(b.productId) &&
+  String(a.variantId || "") === String(b.variantId || "");
+
+const sumRefunds = (refunds = []) =>
+  round(
+    refunds.reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0),
+  );
+
+const getRefundableAmount = (order) =>
+  Math.max(0, round((order.totalAmount || 0) - sumRefunds(order.refunds)));
+
+// What the customer paid for `quantity` units of a line: its price less its
+// share of the coupon, plus its tax when tax was added on top. Orders placed
+// before line tax was recorded spread the order's tax by value instead.
+const lineRefundValue = (order, line, quantity) => {
+  const subTotal =
+    Number(order.subTotal) ||
+    order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const couponDiscount = Number(order.couponDiscount) || 0;
+  const couponShare = (value) =>
+    subTotal > 0 ? value - (couponDiscount * value) / subTotal : value;
+
+  const paid = couponShare(line.price * quantity);
+  if (order.pricesIncludeTax) return paid;
+  const lineTax =
+    line.taxAmount ??
+    (subTotal > couponDiscount
+      ? ((Number(order.taxTotal) || 0) *
+          couponShare(line.price * line.quantity)) /
+        (subTotal - couponDiscount)
+      : 0);
+  return paid + (lineTax * quantity) / line.quantity;
+};
+
+const refundedPaymentStatus = (order, amount) =>
+  round(sumRefunds(order.refunds) + amount) >= round(order.totalAmount)
+    ? "refunded"
+    : "partially_refunded";
+
 export class OrderService extends BaseService {
-  constructor(repository = new OrderRepository()) {
+  constructor(
+    repository = new OrderRepository(),
+    couponService = new CouponService(),
+    shippingService = new ShippingService(),
+    taxService = new TaxService(),
+    pricingService = new PricingService(),
+    paymentService = new PaymentService(),
+    reservationService = new StockReservationService(),
+    inventoryService = new InventoryService(),
+    locationService = new StockLocationService(),
+    authService = new AuthService(),
+  ) {
     super();
     this.repository = repository;
+    this.couponService = couponService;
+    this.shippingService = shippingService;
+    this.taxService = taxService;
+    this.pricingService = pricingService;
+    this.paymentService = paymentService;
+    this.reservationService = reservationService;
+    this.inventoryService = inventoryService;
+    this.locationService = locationService;
+    this.authService = authService;
   }
 
   async enrichOrderItemsWithImages(orders = []) {
@@ -85,7 +216,17 @@ export class OrderService extends BaseService {
     }));
   }
 
-  async verifyStripePayment(paymentIntentId, userId, cartItems) {
+  async verifyStripePayment(
+    paymentIntentId,
+    owner,
+    cartItems,
+    {
+      couponDiscount = 0,
+      shippingCost = 0,
+      taxTotal = 0,
+      pricesIncludeTax = false,
+    } = {},
+  ) {
     const settings = await Setting.findOne({ key: "main" })
       .select("stripeSecretKey")
       .lean();
@@ -94,7 +235,9 @@ export class OrderService extends BaseService {
     }
 
     const stripe = new Stripe(settings.stripeSecretKey);
-    const intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const intent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ["latest_charge"],
+    });
 
     if (intent.status !== "succeeded") {
       throw new AppError(
@@ -102,15 +245,31 @@ export class OrderService extends BaseService {
         402,
       );
     }
+    // An intent refunded because its order could not be placed stays
+    // "succeeded"; it must not pay for a later attempt.
+    if (Number(intent.latest_charge?.amount_refunded) > 0) {
+      throw new AppError(
+        "This payment has been refunded. Please check out again.",
+        409,
+      );
+    }
 
-    const totals = calculateCartTotals(cartItems);
+    const totals = calculateCartTotals(cartItems, {
+      couponDiscount,
+      shippingCost,
+      taxTotal,
+      pricesIncludeTax,
+    });
     const paidAmountInCents = Number(
       intent.amount_received || intent.amount || 0,
     );
     const paidCurrency = String(intent.currency || "").toLowerCase();
-    const intentUserId = String(intent.metadata?.userId || "");
+    const ownerFilter = cartOwnerFilter(owner);
+    const intentOwner = ownerFilter.userId
+      ? String(intent.metadata?.userId || "")
+      : String(intent.metadata?.guestId || "");
 
-    if (intentUserId !== String(userId)) {
+    if (intentOwner !== String(ownerFilter.userId || ownerFilter.guestId)) {
       throw new AppError("Payment intent does not belong to this user", 403);
     }
     if (paidCurrency !== "usd") {
@@ -136,7 +295,8 @@ export class OrderService extends BaseService {
 
   async buildOrderFromCart(session, params) {
     const {
-      userId,
+      userId = null,
+      guestId = null,
       firstName,
       lastName,
       email,
@@ -153,11 +313,13 @@ export class OrderService extends BaseService {
       idempotencyKey,
       notes,
       couponCode,
+      shippingMethodId,
     } = params;
 
+    const ownerFilter = cartOwnerFilter({ userId, guestId });
     const cartItems = session
-      ? await Cart.find({ userId }).session(session).lean()
-      : await Cart.find({ userId }).lean();
+      ? await Cart.find(ownerFilter).session(session).lean()
+      : await Cart.find(ownerFilter).lean();
 
     if (!cartItems.length) throw new AppError("Cart is empty", 400);
 
@@ -175,10 +337,20 @@ export class OrderService extends BaseService {
     const productMap = new Map(
       products.map((item) => [item._id.toString(), item]),
     );
+    const campaigns = await this.pricingService.getCampaigns();
+    // Units other shoppers hold for their checkouts cannot be sold here.
+    const held = await this.reservationService.getHeldQuantities(productIds, {
+      ownerFilter,
+      session,
+    });
+    const locations = await this.locationService.getActiveLocations(session);
 
     const orderItems = [];
+    const saleMovements = [];
+    const taxableItems = [];
     let totalQuantity = 0;
     let subTotal = 0;
+    let totalWeight = 0;
 
     for (const cartItem of cartItems) {
       const product = productMap.get(cartItem.productId.toString());
@@ -189,13 +361,15 @@ export class OrderService extends BaseService {
       if (!quantity || quantity < 1)
         throw new AppError("Invalid cart quantity", 400);
 
+      const pricing = resolveItemPrice(product, cartItem.variantId, campaigns);
       let itemTitle = product.title;
       let itemSku = product.baseSku;
-      let itemPrice = round(
-        product.basePrice * (1 - (product.baseDiscount || 0) / 100),
-      );
+      const itemPrice = pricing?.unitPrice ?? 0;
       let itemImage = getPrimaryImagePath(product.images);
       let stockUpdated = null;
+      let policy = resolveInventoryPolicy(product);
+      const heldByOthers =
+        held.get(reservationKey(product._id, cartItem.variantId)) || 0;
 
       if (cartItem.variantId) {
         const variant = (product.variants || []).find(
@@ -207,26 +381,28 @@ export class OrderService extends BaseService {
 
         itemTitle = `${product.title} (${variant.displayName || variant.sku})`;
         itemSku = variant.sku;
-        itemPrice = round(variant.price * (1 - (variant.discount || 0) / 100));
         itemImage = getPrimaryImagePath(variant.images) || itemImage;
+        policy = resolveInventoryPolicy(product, variant);
+        const minimum = requiredStock(quantity + heldByOthers, policy);
 
         stockUpdated = await Product.findOneAndUpdate(
           {
             _id: product._id,
             status: "active",
             "variants._id": variant._id,
-            "variants.stock": { $gte: quantity },
+            ...(minimum !== null && { "variants.stock": { $gte: minimum } }),
           },
           { $inc: { "variants.$.stock": -quantity, salesCount: quantity } },
           session ? { session, new: true } : { new: true },
         ).lean();
       } else {
+        const minimum = requiredStock(quantity + heldByOthers, policy);
         stockUpdated = await Product.findOneAndUpdate(
           {
             _id: product._id,
             status: "active",
             hasVariants: false,
-            baseStock: { $gte: quantity },
+            ...(minimum !== null && { baseStock: { $gte: minimum } }),
           },
           { $inc: { baseStock: -quantity, salesCount: quantity } },
           session ? { session, new: true } : { new: true },
@@ -235,10 +411,57 @@ export class OrderService extends BaseService {
 
       if (!stockUpdated)
         throw new AppError(`Insufficient stock for ${product.title}`, 400);
+      let stockAfter = stockLevels(stockUpdated).get(
+        reservationKey(product._id, cartItem.variantId),
+      )?.stock;
+      // Units beyond what was on the shelf (less other shoppers' holds) are
+      // backordered; they ship around the policy's expected date.
+      const fulfilment = fulfilmentFor(
+        quantity,
+        stockAfter + quantity - heldByOthers,
+        policy,
+      );
+      const allocations = await this.locationService.allocate(
+        stockUpdated,
+        cartItem.variantId || null,
+        quantity - fulfilment.backorderedQuantity,
+        {
+          locations,
+          country,
+          session,
+          backordered: fulfilment.backorderedQuantity,
+        },
+      );
+
+      const movement = {
+        productId: product._id,
+        variantId: cartItem.variantId || null,
+        sku: itemSku,
+        productTitle: product.title,
+      };
+      if (!allocations.length) {
+        saleMovements.push({ ...movement, delta: -quantity, stockAfter });
+      } else {
+        // One movement per shipping location; the summed stock steps down
+        // to its final level across them.
+        stockAfter += quantity;
+        for (const allocation of allocations) {
+          stockAfter -= allocation.quantity;
+          saleMovements.push({
+            ...movement,
+            delta: -allocation.quantity,
+            stockAfter,
+            locationId: allocation.locationId,
+            locationCode: allocation.code,
+          });
+        }
+      }
 
       const amount = round(itemPrice * quantity);
       subTotal += amount;
       totalQuantity += quantity;
+      totalWeight += Number(product.weight || 0) * quantity;
+      taxableItems.push({ amount, taxClass: product.taxClass || "standard" });
 
       orderItems.push({
         productId: product._id,
@@ -249,20 +472,74 @@ export class OrderService extends BaseService {
         quantity,
         amount,
         image: itemImage || undefined,
+        allocations,
+        ...fulfilment,
       });
     }
 
     subTotal = round(subTotal);
-    const shippingCost = subTotal >= 100 ? 0 : 10;
-    const couponDiscount = 0;
-    const totalAmount = round(subTotal + shippingCost - couponDiscount);
+    const shippingQuote = await this.shippingService.resolveShippingQuote({
+      shippingMethodId,
+      country,
+      state,
+      subTotal,
+      weight: round(totalWeight),
+    });
+    const shippingCost = shippingQuote.price;
 
-    const order = new Order({
+    const coupon = await this.couponService.resolveCheckoutCoupon(
+      couponCode,
       userId,
-      items: orderItems,
+      subTotal,
+    );
+    if (coupon) {
+      await this.couponService.markCouponAsUsed(
+        coupon.couponId,
+        userId,
+        session,
+      );
+    }
+    const couponDiscount = round(Math.min(coupon?.discount || 0, subTotal));
+    const tax = await this.taxService.quoteTax({
+      items: taxableItems,
+      country,
+      state,
+      shippingCost,
+      couponDiscount,
+    });
+    const totalAmount = round(
+      subTotal +
+        shippingCost -
+        couponDiscount +
+        (tax.pricesIncludeTax ? 0 : tax.taxTotal),
+    );
+
+    const order = new Order({
+      // Left unset for guests, whose checkout keys are unique per guest id.
+      userId: userId || undefined,
+      guestId: ownerFilter.guestId || null,
+      items: orderItems.map((item, index) => ({
+        ...item,
+        taxAmount: tax.itemTaxes?.[index] ?? 0,
+      })),
       subTotal,
       shippingCost,
+      shippingMethod: {
+        methodId: shippingQuote.methodId,
+        name: shippingQuote.name,
+        zone: shippingQuote.zone || undefined,
+        price: shippingCost,
+        estimatedDays: shippingQuote.estimatedDays ?? undefined,
+        estimatedDeliveryDate:
+          shippingQuote.estimatedDays !== null &&
+          shippingQuote.estimatedDays !== undefined
+            ? new Date(Date.now() + shippingQuote.estimatedDays * 86_400_000)
+            : undefined,
+      },
       couponDiscount,
+      taxLines: tax.taxLines,
+      taxTotal: tax.taxTotal,
+      pricesIncludeTax: tax.pricesIncludeTax,
       totalAmount,
       quantity: totalQuantity,
       firstName: String(firstName).trim(),
@@ -280,23 +557,57 @@ export class OrderService extends BaseService {
       transactionId: stripeTransactionId,
       idempotencyKey: idempotencyKey || undefined,
       status: "new",
-      couponCode: String(couponCode || "").trim() || undefined,
+      couponCode: coupon?.code,
+      couponId: coupon?.couponId || null,
       notes: String(notes || "").trim() || undefined,
+      statusHistory: [
+        {
+          status: "new",
+          actor: {
+            userId,
+            name: `${String(firstName).trim()} ${String(lastName).trim()}`,
+            role: userId ? "customer" : "guest",
+          },
+          note: "Order placed",
+        },
+      ],
     });
 
     await order.save(session ? { session } : {});
+    await this.inventoryService.record(
+      saleMovements.map((movement) => ({
+        ...movement,
+        reason: "sale",
+        actor: order.statusHistory[0].actor,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+      })),
+      session,
+    );
 
     if (session) {
-      await Cart.deleteMany({ userId }).session(session);
+      await Cart.deleteMany(ownerFilter).session(session);
     } else {
-      await Cart.deleteMany({ userId });
+      await Cart.deleteMany(ownerFilter);
     }
+    await this.reservationService.consume(stripeTransactionId, session);
+    await this.reservationService.releaseForOwner(
+      ownerFilter,
+      "order_placed",
+      session,
+    );
 
     return order.toObject();
   }
 
-  async createOrder(userId, orderData, idempotencyKey) {
+  /**
+   * `owner` is a user id or `{ userId }` for customers, or `{ guestId }` for a
+   * guest checkout, whose order is tied to the contact email instead.
+   */
+  async createOrder(owner, orderData, idempotencyKey) {
     const { paymentMethod, paymentIntentId } = orderData;
+    const ownerFilter = cartOwnerFilter(owner);
+    const userId = ownerFilter.userId || null;
 
     if (!PAYMENT_METHODS.includes(paymentMethod)) {
       throw new AppError("Invalid payment method", 422);
@@ -304,7 +615,7 @@ export class OrderService extends BaseService {
 
     if (idempotencyKey) {
       const existingOrder = await Order.findOne({
-        userId,
+        ...ownerFilter,
         idempotencyKey,
       }).lean();
       if (existingOrder) {
@@ -312,11 +623,32 @@ export class OrderService extends BaseService {
       }
     }
 
-    const cartItems = await Cart.find({ userId }).lean();
+    await this.authService.assertCanPlaceOrder(userId);
+
+    const cartItems = await this.pricingService.repriceCartItems(
+      await Cart.find(ownerFilter).lean(),
+    );
     if (!cartItems.length) {
       throw new AppError("Cart is empty", 400);
     }
 
+    const coupon = await this.couponService.resolveCheckoutCoupon(
+      orderData.couponCode,
+      userId,
+      calculateCartTotals(cartItems).subTotal,
+    );
+    const shippingQuote = await this.shippingService.quoteForCart(cartItems, {
+      shippingMethodId: orderData.shippingMethodId,
+      country: orderData.country,
+      state: orderData.state,
+    });
+    const tax = await this.taxService.quoteForCart(cartItems, {
+      country: orderData.country,
+      state: orderData.state,
+      shippingCost: shippingQuote.price,
+      couponDiscount: coupon?.discount,
+    });
+
     let stripePaymentStatus = "unpaid";
     let stripeTransactionId = undefined;
 
@@ -326,8 +658,14 @@ export class OrderService extends BaseService {
       }
       const paymentResult = await this.verifyStripePayment(
         paymentIntentId,
-        userId,
+        ownerFilter,
         cartItems,
+        {
+          couponDiscount: coupon?.discount,
+          shippingCost: shippingQuote.price,
+          taxTotal: tax.taxTotal,
+          pricesIncludeTax: tax.pricesIncludeTax,
+        },
       );
       stripePaymentStatus = paymentResult.status;
       stripeTransactionId = paymentResult.transactionId;
@@ -351,34 +689,466 @@ export class OrderService extends BaseService {
     }
 
     const orderParams = {
-      userId,
       ...orderData,
+      userId,
+      guestId: ownerFilter.guestId || null,
       stripePaymentStatus,
       stripeTransactionId,
       idempotencyKey,
     };
 
-    const session = await mongoose.startSession();
-    let createdOrder = null;
+    let createdOrder;
+    try {
+      createdOrder = await runWithOptionalTransaction((session) =>
+        this.buildOrderFromCart(session, orderParams),
+      );
+    } catch (error) {
+      if (
+        stripeTransactionId &&
+        error.isOperational &&
+        error.statusCode < 500
+      ) {
+        throw await this.refundUnplacedPayment(stripeTransactionId, error);
+      }
+      throw error;
+    }
+    appEventBus.emit(ORDER_EVENTS.PLACED, { order: createdOrder });
+
+    return { alreadyExists: false, order: createdOrder };
+  }
+
+  /**
+   * Refunds a captured payment whose order was refused, typically because
+   * the stock hold lapsed before the shopper paid and the units sold in the
+   * meantime. Returns the error to show the shopper. A payment that already
+   * has an order (a concurrent submit won) is left alone.
+   */
+  async refundUnplacedPayment(paymentIntentId, error) {
+    if (await Order.exists({ transactionId: paymentIntentId })) return error;
 
     try {
-      await session.withTransaction(async () => {
-        createdOrder = await this.buildOrderFromCart(session, orderParams);
+      await this.paymentService.refundPayment(paymentIntentId, {
+        idempotencyKey: `order-unplaced-${paymentIntentId}`,
+        metadata: { reason: "order_not_placed" },
       });
-    } catch (txErr) {
-      if (isTransactionUnsupportedError(txErr)) {
-        logger.warn(
-          "MongoDB transactions unavailable (standalone mode) — retrying without transaction",
+      await this.reservationService.release(paymentIntentId, "order_failed");
+    } catch (refundError) {
+      logger.error(
+        `Could not refund payment ${paymentIntentId} for an order that was not placed: ${refundError.message}`,
+      );
+      return new AppError(
+        `${error.message}. Your payment could not be refunded automatically, please contact us.`,
+        409,
+      );
+    }
+
+    logger.warn(
+      `Refunded payment ${paymentIntentId}: order not placed (${error.message})`,
+    );
+    return new AppError(
+      `${error.message}. Your payment has been refunded in full.`,
+      409,
+    );
+  }
+
+  /**
+   * Moves an order along its lifecycle and records the change in
+   * `statusHistory`. The update is conditional on the status it was read
+   * with, so two concurrent changes cannot both apply. Status and payment
+   * changes are announced on the event bus once saved.
+   */
+  async updateOrderStatus(
+    orderId,
+    { status, paymentStatus, note, trackingNumber } = {},
+    actor = null,
+  ) {
+    const order = await Order.findById(orderId)
+      .select("status paymentStatus")
+      .lean();
+    if (!order) throw new AppError("Order not found", 404);
+
+    if (status === "cancelled" && order.status !== "cancelled") {
+      return this.cancelOrder(orderId, { actor, note });
+    }
+
+    const set = {};
+    const update = { $set: set };
+    if (paymentStatus !== undefined && paymentStatus !== order.paymentStatus) {
+      // Overwriting a refund or dispute would lose what those flows recorded.
+      if (!MANUAL_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+        throw new AppError(
+          `Payment status ${order.paymentStatus} cannot be changed by hand`,
+          409,
         );
-        createdOrder = await this.buildOrderFromCart(null, orderParams);
-      } else {
-        throw txErr;
       }
-    } finally {
-      await session.endSession();
+      set.paymentStatus = paymentStatus;
+    }
+    if (trackingNumber !== undefined) {
+      set.trackingNumber = String(trackingNumber).trim();
     }
 
-    return { alreadyExists: false, order: createdOrder };
+    if (status !== undefined && status !== order.status) {
+      if (!canTransitionOrderStatus(order.status, status)) {
+        throw new AppError(
+          `Cannot change order status from ${order.status} to ${status}`,
+          409,
+        );
+      }
+      set.status = status;
+      update.$push = {
+        statusHistory: buildStatusEntry(status, order.status, actor, note),
+      };
+    }
+
+    if (!Object.keys(set).length) {
+      const [unchanged] = await this.enrichOrderItemsWithImages([
+        await Order.findById(orderId).lean(),
+      ]);
+      return unchanged;
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        status: order.status,
+        ...(set.paymentStatus && { paymentStatus: order.paymentStatus }),
+      },
+      update,
+      { new: true, runValidators: true },
+    ).lean();
+    if (!updated) {
+      throw new AppError(
+        "Order status was changed by someone else. Reload and try again.",
+        409,
+      );
+    }
+
+    if (set.status) {
+      appEventBus.emit(ORDER_EVENTS.STATUS_CHANGED, {
+        order: updated,
+        previousStatus: order.status,
+      });
+    }
+    if (set.paymentStatus === "paid" && order.paymentStatus !== "paid") {
+      appEventBus.emit(ORDER_EVENTS.PAYMENT_RECEIVED, { order: updated });
+    }
+
+    const [enrichedOrder] = await this.enrichOrderItemsWithImages([updated]);
+    return enrichedOrder;
+  }
+
+  /**
+   * Cancels an order before shipment and reverses its side effects in one
+   * transaction: stock and `salesCount` are restored, coupon usage released
+   * and a paid Stripe payment refunded. The refund runs last so a Stripe
+   * failure rolls the cancellation back; its idempotency key keeps
+   * transaction retries from refunding twice. Pass `userId` to limit the
+   * lookup to that customer's orders.
+   */
+  async cancelOrder(orderId, { actor = null, note, userId = null } = {}) {
+    const order = await Order.findOne({
+      _id: orderId,
+      ...(userId && { userId }),
+    }).lean();
+    if (!order) throw new AppError("Order not found", 404);
+    if (!canTransitionOrderStatus(order.status, "cancelled")) {
+      throw new AppError(
+        order.status === "cancelled"
+          ? "Order is already cancelled"
+          : "Orders can only be cancelled before they ship",
+        409,
+      );
+    }
+
+    const cancelled = await runWithOptionalTransaction((session) =>
+      this.applyCancellation(session, order, { actor, note }),
+    );
+    appEventBus.emit(ORDER_EVENTS.STATUS_CHANGED, {
+      order: cancelled,
+      previousStatus: order.status,
+    });
+    announceRestock(
+      order.items.map((item) => ({
+        productId: item.productId,
+        delta: item.quantity,
+      })),
+    );
+    const [enrichedOrder] = await this.enrichOrderItemsWithImages([cancelled]);
+    return enrichedOrder;
+  }
+
+  async applyCancellation(session, order, { actor, note }) {
+    const options = session ? { session } : {};
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        $set: { status: "cancelled", cancelledAt: new Date() },
+        $push: {
+          statusHistory: buildStatusEntry("cancelled", order.status, actor, note),
+        },
+      },
+      { ...options, new: true },
+    ).lean();
+    if (!claimed) {
+      throw new AppError(
+        "Order status was changed by someone else. Reload and try again.",
+        409,
+      );
+    }
+
+    await this.restockOrderItems(order.items, session, {
+      reason: "cancellation",
+      order,
+      actor,
+    });
+    if (order.couponId) {
+      await this.couponService.releaseCouponUsage(
+        order.couponId,
+        order.userId,
+        session,
+      );
+    }
+
+    const isPaidStripeOrder =
+      order.paymentMethod === "stripe" &&
+      REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus) &&
+      order.transactionId;
+    if (!isPaidStripeOrder) return claimed;
+
+    const refund = await this.paymentService.refundPayment(
+      order.transactionId,
+      {
+        idempotencyKey: `order-cancel-${order._id}`,
+        metadata: {
+          orderId: String(order._id),
+          orderNumber: order.orderNumber,
+        },
+      },
+    );
+    return Order.findOneAndUpdate(
+      { _id: order._id },
+      {
+        $set: { paymentStatus: "refunded" },
+        $push: {
+          refunds: {
+            ...refund,
+            reason: "Order cancelled",
+            actor: buildActor(actor),
+          },
+        },
+      },
+      { ...options, new: true },
+    ).lean();
+  }
+
+  // Reverses the stock and salesCount changes made by buildOrderFromCart,
+  // back to the locations the lines were allocated from, and records them in
+  // the inventory ledger against the order.
+  async restockOrderItems(
+    items = [],
+    session = null,
+    { reason = "cancellation", order = null, actor = null } = {},
+  ) {
+    const orderLine = (item) =>
+      (order?.items || []).find(
+        (entry) =>
+          reservationKey(entry.productId, entry.variantId) ===
+          reservationKey(item.productId, item.variantId),
+      ) || item;
+    const lines = items
+      .filter((item) => Number(item.quantity) > 0)
+      .map((item) => ({
+        item,
+        quantity: Number(item.quantity),
+        line: orderLine(item),
+        moves: restockMoves(orderLine(item).allocations, item.quantity),
+      }));
+    if (!lines.length) return;
+
+    const operations = lines.map(({ item, quantity, moves }) => {
+      if (moves.length) {
+        const { inc, arrayFilters } = locationStockUpdate(
+          item.variantId || null,
+          moves,
+        );
+        const stockPath = item.variantId ? "variants.$[v].stock" : "baseStock";
+        return {
+          updateOne: {
+            filter: { _id: item.productId },
+            update: {
+              $inc: { [stockPath]: quantity, salesCount: -quantity, ...inc },
+            },
+            arrayFilters,
+          },
+        };
+      }
+      return item.variantId
+        ? {
+            updateOne: {
+              filter: { _id: item.productId, "variants._id": item.variantId },
+              update: {
+                $inc: { "variants.$.stock": quantity, salesCount: -quantity },
+              },
+            },
+          }
+        : {
+            updateOne: {
+              filter: { _id: item.productId },
+              update: { $inc: { baseStock: quantity, salesCount: -quantity } },
+            },
+          };
+    });
+    await Product.bulkWrite(operations, session ? { session } : {});
+
+    await this.inventoryService.record(
+      lines.flatMap(({ item, quantity, line, moves }) => {
+        const movement = {
+          productId: item.productId,
+          variantId: item.variantId || null,
+          sku: line.sku,
+          productTitle: line.title,
+          reason,
+          actor: buildActor(actor),
+          orderId: order?._id,
+          orderNumber: order?.orderNumber,
+        };
+        if (!moves.length) return [{ ...movement, delta: quantity }];
+        return moves.map((move) => ({
+          ...movement,
+          delta: move.quantity,
+          locationId: move.locationId,
+          locationCode: (line.allocations || []).find(
+            (allocation) =>
+              String(allocation.locationId) === String(move.locationId),
+          )?.code,
+        }));
+      }),
+      session,
+    );
+  }
+
+  /**
+   * Issues an admin refund through Stripe: the remaining balance when
+   * neither `items` nor `amount` is given, otherwise the value of the listed
+   * order lines or an explicit amount. The Stripe idempotency key follows
+   * the number of refunds already on the order, so a double submit creates
+   * one Stripe refund and its entry is only recorded once.
+   */
+  async refundOrder(
+    orderId,
+    { amount = null, items = [], reason } = {},
+    actor = null,
+  ) {
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new AppError("Invalid order ID", 400);
+    }
+
+    const order = await Order.findById(orderId).lean();
+    if (!order) throw new AppError("Order not found", 404);
+    if (order.paymentMethod !== "stripe" || !order.transactionId) {
+      throw new AppError(
+        "Only card payments can be refunded through Stripe",
+        409,
+      );
+    }
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw new AppError("Order has no captured payment to refund", 409);
+    }
+
+    const refundItems = this.resolveRefundItems(order, items);
+    const refundable = getRefundableAmount(order);
+    const itemsValue = this.refundItemsValue(order, refundItems);
+    let requested = refundable;
+    if (amount !== null && amount !== undefined && amount !== "") {
+      requested = round(amount);
+    } else if (refundItems.length) {
+      requested = Math.min(itemsValue, refundable);
+    }
+
+    if (!(requested > 0)) {
+      throw new AppError("Refund amount must be greater than zero", 422);
+    }
+    if (requested > refundable) {
+      throw new AppError(
+        `Refund amount cannot exceed the refundable ${refundable.toFixed(2)}`,
+        422,
+      );
+    }
+
+    const refundCount = (order.refunds || []).length;
+    const refund = await this.paymentService.refundPayment(
+      order.transactionId,
+      {
+        amount: requested,
+        idempotencyKey: `order-refund-${order._id}-${refundCount}`,
+        metadata: {
+          orderId: String(order._id),
+          orderNumber: order.orderNumber,
+        },
+      },
+    );
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, "refunds.refundId": { $ne: refund.refundId } },
+      {
+        $set: { paymentStatus: refundedPaymentStatus(order, refund.amount) },
+        $push: {
+          refunds: {
+            ...refund,
+            reason: String(reason || "").trim() || "Refund issued",
+            items: refundItems,
+            actor: buildActor(actor),
+          },
+        },
+      },
+      { new: true },
+    ).lean();
+
+    const [enrichedOrder] = await this.enrichOrderItemsWithImages([
+      updated || (await Order.findById(order._id).lean()),
+    ]);
+    return { order: enrichedOrder, refund };
+  }
+
+  // Checks line-item refunds against what was bought minus what earlier
+  // line-item and return refunds already covered.
+  resolveRefundItems(order, items = []) {
+    const refundedLines = (order.refunds || []).flatMap(
+      (refund) => refund.items || [],
+    );
+
+    return (items || []).map((item) => {
+      const line = order.items.find((entry) => isSameLine(entry, item));
+      if (!line) throw new AppError("Refund item does not exist in order", 400);
+
+      const quantity = Math.max(1, Number(item.quantity || 1));
+      const alreadyRefunded = refundedLines
+        .filter((entry) => isSameLine(entry, line))
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+      const remaining = line.quantity - alreadyRefunded;
+      if (quantity > remaining) {
+        const left = Math.max(0, remaining);
+        throw new AppError(
+          `Only ${left} of ${line.title} can still be refunded`,
+          422,
+        );
+      }
+
+      return {
+        productId: line.productId,
+        variantId: line.variantId || null,
+        quantity,
+      };
+    });
+  }
+
+  refundItemsValue(order, items) {
+    return round(
+      items.reduce((sum, item) => {
+        const line = order.items.find((entry) => isSameLine(entry, item));
+        return sum + lineRefundValue(order, line, item.quantity);
+      }, 0),
+    );
   }
 
   buildSearchQuery(search = "") {
@@ -479,16 +1249,15 @@ export class OrderService extends BaseService {
       userId,
       "returnRequests.0": { $exists: true },
     })
-      .select("orderNumber status createdAt returnRequests")
+      .select(
+        "orderNumber status createdAt items email firstName lastName paymentMethod paymentStatus totalAmount refunds returnRequests",
+      )
       .sort({ createdAt: -1 })
       .lean();
 
     const returnRequests = orders.flatMap((order) =>
       (order.returnRequests || []).map((request) => ({
-        ...request,
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        orderStatus: order.status,
+        ...this.formatReturnRequest(order, request),
         orderCreatedAt: order.createdAt,
       })),
     );
@@ -514,35 +1283,54 @@ export class OrderService extends BaseService {
       );
     }
 
+    // Units in a return that was not rejected cannot be returned again, or
+    // receiving both returns would restock and refund them twice.
+    const pendingItems = order.returnRequests
+      .filter((request) => request.status !== "rejected")
+      .flatMap((request) => request.items);
+    const returnableQuantity = (line) =>
+      line.quantity -
+      pendingItems
+        .filter((item) => isSameLine(item, line))
+        .reduce((sum, item) => sum + item.quantity, 0);
+
     const requestedItems = (
       Array.isArray(items) && items.length > 0
         ? items
-        : order.items.map((item) => ({
-            productId: item.productId,
-            variantId: item.variantId || null,
-            quantity: item.quantity,
-          }))
+        : order.items
+            .map((item) => ({
+              productId: item.productId,
+              variantId: item.variantId || null,
+              quantity: returnableQuantity(item),
+            }))
+            .filter((item) => item.quantity > 0)
     ).map((item) => ({
       productId: item.productId,
       variantId: item.variantId || null,
       quantity: Math.max(1, Number(item.quantity || 1)),
     }));
+    if (!requestedItems.length) {
+      throw new AppError("Every item in this order is already returned", 400);
+    }
 
     for (const requestedItem of requestedItems) {
-      const matched = order.items.find((item) => {
-        const sameProduct =
-          String(item.productId) === String(requestedItem.productId);
-        const sameVariant =
-          String(item.variantId || "") ===
-          String(requestedItem.variantId || "");
-        return sameProduct && sameVariant;
-      });
+      const matched = order.items.find((item) =>
+        isSameLine(item, requestedItem),
+      );
 
       if (!matched)
         throw new AppError("Return item does not exist in order", 400);
       if (requestedItem.quantity > matched.quantity) {
         throw new AppError("Return quantity exceeds purchased quantity", 400);
       }
+      const left = returnableQuantity(matched);
+      if (requestedItem.quantity > left) {
+        throw new AppError(
+          `Only ${Math.max(0, left)} of ${matched.title} can still be returned`,
+          400,
+        );
+      }
+      pendingItems.push(requestedItem);
     }
 
     const returnRequest = {
@@ -551,12 +1339,309 @@ export class OrderService extends BaseService {
       items: requestedItems,
       status: "requested",
       requestedAt: new Date(),
+      history: [
+        buildStatusEntry(
+          "requested",
+          null,
+          { userId, role: "customer" },
+          reason,
+        ),
+      ],
     };
 
     order.returnRequests.push(returnRequest);
     await order.save();
 
-    return order.returnRequests[order.returnRequests.length - 1];
+    const created = order.returnRequests[order.returnRequests.length - 1];
+    appEventBus.emit(ORDER_EVENTS.RETURN_UPDATED, {
+      order: order.toObject(),
+      returnRequest: created.toObject(),
+    });
+    return created;
+  }
+
+  /**
+   * Lists return requests across all orders for the admin RMA queue,
+   * newest first, with per-status counts for the filter tabs. Returned
+   * items carry the purchased line so reviewers see titles and prices.
+   */
+  async listReturnRequests({ status, search, page = 1, limit = 20 } = {}) {
+    const match = { "returnRequests.0": { $exists: true } };
+    const searchQuery = this.buildSearchQuery(search);
+    if (searchQuery) Object.assign(match, searchQuery);
+    const requestMatch = RETURN_STATUSES.includes(status)
+      ? { "returnRequests.status": status }
+      : {};
+    const skip = (page - 1) * limit;
+
+    const [result] = await Order.aggregate([
+      { $match: match },
+      { $unwind: "$returnRequests" },
+      {
+        $facet: {
+          rows: [
+            { $match: requestMatch },
+            { $sort: { "returnRequests.requestedAt": -1 } },
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                orderNumber: 1,
+                email: 1,
+                firstName: 1,
+                lastName: 1,
+                status: 1,
+                paymentMethod: 1,
+                paymentStatus: 1,
+                totalAmount: 1,
+                items: 1,
+                refunds: 1,
+                returnRequests: 1,
+              },
+            },
+          ],
+          total: [{ $match: requestMatch }, { $count: "count" }],
+          counts: [
+            { $group: { _id: "$returnRequests.status", count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]);
+
+    const returnRequests = (result?.rows || []).map((row) =>
+      this.formatReturnRequest(row, row.returnRequests),
+    );
+    const total = result?.total?.[0]?.count || 0;
+    const counts = Object.fromEntries(
+      RETURN_STATUSES.map((entry) => [
+        entry,
+        (result?.counts || []).find((group) => group._id === entry)?.count || 0,
+      ]),
+    );
+
+    return {
+      returnRequests,
+      counts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasPrev: page > 1,
+        hasNext: page * limit < total,
+      },
+    };
+  }
+
+  formatReturnRequest(order, request) {
+    return {
+      ...request,
+      items: (request.items || []).map((item) => {
+        const line = (order.items || []).find((entry) =>
+          isSameLine(entry, item),
+        );
+        return {
+          ...item,
+          title: line?.title,
+          sku: line?.sku,
+          price: line?.price,
+        };
+      }),
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      orderStatus: order.status,
+      customer: {
+        name: [order.firstName, order.lastName].filter(Boolean).join(" "),
+        email: order.email,
+      },
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      totalAmount: order.totalAmount,
+      refundableAmount: getRefundableAmount(order),
+    };
+  }
+
+  /**
+   * Moves a return request through the RMA lifecycle. Receiving the items
+   * restocks them unless `restock` is false (e.g. damaged goods); refunding
+   * issues a full or partial refund, through Stripe for card payments and
+   * as a recorded manual refund otherwise. The customer is notified after
+   * every step.
+   */
+  async updateReturnRequest(
+    orderId,
+    returnId,
+    { status, rejectionReason, note, amount = null, restock = true } = {},
+    actor = null,
+  ) {
+    if (
+      !mongoose.Types.ObjectId.isValid(orderId) ||
+      !mongoose.Types.ObjectId.isValid(returnId)
+    ) {
+      throw new AppError("Invalid return request ID", 400);
+    }
+
+    const order = await Order.findById(orderId).lean();
+    if (!order) throw new AppError("Order not found", 404);
+    const request = (order.returnRequests || []).find(
+      (entry) => String(entry._id) === String(returnId),
+    );
+    if (!request) throw new AppError("Return request not found", 404);
+
+    if (!canTransitionReturnStatus(request.status, status)) {
+      throw new AppError(
+        `Cannot change return status from ${request.status} to ${status}`,
+        409,
+      );
+    }
+    const reason = String(rejectionReason || "").trim();
+    if (status === "rejected" && !reason) {
+      throw new AppError("A rejection reason is required", 422);
+    }
+
+    const updated = await runWithOptionalTransaction((session) =>
+      this.applyReturnUpdate(
+        session,
+        order,
+        request,
+        { status, rejectionReason: reason, note, amount, restock },
+        actor,
+      ),
+    );
+    const updatedRequest = updated.returnRequests.find(
+      (entry) => String(entry._id) === String(returnId),
+    );
+
+    appEventBus.emit(ORDER_EVENTS.RETURN_UPDATED, {
+      order: updated,
+      returnRequest: updatedRequest,
+    });
+    if (status === "received" && restock) {
+      announceRestock(
+        request.items.map((item) => ({
+          productId: item.productId,
+          delta: item.quantity,
+        })),
+      );
+    }
+    return this.formatReturnRequest(updated, updatedRequest);
+  }
+
+  async applyReturnUpdate(session, order, request, changes, actor) {
+    const { status, rejectionReason, note, amount, restock } = changes;
+    const options = session ? { session } : {};
+
+    let refundAmount = null;
+    if (status === "refunded") {
+      refundAmount = this.resolveReturnRefundAmount(order, request, amount);
+    }
+
+    const set = { "returnRequests.$.status": status };
+    if (status === "rejected") {
+      set["returnRequests.$.rejectionReason"] = rejectionReason;
+    }
+    if (status === "received") {
+      set["returnRequests.$.restocked"] = Boolean(restock);
+    }
+
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        returnRequests: {
+          $elemMatch: { _id: request._id, status: request.status },
+        },
+      },
+      {
+        $set: set,
+        $push: {
+          "returnRequests.$.history": buildStatusEntry(
+            status,
+            request.status,
+            actor,
+            note || rejectionReason,
+          ),
+        },
+      },
+      { ...options, new: true },
+    ).lean();
+    if (!claimed) {
+      throw new AppError(
+        "Return request was changed by someone else. Reload and try again.",
+        409,
+      );
+    }
+
+    if (status === "received" && restock) {
+      await this.restockOrderItems(request.items, session, {
+        reason: "return",
+        order,
+        actor,
+      });
+    }
+    if (status !== "refunded") return claimed;
+
+    // The Stripe call runs last so a failure rolls the status change back.
+    const refund =
+      order.paymentMethod === "stripe" && order.transactionId
+        ? await this.paymentService.refundPayment(order.transactionId, {
+            amount: refundAmount,
+            idempotencyKey: `return-refund-${request._id}`,
+            metadata: {
+              orderId: String(order._id),
+              orderNumber: order.orderNumber,
+              returnId: String(request._id),
+            },
+          })
+        : {
+            refundId: `manual-${request._id}`,
+            amount: refundAmount,
+            status: "succeeded",
+          };
+
+    return Order.findOneAndUpdate(
+      { _id: order._id, "returnRequests._id": request._id },
+      {
+        $set: {
+          "returnRequests.$.refundAmount": refund.amount,
+          "returnRequests.$.refundId": refund.refundId,
+          paymentStatus: refundedPaymentStatus(order, refund.amount),
+        },
+        $push: {
+          refunds: {
+            ...refund,
+            reason: "Return refunded",
+            items: request.items,
+            actor: buildActor(actor),
+          },
+        },
+      },
+      { ...options, new: true },
+    ).lean();
+  }
+
+  // Defaults to what was paid for the returned lines, capped at what is left
+  // to refund on the order. Units already refunded line by line are refused.
+  resolveReturnRefundAmount(order, request, amount) {
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw new AppError("Order has no captured payment to refund", 409);
+    }
+    const refundItems = this.resolveRefundItems(order, request.items);
+    const refundable = getRefundableAmount(order);
+    const requested =
+      amount === null || amount === undefined || amount === ""
+        ? Math.min(refundable, this.refundItemsValue(order, refundItems))
+        : round(amount);
+
+    if (!(requested > 0)) {
+      throw new AppError("Refund amount must be greater than zero", 422);
+    }
+    if (requested > refundable) {
+      throw new AppError(
+        `Refund amount cannot exceed the refundable ${refundable.toFixed(2)}`,
+        422,
+      );
+    }
+    return requested;
   }
 
   async reorderFromExisting(orderId, userId) {
@@ -577,9 +1662,10 @@ export class OrderService extends BaseService {
       _id: { $in: productIds },
       status: "active",
     })
-      .select("_id hasVariants baseStock variants")
+      .select(PRICING_PRODUCT_FIELDS)
       .lean();
     const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+    const campaigns = await this.pricingService.getCampaigns();
 
     const unavailableItems = [];
     const cartDocs = [];
@@ -591,20 +1677,12 @@ export class OrderService extends BaseService {
         continue;
       }
 
-      let hasStock = false;
-      if (item.variantId) {
-        const variant = (product.variants || []).find(
-          (v) => v._id.toString() === item.variantId.toString(),
-        );
-        hasStock =
-          variant &&
-          variant.status === "active" &&
-          variant.stock >= item.quantity;
-      } else {
-        hasStock = !product.hasVariants && product.baseStock >= item.quantity;
-      }
-
-      if (!hasStock) {
+      const pricing = resolveItemPrice(product, item.variantId, campaigns);
+      if (
+        !pricing ||
+        sellableQuantity(pricing.availableStock, pricing.inventoryPolicy) <
+          item.quantity
+      ) {
         unavailableItems.push(item.title);
         continue;
       }
@@ -614,16 +1692,15 @@ export class OrderService extends BaseService {
         productId: item.productId,
         variantId: item.variantId || undefined,
         quantity: item.quantity,
+        price: pricing.unitPrice,
+        amount: round(pricing.unitPrice * item.quantity),
       });
     }
 
     if (cartDocs.length > 0) await Cart.insertMany(cartDocs);
 
     const cart = await Cart.find({ userId })
-      .populate(
-        "productId",
-        "title slug images basePrice baseDiscount baseStock hasVariants variants status",
-      )
+      .populate("productId", `title slug images ${PRICING_PRODUCT_FIELDS}`)
       .lean();
     return {
       cart,
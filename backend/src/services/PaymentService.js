@@ -1,13 +1,38 @@
 import Stripe from "stripe";
 import { Setting } from "../models/Setting.js";
 import { Cart } from "../models/Cart.js";
-import { Order } from "../models/Order.js";
 import { AppError } from '../utils/AppError.js';
 import { logger } from "../utils/logger.js";
 import { config } from "../config/index.js";
 import { calculateCartTotals } from "../utils/pricing.js";
+import { AuthService } from "./AuthService.js";
+import { CouponService } from "./CouponService.js";
+import { ShippingService } from "./ShippingService.js";
+import { TaxService } from "./TaxService.js";
+import { PricingService } from "./PricingService.js";
+import { cartOwnerFilter } from "./CartService.js";
+import { StripeWebhookService } from "./StripeWebhookService.js";
+import { StockReservationService } from "./StockReservationService.js";
 
 export class PaymentService {
+  constructor(
+    couponService = new CouponService(),
+    shippingService = new ShippingService(),
+    taxService = new TaxService(),
+    pricingService = new PricingService(),
+    webhookService = new StripeWebhookService(),
+    reservationService = new StockReservationService(),
+    authService = new AuthService(),
+  ) {
+    this.couponService = couponService;
+    this.shippingService = shippingService;
+    this.taxService = taxService;
+    this.pricingService = pricingService;
+    this.webhookService = webhookService;
+    this.reservationService = reservationService;
+    this.authService = authService;
+  }
+
   async getStripeClient() {
     const settings = await Setting.findOne({ key: "main" })
       .select("stripeSecretKey stripeWebhookSecret")
@@ -34,31 +59,165 @@ export class PaymentService {
     };
   }
 
-  async createPaymentIntent(userId, idempotencyKey) {
-    const { stripe } = await this.getStripeClient();
-
-    const cartItems = await Cart.find({ userId }).lean();
+  async quoteCheckout(
+    owner,
+    { couponCode, shippingMethodId, country, state } = {},
+  ) {
+    const ownerFilter = cartOwnerFilter(owner);
+    const cartItems = await this.pricingService.repriceCartItems(
+      await Cart.find(ownerFilter).lean(),
+    );
     if (!cartItems.length) throw new AppError("Cart is empty", 400);
 
-    const totals = calculateCartTotals(cartItems);
+    const coupon = await this.couponService.resolveCheckoutCoupon(
+      couponCode,
+      ownerFilter.userId || null,
+      calculateCartTotals(cartItems).subTotal,
+    );
+    const shippingQuote = await this.shippingService.quoteForCart(cartItems, {
+      shippingMethodId,
+      country,
+      state,
+    });
+    const tax = await this.taxService.quoteForCart(cartItems, {
+      country,
+      state,
+      shippingCost: shippingQuote.price,
+      couponDiscount: coupon?.discount,
+    });
+    const totals = calculateCartTotals(cartItems, {
+      couponDiscount: coupon?.discount,
+      shippingCost: shippingQuote.price,
+      taxTotal: tax.taxTotal,
+      pricesIncludeTax: tax.pricesIncludeTax,
+    });
+
+    return { cartItems, coupon, shippingQuote, tax, totals };
+  }
+
+  /**
+   * Creates the PaymentIntent for the cart and holds its stock until the
+   * order is placed or the hold expires. If the stock cannot be held the
+   * intent is cancelled so the shopper is never charged for it.
+   */
+  async createPaymentIntent(
+    owner,
+    idempotencyKey,
+    { couponCode, shippingMethodId, country, state } = {},
+  ) {
+    const ownerFilter = cartOwnerFilter(owner);
+    // Checked before charging so an order the shop would refuse is never paid.
+    await this.authService.assertCanPlaceOrder(ownerFilter.userId);
+    const { stripe } = await this.getStripeClient();
+    const { cartItems, coupon, shippingQuote, tax, totals } =
+      await this.quoteCheckout(ownerFilter, {
+        couponCode,
+        shippingMethodId,
+        country,
+        state,
+      });
     const intent = await stripe.paymentIntents.create(
       {
         amount: totals.amountInCents,
         currency: "usd",
-        metadata: { userId: userId.toString() },
+        metadata: {
+          ...(ownerFilter.userId
+            ? { userId: ownerFilter.userId.toString() }
+            : { guestId: ownerFilter.guestId }),
+          ...(coupon && { couponCode: coupon.code }),
+          ...(shippingQuote.methodId && {
+            shippingMethodId: shippingQuote.methodId,
+          }),
+        },
         automatic_payment_methods: { enabled: true },
       },
       idempotencyKey ? { idempotencyKey } : undefined,
     );
 
+    let reservations;
+    try {
+      reservations = await this.reservationService.reserve(
+        intent.id,
+        ownerFilter,
+        cartItems,
+      );
+    } catch (error) {
+      await stripe.paymentIntents.cancel(intent.id).catch((cancelError) => {
+        logger.warn(
+          `Could not cancel PaymentIntent ${intent.id}: ${cancelError.message}`,
+        );
+      });
+      throw error;
+    }
+
     logger.info(
-      `Stripe PaymentIntent created: ${intent.id} for user ${userId}, amount: $${totals.totalAmount}`,
+      `Stripe PaymentIntent created: ${intent.id} for ${ownerFilter.userId ? `user ${ownerFilter.userId}` : `guest ${ownerFilter.guestId}`}, amount: $${totals.totalAmount}`,
     );
 
     return {
       clientSecret: intent.client_secret,
       paymentIntentId: intent.id,
       amount: totals.totalAmount,
+      couponCode: coupon?.code || null,
+      couponDiscount: totals.couponDiscount,
+      shippingCost: totals.shippingCost,
+      shippingMethod: shippingQuote,
+      taxLines: tax.taxLines,
+      taxTotal: totals.taxTotal,
+      pricesIncludeTax: tax.pricesIncludeTax,
+      reservedUntil: reservations[0]?.expiresAt || null,
+    };
+  }
+
+  async getCheckoutSummary(owner, options = {}) {
+    const { coupon, shippingQuote, tax, totals } = await this.quoteCheckout(
+      owner,
+      options,
+    );
+    return {
+      subTotal: totals.subTotal,
+      couponCode: coupon?.code || null,
+      couponDiscount: totals.couponDiscount,
+      shippingCost: totals.shippingCost,
+      shippingMethod: shippingQuote,
+      taxLines: tax.taxLines,
+      taxTotal: totals.taxTotal,
+      pricesIncludeTax: tax.pricesIncludeTax,
+      totalAmount: totals.totalAmount,
+    };
+  }
+
+  /**
+   * Refunds a captured PaymentIntent, in full unless `amount` is given.
+   * Callers pass a stable idempotency key so a retried operation cannot
+   * refund twice.
+   */
+  async refundPayment(
+    paymentIntentId,
+    {
+      amount = null,
+      reason = "requested_by_customer",
+      idempotencyKey,
+      metadata = {},
+    } = {},
+  ) {
+    const { stripe } = await this.getStripeClient();
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        ...(amount !== null && { amount: Math.round(amount * 100) }),
+        reason,
+        metadata,
+      },
+      idempotencyKey ? { idempotencyKey } : undefined,
+    );
+    logger.info(
+      `Stripe refund ${refund.id} created for intent ${paymentIntentId}: $${refund.amount / 100}`,
+    );
+    return {
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      status: refund.status,
     };
   }
 
@@ -98,16 +257,20 @@ export class PaymentService {
       }
     }
 
-    if (event.type === "payment_intent.succeeded") {
-      const intent = event.data.object;
-      await Order.updateOne(
-        { transactionId: intent.id },
-        { $set: { paymentStatus: "paid" } },
-      );
-      logger.info(`Stripe webhook: Order marked paid for intent ${intent.id}`);
-    }
+    return this.webhookService.receive(event, stripe);
+  }
 
-    return { received: true };
+  listWebhookEvents(query) {
+    return this.webhookService.listEvents(query);
+  }
+
+  getWebhookEvent(id) {
+    return this.webhookService.getEvent(id);
+  }
+
+  async replayWebhookEvent(id) {
+    const { stripe } = await this.getStripeClient();
+    return this.webhookService.replay(id, stripe);
   }
 }
 
@@ -0,0 +1,110 @@
+import { Cart } from "../models/Cart.js";
+import { Product } from "../models/Product.js";
+import { BaseService } from "../core/BaseService.js";
+import { DiscountRepository } from "../repositories/index.js";
+import { round } from "../utils/pricing.js";
+import { applyProductPricing, resolveItemPrice } from "../utils/discounts.js";
+import {
+  getCachedResponse,
+  setCachedResponse,
+  invalidateCacheByPrefix,
+} from "../utils/requestCache.js";
+
+const CAMPAIGNS_CACHE_KEY = "discounts:campaigns";
+const CAMPAIGNS_CACHE_TTL_MS = 60_000;
+
+export const PRICING_PRODUCT_FIELDS =
+  "basePrice baseDiscount baseStock inventoryPolicy hasVariants variants status category childCategory";
+
+export const invalidateCampaignCache = () =>
+  invalidateCacheByPrefix(CAMPAIGNS_CACHE_KEY);
+
+export class PricingService extends BaseService {
+  constructor(discountRepository = new DiscountRepository()) {
+    super();
+    this.discountRepository = discountRepository;
+  }
+
+  // Upcoming campaigns are cached too; each resolution re-checks the window,
+  // so prices switch when a campaign starts or ends even mid-cache.
+  async getCampaigns() {
+    const cached = getCachedResponse(CAMPAIGNS_CACHE_KEY);
+    if (cached) return cached;
+    const campaigns = await this.discountRepository.findCurrentAndUpcoming();
+    setCachedResponse(CAMPAIGNS_CACHE_KEY, campaigns, CAMPAIGNS_CACHE_TTL_MS);
+    return campaigns;
+  }
+
+  async resolveItemPrice(product, variantId = null) {
+    return resolveItemPrice(product, variantId, await this.getCampaigns());
+  }
+
+  async priceProduct(product) {
+    if (!product) return product;
+    const plain =
+      typeof product.toObject === "function" ? product.toObject() : product;
+    return applyProductPricing(plain, await this.getCampaigns());
+  }
+
+  async priceProducts(products = []) {
+    const campaigns = await this.getCampaigns();
+    return products.map((product) =>
+      applyProductPricing(
+        typeof product.toObject === "function" ? product.toObject() : product,
+        campaigns,
+      ),
+    );
+  }
+
+  /**
+   * Brings stored cart row prices in line with the current resolver and
+   * persists any row whose price changed. Rows for products that are gone or
+   * no longer purchasable are left for checkout to reject.
+   */
+  async repriceCartItems(cartItems = []) {
+    if (!cartItems.length) return cartItems;
+
+    const productIds = [
+      ...new Set(
+        cartItems.map((item) => String(item.productId?._id || item.productId)),
+      ),
+    ];
+    const [products, campaigns] = await Promise.all([
+      Product.find({ _id: { $in: productIds } })
+        .select(PRICING_PRODUCT_FIELDS)
+        .lean(),
+      this.getCampaigns(),
+    ]);
+    const productById = new Map(
+      products.map((product) => [product._id.toString(), product]),
+    );
+
+    const updates = [];
+    const repriced = cartItems.map((item) => {
+      const product = productById.get(
+        String(item.productId?._id || item.productId),
+      );
+      if (!product || product.status !== "active") return item;
+      const pricing = resolveItemPrice(product, item.variantId, campaigns);
+      if (!pricing) return item;
+
+      const amount = round(pricing.unitPrice * item.quantity);
+      if (
+        pricing.unitPrice === round(item.price) &&
+        amount === round(item.amount)
+      )
+        return item;
+
+      updates.push({
+        updateOne: {
+          filter: { _id: item._id },
+          update: { $set: { price: pricing.unitPrice, amount } },
+        },
+      });
+      return { ...item, price: pricing.unitPrice, amount };
+    });
+
+    if (updates.length) await Cart.bulkWrite(updates);
+    return repriced;
+  }
+}
@@ -7,12 +7,21 @@ import { BaseService } from "../core/BaseService.js";
 import { AppError } from "../utils/AppError.js";
 import { logger } from "../utils/logger.js";
 import { parseBoolean } from "../utils/shared.js";
+import { parseInventoryPolicy } from "../utils/inventoryPolicy.js";
 import {
   getCachedResponse,
   setCachedResponse,
   invalidateCacheByPrefix,
 } from "../utils/requestCache.js";
+import { TAX_CLASSES } from "../models/TaxRate.js";
 import { imageProcessingService } from "./ImageProcessingService.js";
+import { InventoryService, announceRestock } from "./InventoryService.js";
+import { PricingService } from "./PricingService.js";
+import {
+  StockLocationService,
+  reconcileLocationStock,
+} from "./StockLocationService.js";
+import { StockReservationService } from "./StockReservationService.js";
 import mongoose from "mongoose";
 
 const MAX_PAGE_SIZE = 100;
@@ -32,6 +41,7 @@ const LISTING_SELECT = [
   "variants",
   "images",
   "category",
+  "childCategory",
   "brand",
   "ratings",
   "viewCount",
@@ -80,11 +90,19 @@ export class ProductService extends BaseService {
     productRepository = new ProductRepository(),
     categoryRepository = new CategoryRepository(),
     brandRepository = new BrandRepository(),
+    pricingService = new PricingService(),
+    reservationService = new StockReservationService(),
+    inventoryService = new InventoryService(),
+    locationService = new StockLocationService(),
   ) {
     super();
     this.repository = productRepository;
     this.categoryRepository = categoryRepository;
     this.brandRepository = brandRepository;
+    this.pricingService = pricingService;
+    this.reservationService = reservationService;
+    this.inventoryService = inventoryService;
+    this.locationService = locationService;
   }
 
   buildProductFilter(options = {}) {
@@ -150,10 +168,22 @@ export class ProductService extends BaseService {
     return filter;
   }
 
+  async withCampaignPricing(result) {
+    return {
+      ...result,
+      data: {
+        ...result.data,
+        products: await this.pricingService.priceProducts(result.data.products),
+      },
+    };
+  }
+
+  // Campaign prices are applied after the cache so they switch on time.
   async listProducts(options = {}, cacheKey = null) {
     if (cacheKey) {
       const cached = getCachedResponse(cacheKey);
-      if (cached) return { ...cached, cacheHit: true };
+      if (cached)
+        return this.withCampaignPricing({ ...cached, cacheHit: true });
     }
 
     const {
@@ -221,7 +251,11 @@ export class ProductService extends BaseService {
         { success: true, data: payload },
         CACHE_TTL_MS,
       );
-    return { success: true, data: payload, cacheHit: false };
+    return this.withCampaignPricing({
+      success: true,
+      data: payload,
+      cacheHit: false,
+    });
   }
 
   async getProducts(options = {}) {
@@ -257,13 +291,15 @@ export class ProductService extends BaseService {
     ]);
 
     return {
-      items: products,
+      items: await this.pricingService.priceProducts(products),
       pagination: { page, limit, total, pages: Math.ceil(total / limit) },
     };
   }
 
   async getFeaturedProducts(limit = 10) {
-    return this.repository.findFeatured(limit);
+    return this.pricingService.priceProducts(
+      await this.repository.findFeatured(limit),
+    );
   }
 
   async searchProducts(query, filters = {}, page = 1, limit = 20) {
@@ -277,7 +313,7 @@ export class ProductService extends BaseService {
       safeLimit,
     );
     return {
-      items,
+      items: await this.pricingService.priceProducts(items),
       pagination: {
         page: safePage,
         limit: safeLimit,
@@ -294,7 +330,9 @@ export class ProductService extends BaseService {
     );
     if (!product) throw new AppError("Product not found", 404);
     this.repository.incrementViewCount(product._id);
-    return product;
+    return this.reservationService.withAvailability(
+      await this.pricingService.priceProduct(product),
+    );
   }
 
   async getProductAdmin(id) {
@@ -349,6 +387,23 @@ export class ProductService extends BaseService {
     }
   }
 
+  // Inventory policies arrive as JSON strings from multipart product forms.
+  parsePolicyField(value, options) {
+    return parseInventoryPolicy(
+      typeof value === "string" ? this.parseJsonField(value) : value,
+      options,
+    );
+  }
+
+  withVariantPolicies(variants = []) {
+    return variants.map((variant) => ({
+      ...variant,
+      inventoryPolicy: this.parsePolicyField(variant.inventoryPolicy, {
+        allowInherit: true,
+      }),
+    }));
+  }
+
   async mergeVariantImages(files = [], variants = []) {
     const variantImgFiles = files.filter((f) =>
       /^variantImages_\d+$/.test(f.fieldname),
@@ -373,7 +428,7 @@ export class ProductService extends BaseService {
     return variants;
   }
 
-  async storeProduct(body, files = []) {
+  async storeProduct(body, files = [], actor = null) {
     const {
       title,
       summary,
@@ -389,17 +444,19 @@ export class ProductService extends BaseService {
       baseDiscount = 0,
       baseStock,
       baseSku,
+      weight,
+      taxClass,
       size,
       variants,
       tags,
+      inventoryPolicy,
     } = body;
 
     if (!title) throw new AppError("Title is required", 400);
 
     const isVariant = parseBoolean(hasVariants);
-    const parsedVariants = await this.mergeVariantImages(
-      files,
-      this.parseJsonField(variants),
+    const parsedVariants = this.withVariantPolicies(
+      await this.mergeVariantImages(files, this.parseJsonField(variants)),
     );
     const images = await this.extractImages(files);
 
@@ -422,10 +479,12 @@ export class ProductService extends BaseService {
     }
 
     const slug = await this.repository.generateUniqueSlug(title);
-    const [categoryInfo, brandInfo] = await Promise.all([
+    const [categoryInfo, brandInfo, locations] = await Promise.all([
       this.resolveCategory(categoryId),
       this.resolveBrand(brandId),
+      this.locationService.getActiveLocations(),
     ]);
+    const initialStock = isVariant ? null : parseInt(baseStock) || 0;
 
     const product = await this.repository.createProduct({
       title,
@@ -438,10 +497,19 @@ export class ProductService extends BaseService {
       hasVariants: isVariant,
       basePrice: isVariant ? null : parseFloat(basePrice),
       baseDiscount: isVariant ? 0 : parseFloat(baseDiscount) || 0,
-      baseStock: isVariant ? null : parseInt(baseStock) || 0,
+      baseStock: initialStock,
+      locationStock: isVariant
+        ? []
+        : reconcileLocationStock([], initialStock, locations),
       baseSku: isVariant ? undefined : finalBaseSku,
+      weight: Math.max(0, Number.parseFloat(weight) || 0),
+      taxClass: TAX_CLASSES.includes(taxClass) ? taxClass : "standard",
+      inventoryPolicy: this.parsePolicyField(inventoryPolicy),
       size: this.parseJsonField(size),
-      variants: parsedVariants,
+      variants: (parsedVariants || []).map((variant) => ({
+        ...variant,
+        locationStock: reconcileLocationStock([], variant.stock, locations),
+      })),
       images,
       category: categoryInfo,
       childCategory: childCategoryId ? { id: childCategoryId } : null,
@@ -454,13 +522,18 @@ export class ProductService extends BaseService {
       },
     });
 
+    await this.inventoryService.recordProductChanges(null, product, {
+      reason: "initial",
+      actor,
+    });
     invalidateCacheByPrefix("products:index:");
     return product;
   }
 
-  async updateFullProduct(id, body, files = []) {
+  async updateFullProduct(id, body, files = [], actor = null) {
     const product = await this.repository.findById(id, { lean: false });
     if (!product) throw new AppError("Product not found", 404);
+    const before = product.toObject();
 
     const {
       title,
@@ -477,10 +550,13 @@ export class ProductService extends BaseService {
       baseDiscount,
       baseStock,
       baseSku,
+      weight,
+      taxClass,
       size,
       variants,
       tags,
       existingImages,
+      inventoryPolicy,
     } = body;
 
     let images = [];
@@ -496,9 +572,8 @@ export class ProductService extends BaseService {
       }
     }
 
-    const parsedVariants = await this.mergeVariantImages(
-      files,
-      this.parseJsonField(variants),
+    const parsedVariants = this.withVariantPolicies(
+      await this.mergeVariantImages(files, this.parseJsonField(variants)),
     );
 
     if (files.length > 0) {
@@ -559,11 +634,25 @@ export class ProductService extends BaseService {
       if (baseSku !== undefined) product.baseSku = baseSku;
     }
 
+    if (weight !== undefined) {
+      const w = Number.parseFloat(weight);
+      product.weight = Number.isFinite(w) && w > 0 ? w : 0;
+    }
+    if (TAX_CLASSES.includes(taxClass)) product.taxClass = taxClass;
+    if (inventoryPolicy !== undefined) {
+      product.inventoryPolicy = this.parsePolicyField(inventoryPolicy);
+    }
+
     product.size = this.parseJsonField(size);
     product.variants = parsedVariants;
     product.images = images;
     product.tags = this.parseJsonField(tags);
     if (childCategoryId) product.childCategory = { id: childCategoryId };
+    this.carryLocationStock(
+      product,
+      before,
+      await this.locationService.getActiveLocations(),
+    );
 
     await product.save();
 
@@ -575,10 +664,46 @@ export class ProductService extends BaseService {
       product.baseSku = undefined;
     }
 
+    announceRestock(
+      await this.inventoryService.recordProductChanges(before, product, {
+        reason: "manual",
+        actor,
+        note: "Product edited",
+      }),
+    );
     invalidateCacheByPrefix("products:index:");
     return product;
   }
 
+  /**
+   * Keeps per-location quantities across a product edit, which replaces the
+   * variants wholesale: each SKU keeps its previous breakdown, adjusted to
+   * the stock figure entered on the form.
+   */
+  carryLocationStock(product, before, locations) {
+    if (!locations.length) return;
+    const previous = new Map(
+      (before.variants || []).map((variant) => [
+        String(variant._id),
+        variant.locationStock || [],
+      ]),
+    );
+    for (const variant of product.variants || []) {
+      variant.locationStock = reconcileLocationStock(
+        previous.get(String(variant._id)) || [],
+        variant.stock,
+        locations,
+      );
+    }
+    product.locationStock = product.hasVariants
+      ? []
+      : reconcileLocationStock(
+          before.locationStock || [],
+          product.baseStock,
+          locations,
+        );
+  }
+
   async deleteProduct(id) {
     await this.repository.deleteByIdOrFail(id);
     invalidateCacheByPrefix("products:index:");
@@ -598,25 +723,60 @@ export class ProductService extends BaseService {
 
   async getRelatedProducts(productId, limit = 6) {
     const product = await this.repository.findByIdOrFail(productId);
-    return this.repository.findRelated(
+    const related = await this.repository.findRelated(
       productId,
       product.category?.id,
       product.brand?.id,
       limit,
     );
+    return this.pricingService.priceProducts(related);
   }
 
   async getLowStockProducts(threshold = 10, limit = 50) {
     return this.repository.findLowStock(threshold, limit);
   }
 
-  async updateStock(id, quantity) {
+  async updateStock(
+    id,
+    quantity,
+    { reason = "manual", actor, note, locationId } = {},
+  ) {
+    const locations = await this.locationService.getActiveLocations();
+    if (locations.length) {
+      // Moves stock at a location, keeping the breakdown and total in step.
+      const {
+        results: [outcome],
+      } = await this.inventoryService.adjustStock(
+        [{ productId: id, delta: quantity, locationId }],
+        { reason, note },
+        actor,
+      );
+      if (outcome.status !== "applied") {
+        throw new AppError(outcome.message, quantity < 0 ? 400 : 404);
+      }
+      logger.info(`Product stock updated: ${id}, quantity: ${quantity}`);
+      return this.repository.findById(id);
+    }
+
     const product = await this.repository.updateStock(id, quantity);
     if (!product)
       throw new AppError(
         quantity < 0 ? "Insufficient stock" : "Product not found",
         quantity < 0 ? 400 : 404,
       );
+    await this.inventoryService.record([
+      {
+        productId: product._id,
+        sku: product.baseSku,
+        productTitle: product.title,
+        delta: quantity,
+        stockAfter: product.baseStock,
+        reason,
+        actor,
+        note,
+      },
+    ]);
+    announceRestock([{ productId: product._id, delta: quantity }]);
     logger.info(`Product stock updated: ${id}, quantity: ${quantity}`);
     return product;
   }
@@ -5,6 +5,7 @@ import { BaseService } from "../core/BaseService.js";
 import { AppError } from '../utils/AppError.js';
 import mongoose from "mongoose";
 import { ReviewRepository } from '../repositories/index.js';
+import { isStaffRole } from "../constants/permissions.js";
 
 const SORT_OPTIONS = {
   recent: { createdAt: -1 },
@@ -139,8 +140,8 @@ export class ReviewService extends BaseService {
   async checkEligibility(userId, productId, userRole) {
     if (!mongoose.Types.ObjectId.isValid(productId))
       throw new AppError("Invalid product ID", 400);
-    if (userRole === "admin")
-      return { canReview: false, reason: "Admins cannot submit reviews" };
+    if (isStaffRole(userRole))
+      return { canReview: false, reason: "Store staff cannot submit reviews" };
 
     const existing = await this.repository.model.findOne({ productId, userId }).lean();
     if (existing)
@@ -267,8 +268,8 @@ export class ReviewService extends BaseService {
   async toggleHelpful(reviewId, userId, userRole) {
     if (!mongoose.Types.ObjectId.isValid(reviewId))
       throw new AppError("Invalid review ID", 400);
-    if (userRole === "admin")
-      throw new AppError("Admins cannot vote on reviews", 403);
+    if (isStaffRole(userRole))
+      throw new AppError("Store staff cannot vote on reviews", 403);
 
     const review = await this.model
       .findById(reviewId)
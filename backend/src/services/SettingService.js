@@ -24,6 +24,9 @@ const PUBLIC_FIELDS = [
   "currencySymbol",
   "timezone",
   "maintenanceMode",
+  "pricesIncludeTax",
+  "requireVerifiedEmailForOrders",
+  "requireAdminTwoFactor",
   "metaTitle",
   "metaDescription",
   "facebook",
@@ -56,8 +59,13 @@ const UPDATABLE_FIELDS = [
   "smtpFrom",
   "stripePublicKey",
   "paypalClientId",
+  "googleClientId",
+  "facebookAppId",
 ];
 
+// Write-only: a blank value keeps the stored secret.
+const SECRET_FIELDS = ["googleClientSecret", "facebookAppSecret"];
+
 export class SettingService extends BaseService {
   constructor(repository = new SettingRepository()) {
     super();
@@ -82,7 +90,20 @@ export class SettingService extends BaseService {
   }
 
   async getAllSettings() {
-    return await this.getOrCreate();
+    const settings = await this.getOrCreate();
+    const secrets = await this.repository.model
+      .findOne({ key: "main" })
+      .select(SECRET_FIELDS.map((field) => `+${field}`).join(" "))
+      .lean();
+    return {
+      ...settings.toObject(),
+      ...Object.fromEntries(
+        SECRET_FIELDS.map((field) => [
+          `${field}Set`,
+          Boolean(secrets?.[field]),
+        ]),
+      ),
+    };
   }
 
   validatePayload(body) {
@@ -177,6 +198,37 @@ export class SettingService extends BaseService {
         val === true || val === "true" || val === "1" || val === 1;
     }
 
+    if (body.pricesIncludeTax !== undefined) {
+      const val = body.pricesIncludeTax;
+      settings.pricesIncludeTax =
+        val === true || val === "true" || val === "1" || val === 1;
+    }
+
+    if (body.requireVerifiedEmailForOrders !== undefined) {
+      const val = body.requireVerifiedEmailForOrders;
+      settings.requireVerifiedEmailForOrders =
+        val === true || val === "true" || val === "1" || val === 1;
+    }
+
+    if (body.requireAdminTwoFactor !== undefined) {
+      const val = body.requireAdminTwoFactor;
+      settings.requireAdminTwoFactor =
+        val === true || val === "true" || val === "1" || val === 1;
+    }
+
+    for (const field of ["googleOAuthEnabled", "facebookOAuthEnabled"]) {
+      if (body[field] !== undefined) {
+        const val = body[field];
+        settings[field] =
+          val === true || val === "true" || val === "1" || val === 1;
+      }
+    }
+
+    for (const field of SECRET_FIELDS) {
+      const val = typeof body[field] === "string" ? body[field].trim() : "";
+      if (val) settings[field] = val;
+    }
+
     if (files?.logo?.[0]) {
       const result = await imageProcessingService.processAndSave(
         files.logo[0],
@@ -0,0 +1,265 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import { Product } from "../models/Product.js";
+import { SHIPPING_RATE_TYPES } from "../models/Shipping.js";
+import { AppError } from "../utils/AppError.js";
+import { calculateCartTotals, round } from "../utils/pricing.js";
+import {
+  DEFAULT_SHIPPING_METHOD,
+  estimateShippingMethod,
+  quoteShippingMethod,
+} from "../utils/shipping.js";
+import { ShippingRepository } from "../repositories/index.js";
+
+function parseNum(value, fallback = null) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return [
+    ...new Set(list.map((entry) => String(entry || "").trim()).filter(Boolean)),
+  ];
+}
+
+function escapeRegex(v = "") {
+  return String(v).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export class ShippingService extends BaseService {
+  constructor(repository = new ShippingRepository()) {
+    super();
+    this.repository = repository;
+  }
+
+  buildRatePayload(body = {}) {
+    const rateType = SHIPPING_RATE_TYPES.includes(body.rateType)
+      ? body.rateType
+      : "flat";
+    return {
+      rateType,
+      price: parseNum(body.price, 0),
+      rates:
+        rateType === "flat"
+          ? []
+          : (Array.isArray(body.rates) ? body.rates : [])
+              .map((tier) => ({
+                min: parseNum(tier?.min, 0),
+                max: parseNum(tier?.max, null),
+                price: parseNum(tier?.price, null),
+              }))
+              .sort((a, b) => a.min - b.min),
+      freeShippingThreshold: parseNum(body.freeShippingThreshold, null),
+      estimatedDays: parseNum(body.estimatedDays, null),
+    };
+  }
+
+  buildPayload(body = {}) {
+    return {
+      type: String(body.type || body.name || "").trim(),
+      description: String(body.description || "").trim(),
+      status: body.status === "inactive" ? "inactive" : "active",
+      sortOrder: parseNum(body.sortOrder, 0),
+      ...this.buildRatePayload(body),
+      zones: (Array.isArray(body.zones) ? body.zones : []).map((zone) => ({
+        name: String(zone?.name || "").trim(),
+        countries: parseList(zone?.countries).map((code) => code.toUpperCase()),
+        states: parseList(zone?.states),
+        ...this.buildRatePayload(zone),
+      })),
+    };
+  }
+
+  validateRates(rule, prefix, errors) {
+    if (rule.price < 0)
+      errors.push({ field: `${prefix}price`, message: "Price cannot be negative" });
+    if (rule.freeShippingThreshold !== null && rule.freeShippingThreshold < 0)
+      errors.push({
+        field: `${prefix}freeShippingThreshold`,
+        message: "Free shipping threshold cannot be negative",
+      });
+    if (rule.rateType === "flat") return;
+    if (!rule.rates.length)
+      errors.push({
+        field: `${prefix}rates`,
+        message: "At least one rate tier is required",
+      });
+    rule.rates.forEach((tier, index) => {
+      if (tier.price === null || tier.price < 0)
+        errors.push({
+          field: `${prefix}rates.${index}.price`,
+          message: "Tier price must be zero or more",
+        });
+      if (tier.max !== null && tier.max <= tier.min)
+        errors.push({
+          field: `${prefix}rates.${index}.max`,
+          message: "Tier maximum must be greater than its minimum",
+        });
+    });
+  }
+
+  validatePayload(payload) {
+    const errors = [];
+    if (!payload.type)
+      errors.push({ field: "type", message: "Shipping method name is required" });
+    this.validateRates(payload, "", errors);
+    payload.zones.forEach((zone, index) => {
+      if (!zone.name)
+        errors.push({
+          field: `zones.${index}.name`,
+          message: "Zone name is required",
+        });
+      this.validateRates(zone, `zones.${index}.`, errors);
+    });
+    return errors;
+  }
+
+  async listShippingMethods({ page = 1, limit = 20, search, status } = {}) {
+    const filter = {};
+    if (search) {
+      const s = escapeRegex(String(search).trim());
+      filter.$or = [
+        { type: { $regex: s, $options: "i" } },
+        { description: { $regex: s, $options: "i" } },
+      ];
+    }
+    if (status && ["active", "inactive"].includes(status)) filter.status = status;
+
+    const { items, pagination } = await this.repository.findAll({
+      filter,
+      sort: { sortOrder: 1, createdAt: -1 },
+      page,
+      limit,
+    });
+    return { methods: items, pagination };
+  }
+
+  async getShippingMethodById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id))
+      throw new AppError("Invalid shipping method ID", 400);
+    return this.repository.findByIdOrFail(id);
+  }
+
+  async createShippingMethod(body) {
+    const payload = this.buildPayload(body);
+    const errors = this.validatePayload(payload);
+    if (errors.length) throw new AppError("Validation failed", 422, errors);
+    return this.repository.create(payload);
+  }
+
+  async updateShippingMethod(id, body) {
+    const existing = await this.getShippingMethodById(id);
+    const payload = this.buildPayload({ ...existing, ...body });
+    const errors = this.validatePayload(payload);
+    if (errors.length) throw new AppError("Validation failed", 422, errors);
+    return this.repository.updateById(id, payload);
+  }
+
+  async deleteShippingMethod(id) {
+    await this.getShippingMethodById(id);
+    await this.repository.deleteById(id);
+  }
+
+  async getActiveMethods() {
+    const methods = await this.repository.findActive();
+    return methods.length ? methods : [DEFAULT_SHIPPING_METHOD];
+  }
+
+  async getCartWeight(cartItems = []) {
+    const productIds = [
+      ...new Set(cartItems.map((item) => String(item.productId))),
+    ];
+    if (!productIds.length) return 0;
+
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select("weight")
+      .lean();
+    const weightById = new Map(
+      products.map((product) => [product._id.toString(), product.weight || 0]),
+    );
+
+    return round(
+      cartItems.reduce(
+        (sum, item) =>
+          sum +
+          (weightById.get(String(item.productId)) || 0) *
+            Number(item.quantity || 0),
+        0,
+      ),
+    );
+  }
+
+  async getShippingOptions({ country, state, subTotal = 0, weight = 0 } = {}) {
+    const methods = await this.getActiveMethods();
+    return methods
+      .map((method) =>
+        quoteShippingMethod(method, { country, state, subTotal, weight }),
+      )
+      .filter(Boolean);
+  }
+
+  async resolveShippingQuote({
+    shippingMethodId,
+    country,
+    state,
+    subTotal = 0,
+    weight = 0,
+  } = {}) {
+    const options = await this.getShippingOptions({
+      country,
+      state,
+      subTotal,
+      weight,
+    });
+    if (!options.length) {
+      throw new AppError("No shipping method is available for this address", 400);
+    }
+    if (!shippingMethodId) {
+      return options.reduce((cheapest, option) =>
+        option.price < cheapest.price ? option : cheapest,
+      );
+    }
+
+    const selected = options.find(
+      (option) => option.methodId === String(shippingMethodId),
+    );
+    if (!selected) {
+      throw new AppError(
+        "Selected shipping method is not available for this address",
+        400,
+      );
+    }
+    return selected;
+  }
+
+  async quoteForCart(cartItems, { shippingMethodId, country, state } = {}) {
+    const { subTotal } = calculateCartTotals(cartItems);
+    const weight = await this.getCartWeight(cartItems);
+    return this.resolveShippingQuote({
+      shippingMethodId,
+      country,
+      state,
+      subTotal,
+      weight,
+    });
+  }
+
+  async getCartShippingOptions(cartItems, { country, state } = {}) {
+    const { subTotal } = calculateCartTotals(cartItems);
+    const weight = await this.getCartWeight(cartItems);
+    return this.getShippingOptions({ country, state, subTotal, weight });
+  }
+
+  async estimateShipping({ subTotal = 0, weight = 0 } = {}) {
+    if (!subTotal) return 0;
+    const methods = await this.getActiveMethods();
+    const estimates = methods
+      .map((method) => estimateShippingMethod(method, { subTotal, weight }))
+      .filter(Boolean);
+    if (!estimates.length) return 0;
+    return Math.min(...estimates.map((estimate) => estimate.price));
+  }
+}
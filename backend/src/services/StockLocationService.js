@@ -0,0 +1,552 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import { Product } from "../models/Product.js";
+import { STOCK_LOCATION_TYPES } from "../models/StockLocation.js";
+import { AppError } from "../utils/AppError.js";
+import { StockLocationRepository } from "../repositories/index.js";
+
+function escapeRegex(v = "") {
+  return String(v).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+export const locationQuantity = (entries = [], locationId) =>
+  Number(
+    entries.find((entry) => sameId(entry.locationId, locationId))?.quantity ||
+      0,
+  );
+
+// Per-location quantities of one SKU: a variant, or the product itself.
+export const skuLocationStock = (product, variantId = null) =>
+  (variantId
+    ? (product?.variants || []).find((variant) =>
+        sameId(variant._id, variantId),
+      )?.locationStock
+    : product?.locationStock) || [];
+
+/**
+ * Orders locations for fulfilment: locations in the destination country
+ * first, then by priority.
+ */
+export const allocationOrder = (locations = [], country = "") => {
+  const destination = String(country || "")
+    .trim()
+    .toUpperCase();
+  const isLocal = (location) =>
+    Boolean(destination) && location.country === destination;
+  return [...locations].sort(
+    (a, b) =>
+      Number(isLocal(b)) - Number(isLocal(a)) ||
+      Number(a.priority || 0) - Number(b.priority || 0),
+  );
+};
+
+// Where stock without a location goes: the default location, or the first in
+// allocation order when none is marked.
+export const defaultLocation = (locations = []) =>
+  locations.find((location) => location.isDefault) ||
+  allocationOrder(locations)[0];
+
+/**
+ * Picks where an order line ships from: the first location in allocation
+ * order that can ship it whole, otherwise a split across locations in that
+ * order. Returns null when the locations together hold too little.
+ */
+export const planAllocation = (entries, quantity, locations, country) => {
+  const ordered = allocationOrder(locations, country).filter(
+    (location) => locationQuantity(entries, location._id) > 0,
+  );
+  const single = ordered.find(
+    (location) => locationQuantity(entries, location._id) >= quantity,
+  );
+  if (single) return [{ location: single, quantity }];
+
+  const plan = [];
+  let remaining = quantity;
+  for (const location of ordered) {
+    if (!remaining) break;
+    const take = Math.min(remaining, locationQuantity(entries, location._id));
+    plan.push({ location, quantity: take });
+    remaining -= take;
+  }
+  return remaining ? null : plan;
+};
+
+/**
+ * Brings a SKU's per-location quantities in line with a new total, e.g.
+ * after the stock figure was edited on the product form. Added units go to
+ * the default location; removed units come out of the locations that are
+ * picked last for orders, and a total below zero (backorders) is carried by
+ * the default location.
+ */
+export const reconcileLocationStock = (entries = [], total, locations = []) => {
+  const next = entries.map((entry) => ({
+    locationId: entry.locationId,
+    quantity: Number(entry.quantity || 0),
+  }));
+  if (!locations.length) return next;
+
+  let diff =
+    Number(total || 0) - next.reduce((sum, entry) => sum + entry.quantity, 0);
+  const addToDefault = (units) => {
+    const target = defaultLocation(locations);
+    const entry = next.find((item) => sameId(item.locationId, target._id));
+    if (entry) entry.quantity += units;
+    else next.push({ locationId: target._id, quantity: units });
+  };
+  if (diff > 0 || !next.length) {
+    addToDefault(diff);
+    return next;
+  }
+
+  const drainOrder = allocationOrder(locations)
+    .reverse()
+    .map((location) =>
+      next.find((entry) => sameId(entry.locationId, location._id)),
+    )
+    .filter(Boolean);
+  for (const entry of [...drainOrder, ...next]) {
+    if (diff >= 0) break;
+    if (entry.quantity <= 0) continue;
+    const take = Math.min(entry.quantity, -diff);
+    entry.quantity -= take;
+    diff += take;
+  }
+  if (diff < 0) addToDefault(diff);
+  return next;
+};
+
+/**
+ * Spreads units put back on a shelf (cancellations, returns) over the
+ * locations an order line was allocated from, in allocation order.
+ */
+export const restockMoves = (allocations = [], quantity) => {
+  const moves = [];
+  let remaining = Number(quantity || 0);
+  allocations.forEach((allocation, index) => {
+    const isLast = index === allocations.length - 1;
+    const take = isLast
+      ? remaining
+      : Math.min(remaining, Number(allocation.quantity || 0));
+    if (take > 0)
+      moves.push({ locationId: allocation.locationId, quantity: take });
+    remaining -= take;
+  });
+  return moves;
+};
+
+/**
+ * `$inc` paths and array filters that move one SKU's quantities at several
+ * locations in a single update.
+ */
+export const locationStockUpdate = (variantId, moves = []) => {
+  const prefix = variantId ? "variants.$[v].locationStock" : "locationStock";
+  const inc = {};
+  const arrayFilters = variantId ? [{ "v._id": variantId }] : [];
+  moves.forEach((move, index) => {
+    inc[`${prefix}.$[l${index}].quantity`] = move.quantity;
+    arrayFilters.push({ [`l${index}.locationId`]: move.locationId });
+  });
+  return { inc, arrayFilters };
+};
+
+export class StockLocationService extends BaseService {
+  constructor(repository = new StockLocationRepository()) {
+    super();
+    this.repository = repository;
+  }
+
+  buildPayload(body = {}) {
+    return {
+      name: String(body.name || "").trim(),
+      code: String(body.code || "")
+        .trim()
+        .toUpperCase(),
+      type: STOCK_LOCATION_TYPES.includes(body.type) ? body.type : "warehouse",
+      country: String(body.country || "")
+        .trim()
+        .toUpperCase(),
+      state: String(body.state || "")
+        .trim()
+        .toUpperCase(),
+      city: String(body.city || "").trim(),
+      priority: Number.isFinite(Number(body.priority))
+        ? Math.max(0, Number(body.priority))
+        : 100,
+      isDefault: body.isDefault === true || body.isDefault === "true",
+      status: body.status === "inactive" ? "inactive" : "active",
+    };
+  }
+
+  async getActiveLocations(session = null) {
+    return this.repository.findActive(session);
+  }
+
+  // Units held at each location across every product and variant.
+  async getLocationUnits() {
+    const groups = await Product.aggregate([
+      {
+        $project: {
+          entries: {
+            $concatArrays: [
+              { $ifNull: ["$locationStock", []] },
+              {
+                $reduce: {
+                  input: { $ifNull: ["$variants", []] },
+                  initialValue: [],
+                  in: {
+                    $concatArrays: [
+                      "$$value",
+                      { $ifNull: ["$$this.locationStock", []] },
+                    ],
+                  },
+                },
+              },
+            ],
+          },
+        },
+      },
+      { $unwind: "$entries" },
+      {
+        $group: {
+          _id: "$entries.locationId",
+          units: { $sum: "$entries.quantity" },
+        },
+      },
+    ]);
+    return new Map(groups.map((group) => [String(group._id), group.units]));
+  }
+
+  async listLocations({ page = 1, limit = 50, search, status } = {}) {
+    const filter = {};
+    if (search) {
+      const s = escapeRegex(String(search).trim());
+      filter.$or = [
+        { name: { $regex: s, $options: "i" } },
+        { code: { $regex: s, $options: "i" } },
+        { city: { $regex: s, $options: "i" } },
+      ];
+    }
+    if (["active", "inactive"].includes(status)) filter.status = status;
+
+    const [{ items, pagination }, units] = await Promise.all([
+      this.repository.findAll({
+        filter,
+        sort: { priority: 1, name: 1 },
+        page,
+        limit,
+      }),
+      this.getLocationUnits(),
+    ]);
+    return {
+      locations: items.map((location) => ({
+        ...location,
+        units: units.get(String(location._id)) || 0,
+      })),
+      pagination,
+    };
+  }
+
+  async getLocationById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id))
+      throw new AppError("Invalid stock location ID", 400);
+    return this.repository.findByIdOrFail(id);
+  }
+
+  async assertCodeAvailable(code, exceptId = null) {
+    const existing = await this.repository.findOne({
+      code,
+      ...(exceptId && { _id: { $ne: exceptId } }),
+    });
+    if (existing) {
+      throw new AppError("Validation failed", 422, [
+        { field: "code", message: "Another location already uses this code" },
+      ]);
+    }
+  }
+
+  /**
+   * Creates a location. The first location becomes the default and takes
+   * over all existing stock, so totals and per-location quantities agree
+   * from the start.
+   */
+  async createLocation(body) {
+    const payload = this.buildPayload(body);
+    await this.assertCodeAvailable(payload.code);
+    const isFirst = (await this.repository.count()) === 0;
+    if (isFirst) {
+      payload.isDefault = true;
+      payload.status = "active";
+    }
+    if (payload.isDefault && payload.status !== "active") {
+      throw new AppError("The default location must be active", 422);
+    }
+
+    const location = await this.repository.create(payload);
+    if (payload.isDefault && !isFirst) await this.makeDefault(location._id);
+    if (isFirst) await this.assignUntrackedStock(location._id);
+    return location;
+  }
+
+  async updateLocation(id, body) {
+    const existing = await this.getLocationById(id);
+    const payload = this.buildPayload({ ...existing, ...body });
+    if (payload.code !== existing.code) {
+      await this.assertCodeAvailable(payload.code, id);
+    }
+    if (existing.isDefault && !payload.isDefault) {
+      throw new AppError(
+        "Make another location the default instead of unsetting it",
+        409,
+      );
+    }
+    if (payload.status === "inactive" && existing.status !== "inactive") {
+      await this.assertEmpty(existing, "deactivated");
+    }
+    if (payload.isDefault && payload.status !== "active") {
+      throw new AppError("The default location must be active", 422);
+    }
+
+    const location = await this.repository.updateById(id, payload);
+    if (payload.isDefault && !existing.isDefault) await this.makeDefault(id);
+    return location;
+  }
+
+  async deleteLocation(id) {
+    const location = await this.getLocationById(id);
+    await this.assertEmpty(location, "deleted");
+    await Product.updateMany(
+      {},
+      {
+        $pull: {
+          locationStock: { locationId: location._id },
+          "variants.$[].locationStock": { locationId: location._id },
+        },
+      },
+    );
+    await this.repository.deleteById(id);
+  }
+
+  async assertEmpty(location, action) {
+    if (location.isDefault) {
+      throw new AppError(
+        `The default location cannot be ${action}. Make another location the default first.`,
+        409,
+      );
+    }
+    const units = (await this.getLocationUnits()).get(String(location._id));
+    if (units) {
+      throw new AppError(
+        `${location.name} still holds ${units} unit(s). Move its stock before it is ${action}.`,
+        409,
+      );
+    }
+  }
+
+  async makeDefault(id) {
+    await this.repository.updateMany(
+      { _id: { $ne: id }, isDefault: true },
+      { $set: { isDefault: false } },
+    );
+  }
+
+  /**
+   * Gives SKUs without per-location quantities their whole stock at the
+   * given location. Used when locations are introduced and for SKUs created
+   * without them.
+   */
+  async assignUntrackedStock(locationId, filter = {}) {
+    await Product.updateMany(
+      {
+        ...filter,
+        hasVariants: { $ne: true },
+        "locationStock.0": { $exists: false },
+      },
+      [
+        {
+          $set: {
+            locationStock: [
+              { locationId, quantity: { $ifNull: ["$baseStock", 0] } },
+            ],
+          },
+        },
+      ],
+    );
+    await Product.updateMany({ ...filter, hasVariants: true }, [
+      {
+        $set: {
+          variants: {
+            $map: {
+              input: { $ifNull: ["$variants", []] },
+              as: "variant",
+              in: {
+                $cond: [
+                  {
+                    $gt: [
+                      { $size: { $ifNull: ["$$variant.locationStock", []] } },
+                      0,
+                    ],
+                  },
+                  "$$variant",
+                  {
+                    $mergeObjects: [
+                      "$$variant",
+                      {
+                        locationStock: [
+                          {
+                            locationId,
+                            quantity: { $ifNull: ["$$variant.stock", 0] },
+                          },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Makes sure a SKU has an entry for `locationId` before stock is moved
+   * there, first giving untracked stock to the default location. Returns
+   * true when the product was changed and needs to be read again.
+   */
+  async ensureSkuEntry(
+    product,
+    variantId,
+    locationId,
+    defaultLocationId,
+    session = null,
+  ) {
+    const entries = skuLocationStock(product, variantId);
+    if (!entries.length) {
+      await this.assignUntrackedStock(defaultLocationId, { _id: product._id });
+      if (sameId(locationId, defaultLocationId)) return true;
+    } else if (entries.some((entry) => sameId(entry.locationId, locationId))) {
+      return false;
+    }
+
+    const missing = { "locationStock.locationId": { $ne: locationId } };
+    await Product.updateOne(
+      variantId
+        ? {
+            _id: product._id,
+            variants: { $elemMatch: { _id: variantId, ...missing } },
+          }
+        : { _id: product._id, ...missing },
+      {
+        $push: {
+          [variantId ? "variants.$.locationStock" : "locationStock"]: {
+            locationId,
+            quantity: 0,
+          },
+        },
+      },
+      session ? { session } : {},
+    );
+    return true;
+  }
+
+  /**
+   * Takes an order line's units out of the locations chosen by
+   * `planAllocation`, after the summed stock was already decremented. The
+   * update is guarded on every picked location still holding enough, and
+   * re-planned from fresh quantities if another order got there first.
+   * `backordered` units are not on any shelf; they are taken from the
+   * default location, which goes below zero until they are restocked.
+   * Returns the allocations to store on the order line; SKUs without
+   * per-location quantities are not allocated.
+   */
+  async allocate(
+    product,
+    variantId,
+    quantity,
+    { locations = [], country, session = null, backordered = 0 } = {},
+  ) {
+    if (!locations.length) return [];
+
+    const target = defaultLocation(locations);
+    let current = product;
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const entries = skuLocationStock(current, variantId);
+      if (!entries.length) return [];
+
+      const plan =
+        quantity > 0
+          ? planAllocation(entries, quantity, locations, country)
+          : [];
+      if (!plan) {
+        throw new AppError(`Insufficient stock for ${product.title}`, 400);
+      }
+
+      const guards = plan.map((step) => ({
+        $elemMatch: {
+          locationId: step.location._id,
+          quantity: { $gte: step.quantity },
+        },
+      }));
+      const steps = plan.map((step) => ({ ...step }));
+      if (backordered > 0) {
+        if (!entries.some((entry) => sameId(entry.locationId, target._id))) {
+          await this.ensureSkuEntry(
+            current,
+            variantId,
+            target._id,
+            target._id,
+            session,
+          );
+        }
+        guards.push({ $elemMatch: { locationId: target._id } });
+        const step = steps.find((item) =>
+          sameId(item.location._id, target._id),
+        );
+        if (step) step.quantity += backordered;
+        else steps.push({ location: target, quantity: backordered });
+      }
+
+      const filter = variantId
+        ? {
+            _id: product._id,
+            variants: {
+              $elemMatch: { _id: variantId, locationStock: { $all: guards } },
+            },
+          }
+        : { _id: product._id, locationStock: { $all: guards } };
+      const { inc, arrayFilters } = locationStockUpdate(
+        variantId,
+        steps.map((step) => ({
+          locationId: step.location._id,
+          quantity: -step.quantity,
+        })),
+      );
+      const result = await Product.updateOne(
+        filter,
+        { $inc: inc },
+        { arrayFilters, ...(session && { session }) },
+      );
+      if (result.modifiedCount) {
+        return steps.map((step) => ({
+          locationId: step.location._id,
+          code: step.location.code,
+          name: step.location.name,
+          quantity: step.quantity,
+        }));
+      }
+
+      current = await Product.findById(product._id)
+        .select("locationStock variants._id variants.locationStock")
+        .session(session)
+        .lean();
+    }
+
+    throw new AppError(
+      "Stock levels changed while placing the order. Please try again.",
+      409,
+    );
+  }
+}
@@ -0,0 +1,212 @@
+import { BaseService } from "../core/BaseService.js";
+import { Product } from "../models/Product.js";
+import {
+  RESERVATION_HOLD_MINUTES,
+  RESERVATION_MAX_UNITS,
+  StockReservation,
+} from "../models/StockReservation.js";
+import { AppError } from "../utils/AppError.js";
+import {
+  availabilityFor,
+  resolveInventoryPolicy,
+  sellableQuantity,
+} from "../utils/inventoryPolicy.js";
+
+export const reservationKey = (productId, variantId = null) =>
+  `${productId}:${variantId || ""}`;
+
+const activeHoldFilter = () => ({
+  status: "active",
+  expiresAt: { $gt: new Date() },
+});
+
+const ownerFields = (ownerFilter = {}) => ({
+  userId: ownerFilter.userId || null,
+  guestId: ownerFilter.guestId || null,
+});
+
+const sessionOptions = (session) => (session ? { session } : {});
+
+export class StockReservationService extends BaseService {
+  /**
+   * Units held by other shoppers' active checkouts, keyed with
+   * `reservationKey`. The owner's own holds are left out so a shopper is
+   * never blocked by their own checkout.
+   */
+  async getHeldQuantities(productIds = [], { ownerFilter, session } = {}) {
+    const held = new Map();
+    if (!productIds.length) return held;
+
+    const filter = { productId: { $in: productIds }, ...activeHoldFilter() };
+    if (ownerFilter?.userId) filter.userId = { $ne: ownerFilter.userId };
+    if (ownerFilter?.guestId) filter.guestId = { $ne: ownerFilter.guestId };
+
+    const holds = await StockReservation.find(filter)
+      .select("productId variantId quantity")
+      .session(session || null)
+      .lean();
+    for (const hold of holds) {
+      const key = reservationKey(hold.productId, hold.variantId);
+      held.set(key, (held.get(key) || 0) + hold.quantity);
+    }
+    return held;
+  }
+
+  /**
+   * Holds the cart lines for a PaymentIntent. Holds are written first and
+   * checked afterwards, with earlier holds (lower `_id`) taking precedence,
+   * so two shoppers racing for the last unit cannot both keep it. The
+   * owner's previous holds are released: a cart has one checkout at a time,
+   * which also bounds an owner's holds by `RESERVATION_MAX_UNITS`.
+   */
+  async reserve(paymentIntentId, ownerFilter, items = []) {
+    const units = items.reduce(
+      (sum, item) => sum + (Number(item.quantity) || 0),
+      0,
+    );
+    if (units > RESERVATION_MAX_UNITS) {
+      throw new AppError(
+        `A checkout can hold at most ${RESERVATION_MAX_UNITS} items. Please reduce the quantities in your cart.`,
+        400,
+      );
+    }
+
+    await this.releaseForOwner(ownerFilter, "superseded");
+    if (!items.length) return [];
+
+    const expiresAt = new Date(
+      Date.now() + RESERVATION_HOLD_MINUTES * 60 * 1000,
+    );
+    const created = await StockReservation.insertMany(
+      items.map((item) => ({
+        paymentIntentId,
+        ...ownerFields(ownerFilter),
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        expiresAt,
+      })),
+    );
+
+    const productIds = [
+      ...new Set(items.map((item) => String(item.productId))),
+    ];
+    const [products, holds] = await Promise.all([
+      Product.find({ _id: { $in: productIds } })
+        .select(
+          "title baseStock inventoryPolicy variants._id variants.stock variants.inventoryPolicy",
+        )
+        .lean(),
+      StockReservation.find({
+        productId: { $in: productIds },
+        ...activeHoldFilter(),
+      })
+        .select("_id productId variantId quantity")
+        .lean(),
+    ]);
+
+    for (const reservation of created) {
+      const product = products.find(
+        (entry) => String(entry._id) === String(reservation.productId),
+      );
+      const variant = reservation.variantId
+        ? (product?.variants || []).find(
+            (entry) => String(entry._id) === String(reservation.variantId),
+          )
+        : null;
+      // Backorder and pre-order SKUs may be held beyond what is on hand.
+      const stock = sellableQuantity(
+        reservation.variantId ? variant?.stock : product?.baseStock,
+        resolveInventoryPolicy(product, variant),
+      );
+      const key = reservationKey(reservation.productId, reservation.variantId);
+      const heldAhead = holds
+        .filter(
+          (hold) =>
+            reservationKey(hold.productId, hold.variantId) === key &&
+            String(hold._id) < String(reservation._id),
+        )
+        .reduce((sum, hold) => sum + hold.quantity, 0);
+
+      if (heldAhead + reservation.quantity > stock) {
+        await this.release(paymentIntentId, "insufficient_stock");
+        const left = Math.max(0, stock - heldAhead);
+        throw new AppError(
+          left
+            ? `Only ${left} of ${product?.title || "an item"} can be bought right now. Please update your cart.`
+            : `${product?.title || "An item"} is reserved by other shoppers. Please try again shortly.`,
+          409,
+        );
+      }
+    }
+
+    return created;
+  }
+
+  async consume(paymentIntentId, session = null) {
+    if (!paymentIntentId) return 0;
+    const result = await StockReservation.updateMany(
+      { paymentIntentId, status: "active" },
+      { $set: { status: "consumed" } },
+      sessionOptions(session),
+    );
+    return result.modifiedCount || 0;
+  }
+
+  async release(paymentIntentId, reason, session = null) {
+    if (!paymentIntentId) return 0;
+    const result = await StockReservation.updateMany(
+      { paymentIntentId, status: "active" },
+      { $set: { status: "released", releasedReason: reason } },
+      sessionOptions(session),
+    );
+    return result.modifiedCount || 0;
+  }
+
+  async releaseForOwner(ownerFilter, reason, session = null) {
+    const filter = ownerFilter?.guestId
+      ? { guestId: ownerFilter.guestId }
+      : { userId: ownerFilter?.userId };
+    if (!filter.guestId && !filter.userId) return 0;
+    const result = await StockReservation.updateMany(
+      { ...filter, status: "active" },
+      { $set: { status: "released", releasedReason: reason } },
+      sessionOptions(session),
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Adds `heldStock` and `availableStock` (stock minus other shoppers'
+   * holds) to a priced product and each of its variants, plus the
+   * storefront `availability` their inventory policy gives them.
+   */
+  async withAvailability(product, ownerFilter = null) {
+    if (!product?._id) return product;
+    const held = await this.getHeldQuantities([product._id], { ownerFilter });
+    const availability = (stock, variant = null) => {
+      const heldStock =
+        held.get(reservationKey(product._id, variant?._id)) || 0;
+      const available = Number(stock || 0) - heldStock;
+      return {
+        heldStock,
+        availableStock: Math.max(0, available),
+        availability: availabilityFor(
+          available,
+          resolveInventoryPolicy(product, variant),
+        ),
+      };
+    };
+
+    return {
+      ...product,
+      ...availability(product.baseStock),
+      variants: Array.isArray(product.variants)
+        ? product.variants.map((variant) => ({
+            ...variant,
+            ...availability(variant.stock, variant),
+          }))
+        : product.variants,
+    };
+  }
+}
@@ -0,0 +1,416 @@
+import { BaseService } from "../core/BaseService.js";
+import { appEventBus, ORDER_EVENTS } from "../events/index.js";
+import { Order } from "../models/Order.js";
+import {
+  WEBHOOK_EVENT_STATUSES,
+  WebhookEvent,
+} from "../models/WebhookEvent.js";
+import { AppError } from "../utils/AppError.js";
+import { StockReservationService } from "./StockReservationService.js";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const sumRefunds = (refunds = []) =>
+  roundMoney(
+    refunds.reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0),
+  );
+
+// A charge or dispute may carry the PaymentIntent as an id or, when
+// expanded, as an object.
+const paymentIntentId = (object) =>
+  typeof object?.payment_intent === "string"
+    ? object.payment_intent
+    : object?.payment_intent?.id || null;
+
+const ignored = (note, orderId = null) => ({ ignored: true, note, orderId });
+
+// A "processing" event this old is assumed to belong to a crashed worker
+// and may be replayed.
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+export class StripeWebhookService extends BaseService {
+  constructor(reservationService = new StockReservationService()) {
+    super();
+    this.reservationService = reservationService;
+    this.handlers = {
+      "payment_intent.succeeded": this.handlePaymentSucceeded,
+      "payment_intent.payment_failed": this.handlePaymentFailed,
+      "payment_intent.canceled": this.handlePaymentCanceled,
+      "charge.refunded": this.handleChargeRefunded,
+      "charge.dispute.created": this.handleDisputeCreated,
+      "charge.dispute.closed": this.handleDisputeClosed,
+    };
+  }
+
+  /**
+   * Records a verified Stripe event and applies it exactly once. Stripe
+   * redelivers until it gets a 2xx, so an event that was already processed
+   * is acknowledged without touching the order, while a failed one is
+   * retried. Errors are rethrown so the endpoint answers 500 and Stripe
+   * retries later.
+   */
+  async receive(event, stripe) {
+    if (!event?.id || !event?.type) {
+      throw new AppError("Webhook event is missing its id or type", 400);
+    }
+
+    let record;
+    try {
+      record = (
+        await WebhookEvent.create({
+          eventId: event.id,
+          type: event.type,
+          payload: event,
+          stripeCreatedAt: event.created
+            ? new Date(event.created * 1000)
+            : null,
+        })
+      ).toObject();
+    } catch (error) {
+      if (error?.code !== 11000) throw error;
+      record = await WebhookEvent.findOneAndUpdate(
+        { provider: "stripe", eventId: event.id, status: "failed" },
+        { $set: { status: "processing" } },
+        { new: true },
+      ).lean();
+      if (!record) return { received: true, duplicate: true };
+    }
+
+    const result = await this.process(record, stripe);
+    return { received: true, status: result.status };
+  }
+
+  /**
+   * Applies a stored event to its order and records the outcome on the
+   * event. Unknown event types and events without a matching order are
+   * marked ignored rather than failed, since replaying them cannot help.
+   */
+  async process(record, stripe) {
+    const handler = this.handlers[record.type];
+    try {
+      const outcome = handler
+        ? await handler.call(this, record.payload?.data?.object || {}, stripe)
+        : ignored("Event type is not handled");
+      const status = outcome.ignored ? "ignored" : "processed";
+
+      await WebhookEvent.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            status,
+            orderId: outcome.orderId || null,
+            note: outcome.note || null,
+            lastError: null,
+            processedAt: new Date(),
+          },
+          $inc: { attempts: 1 },
+        },
+      );
+      this.logInfo(
+        `Stripe webhook ${record.eventId} (${record.type}): ${status}`,
+      );
+      return { status, note: outcome.note || null };
+    } catch (error) {
+      await WebhookEvent.updateOne(
+        { _id: record._id },
+        {
+          $set: { status: "failed", lastError: error.message },
+          $inc: { attempts: 1 },
+        },
+      );
+      this.logError(`Stripe webhook ${record.eventId} failed`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-runs a failed event from the stored payload. The claim on the
+   * event's status keeps two admins from replaying it at the same time.
+   * A replay that fails again is reported on the event, not thrown.
+   */
+  async replay(id, stripe) {
+    const record = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: "failed" },
+          {
+            status: "processing",
+            updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+          },
+        ],
+      },
+      { $set: { status: "processing" } },
+      { new: true },
+    ).lean();
+
+    if (!record) {
+      this.assertFound(await WebhookEvent.exists({ _id: id }), "Webhook event");
+      throw new AppError("Only failed webhook events can be replayed", 409);
+    }
+
+    try {
+      await this.process(record, stripe);
+    } catch {
+      // process() already stored the error on the event.
+    }
+    return this.getEvent(id);
+  }
+
+  async listEvents({ status, type, search, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (WEBHOOK_EVENT_STATUSES.includes(status)) filter.status = status;
+    if (type) filter.type = type;
+    if (search) filter.eventId = search.trim();
+
+    const [events, total, counts] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select("-payload")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(filter),
+      WebhookEvent.aggregate([
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    return {
+      events,
+      counts: Object.fromEntries(
+        WEBHOOK_EVENT_STATUSES.map((entry) => [
+          entry,
+          counts.find((group) => group._id === entry)?.count || 0,
+        ]),
+      ),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasPrev: page > 1,
+        hasNext: page * limit < total,
+      },
+    };
+  }
+
+  async getEvent(id) {
+    return this.assertFound(
+      await WebhookEvent.findById(id).lean(),
+      "Webhook event",
+    );
+  }
+
+  async findOrder(transactionId, fields) {
+    if (!transactionId) return null;
+    return Order.findOne({ transactionId }).select(fields).lean();
+  }
+
+  // The filter on the current payment status keeps a late "succeeded"
+  // delivery from overwriting a refund or dispute recorded since.
+  async handlePaymentSucceeded(intent) {
+    const order = await this.findOrder(
+      intent.id,
+      "_id orderNumber email firstName totalAmount paymentMethod paymentStatus",
+    );
+    if (!order) return ignored("No order for this payment intent");
+    if (!["unpaid", "failed"].includes(order.paymentStatus)) {
+      return {
+        orderId: order._id,
+        note: `Order already ${order.paymentStatus}`,
+      };
+    }
+
+    const result = await Order.updateOne(
+      { _id: order._id, paymentStatus: order.paymentStatus },
+      { $set: { paymentStatus: "paid" } },
+    );
+    if (result?.modifiedCount) {
+      appEventBus.emit(ORDER_EVENTS.PAYMENT_RECEIVED, {
+        order: { ...order, paymentStatus: "paid" },
+      });
+    }
+    return { orderId: order._id, note: "Marked paid" };
+  }
+
+  // Orders are only placed after a successful payment, so a failure usually
+  // has no order yet; its stock holds are released for other shoppers.
+  async handlePaymentFailed(intent) {
+    const released = await this.reservationService.release(
+      intent.id,
+      "payment_failed",
+    );
+    const order = await this.findOrder(intent.id, "_id paymentStatus");
+    if (!order) {
+      return released
+        ? { note: `Released ${released} stock hold(s)` }
+        : ignored("No order for this payment intent");
+    }
+    if (order.paymentStatus !== "unpaid") {
+      return {
+        orderId: order._id,
+        note: `Order already ${order.paymentStatus}`,
+      };
+    }
+
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: "unpaid" },
+      { $set: { paymentStatus: "failed" } },
+    );
+    return {
+      orderId: order._id,
+      note: intent.last_payment_error?.message || "Marked failed",
+    };
+  }
+
+  async handlePaymentCanceled(intent) {
+    const released = await this.reservationService.release(
+      intent.id,
+      "payment_canceled",
+    );
+    return released
+      ? { note: `Released ${released} stock hold(s)` }
+      : ignored("No stock held for this payment intent");
+  }
+
+  /**
+   * Syncs refunds made outside the store, e.g. from the Stripe dashboard.
+   * Refunds the store issued itself carry an orderId in their metadata and
+   * are recorded by the code that created them, so they are skipped here.
+   * Stripe reports the cumulative refunded amount, so an older delivery
+   * never downgrades a full refund.
+   */
+  async handleChargeRefunded(charge, stripe) {
+    const order = await this.findOrder(
+      paymentIntentId(charge),
+      "_id paymentStatus refunds",
+    );
+    if (!order) return ignored("No order for this charge");
+
+    const stripeRefunds =
+      charge.refunds?.data ||
+      (
+        await stripe.refunds.list({
+          payment_intent: paymentIntentId(charge),
+          limit: 100,
+        })
+      ).data;
+    // Orders placed before refunds were tracked have no `refunds` array.
+    const recorded = new Set(
+      (order.refunds || []).map((refund) => refund.refundId),
+    );
+    const external = stripeRefunds
+      .filter((refund) => !recorded.has(refund.id) && !refund.metadata?.orderId)
+      .map((refund) => ({
+        refundId: refund.id,
+        amount: refund.amount / 100,
+        status: refund.status,
+        reason: "Refunded in Stripe",
+        actor: { role: "system" },
+      }));
+
+    const update = {};
+    if (["paid", "partially_refunded"].includes(order.paymentStatus)) {
+      update.$set = {
+        paymentStatus:
+          charge.amount_refunded >= charge.amount
+            ? "refunded"
+            : "partially_refunded",
+      };
+    }
+    if (external.length) update.$push = { refunds: { $each: external } };
+    if (!Object.keys(update).length) {
+      return { orderId: order._id, note: "Nothing to update" };
+    }
+
+    await Order.updateOne(
+      {
+        _id: order._id,
+        "refunds.refundId": { $nin: external.map((refund) => refund.refundId) },
+      },
+      update,
+    );
+    return {
+      orderId: order._id,
+      note: external.length
+        ? `Recorded ${sumRefunds(external)} refunded in Stripe`
+        : `Refunded ${roundMoney(charge.amount_refunded / 100)} in total`,
+    };
+  }
+
+  async resolveDisputeOrder(dispute, stripe) {
+    let intentId = paymentIntentId(dispute);
+    if (!intentId && dispute.charge) {
+      const charge = await stripe.charges.retrieve(dispute.charge);
+      intentId = paymentIntentId(charge);
+    }
+    return this.findOrder(intentId, "_id paymentStatus dispute");
+  }
+
+  async handleDisputeCreated(dispute, stripe) {
+    const order = await this.resolveDisputeOrder(dispute, stripe);
+    if (!order) return ignored("No order for this dispute");
+    if (order.dispute?.disputeId === dispute.id) {
+      return { orderId: order._id, note: "Dispute already recorded" };
+    }
+
+    await Order.updateOne(
+      { _id: order._id, "dispute.disputeId": { $ne: dispute.id } },
+      {
+        $set: {
+          paymentStatus: "disputed",
+          dispute: {
+            disputeId: dispute.id,
+            amount: dispute.amount / 100,
+            reason: dispute.reason,
+            status: dispute.status,
+            previousPaymentStatus:
+              order.paymentStatus === "disputed"
+                ? order.dispute?.previousPaymentStatus || "paid"
+                : order.paymentStatus,
+            openedAt: dispute.created
+              ? new Date(dispute.created * 1000)
+              : new Date(),
+          },
+        },
+      },
+    );
+    return { orderId: order._id, note: `Dispute opened: ${dispute.reason}` };
+  }
+
+  // Won and warning_closed disputes leave the money with the merchant, so
+  // the order goes back to its pre-dispute state; a lost one is final.
+  async handleDisputeClosed(dispute, stripe) {
+    const order = await this.resolveDisputeOrder(dispute, stripe);
+    if (!order) return ignored("No order for this dispute");
+
+    const previousPaymentStatus =
+      (order.dispute?.disputeId === dispute.id &&
+        order.dispute.previousPaymentStatus) ||
+      "paid";
+    const paymentStatus =
+      dispute.status === "lost" ? "charged_back" : previousPaymentStatus;
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          paymentStatus,
+          dispute: {
+            disputeId: dispute.id,
+            amount: dispute.amount / 100,
+            reason: dispute.reason,
+            status: dispute.status,
+            previousPaymentStatus,
+            openedAt:
+              order.dispute?.openedAt ||
+              (dispute.created ? new Date(dispute.created * 1000) : new Date()),
+            closedAt: new Date(),
+          },
+        },
+      },
+    );
+    return { orderId: order._id, note: `Dispute ${dispute.status}` };
+  }
+}
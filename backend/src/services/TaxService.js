@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import { BaseService } from "../core/BaseService.js";
+import { Product } from "../models/Product.js";
+import { Setting } from "../models/Setting.js";
+import { TAX_CLASSES } from "../models/TaxRate.js";
+import { AppError } from "../utils/AppError.js";
+import { calculateTax, selectTaxRates } from "../utils/tax.js";
+import { TaxRateRepository } from "../repositories/index.js";
+
+function parseNum(value, fallback = null) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function parseBool(value) {
+  return value === true || value === "true" || value === "1" || value === 1;
+}
+
+function escapeRegex(v = "") {
+  return String(v).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export class TaxService extends BaseService {
+  constructor(repository = new TaxRateRepository()) {
+    super();
+    this.repository = repository;
+  }
+
+  buildPayload(body = {}) {
+    return {
+      name: String(body.name || "").trim(),
+      country: String(body.country || "")
+        .trim()
+        .toUpperCase(),
+      state: String(body.state || "")
+        .trim()
+        .toUpperCase(),
+      taxClass: TAX_CLASSES.includes(body.taxClass)
+        ? body.taxClass
+        : "standard",
+      rate: parseNum(body.rate, null),
+      appliesToShipping: parseBool(body.appliesToShipping),
+      status: body.status === "inactive" ? "inactive" : "active",
+    };
+  }
+
+  validatePayload(payload) {
+    const errors = [];
+    if (!payload.name)
+      errors.push({ field: "name", message: "Tax rate name is required" });
+    if (!/^[A-Z]{2}$/.test(payload.country))
+      errors.push({
+        field: "country",
+        message: "Country must be a 2-letter ISO code",
+      });
+    if (payload.rate === null || payload.rate < 0 || payload.rate > 100)
+      errors.push({ field: "rate", message: "Rate must be between 0 and 100" });
+    return errors;
+  }
+
+  async listTaxRates({ page = 1, limit = 20, search, status, country } = {}) {
+    const filter = {};
+    if (search) {
+      const s = escapeRegex(String(search).trim());
+      filter.$or = [
+        { name: { $regex: s, $options: "i" } },
+        { state: { $regex: s, $options: "i" } },
+      ];
+    }
+    if (status && ["active", "inactive"].includes(status))
+      filter.status = status;
+    if (country) filter.country = String(country).trim().toUpperCase();
+
+    const { items, pagination } = await this.repository.findAll({
+      filter,
+      sort: { country: 1, state: 1, taxClass: 1 },
+      page,
+      limit,
+    });
+    return { rates: items, pagination };
+  }
+
+  async getTaxRateById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id))
+      throw new AppError("Invalid tax rate ID", 400);
+    return this.repository.findByIdOrFail(id);
+  }
+
+  async createTaxRate(body) {
+    const payload = this.buildPayload(body);
+    const errors = this.validatePayload(payload);
+    if (errors.length) throw new AppError("Validation failed", 422, errors);
+    return this.repository.create(payload);
+  }
+
+  async updateTaxRate(id, body) {
+    const existing = await this.getTaxRateById(id);
+    const payload = this.buildPayload({ ...existing, ...body });
+    const errors = this.validatePayload(payload);
+    if (errors.length) throw new AppError("Validation failed", 422, errors);
+    return this.repository.updateById(id, payload);
+  }
+
+  async deleteTaxRate(id) {
+    await this.getTaxRateById(id);
+    await this.repository.deleteById(id);
+  }
+
+  async getPricesIncludeTax() {
+    const settings = await Setting.findOne({ key: "main" })
+      .select("pricesIncludeTax")
+      .lean();
+    return Boolean(settings?.pricesIncludeTax);
+  }
+
+  /**
+   * Tax for line amounts that already carry their product's tax class.
+   */
+  async quoteTax({
+    items = [],
+    country,
+    state,
+    shippingCost = 0,
+    couponDiscount = 0,
+  } = {}) {
+    const [countryRates, pricesIncludeTax] = await Promise.all([
+      country ? this.repository.findActiveForCountry(country) : [],
+      this.getPricesIncludeTax(),
+    ]);
+
+    return calculateTax({
+      items,
+      shippingCost,
+      couponDiscount,
+      rates: selectTaxRates(countryRates, { country, state }),
+      pricesIncludeTax,
+    });
+  }
+
+  async quoteForCart(
+    cartItems = [],
+    { country, state, shippingCost = 0, couponDiscount = 0 } = {},
+  ) {
+    const productIds = [
+      ...new Set(cartItems.map((item) => String(item.productId))),
+    ];
+    const products = productIds.length
+      ? await Product.find({ _id: { $in: productIds } })
+          .select("taxClass")
+          .lean()
+      : [];
+    const taxClassById = new Map(
+      products.map((product) => [
+        product._id.toString(),
+        product.taxClass || "standard",
+      ]),
+    );
+
+    return this.quoteTax({
+      items: cartItems.map((item) => ({
+        amount: item.amount,
+        taxClass: taxClassById.get(String(item.productId)) || "standard",
+      })),
+      country,
+      state,
+      shippingCost,
+      couponDiscount,
+    });
+  }
+}
@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import { BaseService } from "../core/BaseService.js";
+import { config } from "../config/index.js";
+import { isStaffRole } from "../constants/permissions.js";
+import { Setting } from "../models/Setting.js";
+import { UserRepository } from "../repositories/index.js";
+import { AppError } from "../utils/AppError.js";
+import { logger } from "../utils/logger.js";
+import {
+  generateTotpSecret,
+  totpProvisioningUri,
+  verifyTotp,
+} from "../utils/totp.js";
+
+export const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+export const RECOVERY_CODE_COUNT = 10;
+
+const CHALLENGE_AUDIENCE = "2fa-challenge";
+// Shares the access-token secret, so the type keeps `protect` from ever
+// taking a challenge for a signed-in session.
+const CHALLENGE_TYPE = "2fa_challenge";
+
+// Recovery codes are shown as "xxxxx-xxxxx" but compared without the dash
+// or case, since people type them back by hand.
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(code || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, ""),
+    )
+    .digest("hex");
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * TOTP second factor: enrollment with a QR code, recovery codes, and the
+ * short-lived challenge token that stands between a correct password and a
+ * session.
+ */
+export class TwoFactorService extends BaseService {
+  constructor(userRepository = new UserRepository()) {
+    super();
+    this.repository = userRepository;
+  }
+
+  async loadSettings() {
+    return Setting.findOne({ key: "main" })
+      .select("siteName requireAdminTwoFactor")
+      .lean();
+  }
+
+  async isRequiredFor(user) {
+    if (!isStaffRole(user?.role)) return false;
+    const settings = await this.loadSettings();
+    return Boolean(settings?.requireAdminTwoFactor);
+  }
+
+  async loadUser(userId) {
+    const user = await this.repository.findByIdWithTwoFactor(userId);
+    this.assertFound(user, "User");
+    return user;
+  }
+
+  async getStatus(userId) {
+    const user = await this.loadUser(userId);
+    const enabled = Boolean(user.twoFactor?.enabled);
+    return {
+      enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: enabled
+        ? user.twoFactor.recoveryCodes?.length || 0
+        : 0,
+      required: await this.isRequiredFor(user),
+    };
+  }
+
+  /**
+   * Starts (or restarts) enrollment with a fresh secret. It only takes
+   * effect once `enable` confirms a code from the authenticator app.
+   */
+  async beginSetup(userId) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is already on", 400);
+    }
+
+    const secret = generateTotpSecret();
+    await this.repository.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.pendingSecret": secret } },
+    );
+
+    const settings = await this.loadSettings();
+    const otpauthUrl = totpProvisioningUri({
+      secret,
+      accountName: user.email,
+      issuer: settings?.siteName || "Enterprise E-Commerce",
+    });
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    };
+  }
+
+  /**
+   * Confirms enrollment and returns the recovery codes. They are only ever
+   * shown here; the account keeps their hashes.
+   */
+  async enable(userId, code) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is already on", 400);
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw new AppError("Start two-factor setup first", 400);
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) throw new AppError("Invalid authentication code", 400);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await this.repository.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+          "twoFactor.lastUsedStep": step,
+          "twoFactor.enabledAt": new Date(),
+        },
+        $unset: { "twoFactor.pendingSecret": 1 },
+      },
+    );
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+    return { recoveryCodes };
+  }
+
+  // Accepts a current authenticator code or an unused recovery code.
+  async verify(userId, { code, recoveryCode } = {}) {
+    const user = await this.loadUser(userId);
+    if (!user.twoFactor?.enabled) {
+      throw new AppError("Two-factor authentication is not on", 400);
+    }
+
+    if (recoveryCode) {
+      const consumed = await this.repository.consumeRecoveryCode(
+        user._id,
+        hashRecoveryCode(recoveryCode),
+      );
+      if (!consumed) throw new AppError("Invalid recovery code", 401);
+      logger.info(`Recovery code used by user: ${user.email}`);
+      return { method: "recovery_code" };
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, {
+      afterStep: user.twoFactor.lastUsedStep ?? -1,
+    });
+    if (
+      step === null ||
+      !(await this.repository.claimTwoFactorStep(user._id, step))
+    ) {
+      throw new AppError("Invalid authentication code", 401);
+    }
+    return { method: "totp" };
+  }
+
+  async disable(userId, credentials) {
+    const user = await this.loadUser(userId);
+    if (await this.isRequiredFor(user)) {
+      throw new AppError(
+        "Two-factor authentication is required for staff accounts",
+        403,
+      );
+    }
+
+    await this.verify(user._id, credentials);
+    await this.repository.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false, "twoFactor.enabledAt": null },
+        $unset: {
+          "twoFactor.secret": 1,
+          "twoFactor.pendingSecret": 1,
+          "twoFactor.recoveryCodes": 1,
+          "twoFactor.lastUsedStep": 1,
+        },
+      },
+    );
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+    return { message: "Two-factor authentication turned off" };
+  }
+
+  async regenerateRecoveryCodes(userId, credentials) {
+    await this.verify(userId, credentials);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await this.repository.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+        },
+      },
+    );
+    return { recoveryCodes };
+  }
+
+  issueChallenge(
+    user,
+    { rememberMe = false, enrolled = true, method = "password" } = {},
+  ) {
+    return jwt.sign(
+      {
+        userId: String(user._id),
+        rememberMe: Boolean(rememberMe),
+        enrolled,
+        method,
+        type: CHALLENGE_TYPE,
+      },
+      config.jwt.secret,
+      {
+        audience: CHALLENGE_AUDIENCE,
+        expiresIn: `${TWO_FACTOR_CHALLENGE_TTL_MINUTES}m`,
+      },
+    );
+  }
+
+  readChallenge(challengeToken) {
+    try {
+      const challenge = jwt.verify(
+        String(challengeToken || ""),
+        config.jwt.secret,
+        { audience: CHALLENGE_AUDIENCE, algorithms: ["HS256"] },
+      );
+      if (challenge.type === CHALLENGE_TYPE) return challenge;
+    } catch {
+      // Expired or forged; refused below with the same message.
+    }
+    throw new AppError("Your sign-in expired. Please sign in again.", 401);
+  }
+}
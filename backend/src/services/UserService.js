@@ -1,14 +1,22 @@
 import mongoose from "mongoose";
 import { BaseService } from "../core/BaseService.js";
 import { User } from "../models/User.js";
+import { ROLE_NAMES } from "../constants/permissions.js";
 import { AppError } from '../utils/AppError.js';
 import { imageProcessingService } from "./ImageProcessingService.js";
-import { UserRepository } from '../repositories/index.js';
+import { LoginSecurityService } from "./LoginSecurityService.js";
+import { SessionRepository, UserRepository } from '../repositories/index.js';
 
 export class UserService extends BaseService {
-  constructor(repository = new UserRepository()) {
+  constructor(
+    repository = new UserRepository(),
+    sessionRepository = new SessionRepository(),
+    loginSecurity = new LoginSecurityService(repository),
+  ) {
     super();
     this.repository = repository;
+    this.sessionRepository = sessionRepository;
+    this.loginSecurity = loginSecurity;
   }
 
   isValidEmail(value) {
@@ -24,6 +32,7 @@ export class UserService extends BaseService {
     delete obj.passwordResetToken;
     delete obj.passwordResetExpires;
     delete obj.emailVerificationToken;
+    delete obj.emailVerificationExpires;
     return obj;
   }
 
@@ -68,7 +77,7 @@ export class UserService extends BaseService {
     }
 
     const normalizedRole = this.normalizeRole(role);
-    if (normalizedRole && ["admin", "user"].includes(normalizedRole)) {
+    if (normalizedRole && ROLE_NAMES.includes(normalizedRole)) {
       query.role = normalizedRole;
     }
 
@@ -137,8 +146,8 @@ export class UserService extends BaseService {
         message: "Password must be at least 8 characters",
       });
     }
-    if (!["admin", "user"].includes(role)) {
-      errors.push({ field: "role", message: "Role must be admin or user" });
+    if (!ROLE_NAMES.includes(role)) {
+      errors.push({ field: "role", message: "Role is not recognised" });
     }
     if (!["active", "inactive"].includes(status)) {
       errors.push({
@@ -227,8 +236,8 @@ export class UserService extends BaseService {
 
     if (data.role !== undefined) {
       const role = this.normalizeRole(data.role);
-      if (!["admin", "user"].includes(role)) {
-        errors.push({ field: "role", message: "Role must be admin or user" });
+      if (!ROLE_NAMES.includes(role)) {
+        errors.push({ field: "role", message: "Role is not recognised" });
       } else {
         update.role = role;
       }
@@ -293,4 +302,39 @@ export class UserService extends BaseService {
 
     return this.sanitizeUser(user);
   }
+
+  // Force-logout: every device the user is signed in on loses its session
+  // on its next request.
+  async revokeUserSessions(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new AppError("Invalid user ID", 400);
+    }
+
+    const exists = await this.repository.exists({ _id: id });
+    if (!exists) {
+      throw new AppError("User not found", 404);
+    }
+
+    const result = await this.sessionRepository.revokeAllForUser(id, "admin");
+    return { revoked: result.modifiedCount };
+  }
+
+  async getLoginHistory(id, { page = 1, limit = 20 } = {}) {
+    const exists = await this.repository.exists({ _id: id });
+    if (!exists) {
+      throw new AppError("User not found", 404);
+    }
+
+    return this.loginSecurity.listHistory(id, { page, limit });
+  }
+
+  async unlockUser(id) {
+    const exists = await this.repository.exists({ _id: id });
+    if (!exists) {
+      throw new AppError("User not found", 404);
+    }
+
+    await this.loginSecurity.unlock(id);
+    return { unlocked: true };
+  }
 }
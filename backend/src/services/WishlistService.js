@@ -4,24 +4,41 @@ import { Product } from "../models/Product.js";
 import { BaseService } from "../core/BaseService.js";
 import { AppError } from '../utils/AppError.js';
 import { WishlistRepository } from '../repositories/index.js';
+import { PricingService, PRICING_PRODUCT_FIELDS } from "./PricingService.js";
+import { sellableQuantity } from "../utils/inventoryPolicy.js";
 
 const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
 export class WishlistService extends BaseService {
-  constructor(repository = new WishlistRepository()) {
+  constructor(
+    repository = new WishlistRepository(),
+    pricingService = new PricingService(),
+  ) {
     super();
     this.repository = repository;
+    this.pricingService = pricingService;
+  }
+
+  async withPricedProducts(items) {
+    const products = await this.pricingService.priceProducts(
+      items.map((item) => item.productId).filter(Boolean),
+    );
+    const pricedById = new Map(
+      products.map((product) => [product._id.toString(), product]),
+    );
+    return items.map((item) =>
+      item.productId
+        ? { ...item, productId: pricedById.get(item.productId._id.toString()) }
+        : item,
+    );
   }
 
   async getWishlist(userId) {
     const items = await Wishlist.find({ userId })
-      .populate(
-        "productId",
-        "title slug images basePrice baseDiscount baseStock hasVariants variants status",
-      )
+      .populate("productId", `title slug images ${PRICING_PRODUCT_FIELDS}`)
       .sort({ createdAt: -1 })
       .lean();
-    return { items, count: items.length };
+    return { items: await this.withPricedProducts(items), count: items.length };
   }
 
   async addItem(userId, productId) {
@@ -30,12 +47,10 @@ export class WishlistService extends BaseService {
       { $setOnInsert: { userId, productId } },
       { new: true, upsert: true },
     )
-      .populate(
-        "productId",
-        "title slug images basePrice baseDiscount baseStock hasVariants variants status",
-      )
+      .populate("productId", `title slug images ${PRICING_PRODUCT_FIELDS}`)
       .lean();
-    return item;
+    const [priced] = await this.withPricedProducts([item]);
+    return priced;
   }
 
   async removeItem(userId, id) {
@@ -63,11 +78,10 @@ export class WishlistService extends BaseService {
       );
     }
 
-    const unitPrice = round(
-      product.basePrice * (1 - (product.baseDiscount || 0) / 100),
-    );
-    const availableStock = Number(product.baseStock || 0);
-    if (availableStock < 1) throw new AppError("Product is out of stock", 400);
+    const { unitPrice, availableStock, inventoryPolicy } =
+      await this.pricingService.resolveItemPrice(product);
+    const sellable = sellableQuantity(availableStock, inventoryPolicy);
+    if (sellable < 1) throw new AppError("Product is out of stock", 400);
 
     const existingCartItem = await Cart.findOne({
       userId,
@@ -76,9 +90,9 @@ export class WishlistService extends BaseService {
     });
 
     const nextQuantity = (existingCartItem?.quantity || 0) + 1;
-    if (nextQuantity > availableStock) {
+    if (nextQuantity > sellable) {
       throw new AppError(
-        `Only ${availableStock} item(s) available in stock`,
+        `Only ${sellable} item(s) available in stock`,
         400,
       );
     }
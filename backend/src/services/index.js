@@ -1,16 +1,28 @@
+export * from "./AuditLogService.js";
 export * from "./AuthService.js";
+export * from "./BackInStockService.js";
 export * from "./BannerService.js";
 export * from "./BrandService.js";
 export * from "./CartService.js";
 export * from "./CategoryService.js";
 export * from "./CouponService.js";
 export * from "./DiscountService.js";
+export * from "./EmailTemplateService.js";
 export * from "./ImageProcessingService.js";
+export * from "./InventoryService.js";
+export * from "./OAuthService.js";
 export * from "./OrderService.js";
 export * from "./PaymentService.js";
+export * from "./PricingService.js";
 export * from "./ProductService.js";
 export * from "./ReviewService.js";
 export * from "./SettingService.js";
+export * from "./ShippingService.js";
+export * from "./StockLocationService.js";
+export * from "./StockReservationService.js";
+export * from "./StripeWebhookService.js";
+export * from "./TaxService.js";
+export * from "./TwoFactorService.js";
 export * from "./UserService.js";
 export * from "./VariantOptionService.js";
 export * from "./VariantTypeService.js";
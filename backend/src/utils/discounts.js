@@ -0,0 +1,172 @@
+import { resolveInventoryPolicy } from "./inventoryPolicy.js";
+import { round } from "./pricing.js";
+
+const toId = (value) => {
+  if (!value) return null;
+  if (typeof value === "object" && value._id) return value._id.toString();
+  return value.toString();
+};
+
+/**
+ * Whether a campaign's start/end window covers `now`. Checked on every price
+ * resolution so campaigns switch on and off without a scheduled job.
+ */
+export const isDiscountLive = (discount, now = new Date()) => {
+  if (!discount || discount.isActive === false) return false;
+  const startsAt = new Date(discount.startsAt);
+  const endsAt = new Date(discount.endsAt);
+  return startsAt <= now && endsAt >= now;
+};
+
+/**
+ * Picks the highest-priority live campaign that targets the product directly
+ * or through its category or child category. Ties keep the earlier entry.
+ */
+export const findProductDiscount = (
+  product,
+  discounts = [],
+  now = new Date(),
+) => {
+  if (!product) return null;
+  const productId = toId(product._id);
+  const categoryIds = [product.category?.id, product.childCategory?.id]
+    .map(toId)
+    .filter(Boolean);
+
+  let best = null;
+  for (const discount of discounts) {
+    if (!isDiscountLive(discount, now)) continue;
+    const targetsProduct = (discount.products || []).some(
+      (id) => toId(id) === productId,
+    );
+    const targetsCategory = (discount.categories || []).some((id) =>
+      categoryIds.includes(toId(id)),
+    );
+    if (!targetsProduct && !targetsCategory) continue;
+    if (!best || Number(discount.priority || 0) > Number(best.priority || 0)) {
+      best = discount;
+    }
+  }
+  return best;
+};
+
+export const applyDiscount = (price, discount) => {
+  const base = Number(price) || 0;
+  if (!discount) return round(base);
+  const value = Number(discount.value) || 0;
+  if (discount.type === "percentage") return round(base * (1 - value / 100));
+  return round(Math.max(0, base - value));
+};
+
+export const summarizeDiscount = (discount) =>
+  discount
+    ? {
+        id: discount._id,
+        title: discount.title,
+        type: discount.type === "amount" ? "fixed" : discount.type,
+        value: discount.value,
+        endsAt: discount.endsAt,
+      }
+    : null;
+
+const priceAgainstCampaign = (listPrice, ownDiscount, campaign) => {
+  const salePrice = round(listPrice * (1 - ownDiscount / 100));
+  const campaignPrice = campaign ? applyDiscount(listPrice, campaign) : null;
+  const useCampaign = campaignPrice !== null && campaignPrice < salePrice;
+  const unitPrice = useCampaign ? campaignPrice : salePrice;
+  return {
+    listPrice: round(listPrice),
+    unitPrice,
+    discountPercent:
+      listPrice > 0 ? round(((listPrice - unitPrice) / listPrice) * 100) : 0,
+    discount: useCampaign ? summarizeDiscount(campaign) : null,
+  };
+};
+
+/**
+ * Unit price for a product or one of its variants. A campaign is priced off
+ * the list price and only wins when it beats the item's own sale discount;
+ * the two never stack. Returns null for an invalid variant selection.
+ */
+export const resolveItemPrice = (
+  product,
+  variantId = null,
+  discounts = [],
+  now = new Date(),
+) => {
+  if (!product) return null;
+  const campaign = findProductDiscount(product, discounts, now);
+
+  if (variantId) {
+    const variant = (product.variants || []).find(
+      (entry) => toId(entry?._id) === toId(variantId),
+    );
+    if (!product.hasVariants || !variant || variant.status !== "active")
+      return null;
+    return {
+      ...priceAgainstCampaign(
+        Number(variant.price || 0),
+        Number(variant.discount || 0),
+        campaign,
+      ),
+      availableStock: Number(variant.stock || 0),
+      inventoryPolicy: resolveInventoryPolicy(product, variant),
+      variantId: variant._id,
+    };
+  }
+
+  if (product.hasVariants) return null;
+  return {
+    ...priceAgainstCampaign(
+      Number(product.basePrice || 0),
+      Number(product.baseDiscount || 0),
+      campaign,
+    ),
+    availableStock: Number(product.baseStock || 0),
+    inventoryPolicy: resolveInventoryPolicy(product),
+    variantId: null,
+  };
+};
+
+/**
+ * Adds resolved `finalPrice` values (per variant for variant products) and the
+ * campaign that produced them as `activeDiscount` to a plain product object.
+ */
+export const applyProductPricing = (
+  product,
+  discounts = [],
+  now = new Date(),
+) => {
+  if (!product) return product;
+  const campaign = findProductDiscount(product, discounts, now);
+
+  if (product.hasVariants) {
+    let applied = null;
+    const variants = (product.variants || []).map((variant) => {
+      const pricing = priceAgainstCampaign(
+        Number(variant.price || 0),
+        Number(variant.discount || 0),
+        campaign,
+      );
+      applied = applied || pricing.discount;
+      return {
+        ...variant,
+        finalPrice: pricing.unitPrice,
+        discountPercent: pricing.discountPercent,
+      };
+    });
+    return { ...product, variants, finalPrice: null, activeDiscount: applied };
+  }
+
+  const pricing = priceAgainstCampaign(
+    Number(product.basePrice || 0),
+    Number(product.baseDiscount || 0),
+    campaign,
+  );
+  return {
+    ...product,
+    finalPrice: pricing.unitPrice,
+    discountPercent: pricing.discountPercent,
+    activeDiscount: pricing.discount,
+  };
+};
@@ -0,0 +1,272 @@
+import { config } from "../config/index.js";
+
+// Renders the `{{variable}}` placeholders and `{{#flag}}…{{/flag}}` /
+// `{{^flag}}…{{/flag}}` sections used by the stored email templates.
+// Values are always HTML-escaped in HTML output; only rich values built
+// here (`{ html, text }`, such as the items table) are inserted as markup.
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  "#39": "'",
+  nbsp: " ",
+  middot: "·",
+};
+
+const decodeEntities = (value) =>
+  value.replace(
+    /&(amp|lt|gt|quot|#39|nbsp|middot);/g,
+    (_, name) => ENTITIES[name],
+  );
+
+const SECTION_PATTERN =
+  /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const isRich = (value) =>
+  Boolean(value) && typeof value === "object" && "html" in value;
+
+const isSet = (value) => (isRich(value) ? Boolean(value.text) : Boolean(value));
+
+// `format` is "html", "plain", or "htmlText": HTML whose rich values use
+// their text form, for deriving the plain-text part.
+const formatValue = (value, format) => {
+  if (format === "plain")
+    return String(isRich(value) ? value.text : (value ?? ""));
+  if (!isRich(value)) return escapeHtml(value);
+  if (format === "html") return value.html;
+  return `<div>${escapeHtml(value.text).replace(/\n/g, "<br>")}</div>`;
+};
+
+export const renderTemplateString = (
+  source,
+  variables = {},
+  format = "html",
+) => {
+  let output = String(source || "");
+  let previous;
+  do {
+    previous = output;
+    output = output.replace(SECTION_PATTERN, (_, kind, name, inner) =>
+      isSet(variables[name]) === (kind === "#") ? inner : "",
+    );
+  } while (output !== previous);
+  return output.replace(PLACEHOLDER_PATTERN, (_, name) =>
+    formatValue(variables[name], format),
+  );
+};
+
+// Names referenced by a template, for checking them before it is saved.
+export const templatePlaceholders = (source) => {
+  const names = new Set();
+  const text = String(source || "");
+  for (const match of text.matchAll(/\{\{[#^/]?\s*(\w+)\s*\}\}/g)) {
+    names.add(match[1]);
+  }
+  return [...names];
+};
+
+export const htmlToText = (html) =>
+  decodeEntities(
+    String(html || "")
+      .replace(/<(style|script)\b[\s\S]*?<\/\1>/gi, "")
+      .replace(/\s+/g, " ")
+      .replace(
+        /<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi,
+        (_, href, label) => {
+          const text = label.replace(/<[^>]+>/g, "").trim();
+          return text && text !== href ? `${text} (${href})` : href;
+        },
+      )
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/?(p|div|h[1-6]|table|tr|ul|ol)\b[^>]*>/gi, "\n\n")
+      .replace(/<li\b[^>]*>/gi, "\n- ")
+      .replace(/<\/t[dh]>\s*<t[dh]\b[^>]*>/gi, "  ")
+      .replace(/<[^>]+>/g, ""),
+  )
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const EMAIL_LAYOUT = `<div style="background:#f1f5f9;padding:24px 12px;font-family:sans-serif;color:#334155;">
+  <div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:12px;padding:24px;">
+    {{#storeLogo}}<img src="{{storeLogo}}" alt="{{storeName}}" style="max-height:48px;margin-bottom:16px;">{{/storeLogo}}{{^storeLogo}}<p style="font-size:18px;font-weight:700;color:#0f172a;margin:0 0 16px;">{{storeName}}</p>{{/storeLogo}}
+    {{body}}
+    <p style="color:#94a3b8;font-size:12px;margin-top:24px;">{{storeName}}{{#supportEmail}} &middot; {{supportEmail}}{{/supportEmail}}</p>
+  </div>
+</div>`;
+
+/**
+ * Renders a `{ subject, html, text }` template into an email. The body is
+ * wrapped in the store layout; without a text version the plain-text part
+ * is derived from the HTML.
+ */
+export const renderEmailTemplate = (template, variables = {}) => {
+  const body = renderTemplateString(template.html, variables, "html");
+  const text = String(template.text || "").trim()
+    ? renderTemplateString(template.text, variables, "plain").trim()
+    : htmlToText(renderTemplateString(template.html, variables, "htmlText"));
+
+  return {
+    subject: renderTemplateString(template.subject, variables, "plain")
+      .replace(/\s+/g, " ")
+      .trim(),
+    html: renderTemplateString(
+      EMAIL_LAYOUT,
+      { ...variables, body: { html: body, text } },
+      "html",
+    ),
+    text,
+  };
+};
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "";
+
+const absoluteUrl = (path) => {
+  if (!path) return "";
+  if (/^https?:\/\//i.test(path)) return path;
+  return `${config.apiUrl}/${String(path).replace(/^\/+/, "")}`;
+};
+
+export const storeTemplateVariables = (settings = {}) => ({
+  storeName: settings?.siteName || "Enterprise E-Commerce",
+  storeLogo: absoluteUrl(settings?.logo),
+  storeUrl: settings?.siteUrl || config.frontendUrl,
+  supportEmail: settings?.supportEmail || settings?.websiteEmail || "",
+});
+
+const fulfilmentNote = (item) => {
+  if (!["backorder", "preorder"].includes(item.fulfilment)) return "";
+  const expected = formatDate(item.expectedDate);
+  return `${item.fulfilment === "preorder" ? "pre-order" : "backordered"}${expected ? `, expected ${expected}` : ""}`;
+};
+
+const itemsTable = (items = []) => {
+  const rows = items.map((item) => ({
+    title: item.title,
+    quantity: item.quantity,
+    amount: money(item.amount ?? item.price * item.quantity),
+    note: fulfilmentNote(item),
+  }));
+
+  return {
+    html: `<table style="width:100%;border-collapse:collapse;margin:16px 0;font-size:14px;">${rows
+      .map(
+        (row) =>
+          `<tr><td style="padding:6px 0;border-bottom:1px solid #e2e8f0;">${escapeHtml(row.title)}${row.note ? `<br><span style="color:#b45309;font-size:12px;">${escapeHtml(row.note)}</span>` : ""}</td><td style="padding:6px 8px;border-bottom:1px solid #e2e8f0;text-align:center;">${row.quantity}</td><td style="padding:6px 0;border-bottom:1px solid #e2e8f0;text-align:right;">${row.amount}</td></tr>`,
+      )
+      .join("")}</table>`,
+    text: rows
+      .map(
+        (row) =>
+          `${row.quantity} x ${row.title} (${row.amount})${row.note ? `, ${row.note}` : ""}`,
+      )
+      .join("\n"),
+  };
+};
+
+const paymentLabel = (order) => {
+  if (order.paymentStatus === "paid") return "paid";
+  if (order.paymentMethod === "cod") return "cash on delivery";
+  return order.paymentStatus || "";
+};
+
+export const orderTemplateVariables = (order) => ({
+  customerName:
+    [order.firstName, order.lastName].filter(Boolean).join(" ") || "Customer",
+  firstName: order.firstName || "there",
+  orderNumber: order.orderNumber,
+  orderDate: formatDate(order.createdAt),
+  orderTotal: money(order.totalAmount),
+  itemsTable: itemsTable(order.items),
+  paymentLabel: paymentLabel(order),
+  paid: order.paymentStatus === "paid",
+  trackingNumber: order.trackingNumber || "",
+  refunded: order.paymentStatus === "refunded",
+});
+
+const RETURN_MESSAGES = {
+  requested: () =>
+    "We have received your return request and will review it shortly.",
+  approved: () =>
+    "Your return has been approved. Please send the items back using the instructions from our support team.",
+  rejected: (request) =>
+    `Your return request was declined.${request.rejectionReason ? ` Reason: ${request.rejectionReason}` : ""}`,
+  received: () =>
+    "We have received the returned items. Your refund will be processed next.",
+  refunded: (request) =>
+    `Your refund of ${money(request.refundAmount)} has been issued.`,
+};
+
+export const returnTemplateVariables = (order, returnRequest) => ({
+  ...orderTemplateVariables(order),
+  returnStatus: returnRequest.status,
+  returnMessage: (RETURN_MESSAGES[returnRequest.status] || (() => ""))(
+    returnRequest,
+  ),
+  refundAmount: money(returnRequest.refundAmount),
+});
+
+export const backInStockTemplateVariables = ({ product, variant }) => ({
+  productName: variant?.displayName
+    ? `${product.title} (${variant.displayName})`
+    : product.title,
+  productUrl: `${config.frontendUrl}/products/${product.slug || product._id}`,
+  sku: (variant ? variant.sku : product.baseSku) || "",
+});
+
+export const accountTemplateVariables = (user) => ({
+  customerName: user.name || "Customer",
+  firstName: String(user.name || "").split(" ")[0] || "there",
+});
+
+// Account links point at the storefront; `storeUrl` comes from
+// storeTemplateVariables so they follow the configured site URL.
+const tokenUrl = (storeUrl, path, token) =>
+  `${String(storeUrl || config.frontendUrl).replace(/\/+$/, "")}${path}?token=${encodeURIComponent(token)}`;
+
+export const verificationTemplateVariables = (
+  { user, token, expiresIn },
+  storeUrl,
+) => ({
+  ...accountTemplateVariables(user),
+  verificationUrl: tokenUrl(storeUrl, "/verify-email", token),
+  expiresIn,
+});
+
+// Customers can sign the device out from their profile; staff have no
+// account area, so their link goes to a password reset instead.
+export const newDeviceSignInTemplateVariables = (
+  { user, device, ip, signedInAt, staff = false },
+  storeUrl,
+) => ({
+  ...accountTemplateVariables(user),
+  device: device || "Unknown device",
+  ipAddress: ip || "unknown",
+  signedInAt: `${new Date(signedInAt || Date.now()).toISOString().slice(0, 16).replace("T", " ")} UTC`,
+  securityUrl: `${String(storeUrl || config.frontendUrl).replace(/\/+$/, "")}${staff ? "/forgot-password" : "/account/profile"}`,
+});
+
+export const passwordResetTemplateVariables = (
+  { user, token, expiresIn },
+  storeUrl,
+) => ({
+  ...accountTemplateVariables(user),
+  resetUrl: tokenUrl(storeUrl, "/reset-password", token),
+  expiresIn,
+});
@@ -2,6 +2,9 @@ export * from "./AppError.js";
 export * from "./responseFormatter.js";
 export * from "./logger.js";
 export * from "./pricing.js";
+export * from "./discounts.js";
+export * from "./shipping.js";
+export * from "./tax.js";
 export * from "./requestCache.js";
 export * from "./settingsCache.js";
 export * from "./shared.js";
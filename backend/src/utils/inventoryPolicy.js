@@ -0,0 +1,114 @@
+import { INVENTORY_POLICIES } from "../models/Product.js";
+
+const toLimit = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 0 ? limit : null;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalises an inventory policy from an admin form. Variants may also
+ * `inherit` the product's policy.
+ */
+export const parseInventoryPolicy = (value, { allowInherit = false } = {}) => {
+  const modes = allowInherit
+    ? ["inherit", ...INVENTORY_POLICIES]
+    : INVENTORY_POLICIES;
+  const fallback = allowInherit ? "inherit" : "deny";
+  const mode = modes.includes(value?.mode) ? value.mode : fallback;
+  if (mode === "deny" || mode === "inherit") {
+    return { mode, expectedDate: null, oversellLimit: null };
+  }
+  return {
+    mode,
+    expectedDate: toDate(value.expectedDate),
+    oversellLimit: toLimit(value.oversellLimit),
+  };
+};
+
+/**
+ * The policy a SKU sells under: the variant's own unless it inherits the
+ * product's. Products saved before policies existed deny overselling.
+ */
+export const resolveInventoryPolicy = (product, variant = null) => {
+  const own = variant?.inventoryPolicy;
+  const source =
+    own?.mode && own.mode !== "inherit" ? own : product?.inventoryPolicy;
+  const mode = INVENTORY_POLICIES.includes(source?.mode) ? source.mode : "deny";
+  return {
+    mode,
+    expectedDate: mode === "deny" ? null : toDate(source.expectedDate),
+    oversellLimit: mode === "deny" ? 0 : toLimit(source.oversellLimit),
+  };
+};
+
+/**
+ * Units that can still be sold from `stock`: the stock itself when the
+ * policy denies overselling, otherwise down to the oversell cap, or without
+ * limit when there is none.
+ */
+export const sellableQuantity = (stock, policy) => {
+  const onHand = Number(stock || 0);
+  if (policy.mode === "deny") return Math.max(0, onHand);
+  if (policy.oversellLimit === null) return Infinity;
+  return Math.max(0, onHand + policy.oversellLimit);
+};
+
+/**
+ * Lowest stock level a sale of `quantity` units needs, for the guarded
+ * decrement at checkout; null when the policy does not cap overselling.
+ */
+export const requiredStock = (quantity, policy) => {
+  if (policy.mode === "deny") return quantity;
+  if (policy.oversellLimit === null) return null;
+  return quantity - policy.oversellLimit;
+};
+
+/**
+ * How a line of `quantity` units is fulfilled when `onHand` units are on the
+ * shelf: units beyond them are backordered, and pre-order SKUs are flagged
+ * as such whatever the stock.
+ */
+export const fulfilmentFor = (quantity, onHand, policy) => {
+  const backorderedQuantity =
+    policy.mode === "deny"
+      ? 0
+      : Math.max(0, Number(quantity || 0) - Math.max(0, Number(onHand || 0)));
+  const fulfilment =
+    policy.mode === "preorder"
+      ? "preorder"
+      : backorderedQuantity > 0
+        ? "backorder"
+        : "in_stock";
+  return {
+    fulfilment,
+    backorderedQuantity,
+    expectedDate: fulfilment === "in_stock" ? null : policy.expectedDate,
+  };
+};
+
+/**
+ * Storefront availability of a SKU with `available` units on the shelf
+ * (after other shoppers' holds): in stock, on backorder, on pre-order or
+ * sold out, with the date backordered and pre-ordered units ship around.
+ */
+export const availabilityFor = (available, policy) => {
+  const sellable = sellableQuantity(available, policy);
+  let status = "out_of_stock";
+  if (sellable > 0) {
+    if (policy.mode === "preorder") status = "preorder";
+    else if (available > 0) status = "in_stock";
+    else status = "backorder";
+  }
+  return {
+    status,
+    expectedDate: status === "in_stock" ? null : policy.expectedDate,
+    sellableQuantity: Number.isFinite(sellable) ? sellable : null,
+  };
+};
@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { config } from "../config/index.js";
+import { AppError } from "./AppError.js";
+
+/**
+ * Social sign-in providers. Each one builds the authorization URL and turns
+ * an authorization code into a normalized profile:
+ * `{ providerId, email, emailVerified, name }`. Credentials come from the
+ * store settings, falling back to the environment.
+ */
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+export const createPkcePair = () => {
+  const verifier = base64Url(crypto.randomBytes(32));
+  const challenge = base64Url(
+    crypto.createHash("sha256").update(verifier).digest(),
+  );
+  return { verifier, challenge };
+};
+
+const requestJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: "application/json", ...options.headers },
+      signal: AbortSignal.timeout(10000),
+    });
+  } catch {
+    throw new AppError("The sign-in provider could not be reached", 502);
+  }
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new AppError(
+      body.error_description ||
+        body.error?.message ||
+        "The sign-in provider rejected the request",
+      502,
+    );
+  }
+  return body;
+};
+
+const withQuery = (url, params) => {
+  const target = new URL(url);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) target.searchParams.set(key, value);
+  });
+  return target.toString();
+};
+
+/**
+ * An OpenID Connect provider found through `<issuer>/.well-known/openid-configuration`.
+ * The ID token comes straight from the token endpoint over TLS, so its claims
+ * are checked (issuer, audience, expiry, nonce) without fetching signing keys.
+ */
+export const createOidcProvider = ({
+  name,
+  label,
+  issuer,
+  scope = "openid email profile",
+  credentials,
+}) => {
+  let discovery = null;
+  const resolveIssuer = () =>
+    String(typeof issuer === "function" ? issuer() : issuer).replace(/\/$/, "");
+
+  const discover = async () => {
+    const url = resolveIssuer();
+    if (discovery?.url !== url) {
+      discovery = {
+        url,
+        document: await requestJson(`${url}/.well-known/openid-configuration`),
+      };
+    }
+    return discovery.document;
+  };
+
+  return {
+    name,
+    label,
+    credentials,
+    async authorizationUrl({
+      clientId,
+      redirectUri,
+      state,
+      nonce,
+      codeChallenge,
+    }) {
+      const { authorization_endpoint: endpoint } = await discover();
+      return withQuery(endpoint, {
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      });
+    },
+    async fetchProfile({
+      code,
+      codeVerifier,
+      clientId,
+      clientSecret,
+      redirectUri,
+      nonce,
+    }) {
+      const document = await discover();
+      const tokens = await requestJson(document.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          code_verifier: codeVerifier,
+          client_id: clientId,
+          client_secret: clientSecret,
+          redirect_uri: redirectUri,
+        }),
+      });
+
+      const claims = tokens.id_token ? jwt.decode(tokens.id_token) : null;
+      const audiences = [].concat(claims?.aud || []);
+      if (
+        !claims?.sub ||
+        claims.iss !== document.issuer ||
+        !audiences.includes(clientId) ||
+        !(claims.exp * 1000 > Date.now()) ||
+        claims.nonce !== nonce
+      ) {
+        throw new AppError(`${label} returned an invalid ID token`, 502);
+      }
+
+      return {
+        providerId: String(claims.sub),
+        email: claims.email ? String(claims.email).toLowerCase() : "",
+        emailVerified:
+          claims.email_verified === true || claims.email_verified === "true",
+        name: claims.name || "",
+      };
+    },
+  };
+};
+
+/**
+ * Facebook Login is plain OAuth 2 (with PKCE); the profile comes from the
+ * Graph API. Facebook only shares addresses its users have confirmed.
+ */
+export const createFacebookProvider = ({
+  dialogUrl = () => config.oauth.facebook.dialogUrl,
+  graphUrl = () => config.oauth.facebook.graphUrl,
+} = {}) => ({
+  name: "facebook",
+  label: "Facebook",
+  credentials: (settings) => ({
+    enabled: Boolean(settings?.facebookOAuthEnabled),
+    clientId: settings?.facebookAppId || config.oauth.facebook.appId,
+    clientSecret:
+      settings?.facebookAppSecret || config.oauth.facebook.appSecret,
+  }),
+  async authorizationUrl({ clientId, redirectUri, state, codeChallenge }) {
+    return withQuery(dialogUrl(), {
+      response_type: "code",
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: "email public_profile",
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    });
+  },
+  async fetchProfile({
+    code,
+    codeVerifier,
+    clientId,
+    clientSecret,
+    redirectUri,
+  }) {
+    const tokens = await requestJson(
+      withQuery(`${graphUrl()}/oauth/access_token`, {
+        client_id: clientId,
+        client_secret: clientSecret,
+        redirect_uri: redirectUri,
+        code,
+        code_verifier: codeVerifier,
+      }),
+    );
+    const profile = await requestJson(
+      withQuery(`${graphUrl()}/me`, {
+        fields: "id,name,email",
+        access_token: tokens.access_token,
+      }),
+    );
+    if (!profile.id) {
+      throw new AppError("Facebook did not return a profile", 502);
+    }
+    return {
+      providerId: String(profile.id),
+      email: profile.email ? String(profile.email).toLowerCase() : "",
+      emailVerified: Boolean(profile.email),
+      name: profile.name || "",
+    };
+  },
+});
+
+export const OAUTH_PROVIDERS = {
+  google: createOidcProvider({
+    name: "google",
+    label: "Google",
+    issuer: () => config.oauth.google.issuer,
+    credentials: (settings) => ({
+      enabled: Boolean(settings?.googleOAuthEnabled),
+      clientId: settings?.googleClientId || config.oauth.google.clientId,
+      clientSecret:
+        settings?.googleClientSecret || config.oauth.google.clientSecret,
+    }),
+  }),
+  facebook: createFacebookProvider(),
+};
@@ -1,17 +1,35 @@
 const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
-export const calculateCartTotals = (cartItems = []) => {
+export const calculateCartTotals = (
+  cartItems = [],
+  {
+    couponDiscount = 0,
+    shippingCost = 0,
+    taxTotal = 0,
+    pricesIncludeTax = false,
+  } = {},
+) => {
   const subTotal = round(
     cartItems.reduce((sum, item) => sum + round(item.amount), 0),
   );
-  const shippingCost = subTotal >= 100 ? 0 : 10;
-  const couponDiscount = 0;
-  const totalAmount = round(subTotal + shippingCost - couponDiscount);
+  const appliedShippingCost = round(Math.max(Number(shippingCost) || 0, 0));
+  const appliedCouponDiscount = round(
+    Math.min(Math.max(Number(couponDiscount) || 0, 0), subTotal),
+  );
+  const appliedTaxTotal = round(Math.max(Number(taxTotal) || 0, 0));
+  // Tax-inclusive prices already carry the tax, so only exclusive tax is added.
+  const totalAmount = round(
+    subTotal +
+      appliedShippingCost -
+      appliedCouponDiscount +
+      (pricesIncludeTax ? 0 : appliedTaxTotal),
+  );
 
   return {
     subTotal,
-    shippingCost,
-    couponDiscount,
+    shippingCost: appliedShippingCost,
+    couponDiscount: appliedCouponDiscount,
+    taxTotal: appliedTaxTotal,
     totalAmount,
     amountInCents: Math.round(totalAmount * 100),
   };
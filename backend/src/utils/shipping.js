@@ -0,0 +1,116 @@
+import { round } from "./pricing.js";
+
+// Applied while no shipping method has been configured, so a fresh store keeps
+// charging what the checkout charged before methods were introduced.
+export const DEFAULT_SHIPPING_METHOD = Object.freeze({
+  _id: null,
+  type: "Standard Shipping",
+  rateType: "flat",
+  price: 10,
+  rates: [],
+  freeShippingThreshold: 100,
+  estimatedDays: null,
+  zones: [],
+});
+
+const normalizeRegion = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase();
+
+const matchZone = (zones = [], { country, state } = {}) => {
+  const targetCountry = normalizeRegion(country);
+  const targetState = normalizeRegion(state);
+  let bestZone = null;
+  let bestScore = -1;
+
+  for (const zone of zones) {
+    const countries = (zone.countries || []).map(normalizeRegion);
+    const states = (zone.states || []).map(normalizeRegion);
+    if (countries.length && !countries.includes(targetCountry)) continue;
+    if (states.length && !states.includes(targetState)) continue;
+
+    // State-level zones win over country-level ones, which win over catch-alls.
+    const score = (countries.length ? 1 : 0) + (states.length ? 2 : 0);
+    if (score > bestScore) {
+      bestZone = zone;
+      bestScore = score;
+    }
+  }
+
+  return bestZone;
+};
+
+const resolveRulePrice = (rule, { subTotal, weight }) => {
+  if (rule.rateType === "weight" || rule.rateType === "order_value") {
+    const basis = rule.rateType === "weight" ? weight : subTotal;
+    const tier = (rule.rates || []).find(
+      (entry) =>
+        basis >= Number(entry.min || 0) &&
+        (entry.max === null ||
+          entry.max === undefined ||
+          basis < Number(entry.max)),
+    );
+    return tier ? Number(tier.price) : null;
+  }
+  return Number(rule.price || 0);
+};
+
+const buildQuote = (method, rule, context) => {
+  let price = resolveRulePrice(rule, context);
+  if (price === null || !Number.isFinite(price)) return null;
+
+  const threshold =
+    rule.freeShippingThreshold ?? method.freeShippingThreshold ?? null;
+  if (threshold !== null && context.subTotal >= Number(threshold)) price = 0;
+
+  return {
+    methodId: method._id ? method._id.toString() : null,
+    name: method.type,
+    description: method.description || "",
+    zone: rule === method ? null : rule.name,
+    price: round(price),
+    estimatedDays: rule.estimatedDays ?? method.estimatedDays ?? null,
+  };
+};
+
+/**
+ * Prices one shipping method for a destination. Returns null when the method
+ * does not ship to the address or no rate tier covers the cart.
+ */
+export const quoteShippingMethod = (
+  method,
+  { country, state, subTotal = 0, weight = 0 } = {},
+) => {
+  const context = {
+    subTotal: Number(subTotal) || 0,
+    weight: Number(weight) || 0,
+  };
+
+  if (!method?.zones?.length) return buildQuote(method, method, context);
+
+  const zone = matchZone(method.zones, { country, state });
+  return zone ? buildQuote(method, zone, context) : null;
+};
+
+/**
+ * Lowest price a method could charge before the address is known, used for
+ * the cart estimate.
+ */
+export const estimateShippingMethod = (
+  method,
+  { subTotal = 0, weight = 0 } = {},
+) => {
+  const context = {
+    subTotal: Number(subTotal) || 0,
+    weight: Number(weight) || 0,
+  };
+  const rules = method?.zones?.length ? method.zones : [method];
+  const quotes = rules
+    .map((rule) => buildQuote(method, rule, context))
+    .filter(Boolean);
+  if (!quotes.length) return null;
+  return quotes.reduce((lowest, quote) =>
+    quote.price < lowest.price ? quote : lowest,
+  );
+};
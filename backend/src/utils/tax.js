@@ -0,0 +1,115 @@
+import { round } from "./pricing.js";
+
+const normalizeRegion = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase();
+
+const rateKey = (rate) =>
+  rate._id
+    ? rate._id.toString()
+    : `${rate.country}:${rate.state || ""}:${rate.taxClass}:${rate.rate}`;
+
+/**
+ * Rates that apply to a destination. Country-wide rates and rates for the
+ * exact state both apply, so stacked taxes (e.g. GST + PST) are supported.
+ */
+export const selectTaxRates = (rates = [], { country, state } = {}) => {
+  const targetCountry = normalizeRegion(country);
+  const targetState = normalizeRegion(state);
+  if (!targetCountry) return [];
+
+  return rates.filter(
+    (rate) =>
+      rate.status !== "inactive" &&
+      normalizeRegion(rate.country) === targetCountry &&
+      (!rate.state || normalizeRegion(rate.state) === targetState),
+  );
+};
+
+/**
+ * Computes tax lines for a set of line amounts. The coupon discount is spread
+ * across items in proportion to their amount before tax is applied. When
+ * prices include tax the tax is extracted from the amounts instead of being
+ * added on top, and the order total is left unchanged. `itemTaxes` holds the
+ * tax of each item, in input order, so refunds can return a line's share.
+ */
+export const calculateTax = ({
+  items = [],
+  shippingCost = 0,
+  couponDiscount = 0,
+  rates = [],
+  pricesIncludeTax = false,
+} = {}) => {
+  const subTotal = items.reduce(
+    (sum, item) => sum + (Number(item.amount) || 0),
+    0,
+  );
+  const discount = Math.min(Math.max(Number(couponDiscount) || 0, 0), subTotal);
+  const lines = new Map();
+
+  const applyRates = (base, applicable) => {
+    if (base <= 0 || !applicable.length) return 0;
+    const combinedRate = applicable.reduce(
+      (sum, rate) => sum + Number(rate.rate || 0),
+      0,
+    );
+    const taxable = pricesIncludeTax ? base / (1 + combinedRate / 100) : base;
+
+    let added = 0;
+    for (const rate of applicable) {
+      const key = rateKey(rate);
+      const line = lines.get(key) || {
+        taxRateId: rate._id ? rate._id.toString() : null,
+        name: rate.name,
+        country: normalizeRegion(rate.country),
+        state: rate.state ? normalizeRegion(rate.state) : null,
+        taxClass: rate.taxClass || "standard",
+        rate: Number(rate.rate || 0),
+        taxableAmount: 0,
+        amount: 0,
+      };
+      const amount = (taxable * Number(rate.rate || 0)) / 100;
+      line.taxableAmount += taxable;
+      line.amount += amount;
+      lines.set(key, line);
+      added += amount;
+    }
+    return added;
+  };
+
+  const itemTaxes = items.map((item) => {
+    const amount = Number(item.amount) || 0;
+    const discountShare = subTotal > 0 ? (discount * amount) / subTotal : 0;
+    const taxClass = item.taxClass || "standard";
+    return round(
+      applyRates(
+        amount - discountShare,
+        rates.filter((rate) => (rate.taxClass || "standard") === taxClass),
+      ),
+    );
+  });
+
+  applyRates(
+    Math.max(Number(shippingCost) || 0, 0),
+    rates.filter(
+      (rate) =>
+        rate.appliesToShipping && (rate.taxClass || "standard") === "standard",
+    ),
+  );
+
+  const taxLines = [...lines.values()]
+    .map((line) => ({
+      ...line,
+      taxableAmount: round(line.taxableAmount),
+      amount: round(line.amount),
+    }))
+    .filter((line) => line.amount > 0);
+
+  return {
+    taxLines,
+    taxTotal: round(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+    itemTaxes,
+    pricesIncludeTax: Boolean(pricesIncludeTax),
+  };
+};
@@ -0,0 +1,97 @@
+import crypto from "crypto";
+
+/**
+ * Time-based one-time passwords (RFC 6238) as authenticator apps expect them:
+ * HMAC-SHA1, 6 digits, 30-second steps, with the secret shared as base32.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input || "")
+    .toUpperCase()
+    .replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentTotpStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / STEP_SECONDS);
+
+export const generateTotp = (secret, step = currentTotpStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+};
+
+/**
+ * Returns the step the code belongs to, or null. One step either side is
+ * accepted for clock drift; steps at or before `afterStep` are refused so a
+ * code cannot be replayed.
+ */
+export const verifyTotp = (
+  secret,
+  code,
+  { afterStep = -1, window = 1, now = Date.now() } = {},
+) => {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(candidate)) return null;
+
+  const current = currentTotpStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (step <= afterStep) continue;
+    const expected = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+export const totpProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,37 @@
+/**
+ * A short, human label for a User-Agent header ("Chrome on Windows",
+ * "Safari on iPhone"), good enough for a session list. Order matters: Edge
+ * and Opera also claim to be Chrome, and Chrome also claims to be Safari.
+ */
+
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Version\/[\d.]+.*Safari\//],
+];
+
+const PLATFORMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+const match = (table, userAgent) =>
+  table.find(([, pattern]) => pattern.test(userAgent))?.[0] || null;
+
+export const describeDevice = (userAgent) => {
+  const value = String(userAgent || "");
+  if (!value) return "Unknown device";
+
+  const browser = match(BROWSERS, value);
+  const platform = match(PLATFORMS, value);
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || "Unknown device";
+};
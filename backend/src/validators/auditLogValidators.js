@@ -0,0 +1,49 @@
+import { query } from "express-validator";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
+
+export const auditLogQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200")
+    .toInt(),
+
+  query("user")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("User filter cannot exceed 100 characters"),
+
+  query("entityType")
+    .optional({ values: "falsy" })
+    .trim()
+    .matches(/^[a-z_]+$/)
+    .withMessage("Invalid entity type"),
+
+  query("entityId")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Entity ID cannot exceed 100 characters"),
+
+  query("action")
+    .optional({ values: "falsy" })
+    .isIn(AUDIT_ACTIONS)
+    .withMessage("Invalid audit action"),
+
+  query("from")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("From must be a valid date"),
+
+  query("to")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("To must be a valid date"),
+];
@@ -1,4 +1,4 @@
-import { body, param } from "express-validator";
+import { body, param, query } from "express-validator";
 import mongoose from "mongoose";
 
 export const registerValidator = [
@@ -77,6 +77,59 @@ export const resetPasswordValidator = [
     .withMessage("Passwords do not match"),
 ];
 
+export const verifyEmailValidator = [
+  body("token")
+    .trim()
+    .notEmpty()
+    .withMessage("Verification token is required")
+    .isLength({ max: 128 })
+    .withMessage("Invalid verification token"),
+];
+
+export const resendVerificationValidator = [
+  body("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+];
+
+// Either a 6-digit authenticator code or a recovery code.
+export const twoFactorCodeValidator = [
+  body("code")
+    .optional({ values: "falsy" })
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+  body("recoveryCode")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 32 })
+    .withMessage("Invalid recovery code"),
+];
+
+export const twoFactorLoginValidator = [
+  body("challengeToken")
+    .trim()
+    .notEmpty()
+    .withMessage("Sign-in challenge is required"),
+  ...twoFactorCodeValidator,
+];
+
+export const loginHistoryQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+];
+
 export const addressIdValidator = [
   param("addressId")
     .custom((value) => mongoose.Types.ObjectId.isValid(value))
@@ -0,0 +1,30 @@
+import { body, query } from "express-validator";
+
+export const backInStockSubscribeValidator = [
+  body("productId")
+    .trim()
+    .notEmpty()
+    .withMessage("Product ID is required")
+    .isMongoId()
+    .withMessage("Invalid product ID format"),
+  body("variantId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid variant ID format"),
+  // Signed-in shoppers fall back to their account email.
+  body("email")
+    .if((value, { req }) => Boolean(value) || !req.user)
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .isLength({ max: 254 })
+    .withMessage("Email cannot exceed 254 characters"),
+];
+
+export const backInStockDemandQueryValidator = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+];
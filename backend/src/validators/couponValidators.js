@@ -1,4 +1,8 @@
 import { body, param, query } from "express-validator";
+import {
+  COUPON_CODE_MAX_LENGTH,
+  COUPON_CODE_MIN_LENGTH,
+} from "../models/Coupon.js";
 
 export const couponQueryValidator = [
   query("page")
@@ -46,8 +50,10 @@ export const createCouponValidator = [
     .trim()
     .notEmpty()
     .withMessage("Coupon code is required")
-    .isLength({ min: 3, max: 20 })
-    .withMessage("Code must be between 3 and 20 characters"),
+    .isLength({ min: COUPON_CODE_MIN_LENGTH, max: COUPON_CODE_MAX_LENGTH })
+    .withMessage(
+      `Code must be between ${COUPON_CODE_MIN_LENGTH} and ${COUPON_CODE_MAX_LENGTH} characters`,
+    ),
 
   body("type")
     .trim()
@@ -144,8 +150,10 @@ export const updateCouponValidator = [
     .trim()
     .notEmpty()
     .withMessage("Coupon code cannot be empty")
-    .isLength({ min: 3, max: 20 })
-    .withMessage("Code must be between 3 and 20 characters"),
+    .isLength({ min: COUPON_CODE_MIN_LENGTH, max: COUPON_CODE_MAX_LENGTH })
+    .withMessage(
+      `Code must be between ${COUPON_CODE_MIN_LENGTH} and ${COUPON_CODE_MAX_LENGTH} characters`,
+    ),
 
   body("type")
     .optional()
@@ -239,16 +247,20 @@ export const validateCouponCodeValidator = [
     .trim()
     .notEmpty()
     .withMessage("Coupon code cannot be empty")
-    .isLength({ min: 3, max: 20 })
-    .withMessage("Code must be between 3 and 20 characters"),
+    .isLength({ min: COUPON_CODE_MIN_LENGTH, max: COUPON_CODE_MAX_LENGTH })
+    .withMessage(
+      `Code must be between ${COUPON_CODE_MIN_LENGTH} and ${COUPON_CODE_MAX_LENGTH} characters`,
+    ),
 
   body("couponCode")
     .optional()
     .trim()
     .notEmpty()
     .withMessage("Coupon code cannot be empty")
-    .isLength({ min: 3, max: 20 })
-    .withMessage("Code must be between 3 and 20 characters"),
+    .isLength({ min: COUPON_CODE_MIN_LENGTH, max: COUPON_CODE_MAX_LENGTH })
+    .withMessage(
+      `Code must be between ${COUPON_CODE_MIN_LENGTH} and ${COUPON_CODE_MAX_LENGTH} characters`,
+    ),
 
   body("total")
     .optional()
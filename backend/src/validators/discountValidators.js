@@ -60,6 +60,11 @@ export const createDiscountValidator = [
     .trim()
     .isIn(["active", "inactive"])
     .withMessage("Status must be active or inactive"),
+  body("priority")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Priority must be a whole number of 0 or more")
+    .toInt(),
   body("categories")
     .optional()
     .isArray()
@@ -115,4 +120,9 @@ export const updateDiscountValidator = [
     .trim()
     .isIn(["active", "inactive"])
     .withMessage("Status must be active or inactive"),
+  body("priority")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Priority must be a whole number of 0 or more")
+    .toInt(),
 ];
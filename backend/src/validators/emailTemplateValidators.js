@@ -0,0 +1,50 @@
+import { body, param } from "express-validator";
+import { EMAIL_TEMPLATE_KEYS } from "../constants/emailTemplates.js";
+
+export const emailTemplateKeyValidator = [
+  param("key").isIn(EMAIL_TEMPLATE_KEYS).withMessage("Unknown email template"),
+];
+
+const templateBodyRules = (required) => [
+  (required ? body("subject") : body("subject").optional())
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Subject is required")
+    .isLength({ max: 200 })
+    .withMessage("Subject cannot exceed 200 characters"),
+  (required ? body("html") : body("html").optional())
+    .isString()
+    .notEmpty()
+    .withMessage("HTML body is required")
+    .isLength({ max: 50000 })
+    .withMessage("HTML body cannot exceed 50000 characters"),
+  body("text")
+    .optional()
+    .isString()
+    .isLength({ max: 20000 })
+    .withMessage("Text body cannot exceed 20000 characters"),
+];
+
+export const updateEmailTemplateValidator = [
+  ...emailTemplateKeyValidator,
+  ...templateBodyRules(true),
+];
+
+// Previews and test sends render unsaved edits when they are sent along.
+export const previewEmailTemplateValidator = [
+  ...emailTemplateKeyValidator,
+  body("orderId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid order ID format"),
+  ...templateBodyRules(false),
+];
+
+export const testEmailTemplateValidator = [
+  ...previewEmailTemplateValidator,
+  body("to")
+    .trim()
+    .isEmail()
+    .withMessage("A valid recipient email address is required"),
+];
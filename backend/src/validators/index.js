@@ -20,6 +20,7 @@ export const validate = (req, res, next) => {
 export * from "./authValidators.js";
 export * from "./productValidators.js";
 export * from "./orderValidators.js";
+export * from "./paymentValidators.js";
 export * from "./brandValidators.js";
 export * from "./couponValidators.js";
 export * from "./reviewValidators.js";
@@ -27,8 +28,15 @@ export * from "./categoryValidators.js";
 export * from "./cartValidators.js";
 export * from "./wishlistValidators.js";
 export * from "./discountValidators.js";
+export * from "./shippingValidators.js";
+export * from "./taxValidators.js";
+export * from "./inventoryValidators.js";
+export * from "./backInStockValidators.js";
+export * from "./stockLocationValidators.js";
 export * from "./bannerValidators.js";
 export * from "./settingsValidators.js";
+export * from "./emailTemplateValidators.js";
+export * from "./auditLogValidators.js";
 export * from "./userValidators.js";
 export * from "./variantTypeValidators.js";
 export * from "./variantOptionValidators.js";
@@ -0,0 +1,130 @@
+import { body, query } from "express-validator";
+import {
+  INVENTORY_MOVEMENT_REASONS,
+  MANUAL_MOVEMENT_REASONS,
+} from "../models/InventoryMovement.js";
+
+export const inventoryQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200")
+    .toInt(),
+
+  query("search")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+
+  query("lowStock")
+    .optional()
+    .isBoolean()
+    .withMessage("lowStock must be true or false")
+    .toBoolean(),
+
+  query("threshold")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage("Threshold must be a non-negative integer")
+    .toInt(),
+];
+
+export const inventoryAdjustmentValidator = [
+  body("reason")
+    .trim()
+    .isIn(MANUAL_MOVEMENT_REASONS)
+    .withMessage(
+      `Reason must be one of: ${MANUAL_MOVEMENT_REASONS.join(", ")}`,
+    ),
+
+  body("note")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+
+  body("adjustments")
+    .isArray({ min: 1, max: 200 })
+    .withMessage("Between 1 and 200 adjustments are required"),
+
+  body("adjustments.*.productId")
+    .isMongoId()
+    .withMessage("Invalid product ID format"),
+
+  body("adjustments.*.variantId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid variant ID format"),
+
+  body("adjustments.*.locationId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid stock location ID format"),
+
+  body("adjustments.*.delta")
+    .optional({ values: "null" })
+    .isInt({ min: -100000, max: 100000 })
+    .withMessage("Delta must be a whole number")
+    .toInt(),
+
+  body("adjustments.*.setTo")
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage("Stock level must be a non-negative whole number")
+    .toInt(),
+
+  body("adjustments.*")
+    .custom(
+      (line) =>
+        (line?.delta !== undefined && line?.delta !== null) !==
+        (line?.setTo !== undefined && line?.setTo !== null),
+    )
+    .withMessage("Each adjustment needs either a delta or a stock level"),
+];
+
+export const inventoryMovementQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200")
+    .toInt(),
+
+  query("productId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid product ID format"),
+
+  query("variantId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid variant ID format"),
+
+  query("orderId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid order ID format"),
+
+  query("sku")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("SKU cannot exceed 100 characters"),
+
+  query("reason")
+    .optional({ values: "falsy" })
+    .isIn(INVENTORY_MOVEMENT_REASONS)
+    .withMessage("Invalid movement reason"),
+];
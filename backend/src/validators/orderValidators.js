@@ -1,5 +1,9 @@
 import { body, param, query } from "express-validator";
 import mongoose from "mongoose";
+import {
+  COUPON_CODE_MAX_LENGTH,
+  COUPON_CODE_MIN_LENGTH,
+} from "../models/Coupon.js";
 
 export const createOrderValidator = [
   body("firstName")
@@ -37,10 +41,17 @@ export const createOrderValidator = [
     .withMessage("Invalid payment method"),
 
   body("couponCode")
-    .optional()
+    .optional({ values: "falsy" })
     .trim()
-    .isLength({ min: 3, max: 50 })
-    .withMessage("Invalid coupon code"),
+    .isLength({ min: COUPON_CODE_MIN_LENGTH, max: COUPON_CODE_MAX_LENGTH })
+    .withMessage(
+      `Code must be between ${COUPON_CODE_MIN_LENGTH} and ${COUPON_CODE_MAX_LENGTH} characters`,
+    ),
+
+  body("shippingMethodId")
+    .optional({ values: "falsy" })
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid shipping method"),
 ];
 
 export const updateOrderStatusValidator = [
@@ -58,6 +69,12 @@ export const updateOrderStatusValidator = [
     .isIn(["paid", "unpaid"])
     .withMessage("Invalid payment status"),
 
+  body("trackingNumber")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Tracking number cannot exceed 100 characters"),
+
   body("notes")
     .optional()
     .trim()
@@ -88,6 +105,17 @@ export const orderQueryValidator = [
     .withMessage("Invalid status"),
 ];
 
+export const cancelOrderValidator = [
+  param("id")
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid order ID"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+];
+
 export const returnRequestValidator = [
   param("id")
     .custom((value) => mongoose.Types.ObjectId.isValid(value))
@@ -123,3 +151,86 @@ export const returnRequestValidator = [
     .isInt({ min: 1 })
     .withMessage("Quantity must be at least 1"),
 ];
+
+export const refundOrderValidator = [
+  param("id")
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid order ID"),
+  body("amount")
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage("Refund amount must be greater than zero")
+    .toFloat(),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+  body("items")
+    .optional()
+    .isArray()
+    .withMessage("Items must be an array"),
+  body("items.*.productId")
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid product ID in refund items"),
+  body("items.*.variantId")
+    .optional({ nullable: true })
+    .custom(
+      (value) =>
+        value === null ||
+        value === "" ||
+        mongoose.Types.ObjectId.isValid(value),
+    )
+    .withMessage("Invalid variant ID in refund items"),
+  body("items.*.quantity")
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be at least 1")
+    .toInt(),
+];
+
+export const returnQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("status")
+    .optional()
+    .isIn(["requested", "approved", "rejected", "received", "refunded"])
+    .withMessage("Invalid return status"),
+];
+
+export const updateReturnRequestValidator = [
+  param("id")
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid order ID"),
+  param("returnId")
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid return request ID"),
+  body("status")
+    .isIn(["approved", "rejected", "received", "refunded"])
+    .withMessage("Status must be approved, rejected, received or refunded"),
+  body("rejectionReason")
+    .if(body("status").equals("rejected"))
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage("Rejection reason must be between 3 and 500 characters"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+  body("amount")
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage("Refund amount must be greater than zero")
+    .toFloat(),
+  body("restock")
+    .optional()
+    .isBoolean()
+    .withMessage("Restock must be true or false")
+    .toBoolean(),
+];
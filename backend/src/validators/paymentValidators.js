@@ -0,0 +1,68 @@
+import { body, param, query } from "express-validator";
+import mongoose from "mongoose";
+import {
+  COUPON_CODE_MAX_LENGTH,
+  COUPON_CODE_MIN_LENGTH,
+} from "../models/Coupon.js";
+
+const checkoutBodyRules = [
+  body("couponCode")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ min: COUPON_CODE_MIN_LENGTH, max: COUPON_CODE_MAX_LENGTH })
+    .withMessage(
+      `Code must be between ${COUPON_CODE_MIN_LENGTH} and ${COUPON_CODE_MAX_LENGTH} characters`,
+    ),
+
+  body("shippingMethodId")
+    .optional({ values: "falsy" })
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid shipping method"),
+
+  body("country")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Country cannot exceed 100 characters"),
+
+  body("state")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("State cannot exceed 100 characters"),
+];
+
+export const createPaymentIntentValidator = checkoutBodyRules;
+
+export const checkoutSummaryValidator = checkoutBodyRules;
+
+export const webhookEventQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("status")
+    .optional({ values: "falsy" })
+    .isIn(["processing", "processed", "ignored", "failed"])
+    .withMessage("Invalid webhook event status"),
+  query("type")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Event type cannot exceed 100 characters"),
+  query("search")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Search cannot exceed 255 characters"),
+];
+
+export const webhookEventIdValidator = [
+  param("id")
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage("Invalid webhook event ID"),
+];
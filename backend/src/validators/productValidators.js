@@ -43,6 +43,16 @@ export const createProductValidator = [
     .isInt({ min: 0 })
     .withMessage("Base stock must be a non-negative integer"),
 
+  body("weight")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 0 })
+    .withMessage("Weight must be a non-negative number"),
+
+  body("taxClass")
+    .optional({ values: "falsy" })
+    .isIn(["standard", "reduced", "zero"])
+    .withMessage("Tax class must be standard, reduced or zero"),
+
   body("category").optional(),
 
   body("brand")
@@ -77,6 +87,16 @@ export const updateProductValidator = [
     .isInt({ min: 0 })
     .withMessage("Base stock must be a non-negative integer"),
 
+  body("weight")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 0 })
+    .withMessage("Weight must be a non-negative number"),
+
+  body("taxClass")
+    .optional({ values: "falsy" })
+    .isIn(["standard", "reduced", "zero"])
+    .withMessage("Tax class must be standard, reduced or zero"),
+
   body("status")
     .optional()
     .isIn(["draft", "active", "inactive"])
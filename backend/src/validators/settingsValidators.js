@@ -33,6 +33,32 @@ export const updateSettingsValidator = [
     .optional()
     .isBoolean()
     .withMessage("Maintenance mode must be a boolean"),
+  body("pricesIncludeTax")
+    .optional()
+    .isBoolean()
+    .withMessage("Prices include tax must be a boolean"),
+  body("requireVerifiedEmailForOrders")
+    .optional()
+    .isBoolean()
+    .withMessage("Require verified email for orders must be a boolean"),
+  body("requireAdminTwoFactor")
+    .optional()
+    .isBoolean()
+    .withMessage("Require admin two-factor must be a boolean"),
+  body(["googleOAuthEnabled", "facebookOAuthEnabled"])
+    .optional()
+    .isBoolean()
+    .withMessage("Social sign-in toggles must be booleans"),
+  body(["googleClientId", "facebookAppId"])
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Client ID cannot exceed 200 characters"),
+  body(["googleClientSecret", "facebookAppSecret"])
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Client secret cannot exceed 200 characters"),
   body("metaTitle")
     .optional()
     .trim()
@@ -0,0 +1,113 @@
+import { body, param, query } from "express-validator";
+
+const RATE_TYPES = ["flat", "weight", "order_value"];
+
+export const shippingQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200")
+    .toInt(),
+
+  query("search")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+
+  query("status")
+    .optional({ values: "falsy" })
+    .trim()
+    .isIn(["active", "inactive"])
+    .withMessage('Status must be either "active" or "inactive"'),
+];
+
+export const shippingOptionsQueryValidator = [
+  query("country")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Country cannot exceed 100 characters"),
+
+  query("state")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("State cannot exceed 100 characters"),
+];
+
+export const shippingIdValidator = [
+  param("id")
+    .trim()
+    .notEmpty()
+    .withMessage("Shipping method ID is required")
+    .isMongoId()
+    .withMessage("Invalid shipping method ID format"),
+];
+
+const shippingBodyRules = (isUpdate = false) => [
+  (isUpdate ? body("type").optional() : body("type"))
+    .trim()
+    .notEmpty()
+    .withMessage("Shipping method name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+
+  body("rateType")
+    .optional()
+    .isIn(RATE_TYPES)
+    .withMessage("Rate type must be flat, weight or order_value"),
+
+  body("price")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Price cannot be negative"),
+
+  body("freeShippingThreshold")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 0 })
+    .withMessage("Free shipping threshold cannot be negative"),
+
+  body("estimatedDays")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 365 })
+    .withMessage("Estimated days must be between 0 and 365"),
+
+  body("status")
+    .optional()
+    .isIn(["active", "inactive"])
+    .withMessage('Status must be either "active" or "inactive"'),
+
+  body("rates")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Rates must be an array"),
+
+  body("zones")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Zones must be an array"),
+
+  body("zones.*.name")
+    .trim()
+    .notEmpty()
+    .withMessage("Zone name is required"),
+
+  body("zones.*.rateType")
+    .optional()
+    .isIn(RATE_TYPES)
+    .withMessage("Zone rate type must be flat, weight or order_value"),
+];
+
+export const createShippingValidator = shippingBodyRules(false);
+
+export const updateShippingValidator = [
+  ...shippingIdValidator,
+  ...shippingBodyRules(true),
+];
@@ -0,0 +1,105 @@
+import { body, param, query } from "express-validator";
+import { STOCK_LOCATION_TYPES } from "../models/StockLocation.js";
+
+export const stockLocationQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200")
+    .toInt(),
+
+  query("search")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+
+  query("status")
+    .optional({ values: "falsy" })
+    .trim()
+    .isIn(["active", "inactive"])
+    .withMessage('Status must be either "active" or "inactive"'),
+];
+
+export const stockLocationIdValidator = [
+  param("id")
+    .trim()
+    .notEmpty()
+    .withMessage("Stock location ID is required")
+    .isMongoId()
+    .withMessage("Invalid stock location ID format"),
+];
+
+const stockLocationBodyRules = (isUpdate = false) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Location name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+
+  (isUpdate ? body("code").optional() : body("code"))
+    .trim()
+    .notEmpty()
+    .withMessage("Location code is required")
+    .isLength({ max: 20 })
+    .withMessage("Code cannot exceed 20 characters")
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage(
+      "Code may only contain letters, numbers, dashes and underscores",
+    ),
+
+  body("type")
+    .optional()
+    .isIn(STOCK_LOCATION_TYPES)
+    .withMessage(`Type must be one of: ${STOCK_LOCATION_TYPES.join(", ")}`),
+
+  body("country")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Country must be a 2-letter ISO code")
+    .isAlpha()
+    .withMessage("Country must be a 2-letter ISO code"),
+
+  body("state")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("State cannot exceed 100 characters"),
+
+  body("city")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("City cannot exceed 100 characters"),
+
+  body("priority")
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage("Priority must be a whole number from 0 to 10000")
+    .toInt(),
+
+  body("isDefault")
+    .optional()
+    .isBoolean()
+    .withMessage("isDefault must be a boolean"),
+
+  body("status")
+    .optional()
+    .isIn(["active", "inactive"])
+    .withMessage('Status must be either "active" or "inactive"'),
+];
+
+export const createStockLocationValidator = stockLocationBodyRules(false);
+
+export const updateStockLocationValidator = [
+  ...stockLocationIdValidator,
+  ...stockLocationBodyRules(true),
+];
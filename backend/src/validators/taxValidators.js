@@ -0,0 +1,92 @@
+import { body, param, query } from "express-validator";
+
+const TAX_CLASSES = ["standard", "reduced", "zero"];
+
+export const taxQueryValidator = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200")
+    .toInt(),
+
+  query("search")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+
+  query("status")
+    .optional({ values: "falsy" })
+    .trim()
+    .isIn(["active", "inactive"])
+    .withMessage('Status must be either "active" or "inactive"'),
+
+  query("country")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Country must be a 2-letter ISO code"),
+];
+
+export const taxIdValidator = [
+  param("id")
+    .trim()
+    .notEmpty()
+    .withMessage("Tax rate ID is required")
+    .isMongoId()
+    .withMessage("Invalid tax rate ID format"),
+];
+
+const taxBodyRules = (isUpdate = false) => [
+  (isUpdate ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Tax rate name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+
+  (isUpdate ? body("country").optional() : body("country"))
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Country must be a 2-letter ISO code")
+    .isAlpha()
+    .withMessage("Country must be a 2-letter ISO code"),
+
+  body("state")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("State cannot exceed 100 characters"),
+
+  body("taxClass")
+    .optional()
+    .isIn(TAX_CLASSES)
+    .withMessage("Tax class must be standard, reduced or zero"),
+
+  (isUpdate ? body("rate").optional() : body("rate"))
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Rate must be between 0 and 100"),
+
+  body("appliesToShipping")
+    .optional()
+    .isBoolean()
+    .withMessage("Applies to shipping must be a boolean"),
+
+  body("status")
+    .optional()
+    .isIn(["active", "inactive"])
+    .withMessage('Status must be either "active" or "inactive"'),
+];
+
+export const createTaxRateValidator = taxBodyRules(false);
+
+export const updateTaxRateValidator = [
+  ...taxIdValidator,
+  ...taxBodyRules(true),
+];
@@ -1,4 +1,5 @@
 import { body, param, query } from "express-validator";
+import { ROLE_NAMES } from "../constants/permissions.js";
 
 export const userQueryValidator = [
   query("page")
@@ -19,8 +20,8 @@ export const userQueryValidator = [
   query("role")
     .optional({ values: "falsy" })
     .trim()
-    .isIn(["admin", "user"])
-    .withMessage("Role must be admin or user"),
+    .isIn(ROLE_NAMES)
+    .withMessage(`Role must be one of: ${ROLE_NAMES.join(", ")}`),
   query("status")
     .optional({ values: "falsy" })
     .trim()
@@ -59,8 +60,8 @@ export const createUserValidator = [
   body("role")
     .optional()
     .trim()
-    .isIn(["admin", "user"])
-    .withMessage("Role must be admin or user"),
+    .isIn(ROLE_NAMES)
+    .withMessage(`Role must be one of: ${ROLE_NAMES.join(", ")}`),
   body("status")
     .optional()
     .trim()
@@ -91,8 +92,8 @@ export const updateUserValidator = [
   body("role")
     .optional()
     .trim()
-    .isIn(["admin", "user"])
-    .withMessage("Role must be admin or user"),
+    .isIn(ROLE_NAMES)
+    .withMessage(`Role must be one of: ${ROLE_NAMES.join(", ")}`),
   body("status")
     .optional()
     .trim()
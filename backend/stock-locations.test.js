@@ -0,0 +1,284 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { InventoryMovement } from "./src/models/InventoryMovement.js";
+import { Product } from "./src/models/Product.js";
+import { InventoryService } from "./src/services/InventoryService.js";
+import { OrderService } from "./src/services/OrderService.js";
+import {
+  StockLocationService,
+  planAllocation,
+  reconcileLocationStock,
+} from "./src/services/StockLocationService.js";
+
+const PRODUCT_ID = "64b0000000000000000000a1";
+const VARIANT_ID = "64b0000000000000000000b1";
+const east = {
+  _id: "64b0000000000000000000d1",
+  code: "EAST",
+  name: "East warehouse",
+  country: "US",
+  priority: 10,
+  isDefault: true,
+};
+const west = {
+  _id: "64b0000000000000000000d2",
+  code: "WEST",
+  name: "West warehouse",
+  country: "US",
+  priority: 20,
+};
+const berlin = {
+  _id: "64b0000000000000000000d3",
+  code: "BER",
+  name: "Berlin store",
+  country: "DE",
+  priority: 30,
+};
+const locations = [east, west, berlin];
+
+const entries = (atEast, atWest, atBerlin) => [
+  { locationId: east._id, quantity: atEast },
+  { locationId: west._id, quantity: atWest },
+  { locationId: berlin._id, quantity: atBerlin },
+];
+
+const queryResult = (value) => {
+  const query = {
+    select: jest.fn(() => query),
+    session: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value),
+  };
+  return query;
+};
+
+describe("stock locations", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("ships a line from the first location that holds all of it", () => {
+    const plan = planAllocation(entries(1, 5, 9), 3, locations, "US");
+
+    expect(plan).toEqual([{ location: west, quantity: 3 }]);
+  });
+
+  test("prefers locations in the destination country", () => {
+    const plan = planAllocation(entries(9, 9, 9), 2, locations, "de");
+
+    expect(plan).toEqual([{ location: berlin, quantity: 2 }]);
+  });
+
+  test("splits a line across locations when none holds all of it", () => {
+    expect(planAllocation(entries(2, 1, 4), 6, locations, "US")).toEqual([
+      { location: east, quantity: 2 },
+      { location: west, quantity: 1 },
+      { location: berlin, quantity: 3 },
+    ]);
+    expect(planAllocation(entries(2, 1, 0), 6, locations, "US")).toBeNull();
+  });
+
+  test("reconciles an edited total: additions to the default, removals from the last picked", () => {
+    expect(reconcileLocationStock(entries(2, 3, 0), 8, locations)).toEqual(
+      entries(5, 3, 0),
+    );
+    expect(reconcileLocationStock(entries(2, 3, 1), 2, locations)).toEqual(
+      entries(2, 0, 0),
+    );
+    expect(reconcileLocationStock([], 0, locations)).toEqual([
+      { locationId: east._id, quantity: 0 },
+    ]);
+  });
+
+  test("allocates a variant line with a guarded update per location", async () => {
+    const update = jest
+      .spyOn(Product, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const product = {
+      _id: PRODUCT_ID,
+      title: "Tee",
+      variants: [{ _id: VARIANT_ID, locationStock: entries(1, 2, 0) }],
+    };
+
+    const allocations = await new StockLocationService().allocate(
+      product,
+      VARIANT_ID,
+      3,
+      { locations, country: "US" },
+    );
+
+    expect(allocations).toEqual([
+      { locationId: east._id, code: "EAST", name: east.name, quantity: 1 },
+      { locationId: west._id, code: "WEST", name: west.name, quantity: 2 },
+    ]);
+    const [filter, change, options] = update.mock.calls[0];
+    expect(filter.variants.$elemMatch.locationStock.$all).toEqual([
+      { $elemMatch: { locationId: east._id, quantity: { $gte: 1 } } },
+      { $elemMatch: { locationId: west._id, quantity: { $gte: 2 } } },
+    ]);
+    expect(change).toEqual({
+      $inc: {
+        "variants.$[v].locationStock.$[l0].quantity": -1,
+        "variants.$[v].locationStock.$[l1].quantity": -2,
+      },
+    });
+    expect(options.arrayFilters).toEqual([
+      { "v._id": VARIANT_ID },
+      { "l0.locationId": east._id },
+      { "l1.locationId": west._id },
+    ]);
+  });
+
+  test("re-plans an allocation when another order took the stock first", async () => {
+    const update = jest
+      .spyOn(Product, "updateOne")
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValueOnce({ modifiedCount: 1 });
+    jest
+      .spyOn(Product, "findById")
+      .mockReturnValue(
+        queryResult({ _id: PRODUCT_ID, locationStock: entries(0, 4, 0) }),
+      );
+
+    const allocations = await new StockLocationService().allocate(
+      { _id: PRODUCT_ID, title: "Cap", locationStock: entries(4, 0, 0) },
+      null,
+      2,
+      { locations },
+    );
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(allocations).toEqual([expect.objectContaining({ code: "WEST" })]);
+  });
+
+  test("leaves SKUs without per-location quantities unallocated", async () => {
+    const update = jest.spyOn(Product, "updateOne");
+
+    const allocations = await new StockLocationService().allocate(
+      { _id: PRODUCT_ID, title: "Cap", locationStock: [] },
+      null,
+      1,
+      { locations },
+    );
+
+    expect(allocations).toEqual([]);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test("puts cancelled units back where they were allocated from", async () => {
+    const bulkWrite = jest
+      .spyOn(Product, "bulkWrite")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const ledger = jest
+      .spyOn(InventoryMovement, "insertMany")
+      .mockImplementation(async (docs) => docs);
+    const item = {
+      productId: PRODUCT_ID,
+      variantId: VARIANT_ID,
+      sku: "TEE-M",
+      title: "Tee",
+      quantity: 3,
+      allocations: [
+        { locationId: east._id, code: "EAST", quantity: 1 },
+        { locationId: west._id, code: "WEST", quantity: 2 },
+      ],
+    };
+
+    await new OrderService().restockOrderItems([item], null, {
+      reason: "cancellation",
+      order: { _id: "64b0000000000000000000e1", items: [item] },
+    });
+
+    expect(bulkWrite.mock.calls[0][0][0].updateOne.update).toEqual({
+      $inc: {
+        "variants.$[v].stock": 3,
+        salesCount: -3,
+        "variants.$[v].locationStock.$[l0].quantity": 1,
+        "variants.$[v].locationStock.$[l1].quantity": 2,
+      },
+    });
+    expect(ledger.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ delta: 1, locationCode: "EAST" }),
+      expect.objectContaining({ delta: 2, locationCode: "WEST" }),
+    ]);
+  });
+
+  test("adjusts stock at one location together with the SKU total", async () => {
+    jest
+      .spyOn(InventoryMovement, "insertMany")
+      .mockImplementation(async (docs) => docs);
+    const service = new InventoryService();
+    jest
+      .spyOn(service.locationService, "getActiveLocations")
+      .mockResolvedValue(locations);
+    jest.spyOn(Product, "findById").mockReturnValue(
+      queryResult({
+        _id: PRODUCT_ID,
+        title: "Cap",
+        hasVariants: false,
+        baseSku: "CAP",
+        baseStock: 5,
+        locationStock: entries(5, 0, 0),
+      }),
+    );
+    const update = jest.spyOn(Product, "findOneAndUpdate").mockReturnValue(
+      queryResult({
+        _id: PRODUCT_ID,
+        title: "Cap",
+        hasVariants: false,
+        baseSku: "CAP",
+        baseStock: 7,
+        locationStock: entries(5, 2, 0),
+      }),
+    );
+
+    const result = await service.adjustStock(
+      [{ productId: PRODUCT_ID, locationId: west._id, setTo: 2 }],
+      { reason: "restock" },
+      null,
+    );
+
+    expect(update.mock.calls[0][0]).toEqual({
+      _id: PRODUCT_ID,
+      locationStock: {
+        $elemMatch: { locationId: west._id, quantity: 0 },
+      },
+    });
+    expect(update.mock.calls[0][1]).toEqual({
+      $inc: { "locationStock.$[l0].quantity": 2, baseStock: 2 },
+    });
+    expect(result.results[0]).toMatchObject({
+      status: "applied",
+      delta: 2,
+      stockAfter: 7,
+      locationCode: "WEST",
+    });
+  });
+
+  test("gives existing stock to the first location created", async () => {
+    const service = new StockLocationService();
+    jest.spyOn(service.repository, "findOne").mockResolvedValue(null);
+    jest.spyOn(service.repository, "count").mockResolvedValue(0);
+    const create = jest
+      .spyOn(service.repository, "create")
+      .mockImplementation(async (payload) => ({ _id: east._id, ...payload }));
+    const migrate = jest
+      .spyOn(Product, "updateMany")
+      .mockResolvedValue({ modifiedCount: 4 });
+
+    const location = await service.createLocation({
+      name: "East warehouse",
+      code: "east",
+      status: "inactive",
+    });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      code: "EAST",
+      isDefault: true,
+      status: "active",
+    });
+    expect(location.isDefault).toBe(true);
+    expect(migrate).toHaveBeenCalledTimes(2);
+    expect(migrate.mock.calls[0][1][0].$set.locationStock).toEqual([
+      { locationId: east._id, quantity: { $ifNull: ["$baseStock", 0] } },
+    ]);
+  });
+});
@@ -0,0 +1,373 @@
+import {
+  afterEach,
+  beforeEach,
+  describe,
+  expect,
+  jest,
+  test,
+} from "@jest/globals";
+
+const createIntentMock = jest.fn();
+const cancelIntentMock = jest.fn();
+const retrieveIntentMock = jest.fn();
+const createRefundMock = jest.fn();
+
+await jest.unstable_mockModule("stripe", () => ({
+  default: jest.fn(() => ({
+    paymentIntents: {
+      create: createIntentMock,
+      cancel: cancelIntentMock,
+      retrieve: retrieveIntentMock,
+    },
+    refunds: { create: createRefundMock },
+  })),
+}));
+
+const { default: mongoose } = await import("mongoose");
+
+const { Cart } = await import("./src/models/Cart.js");
+const { Order } = await import("./src/models/Order.js");
+const { Product } = await import("./src/models/Product.js");
+const { Setting } = await import("./src/models/Setting.js");
+const { RESERVATION_MAX_UNITS, StockReservation } =
+  await import("./src/models/StockReservation.js");
+const { StockReservationService, reservationKey } =
+  await import("./src/services/StockReservationService.js");
+const { PaymentService } = await import("./src/services/PaymentService.js");
+const { OrderService } = await import("./src/services/OrderService.js");
+const { AppError } = await import("./src/utils/AppError.js");
+const { CartService } = await import("./src/services/CartService.js");
+const { PricingService } = await import("./src/services/PricingService.js");
+const { StripeWebhookService } =
+  await import("./src/services/StripeWebhookService.js");
+
+const PRODUCT_ID = "64b0000000000000000000a1";
+const owner = { userId: "64b0000000000000000000u1" };
+
+// ObjectId strings sort by creation time, which decides who holds first.
+const holdId = (n) => `64b00000000000000000${String(n).padStart(4, "0")}`;
+
+const leanQuery = (value) => {
+  const query = {
+    select: jest.fn(() => query),
+    session: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value),
+  };
+  return query;
+};
+
+const mockStock = ({ baseStock, holds, createdId = holdId(9) }) => {
+  jest
+    .spyOn(Product, "find")
+    .mockReturnValue(
+      leanQuery([{ _id: PRODUCT_ID, title: "Tee", baseStock, variants: [] }]),
+    );
+  jest
+    .spyOn(StockReservation, "find")
+    .mockReturnValue(
+      leanQuery([
+        ...holds,
+        { _id: createdId, productId: PRODUCT_ID, variantId: null, quantity: 1 },
+      ]),
+    );
+  const insert = jest
+    .spyOn(StockReservation, "insertMany")
+    .mockImplementation(async (docs) =>
+      docs.map((doc) => ({ ...doc, _id: createdId })),
+    );
+  const updateMany = jest
+    .spyOn(StockReservation, "updateMany")
+    .mockResolvedValue({ modifiedCount: 1 });
+  return { insert, updateMany };
+};
+
+describe("stock reservations", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    createIntentMock.mockReset();
+    cancelIntentMock.mockReset();
+    retrieveIntentMock.mockReset();
+    createRefundMock.mockReset();
+  });
+
+  test("holds cart lines for the payment intent until they expire", async () => {
+    const { insert, updateMany } = mockStock({ baseStock: 1, holds: [] });
+
+    const [hold] = await new StockReservationService().reserve("pi_1", owner, [
+      { productId: PRODUCT_ID, variantId: null, quantity: 1 },
+    ]);
+
+    expect(updateMany.mock.calls[0]).toEqual([
+      { userId: owner.userId, status: "active" },
+      { $set: { status: "released", releasedReason: "superseded" } },
+      {},
+    ]);
+    expect(insert.mock.calls[0][0][0]).toMatchObject({
+      paymentIntentId: "pi_1",
+      userId: owner.userId,
+      productId: PRODUCT_ID,
+      quantity: 1,
+    });
+    const minutes = (hold.expiresAt.getTime() - Date.now()) / 60000;
+    expect(minutes).toBeGreaterThan(14);
+    expect(minutes).toBeLessThanOrEqual(15);
+  });
+
+  test("lets the earlier hold win the last unit", async () => {
+    const { updateMany } = mockStock({
+      baseStock: 1,
+      holds: [
+        { _id: holdId(1), productId: PRODUCT_ID, variantId: null, quantity: 1 },
+      ],
+    });
+
+    await expect(
+      new StockReservationService().reserve("pi_2", owner, [
+        { productId: PRODUCT_ID, variantId: null, quantity: 1 },
+      ]),
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(updateMany).toHaveBeenLastCalledWith(
+      { paymentIntentId: "pi_2", status: "active" },
+      { $set: { status: "released", releasedReason: "insufficient_stock" } },
+      {},
+    );
+  });
+
+  test("ignores a later hold when checking availability", async () => {
+    mockStock({
+      baseStock: 1,
+      createdId: holdId(1),
+      holds: [
+        { _id: holdId(5), productId: PRODUCT_ID, variantId: null, quantity: 1 },
+      ],
+    });
+
+    await expect(
+      new StockReservationService().reserve("pi_1", owner, [
+        { productId: PRODUCT_ID, variantId: null, quantity: 1 },
+      ]),
+    ).resolves.toHaveLength(1);
+  });
+
+  test("refuses to hold more units than one checkout may keep", async () => {
+    const { insert, updateMany } = mockStock({ baseStock: 1000, holds: [] });
+
+    await expect(
+      new StockReservationService().reserve("pi_1", owner, [
+        { productId: PRODUCT_ID, variantId: null, quantity: 99 },
+        {
+          productId: PRODUCT_ID,
+          variantId: holdId(2),
+          quantity: RESERVATION_MAX_UNITS - 98,
+        },
+      ]),
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(insert).not.toHaveBeenCalled();
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  test("counts only other shoppers' active, unexpired holds", async () => {
+    const find = jest.spyOn(StockReservation, "find").mockReturnValue(
+      leanQuery([
+        { productId: PRODUCT_ID, variantId: null, quantity: 2 },
+        { productId: PRODUCT_ID, variantId: null, quantity: 1 },
+      ]),
+    );
+
+    const held = await new StockReservationService().getHeldQuantities(
+      [PRODUCT_ID],
+      { ownerFilter: owner },
+    );
+
+    expect(held.get(reservationKey(PRODUCT_ID))).toBe(3);
+    expect(find.mock.calls[0][0]).toMatchObject({
+      productId: { $in: [PRODUCT_ID] },
+      status: "active",
+      expiresAt: { $gt: expect.any(Date) },
+      userId: { $ne: owner.userId },
+    });
+  });
+
+  test("cancels the payment intent when the stock cannot be held", async () => {
+    jest.spyOn(Setting, "findOne").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ stripeSecretKey: "sk_test_123" }),
+      }),
+    });
+    const service = new PaymentService();
+    jest.spyOn(service, "quoteCheckout").mockResolvedValue({
+      cartItems: [{ productId: PRODUCT_ID, variantId: null, quantity: 1 }],
+      coupon: null,
+      shippingQuote: { methodId: null, price: 0 },
+      tax: { taxLines: [], pricesIncludeTax: false },
+      totals: { amountInCents: 1000, totalAmount: 10 },
+    });
+    createIntentMock.mockResolvedValue({ id: "pi_1", client_secret: "s" });
+    cancelIntentMock.mockResolvedValue({});
+    jest
+      .spyOn(service.reservationService, "reserve")
+      .mockRejectedValue(Object.assign(new Error("held"), { statusCode: 409 }));
+
+    await expect(service.createPaymentIntent(owner, "key-1")).rejects.toThrow(
+      "held",
+    );
+    expect(cancelIntentMock).toHaveBeenCalledWith("pi_1");
+  });
+
+  test("refunds a payment that arrives after its hold has expired", async () => {
+    jest.spyOn(Setting, "findOne").mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ stripeSecretKey: "sk_test_123" }),
+      }),
+    });
+    jest
+      .spyOn(Cart, "find")
+      .mockReturnValue(
+        leanQuery([{ productId: PRODUCT_ID, quantity: 1, amount: 10 }]),
+      );
+    jest.spyOn(Order, "findOne").mockReturnValue(leanQuery(null));
+    jest.spyOn(Order, "exists").mockResolvedValue(null);
+    jest.spyOn(mongoose, "startSession").mockResolvedValue({
+      withTransaction: async (work) => work(),
+      endSession: async () => {},
+    });
+    const release = jest
+      .spyOn(StockReservation, "updateMany")
+      .mockResolvedValue({ modifiedCount: 0 });
+
+    const service = new OrderService();
+    jest.spyOn(service.authService, "assertCanPlaceOrder").mockResolvedValue();
+    jest
+      .spyOn(service.pricingService, "repriceCartItems")
+      .mockImplementation(async (items) => items);
+    jest
+      .spyOn(service.couponService, "resolveCheckoutCoupon")
+      .mockResolvedValue(null);
+    jest
+      .spyOn(service.shippingService, "quoteForCart")
+      .mockResolvedValue({ methodId: null, price: 0 });
+    jest.spyOn(service.taxService, "quoteForCart").mockResolvedValue({
+      taxLines: [],
+      taxTotal: 0,
+      pricesIncludeTax: false,
+    });
+    // The hold lapsed before the shopper paid and the last unit sold.
+    jest
+      .spyOn(service, "buildOrderFromCart")
+      .mockRejectedValue(new AppError("Insufficient stock for Tee", 400));
+
+    const intent = {
+      id: "pi_1",
+      status: "succeeded",
+      amount_received: 1000,
+      currency: "usd",
+      metadata: { userId: owner.userId },
+      latest_charge: { amount_refunded: 0 },
+    };
+    retrieveIntentMock.mockResolvedValue(intent);
+    createRefundMock.mockResolvedValue({
+      id: "re_1",
+      amount: 1000,
+      status: "succeeded",
+    });
+    const orderData = {
+      paymentMethod: "stripe",
+      paymentIntentId: "pi_1",
+      firstName: "Jane",
+      lastName: "Doe",
+      email: "jane@example.com",
+      phone: "5550000000",
+      address1: "1 Main St",
+      city: "Austin",
+      postCode: "78701",
+      country: "US",
+    };
+
+    await expect(
+      service.createOrder(owner, orderData, "key-1"),
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      message:
+        "Insufficient stock for Tee. Your payment has been refunded in full.",
+    });
+    expect(createRefundMock).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: "pi_1" }),
+      { idempotencyKey: "order-unplaced-pi_1" },
+    );
+    expect(release).toHaveBeenCalledWith(
+      { paymentIntentId: "pi_1", status: "active" },
+      { $set: { status: "released", releasedReason: "order_failed" } },
+      {},
+    );
+
+    // The refunded intent cannot pay for another attempt.
+    retrieveIntentMock.mockResolvedValue({
+      ...intent,
+      latest_charge: { amount_refunded: 1000 },
+    });
+    await expect(
+      service.createOrder(owner, orderData, "key-2"),
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(createRefundMock).toHaveBeenCalledTimes(1);
+  });
+
+  test("releases the holds when the payment fails", async () => {
+    const updateMany = jest
+      .spyOn(StockReservation, "updateMany")
+      .mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(Order, "findOne").mockReturnValue(leanQuery(null));
+
+    const result = await new StripeWebhookService().handlePaymentFailed({
+      id: "pi_1",
+    });
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { paymentIntentId: "pi_1", status: "active" },
+      { $set: { status: "released", releasedReason: "payment_failed" } },
+      {},
+    );
+    expect(result.note).toBe("Released 2 stock hold(s)");
+  });
+
+  describe("available to sell", () => {
+    beforeEach(() => {
+      jest
+        .spyOn(StockReservationService.prototype, "getHeldQuantities")
+        .mockResolvedValue(new Map([[reservationKey(PRODUCT_ID), 3]]));
+    });
+
+    test("leaves held units out of what can be added to a cart", async () => {
+      jest
+        .spyOn(PricingService.prototype, "getCampaigns")
+        .mockResolvedValue([]);
+      jest.spyOn(Product, "findById").mockReturnValue(
+        leanQuery({
+          _id: PRODUCT_ID,
+          hasVariants: false,
+          basePrice: 10,
+          baseDiscount: 0,
+          baseStock: 4,
+          status: "active",
+        }),
+      );
+      jest.spyOn(Cart, "findOne").mockResolvedValue(null);
+
+      await expect(
+        new CartService().addItem(owner, {
+          productId: PRODUCT_ID,
+          quantity: 2,
+        }),
+      ).rejects.toThrow("Only 1 item(s) available in stock");
+    });
+
+    test("reports held and available stock on product details", async () => {
+      const product = await new StockReservationService().withAvailability({
+        _id: PRODUCT_ID,
+        baseStock: 4,
+        variants: [],
+      });
+
+      expect(product).toMatchObject({ heldStock: 3, availableStock: 1 });
+    });
+  });
+});
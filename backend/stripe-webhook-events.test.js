@@ -0,0 +1,271 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import { Order } from "./src/models/Order.js";
+import { StockReservation } from "./src/models/StockReservation.js";
+import { WebhookEvent } from "./src/models/WebhookEvent.js";
+import { StripeWebhookService } from "./src/services/StripeWebhookService.js";
+
+const selectLean = (value) => ({
+  select: jest.fn().mockReturnValue({
+    lean: jest.fn().mockResolvedValue(value),
+  }),
+});
+
+const stripeEvent = (type, object, id = "evt_1") => ({
+  id,
+  type,
+  created: 1700000000,
+  data: { object },
+});
+
+const setup = (order) => {
+  const created = jest
+    .spyOn(WebhookEvent, "create")
+    .mockImplementation(async (doc) => ({
+      toObject: () => ({ _id: "e1", ...doc }),
+    }));
+  const eventUpdate = jest
+    .spyOn(WebhookEvent, "updateOne")
+    .mockResolvedValue({});
+  jest.spyOn(Order, "findOne").mockReturnValue(selectLean(order));
+  const orderUpdate = jest.spyOn(Order, "updateOne").mockResolvedValue({});
+  jest
+    .spyOn(StockReservation, "updateMany")
+    .mockResolvedValue({ modifiedCount: 0 });
+  return {
+    service: new StripeWebhookService(),
+    created,
+    eventUpdate,
+    orderUpdate,
+  };
+};
+
+describe("Stripe webhook events", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("acknowledges a redelivered event without applying it again", async () => {
+    const { service, orderUpdate } = setup({
+      _id: "o1",
+      paymentStatus: "unpaid",
+    });
+    WebhookEvent.create.mockRejectedValue(
+      Object.assign(new Error("duplicate key"), { code: 11000 }),
+    );
+    const claim = jest.spyOn(WebhookEvent, "findOneAndUpdate").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(null),
+    });
+
+    const result = await service.receive(
+      stripeEvent("payment_intent.succeeded", { id: "pi_123" }),
+    );
+
+    expect(result).toEqual({ received: true, duplicate: true });
+    expect(claim.mock.calls[0][0]).toEqual({
+      provider: "stripe",
+      eventId: "evt_1",
+      status: "failed",
+    });
+    expect(orderUpdate).not.toHaveBeenCalled();
+  });
+
+  test("marks an unpaid order failed and records the outcome", async () => {
+    const { service, created, eventUpdate, orderUpdate } = setup({
+      _id: "o1",
+      paymentStatus: "unpaid",
+    });
+
+    const result = await service.receive(
+      stripeEvent("payment_intent.payment_failed", {
+        id: "pi_123",
+        last_payment_error: { message: "Your card was declined." },
+      }),
+    );
+
+    expect(result).toEqual({ received: true, status: "processed" });
+    expect(created.mock.calls[0][0]).toMatchObject({
+      eventId: "evt_1",
+      type: "payment_intent.payment_failed",
+    });
+    expect(orderUpdate).toHaveBeenCalledWith(
+      { _id: "o1", paymentStatus: "unpaid" },
+      { $set: { paymentStatus: "failed" } },
+    );
+    expect(eventUpdate.mock.calls[0][1]).toMatchObject({
+      $set: {
+        status: "processed",
+        orderId: "o1",
+        note: "Your card was declined.",
+      },
+      $inc: { attempts: 1 },
+    });
+  });
+
+  test("does not let a late success overwrite a refund", async () => {
+    const { service, orderUpdate } = setup({
+      _id: "o1",
+      paymentStatus: "refunded",
+    });
+
+    await service.receive(
+      stripeEvent("payment_intent.succeeded", { id: "pi_123" }),
+    );
+
+    expect(orderUpdate).not.toHaveBeenCalled();
+  });
+
+  test("records refunds made in Stripe but skips the store's own", async () => {
+    const { service, orderUpdate } = setup({
+      _id: "o1",
+      paymentStatus: "paid",
+      refunds: [],
+    });
+
+    await service.receive(
+      stripeEvent("charge.refunded", {
+        id: "ch_1",
+        payment_intent: "pi_123",
+        amount: 5000,
+        amount_refunded: 3000,
+        refunds: {
+          data: [
+            {
+              id: "re_store",
+              amount: 1000,
+              status: "succeeded",
+              metadata: { orderId: "o1" },
+            },
+            { id: "re_dash", amount: 2000, status: "succeeded", metadata: {} },
+          ],
+        },
+      }),
+    );
+
+    const [filter, update] = orderUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: "o1",
+      "refunds.refundId": { $nin: ["re_dash"] },
+    });
+    expect(update.$set).toEqual({ paymentStatus: "partially_refunded" });
+    expect(update.$push.refunds.$each).toEqual([
+      expect.objectContaining({ refundId: "re_dash", amount: 20 }),
+    ]);
+  });
+
+  test("records a Stripe refund on an order placed before refunds were tracked", async () => {
+    const { service, orderUpdate } = setup({
+      _id: "o1",
+      paymentStatus: "paid",
+    });
+
+    const result = await service.receive(
+      stripeEvent("charge.refunded", {
+        id: "ch_1",
+        payment_intent: "pi_123",
+        amount: 5000,
+        amount_refunded: 5000,
+        refunds: {
+          data: [
+            { id: "re_dash", amount: 5000, status: "succeeded", metadata: {} },
+          ],
+        },
+      }),
+    );
+
+    expect(result).toEqual({ received: true, status: "processed" });
+    const [, update] = orderUpdate.mock.calls[0];
+    expect(update.$set).toEqual({ paymentStatus: "refunded" });
+    expect(update.$push.refunds.$each).toEqual([
+      expect.objectContaining({ refundId: "re_dash", amount: 50 }),
+    ]);
+  });
+
+  test("tracks a dispute from opening to a lost chargeback", async () => {
+    const opened = setup({ _id: "o1", paymentStatus: "paid", dispute: null });
+
+    await opened.service.receive(
+      stripeEvent("charge.dispute.created", {
+        id: "dp_1",
+        payment_intent: "pi_123",
+        amount: 5000,
+        reason: "fraudulent",
+        status: "needs_response",
+      }),
+    );
+
+    expect(opened.orderUpdate.mock.calls[0][1].$set).toMatchObject({
+      paymentStatus: "disputed",
+      dispute: {
+        disputeId: "dp_1",
+        amount: 50,
+        previousPaymentStatus: "paid",
+      },
+    });
+
+    jest.restoreAllMocks();
+    const closed = setup({
+      _id: "o1",
+      paymentStatus: "disputed",
+      dispute: { disputeId: "dp_1", previousPaymentStatus: "paid" },
+    });
+    const lost = {
+      id: "dp_1",
+      payment_intent: "pi_123",
+      amount: 5000,
+      reason: "fraudulent",
+      status: "lost",
+    };
+
+    await closed.service.receive(stripeEvent("charge.dispute.closed", lost));
+    expect(closed.orderUpdate.mock.calls[0][1].$set.paymentStatus).toBe(
+      "charged_back",
+    );
+
+    await closed.service.receive(
+      stripeEvent("charge.dispute.closed", { ...lost, status: "won" }, "evt_2"),
+    );
+    expect(closed.orderUpdate.mock.calls[1][1].$set.paymentStatus).toBe("paid");
+  });
+
+  test("stores the error on a failed event and only replays failed events", async () => {
+    const { service, eventUpdate } = setup({
+      _id: "o1",
+      paymentStatus: "paid",
+    });
+    Order.updateOne.mockRejectedValue(new Error("connection reset"));
+
+    await expect(
+      service.receive(
+        stripeEvent("charge.dispute.created", {
+          id: "dp_1",
+          payment_intent: "pi_123",
+          amount: 5000,
+        }),
+      ),
+    ).rejects.toThrow("connection reset");
+    expect(eventUpdate.mock.calls[0][1]).toMatchObject({
+      $set: { status: "failed", lastError: "connection reset" },
+    });
+
+    jest.spyOn(WebhookEvent, "findOneAndUpdate").mockReturnValue({
+      lean: jest.fn().mockResolvedValue(null),
+    });
+    jest.spyOn(WebhookEvent, "exists").mockResolvedValue({ _id: "e1" });
+    await expect(service.replay("e1")).rejects.toMatchObject({
+      statusCode: 409,
+    });
+  });
+
+  test("ignores event types the store does not handle", async () => {
+    const { service, eventUpdate } = setup(null);
+
+    const result = await service.receive(
+      stripeEvent("customer.created", { id: "cus_1" }),
+    );
+
+    expect(result.status).toBe("ignored");
+    expect(eventUpdate.mock.calls[0][1].$set.note).toBe(
+      "Event type is not handled",
+    );
+  });
+});
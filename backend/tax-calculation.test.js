@@ -0,0 +1,126 @@
+import { describe, expect, test } from "@jest/globals";
+import { calculateTax, selectTaxRates } from "./src/utils/tax.js";
+import { calculateCartTotals } from "./src/utils/pricing.js";
+
+const rates = [
+  {
+    _id: "de-std",
+    name: "DE VAT",
+    country: "DE",
+    taxClass: "standard",
+    rate: 19,
+    appliesToShipping: true,
+  },
+  {
+    _id: "de-red",
+    name: "DE VAT (reduced)",
+    country: "DE",
+    taxClass: "reduced",
+    rate: 7,
+  },
+  { _id: "ca-gst", name: "GST", country: "CA", taxClass: "standard", rate: 5 },
+  {
+    _id: "ca-bc",
+    name: "BC PST",
+    country: "CA",
+    state: "BC",
+    taxClass: "standard",
+    rate: 7,
+  },
+  {
+    _id: "us-ny",
+    name: "NY Sales Tax",
+    country: "US",
+    state: "NY",
+    taxClass: "standard",
+    rate: 8,
+    status: "inactive",
+  },
+];
+
+describe("tax calculation", () => {
+  test("stacks country and matching state rates but skips other states and inactive rates", () => {
+    expect(
+      selectTaxRates(rates, { country: "ca", state: "bc" }).map((r) => r._id),
+    ).toEqual(["ca-gst", "ca-bc"]);
+    expect(
+      selectTaxRates(rates, { country: "CA", state: "ON" }).map((r) => r._id),
+    ).toEqual(["ca-gst"]);
+    expect(selectTaxRates(rates, { country: "US", state: "NY" })).toEqual([]);
+    expect(selectTaxRates(rates, {})).toEqual([]);
+  });
+
+  test("adds exclusive tax per class and on shipping when the rate allows it", () => {
+    const result = calculateTax({
+      items: [
+        { amount: 100, taxClass: "standard" },
+        { amount: 50, taxClass: "reduced" },
+        { amount: 30, taxClass: "zero" },
+      ],
+      shippingCost: 10,
+      rates: selectTaxRates(rates, { country: "DE" }),
+    });
+
+    expect(result.pricesIncludeTax).toBe(false);
+    expect(result.taxLines).toEqual([
+      expect.objectContaining({
+        name: "DE VAT",
+        rate: 19,
+        taxableAmount: 110,
+        amount: 20.9,
+      }),
+      expect.objectContaining({
+        name: "DE VAT (reduced)",
+        rate: 7,
+        taxableAmount: 50,
+        amount: 3.5,
+      }),
+    ]);
+    expect(result.taxTotal).toBe(24.4);
+    // Shipping tax belongs to no item.
+    expect(result.itemTaxes).toEqual([19, 3.5, 0]);
+  });
+
+  test("spreads the coupon discount across items before taxing", () => {
+    const result = calculateTax({
+      items: [
+        { amount: 60, taxClass: "standard" },
+        { amount: 40, taxClass: "reduced" },
+      ],
+      couponDiscount: 10,
+      rates: selectTaxRates(rates, { country: "DE" }),
+    });
+
+    expect(result.taxLines[0]).toMatchObject({
+      taxableAmount: 54,
+      amount: 10.26,
+    });
+    expect(result.taxLines[1]).toMatchObject({
+      taxableAmount: 36,
+      amount: 2.52,
+    });
+    expect(result.itemTaxes).toEqual([10.26, 2.52]);
+  });
+
+  test("extracts tax from inclusive prices without changing the total", () => {
+    const tax = calculateTax({
+      items: [{ amount: 119, taxClass: "standard" }],
+      rates: selectTaxRates(rates, { country: "DE" }),
+      pricesIncludeTax: true,
+    });
+    expect(tax.taxTotal).toBe(19);
+
+    const totals = calculateCartTotals([{ amount: 119 }], {
+      taxTotal: tax.taxTotal,
+      pricesIncludeTax: true,
+    });
+    expect(totals.totalAmount).toBe(119);
+
+    const exclusive = calculateCartTotals([{ amount: 100 }], {
+      shippingCost: 10,
+      taxTotal: 20.9,
+    });
+    expect(exclusive.totalAmount).toBe(130.9);
+    expect(exclusive.amountInCents).toBe(13090);
+  });
+});
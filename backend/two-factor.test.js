@@ -0,0 +1,228 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import bcrypt from "bcryptjs";
+import { optionalAuth, protect } from "./src/middleware/auth.js";
+import { Setting } from "./src/models/Setting.js";
+import { User } from "./src/models/User.js";
+import { AuthService } from "./src/services/AuthService.js";
+import {
+  base32Encode,
+  currentTotpStep,
+  generateTotp,
+  verifyTotp,
+} from "./src/utils/totp.js";
+
+const USER_ID = "64b0000000000000000000a1";
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+const mockSettings = (settings) =>
+  jest.spyOn(Setting, "findOne").mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(settings),
+    }),
+  });
+
+// Sign-in history and lockout have their own tests in account-lockout.test.js.
+const mockPasswordLogin = async (service, user) => {
+  const password = await bcrypt.hash("Password123", 4);
+  jest
+    .spyOn(service.repository, "registerFailedLogin")
+    .mockResolvedValue({ failedLoginAttempts: 1 });
+  jest.spyOn(service.loginSecurity.repository, "create").mockResolvedValue({});
+  jest
+    .spyOn(service.loginSecurity.repository, "hasSignedIn")
+    .mockResolvedValue(false);
+  jest.spyOn(service.repository, "findByEmail").mockResolvedValue({
+    ...user,
+    password,
+  });
+};
+
+describe("two-factor authentication", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("generates RFC 6238 codes and refuses replayed steps", () => {
+    expect(SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(generateTotp(SECRET, currentTotpStep(59 * 1000))).toBe("287082");
+
+    const now = 59 * 1000;
+    expect(verifyTotp(SECRET, "287082", { now })).toBe(1);
+    expect(verifyTotp(SECRET, "287082", { now, afterStep: 1 })).toBeNull();
+    expect(verifyTotp(SECRET, "12345", { now })).toBeNull();
+  });
+
+  test("an enrolled user gets a challenge instead of a session", async () => {
+    const service = new AuthService();
+    const user = {
+      _id: USER_ID,
+      email: "jane@example.com",
+      role: "user",
+      status: "active",
+      twoFactor: { enabled: true },
+    };
+    await mockPasswordLogin(service, user);
+    const createSession = jest
+      .spyOn(service.sessionRepository, "create")
+      .mockResolvedValue({});
+
+    const result = await service.login("jane@example.com", "Password123");
+    expect(result.accessToken).toBeUndefined();
+    expect(result.user).toBeUndefined();
+    expect(result.twoFactor).toMatchObject({ required: true, enrolled: true });
+    expect(createSession).not.toHaveBeenCalled();
+
+    jest.spyOn(service.repository, "findById").mockResolvedValue(user);
+    jest.spyOn(service.repository, "findByIdWithTwoFactor").mockResolvedValue({
+      ...user,
+      twoFactor: { enabled: true, secret: SECRET, lastUsedStep: 0 },
+    });
+    const claim = jest
+      .spyOn(service.repository, "claimTwoFactorStep")
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+
+    const code = generateTotp(SECRET);
+    await expect(
+      service.completeTwoFactorSignIn(result.twoFactor.challengeToken, {
+        code: generateTotp(SECRET, currentTotpStep() + 10),
+      }),
+    ).rejects.toMatchObject({ statusCode: 401 });
+
+    const signedIn = await service.completeTwoFactorSignIn(
+      result.twoFactor.challengeToken,
+      { code },
+    );
+    expect(signedIn.accessToken).toBeDefined();
+    expect(signedIn.user.twoFactor).toEqual({ enabled: true, enabledAt: null });
+    expect(createSession).toHaveBeenCalledTimes(1);
+    expect(claim).toHaveBeenCalledWith(USER_ID, expect.any(Number));
+
+    // The same code a second time loses the race for its step.
+    await expect(
+      service.completeTwoFactorSignIn(result.twoFactor.challengeToken, {
+        code,
+      }),
+    ).rejects.toMatchObject({ statusCode: 401 });
+
+    await expect(
+      service.completeTwoFactorSignIn("not-a-challenge", { code }),
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test("admins must enroll during sign-in when the setting is on", async () => {
+    const service = new AuthService();
+    const admin = {
+      _id: USER_ID,
+      email: "admin@example.com",
+      role: "admin",
+      status: "active",
+    };
+    mockSettings({ requireAdminTwoFactor: true, siteName: "Shop" });
+    await mockPasswordLogin(service, admin);
+
+    const result = await service.login("admin@example.com", "Password123");
+    expect(result.twoFactor).toMatchObject({ enrolled: false });
+
+    const update = jest
+      .spyOn(service.repository, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const lookup = jest
+      .spyOn(service.repository, "findByIdWithTwoFactor")
+      .mockResolvedValue({ ...admin, twoFactor: { enabled: false } });
+
+    const setup = await service.beginTwoFactorEnrollment(
+      result.twoFactor.challengeToken,
+    );
+    expect(setup.otpauthUrl).toContain("issuer=Shop");
+    expect(setup.qrCode).toMatch(/^data:image\/png;base64,/);
+
+    lookup.mockResolvedValue({
+      ...admin,
+      twoFactor: { enabled: false, pendingSecret: setup.secret },
+    });
+    jest.spyOn(service.repository, "findById").mockResolvedValue(admin);
+    jest.spyOn(service.sessionRepository, "create").mockResolvedValue({});
+
+    const signedIn = await service.completeTwoFactorSignIn(
+      result.twoFactor.challengeToken,
+      { code: generateTotp(setup.secret) },
+    );
+    expect(signedIn.accessToken).toBeDefined();
+    expect(signedIn.recoveryCodes).toHaveLength(10);
+    const [, enabled] = update.mock.calls.at(-1);
+    expect(enabled.$set["twoFactor.secret"]).toBe(setup.secret);
+    expect(enabled.$set["twoFactor.recoveryCodes"]).not.toContain(
+      signedIn.recoveryCodes[0],
+    );
+
+    lookup.mockResolvedValue({ ...admin, twoFactor: { enabled: true } });
+    await expect(
+      service.twoFactorService.disable(USER_ID, { code: "123456" }),
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test("a challenge token never works as an access token", async () => {
+    const service = new AuthService();
+    const admin = {
+      _id: USER_ID,
+      email: "admin@example.com",
+      role: "admin",
+      status: "active",
+    };
+    mockSettings({ requireAdminTwoFactor: true });
+    await mockPasswordLogin(service, admin);
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue(admin),
+    });
+
+    const { twoFactor } = await service.login(
+      "admin@example.com",
+      "Password123",
+    );
+    const req = {
+      cookies: {},
+      headers: { authorization: `Bearer ${twoFactor.challengeToken}` },
+    };
+    const next = jest.fn();
+    await protect(req, {}, next);
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 401 });
+    expect(req.user).toBeUndefined();
+
+    await optionalAuth(req, {}, next);
+    expect(next).toHaveBeenLastCalledWith();
+    expect(req.user).toBeUndefined();
+
+    // Nor is an access token a challenge.
+    const accessToken = service.generateAccessToken(admin, USER_ID);
+    expect(() => service.twoFactorService.readChallenge(accessToken)).toThrow(
+      "Your sign-in expired",
+    );
+  });
+
+  test("recovery codes work once and ignore case and dashes", async () => {
+    const service = new AuthService();
+    const twoFactor = service.twoFactorService;
+    jest
+      .spyOn(twoFactor.repository, "findByIdWithTwoFactor")
+      .mockResolvedValue({
+        _id: USER_ID,
+        role: "user",
+        twoFactor: { enabled: true, secret: SECRET },
+      });
+    const consume = jest
+      .spyOn(twoFactor.repository, "consumeRecoveryCode")
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+
+    await expect(
+      twoFactor.verify(USER_ID, { recoveryCode: "AB12C-DE34F" }),
+    ).resolves.toEqual({ method: "recovery_code" });
+    await expect(
+      twoFactor.verify(USER_ID, { recoveryCode: "ab12cde34f" }),
+    ).rejects.toMatchObject({ statusCode: 401 });
+
+    const [[, first], [, second]] = consume.mock.calls;
+    expect(first).toBe(second);
+  });
+});
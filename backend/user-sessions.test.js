@@ -0,0 +1,190 @@
+import { afterEach, describe, expect, jest, test } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import { config } from "./src/config/index.js";
+import { protect } from "./src/middleware/auth.js";
+import { Session } from "./src/models/Session.js";
+import { User } from "./src/models/User.js";
+import {
+  AuthService,
+  REFRESH_REUSE_GRACE_SECONDS,
+} from "./src/services/AuthService.js";
+import { UserService } from "./src/services/UserService.js";
+import { describeDevice } from "./src/utils/userAgent.js";
+
+const USER_ID = "64b0000000000000000000a1";
+const SESSION_ID = "64b0000000000000000000c1";
+const OTHER_SESSION_ID = "64b0000000000000000000c2";
+
+const user = {
+  _id: USER_ID,
+  email: "jane@example.com",
+  role: "user",
+  status: "active",
+};
+
+const mockUserLookup = () =>
+  jest.spyOn(User, "findById").mockReturnValue({
+    select: jest.fn().mockResolvedValue(user),
+  });
+
+const runProtect = async (token) => {
+  const req = { cookies: { accessToken: token }, headers: {} };
+  const next = jest.fn();
+  await protect(req, {}, next);
+  return { req, error: next.mock.calls[0][0] };
+};
+
+describe("user sessions", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("each sign-in opens its own session instead of replacing another", async () => {
+    const service = new AuthService();
+    const create = jest
+      .spyOn(service.sessionRepository, "create")
+      .mockResolvedValue({});
+
+    const laptop = await service.generateAuthTokens(user, true, {
+      userAgent:
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15",
+    });
+    const phone = await service.generateAuthTokens(user, false, {
+      userAgent:
+        "Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36",
+    });
+
+    const [[laptopSession], [phoneSession]] = create.mock.calls;
+    expect(laptopSession.device).toBe("Safari on macOS");
+    expect(laptopSession.refreshTokenHash).toBe(
+      service.hashToken(laptop.refreshToken),
+    );
+    expect(phoneSession.device).toBe("Chrome on Android");
+    expect(phoneSession.refreshTokenHash).toBeUndefined();
+    expect(phone.refreshToken).toBeUndefined();
+    expect(String(laptopSession._id)).not.toBe(String(phoneSession._id));
+  });
+
+  test("replaying a rotated-away refresh token revokes the session", async () => {
+    const service = new AuthService();
+    const stolen = service.generateRefreshToken(user, SESSION_ID);
+    const revoke = jest
+      .spyOn(service.sessionRepository, "revokeById")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const rotate = jest.spyOn(service.sessionRepository, "rotate");
+    const findSession = jest
+      .spyOn(service.sessionRepository, "findByIdWithToken")
+      .mockResolvedValue({
+        _id: SESSION_ID,
+        user: USER_ID,
+        refreshTokenHash: "hash-of-a-newer-token",
+        previousTokenHash: service.hashToken(stolen),
+        rotatedAt: new Date(
+          Date.now() - (REFRESH_REUSE_GRACE_SECONDS + 60) * 1000,
+        ),
+        revokedAt: null,
+      });
+
+    await expect(service.refreshAccessToken(stolen)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(revoke).toHaveBeenCalledWith(SESSION_ID, "reuse_detected");
+    expect(rotate).not.toHaveBeenCalled();
+
+    // Moments after a rotation the same token is another tab racing.
+    revoke.mockClear();
+    findSession.mockResolvedValue({
+      ...(await findSession.mock.results[0].value),
+      rotatedAt: new Date(),
+    });
+    await expect(service.refreshAccessToken(stolen)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(revoke).not.toHaveBeenCalled();
+  });
+
+  test("an access token stops working once its session is revoked", async () => {
+    const service = new AuthService();
+    const token = service.generateAccessToken(user, SESSION_ID);
+    mockUserLookup();
+    const exists = jest
+      .spyOn(Session, "exists")
+      .mockResolvedValue({ _id: SESSION_ID });
+
+    const signedIn = await runProtect(token);
+    expect(signedIn.error).toBeUndefined();
+    expect(signedIn.req.sessionId).toBe(SESSION_ID);
+    expect(exists).toHaveBeenCalledWith({
+      _id: SESSION_ID,
+      user: USER_ID,
+      revokedAt: null,
+    });
+
+    exists.mockResolvedValue(null);
+    const revoked = await runProtect(token);
+    expect(revoked.error).toMatchObject({ statusCode: 401 });
+    expect(revoked.req.user).toBeUndefined();
+  });
+
+  test("an access token without a session id is refused", async () => {
+    mockUserLookup();
+    const exists = jest.spyOn(Session, "exists");
+    const token = jwt.sign(
+      { userId: USER_ID, role: "user", type: "access" },
+      config.jwt.secret,
+      { expiresIn: "15m" },
+    );
+
+    const result = await runProtect(token);
+    expect(result.error).toMatchObject({ statusCode: 401 });
+    expect(result.req.user).toBeUndefined();
+    expect(exists).not.toHaveBeenCalled();
+  });
+
+  test("lists sessions with the current one flagged and revokes them", async () => {
+    const service = new AuthService();
+    jest
+      .spyOn(service.sessionRepository, "findActiveByUser")
+      .mockResolvedValue([
+        { _id: OTHER_SESSION_ID, device: "Chrome on Android" },
+        { _id: SESSION_ID, device: "Safari on macOS" },
+      ]);
+    const revoke = jest
+      .spyOn(service.sessionRepository, "revoke")
+      .mockResolvedValue({ modifiedCount: 0 });
+    const revokeAll = jest
+      .spyOn(service.sessionRepository, "revokeAllForUser")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    const sessions = await service.listSessions(USER_ID, SESSION_ID);
+    expect(sessions.map((session) => session.current)).toEqual([false, true]);
+
+    // Another user's session id is simply not found.
+    await expect(
+      service.revokeSession(USER_ID, OTHER_SESSION_ID),
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(revoke).toHaveBeenCalledWith(
+      { _id: OTHER_SESSION_ID, user: USER_ID },
+      "user",
+    );
+
+    await service.revokeAllSessions(USER_ID, { exceptSessionId: SESSION_ID });
+    expect(revokeAll).toHaveBeenCalledWith(USER_ID, "all", {
+      exceptId: SESSION_ID,
+    });
+  });
+
+  test("an admin can sign a user out everywhere", async () => {
+    const service = new UserService();
+    jest.spyOn(service.repository, "exists").mockResolvedValue(true);
+    const revokeAll = jest
+      .spyOn(service.sessionRepository, "revokeAllForUser")
+      .mockResolvedValue({ modifiedCount: 3 });
+
+    await expect(service.revokeUserSessions(USER_ID)).resolves.toEqual({
+      revoked: 3,
+    });
+    expect(revokeAll).toHaveBeenCalledWith(USER_ID, "admin");
+    expect(describeDevice("")).toBe("Unknown device");
+  });
+});
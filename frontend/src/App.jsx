@@ -11,6 +11,7 @@ const HomePage = lazy(() => import('@pages/features/public/HomePage.jsx'));
 const ProductDetailPage = lazy(() => import('@pages/features/public/ProductDetailPage.jsx'));
 const CartPage = lazy(() => import('@pages/features/public/CartPage.jsx'));
 const CheckoutPage = lazy(() => import('@pages/features/public/CheckoutPage.jsx'));
+const OrderConfirmationPage = lazy(() => import('@pages/features/public/OrderConfirmationPage.jsx'));
 const ProductsPage = lazy(() => import('@pages/features/public/ProductsPage.jsx'));
 const CategoryPage = lazy(() => import('@pages/features/public/CategoryPage.jsx'));
 const WishlistPage = lazy(() => import('@pages/features/public/WishlistPage.jsx'));
@@ -18,6 +19,8 @@ const LoginPage = lazy(() => import('@pages/features/auth/LoginPage.jsx'));
 const RegisterPage = lazy(() => import('@pages/features/auth/RegisterPage.jsx'));
 const ForgotPasswordPage = lazy(() => import('@pages/features/auth/ForgotPasswordPage.jsx'));
 const ResetPasswordPage = lazy(() => import('@pages/features/auth/ResetPasswordPage.jsx'));
+const VerifyEmailPage = lazy(() => import('@pages/features/auth/VerifyEmailPage.jsx'));
+const OAuthCallbackPage = lazy(() => import('@pages/features/auth/OAuthCallbackPage.jsx'));
 const NotFound = lazy(() => import('@pages/features/public/NotFound.jsx'));
 
 const UserLayout = lazy(() => import('@layouts/UserLayout.jsx'));
@@ -47,8 +50,13 @@ const DiscountsList = lazy(() => import('@pages/features/admin/discounts/Discoun
 const DiscountForm = lazy(() => import('@pages/features/admin/discounts/DiscountForm.jsx'));
 const CouponsList = lazy(() => import('@pages/features/admin/coupons/CouponsList.jsx'));
 const CouponForm = lazy(() => import('@pages/features/admin/coupons/CouponForm.jsx'));
+const ShippingMethodsList = lazy(() => import('@pages/features/admin/shipping/ShippingMethodsList.jsx'));
+const ShippingMethodForm = lazy(() => import('@pages/features/admin/shipping/ShippingMethodForm.jsx'));
+const TaxRatesList = lazy(() => import('@pages/features/admin/tax/TaxRatesList.jsx'));
+const TaxRateForm = lazy(() => import('@pages/features/admin/tax/TaxRateForm.jsx'));
 const ReviewsList = lazy(() => import('@pages/features/admin/reviews/ReviewsList.jsx'));
 const SettingsPage = lazy(() => import('@pages/features/admin/settings/SettingsPage.jsx'));
+const EmailTemplatesPage = lazy(() => import('@pages/features/admin/settings/EmailTemplatesPage.jsx'));
 const ImageSettingsPage = lazy(() => import('@pages/features/admin/settings/ImageSettingsPage.jsx'));
 const VariantTypesList = lazy(() => import('@pages/features/admin/variants/VariantTypesList.jsx'));
 const VariantTypeForm = lazy(() => import('@pages/features/admin/variants/VariantTypeForm.jsx'));
@@ -56,6 +64,13 @@ const VariantTypeView = lazy(() => import('@pages/features/admin/variants/Varian
 const VariantOptionsList = lazy(() => import('@pages/features/admin/variants/VariantOptionsList.jsx'));
 const VariantOptionForm = lazy(() => import('@pages/features/admin/variants/VariantOptionForm.jsx'));
 const OrdersList = lazy(() => import('@pages/features/admin/orders/OrdersList.jsx'));
+const ReturnsList = lazy(() => import('@pages/features/admin/returns/ReturnsList.jsx'));
+const WebhookEventsList = lazy(() => import('@pages/features/admin/payments/WebhookEventsList.jsx'));
+const AuditLogList = lazy(() => import('@pages/features/admin/audit/AuditLogList.jsx'));
+const InventoryList = lazy(() => import('@pages/features/admin/inventory/InventoryList.jsx'));
+const StockDemandReport = lazy(() => import('@pages/features/admin/inventory/StockDemandReport.jsx'));
+const StockLocationsList = lazy(() => import('@pages/features/admin/stock-locations/StockLocationsList.jsx'));
+const StockLocationForm = lazy(() => import('@pages/features/admin/stock-locations/StockLocationForm.jsx'));
 
 const PageSkeleton = () => (
     <div className="flex min-h-screen flex-col bg-slate-50">
@@ -116,15 +131,16 @@ function App() {
             <Route path="/products/:id" element={<ProductDetailPage />} />
             <Route path="/categories" element={<ProductsPage />} />
             <Route path="/cart" element={
-                <ProtectedRoute customerOnly>
+                <ProtectedRoute customerOnly allowGuest>
                     <CartPage />
                 </ProtectedRoute>
             } />
             <Route path="/checkout" element={
-                <ProtectedRoute customerOnly>
+                <ProtectedRoute customerOnly allowGuest>
                     <CheckoutPage />
                 </ProtectedRoute>
             } />
+            <Route path="/order-confirmation" element={<OrderConfirmationPage />} />
             <Route path="/categories/:slug" element={<CategoryPage />} />
             <Route path="/wishlist" element={
                 <ProtectedRoute customerOnly>
@@ -139,6 +155,8 @@ function App() {
             <Route path="/register" element={<GuestRoute><RegisterPage /></GuestRoute>} />
             <Route path="/forgot-password" element={<GuestRoute><ForgotPasswordPage /></GuestRoute>} />
             <Route path="/reset-password" element={<GuestRoute><ResetPasswordPage /></GuestRoute>} />
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
+            <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
 
             <Route path="/admin" element={
                 <ProtectedRoute requireAdmin={true}>
@@ -171,6 +189,12 @@ function App() {
                 <Route path="coupons" element={<CouponsList />} />
                 <Route path="coupons/create" element={<CouponForm />} />
                 <Route path="coupons/:id/edit" element={<CouponForm />} />
+                <Route path="shipping" element={<ShippingMethodsList />} />
+                <Route path="shipping/create" element={<ShippingMethodForm />} />
+                <Route path="shipping/:id/edit" element={<ShippingMethodForm />} />
+                <Route path="tax-rates" element={<TaxRatesList />} />
+                <Route path="tax-rates/create" element={<TaxRateForm />} />
+                <Route path="tax-rates/:id/edit" element={<TaxRateForm />} />
                 <Route path="variant-type" element={<VariantTypesList />} />
                 <Route path="variant-type/create" element={<VariantTypeForm />} />
                 <Route path="variant-type/:id" element={<VariantTypeView />} />
@@ -179,9 +203,18 @@ function App() {
                 <Route path="variant-option/create" element={<VariantOptionForm />} />
                 <Route path="variant-option/:id/edit" element={<VariantOptionForm />} />
                 <Route path="orders" element={<OrdersList />} />
+                <Route path="returns" element={<ReturnsList />} />
+                <Route path="webhook-events" element={<WebhookEventsList />} />
+                <Route path="inventory" element={<InventoryList />} />
+                <Route path="stock-demand" element={<StockDemandReport />} />
+                <Route path="stock-locations" element={<StockLocationsList />} />
+                <Route path="stock-locations/create" element={<StockLocationForm />} />
+                <Route path="stock-locations/:id/edit" element={<StockLocationForm />} />
                 <Route path="reviews" element={<ReviewsList />} />
                 <Route path="settings" element={<SettingsPage />} />
+                <Route path="settings/email-templates" element={<EmailTemplatesPage />} />
                 <Route path="settings/images" element={<ImageSettingsPage />} />
+                <Route path="audit-log" element={<AuditLogList />} />
             </Route>
 
             {/* User account panel — authenticated users only */}
@@ -4,8 +4,7 @@ import authService from '../../services/authService';
 
 const GuestRoute = ({ children }) => {
     if (authService.isAuthenticated()) {
-        const user = authService.getUser();
-        const redirectTo = user?.role === 'admin' ? '/admin' : '/account';
+        const redirectTo = authService.isStaff() ? '/admin' : '/account';
         return <Navigate to={redirectTo} replace />;
     }
 
@@ -0,0 +1,49 @@
+import { useOAuthProviders } from '@/hooks/queries';
+import authService from '@/services/authService';
+
+const ICONS = {
+    google: (
+        <svg className="h-5 w-5" viewBox="0 0 24 24" aria-hidden="true">
+            <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92a5.06 5.06 0 01-2.2 3.32v2.76h3.56c2.08-1.92 3.28-4.74 3.28-8.09z" />
+            <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.56-2.76c-.98.66-2.23 1.06-3.72 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84A11 11 0 0012 23z" />
+            <path fill="#FBBC05" d="M5.84 14.11A6.6 6.6 0 015.5 12c0-.73.13-1.44.34-2.11V7.05H2.18A11 11 0 001 12c0 1.78.43 3.46 1.18 4.95l3.66-2.84z" />
+            <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1A11 11 0 002.18 7.05l3.66 2.84C6.71 7.31 9.14 5.38 12 5.38z" />
+        </svg>
+    ),
+    facebook: (
+        <svg className="h-5 w-5" viewBox="0 0 24 24" aria-hidden="true">
+            <path fill="#1877F2" d="M24 12.07C24 5.41 18.63 0 12 0S0 5.4 0 12.07C0 18.1 4.39 23.1 10.13 24v-8.44H7.08v-3.49h3.04V9.41c0-3.02 1.8-4.7 4.54-4.7 1.31 0 2.68.24 2.68.24v2.97h-1.5c-1.5 0-1.96.93-1.96 1.89v2.26h3.32l-.53 3.5h-2.8V24C19.62 23.1 24 18.1 24 12.07z" />
+        </svg>
+    ),
+};
+
+// Renders a button per social sign-in provider the store has switched on;
+// nothing at all when none are.
+const OAuthButtons = ({ rememberMe = false, returnTo, className = '' }) => {
+    const { data: providers = [] } = useOAuthProviders();
+    if (providers.length === 0) return null;
+
+    return (
+        <div className={className}>
+            <div className="mb-4 flex items-center gap-3 text-xs font-semibold uppercase tracking-wide text-slate-400">
+                <span className="h-px flex-1 bg-slate-200" />
+                or continue with
+                <span className="h-px flex-1 bg-slate-200" />
+            </div>
+            <div className={`grid gap-3 ${providers.length > 1 ? 'sm:grid-cols-2' : ''}`}>
+                {providers.map((provider) => (
+                    <a
+                        key={provider.name}
+                        href={authService.getOAuthUrl(provider.name, { rememberMe, returnTo })}
+                        className="flex items-center justify-center gap-2 rounded-xl border border-slate-300 bg-white px-4 py-2.5 text-sm font-semibold text-slate-700 transition hover:bg-slate-50"
+                    >
+                        {ICONS[provider.name] || null}
+                        {provider.label}
+                    </a>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default OAuthButtons;
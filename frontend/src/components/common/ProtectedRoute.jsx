@@ -11,11 +11,11 @@ const PageLoader = () => (
     </div>
 );
 
-const ProtectedRoute = ({ children, requireAdmin = false, customerOnly = false }) => {
+const ProtectedRoute = ({ children, requireAdmin = false, customerOnly = false, allowGuest = false }) => {
     const location = useLocation();
     const [isAuthChecking, setIsAuthChecking] = useState(true);
     const [isAuthenticated, setIsAuthenticated] = useState(false);
-    const [isAdmin, setIsAdmin] = useState(false);
+    const [isStaff, setIsStaff] = useState(false);
 
     useEffect(() => {
         const checkAuth = async () => {
@@ -30,10 +30,10 @@ const ProtectedRoute = ({ children, requireAdmin = false, customerOnly = false }
                 const user = authService.getUser();
                 
                 setIsAuthenticated(!!user);
-                setIsAdmin(user?.role === 'admin');
+                setIsStaff((user?.permissions?.length ?? 0) > 0);
             } catch (error) {
                 setIsAuthenticated(false);
-                setIsAdmin(false);
+                setIsStaff(false);
             } finally {
                 setIsAuthChecking(false);
             }
@@ -46,15 +46,20 @@ const ProtectedRoute = ({ children, requireAdmin = false, customerOnly = false }
         return <PageLoader />;
     }
 
+    // Guest-enabled routes (cart, checkout) still keep staff out below.
+    if (!isAuthenticated && allowGuest) {
+        return children;
+    }
+
     if (!isAuthenticated) {
         return <Navigate to="/login" state={{ from: location }} replace />;
     }
 
-    if (requireAdmin && !isAdmin) {
+    if (requireAdmin && !isStaff) {
         return <Navigate to="/account" replace />;
     }
 
-    if (customerOnly && isAdmin) {
+    if (customerOnly && isStaff) {
         return <Navigate to="/admin" replace />;
     }
 
@@ -0,0 +1,29 @@
+import notify from '@/utils/notify';
+
+// Recovery codes are shown once, right after they are generated.
+const RecoveryCodes = ({ codes = [], onDone, doneLabel = 'I saved these codes' }) => {
+    const copyCodes = async () => {
+        try {
+            await navigator.clipboard.writeText(codes.join('\n'));
+            notify.success('Recovery codes copied');
+        } catch {
+            notify.error('Could not copy. Please write the codes down instead.');
+        }
+    };
+
+    return (
+        <div className="rounded-xl border border-amber-200 bg-amber-50 p-4">
+            <p className="text-sm font-semibold text-amber-900">Save your recovery codes</p>
+            <p className="mt-1 text-xs text-amber-800">Each code signs you in once if you lose your authenticator app. They will not be shown again.</p>
+            <ul className="mt-3 grid grid-cols-2 gap-2 font-mono text-sm text-slate-800">
+                {codes.map((code) => <li key={code} className="rounded-md bg-white px-2 py-1 text-center">{code}</li>)}
+            </ul>
+            <div className="mt-4 flex flex-wrap gap-2">
+                <button type="button" onClick={copyCodes} className="rounded-lg border border-amber-300 bg-white px-3 py-2 text-sm font-semibold text-amber-900 hover:bg-amber-100">Copy codes</button>
+                {onDone && <button type="button" onClick={onDone} className="btn-neo rounded-lg px-3 py-2 text-sm font-semibold">{doneLabel}</button>}
+            </div>
+        </div>
+    );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,106 @@
+import { useEffect, useRef, useState } from 'react';
+import { useCompleteTwoFactorLogin, useTwoFactorLoginSetup } from '@/hooks/queries';
+import { processApiError } from '@/utils/errorUtils';
+import ErrorAlert from './ErrorAlert';
+import RecoveryCodes from './RecoveryCodes';
+
+const errorMessagesFor = (err) => {
+    const { errorMessages, generalError } = processApiError(err);
+    return errorMessages.length > 0 ? errorMessages : [generalError];
+};
+
+// Second sign-in step. Accounts that must use 2FA but have not set it up yet
+// enroll here before their first session is opened.
+const TwoFactorChallenge = ({ challenge, onSuccess, onCancel }) => {
+    const { challengeToken, enrolled } = challenge;
+    const [code, setCode] = useState('');
+    const [useRecovery, setUseRecovery] = useState(false);
+    const [error, setError] = useState([]);
+    const [completed, setCompleted] = useState(null);
+    const setupStarted = useRef(false);
+
+    const { mutate: completeLogin, isPending } = useCompleteTwoFactorLogin();
+    const { mutate: beginSetup, data: setup, isPending: isLoadingSetup } = useTwoFactorLoginSetup();
+
+    useEffect(() => {
+        if (enrolled || setupStarted.current) return;
+        setupStarted.current = true;
+        beginSetup(challengeToken, { onError: (err) => setError(errorMessagesFor(err)) });
+    }, [beginSetup, challengeToken, enrolled]);
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        setError([]);
+        const credentials = useRecovery ? { recoveryCode: code } : { code: code.replace(/\s/g, '') };
+        completeLogin({ challengeToken, ...credentials }, {
+            onSuccess: (response) => {
+                const recoveryCodes = response?.data?.recoveryCodes;
+                if (recoveryCodes?.length) setCompleted({ response, recoveryCodes });
+                else onSuccess(response);
+            },
+            onError: (err) => {
+                setCode('');
+                setError(errorMessagesFor(err));
+            },
+        });
+    };
+
+    if (completed) {
+        return <RecoveryCodes codes={completed.recoveryCodes} onDone={() => onSuccess(completed.response)} doneLabel="Continue" />;
+    }
+
+    return (
+        <div>
+            <div className="mb-5">
+                <h2 className="text-xl font-bold text-slate-900">{enrolled ? 'Two-factor authentication' : 'Set up two-factor authentication'}</h2>
+                <p className="mt-1 text-sm text-slate-500">
+                    {enrolled
+                        ? (useRecovery ? 'Enter one of your recovery codes.' : 'Enter the 6-digit code from your authenticator app.')
+                        : 'Your account requires two-factor authentication. Scan the QR code with an authenticator app, then enter the code it shows.'}
+                </p>
+            </div>
+
+            <ErrorAlert errors={error} onClose={() => setError([])} className="mb-4" />
+
+            {!enrolled && (
+                <div className="mb-5 flex flex-col items-center gap-2 rounded-xl border border-slate-200 bg-slate-50 p-4">
+                    {isLoadingSetup && <div className="h-5 w-5 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />}
+                    {setup?.qrCode && <img src={setup.qrCode} alt="Authenticator QR code" className="h-44 w-44" />}
+                    {setup?.secret && <p className="break-all text-center font-mono text-xs text-slate-600">{setup.secret}</p>}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+                <div>
+                    <label htmlFor="twoFactorCode" className="mb-2 block text-sm font-semibold text-slate-700">{useRecovery ? 'Recovery code' : 'Authentication code'}</label>
+                    <input
+                        id="twoFactorCode"
+                        type="text"
+                        value={code}
+                        onChange={(event) => setCode(event.target.value)}
+                        inputMode={useRecovery ? 'text' : 'numeric'}
+                        autoComplete="one-time-code"
+                        maxLength={useRecovery ? 32 : 6}
+                        placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+                        className="w-full rounded-xl border border-slate-300 px-4 py-3 text-center font-mono text-lg tracking-widest focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500/30"
+                        autoFocus
+                    />
+                </div>
+                <button type="submit" disabled={isPending || !code.trim() || (!enrolled && !setup)} className="btn-neo tap-bounce hover-glow w-full rounded-xl py-3 font-semibold disabled:cursor-not-allowed disabled:opacity-50">
+                    {isPending ? 'Verifying...' : 'Verify'}
+                </button>
+            </form>
+
+            <div className="mt-4 flex items-center justify-between text-sm">
+                {enrolled ? (
+                    <button type="button" onClick={() => { setUseRecovery((prev) => !prev); setCode(''); setError([]); }} className="font-semibold text-primary-600 hover:text-primary-700">
+                        {useRecovery ? 'Use authenticator code' : 'Use a recovery code'}
+                    </button>
+                ) : <span />}
+                <button type="button" onClick={onCancel} className="font-semibold text-slate-500 hover:text-slate-700">Back to sign in</button>
+            </div>
+        </div>
+    );
+};
+
+export default TwoFactorChallenge;
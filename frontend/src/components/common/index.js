@@ -3,3 +3,6 @@ export { default as ErrorAlert } from './ErrorAlert';
 export { default as FieldError } from './FieldError';
 export { default as Toast } from './Toast';
 export { default as ConfirmDialog } from './ConfirmDialog';
+export { default as OAuthButtons } from './OAuthButtons';
+export { default as RecoveryCodes } from './RecoveryCodes';
+export { default as TwoFactorChallenge } from './TwoFactorChallenge';
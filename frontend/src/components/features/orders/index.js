@@ -0,0 +1 @@
+export { default as OrderStatusTimeline } from '@components/orders/OrderStatusTimeline.jsx';
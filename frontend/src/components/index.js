@@ -1,6 +1,7 @@
 export * from './features/auth/index.js';
 export * from './features/catalog/index.js';
 export * from './features/checkout/index.js';
+export * from './features/orders/index.js';
 export * from './features/layout/index.js';
 export * from './features/admin/index.js';
 
@@ -12,9 +12,8 @@ const useCartCount = () => {
     const [count, setCount] = useState(0);
 
     const refresh = useCallback(async () => {
-        if (!authService.isAuthenticated()) { setCount(0); return; }
         try {
-            await authService.getCurrentUser();
+            if (authService.isAuthenticated()) await authService.getCurrentUser();
 
             const data = await apiClient.get(API_CONFIG.ENDPOINTS.CART);
             const count = data?.data?.summary?.totalItems ?? (Array.isArray(data?.data?.items) ? data.data.items.reduce((s, i) => s + (i.quantity || 1), 0) : 0);
@@ -46,7 +45,7 @@ const StoreHeader = () => {
     const [isSearchFocused, setIsSearchFocused] = useState(false);
     const [currentUser, setCurrentUser] = useState(null);
     const isAuthenticated = authService.isAuthenticated();
-    const isAdminUser = isAuthenticated && authService.isAdmin();
+    const isStaffUser = isAuthenticated && authService.isStaff();
     const { settings } = useSiteSettings();
     const userMenuRef = useRef(null);
     const siteName = String(settings?.siteName || 'Enterprise E-Commerce').trim();
@@ -155,7 +154,7 @@ const StoreHeader = () => {
                     {/* Right actions */}
                     <div className="flex items-center gap-1 sm:gap-2 ml-auto md:ml-0">
                         {/* Wishlist */}
-                        {!isAdminUser && (
+                        {!isStaffUser && (
                         <div className="relative">
                             <Link
                                 to={isAuthenticated ? '/wishlist' : '/login'}
@@ -172,7 +171,7 @@ const StoreHeader = () => {
                         )}
 
                         {/* Cart */}
-                        {!isAdminUser && (
+                        {!isStaffUser && (
                         <div className="relative">
                             <Link
                                 to={isAuthenticated ? '/cart' : '/login'}
@@ -208,13 +207,13 @@ const StoreHeader = () => {
                                     </button>
                                     {isUserMenuOpen && (
                                         <div className="absolute right-0 top-full mt-2 w-48 store-surface z-50 py-1">
-                                            {authService.isAdmin() && (
+                                            {isStaffUser && (
                                                 <Link to="/admin" className="flex items-center gap-2 px-4 py-2.5 text-sm font-medium text-primary-600 hover:bg-primary-50 transition-colors rounded-lg mx-1">
                                                     <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317a1 1 0 011.35-.936l1.612.806a1 1 0 001.184-.21l1.24-1.24a1 1 0 011.414 0l1.414 1.414a1 1 0 010 1.414l-1.24 1.24a1 1 0 00-.21 1.184l.806 1.612a1 1 0 01-.936 1.35H17a1 1 0 00-.95.684l-.538 1.614a1 1 0 01-.949.684h-2.126a1 1 0 01-.949-.684l-.538-1.614A1 1 0 0010 10H8.001a1 1 0 01-.936-1.35l.806-1.612a1 1 0 00-.21-1.184l-1.24-1.24a1 1 0 010-1.414l1.414-1.414a1 1 0 011.414 0l1.24 1.24a1 1 0 001.184.21l1.612-.806z" /></svg>
                                                     Admin Panel
                                                 </Link>
                                             )}
-                                            {!isAdminUser && (
+                                            {!isStaffUser && (
                                             <>
                                             <Link to="/account" className="flex items-center gap-2 px-4 py-2.5 text-sm font-medium text-slate-800 hover:bg-primary-50 transition-colors rounded-lg mx-1">
                                                 <svg className="h-4 w-4 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg>
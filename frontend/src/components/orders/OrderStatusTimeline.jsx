@@ -0,0 +1,72 @@
+import React from "react";
+import { ROLE_LABELS } from "@/constants";
+
+const STATUS_LABELS = {
+    new: "Order Placed",
+    process: "Processing",
+    shipped: "Shipped",
+    delivered: "Delivered",
+    cancelled: "Cancelled",
+};
+
+const STATUS_DOT = {
+    new: "bg-primary-500",
+    process: "bg-yellow-500",
+    shipped: "bg-purple-500",
+    delivered: "bg-green-500",
+    cancelled: "bg-red-400",
+    requested: "bg-primary-500",
+    approved: "bg-yellow-500",
+    rejected: "bg-red-400",
+    received: "bg-purple-500",
+    refunded: "bg-green-500",
+};
+
+const SHOPPER_ACTORS = ["customer", "guest"];
+
+// Any role other than a shopper or the system is a staff member.
+const describeActor = (actor, showActorName) => {
+    if (!actor) return null;
+    if (!actor.role || actor.role === "system") return "automatically";
+    if (SHOPPER_ACTORS.includes(actor.role)) return showActorName && actor.name ? `by ${actor.name}` : "by you";
+    const roleLabel = actor.role === "admin" ? "admin" : ROLE_LABELS[actor.role] || "staff";
+    return showActorName && actor.name ? `by ${actor.name} (${roleLabel})` : "by the store";
+};
+
+// Records created before status history was kept only know their creation time.
+const resolveEntries = (history, createdAt, initialStatus) => {
+    if (Array.isArray(history) && history.length) return history;
+    return createdAt ? [{ status: initialStatus, changedAt: createdAt }] : [];
+};
+
+const OrderStatusTimeline = ({
+    history,
+    createdAt,
+    showActorName = false,
+    labels = STATUS_LABELS,
+    initialStatus = "new",
+}) => {
+    const entries = resolveEntries(history, createdAt, initialStatus);
+    if (!entries.length) return null;
+
+    return (
+        <ol className="relative space-y-4 border-l border-slate-200 pl-5">
+            {entries.map((entry, index) => {
+                const actorText = describeActor(entry.actor, showActorName);
+                return (
+                    <li key={`${entry.status}-${entry.changedAt || index}`} className="relative">
+                        <span className={`absolute -left-[26px] top-1 h-3 w-3 rounded-full ring-4 ring-white ${STATUS_DOT[entry.status] || "bg-slate-400"}`} />
+                        <p className="text-sm font-semibold text-slate-800">{labels[entry.status] || entry.status}</p>
+                        <p className="text-xs text-slate-500">
+                            {entry.changedAt ? new Date(entry.changedAt).toLocaleString() : ""}
+                            {actorText ? ` · ${actorText}` : ""}
+                        </p>
+                        {entry.note && <p className="mt-1 text-xs text-slate-600">{entry.note}</p>}
+                    </li>
+                );
+            })}
+        </ol>
+    );
+};
+
+export default OrderStatusTimeline;
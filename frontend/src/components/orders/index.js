@@ -0,0 +1,3 @@
+export * from './OrderStatusTimeline.jsx';
+
+export { default as OrderStatusTimeline } from './OrderStatusTimeline.jsx';
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import backInStockService from '../../services/backInStockService';
+import notify from '../../utils/notify';
+
+// "Notify me" box for a sold-out product or variant. Signed-in shoppers
+// start from their account email and may change it.
+const BackInStockForm = ({ productId, variantId = null, defaultEmail = '' }) => {
+    const [email, setEmail] = useState(defaultEmail);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [subscribedTo, setSubscribedTo] = useState(null);
+
+    const skuKey = `${productId}:${variantId || ''}`;
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (!email.trim()) {
+            notify.error('Please enter your email address');
+            return;
+        }
+        setIsSubmitting(true);
+        try {
+            await backInStockService.subscribe({ productId, variantId, email: email.trim() });
+            setSubscribedTo(skuKey);
+            notify.success('We will email you when it is back in stock');
+        } catch (error) {
+            notify.error(error, 'Could not sign you up for a notification');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (subscribedTo === skuKey) {
+        return (
+            <div className="rounded-xl border border-success-200 bg-success-50 px-4 py-3 text-sm font-medium text-success-700">
+                ✓ We will email {email.trim()} as soon as this is back in stock.
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="rounded-xl border border-[rgba(165,187,252,0.4)] bg-[rgba(66,80,213,0.04)] p-4">
+            <p className="mb-2 text-sm font-semibold text-slate-800">Notify me when it is back in stock</p>
+            <div className="flex flex-col gap-2 sm:flex-row">
+                <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@example.com"
+                    aria-label="Email address"
+                    className="store-input h-11 flex-1 rounded-xl px-3 text-sm"
+                />
+                <button type="submit" disabled={isSubmitting} className="store-btn-primary tap-bounce rounded-xl px-5 py-2.5 text-sm font-bold disabled:opacity-50">
+                    {isSubmitting ? 'Saving...' : 'Notify me'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default BackInStockForm;
@@ -1,3 +1,4 @@
 export * from './ProductCard.jsx';
 
+export { default as BackInStockForm } from './BackInStockForm.jsx';
 export { default as ProductCard } from './ProductCard.jsx';
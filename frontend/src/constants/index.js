@@ -18,6 +18,13 @@ export const API_CONFIG = {
     AUTH: "/api/v1/auth",
     USERS: "/api/v1/users",
     PAYMENTS: "/api/v1/payments",
+    SHIPPING: "/api/v1/shipping",
+    TAX_RATES: "/api/v1/tax-rates",
+    INVENTORY: "/api/v1/inventory",
+    STOCK_LOCATIONS: "/api/v1/stock-locations",
+    BACK_IN_STOCK: "/api/v1/back-in-stock",
+    EMAIL_TEMPLATES: "/api/v1/email-templates",
+    AUDIT_LOGS: "/api/v1/audit-logs",
   },
   TIMEOUT: 10000,
   RETRY_ATTEMPTS: 3,
@@ -81,6 +88,73 @@ export const PRODUCT_CONDITIONS = {
   DEFAULT: "default",
 };
 
+export const TAX_CLASSES = [
+  { value: "standard", label: "Standard" },
+  { value: "reduced", label: "Reduced" },
+  { value: "zero", label: "Zero-rated" },
+];
+
+export const INVENTORY_POLICIES = [
+  { value: "deny", label: "Stop selling when out of stock" },
+  { value: "backorder", label: "Allow backorders" },
+  { value: "preorder", label: "Pre-order" },
+];
+
+export const STOCK_LOCATION_TYPES = [
+  { value: "warehouse", label: "Warehouse" },
+  { value: "store", label: "Store" },
+  { value: "backroom", label: "Backroom" },
+];
+
+export const RETURN_STATUS_LABELS = {
+  requested: "Return Requested",
+  approved: "Approved",
+  rejected: "Rejected",
+  received: "Items Received",
+  refunded: "Refunded",
+};
+
+// Why a sign-in attempt was refused; mirrors backend/src/models/LoginAttempt.js.
+export const SIGN_IN_FAILURE_LABELS = {
+  invalid_password: "Wrong password",
+  invalid_two_factor: "Wrong two-factor code",
+  locked: "Account locked",
+  inactive: "Account inactive",
+};
+
+// Mirrors backend/src/constants/permissions.js. The signed-in user's
+// permissions come from the API; these names are only used to check them.
+export const PERMISSIONS = {
+  CATALOG_MANAGE: "catalog:manage",
+  INVENTORY_MANAGE: "inventory:manage",
+  ORDERS_VIEW: "orders:view",
+  ORDERS_MANAGE: "orders:manage",
+  ORDERS_REFUND: "orders:refund",
+  PAYMENTS_MANAGE: "payments:manage",
+  REVIEWS_MODERATE: "reviews:moderate",
+  MARKETING_MANAGE: "marketing:manage",
+  EMAIL_TEMPLATES_MANAGE: "email_templates:manage",
+  SHIPPING_MANAGE: "shipping:manage",
+  TAX_MANAGE: "tax:manage",
+  USERS_VIEW: "users:view",
+  USERS_MANAGE: "users:manage",
+  SETTINGS_MANAGE: "settings:manage",
+  AUDIT_VIEW: "audit:view",
+};
+
+export const ROLE_OPTIONS = [
+  { value: "user", label: "Customer" },
+  { value: "admin", label: "Administrator" },
+  { value: "catalog_manager", label: "Catalog Manager" },
+  { value: "order_manager", label: "Order Manager" },
+  { value: "support", label: "Support" },
+  { value: "marketing", label: "Marketing" },
+];
+
+export const ROLE_LABELS = Object.fromEntries(
+  ROLE_OPTIONS.map(({ value, label }) => [value, label]),
+);
+
 export const CURRENCY_CONFIG = {
   DEFAULT: "USD",
   SYMBOL: "$",
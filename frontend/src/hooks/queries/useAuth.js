@@ -1,11 +1,31 @@
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  useQuery,
+  useMutation,
+  useQueryClient,
+  keepPreviousData,
+} from "@tanstack/react-query";
 import authService from "@/services/authService";
 import apiClient from "@/services/apiClient";
 import { API_CONFIG } from "@/constants";
 import { useAuthStore } from "@/store/authStore";
+import notify from "@/utils/notify";
 
 export const AUTH_KEYS = {
   me: ["auth", "me"],
+  loginHistory: (page) => ["auth", "login-history", page],
+  oauthProviders: ["auth", "oauth-providers"],
+  sessions: ["auth", "sessions"],
+  twoFactor: ["auth", "two-factor"],
+};
+
+// The server folds any guest cart into the account cart on sign-in.
+const syncCartAfterSignIn = (response) => {
+  if (response?.data?.twoFactor) return;
+  window.dispatchEvent(new Event("cart:changed"));
+  const { adjusted = 0, dropped = 0 } = response?.data?.cartMerge || {};
+  if (adjusted || dropped) {
+    notify.info("Some items in your cart were updated to match available stock.");
+  }
 };
 
 export function useCurrentUser() {
@@ -23,18 +43,39 @@ export function useLogin() {
   return useMutation({
     mutationFn: ({ email, password, rememberMe }) =>
       authService.login(email, password, rememberMe),
-    onSuccess: () => {
+    onSuccess: (response) => {
       queryClient.invalidateQueries({ queryKey: AUTH_KEYS.me });
+      syncCartAfterSignIn(response);
     },
   });
 }
 
+export function useCompleteTwoFactorLogin() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ challengeToken, code, recoveryCode }) =>
+      authService.completeTwoFactorLogin(challengeToken, { code, recoveryCode }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: AUTH_KEYS.me });
+      syncCartAfterSignIn(response);
+    },
+  });
+}
+
+export function useTwoFactorLoginSetup() {
+  return useMutation({
+    mutationFn: (challengeToken) =>
+      authService.beginTwoFactorLoginSetup(challengeToken),
+  });
+}
+
 export function useRegister() {
   const queryClient = useQueryClient();
   return useMutation({
     mutationFn: (userData) => authService.register(userData),
-    onSuccess: () => {
+    onSuccess: (response) => {
       queryClient.invalidateQueries({ queryKey: AUTH_KEYS.me });
+      syncCartAfterSignIn(response);
     },
   });
 }
@@ -45,10 +86,110 @@ export function useLogout() {
     mutationFn: () => authService.logout(),
     onSuccess: () => {
       queryClient.clear();
+      window.dispatchEvent(new Event("cart:changed"));
+    },
+  });
+}
+
+// Signing this browser out from the device list works like logging out.
+const clearAfterSignOut = (queryClient) => {
+  queryClient.clear();
+  window.dispatchEvent(new Event("cart:changed"));
+};
+
+export function useSessions() {
+  return useQuery({
+    queryKey: AUTH_KEYS.sessions,
+    queryFn: () => authService.getSessions(),
+  });
+}
+
+export function useLoginHistory(page = 1) {
+  return useQuery({
+    queryKey: AUTH_KEYS.loginHistory(page),
+    queryFn: () => authService.getLoginHistory({ page }),
+    placeholderData: keepPreviousData,
+  });
+}
+
+export function useRevokeSession() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ sessionId, current }) =>
+      authService.revokeSession(sessionId, { current }),
+    onSuccess: (_, { current }) => {
+      if (current) clearAfterSignOut(queryClient);
+      else queryClient.invalidateQueries({ queryKey: AUTH_KEYS.sessions });
     },
   });
 }
 
+export function useRevokeAllSessions() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ keepCurrent = false } = {}) =>
+      authService.revokeAllSessions({ keepCurrent }),
+    onSuccess: (_, { keepCurrent = false } = {}) => {
+      if (keepCurrent)
+        queryClient.invalidateQueries({ queryKey: AUTH_KEYS.sessions });
+      else clearAfterSignOut(queryClient);
+    },
+  });
+}
+
+export function useTwoFactorStatus() {
+  return useQuery({
+    queryKey: AUTH_KEYS.twoFactor,
+    queryFn: () => authService.getTwoFactorStatus(),
+  });
+}
+
+export function useSetupTwoFactor() {
+  return useMutation({
+    mutationFn: () => authService.setupTwoFactor(),
+  });
+}
+
+export function useEnableTwoFactor() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (code) => authService.enableTwoFactor(code),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: AUTH_KEYS.twoFactor });
+      queryClient.invalidateQueries({ queryKey: AUTH_KEYS.me });
+    },
+  });
+}
+
+export function useDisableTwoFactor() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (credentials) => authService.disableTwoFactor(credentials),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: AUTH_KEYS.twoFactor });
+      queryClient.invalidateQueries({ queryKey: AUTH_KEYS.me });
+    },
+  });
+}
+
+export function useRegenerateRecoveryCodes() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (credentials) => authService.regenerateRecoveryCodes(credentials),
+    onSuccess: () =>
+      queryClient.invalidateQueries({ queryKey: AUTH_KEYS.twoFactor }),
+  });
+}
+
+export function useOAuthProviders() {
+  return useQuery({
+    queryKey: AUTH_KEYS.oauthProviders,
+    queryFn: () => authService.getOAuthProviders(),
+    staleTime: 5 * 60 * 1000,
+    retry: false,
+  });
+}
+
 export function useForgotPassword() {
   return useMutation({
     mutationFn: (email) => authService.forgotPassword(email),
@@ -62,6 +203,22 @@ export function useResetPassword() {
   });
 }
 
+export function useVerifyEmail() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (token) => authService.verifyEmail(token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: AUTH_KEYS.me });
+    },
+  });
+}
+
+export function useResendVerification() {
+  return useMutation({
+    mutationFn: (email) => authService.resendVerification(email),
+  });
+}
+
 export function useChangePassword() {
   return useMutation({
     mutationFn: ({ currentPassword, newPassword, confirmPassword }) =>
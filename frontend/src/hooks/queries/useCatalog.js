@@ -206,7 +206,10 @@ export function useCoupons(params = {}) {
 
 export function useValidateCoupon() {
   return useMutation({
-    mutationFn: (code) =>
-      apiClient.post(`${API_CONFIG.ENDPOINTS.COUPONS}/validate`, { code }),
+    mutationFn: ({ code, cartTotal }) =>
+      apiClient.post(`${API_CONFIG.ENDPOINTS.COUPONS}/validate`, {
+        code,
+        cartTotal,
+      }),
   });
 }
@@ -55,11 +55,12 @@ export function useCreateOrder() {
 export function useCancelOrder() {
   const qc = useQueryClient();
   return useMutation({
-    mutationFn: (id) => apiClient.patch(`${EP}/${id}/cancel`),
-    onSuccess: (_, id) => {
+    mutationFn: ({ id, reason }) =>
+      apiClient.patch(`${EP}/${id}/cancel`, reason ? { reason } : {}),
+    onSuccess: (res, { id }) => {
       qc.invalidateQueries({ queryKey: ORDER_KEYS.detail(id) });
       qc.invalidateQueries({ queryKey: ORDER_KEYS.lists() });
-      toast.success("Order cancelled");
+      toast.success(res.data?.message ?? "Order cancelled");
     },
     onError: (err) =>
       toast.error(err.response?.data?.message ?? "Failed to cancel order"),
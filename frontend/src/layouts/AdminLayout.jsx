@@ -1,6 +1,8 @@
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Link, Outlet, useLocation, useNavigate } from 'react-router-dom';
 import authService from '../services/authService';
+import { useAuthStore } from '../store/authStore';
+import { PERMISSIONS } from '../constants';
 import { useSiteSettings } from '../context/useSiteSettings';
 import { resolveImageUrl } from '../utils/imageUrl';
 
@@ -8,17 +10,25 @@ const MOBILE_BREAKPOINT = 768;
 
 const MENU_ITEMS = [
     { key: 'dashboard', path: '/admin', label: 'Dashboard', exact: true },
-    { key: 'products', path: '/admin/products', label: 'Products' },
-    { key: 'categories', path: '/admin/categories', label: 'Categories' },
-    { key: 'users', path: '/admin/users', label: 'Users' },
-    { key: 'orders', path: '/admin/orders', label: 'Orders' },
-    { key: 'banners', path: '/admin/banners', label: 'Banners' },
-    { key: 'brands', path: '/admin/brands', label: 'Brands' },
-    { key: 'discounts', path: '/admin/discounts', label: 'Discounts' },
-    { key: 'coupons', path: '/admin/coupons', label: 'Coupons' },
+    { key: 'products', path: '/admin/products', label: 'Products', permission: PERMISSIONS.CATALOG_MANAGE },
+    { key: 'inventory', path: '/admin/inventory', label: 'Inventory', permission: PERMISSIONS.INVENTORY_MANAGE },
+    { key: 'stock-locations', path: '/admin/stock-locations', label: 'Stock Locations', permission: PERMISSIONS.INVENTORY_MANAGE },
+    { key: 'stock-demand', path: '/admin/stock-demand', label: 'Stock Demand', permission: PERMISSIONS.INVENTORY_MANAGE },
+    { key: 'categories', path: '/admin/categories', label: 'Categories', permission: PERMISSIONS.CATALOG_MANAGE },
+    { key: 'users', path: '/admin/users', label: 'Users', permission: PERMISSIONS.USERS_VIEW },
+    { key: 'orders', path: '/admin/orders', label: 'Orders', permission: PERMISSIONS.ORDERS_VIEW },
+    { key: 'returns', path: '/admin/returns', label: 'Returns', permission: PERMISSIONS.ORDERS_VIEW },
+    { key: 'webhooks', path: '/admin/webhook-events', label: 'Webhook Events', permission: PERMISSIONS.PAYMENTS_MANAGE },
+    { key: 'banners', path: '/admin/banners', label: 'Banners', permission: PERMISSIONS.MARKETING_MANAGE },
+    { key: 'brands', path: '/admin/brands', label: 'Brands', permission: PERMISSIONS.CATALOG_MANAGE },
+    { key: 'discounts', path: '/admin/discounts', label: 'Discounts', permission: PERMISSIONS.MARKETING_MANAGE },
+    { key: 'coupons', path: '/admin/coupons', label: 'Coupons', permission: PERMISSIONS.MARKETING_MANAGE },
+    { key: 'shipping', path: '/admin/shipping', label: 'Shipping', permission: PERMISSIONS.SHIPPING_MANAGE },
+    { key: 'tax-rates', path: '/admin/tax-rates', label: 'Tax Rates', permission: PERMISSIONS.TAX_MANAGE },
     {
         key: 'variants',
         label: 'Variants',
+        permission: PERMISSIONS.CATALOG_MANAGE,
         children: [
             { key: 'variant-types', path: '/admin/variant-type', label: 'Types' },
             { key: 'variant-type-create', path: '/admin/variant-type/create', label: 'Add Type' },
@@ -26,10 +36,31 @@ const MENU_ITEMS = [
             { key: 'variant-option-create', path: '/admin/variant-option/create', label: 'Add Option' },
         ],
     },
-    { key: 'reviews', path: '/admin/reviews', label: 'Reviews' },
-    { key: 'settings', path: '/admin/settings', label: 'Settings' },
+    { key: 'reviews', path: '/admin/reviews', label: 'Reviews', permission: PERMISSIONS.REVIEWS_MODERATE },
+    { key: 'email-templates', path: '/admin/settings/email-templates', label: 'Email Templates', permission: PERMISSIONS.EMAIL_TEMPLATES_MANAGE },
+    { key: 'settings', path: '/admin/settings', label: 'Settings', permission: PERMISSIONS.SETTINGS_MANAGE },
+    { key: 'audit-log', path: '/admin/audit-log', label: 'Audit Log', permission: PERMISSIONS.AUDIT_VIEW },
 ];
 
+// Each admin path needs the permission of its menu entry; the longest
+// matching path wins, so Settings > Email Templates has its own.
+const ROUTE_PERMISSIONS = MENU_ITEMS
+    .flatMap((item) => (item.children || [item]).map((entry) => ({ path: entry.path, permission: item.permission })))
+    .filter((entry) => entry.permission)
+    .sort((a, b) => b.path.length - a.path.length);
+
+const matchesPath = (pathname, path) => pathname === path || pathname.startsWith(`${path}/`);
+
+const permissionForPath = (pathname) => ROUTE_PERMISSIONS.find((entry) => matchesPath(pathname, entry.path))?.permission;
+
+const AccessDenied = () => (
+    <div className="admin-surface mx-auto max-w-lg rounded-2xl p-8 text-center">
+        <h1 className="admin-display text-xl text-slate-900">You do not have access to this page</h1>
+        <p className="mt-2 text-sm text-slate-500">Your role does not include this part of the admin panel. Ask an administrator if you need it.</p>
+        <Link to="/admin" className="admin-button-secondary mt-5 inline-block rounded-full px-4 py-2 text-sm font-semibold">Back to dashboard</Link>
+    </div>
+);
+
 const UI_CONFIG = {
     SIDEBAR_OPEN: 'w-72',
     SIDEBAR_CLOSED: 'w-0',
@@ -43,12 +74,22 @@ const NavGlyph = ({ name }) => {
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 13h6V4H4v9zm0 7h6v-5H4v5zm10 0h6v-9h-6v9zm0-16v5h6V4h-6z" /></svg>;
         case 'products':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10" /></svg>;
+        case 'inventory':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7h16M4 12h16M4 17h10M18 15v6m-3-3h6" /></svg>;
+        case 'stock-locations':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 21h18M5 21V9l7-5 7 5v12M9 21v-6h6v6" /></svg>;
+        case 'stock-demand':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.4-1.4A2 2 0 0118 14.2V11a6 6 0 00-4-5.66V5a2 2 0 10-4 0v.34A6 6 0 006 11v3.2a2 2 0 01-.6 1.4L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" /></svg>;
         case 'categories':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7h8V3H3v4zm10 0h8V3h-8v4zM3 21h8v-10H3v10zm10 0h8v-10h-8v10z" /></svg>;
         case 'users':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a4 4 0 00-5-3.87M9 20H4v-2a4 4 0 015-3.87m8-4a4 4 0 11-8 0 4 4 0 018 0zM6 10a3 3 0 100-6 3 3 0 000 6zm12 0a3 3 0 100-6 3 3 0 000 6z" /></svg>;
         case 'orders':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4m1.6 8L5.4 5M7 13l-1.5 7h13M9 20a1 1 0 100-2 1 1 0 000 2zm8 0a1 1 0 100-2 1 1 0 000 2z" /></svg>;
+        case 'returns':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" /></svg>;
+        case 'webhooks':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" /></svg>;
         case 'banners':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16v12H4z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l5-5 4 4 3-3 4 4" /></svg>;
         case 'brands':
@@ -57,12 +98,20 @@ const NavGlyph = ({ name }) => {
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 5L5 19M7 7h.01M17 17h.01" /></svg>;
         case 'coupons':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 14l6-6m-6 0h.01M15 14h.01M7 5h10a2 2 0 012 2v3a2 2 0 01-2 2h-1l-2 2 2 2h1a2 2 0 012 2v3a2 2 0 01-2 2H7a2 2 0 01-2-2v-3a2 2 0 012-2h1l2-2-2-2H7a2 2 0 01-2-2V7a2 2 0 012-2z" /></svg>;
+        case 'shipping':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7h11v9H3zM14 10h4l3 3v3h-7" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 19a2 2 0 100-4 2 2 0 000 4zm10 0a2 2 0 100-4 2 2 0 000 4z" /></svg>;
+        case 'tax-rates':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 7h6m0 10v-3m-3 3v-6m-3 6v-1M6 21h12a2 2 0 002-2V5a2 2 0 00-2-2H6a2 2 0 00-2 2v14a2 2 0 002 2z" /></svg>;
         case 'variants':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317a1 1 0 011.35-.936l1.612.806a1 1 0 001.184-.21l1.24-1.24a1 1 0 011.414 0l1.414 1.414a1 1 0 010 1.414l-1.24 1.24a1 1 0 00-.21 1.184l.806 1.612a1 1 0 01-.936 1.35H17a1 1 0 00-.95.684l-.538 1.614a1 1 0 01-.949.684h-2.126a1 1 0 01-.949-.684l-.538-1.614A1 1 0 0010 10H8.001a1 1 0 01-.936-1.35l.806-1.612a1 1 0 00-.21-1.184l-1.24-1.24a1 1 0 010-1.414l1.414-1.414a1 1 0 011.414 0l1.24 1.24a1 1 0 001.184.21l1.612-.806z" /></svg>;
         case 'reviews':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.286 3.959a1 1 0 00.95.69h4.162c.969 0 1.371 1.24.588 1.81l-3.367 2.447a1 1 0 00-.364 1.118l1.286 3.959c.3.921-.755 1.688-1.539 1.118l-3.367-2.447a1 1 0 00-1.176 0L7.04 18.028c-.783.57-1.838-.197-1.539-1.118l1.286-3.959a1 1 0 00-.364-1.118L3.056 9.386c-.783-.57-.38-1.81.588-1.81h4.162a1 1 0 00.95-.69l1.293-3.959z" /></svg>;
+        case 'email-templates':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" /></svg>;
         case 'settings':
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 16v-2m8-6h-2M6 12H4m12.95 4.95l-1.414-1.414M8.464 8.464L7.05 7.05m9.9 0l-1.414 1.414M8.464 15.536L7.05 16.95M12 16a4 4 0 100-8 4 4 0 000 8z" /></svg>;
+        case 'audit-log':
+            return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" /></svg>;
         default:
             return <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24"><circle cx="12" cy="12" r="9" strokeWidth={2} /></svg>;
     }
@@ -78,6 +127,7 @@ const AdminLayout = () => {
     const [isLoggingOut, setIsLoggingOut] = useState(false);
     const [currentUser, setCurrentUser] = useState(null);
     const [expandedMenus, setExpandedMenus] = useState({ variants: false });
+    const permissions = useAuthStore((state) => state.user?.permissions);
 
     useEffect(() => {
         const checkMobile = () => {
@@ -119,10 +169,19 @@ const AdminLayout = () => {
     const userName = useMemo(() => currentUser?.name || 'Admin User', [currentUser]);
     const userEmail = useMemo(() => currentUser?.email || settings?.supportEmail || 'admin@admin.com', [currentUser, settings?.supportEmail]);
 
+    const can = useCallback((permission) => !permission || Boolean(permissions?.includes(permission)), [permissions]);
+    const menuItems = useMemo(() => MENU_ITEMS.filter((item) => can(item.permission)), [can]);
+    const canViewPage = can(permissionForPath(location.pathname));
+
+    // Only the most specific visible entry is highlighted.
+    const activePath = useMemo(() => menuItems
+        .filter((item) => item.path && !item.exact && matchesPath(location.pathname, item.path))
+        .reduce((longest, item) => (item.path.length > longest.length ? item.path : longest), ''), [location.pathname, menuItems]);
+
     const isActive = useCallback((path, exact = false) => {
         if (exact) return location.pathname === path;
-        return location.pathname.startsWith(path);
-    }, [location.pathname]);
+        return path === activePath;
+    }, [activePath, location.pathname]);
 
     const toggleSidebar = useCallback(() => {
         setIsSidebarOpen((prev) => !prev);
@@ -220,7 +279,7 @@ const AdminLayout = () => {
                         </div>
 
                         <nav className="space-y-2" role="navigation">
-                            {MENU_ITEMS.map((item) => {
+                            {menuItems.map((item) => {
                                 if (Array.isArray(item.children)) {
                                     const isMenuActive = item.children.some((child) => isActive(child.path, true));
                                     const isExpanded = expandedMenus[item.key] || isMenuActive;
@@ -290,7 +349,7 @@ const AdminLayout = () => {
 
                 <main className={`min-w-0 flex-1 transition-all duration-300 ${isSidebarOpen && !isMobile ? 'md:ml-72' : 'ml-0'}`} role="main">
                     <div className="p-4 sm:p-6 lg:p-7">
-                        <Outlet />
+                        {canViewPage ? <Outlet /> : <AccessDenied />}
                     </div>
                 </main>
             </div>
@@ -1,6 +1,9 @@
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Link, Outlet, useLocation, useNavigate } from 'react-router-dom';
 import authService from '../services/authService';
+import { useResendVerification } from '../hooks/queries';
+import { useAuthStore } from '../store/authStore';
+import notify from '../utils/notify';
 
 const USER_MENU = [
     { key: 'dashboard', path: '/account', label: 'My Account', exact: true },
@@ -35,12 +38,41 @@ const NavGlyph = ({ name }) => {
     }
 };
 
+const VerificationBanner = ({ email }) => {
+    const { mutate: resend, isPending } = useResendVerification();
+
+    const handleResend = () => {
+        resend(undefined, {
+            onSuccess: (response) => notify.success(response?.message || 'Verification email sent'),
+            onError: (error) => notify.error(error, 'Failed to send the verification email'),
+        });
+    };
+
+    return (
+        <div className="mb-6 flex flex-col gap-3 rounded-2xl border border-amber-200 bg-amber-50 p-4 sm:flex-row sm:items-center sm:justify-between">
+            <p className="text-sm text-amber-800">
+                <span className="font-semibold">Please verify your email address.</span>{' '}
+                We sent a link to {email || 'your inbox'}; open it to confirm your account.
+            </p>
+            <button
+                type="button"
+                onClick={handleResend}
+                disabled={isPending}
+                className="shrink-0 rounded-xl border border-amber-300 bg-white px-4 py-2 text-sm font-semibold text-amber-800 transition hover:bg-amber-100 disabled:opacity-50"
+            >
+                {isPending ? 'Sending...' : 'Resend email'}
+            </button>
+        </div>
+    );
+};
+
 const UserLayout = () => {
     const location = useLocation();
     const navigate = useNavigate();
     const [isSidebarOpen, setIsSidebarOpen] = useState(true);
     const [currentUser, setCurrentUser] = useState(null);
     const [isLoggingOut, setIsLoggingOut] = useState(false);
+    const emailVerified = useAuthStore((state) => state.user?.emailVerified);
 
     useEffect(() => {
         try {
@@ -187,6 +219,7 @@ const UserLayout = () => {
                 {/* Main */}
                 <main className={`min-w-0 flex-1 transition-all duration-300 ${isSidebarOpen ? 'ml-64' : 'ml-0'}`}>
                     <div className="p-4 sm:p-6 lg:p-8">
+                        {emailVerified === false && <VerificationBanner email={userEmail} />}
                         <Outlet />
                     </div>
                 </main>
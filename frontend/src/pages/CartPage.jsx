@@ -32,7 +32,7 @@ const CartPage = () => {
             return;
         }
 
-        validateCouponMutate(code, {
+        validateCouponMutate({ code, cartTotal: Number(cartData.summary?.subTotal || 0) }, {
             onSuccess: (data) => {
                 const result = data?.data ?? data;
                 const validatedCoupon = {
@@ -101,6 +101,17 @@ const CartPage = () => {
         if (item?.variant?.sku) return `SKU: ${item.variant.sku}`;
         return null;
     };
+    const getFulfilmentLabel = (item) => {
+        const expected = item?.expectedDate ? new Date(item.expectedDate).toLocaleDateString() : null;
+        if (item?.fulfilment === 'preorder') {
+            return expected ? `Pre-order — ships around ${expected}` : 'Pre-order';
+        }
+        if (item?.fulfilment === 'backorder') {
+            const units = `${item.backorderedQuantity} of ${item.quantity} on backorder`;
+            return expected ? `${units} — expected ${expected}` : units;
+        }
+        return null;
+    };
 
     return (
         <div className="mx-auto max-w-6xl px-4 pb-16 sm:px-6 lg:px-8">
@@ -124,6 +135,7 @@ const CartPage = () => {
                     <div className="space-y-4 lg:col-span-2">
                         {cartData.items.map((item) => {
                             const variantLabel = getVariantLabel(item);
+                            const fulfilmentLabel = getFulfilmentLabel(item);
                             return (
                             <div key={item._id} className="store-surface p-4">
                                 <div className="flex items-start gap-4">
@@ -140,6 +152,9 @@ const CartPage = () => {
                                         {variantLabel && (
                                             <p className="mt-1 text-xs text-slate-500 line-clamp-2">{variantLabel}</p>
                                         )}
+                                        {fulfilmentLabel && (
+                                            <p className="mt-1 text-xs font-semibold text-amber-600">{fulfilmentLabel}</p>
+                                        )}
                                         <p className="mt-1 text-sm text-slate-500">
                                             Unit: <span className="font-semibold text-primary-600">{fmt(item.unitFinalPrice ?? item.price)}</span>
                                             {Number(item.unitDiscountAmount || 0) > 0 && (
@@ -215,10 +230,10 @@ const CartPage = () => {
                             {appliedCoupon && couponDiscount > 0 && (
                                 <div className="flex justify-between text-success-600"><span>Coupon Discount</span><span className="font-semibold">- {fmt(couponDiscount)}</span></div>
                             )}
-                            <div className="flex justify-between text-slate-500"><span>Shipping</span><span className="font-semibold">{fmt(cartData.summary.shippingCost)}</span></div>
+                            <div className="flex justify-between text-slate-500"><span>Shipping (est.)</span><span className="font-semibold">{fmt(cartData.summary.shippingCost)}</span></div>
                             <div className="flex justify-between border-t border-[rgba(165,187,252,0.25)] pt-3 text-base font-bold text-slate-900"><span>Total</span><span>{fmt(payableTotal)}</span></div>
                         </div>
-                        <button onClick={() => navigate('/checkout')} className="store-btn-primary tap-bounce mt-5 w-full rounded-2xl py-3.5 text-sm font-bold">Proceed to Checkout</button>
+                        <button onClick={() => navigate('/checkout', { state: { couponCode: appliedCoupon?.code || '' } })} className="store-btn-primary tap-bounce mt-5 w-full rounded-2xl py-3.5 text-sm font-bold">Proceed to Checkout</button>
                         <Link to="/" className="store-btn-secondary tap-bounce mt-3 block w-full rounded-2xl py-3 text-center text-sm font-semibold">Continue Shopping</Link>
                         <div className="mt-4 flex items-center justify-center gap-2 text-xs text-slate-500"><span>🔒</span><span>Secure SSL encrypted checkout</span></div>
                     </div>
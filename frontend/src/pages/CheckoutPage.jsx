@@ -1,5 +1,5 @@
 ﻿import React, { useEffect, useState, useCallback, useRef } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useForm, Controller } from "react-hook-form";
 import { yupResolver } from "@hookform/resolvers/yup";
 import * as yup from "yup";
@@ -8,6 +8,7 @@ import { Elements, useStripe, useElements, CardElement } from "@stripe/react-str
 import authService from "../services/authService";
 import apiClient from "../services/apiClient";
 import paymentService from "../services/paymentService";
+import shippingService from "../services/shippingService";
 import { API_CONFIG } from "../constants";
 import notify from "../utils/notify";
 import { useSiteSettings } from "../context/useSiteSettings";
@@ -47,7 +48,7 @@ const US_STATES = [
 
 const STATE_OPTIONS = US_STATES.map((s) => ({ value: s, label: s }));
 
-const CheckoutForm = ({ stripeAvailable, savedAddresses }) => {
+const CheckoutForm = ({ stripeAvailable, savedAddresses, couponCode, shippingMethodId, onDestinationChange }) => {
     const navigate = useNavigate();
     const stripe = useStripe();
     const elements = useElements();
@@ -115,6 +116,17 @@ const CheckoutForm = ({ stripeAvailable, savedAddresses }) => {
     };
 
     const paymentMethod = watch("paymentMethod");
+    const destinationCountry = watch("country");
+    const destinationState = watch("state");
+
+    useEffect(() => {
+        onDestinationChange?.({ country: destinationCountry, state: destinationState });
+    }, [destinationCountry, destinationState, onDestinationChange]);
+
+    useEffect(() => {
+        // A different coupon or shipping method changes the charged amount, so it needs a fresh idempotency key.
+        orderAttemptKeyRef.current = "";
+    }, [couponCode, shippingMethodId]);
 
     const fieldClass = (field) =>
         `w-full rounded-xl border px-4 py-3 text-sm transition focus:outline-none focus:ring-2 focus:ring-[rgba(66,80,213,0.25)] ${
@@ -138,7 +150,12 @@ const CheckoutForm = ({ stripeAvailable, savedAddresses }) => {
         if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
         return apiClient.post(
             `${API_CONFIG.ENDPOINTS.ORDERS}`,
-            { ...formData, paymentIntentId },
+            {
+                ...formData,
+                paymentIntentId,
+                ...(couponCode && { couponCode }),
+                ...(shippingMethodId && { shippingMethodId }),
+            },
             { headers },
         );
     };
@@ -147,6 +164,7 @@ const CheckoutForm = ({ stripeAvailable, savedAddresses }) => {
         try {
             setIsPlacingOrder(true);
             const orderAttemptKey = getOrderAttemptKey();
+            let result;
 
             if (data.paymentMethod === "stripe") {
                 if (!stripe || !elements) {
@@ -155,8 +173,15 @@ const CheckoutForm = ({ stripeAvailable, savedAddresses }) => {
                 }
                 let intentData;
                 try {
-                    intentData = await paymentService.createPaymentIntent(orderAttemptKey);
+                    intentData = await paymentService.createPaymentIntent(orderAttemptKey, {
+                        couponCode,
+                        shippingMethodId,
+                        country: data.country,
+                        state: data.state,
+                    });
                 } catch (intentError) {
+                    // The server cancels the intent when it cannot hold the stock, so the retry needs a new one.
+                    orderAttemptKeyRef.current = "";
                     notify.error(intentError?.message || "Failed to initialize payment. Please try again.");
                     return;
                 }
@@ -179,15 +204,29 @@ const CheckoutForm = ({ stripeAvailable, savedAddresses }) => {
                     notify.error("Payment was not successful. Please try again.");
                     return;
                 }
-                const result = await createOrder(data, paymentIntent.id, orderAttemptKey);
-                notify.success(`Order placed! #${result?.data?.orderNumber || ""}`);
+                result = await createOrder(data, paymentIntent.id, orderAttemptKey);
             } else {
-                const result = await createOrder(data, null, orderAttemptKey);
-                notify.success(`Order placed! #${result?.data?.orderNumber || ""}`);
+                result = await createOrder(data, null, orderAttemptKey);
             }
+            const order = result?.data?.data;
+            notify.success(`Order placed! #${order?.orderNumber || ""}`);
 
             window.dispatchEvent(new Event("cart:changed"));
-            navigate("/account/orders");
+            if (authService.isAuthenticated()) {
+                navigate("/account/orders");
+            } else {
+                // Guests have no order history, so the confirmation is shown once from route state.
+                navigate("/order-confirmation", {
+                    replace: true,
+                    state: {
+                        order: {
+                            orderNumber: order?.orderNumber,
+                            email: order?.email,
+                            totalAmount: order?.totalAmount,
+                        },
+                    },
+                });
+            }
         } catch (error) {
             notify.error(error, "Failed to place order");
         } finally {
@@ -363,6 +402,7 @@ const CheckoutForm = ({ stripeAvailable, savedAddresses }) => {
 
 const CheckoutPage = () => {
     const navigate = useNavigate();
+    const location = useLocation();
     const { settings } = useSiteSettings();
     const [cart, setCart] = useState({
         items: [],
@@ -372,6 +412,16 @@ const CheckoutPage = () => {
     const [stripeAvailable, setStripeAvailable] = useState(false);
     const [stripePromise, setStripePromise] = useState(null);
     const [savedAddresses, setSavedAddresses] = useState([]);
+    const [couponInput, setCouponInput] = useState(location.state?.couponCode || "");
+    const [appliedCoupon, setAppliedCoupon] = useState(null);
+    const [couponError, setCouponError] = useState("");
+    const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+    const initialCouponRef = useRef(location.state?.couponCode || "");
+    const [destination, setDestination] = useState({ country: "US", state: "" });
+    const [shippingOptions, setShippingOptions] = useState([]);
+    const [selectedShippingId, setSelectedShippingId] = useState("");
+    const [isLoadingShipping, setIsLoadingShipping] = useState(false);
+    const [taxSummary, setTaxSummary] = useState({ taxLines: [], taxTotal: 0, pricesIncludeTax: false });
     const currencyCode = String(settings?.currencyCode || "USD").toUpperCase();
     const formatMoney = useCallback(
         (amount) => {
@@ -396,10 +446,12 @@ const CheckoutPage = () => {
                     headers: authService.getAuthHeaders(),
                     credentials: "include",
                 }),
-                fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.AUTH}/addresses`, {
-                    headers: authService.getAuthHeaders(),
-                    credentials: "include",
-                }),
+                authService.isAuthenticated()
+                    ? fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.AUTH}/addresses`, {
+                        headers: authService.getAuthHeaders(),
+                        credentials: "include",
+                    })
+                    : null,
                 paymentService.getConfig().catch(() => ({ stripeEnabled: false, publicKey: "" })),
             ]);
 
@@ -407,7 +459,7 @@ const CheckoutPage = () => {
             if (!cartRes.ok || !cartData?.success) throw new Error(cartData?.message || "Failed to load cart");
             setCart(cartData.data);
 
-            if (addressRes.ok) {
+            if (addressRes?.ok) {
                 const addrData = await addressRes.json();
                 const addrs = addrData?.data?.addresses || addrData?.data || [];
                 setSavedAddresses(Array.isArray(addrs) ? addrs : []);
@@ -428,6 +480,116 @@ const CheckoutPage = () => {
         loadData();
     }, [loadData]);
 
+    const applyCoupon = useCallback(async (rawCode, { silent = false } = {}) => {
+        const code = String(rawCode || "").trim().toUpperCase();
+        if (!code) {
+            if (!silent) setCouponError("Please enter a coupon code");
+            return;
+        }
+        try {
+            setIsApplyingCoupon(true);
+            const response = await apiClient.post(`${API_CONFIG.ENDPOINTS.COUPONS}/validate`, {
+                code,
+                cartTotal: Number(cart.summary?.subTotal || 0),
+            });
+            const result = response?.data?.data ?? response?.data;
+            setAppliedCoupon({ code, discount: Number(result?.discount || 0) });
+            setCouponInput(code);
+            setCouponError("");
+            if (!silent) notify.success(`Coupon ${code} applied`);
+        } catch (error) {
+            setAppliedCoupon(null);
+            setCouponError(error?.response?.data?.message || error?.message || "Failed to apply coupon");
+        } finally {
+            setIsApplyingCoupon(false);
+        }
+    }, [cart.summary?.subTotal]);
+
+    useEffect(() => {
+        if (isLoading || !cart.items?.length || !initialCouponRef.current) return;
+        const code = initialCouponRef.current;
+        initialCouponRef.current = "";
+        applyCoupon(code, { silent: true });
+    }, [isLoading, cart.items?.length, applyCoupon]);
+
+    const handleDestinationChange = useCallback(({ country, state }) => {
+        setDestination((prev) => (
+            prev.country === (country || "") && prev.state === (state || "")
+                ? prev
+                : { country: country || "", state: state || "" }
+        ));
+    }, []);
+
+    useEffect(() => {
+        if (isLoading || !cart.items?.length) return undefined;
+        let cancelled = false;
+        const loadShippingOptions = async () => {
+            try {
+                setIsLoadingShipping(true);
+                const options = await shippingService.getShippingOptions(destination);
+                if (cancelled) return;
+                const list = Array.isArray(options) ? options : [];
+                setShippingOptions(list);
+                setSelectedShippingId((current) => {
+                    if (list.some((option) => (option.methodId || "") === current)) return current;
+                    const cheapest = list.reduce((best, option) => (!best || option.price < best.price ? option : best), null);
+                    return cheapest?.methodId || "";
+                });
+            } catch (error) {
+                if (!cancelled) {
+                    setShippingOptions([]);
+                    notify.error(error, "Failed to load shipping methods");
+                }
+            } finally {
+                if (!cancelled) setIsLoadingShipping(false);
+            }
+        };
+        loadShippingOptions();
+        return () => {
+            cancelled = true;
+        };
+    }, [isLoading, cart.items?.length, cart.summary?.subTotal, destination]);
+
+    useEffect(() => {
+        if (isLoading || isLoadingShipping || !cart.items?.length || !shippingOptions.length) return undefined;
+        let cancelled = false;
+        const loadTaxSummary = async () => {
+            try {
+                const summary = await paymentService.getCheckoutSummary({
+                    couponCode: appliedCoupon?.code || "",
+                    shippingMethodId: selectedShippingId,
+                    country: destination.country,
+                    state: destination.state,
+                });
+                if (cancelled) return;
+                setTaxSummary({
+                    taxLines: Array.isArray(summary?.taxLines) ? summary.taxLines : [],
+                    taxTotal: Number(summary?.taxTotal || 0),
+                    pricesIncludeTax: Boolean(summary?.pricesIncludeTax),
+                });
+            } catch {
+                if (!cancelled) setTaxSummary({ taxLines: [], taxTotal: 0, pricesIncludeTax: false });
+            }
+        };
+        loadTaxSummary();
+        return () => {
+            cancelled = true;
+        };
+    }, [isLoading, isLoadingShipping, cart.items?.length, cart.summary?.subTotal, shippingOptions.length, selectedShippingId, appliedCoupon?.code, destination]);
+
+    const removeCoupon = () => {
+        setAppliedCoupon(null);
+        setCouponInput("");
+        setCouponError("");
+    };
+
+    const subTotal = Number(cart.summary?.subTotal || 0);
+    const selectedShipping = shippingOptions.find((option) => (option.methodId || "") === selectedShippingId) || null;
+    const shippingCost = Number(selectedShipping ? selectedShipping.price : cart.summary?.shippingCost || 0);
+    const couponDiscount = Math.min(Number(appliedCoupon?.discount || 0), subTotal);
+    const addedTax = taxSummary.pricesIncludeTax ? 0 : taxSummary.taxTotal;
+    const payableTotal = Math.max(0, subTotal - couponDiscount) + shippingCost + addedTax;
+
     if (isLoading) {
         return (
             <div className="flex min-h-[60vh] items-center justify-center">
@@ -461,6 +623,21 @@ const CheckoutPage = () => {
             <div className="mb-8">
                 <p className="store-eyebrow mb-1">Secure Checkout</p>
                 <h1 className="store-display text-2xl text-slate-900 sm:text-3xl">Complete Your Order</h1>
+                {!authService.isAuthenticated() && (
+                    <p className="mt-2 text-sm text-slate-600">
+                        Checking out as a guest. We&apos;ll send your order updates to the email below.{" "}
+                        <Link to="/login" state={{ from: location }} className="font-semibold text-primary-700 hover:underline">
+                            Sign in
+                        </Link>{" "}
+                        to use saved addresses and keep your cart.
+                    </p>
+                )}
+                {settings?.requireVerifiedEmailForOrders && authService.getUser()?.emailVerified === false && (
+                    <p className="mt-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+                        Please verify your email address before placing an order. Check your inbox for the link, or{" "}
+                        <Link to="/account" className="font-semibold underline">resend it from your account</Link>.
+                    </p>
+                )}
             </div>
             <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
                 <div className="lg:col-span-2">
@@ -468,6 +645,9 @@ const CheckoutPage = () => {
                         <CheckoutForm
                             stripeAvailable={stripeAvailable}
                             savedAddresses={savedAddresses}
+                            couponCode={appliedCoupon?.code || ""}
+                            shippingMethodId={selectedShipping?.methodId || ""}
+                            onDestinationChange={handleDestinationChange}
                         />
                     </Elements>
                 </div>
@@ -488,25 +668,118 @@ const CheckoutPage = () => {
                             ))}
                         </div>
                         <div className="my-3 border-t border-slate-100" />
+                        <div className="mb-3">
+                            <p className="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-500">Shipping Method</p>
+                            {isLoadingShipping && !shippingOptions.length ? (
+                                <p className="text-xs text-slate-400">Loading shipping options...</p>
+                            ) : shippingOptions.length === 0 ? (
+                                <p className="text-xs font-medium text-red-600">No shipping method delivers to this address.</p>
+                            ) : (
+                                <div className="space-y-2" role="radiogroup" aria-label="Shipping method">
+                                    {shippingOptions.map((option) => {
+                                        const optionId = option.methodId || "";
+                                        const isSelected = optionId === (selectedShipping?.methodId || "");
+                                        return (
+                                            <label
+                                                key={optionId || option.name}
+                                                className={`flex cursor-pointer items-start gap-2 rounded-lg border p-2.5 text-sm transition ${
+                                                    isSelected ? "border-primary-600 bg-[rgba(66,80,213,0.04)]" : "border-slate-200 hover:border-slate-300"
+                                                }`}
+                                            >
+                                                <input
+                                                    type="radio"
+                                                    name="shippingMethod"
+                                                    checked={isSelected}
+                                                    onChange={() => setSelectedShippingId(optionId)}
+                                                    className="mt-0.5 accent-primary-600"
+                                                />
+                                                <span className="flex-1">
+                                                    <span className="block font-semibold text-slate-800">{option.name}</span>
+                                                    {option.estimatedDays != null && (
+                                                        <span className="block text-xs text-slate-500">
+                                                            Arrives in about {option.estimatedDays} day{option.estimatedDays === 1 ? "" : "s"}
+                                                        </span>
+                                                    )}
+                                                </span>
+                                                <span className="font-semibold text-slate-800">
+                                                    {option.price === 0 ? <span className="text-green-600">Free</span> : formatMoney(option.price)}
+                                                </span>
+                                            </label>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </div>
+                        <div className="mb-3">
+                            <div className="flex gap-2">
+                                <input
+                                    type="text"
+                                    value={couponInput}
+                                    onChange={(e) => { setCouponInput(e.target.value.trim().toUpperCase()); setCouponError(""); }}
+                                    placeholder="Coupon code"
+                                    aria-label="Coupon code"
+                                    disabled={isApplyingCoupon || !!appliedCoupon}
+                                    className="h-10 flex-1 rounded-lg border border-slate-300 bg-white px-3 text-sm focus:outline-none focus:ring-2 focus:ring-[rgba(66,80,213,0.25)]"
+                                />
+                                {appliedCoupon ? (
+                                    <button
+                                        type="button"
+                                        onClick={removeCoupon}
+                                        className="rounded-lg border border-rose-200 bg-rose-50 px-3 text-xs font-semibold text-rose-600 hover:bg-rose-100"
+                                    >
+                                        Remove
+                                    </button>
+                                ) : (
+                                    <button
+                                        type="button"
+                                        onClick={() => applyCoupon(couponInput)}
+                                        disabled={isApplyingCoupon || !couponInput}
+                                        className="store-btn-secondary rounded-lg px-3 text-xs font-semibold disabled:opacity-40"
+                                    >
+                                        {isApplyingCoupon ? "Applying..." : "Apply"}
+                                    </button>
+                                )}
+                            </div>
+                            {couponError && (
+                                <p className="mt-1.5 text-xs font-medium text-red-600">{couponError}</p>
+                            )}
+                        </div>
                         <div className="space-y-1.5 text-sm">
                             <div className="flex justify-between text-slate-600">
                                 <span>Subtotal</span>
-                                <span>{formatMoney(cart.summary?.subTotal || 0)}</span>
+                                <span>{formatMoney(subTotal)}</span>
                             </div>
+                            {couponDiscount > 0 && (
+                                <div className="flex justify-between text-green-600">
+                                    <span>Coupon ({appliedCoupon.code})</span>
+                                    <span>- {formatMoney(couponDiscount)}</span>
+                                </div>
+                            )}
                             <div className="flex justify-between text-slate-600">
                                 <span>Shipping</span>
                                 <span>
-                                    {cart.summary?.shippingCost === 0 ? (
+                                    {shippingCost === 0 ? (
                                         <span className="font-medium text-green-600">Free</span>
                                     ) : (
-                                        formatMoney(cart.summary?.shippingCost || 0)
+                                        formatMoney(shippingCost)
                                     )}
                                 </span>
                             </div>
+                            {!taxSummary.pricesIncludeTax && taxSummary.taxLines.map((line) => (
+                                <div key={line.taxRateId || line.name} className="flex justify-between text-slate-600">
+                                    <span>{line.name} ({Number(line.rate)}%)</span>
+                                    <span>{formatMoney(line.amount)}</span>
+                                </div>
+                            ))}
                             <div className="flex justify-between border-t border-slate-100 pt-2 text-base font-bold text-slate-900">
                                 <span>Total</span>
-                                <span>{formatMoney(cart.summary?.totalAmount || 0)}</span>
+                                <span>{formatMoney(payableTotal)}</span>
                             </div>
+                            {taxSummary.pricesIncludeTax && taxSummary.taxTotal > 0 && (
+                                <p className="text-right text-xs text-slate-500">
+                                    Includes {taxSummary.taxLines.map((line) => `${formatMoney(line.amount)} ${line.name}`).join(", ")}
+                                </p>
+                            )}
                         </div>
                         <div className="mt-4 flex items-center justify-center gap-1.5 text-xs text-slate-400">
                             <svg className="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
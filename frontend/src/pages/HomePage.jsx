@@ -320,8 +320,7 @@ const HomePage = () => {
     }, [loadData, loadWishlist]);
 
     const addToCart = async (product) => {
-        if (!authService.isAuthenticated()) { navigate('/login'); return; }
-        if (authService.isAdmin()) { notify.info('Admins cannot add items to cart'); return; }
+        if (authService.isStaff()) { notify.info('Staff accounts cannot add items to cart'); return; }
         
         const activeVariants = Array.isArray(product?.variants)
             ? product.variants.filter(v => !v.status || v.status === 'active')
@@ -342,7 +341,7 @@ const HomePage = () => {
 
     const toggleWishlist = async (product) => {
         if (!authService.isAuthenticated()) { navigate('/login'); return; }
-        if (authService.isAdmin()) { notify.info('Admins cannot manage wishlist'); return; }
+        if (authService.isStaff()) { notify.info('Staff accounts cannot manage wishlist'); return; }
         const inList = wishlistItems.some((i) => i._id === product._id);
         if (inList) {
             setWishlistItems((prev) => prev.filter((i) => i._id !== product._id));
@@ -431,7 +430,7 @@ const HomePage = () => {
         currentImage: getProductImage(product),
         isHovered: hoveredProduct === product._id,
         inWishlist: wishlistItems.some((i) => i._id === product._id),
-        isAdmin: authService.isAdmin(),
+        isAdmin: authService.isStaff(),
         onHover: handleProductHover, onLeave: handleProductLeave,
         onAddToCart: addToCart, onWishlistToggle: toggleWishlist,
         onImageError: (failedSrc) => markProductImageFailed(product, failedSrc),
@@ -594,7 +593,7 @@ const HomePage = () => {
                                             product={prod}
                                             currentImage={displayImage}
                                             inWishlist={wishlistItems.includes(prod._id)}
-                                            isAdmin={authService.isAdmin()}
+                                            isAdmin={authService.isStaff()}
                                             onWishlistToggle={() => toggleWishlist(prod)}
                                             onAddToCart={() => addToCart(prod)}
                                             isHovered={hoveredProduct === prod._id}
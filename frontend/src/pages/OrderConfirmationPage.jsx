@@ -0,0 +1,48 @@
+import React from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import { useSiteSettings } from '../context/useSiteSettings';
+
+const OrderConfirmationPage = () => {
+    const location = useLocation();
+    const { settings } = useSiteSettings();
+    const order = location.state?.order;
+
+    if (!order?.orderNumber) {
+        return <Navigate to="/" replace />;
+    }
+
+    const currencySymbol = settings?.currencySymbol || '$';
+
+    return (
+        <div className="flex min-h-[60vh] items-center justify-center px-4 py-16">
+            <div className="store-surface w-full max-w-lg p-8 text-center sm:p-10">
+                <p className="store-eyebrow mb-1">Thank you</p>
+                <h1 className="store-display text-2xl text-slate-900 sm:text-3xl">Your order is placed</h1>
+                <p className="mt-4 text-sm text-slate-600">
+                    Order <span className="font-bold text-slate-900">#{order.orderNumber}</span>
+                    {order.totalAmount != null && (
+                        <> for <span className="font-bold text-slate-900">{currencySymbol}{Number(order.totalAmount).toFixed(2)}</span></>
+                    )}
+                </p>
+                {order.email && (
+                    <p className="mt-2 text-sm text-slate-600">
+                        We&apos;ll send updates to <span className="font-semibold text-slate-800">{order.email}</span>.
+                    </p>
+                )}
+                <p className="mt-4 text-xs text-slate-500">
+                    Keep your order number for reference. Create an account with the same email to track future orders.
+                </p>
+                <div className="mt-8 flex flex-col items-center justify-center gap-3 sm:flex-row">
+                    <Link to="/products" className="store-btn-primary tap-bounce rounded-2xl px-8 py-3 text-sm font-bold">
+                        Continue Shopping
+                    </Link>
+                    <Link to="/register" className="store-btn-secondary rounded-2xl px-8 py-3 text-sm font-semibold">
+                        Create Account
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default OrderConfirmationPage;
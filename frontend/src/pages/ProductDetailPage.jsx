@@ -13,6 +13,7 @@ import reviewService from '../services/reviewService';
 import notify from '../utils/notify';
 import { useSiteSettings } from '../context/useSiteSettings';
 import ProductCard from '../components/product/ProductCard';
+import BackInStockForm from '../components/product/BackInStockForm';
 import { addRecentlyViewed, getRecentlyViewed } from '../utils/recentlyViewed';
 import SavingOverlay from '../components/ui/SavingOverlay';
 
@@ -198,7 +199,7 @@ const ProductDetailPage = () => {
     const reviewOrderId = useMemo(() => new URLSearchParams(location.search).get('orderId') || '', [location.search]);
     const currentUser = authService.getUser();
     const currentUserId = currentUser?._id;
-    const isAdmin = currentUser?.role === 'admin';
+    const isStaff = (currentUser?.permissions?.length ?? 0) > 0;
     const myReview = useMemo(() => {
         if (!currentUserId) return null;
         return reviews.find((review) => {
@@ -444,12 +445,26 @@ const ProductDetailPage = () => {
             ? `${fmt(pricing.minPrice)} – ${fmt(pricing.maxPrice)}`
             : fmt(pricing.finalPrice)
         : '';
-    const variantStock = selectedVariant?.stock ?? (product?.baseStock ?? null);
-    const isInStock = variantStock === null || variantStock > 0;
+    // availableStock leaves out units held for other shoppers' checkouts.
+    const variantStock = selectedVariant
+        ? selectedVariant.availableStock ?? selectedVariant.stock ?? null
+        : product?.availableStock ?? product?.baseStock ?? null;
+    // Backorder and pre-order SKUs stay buyable past zero stock.
+    const availability = selectedVariant ? selectedVariant.availability : product?.availability;
+    const availabilityStatus = availability?.status
+        || (variantStock === null || variantStock > 0 ? 'in_stock' : 'out_of_stock');
+    const isInStock = availabilityStatus === 'in_stock';
+    const canPurchase = availabilityStatus !== 'out_of_stock';
+    const expectedShipDate = availability?.expectedDate ? new Date(availability.expectedDate).toLocaleDateString() : null;
+    const availabilityLabel = {
+        in_stock: 'In Stock',
+        backorder: expectedShipDate ? `Backorder — expected ${expectedShipDate}` : 'Available on backorder',
+        preorder: expectedShipDate ? `Pre-order — ships around ${expectedShipDate}` : 'Available for pre-order',
+        out_of_stock: 'Out of Stock',
+    }[availabilityStatus];
 
     const handleAddToCart = async () => {
-        if (!authService.isAuthenticated()) { navigate('/login'); return false; }
-        if (isAdmin) { navigate('/admin'); return false; }
+        if (isStaff) { navigate('/admin'); return false; }
         if (product?.hasVariants && !selectedVariant) { notify.error('Please select all options'); return false; }
         try {
             await apiClient.post(API_CONFIG.ENDPOINTS.CART, { productId: product._id, variantId: selectedVariant?._id || null, quantity });
@@ -462,8 +477,7 @@ const ProductDetailPage = () => {
     const handleBuyNow = async () => { const ok = await handleAddToCart(); if (ok) navigate('/cart'); };
 
     const handleSimilarProductAddToCart = async (similarProduct) => {
-        if (!authService.isAuthenticated()) { navigate('/login'); return; }
-        if (isAdmin) { notify.info('Admins cannot add items to cart'); return; }
+        if (isStaff) { notify.info('Staff accounts cannot add items to cart'); return; }
         if (similarProduct?.hasVariants) { navigate(`/products/${similarProduct._id}`); return; }
         try {
             await apiClient.post(API_CONFIG.ENDPOINTS.CART, { productId: similarProduct._id, variantId: null, quantity: 1 });
@@ -474,7 +488,7 @@ const ProductDetailPage = () => {
 
     const handleWishlistToggle = async (productId) => {
         if (!authService.isAuthenticated()) { navigate('/login'); return; }
-        if (isAdmin) { notify.info('Admins cannot manage wishlist'); return; }
+        if (isStaff) { notify.info('Staff accounts cannot manage wishlist'); return; }
         const inWishlist = wishlistItems.includes(productId);
         try {
             if (inWishlist) {
@@ -610,11 +624,16 @@ const ProductDetailPage = () => {
                             )}
                         </div>
                         {hasDiscount && <p className="mt-1 text-sm text-success-600">You save {fmt(pricing.savings)}</p>}
+                        {product.activeDiscount && (
+                            <p className="mt-1 text-xs font-semibold text-rose-600">
+                                {product.activeDiscount.title}
+                                {product.activeDiscount.endsAt && ` · ends ${new Date(product.activeDiscount.endsAt).toLocaleDateString()}`}
+                            </p>
+                        )}
                         <div className="mt-2 flex items-center gap-3 text-sm">
-                            {isInStock
-                                ? <span className="font-medium text-success-600">✓ In Stock{variantStock !== null && variantStock <= 10 && ` (${variantStock} left)`}</span>
-                                : <span className="font-medium text-red-500">✕ Out of Stock</span>
-                            }
+                            {isInStock && <span className="font-medium text-success-600">✓ In Stock{variantStock !== null && variantStock <= 10 && ` (${variantStock} left)`}</span>}
+                            {!isInStock && canPurchase && <span className="font-medium text-amber-600">◷ {availabilityLabel}</span>}
+                            {!canPurchase && <span className="font-medium text-red-500">✕ Out of Stock</span>}
                             <span className="text-slate-300">|</span>
                             <span className="text-slate-500">🚚 Free Delivery</span>
                         </div>
@@ -656,10 +675,10 @@ const ProductDetailPage = () => {
                     )}
 
                     {/* Quantity */}
-                    {isAdmin ? (
+                    {isStaff ? (
                         <div className="space-y-3">
                             <div className="rounded-xl border border-amber-200 bg-amber-50 p-4">
-                                <p className="text-sm font-medium text-amber-800">You are logged in as an admin. Shopping features are disabled.</p>
+                                <p className="text-sm font-medium text-amber-800">You are signed in with a staff account. Shopping features are disabled.</p>
                             </div>
                             <Link
                                 to={`/admin/products/${product._id}/edit`}
@@ -682,10 +701,10 @@ const ProductDetailPage = () => {
 
                     {/* Action buttons */}
                     <div className="flex gap-3">
-                        <button onClick={handleBuyNow} disabled={!isInStock} className="store-btn-primary tap-bounce flex-1 rounded-xl py-4 text-base font-bold disabled:opacity-50 disabled:cursor-not-allowed">
+                        <button onClick={handleBuyNow} disabled={!canPurchase} className="store-btn-primary tap-bounce flex-1 rounded-xl py-4 text-base font-bold disabled:opacity-50 disabled:cursor-not-allowed">
                             Buy Now
                         </button>
-                        <button onClick={handleAddToCart} disabled={!isInStock} className="store-btn-secondary tap-bounce flex-1 rounded-xl py-4 text-base font-bold flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed">
+                        <button onClick={handleAddToCart} disabled={!canPurchase} className="store-btn-secondary tap-bounce flex-1 rounded-xl py-4 text-base font-bold flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed">
                             <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4m0 0L7 13m0 0l-2.5-5M7 13l-2.5 5M17 13v6a2 2 0 01-2 2H9a2 2 0 01-2-2v-6" /></svg>
                             Add to Cart
                         </button>
@@ -703,6 +722,13 @@ const ProductDetailPage = () => {
                             </svg>
                         </button>
                     </div>
+                    {!canPurchase && (!product.hasVariants || selectedVariant) && (
+                        <BackInStockForm
+                            productId={product._id}
+                            variantId={selectedVariant?._id || null}
+                            defaultEmail={currentUser?.email || ''}
+                        />
+                    )}
                         </>
                     )}
 
@@ -772,9 +798,9 @@ const ProductDetailPage = () => {
                 )}
 
                 {/* Review Form Area */}
-                {isAdmin ? (
+                {isStaff ? (
                     <div className="mb-7 rounded-xl border border-[rgba(165,187,252,0.3)] bg-[rgba(66,80,213,0.03)] p-4 sm:p-5">
-                        <p className="text-sm text-slate-500">Admins cannot submit product reviews.</p>
+                        <p className="text-sm text-slate-500">Staff accounts cannot submit product reviews.</p>
                     </div>
                 ) : !reviewOrderId ? (
                     <div className="mb-7 rounded-xl border border-[rgba(165,187,252,0.3)] bg-[rgba(66,80,213,0.03)] p-4 sm:p-5">
@@ -1008,12 +1034,12 @@ const ProductDetailPage = () => {
                         ['Brand', product.brand?.title || 'N/A'],
                         ['Category', product.category?.title || 'N/A'],
                         ['Condition', product.condition || 'New'],
-                        ['Availability', isInStock ? 'In Stock' : 'Out of Stock'],
+                        ['Availability', availabilityLabel],
                         ...(selectedVariant ? [['SKU', selectedVariant.sku || 'N/A'], ['Variant', selectedVariant.displayName || 'N/A']] : []),
                     ].map(([k, v]) => (
                         <div key={k} className="grid grid-cols-[160px_1fr] items-center gap-4 py-3 sm:grid-cols-[200px_1fr]">
                             <span className="text-sm font-medium text-slate-500">{k}</span>
-                            <span className={`text-sm font-semibold ${k === 'Availability' ? (isInStock ? 'text-success-600' : 'text-red-500') : 'text-slate-800'}`}>{v}</span>
+                            <span className={`text-sm font-semibold ${k === 'Availability' ? (isInStock ? 'text-success-600' : canPurchase ? 'text-amber-600' : 'text-red-500') : 'text-slate-800'}`}>{v}</span>
                         </div>
                     ))}
                 </div>
@@ -1066,7 +1092,7 @@ const ProductDetailPage = () => {
                                         currentImage={getSimilarProductImage(item)}
                                         isHovered={hoveredProduct === item._id}
                                         inWishlist={wishlistItems.includes(item._id)}
-                                        isAdmin={isAdmin}
+                                        isAdmin={isStaff}
                                         onHover={() => setHoveredProduct(item._id)}
                                         onLeave={() => setHoveredProduct(null)}
                                         onAddToCart={() => handleSimilarProductAddToCart(item)}
@@ -1166,7 +1192,7 @@ const ProductDetailPage = () => {
                                             product={prod}
                                             currentImage={recentProductImage}
                                             inWishlist={wishlistItems.includes(prod._id)}
-                                            isAdmin={isAdmin}
+                                            isAdmin={isStaff}
                                             onWishlistToggle={() => handleWishlistToggle(prod._id)}
                                             onAddToCart={() => handleSimilarProductAddToCart(prod)}
                                             isHovered={hoveredProduct === prod._id}
@@ -240,8 +240,7 @@ const ProductsPage = () => {
     }, []);
 
     const addToCart = async (product) => {
-        if (!authService.isAuthenticated()) { navigate('/login'); return; }
-        if (authService.isAdmin()) { notify.info('Admins cannot add items to cart'); return; }
+        if (authService.isStaff()) { notify.info('Staff accounts cannot add items to cart'); return; }
         const activeVariants = Array.isArray(product?.variants)
             ? product.variants.filter(v => !v.status || v.status === 'active')
             : [];
@@ -259,7 +258,7 @@ const ProductsPage = () => {
 
     const toggleWishlist = async (product) => {
         if (!authService.isAuthenticated()) { navigate('/login'); return; }
-        if (authService.isAdmin()) { notify.info('Admins cannot manage wishlist'); return; }
+        if (authService.isStaff()) { notify.info('Staff accounts cannot manage wishlist'); return; }
         const inList = wishlistItems.some((i) => i._id === product._id);
         if (inList) {
             setWishlistItems((prev) => prev.filter((i) => i._id !== product._id));
@@ -320,7 +319,7 @@ const ProductsPage = () => {
         currentImage: getProductImage(product),
         isHovered: hoveredProduct === product._id,
         inWishlist: wishlistItems.some((i) => i._id === product._id),
-        isAdmin: authService.isAdmin(),
+        isAdmin: authService.isStaff(),
         onHover: handleProductHover,
         onLeave: handleProductLeave,
         onAddToCart: addToCart,
@@ -1,12 +1,13 @@
 import React, { useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { useOrders } from '@/hooks/queries';
+import { useCancelOrder, useOrders } from '@/hooks/queries';
 import { useAuthStore } from '@/store/authStore';
 import apiClient from '@/services/apiClient';
 import { API_CONFIG } from '@/constants';
 import { resolveImageUrl } from '@/utils/imageUrl';
 import { useSiteSettings } from '@/context/useSiteSettings';
 import { formatCurrency } from '@/utils/currency';
+import { OrderStatusTimeline } from '@/components/orders';
 
 const STATUS_CONFIG = {
     new:       { label: 'Order Placed',  badge: 'bg-primary-100 text-primary-700 ring-primary-200',      dot: 'bg-primary-500',   step: 1 },
@@ -19,7 +20,20 @@ const STATUS_CONFIG = {
 const PAYMENT_BADGE = {
     paid:     'bg-green-100 text-green-700 ring-green-200',
     unpaid:   'bg-orange-100 text-orange-700 ring-orange-200',
+    partially_refunded: 'bg-fuchsia-100 text-fuchsia-700 ring-fuchsia-200',
     refunded: 'bg-purple-100 text-purple-700 ring-purple-200',
+    failed:   'bg-red-100 text-red-700 ring-red-200',
+    disputed: 'bg-orange-100 text-orange-700 ring-orange-200',
+    charged_back: 'bg-rose-100 text-rose-700 ring-rose-200',
+};
+
+const PAYMENT_LABEL = {
+    paid: '✓ Paid',
+    refunded: '↩ Refunded',
+    partially_refunded: '↩ Partially refunded',
+    failed: '✕ Payment failed',
+    disputed: 'Disputed',
+    charged_back: 'Charged back',
 };
 
 const PAYMENT_METHOD_LABEL = {
@@ -154,7 +168,13 @@ const PriceSummary = ({ order, settings }) => {
     const shipping = Number(order.shippingCost   || 0);
     const discount = Number(order.couponDiscount || 0);
     const total    = Number(order.totalAmount    || 0);
+    const taxLines = order.taxLines || [];
+    const taxIncluded = Boolean(order.pricesIncludeTax);
     const itemCount = order.quantity || order.items?.length || 0;
+    const shippingMethod = order.shippingMethod?.name;
+    const estimatedDelivery = order.shippingMethod?.estimatedDeliveryDate
+        ? new Date(order.shippingMethod.estimatedDeliveryDate).toLocaleDateString()
+        : null;
 
     return (
         <div className="rounded-2xl bg-slate-50 p-4 ring-1 ring-slate-100">
@@ -162,13 +182,20 @@ const PriceSummary = ({ order, settings }) => {
             <div className="space-y-2.5 text-sm">
                 <div className="flex justify-between text-slate-600"><span>Subtotal ({itemCount} item{itemCount !== 1 ? 's' : ''})</span><span>{formatCurrency(sub, settings)}</span></div>
                 <div className="flex justify-between text-slate-600">
-                    <span>Delivery Charges</span>
+                    <span>Delivery Charges{shippingMethod ? ` (${shippingMethod})` : ''}</span>
                     <span className={shipping === 0 ? 'font-medium text-green-600' : ''}>{shipping === 0 ? 'FREE' : formatCurrency(shipping, settings)}</span>
                 </div>
                 {discount > 0 && <div className="flex justify-between text-green-600"><span>Coupon Discount</span><span>- {formatCurrency(discount, settings)}</span></div>}
+                {!taxIncluded && taxLines.map((line) => (
+                    <div key={line.taxRateId || line.name} className="flex justify-between text-slate-600"><span>{line.name} ({Number(line.rate)}%)</span><span>{formatCurrency(line.amount, settings)}</span></div>
+                ))}
                 <div className="my-1 border-t border-slate-200" />
                 <div className="flex justify-between text-base font-bold text-slate-800"><span>Total Amount</span><span>{formatCurrency(total, settings)}</span></div>
+                {taxIncluded && taxLines.length > 0 && (
+                    <p className="text-xs text-slate-500">Includes {taxLines.map((line) => `${formatCurrency(line.amount, settings)} ${line.name}`).join(', ')}</p>
+                )}
                 {shipping === 0 && sub > 0 && <p className="text-xs font-medium text-green-600">🎉 Free delivery on this order!</p>}
+                {estimatedDelivery && <p className="text-xs text-slate-500">Estimated delivery by {estimatedDelivery}</p>}
             </div>
         </div>
     );
@@ -210,7 +237,7 @@ const PaymentInfo = ({ order }) => (
             <span className="font-semibold text-slate-700">{PAYMENT_METHOD_LABEL[order.paymentMethod] || order.paymentMethod}</span>
             <span className="text-slate-300">·</span>
             <Badge className={PAYMENT_BADGE[order.paymentStatus] || 'bg-slate-100 text-slate-600 ring-slate-200'}>
-                {order.paymentStatus === 'paid' ? '✓ Paid' : order.paymentStatus === 'refunded' ? '↩ Refunded' : 'Unpaid'}
+                {PAYMENT_LABEL[order.paymentStatus] || 'Unpaid'}
             </Badge>
             {order.transactionId && <span className="text-xs text-slate-400">Ref: {order.transactionId.slice(-8).toUpperCase()}</span>}
         </div>
@@ -228,6 +255,7 @@ const AccountOrders = () => {
     const [message, setMessage]             = useState({ text: '', success: false });
     const [statusFilter, setStatusFilter]   = useState('');
     const [expandedOrder, setExpandedOrder] = useState(null);
+    const { mutate: cancelOrder, isPending: isCancelling } = useCancelOrder();
 
     const filteredOrders = useMemo(() =>
         statusFilter ? orders.filter((o) => o.status === statusFilter) : orders,
@@ -269,6 +297,12 @@ const AccountOrders = () => {
         }
     };
 
+    const handleCancel = (order) => {
+        const refundNote = ['paid', 'partially_refunded'].includes(order.paymentStatus) ? ' Your payment will be refunded to the original card.' : '';
+        if (!window.confirm(`Cancel order #${order.orderNumber}?${refundNote}`)) return;
+        cancelOrder({ id: order._id });
+    };
+
     if (isLoading) {
         return (
             <div className="flex min-h-[40vh] items-center justify-center">
@@ -337,7 +371,7 @@ const AccountOrders = () => {
                                             {statusCfg.label}
                                         </Badge>
                                         <Badge className={`${PAYMENT_BADGE[order.paymentStatus] || 'bg-slate-100 text-slate-600 ring-slate-200'} ring-1`}>
-                                            {String(order.paymentStatus || '').charAt(0).toUpperCase() + String(order.paymentStatus || '').slice(1)}
+                                            {String(order.paymentStatus || '').charAt(0).toUpperCase() + String(order.paymentStatus || '').slice(1).replace('_', ' ')}
                                         </Badge>
                                         <span className="text-sm text-slate-500">{order.items?.length || 0} item{(order.items?.length || 0) !== 1 ? 's' : ''}</span>
                                     </div>
@@ -351,13 +385,16 @@ const AccountOrders = () => {
                                         <div>
                                             <p className="mb-4 text-xs font-bold uppercase tracking-wide text-slate-500">Order Tracking</p>
                                             <OrderTracker status={order.status} />
+                                            <div className="mt-5">
+                                                <OrderStatusTimeline history={order.statusHistory} createdAt={order.createdAt} />
+                                            </div>
                                         </div>
                                         {order.items?.length > 0 && (
                                             <div>
                                                 <p className="mb-1 text-xs font-bold uppercase tracking-wide text-slate-500">Items Ordered</p>
                                                 <div className="divide-y divide-slate-100 rounded-2xl px-4 ring-1 ring-slate-100">
                                                     {order.items.map((item, idx) => (
-                                                        <ItemRow key={item._id || idx} item={item} orderId={order._id} canReview={order.status === 'delivered' && user?.role !== 'admin'} settings={settings} />
+                                                        <ItemRow key={item._id || idx} item={item} orderId={order._id} canReview={order.status === 'delivered' && !user?.permissions?.length} settings={settings} />
                                                     ))}
                                                 </div>
                                             </div>
@@ -374,6 +411,11 @@ const AccountOrders = () => {
                                             <button onClick={() => handleReorder(order._id)} disabled={!!actionOrderId} className="rounded-xl bg-primary-600 px-5 py-2.5 text-sm font-semibold text-white shadow-sm transition hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-50">
                                                 {actionOrderId === order._id ? (<span className="flex items-center gap-2"><span className="h-3.5 w-3.5 animate-spin rounded-full border-2 border-white border-t-transparent" />Processing...</span>) : '↺ Reorder'}
                                             </button>
+                                            {['new', 'process'].includes(order.status) && (
+                                                <button onClick={() => handleCancel(order)} disabled={!!actionOrderId || isCancelling} className="rounded-xl border border-red-200 bg-white px-5 py-2.5 text-sm font-semibold text-red-600 shadow-sm transition hover:bg-red-50 disabled:opacity-50">
+                                                    {isCancelling ? 'Cancelling...' : 'Cancel Order'}
+                                                </button>
+                                            )}
                                             {order.status === 'delivered' && (
                                                 <button onClick={() => handleReturnRequest(order._id)} disabled={!!actionOrderId} className="rounded-xl border border-slate-200 bg-white px-5 py-2.5 text-sm font-semibold text-slate-700 shadow-sm transition hover:bg-slate-50 disabled:opacity-50">
                                                     Return / Refund
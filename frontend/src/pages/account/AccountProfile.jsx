@@ -2,7 +2,22 @@ import { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
-import { useCurrentUser, useUpdateProfile, useChangePassword } from '@/hooks/queries';
+import {
+    useCurrentUser,
+    useUpdateProfile,
+    useChangePassword,
+    useSessions,
+    useRevokeSession,
+    useRevokeAllSessions,
+    useLoginHistory,
+    useTwoFactorStatus,
+    useSetupTwoFactor,
+    useEnableTwoFactor,
+    useDisableTwoFactor,
+    useRegenerateRecoveryCodes,
+} from '@/hooks/queries';
+import { RecoveryCodes } from '@/components/common';
+import { SIGN_IN_FAILURE_LABELS } from '@/constants';
 import notify from '@/utils/notify';
 import SavingOverlay from '@/components/ui/SavingOverlay';
 
@@ -34,6 +49,292 @@ const inputClass = (hasError) =>
             : 'border-slate-200 focus:border-primary-400 focus:ring-primary-100'
     }`;
 
+const formatSessionTime = (value) =>
+    value ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '—';
+
+// Every browser or device signed in to the account; any of them can be signed out from here.
+const SessionsSection = () => {
+    const { data: sessions = [], isLoading } = useSessions();
+    const { mutate: revokeSession, isPending: isRevoking, variables: revoking } = useRevokeSession();
+    const { mutate: revokeAll, isPending: isRevokingAll } = useRevokeAllSessions();
+    const hasOthers = sessions.some((session) => !session.current);
+
+    const onError = (err) => notify.error(err.response?.data?.message || err.message || 'Failed to sign out the session');
+
+    const onRevoke = (session) => {
+        const prompt = session.current ? 'Sign out of this browser?' : `Sign out ${session.device}?`;
+        if (!window.confirm(prompt)) return;
+        revokeSession({ sessionId: session._id, current: session.current }, {
+            onSuccess: () => { if (!session.current) notify.success('Device signed out'); },
+            onError,
+        });
+    };
+
+    const onRevokeAll = (keepCurrent) => {
+        const prompt = keepCurrent ? 'Sign out of every other device?' : 'Sign out everywhere, including this browser?';
+        if (!window.confirm(prompt)) return;
+        revokeAll({ keepCurrent }, {
+            onSuccess: (result) => { if (keepCurrent) notify.success(result?.message || 'Signed out of all other devices'); },
+            onError,
+        });
+    };
+
+    return (
+        <div className="rounded-2xl bg-white p-6 shadow-sm ring-1 ring-slate-100">
+            <div className="mb-5 flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h2 className="text-base font-bold text-slate-800">Signed-in Devices</h2>
+                    <p className="text-sm text-slate-500">Sign out any device you don&apos;t recognise.</p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        type="button"
+                        onClick={() => onRevokeAll(true)}
+                        disabled={!hasOthers || isRevokingAll}
+                        className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-50 disabled:opacity-50"
+                    >
+                        Sign out other devices
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => onRevokeAll(false)}
+                        disabled={isRevokingAll}
+                        className="rounded-xl bg-red-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-red-700 disabled:opacity-50"
+                    >
+                        Sign out everywhere
+                    </button>
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="flex justify-center py-8">
+                    <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary-600 border-t-transparent" />
+                </div>
+            ) : sessions.length === 0 ? (
+                <p className="py-6 text-center text-sm text-slate-500">No active sessions.</p>
+            ) : (
+                <ul className="divide-y divide-slate-100">
+                    {sessions.map((session) => (
+                        <li key={session._id} className="flex flex-wrap items-center justify-between gap-3 py-4">
+                            <div className="min-w-0">
+                                <p className="flex items-center gap-2 text-sm font-semibold text-slate-800">
+                                    {session.device}
+                                    {session.current && (
+                                        <span className="rounded-full bg-emerald-50 px-2 py-0.5 text-xs font-semibold text-emerald-700">This browser</span>
+                                    )}
+                                </p>
+                                <p className="text-xs text-slate-500">
+                                    {session.ip || 'Unknown IP'} · Signed in {formatSessionTime(session.createdAt)} · Last active {formatSessionTime(session.lastUsedAt)}
+                                </p>
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => onRevoke(session)}
+                                disabled={isRevoking && revoking?.sessionId === session._id}
+                                className="rounded-lg px-3 py-1.5 text-sm font-semibold text-red-600 transition hover:bg-red-50 disabled:opacity-50"
+                            >
+                                Sign out
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const SIGN_IN_PROVIDER_LABELS = { google: 'Google', facebook: 'Facebook' };
+
+// Recent sign-in attempts, successful or not, so the owner can spot ones that weren't them.
+const HistorySection = () => {
+    const [page, setPage] = useState(1);
+    const { data, isLoading } = useLoginHistory(page);
+    const attempts = data?.attempts || [];
+    const pagination = data?.pagination;
+
+    return (
+        <div className="rounded-2xl bg-white p-6 shadow-sm ring-1 ring-slate-100">
+            <div className="mb-5">
+                <h2 className="text-base font-bold text-slate-800">Sign-in History</h2>
+                <p className="text-sm text-slate-500">If you see a sign-in you don&apos;t recognise, change your password and sign out of other devices.</p>
+            </div>
+
+            {isLoading ? (
+                <div className="flex justify-center py-8">
+                    <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary-600 border-t-transparent" />
+                </div>
+            ) : attempts.length === 0 ? (
+                <p className="py-6 text-center text-sm text-slate-500">No sign-ins recorded yet.</p>
+            ) : (
+                <ul className="divide-y divide-slate-100">
+                    {attempts.map((attempt) => (
+                        <li key={attempt._id} className="flex flex-wrap items-center justify-between gap-3 py-4">
+                            <div className="min-w-0">
+                                <p className="flex items-center gap-2 text-sm font-semibold text-slate-800">
+                                    {attempt.device}
+                                    {attempt.newDevice && (
+                                        <span className="rounded-full bg-amber-50 px-2 py-0.5 text-xs font-semibold text-amber-700">New device</span>
+                                    )}
+                                </p>
+                                <p className="text-xs text-slate-500">
+                                    {attempt.ip || 'Unknown IP'} · {formatSessionTime(attempt.createdAt)}
+                                    {SIGN_IN_PROVIDER_LABELS[attempt.method] && <> · via {SIGN_IN_PROVIDER_LABELS[attempt.method]}</>}
+                                </p>
+                            </div>
+                            {attempt.success ? (
+                                <span className="rounded-full bg-emerald-50 px-3 py-1 text-xs font-semibold text-emerald-700">Signed in</span>
+                            ) : (
+                                <span className="rounded-full bg-red-50 px-3 py-1 text-xs font-semibold text-red-700">
+                                    {SIGN_IN_FAILURE_LABELS[attempt.reason] || 'Failed'}
+                                </span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {pagination && pagination.pages > 1 && (
+                <div className="flex items-center justify-center gap-2 pt-4">
+                    <button
+                        type="button"
+                        disabled={!pagination.hasPrev}
+                        onClick={() => setPage((p) => Math.max(1, p - 1))}
+                        className="rounded-lg border border-slate-200 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-40"
+                    >
+                        Previous
+                    </button>
+                    <span className="text-sm text-slate-400">
+                        Page {pagination.page} of {pagination.pages}
+                    </span>
+                    <button
+                        type="button"
+                        disabled={!pagination.hasNext}
+                        onClick={() => setPage((p) => p + 1)}
+                        className="rounded-lg border border-slate-200 px-3 py-1.5 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-40"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Authenticator-app 2FA: set up with a QR code, then manage recovery codes.
+const TwoFactorSection = () => {
+    const { data: status, isLoading } = useTwoFactorStatus();
+    const { mutate: beginSetup, data: setup, reset: resetSetup, isPending: isStarting } = useSetupTwoFactor();
+    const { mutate: enable, isPending: isEnabling } = useEnableTwoFactor();
+    const { mutate: disable, isPending: isDisabling } = useDisableTwoFactor();
+    const { mutate: regenerate, isPending: isRegenerating } = useRegenerateRecoveryCodes();
+    const [code, setCode] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+    const onError = (err) => notify.error(err.response?.data?.message || err.message || 'Two-factor update failed');
+    // Six digits are an authenticator code; anything else is taken as a recovery code.
+    const credentials = () => (/^\d{6}$/.test(code.trim()) ? { code: code.trim() } : { recoveryCode: code.trim() });
+
+    const onEnable = (event) => {
+        event.preventDefault();
+        enable(code.trim(), {
+            onSuccess: (result) => {
+                setCode('');
+                resetSetup();
+                setRecoveryCodes(result?.recoveryCodes || []);
+                notify.success('Two-factor authentication turned on');
+            },
+            onError,
+        });
+    };
+
+    const onDisable = () => {
+        if (!window.confirm('Turn off two-factor authentication?')) return;
+        disable(credentials(), {
+            onSuccess: () => { setCode(''); notify.success('Two-factor authentication turned off'); },
+            onError,
+        });
+    };
+
+    const onRegenerate = () => {
+        if (!window.confirm('Replace your recovery codes? The old ones will stop working.')) return;
+        regenerate(credentials(), {
+            onSuccess: (result) => { setCode(''); setRecoveryCodes(result?.recoveryCodes || []); },
+            onError,
+        });
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex justify-center rounded-2xl bg-white py-8 shadow-sm ring-1 ring-slate-100">
+                <div className="h-6 w-6 animate-spin rounded-full border-4 border-primary-600 border-t-transparent" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="rounded-2xl bg-white p-6 shadow-sm ring-1 ring-slate-100">
+            <div className="mb-5 flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h2 className="text-base font-bold text-slate-800">Two-Factor Authentication</h2>
+                    <p className="text-sm text-slate-500">Ask for a code from an authenticator app whenever you sign in.</p>
+                </div>
+                <span className={`rounded-full px-3 py-1 text-xs font-semibold ${status?.enabled ? 'bg-emerald-50 text-emerald-700' : 'bg-slate-100 text-slate-600'}`}>
+                    {status?.enabled ? 'On' : 'Off'}
+                </span>
+            </div>
+
+            {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+            {!recoveryCodes && !status?.enabled && !setup && (
+                <>
+                    {status?.required && <p className="mb-4 text-sm text-amber-700">Your store requires two-factor authentication for admin accounts.</p>}
+                    <button type="button" onClick={() => beginSetup(undefined, { onError })} disabled={isStarting} className="rounded-xl bg-primary-600 px-6 py-2.5 text-sm font-semibold text-white transition hover:bg-primary-700 disabled:opacity-50">
+                        {isStarting ? 'Preparing...' : 'Set up two-factor authentication'}
+                    </button>
+                </>
+            )}
+
+            {!recoveryCodes && !status?.enabled && setup && (
+                <form onSubmit={onEnable} className="space-y-4">
+                    <p className="text-sm text-slate-600">Scan this QR code with your authenticator app, or enter the key by hand, then type the 6-digit code it shows.</p>
+                    <div className="flex flex-col items-center gap-2 rounded-xl border border-slate-200 bg-slate-50 p-4">
+                        <img src={setup.qrCode} alt="Authenticator QR code" className="h-44 w-44" />
+                        <p className="break-all text-center font-mono text-xs text-slate-600">{setup.secret}</p>
+                    </div>
+                    <input type="text" value={code} onChange={(event) => setCode(event.target.value)} inputMode="numeric" autoComplete="one-time-code" maxLength={6} placeholder="123456" className={inputClass(false)} />
+                    <div className="flex gap-2">
+                        <button type="submit" disabled={isEnabling || code.trim().length !== 6} className="rounded-xl bg-primary-600 px-6 py-2.5 text-sm font-semibold text-white transition hover:bg-primary-700 disabled:opacity-50">
+                            {isEnabling ? 'Verifying...' : 'Turn on'}
+                        </button>
+                        <button type="button" onClick={() => { resetSetup(); setCode(''); }} className="rounded-xl border border-slate-200 px-4 py-2.5 text-sm font-semibold text-slate-700 transition hover:bg-slate-50">Cancel</button>
+                    </div>
+                </form>
+            )}
+
+            {!recoveryCodes && status?.enabled && (
+                <div className="space-y-4">
+                    <p className="text-sm text-slate-600">
+                        Turned on {formatSessionTime(status.enabledAt)} · {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+                    </p>
+                    <div>
+                        <label htmlFor="twoFactorManageCode" className="mb-1.5 block text-sm font-semibold text-slate-700">Authentication or recovery code</label>
+                        <input id="twoFactorManageCode" type="text" value={code} onChange={(event) => setCode(event.target.value)} autoComplete="one-time-code" maxLength={32} placeholder="123456" className={inputClass(false)} />
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        <button type="button" onClick={onRegenerate} disabled={!code.trim() || isRegenerating} className="rounded-xl border border-slate-200 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-50 disabled:opacity-50">
+                            New recovery codes
+                        </button>
+                        <button type="button" onClick={onDisable} disabled={!code.trim() || isDisabling || status.required} className="rounded-xl bg-red-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-red-700 disabled:opacity-50">
+                            Turn off
+                        </button>
+                    </div>
+                    {status.required && <p className="text-xs text-slate-500">Two-factor authentication is required for admin accounts and cannot be turned off.</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
 const AccountProfile = () => {
     const [activeSection, setActiveSection] = useState('info');
 
@@ -111,11 +412,11 @@ const AccountProfile = () => {
             <SavingOverlay visible={isSavingProfile || isSavingPassword} message={isSavingProfile ? 'Saving profile...' : 'Updating password...'} />
             <div>
                 <h1 className="text-xl font-bold text-slate-800">Profile & Security</h1>
-                <p className="text-sm text-slate-500">Manage your personal info and password.</p>
+                <p className="text-sm text-slate-500">Manage your personal info, password, signed-in devices and recent sign-ins.</p>
             </div>
 
             <div className="flex gap-2 rounded-2xl bg-slate-100 p-1">
-                {[{ key: 'info', label: 'Personal Info' }, { key: 'password', label: 'Change Password' }].map((tab) => (
+                {[{ key: 'info', label: 'Personal Info' }, { key: 'password', label: 'Change Password' }, { key: 'sessions', label: 'Devices' }, { key: 'history', label: 'Sign-in History' }, { key: 'twoFactor', label: 'Two-Factor' }].map((tab) => (
                     <button
                         key={tab.key}
                         onClick={() => setActiveSection(tab.key)}
@@ -177,6 +478,10 @@ const AccountProfile = () => {
                     </button>
                 </form>
             )}
+
+            {activeSection === 'sessions' && <SessionsSection />}
+            {activeSection === 'history' && <HistorySection />}
+            {activeSection === 'twoFactor' && <TwoFactorSection />}
         </div>
     );
 };
@@ -1,15 +1,21 @@
 import React, { useEffect, useState } from 'react';
 import apiClient from '../../services/apiClient';
-import { API_CONFIG } from '../../constants';
+import { API_CONFIG, RETURN_STATUS_LABELS } from '../../constants';
+import { useSiteSettings } from '../../context/useSiteSettings';
+import { formatCurrency } from '../../utils/currency';
+import { OrderStatusTimeline } from '../../components/orders';
 
 const RETURN_STATUS_STYLES = {
-    pending: 'bg-yellow-100 text-yellow-700',
-    approved: 'bg-green-100 text-green-700',
+    requested: 'bg-yellow-100 text-yellow-700',
+    approved: 'bg-sky-100 text-sky-700',
     rejected: 'bg-red-100 text-red-700',
-    completed: 'bg-primary-100 text-primary-700',
+    received: 'bg-purple-100 text-purple-700',
+    refunded: 'bg-green-100 text-green-700',
 };
 
 const AccountReturns = () => {
+    const { settings } = useSiteSettings();
+    const [expandedId, setExpandedId] = useState(null);
     const [returns, setReturns] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState('');
@@ -69,18 +75,44 @@ const AccountReturns = () => {
                                         <span className="font-medium">Reason:</span> {req.reason}
                                     </p>
                                     {req.items?.length > 0 && (
-                                        <p className="mt-1 text-xs text-slate-400">{req.items.length} item{req.items.length !== 1 ? 's' : ''} in this return</p>
+                                        <p className="mt-1 text-xs text-slate-400">
+                                            {req.items.map((item) => `${item.title || 'Item'} × ${item.quantity}`).join(', ')}
+                                        </p>
                                     )}
                                 </div>
-                                <span className={`rounded-full px-3 py-1 text-xs font-semibold capitalize ${RETURN_STATUS_STYLES[req.status] || 'bg-slate-100 text-slate-600'}`}>
-                                    {req.status || 'pending'}
+                                <span className={`rounded-full px-3 py-1 text-xs font-semibold ${RETURN_STATUS_STYLES[req.status] || 'bg-slate-100 text-slate-600'}`}>
+                                    {RETURN_STATUS_LABELS[req.status] || req.status || 'Return Requested'}
                                 </span>
                             </div>
 
-                            {req.adminNote && (
-                                <div className="mt-3 rounded-xl bg-primary-50 px-4 py-3 text-sm text-primary-700 ring-1 ring-primary-100">
-                                    <p className="font-medium">Store note:</p>
-                                    <p>{req.adminNote}</p>
+                            {req.status === 'rejected' && req.rejectionReason && (
+                                <div className="mt-3 rounded-xl bg-red-50 px-4 py-3 text-sm text-red-700 ring-1 ring-red-100">
+                                    <p className="font-medium">Reason for rejection:</p>
+                                    <p>{req.rejectionReason}</p>
+                                </div>
+                            )}
+
+                            {req.status === 'refunded' && req.refundAmount != null && (
+                                <div className="mt-3 rounded-xl bg-green-50 px-4 py-3 text-sm text-green-700 ring-1 ring-green-100">
+                                    {formatCurrency(req.refundAmount, settings)} refunded.
+                                </div>
+                            )}
+
+                            <button
+                                type="button"
+                                onClick={() => setExpandedId(expandedId === req._id ? null : req._id)}
+                                className="mt-3 text-xs font-semibold text-primary-600 hover:text-primary-700"
+                            >
+                                {expandedId === req._id ? 'Hide progress' : 'View progress'}
+                            </button>
+                            {expandedId === req._id && (
+                                <div className="mt-3">
+                                    <OrderStatusTimeline
+                                        history={req.history}
+                                        createdAt={req.requestedAt}
+                                        labels={RETURN_STATUS_LABELS}
+                                        initialStatus="requested"
+                                    />
                                 </div>
                             )}
                         </div>
@@ -1,15 +1,27 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { API_CONFIG } from '../../constants';
+import { API_CONFIG, PERMISSIONS } from '../../constants';
 import { AdminLoadingState, AdminSurface } from '../../components/admin/AdminTheme';
 import notify from '../../utils/notify';
 import apiClient from '../../services/apiClient';
 import { formatPrice, getProductDisplayPricing } from '../../utils/productUtils';
 import { useSiteSettings } from '../../context/useSiteSettings';
 import { formatCurrency } from '../../utils/currency';
+import { useAuthStore } from '../../store/authStore';
+
+const QUICK_ACTIONS = [
+    { to: '/admin/products/create', label: 'Create Product', permission: PERMISSIONS.CATALOG_MANAGE },
+    { to: '/admin/categories/create', label: 'Create Category', permission: PERMISSIONS.CATALOG_MANAGE },
+    { to: '/admin/users/create', label: 'Create User', permission: PERMISSIONS.USERS_MANAGE },
+    { to: '/admin/banners/create', label: 'Create Banner', permission: PERMISSIONS.MARKETING_MANAGE },
+    { to: '/admin/coupons/create', label: 'Create Coupon', permission: PERMISSIONS.MARKETING_MANAGE },
+];
 
 const Dashboard = () => {
     const { settings } = useSiteSettings();
+    const can = useAuthStore((state) => state.can);
+    const canViewOrders = can(PERMISSIONS.ORDERS_VIEW);
+    const canViewUsers = can(PERMISSIONS.USERS_VIEW);
     const [stats, setStats] = useState({
         totalProducts: 0,
         totalUsers: 0,
@@ -28,11 +40,12 @@ const Dashboard = () => {
     const loadDashboardData = async () => {
         try {
             setIsLoading(true);
+            // Skip the endpoints this role would be refused.
             const [productsRes, usersRes, orderSummaryRes, recentOrdersRes] = await Promise.all([
                 apiClient.get(`${API_CONFIG.ENDPOINTS.PRODUCTS}?limit=5`),
-                apiClient.get(`${API_CONFIG.ENDPOINTS.USERS}?page=1&limit=1`),
-                apiClient.get(`${API_CONFIG.ENDPOINTS.ORDERS}/admin/summary`),
-                apiClient.get(`${API_CONFIG.ENDPOINTS.ORDERS}/admin/all?page=1&limit=5&sort=-createdAt`),
+                canViewUsers ? apiClient.get(`${API_CONFIG.ENDPOINTS.USERS}?page=1&limit=1`) : null,
+                canViewOrders ? apiClient.get(`${API_CONFIG.ENDPOINTS.ORDERS}/admin/summary`) : null,
+                canViewOrders ? apiClient.get(`${API_CONFIG.ENDPOINTS.ORDERS}/admin/all?page=1&limit=5&sort=-createdAt`) : null,
             ]);
 
             const productsData = productsRes?.data?.data || productsRes?.data || {};
@@ -62,6 +75,7 @@ const Dashboard = () => {
                 title: 'Total Products',
                 value: stats.totalProducts,
                 link: '/admin/products',
+                permission: PERMISSIONS.CATALOG_MANAGE,
                 theme: 'from-primary-600 via-primary-400 to-primary-300',
                 ring: 'ring-primary-200/70',
                 icon: (
@@ -74,6 +88,7 @@ const Dashboard = () => {
                 title: 'Total Users',
                 value: stats.totalUsers,
                 link: '/admin/users',
+                permission: PERMISSIONS.USERS_VIEW,
                 theme: 'from-primary-900 via-primary-600 to-primary-400',
                 ring: 'ring-primary-300/70',
                 icon: (
@@ -86,6 +101,7 @@ const Dashboard = () => {
                 title: 'Total Orders',
                 value: stats.totalOrders,
                 link: '/admin/orders',
+                permission: PERMISSIONS.ORDERS_VIEW,
                 theme: 'from-secondary-700 via-secondary-500 to-secondary-400',
                 ring: 'ring-secondary-400/70',
                 icon: (
@@ -98,6 +114,7 @@ const Dashboard = () => {
                 title: 'Revenue',
                 value: formatCurrency(stats.totalRevenue, settings),
                 link: '/admin/orders',
+                permission: PERMISSIONS.ORDERS_VIEW,
                 theme: 'from-slate-800 via-slate-900 to-primary-600',
                 ring: 'ring-primary-300/70',
                 icon: (
@@ -110,6 +127,7 @@ const Dashboard = () => {
                 title: 'Paid Orders',
                 value: stats.paidOrders,
                 link: '/admin/orders',
+                permission: PERMISSIONS.ORDERS_VIEW,
                 theme: 'from-primary-500 via-secondary-500 to-secondary-400',
                 ring: 'ring-secondary-200/80',
                 icon: (
@@ -118,9 +136,10 @@ const Dashboard = () => {
                     </svg>
                 ),
             },
-        ],
-        [settings, stats]
+        ].filter((card) => can(card.permission)),
+        [can, settings, stats]
     );
+    const quickActions = QUICK_ACTIONS.filter((action) => can(action.permission));
 
     if (isLoading) {
         return <AdminLoadingState title="Loading dashboard..." subtitle="Collecting workspace metrics" />;
@@ -138,9 +157,11 @@ const Dashboard = () => {
                         <p className="mt-2 max-w-xl text-primary-100">Track live performance, monitor recent activity, and jump into high-impact actions.</p>
                     </div>
                     <div className="flex flex-wrap gap-3">
-                        <Link to="/admin/orders" className="admin-button-secondary rounded-full px-5 py-3 text-sm font-semibold">
-                            Open Orders
-                        </Link>
+                        {canViewOrders && (
+                            <Link to="/admin/orders" className="admin-button-secondary rounded-full px-5 py-3 text-sm font-semibold">
+                                Open Orders
+                            </Link>
+                        )}
                         <button
                             type="button"
                             onClick={loadDashboardData}
@@ -175,7 +196,7 @@ const Dashboard = () => {
                 <AdminSurface>
                     <div className="mb-4 flex items-center justify-between">
                         <h2 className="text-xl font-black text-slate-900">Top Products</h2>
-                        <Link to="/admin/products" className="admin-link-quiet text-sm font-semibold">Manage</Link>
+                        {can(PERMISSIONS.CATALOG_MANAGE) && <Link to="/admin/products" className="admin-link-quiet text-sm font-semibold">Manage</Link>}
                     </div>
                     <div className="space-y-3">
                         {stats.topProducts.length === 0 ? (
@@ -205,41 +226,43 @@ const Dashboard = () => {
                     </div>
                 </AdminSurface>
 
-                <AdminSurface>
-                    <div className="mb-4 flex items-center justify-between">
-                        <h2 className="text-xl font-black text-slate-900">Recent Orders</h2>
-                        <Link to="/admin/orders" className="admin-link-quiet text-sm font-semibold">View All</Link>
-                    </div>
-                    <div className="space-y-3">
-                        {stats.recentOrders.length === 0 ? (
-                            <p className="text-sm text-slate-500">No orders available.</p>
-                        ) : (
-                            stats.recentOrders.map((order) => (
-                                <div key={order._id} className="flex items-center justify-between rounded-xl border border-slate-200 bg-slate-50 px-3 py-2.5">
-                                    <div className="min-w-0">
-                                        <p className="truncate text-sm font-semibold text-slate-900">{order.orderNumber}</p>
-                                        <p className="text-xs text-slate-500">{order.firstName} {order.lastName}</p>
-                                    </div>
-                                    <div className="text-right">
-                                        <p className="text-sm font-bold text-slate-900">{formatCurrency(order.totalAmount, settings)}</p>
-                                        <p className="text-xs uppercase text-slate-500">{order.status}</p>
+                {canViewOrders && (
+                    <AdminSurface>
+                        <div className="mb-4 flex items-center justify-between">
+                            <h2 className="text-xl font-black text-slate-900">Recent Orders</h2>
+                            <Link to="/admin/orders" className="admin-link-quiet text-sm font-semibold">View All</Link>
+                        </div>
+                        <div className="space-y-3">
+                            {stats.recentOrders.length === 0 ? (
+                                <p className="text-sm text-slate-500">No orders available.</p>
+                            ) : (
+                                stats.recentOrders.map((order) => (
+                                    <div key={order._id} className="flex items-center justify-between rounded-xl border border-slate-200 bg-slate-50 px-3 py-2.5">
+                                        <div className="min-w-0">
+                                            <p className="truncate text-sm font-semibold text-slate-900">{order.orderNumber}</p>
+                                            <p className="text-xs text-slate-500">{order.firstName} {order.lastName}</p>
+                                        </div>
+                                        <div className="text-right">
+                                            <p className="text-sm font-bold text-slate-900">{formatCurrency(order.totalAmount, settings)}</p>
+                                            <p className="text-xs uppercase text-slate-500">{order.status}</p>
+                                        </div>
                                     </div>
-                                </div>
-                            ))
-                        )}
-                    </div>
-                </AdminSurface>
+                                ))
+                            )}
+                        </div>
+                    </AdminSurface>
+                )}
 
-                <AdminSurface className="xl:col-span-1">
-                    <h2 className="mb-4 text-xl font-black text-slate-900">Quick Actions</h2>
-                    <div className="grid grid-cols-1 gap-3">
-                        <Link to="/admin/products/create" className="admin-button-secondary rounded-xl px-4 py-3 font-semibold">Create Product</Link>
-                        <Link to="/admin/categories/create" className="admin-button-secondary rounded-xl px-4 py-3 font-semibold">Create Category</Link>
-                        <Link to="/admin/users/create" className="admin-button-secondary rounded-xl px-4 py-3 font-semibold">Create User</Link>
-                        <Link to="/admin/banners/create" className="admin-button-secondary rounded-xl px-4 py-3 font-semibold">Create Banner</Link>
-                        <Link to="/admin/coupons/create" className="admin-button-secondary rounded-xl px-4 py-3 font-semibold">Create Coupon</Link>
-                    </div>
-                </AdminSurface>
+                {quickActions.length > 0 && (
+                    <AdminSurface className="xl:col-span-1">
+                        <h2 className="mb-4 text-xl font-black text-slate-900">Quick Actions</h2>
+                        <div className="grid grid-cols-1 gap-3">
+                            {quickActions.map((action) => (
+                                <Link key={action.to} to={action.to} className="admin-button-secondary rounded-xl px-4 py-3 font-semibold">{action.label}</Link>
+                            ))}
+                        </div>
+                    </AdminSurface>
+                )}
             </div>
         </div>
     );
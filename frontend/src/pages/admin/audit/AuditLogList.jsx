@@ -0,0 +1,350 @@
+import React, { useEffect, useState } from 'react';
+import notify from '../../../utils/notify';
+import { API_CONFIG, ROLE_LABELS } from '../../../constants';
+import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
+import authFetch from '../../../utils/authFetch.js';
+
+const ENTITY_TYPES = [
+    { value: 'product', label: 'Products' },
+    { value: 'category', label: 'Categories' },
+    { value: 'brand', label: 'Brands' },
+    { value: 'variant_type', label: 'Variant types' },
+    { value: 'variant_option', label: 'Variant options' },
+    { value: 'inventory', label: 'Inventory' },
+    { value: 'stock_location', label: 'Stock locations' },
+    { value: 'order', label: 'Orders' },
+    { value: 'webhook_event', label: 'Webhook events' },
+    { value: 'review', label: 'Reviews' },
+    { value: 'banner', label: 'Banners' },
+    { value: 'discount', label: 'Discounts' },
+    { value: 'coupon', label: 'Coupons' },
+    { value: 'shipping_method', label: 'Shipping methods' },
+    { value: 'tax_rate', label: 'Tax rates' },
+    { value: 'user', label: 'Users' },
+    { value: 'email_template', label: 'Email templates' },
+    { value: 'setting', label: 'Settings' },
+];
+
+const ACTIONS = [
+    { value: 'create', label: 'Created' },
+    { value: 'update', label: 'Updated' },
+    { value: 'delete', label: 'Deleted' },
+    { value: 'status_change', label: 'Status changed' },
+    { value: 'refund', label: 'Refunded' },
+    { value: 'return_update', label: 'Return updated' },
+    { value: 'stock_adjustment', label: 'Stock adjusted' },
+    { value: 'reorder', label: 'Reordered' },
+    { value: 'reset', label: 'Reset' },
+    { value: 'replay', label: 'Replayed' },
+    { value: 'revoke_sessions', label: 'Sessions revoked' },
+    { value: 'unlock', label: 'Unlocked' },
+];
+
+const ENTITY_LABELS = Object.fromEntries(ENTITY_TYPES.map(({ value, label }) => [value, label]));
+const ACTION_LABELS = Object.fromEntries(ACTIONS.map(({ value, label }) => [value, label]));
+
+const ACTION_STYLES = {
+    create: 'bg-emerald-100 text-emerald-800',
+    delete: 'bg-rose-100 text-rose-800',
+    refund: 'bg-amber-100 text-amber-800',
+};
+
+const AUDIT_URL = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.AUDIT_LOGS}`;
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const AuditLogList = () => {
+    const [entries, setEntries] = useState([]);
+    const [pagination, setPagination] = useState({
+        page: 1,
+        limit: 25,
+        total: 0,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPreviousPage: false,
+    });
+    const [userFilter, setUserFilter] = useState('');
+    const [entityFilter, setEntityFilter] = useState('');
+    const [entityIdFilter, setEntityIdFilter] = useState('');
+    const [actionFilter, setActionFilter] = useState('');
+    const [fromDate, setFromDate] = useState('');
+    const [toDate, setToDate] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const loadData = async (page = pagination.page, background = false) => {
+        try {
+            if (background) setIsRefreshing(true);
+            else setIsLoading(true);
+
+            const params = new URLSearchParams({
+                page: String(page),
+                limit: String(pagination.limit),
+            });
+            if (userFilter.trim()) params.set('user', userFilter.trim());
+            if (entityFilter) params.set('entityType', entityFilter);
+            if (entityIdFilter.trim()) params.set('entityId', entityIdFilter.trim());
+            if (actionFilter) params.set('action', actionFilter);
+            if (fromDate) params.set('from', fromDate);
+            if (toDate) params.set('to', toDate);
+
+            const response = await authFetch(`${AUDIT_URL}?${params}`);
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                throw new Error(data?.message || 'Failed to load the audit log');
+            }
+
+            setEntries(data?.data || []);
+            setPagination((prev) => ({
+                ...prev,
+                ...(data?.pagination || {}),
+            }));
+        } catch (error) {
+            notify.error(error, 'Failed to load the audit log');
+        } finally {
+            setIsLoading(false);
+            setIsRefreshing(false);
+        }
+    };
+
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setPagination((prev) => ({ ...prev, page: 1 }));
+            loadData(1, true);
+        }, 350);
+
+        return () => clearTimeout(timer);
+    }, [userFilter, entityFilter, entityIdFilter, actionFilter, fromDate, toDate]);
+
+    const clearFilters = () => {
+        setUserFilter('');
+        setEntityFilter('');
+        setEntityIdFilter('');
+        setActionFilter('');
+        setFromDate('');
+        setToDate('');
+    };
+
+    if (isLoading) {
+        return <AdminLoadingState title="Loading audit log..." subtitle="Collecting recent back-office changes" />;
+    }
+
+    const hasFilters = userFilter || entityFilter || entityIdFilter || actionFilter || fromDate || toDate;
+    const inputClass = 'w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200';
+
+    return (
+        <div className="space-y-8">
+            <AdminPageHeader
+                eyebrow="Security"
+                title="Audit Log"
+                subtitle="Every change made in the back office: who made it, what changed and where the request came from."
+                actions={(
+                    <button
+                        type="button"
+                        onClick={() => loadData(pagination.page, true)}
+                        className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold text-white transition hover:bg-white/20"
+                    >
+                        {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                )}
+            />
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="grid grid-cols-1 gap-3 md:grid-cols-2 xl:grid-cols-3">
+                    <input
+                        type="text"
+                        value={userFilter}
+                        onChange={(event) => setUserFilter(event.target.value)}
+                        placeholder="Staff member name, email or id"
+                        className={inputClass}
+                    />
+                    <select value={entityFilter} onChange={(event) => setEntityFilter(event.target.value)} className={inputClass}>
+                        <option value="">All records</option>
+                        {ENTITY_TYPES.map((type) => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        value={entityIdFilter}
+                        onChange={(event) => setEntityIdFilter(event.target.value)}
+                        placeholder="Record id"
+                        className={`${inputClass} font-mono`}
+                    />
+                    <select value={actionFilter} onChange={(event) => setActionFilter(event.target.value)} className={inputClass}>
+                        <option value="">All actions</option>
+                        {ACTIONS.map((action) => (
+                            <option key={action.value} value={action.value}>{action.label}</option>
+                        ))}
+                    </select>
+                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                        <span className="w-10">From</span>
+                        <input type="date" value={fromDate} max={toDate || undefined} onChange={(event) => setFromDate(event.target.value)} className={inputClass} />
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                        <span className="w-10">To</span>
+                        <input type="date" value={toDate} min={fromDate || undefined} onChange={(event) => setToDate(event.target.value)} className={inputClass} />
+                    </label>
+                </div>
+                {hasFilters && (
+                    <button
+                        type="button"
+                        onClick={clearFilters}
+                        className="mt-3 text-sm font-semibold text-primary-700 hover:text-primary-900"
+                    >
+                        Clear filters
+                    </button>
+                )}
+            </AdminSurface>
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="overflow-x-auto">
+                    <table className="w-full min-w-[900px] text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-600">
+                                <th className="py-3 pr-3">When</th>
+                                <th className="py-3 pr-3">Staff member</th>
+                                <th className="py-3 pr-3">Action</th>
+                                <th className="py-3 pr-3">Record</th>
+                                <th className="py-3 pr-3">Changes</th>
+                                <th className="py-3 pr-3 text-right">Details</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map((entry) => (
+                                <React.Fragment key={entry._id}>
+                                <tr className="border-b border-slate-100">
+                                    <td className="whitespace-nowrap py-3 pr-3 text-slate-700">
+                                        {new Date(entry.createdAt).toLocaleString()}
+                                    </td>
+                                    <td className="py-3 pr-3">
+                                        <p className="font-semibold text-slate-900">{entry.actor?.name || 'Unknown'}</p>
+                                        <p className="text-xs text-slate-500">
+                                            {entry.actor?.email}
+                                            {entry.actor?.role ? ` · ${ROLE_LABELS[entry.actor.role] || entry.actor.role}` : ''}
+                                        </p>
+                                    </td>
+                                    <td className="py-3 pr-3">
+                                        <span className={`rounded-full px-3 py-1 text-xs font-semibold ${ACTION_STYLES[entry.action] || 'bg-slate-100 text-slate-700'}`}>
+                                            {ACTION_LABELS[entry.action] || entry.action}
+                                        </span>
+                                    </td>
+                                    <td className="py-3 pr-3">
+                                        <p className="text-slate-900">{ENTITY_LABELS[entry.entityType] || entry.entityType}</p>
+                                        {entry.entityId && <p className="font-mono text-xs text-slate-500">{entry.entityId}</p>}
+                                    </td>
+                                    <td className="py-3 pr-3 text-slate-700">
+                                        {entry.changes?.length
+                                            ? `${entry.changes.length} field${entry.changes.length === 1 ? '' : 's'}`
+                                            : '—'}
+                                    </td>
+                                    <td className="py-3 pr-3 text-right">
+                                        <button
+                                            type="button"
+                                            onClick={() => setExpandedId(expandedId === entry._id ? null : entry._id)}
+                                            className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                                        >
+                                            {expandedId === entry._id ? 'Close' : 'View'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {expandedId === entry._id && (
+                                    <tr className="border-b border-slate-100 bg-slate-50/60">
+                                        <td colSpan="6" className="space-y-3 px-4 py-4">
+                                            <p className="text-xs text-slate-600">
+                                                <span className="font-mono">{entry.method} {entry.path}</span>
+                                                {entry.ip ? ` · IP ${entry.ip}` : ''}
+                                                {entry.requestId ? ` · request ${entry.requestId}` : ''}
+                                            </p>
+                                            {entry.changes?.length > 0 && (
+                                                <table className="w-full text-xs">
+                                                    <thead>
+                                                        <tr className="text-left text-slate-500">
+                                                            <th className="py-1 pr-3">Field</th>
+                                                            <th className="py-1 pr-3">Before</th>
+                                                            <th className="py-1 pr-3">After</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {entry.changes.map((change) => (
+                                                            <tr key={change.field} className="border-t border-slate-200 align-top">
+                                                                <td className="py-1.5 pr-3 font-mono text-slate-900">{change.field}</td>
+                                                                <td className="max-w-xs break-all py-1.5 pr-3 text-rose-700">{formatValue(change.from)}</td>
+                                                                <td className="max-w-xs break-all py-1.5 pr-3 text-emerald-700">{formatValue(change.to)}</td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            )}
+                                            {entry.details && (
+                                                <pre className="max-h-80 overflow-auto rounded-xl bg-slate-900 p-4 font-mono text-xs text-slate-100">
+                                                    {JSON.stringify(entry.details, null, 2)}
+                                                </pre>
+                                            )}
+                                            {!entry.changes?.length && !entry.details && (
+                                                <p className="text-xs text-slate-500">No field changes were recorded for this action.</p>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                                </React.Fragment>
+                            ))}
+                            {entries.length === 0 && (
+                                <tr>
+                                    <td colSpan="6" className="py-10 text-center text-slate-500">
+                                        No audit entries found for the selected filters.
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="mt-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                    <p className="text-sm text-slate-600">
+                        Showing {entries.length ? (pagination.page - 1) * pagination.limit + 1 : 0} to{' '}
+                        {Math.min(pagination.page * pagination.limit, pagination.total || 0)} of {pagination.total || 0} entries
+                    </p>
+
+                    <div className="flex items-center gap-2">
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const prevPage = pagination.page - 1;
+                                setPagination((prev) => ({ ...prev, page: prevPage }));
+                                loadData(prevPage, true);
+                            }}
+                            disabled={!pagination.hasPreviousPage}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <span className="text-sm font-semibold text-slate-700">
+                            Page {pagination.page || 1} of {pagination.totalPages || 1}
+                        </span>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const nextPage = pagination.page + 1;
+                                setPagination((prev) => ({ ...prev, page: nextPage }));
+                                loadData(nextPage, true);
+                            }}
+                            disabled={!pagination.hasNextPage}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+            </AdminSurface>
+        </div>
+    );
+};
+
+export default AuditLogList;
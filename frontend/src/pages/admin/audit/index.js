@@ -0,0 +1,3 @@
+export * from './AuditLogList.jsx';
+
+export { default as AuditLogList } from './AuditLogList.jsx';
@@ -64,6 +64,11 @@ const schema = yup.object({
             return new Date(val) > new Date(startsAt);
         }),
     isActive: yup.boolean().default(true),
+    priority: yup.number()
+        .typeError('Priority must be a number')
+        .integer('Priority must be a whole number')
+        .min(0, 'Priority cannot be negative')
+        .default(0),
     categories: yup.array().of(yup.string()).default([]),
     products: yup.array().of(yup.string()).default([]),
 });
@@ -214,7 +219,7 @@ const DiscountForm = () => {
         resolver: yupResolver(schema),
         defaultValues: {
             title: '', type: 'percentage', value: 100,
-            startsAt: '', endsAt: '', isActive: true,
+            startsAt: '', endsAt: '', isActive: true, priority: 0,
             categories: [], products: [],
         },
         mode: 'onBlur',
@@ -259,10 +264,11 @@ const DiscountForm = () => {
                     categories: (discount.categories || []).map((item) => item._id || item),
                     products: (discount.products || []).map((item) => item._id || item),
                     isActive: Boolean(discount.isActive),
+                    priority: discount.priority ?? 0,
                 });
             } else {
                 const { startsAt, endsAt } = getDefaultDateRange();
-                reset({ title: '', type: 'percentage', value: 100, startsAt, endsAt, isActive: true, categories: [], products: [] });
+                reset({ title: '', type: 'percentage', value: 100, startsAt, endsAt, isActive: true, priority: 0, categories: [], products: [] });
             }
         } catch (error) {
             const parsed = extractApiErrors(error);
@@ -306,7 +312,7 @@ const DiscountForm = () => {
 
         setIsSaving(true);
         try {
-            const payload = { ...data, value: Number(data.value) };
+            const payload = { ...data, value: Number(data.value), priority: Number(data.priority) };
             if (isEdit) {
                 await discountService.updateDiscount(id, payload);
                 notify.success('Discount updated successfully');
@@ -446,6 +452,19 @@ const DiscountForm = () => {
                         />
                         <FieldError error={errors.endsAt?.message} />
                     </div>
+
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Priority</label>
+                        <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            {...register('priority')}
+                            className={`w-full rounded-xl border px-4 py-3 text-slate-900 focus:border-emerald-400 focus:ring-2 focus:ring-emerald-200 ${errors.priority ? 'border-red-400 bg-red-50' : 'border-slate-300'}`}
+                        />
+                        <p className="mt-1 text-xs text-slate-500">When several discounts cover a product, the highest priority wins.</p>
+                        <FieldError error={errors.priority?.message} />
+                    </div>
                 </div>
 
                 <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
@@ -194,6 +194,7 @@ const DiscountsList = () => {
                             <th className="py-2 pr-2">Value</th>
                             <th className="py-2 pr-2">Categories</th>
                             <th className="py-2 pr-2">Products</th>
+                            <th className="py-2 pr-2">Priority</th>
                             <th className="py-2 pr-2">Status</th>
                             <th className="py-2 pr-2">Actions</th>
                         </tr>
@@ -207,6 +208,7 @@ const DiscountsList = () => {
                                 <td className="py-2 pr-2">{discount.type === 'percentage' ? `${discount.value}%` : `$${Number(discount.value).toFixed(2)}`}</td>
                                 <td className="py-2 pr-2">{(discount.categories || []).length}</td>
                                 <td className="py-2 pr-2">{(discount.products || []).length}</td>
+                                <td className="py-2 pr-2">{discount.priority ?? 0}</td>
                                 <td className="py-2 pr-2">
                                     <span className={`rounded px-2 py-1 text-xs font-semibold ${discount.isActive ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-200 text-slate-700'}`}>
                                         {discount.isActive ? 'Active' : 'Inactive'}
@@ -234,7 +236,7 @@ const DiscountsList = () => {
                         ))}
                         {filteredDiscounts.length === 0 && (
                             <tr>
-                                <td colSpan="8" className="py-8 text-center text-slate-500">No discounts found. Please create one.</td>
+                                <td colSpan="9" className="py-8 text-center text-slate-500">No discounts found. Please create one.</td>
                             </tr>
                         )}
                     </tbody>
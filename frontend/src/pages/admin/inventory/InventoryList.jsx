@@ -0,0 +1,439 @@
+import React, { useEffect, useState } from 'react';
+import notify from '../../../utils/notify';
+import { API_CONFIG } from '../../../constants';
+import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
+import authFetch from '../../../utils/authFetch.js';
+
+const ADJUSTMENT_REASONS = [
+    { value: 'restock', label: 'Restock (goods received)' },
+    { value: 'correction', label: 'Stock count correction' },
+    { value: 'damage', label: 'Damaged / lost' },
+    { value: 'import', label: 'Import' },
+    { value: 'manual', label: 'Other manual change' },
+];
+
+const REASON_STYLES = {
+    sale: 'bg-sky-100 text-sky-800',
+    cancellation: 'bg-amber-100 text-amber-800',
+    return: 'bg-violet-100 text-violet-800',
+    restock: 'bg-emerald-100 text-emerald-800',
+    damage: 'bg-rose-100 text-rose-800',
+    initial: 'bg-slate-100 text-slate-700',
+};
+
+const INVENTORY_URL = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.INVENTORY}`;
+
+const lineKey = (line) => `${line.productId}-${line.variantId || ''}`;
+
+const locationLevel = (line, locationId) =>
+    (line.locations || []).find((location) => String(location.locationId) === String(locationId))?.quantity ?? 0;
+
+const InventoryList = () => {
+    const [lines, setLines] = useState([]);
+    const [pagination, setPagination] = useState({
+        page: 1,
+        limit: 25,
+        total: 0,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPreviousPage: false,
+    });
+    const [searchTerm, setSearchTerm] = useState('');
+    const [lowStockOnly, setLowStockOnly] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [mode, setMode] = useState('delta');
+    const [adjustments, setAdjustments] = useState({});
+    const [reason, setReason] = useState('restock');
+    const [locationId, setLocationId] = useState('');
+    const [note, setNote] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [historyKey, setHistoryKey] = useState(null);
+    const [movements, setMovements] = useState(null);
+
+    const loadData = async (page = pagination.page, background = false) => {
+        try {
+            if (background) setIsRefreshing(true);
+            else setIsLoading(true);
+
+            const params = new URLSearchParams({
+                page: String(page),
+                limit: String(pagination.limit),
+            });
+            if (lowStockOnly) params.set('lowStock', 'true');
+            if (searchTerm.trim()) params.set('search', searchTerm.trim());
+
+            const response = await authFetch(`${INVENTORY_URL}?${params}`);
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                throw new Error(data?.message || 'Failed to load inventory');
+            }
+
+            setLines(data?.data || []);
+            setPagination((prev) => ({
+                ...prev,
+                ...(data?.pagination || {}),
+            }));
+        } catch (error) {
+            notify.error(error, 'Failed to load inventory');
+        } finally {
+            setIsLoading(false);
+            setIsRefreshing(false);
+        }
+    };
+
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setPagination((prev) => ({ ...prev, page: 1 }));
+            loadData(1, true);
+        }, 350);
+
+        return () => clearTimeout(timer);
+    }, [searchTerm, lowStockOnly]);
+
+    const loadMovements = async (line) => {
+        const params = new URLSearchParams({ productId: String(line.productId), limit: '20' });
+        if (line.variantId) params.set('variantId', String(line.variantId));
+        const response = await authFetch(`${INVENTORY_URL}/movements?${params}`);
+        const data = await response.json();
+        if (!response.ok || !data?.success) {
+            throw new Error(data?.message || 'Failed to load stock history');
+        }
+        setMovements(data.data || []);
+    };
+
+    const toggleHistory = async (line) => {
+        if (historyKey === lineKey(line)) {
+            setHistoryKey(null);
+            setMovements(null);
+            return;
+        }
+        setHistoryKey(lineKey(line));
+        setMovements(null);
+        try {
+            await loadMovements(line);
+        } catch (error) {
+            notify.error(error, 'Failed to load stock history');
+        }
+    };
+
+    // Every line lists the same active locations, so the first one names them.
+    const locations = lines[0]?.locations || [];
+    const targetLocationId = locationId || String(locations.find((location) => location.isDefault)?.locationId || '');
+
+    const pending = lines
+        .filter((line) => adjustments[lineKey(line)] !== undefined && adjustments[lineKey(line)] !== '')
+        .map((line) => ({
+            productId: line.productId,
+            variantId: line.variantId || null,
+            ...(targetLocationId && { locationId: targetLocationId }),
+            ...(mode === 'set'
+                ? { setTo: Number(adjustments[lineKey(line)]) }
+                : { delta: Number(adjustments[lineKey(line)]) }),
+        }))
+        .filter((line) => (mode === 'set' ? line.setTo >= 0 : line.delta !== 0));
+
+    const handleApply = async () => {
+        try {
+            setIsSaving(true);
+            const response = await authFetch(`${INVENTORY_URL}/adjustments`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    adjustments: pending,
+                    reason,
+                    ...(note.trim() && { note: note.trim() }),
+                }),
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                notify.error(data, 'Failed to adjust stock');
+                return;
+            }
+
+            const failed = (data.data?.results || []).filter((result) => result.status !== 'applied');
+            if (failed.length) {
+                notify.error(failed.map((result) => `${result.sku || result.productId}: ${result.message}`).join('\n'), data.message);
+            } else {
+                notify.success(data.message || 'Stock adjusted');
+            }
+            setAdjustments(Object.fromEntries(failed.map((result) => [lineKey(result), adjustments[lineKey(result)]])));
+            setNote('');
+            loadData(pagination.page, true);
+            const open = lines.find((line) => lineKey(line) === historyKey);
+            if (open) loadMovements(open).catch(() => {});
+        } catch (error) {
+            notify.error(error, 'Failed to adjust stock');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) {
+        return <AdminLoadingState title="Loading inventory..." subtitle="Counting stock per SKU" />;
+    }
+
+    return (
+        <div className="space-y-8">
+            <AdminPageHeader
+                eyebrow="Catalog"
+                title="Inventory"
+                subtitle="Stock per SKU, bulk adjustments with a reason, and the history behind every number."
+                actions={(
+                    <button
+                        type="button"
+                        onClick={() => loadData(pagination.page, true)}
+                        className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold text-white transition hover:bg-white/20"
+                    >
+                        {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                )}
+            />
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="grid grid-cols-1 gap-3 md:grid-cols-[1fr_auto]">
+                    <input
+                        type="text"
+                        value={searchTerm}
+                        onChange={(event) => setSearchTerm(event.target.value)}
+                        placeholder="Search by product name or SKU"
+                        className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    />
+                    <label className="flex items-center gap-2 rounded-xl border border-slate-300 px-4 py-3 text-sm font-semibold text-slate-700">
+                        <input
+                            type="checkbox"
+                            checked={lowStockOnly}
+                            onChange={(event) => setLowStockOnly(event.target.checked)}
+                            className="h-4 w-4 rounded border-slate-300"
+                        />
+                        Low stock only
+                    </label>
+                </div>
+            </AdminSurface>
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className={`mb-4 grid grid-cols-1 gap-3 ${locations.length ? 'lg:grid-cols-[auto_200px_200px_1fr_auto]' : 'lg:grid-cols-[auto_240px_1fr_auto]'}`}>
+                    <div className="flex rounded-xl border border-slate-300 p-1">
+                        {[
+                            { value: 'delta', label: 'Add / remove' },
+                            { value: 'set', label: 'Set to' },
+                        ].map((option) => (
+                            <button
+                                key={option.value}
+                                type="button"
+                                onClick={() => {
+                                    setMode(option.value);
+                                    setAdjustments({});
+                                }}
+                                className={`rounded-lg px-3 py-2 text-sm font-semibold transition ${
+                                    mode === option.value ? 'bg-slate-900 text-white' : 'text-slate-700 hover:bg-slate-100'
+                                }`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                    {locations.length > 0 && (
+                        <select
+                            value={targetLocationId}
+                            onChange={(event) => {
+                                setLocationId(event.target.value);
+                                if (mode === 'set') setAdjustments({});
+                            }}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                        >
+                            {locations.map((location) => (
+                                <option key={location.locationId} value={location.locationId}>
+                                    {location.code} · {location.name}{location.isDefault ? ' (default)' : ''}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                    <select
+                        value={reason}
+                        onChange={(event) => setReason(event.target.value)}
+                        className="rounded-xl border border-slate-300 px-4 py-2 text-sm text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    >
+                        {ADJUSTMENT_REASONS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        value={note}
+                        onChange={(event) => setNote(event.target.value)}
+                        maxLength={500}
+                        placeholder="Note (supplier delivery, count reference...)"
+                        className="rounded-xl border border-slate-300 px-4 py-2 text-sm text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    />
+                    <button
+                        type="button"
+                        onClick={handleApply}
+                        disabled={isSaving || pending.length === 0}
+                        className="rounded-xl bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                        {isSaving ? 'Applying...' : `Apply ${pending.length || ''} adjustment${pending.length === 1 ? '' : 's'}`}
+                    </button>
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="w-full min-w-[900px] text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-600">
+                                <th className="py-3 pr-3">Product</th>
+                                <th className="py-3 pr-3">SKU</th>
+                                <th className="py-3 pr-3 text-right">On hand</th>
+                                <th className="py-3 pr-3 text-right">Held</th>
+                                <th className="py-3 pr-3 text-right">Available</th>
+                                {locations.length > 0 && <th className="py-3 pr-3">By location</th>}
+                                <th className="py-3 pr-3">{mode === 'set' ? 'New level' : 'Change'}</th>
+                                <th className="py-3 pr-3 text-right">History</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {lines.map((line) => (
+                                <React.Fragment key={lineKey(line)}>
+                                <tr className="border-b border-slate-100">
+                                    <td className="py-3 pr-3">
+                                        <p className="font-semibold text-slate-900">{line.title}</p>
+                                        {line.variantName && <p className="text-xs text-slate-500">{line.variantName}</p>}
+                                    </td>
+                                    <td className="py-3 pr-3 font-mono text-xs text-slate-700">{line.sku || '—'}</td>
+                                    <td className="py-3 pr-3 text-right">
+                                        <span className={`rounded-full px-3 py-1 text-xs font-semibold ${
+                                            line.stock <= 0
+                                                ? 'bg-rose-100 text-rose-800'
+                                                : line.lowStock
+                                                    ? 'bg-amber-100 text-amber-800'
+                                                    : 'bg-emerald-100 text-emerald-800'
+                                        }`}>
+                                            {line.stock}
+                                        </span>
+                                    </td>
+                                    <td className="py-3 pr-3 text-right text-slate-700">{line.heldStock}</td>
+                                    <td className="py-3 pr-3 text-right text-slate-700">{line.availableStock}</td>
+                                    {locations.length > 0 && (
+                                        <td className="py-3 pr-3">
+                                            <div className="flex flex-wrap gap-1">
+                                                {line.locations.map((location) => (
+                                                    <span
+                                                        key={location.locationId}
+                                                        title={location.name}
+                                                        className={`rounded px-2 py-0.5 text-xs font-semibold ${
+                                                            String(location.locationId) === targetLocationId ? 'bg-slate-900 text-white' : 'bg-slate-100 text-slate-700'
+                                                        }`}
+                                                    >
+                                                        {location.code} {location.quantity}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        </td>
+                                    )}
+                                    <td className="py-3 pr-3">
+                                        <input
+                                            type="number"
+                                            step="1"
+                                            min={mode === 'set' ? 0 : -(targetLocationId ? locationLevel(line, targetLocationId) : line.stock)}
+                                            value={adjustments[lineKey(line)] ?? ''}
+                                            onChange={(event) => setAdjustments((prev) => ({ ...prev, [lineKey(line)]: event.target.value }))}
+                                            placeholder={mode === 'set' ? String(targetLocationId ? locationLevel(line, targetLocationId) : line.stock) : '±0'}
+                                            className="w-24 rounded-lg border border-slate-300 px-2 py-1 text-sm"
+                                        />
+                                    </td>
+                                    <td className="py-3 pr-3 text-right">
+                                        <button
+                                            type="button"
+                                            onClick={() => toggleHistory(line)}
+                                            className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                                        >
+                                            {historyKey === lineKey(line) ? 'Close' : 'History'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {historyKey === lineKey(line) && (
+                                    <tr className="border-b border-slate-100 bg-slate-50/60">
+                                        <td colSpan={locations.length ? 8 : 7} className="px-4 py-4">
+                                            {!movements && <p className="text-xs text-slate-500">Loading history...</p>}
+                                            {movements?.length === 0 && <p className="text-xs text-slate-500">No stock movements recorded yet.</p>}
+                                            {movements?.length > 0 && (
+                                                <ul className="space-y-1 text-xs text-slate-700">
+                                                    {movements.map((movement) => (
+                                                        <li key={movement._id} className="flex flex-wrap items-center gap-2">
+                                                            <span className="text-slate-500">{new Date(movement.createdAt).toLocaleString()}</span>
+                                                            <span className={`rounded-full px-2 py-0.5 font-semibold ${REASON_STYLES[movement.reason] || 'bg-slate-100 text-slate-700'}`}>
+                                                                {movement.reason}
+                                                            </span>
+                                                            <span className={`font-semibold ${movement.delta < 0 ? 'text-rose-700' : 'text-emerald-700'}`}>
+                                                                {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                                                            </span>
+                                                            {movement.stockAfter !== null && movement.stockAfter !== undefined && (
+                                                                <span>→ {movement.stockAfter}</span>
+                                                            )}
+                                                            {movement.locationCode && <span>· {movement.locationCode}</span>}
+                                                            {movement.orderNumber && <span>· {movement.orderNumber}</span>}
+                                                            {movement.actor?.name && <span>· by {movement.actor.name}</span>}
+                                                            {movement.note && <span className="text-slate-500">· {movement.note}</span>}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                                </React.Fragment>
+                            ))}
+                            {lines.length === 0 && (
+                                <tr>
+                                    <td colSpan={locations.length ? 8 : 7} className="py-10 text-center text-slate-500">
+                                        No SKUs found for the selected filters.
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="mt-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                    <p className="text-sm text-slate-600">
+                        Showing {lines.length ? (pagination.page - 1) * pagination.limit + 1 : 0} to{' '}
+                        {Math.min(pagination.page * pagination.limit, pagination.total || 0)} of {pagination.total || 0} SKUs
+                    </p>
+
+                    <div className="flex items-center gap-2">
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const prevPage = pagination.page - 1;
+                                setPagination((prev) => ({ ...prev, page: prevPage }));
+                                loadData(prevPage, true);
+                            }}
+                            disabled={!pagination.hasPreviousPage}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <span className="text-sm font-semibold text-slate-700">
+                            Page {pagination.page || 1} of {pagination.totalPages || 1}
+                        </span>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const nextPage = pagination.page + 1;
+                                setPagination((prev) => ({ ...prev, page: nextPage }));
+                                loadData(nextPage, true);
+                            }}
+                            disabled={!pagination.hasNextPage}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+            </AdminSurface>
+        </div>
+    );
+};
+
+export default InventoryList;
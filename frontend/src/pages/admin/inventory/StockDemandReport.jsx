@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import notify from '../../../utils/notify';
+import backInStockService from '../../../services/backInStockService';
+import { PERMISSIONS } from '../../../constants';
+import { useAuthStore } from '../../../store/authStore';
+import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
+
+const LIMIT_OPTIONS = [10, 20, 50, 100];
+
+// Out-of-stock SKUs ranked by how many shoppers asked to be told when they
+// are back, to help decide what to reorder first.
+const StockDemandReport = () => {
+    const canEditProducts = useAuthStore((state) => state.can(PERMISSIONS.CATALOG_MANAGE));
+    const [rows, setRows] = useState([]);
+    const [limit, setLimit] = useState(20);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+
+    const loadReport = async (background = false) => {
+        try {
+            if (background) setIsRefreshing(true);
+            else setIsLoading(true);
+            const response = await backInStockService.getDemandReport({ limit });
+            const payload = response?.data?.data ?? response?.data ?? [];
+            setRows(Array.isArray(payload) ? payload : []);
+        } catch (error) {
+            notify.error(error, 'Failed to load the demand report');
+        } finally {
+            setIsLoading(false);
+            setIsRefreshing(false);
+        }
+    };
+
+    useEffect(() => {
+        loadReport();
+    }, [limit]);
+
+    if (isLoading) {
+        return <AdminLoadingState title="Loading demand report..." subtitle="Counting back-in-stock requests" />;
+    }
+
+    const totalWaiting = rows.reduce((sum, row) => sum + Number(row.subscribers || 0), 0);
+
+    return (
+        <div className="space-y-8">
+            <AdminPageHeader
+                eyebrow="Catalog"
+                title="Stock Demand"
+                subtitle="Sold-out SKUs with the most shoppers waiting for a back-in-stock email."
+                actions={(
+                    <button
+                        type="button"
+                        onClick={() => loadReport(true)}
+                        className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold text-white transition hover:bg-white/20"
+                    >
+                        {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                )}
+            />
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+                    <p className="text-sm text-slate-600">
+                        <span className="font-semibold text-slate-900">{totalWaiting}</span> shopper request(s) across{' '}
+                        <span className="font-semibold text-slate-900">{rows.length}</span> SKU(s)
+                    </p>
+                    <label className="flex items-center gap-2 text-sm font-semibold text-slate-700">
+                        Show top
+                        <select
+                            value={limit}
+                            onChange={(event) => setLimit(Number(event.target.value))}
+                            className="rounded-xl border border-slate-300 px-3 py-2 text-sm text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                        >
+                            {LIMIT_OPTIONS.map((option) => <option key={option} value={option}>{option}</option>)}
+                        </select>
+                    </label>
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="w-full min-w-[760px] text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-600">
+                                <th className="py-3 pr-3">Product</th>
+                                <th className="py-3 pr-3">SKU</th>
+                                <th className="py-3 pr-3 text-right">On hand</th>
+                                <th className="py-3 pr-3 text-right">Waiting</th>
+                                <th className="py-3 pr-3">First asked</th>
+                                <th className="py-3 pr-3">Last asked</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row) => (
+                                <tr key={`${row.productId}-${row.variantId || ''}`} className="border-b border-slate-100">
+                                    <td className="py-3 pr-3">
+                                        {canEditProducts ? (
+                                            <Link to={`/admin/products/${row.productId}/edit`} className="font-semibold text-slate-900 hover:text-primary-700">
+                                                {row.title}
+                                            </Link>
+                                        ) : (
+                                            <span className="font-semibold text-slate-900">{row.title}</span>
+                                        )}
+                                        {row.variantName && <p className="text-xs text-slate-500">{row.variantName}</p>}
+                                    </td>
+                                    <td className="py-3 pr-3 font-mono text-xs text-slate-700">{row.sku || '—'}</td>
+                                    <td className="py-3 pr-3 text-right">
+                                        <span className="rounded-full bg-rose-100 px-3 py-1 text-xs font-semibold text-rose-800">{row.stock}</span>
+                                    </td>
+                                    <td className="py-3 pr-3 text-right font-bold text-slate-900">{row.subscribers}</td>
+                                    <td className="py-3 pr-3 text-slate-600">{new Date(row.firstRequestedAt).toLocaleDateString()}</td>
+                                    <td className="py-3 pr-3 text-slate-600">{new Date(row.lastRequestedAt).toLocaleDateString()}</td>
+                                </tr>
+                            ))}
+                            {!rows.length && (
+                                <tr>
+                                    <td colSpan={6} className="py-10 text-center text-slate-500">
+                                        No shoppers are waiting on sold-out items.
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </AdminSurface>
+        </div>
+    );
+};
+
+export default StockDemandReport;
@@ -0,0 +1,7 @@
+export * from './InventoryList.jsx';
+
+export * from './StockDemandReport.jsx';
+
+export { default as InventoryList } from './InventoryList.jsx';
+
+export { default as StockDemandReport } from './StockDemandReport.jsx';
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import notify from '../../../utils/notify';
+import { API_CONFIG } from '../../../constants';
+import authFetch from '../../../utils/authFetch.js';
+import { formatCurrency } from '../../../utils/currency';
+
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const lineKey = (item) => `${item.productId}-${item.variantId || ''}`;
+
+const OrderRefundPanel = ({ order, settings, onRefunded }) => {
+    const [quantities, setQuantities] = useState({});
+    const [amount, setAmount] = useState('');
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const refunds = order.refunds || [];
+    const refundedTotal = refunds.reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0);
+    const refundable = Math.max(0, Math.round(((order.totalAmount || 0) - refundedTotal) * 100) / 100);
+    const canRefund = order.paymentMethod === 'stripe'
+        && REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)
+        && refundable > 0;
+
+    const refundedQuantity = (item) => refunds
+        .flatMap((refund) => refund.items || [])
+        .filter((entry) => lineKey(entry) === lineKey(item))
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+
+    const selectedItems = (order.items || [])
+        .map((item) => ({ productId: item.productId, variantId: item.variantId || null, quantity: Number(quantities[lineKey(item)] || 0) }))
+        .filter((item) => item.quantity > 0);
+    const selectedValue = selectedItems.reduce((sum, item) => {
+        const line = order.items.find((entry) => lineKey(entry) === lineKey(item));
+        return sum + (line?.price || 0) * item.quantity;
+    }, 0);
+    const previewAmount = amount !== '' ? Number(amount) : selectedItems.length ? Math.min(selectedValue, refundable) : refundable;
+
+    const handleSubmit = async () => {
+        if (!window.confirm(`Refund ${formatCurrency(previewAmount, settings)} to the customer's card for order ${order.orderNumber}?`)) {
+            return;
+        }
+        try {
+            setIsSubmitting(true);
+            const response = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ORDERS}/${order._id}/refunds`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...(amount !== '' && { amount: Number(amount) }),
+                    ...(selectedItems.length && { items: selectedItems }),
+                    ...(reason.trim() && { reason: reason.trim() }),
+                }),
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                notify.error(data, 'Failed to refund order');
+                return;
+            }
+
+            notify.success(data.message || 'Refund issued');
+            setQuantities({});
+            setAmount('');
+            setReason('');
+            onRefunded?.();
+        } catch (error) {
+            notify.error(error, 'Failed to refund order');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <p className="text-xs font-semibold uppercase tracking-widest text-slate-500">Refunds</p>
+            {order.dispute && (
+                <p className="rounded-lg bg-orange-50 px-3 py-2 text-xs text-orange-800">
+                    Dispute for {formatCurrency(order.dispute.amount, settings)} · {String(order.dispute.reason || 'no reason').replace(/_/g, ' ')} · {String(order.dispute.status || '').replace(/_/g, ' ')}
+                    {order.dispute.closedAt ? ` · closed ${new Date(order.dispute.closedAt).toLocaleString()}` : ''}
+                </p>
+            )}
+            {refunds.length > 0 ? (
+                <ul className="space-y-1 text-xs text-slate-700">
+                    {refunds.map((refund) => (
+                        <li key={refund.refundId}>
+                            <span className="font-semibold">{formatCurrency(refund.amount, settings)}</span>
+                            {' · '}{refund.reason || 'Refund'}
+                            {refund.actor?.name ? ` · by ${refund.actor.name}` : ''}
+                            {refund.createdAt ? ` · ${new Date(refund.createdAt).toLocaleString()}` : ''}
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-xs text-slate-500">No refunds yet.</p>
+            )}
+
+            {canRefund && (
+                <div className="space-y-2 rounded-xl border border-slate-200 bg-white p-3">
+                    <p className="text-xs text-slate-600">
+                        Up to <span className="font-semibold">{formatCurrency(refundable, settings)}</span> can be refunded. Pick lines for a line-item refund, enter an amount, or leave both empty to refund the full balance.
+                    </p>
+                    {(order.items || []).map((item) => {
+                        const remaining = item.quantity - refundedQuantity(item);
+                        return (
+                            <label key={lineKey(item)} className="flex items-center justify-between gap-3 text-xs text-slate-700">
+                                <span>{item.title} · {formatCurrency(item.price, settings)} × {item.quantity}</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max={remaining}
+                                    disabled={remaining <= 0}
+                                    value={quantities[lineKey(item)] || ''}
+                                    onChange={(event) => setQuantities((prev) => ({ ...prev, [lineKey(item)]: event.target.value }))}
+                                    placeholder="0"
+                                    className="w-16 rounded-lg border border-slate-300 px-2 py-1 text-xs disabled:bg-slate-50"
+                                />
+                            </label>
+                        );
+                    })}
+                    <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+                        <input
+                            type="number"
+                            min="0.01"
+                            step="0.01"
+                            max={refundable}
+                            value={amount}
+                            onChange={(event) => setAmount(event.target.value)}
+                            placeholder="Custom amount"
+                            className="rounded-lg border border-slate-300 px-3 py-2 text-xs"
+                        />
+                        <input
+                            type="text"
+                            value={reason}
+                            onChange={(event) => setReason(event.target.value)}
+                            maxLength={500}
+                            placeholder="Reason"
+                            className="rounded-lg border border-slate-300 px-3 py-2 text-xs"
+                        />
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleSubmit}
+                        disabled={isSubmitting || !(previewAmount > 0) || previewAmount > refundable}
+                        className="rounded-lg bg-purple-600 px-4 py-2 text-xs font-semibold text-white transition hover:bg-purple-700 disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                        {isSubmitting ? 'Refunding...' : `Refund ${formatCurrency(previewAmount, settings)}`}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OrderRefundPanel;
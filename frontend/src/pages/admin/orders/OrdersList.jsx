@@ -1,22 +1,45 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import notify from '../../../utils/notify';
-import { API_CONFIG } from '../../../constants';
+import { API_CONFIG, PERMISSIONS } from '../../../constants';
 import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
 import authFetch from '../../../utils/authFetch.js';
 import { useSiteSettings } from '../../../context/useSiteSettings';
 import { formatCurrency } from '../../../utils/currency';
+import { OrderStatusTimeline } from '../../../components/orders';
+import OrderRefundPanel from './OrderRefundPanel.jsx';
+import { useAuthStore } from '../../../store/authStore';
 
 const ORDER_STATUSES = ['new', 'process', 'shipped', 'delivered', 'cancelled'];
-const PAYMENT_STATUSES = ['paid', 'unpaid'];
+// Mirrors the server's lifecycle rules; the API rejects anything else.
+const ORDER_STATUS_TRANSITIONS = {
+    new: ['process', 'cancelled'],
+    process: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: [],
+};
+const PAYMENT_STATUSES = ['paid', 'unpaid', 'failed', 'partially_refunded', 'refunded', 'disputed', 'charged_back'];
+const PAYMENT_BADGE = {
+    paid: 'bg-emerald-100 text-emerald-800',
+    failed: 'bg-red-100 text-red-800',
+    disputed: 'bg-orange-100 text-orange-800',
+    charged_back: 'bg-rose-100 text-rose-800',
+    partially_refunded: 'bg-fuchsia-100 text-fuchsia-800',
+    refunded: 'bg-purple-100 text-purple-800',
+};
 
 const OrdersList = () => {
     const { settings } = useSiteSettings();
+    const can = useAuthStore((state) => state.can);
+    const canManageOrders = can(PERMISSIONS.ORDERS_MANAGE);
+    const canRefund = can(PERMISSIONS.ORDERS_REFUND);
     const [orders, setOrders] = useState([]);
     const [summary, setSummary] = useState({
         totalOrders: 0,
         totalRevenue: 0,
         newOrders: 0,
         processingOrders: 0,
+        shippedOrders: 0,
         deliveredOrders: 0,
         cancelledOrders: 0,
     });
@@ -33,6 +56,9 @@ const OrdersList = () => {
     const [paymentFilter, setPaymentFilter] = useState('');
     const [isLoading, setIsLoading] = useState(true);
     const [isRefreshing, setIsRefreshing] = useState(false);
+    const [expandedOrderId, setExpandedOrderId] = useState(null);
+    const [statusNotes, setStatusNotes] = useState({});
+    const [trackingNumbers, setTrackingNumbers] = useState({});
 
     const fetchSummary = async () => {
         const response = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ORDERS}/admin/summary`);
@@ -98,11 +124,21 @@ const OrdersList = () => {
     }, [searchTerm, statusFilter, paymentFilter]);
 
     const handleStatusUpdate = async (orderId, nextStatus) => {
+        if (
+            nextStatus === 'cancelled'
+            && !window.confirm('Cancel this order? Stock is restocked, coupon usage released and paid card payments refunded.')
+        ) {
+            return;
+        }
         try {
             const response = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ORDERS}/${orderId}/status`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ status: nextStatus }),
+                body: JSON.stringify({
+                    status: nextStatus,
+                    ...(statusNotes[orderId]?.trim() && { notes: statusNotes[orderId].trim() }),
+                    ...(nextStatus === 'shipped' && trackingNumbers[orderId]?.trim() && { trackingNumber: trackingNumbers[orderId].trim() }),
+                }),
             });
             const data = await response.json();
 
@@ -111,7 +147,9 @@ const OrdersList = () => {
                 return;
             }
 
-            notify.success('Order status updated');
+            notify.success(data.message || 'Order status updated');
+            setStatusNotes((prev) => ({ ...prev, [orderId]: '' }));
+            setTrackingNumbers((prev) => ({ ...prev, [orderId]: '' }));
             loadData(pagination.page, true);
         } catch (error) {
             notify.error(error, 'Failed to update order status');
@@ -124,6 +162,7 @@ const OrdersList = () => {
             { label: 'Revenue', value: formatCurrency(summary.totalRevenue, settings), tone: 'border-primary-200 bg-primary-50 text-primary-800' },
             { label: 'New', value: summary.newOrders || 0, tone: 'border-amber-200 bg-amber-50 text-amber-800' },
             { label: 'Processing', value: summary.processingOrders || 0, tone: 'border-violet-200 bg-violet-50 text-violet-800' },
+            { label: 'Shipped', value: summary.shippedOrders || 0, tone: 'border-sky-200 bg-sky-50 text-sky-800' },
             { label: 'Delivered', value: summary.deliveredOrders || 0, tone: 'border-emerald-200 bg-emerald-50 text-emerald-800' },
             { label: 'Cancelled', value: summary.cancelledOrders || 0, tone: 'border-rose-200 bg-rose-50 text-rose-800' },
         ],
@@ -151,7 +190,7 @@ const OrdersList = () => {
                 )}
             />
 
-            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 xl:grid-cols-6">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 xl:grid-cols-7">
                 {metrics.map((item) => (
                     <div key={item.label} className={`rounded-2xl border p-4 shadow-sm ${item.tone}`}>
                         <p className="text-xs uppercase tracking-widest">{item.label}</p>
@@ -205,7 +244,7 @@ const OrdersList = () => {
                     >
                         <option value="">All Payment</option>
                         {PAYMENT_STATUSES.map((status) => (
-                            <option key={status} value={status}>{status}</option>
+                            <option key={status} value={status}>{status.replace('_', ' ')}</option>
                         ))}
                     </select>
 
@@ -245,7 +284,8 @@ const OrdersList = () => {
                         </thead>
                         <tbody>
                             {orders.map((order) => (
-                                <tr key={order._id} className="border-b border-slate-100">
+                                <React.Fragment key={order._id}>
+                                <tr className="border-b border-slate-100">
                                     <td className="py-3 pr-3 font-semibold text-slate-900">
                                         {order.orderNumber}
                                     </td>
@@ -255,14 +295,15 @@ const OrdersList = () => {
                                     </td>
                                     <td className="py-3 pr-3 font-semibold text-slate-900">
                                         {formatCurrency(order.totalAmount, settings)}
+                                        {order.shippingMethod?.name && (
+                                            <p className="text-xs font-normal text-slate-500">
+                                                {order.shippingMethod.name} · {formatCurrency(order.shippingCost, settings)}
+                                            </p>
+                                        )}
                                     </td>
                                     <td className="py-3 pr-3">
-                                        <span className={`rounded-full px-3 py-1 text-xs font-semibold ${
-                                            order.paymentStatus === 'paid'
-                                                ? 'bg-emerald-100 text-emerald-800'
-                                                : 'bg-amber-100 text-amber-800'
-                                        }`}>
-                                            {order.paymentStatus}
+                                        <span className={`rounded-full px-3 py-1 text-xs font-semibold ${PAYMENT_BADGE[order.paymentStatus] || 'bg-amber-100 text-amber-800'}`}>
+                                            {String(order.paymentStatus || '').replace('_', ' ')}
                                         </span>
                                     </td>
                                     <td className="py-3 pr-3">
@@ -274,17 +315,71 @@ const OrdersList = () => {
                                         {new Date(order.createdAt).toLocaleString()}
                                     </td>
                                     <td className="py-3 pr-3 text-right">
-                                        <select
-                                            value={order.status}
-                                            onChange={(event) => handleStatusUpdate(order._id, event.target.value)}
-                                            className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
-                                        >
-                                            {ORDER_STATUSES.map((status) => (
-                                                <option key={status} value={status}>{status}</option>
-                                            ))}
-                                        </select>
+                                        <div className="flex items-center justify-end gap-2">
+                                            <select
+                                                value={order.status}
+                                                onChange={(event) => handleStatusUpdate(order._id, event.target.value)}
+                                                disabled={!canManageOrders || !(ORDER_STATUS_TRANSITIONS[order.status] || []).length}
+                                                className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200 disabled:cursor-not-allowed disabled:bg-slate-50"
+                                            >
+                                                {[order.status, ...(ORDER_STATUS_TRANSITIONS[order.status] || [])].map((status) => (
+                                                    <option key={status} value={status}>{status}</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                type="button"
+                                                onClick={() => setExpandedOrderId(expandedOrderId === order._id ? null : order._id)}
+                                                className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                                            >
+                                                {expandedOrderId === order._id ? 'Hide details' : 'Details'}
+                                            </button>
+                                        </div>
                                     </td>
                                 </tr>
+                                {expandedOrderId === order._id && (
+                                    <tr className="border-b border-slate-100 bg-slate-50/60">
+                                        <td colSpan="7" className="px-4 py-4">
+                                            <div className="grid grid-cols-1 gap-6 lg:grid-cols-[2fr_1fr_1fr]">
+                                                <OrderStatusTimeline history={order.statusHistory} createdAt={order.createdAt} showActorName />
+                                                {canRefund && <OrderRefundPanel order={order} settings={settings} onRefunded={() => loadData(pagination.page, true)} />}
+                                                {canManageOrders && (ORDER_STATUS_TRANSITIONS[order.status] || []).length > 0 ? (
+                                                    <div className="space-y-3">
+                                                        <label className="block text-xs font-semibold text-slate-600">
+                                                            Note for the next status change
+                                                            <textarea
+                                                                value={statusNotes[order._id] || ''}
+                                                                onChange={(event) => setStatusNotes((prev) => ({ ...prev, [order._id]: event.target.value }))}
+                                                                maxLength={500}
+                                                                rows={3}
+                                                                placeholder="e.g. Shipped with UPS, tracking 1Z..."
+                                                                className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2 text-sm font-normal text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                                                            />
+                                                        </label>
+                                                        {ORDER_STATUS_TRANSITIONS[order.status].includes('shipped') && (
+                                                            <label className="block text-xs font-semibold text-slate-600">
+                                                                Tracking number (emailed to the customer when shipped)
+                                                                <input
+                                                                    type="text"
+                                                                    value={trackingNumbers[order._id] || ''}
+                                                                    onChange={(event) => setTrackingNumbers((prev) => ({ ...prev, [order._id]: event.target.value }))}
+                                                                    maxLength={100}
+                                                                    placeholder="e.g. 1Z999AA10123456784"
+                                                                    className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2 text-sm font-normal text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                                                                />
+                                                            </label>
+                                                        )}
+                                                    </div>
+                                                ) : order.trackingNumber && (
+                                                    <p className="text-xs font-semibold text-slate-600">
+                                                        Tracking number
+                                                        <span className="mt-1 block font-mono text-sm font-normal text-slate-800">{order.trackingNumber}</span>
+                                                    </p>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                )}
+                                </React.Fragment>
                             ))}
                             {orders.length === 0 && (
                                 <tr>
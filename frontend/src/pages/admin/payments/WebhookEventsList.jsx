@@ -0,0 +1,325 @@
+import React, { useEffect, useState } from 'react';
+import notify from '../../../utils/notify';
+import { API_CONFIG } from '../../../constants';
+import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
+import authFetch from '../../../utils/authFetch.js';
+
+const EVENT_STATUSES = ['failed', 'processing', 'processed', 'ignored'];
+
+const EVENT_TYPES = [
+    'payment_intent.succeeded',
+    'payment_intent.payment_failed',
+    'charge.refunded',
+    'charge.dispute.created',
+    'charge.dispute.closed',
+];
+
+const EVENT_STATUS_STYLES = {
+    failed: 'bg-rose-100 text-rose-800',
+    processing: 'bg-amber-100 text-amber-800',
+    processed: 'bg-emerald-100 text-emerald-800',
+    ignored: 'bg-slate-100 text-slate-700',
+};
+
+const EVENTS_URL = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.PAYMENTS}/webhook-events`;
+
+const WebhookEventsList = () => {
+    const [events, setEvents] = useState([]);
+    const [counts, setCounts] = useState({});
+    const [pagination, setPagination] = useState({
+        page: 1,
+        limit: 20,
+        total: 0,
+        pages: 1,
+        hasPrev: false,
+        hasNext: false,
+    });
+    const [searchTerm, setSearchTerm] = useState('');
+    const [statusFilter, setStatusFilter] = useState('failed');
+    const [typeFilter, setTypeFilter] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    const [details, setDetails] = useState(null);
+    const [replayingId, setReplayingId] = useState(null);
+
+    const loadData = async (page = pagination.page, background = false) => {
+        try {
+            if (background) setIsRefreshing(true);
+            else setIsLoading(true);
+
+            const params = new URLSearchParams({
+                page: String(page),
+                limit: String(pagination.limit),
+            });
+            if (statusFilter) params.set('status', statusFilter);
+            if (typeFilter) params.set('type', typeFilter);
+            if (searchTerm.trim()) params.set('search', searchTerm.trim());
+
+            const response = await authFetch(`${EVENTS_URL}?${params}`);
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                throw new Error(data?.message || 'Failed to load webhook events');
+            }
+
+            setEvents(data?.data?.events || []);
+            setCounts(data?.data?.counts || {});
+            setPagination((prev) => ({
+                ...prev,
+                ...(data?.data?.pagination || {}),
+            }));
+        } catch (error) {
+            notify.error(error, 'Failed to load webhook events');
+        } finally {
+            setIsLoading(false);
+            setIsRefreshing(false);
+        }
+    };
+
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setPagination((prev) => ({ ...prev, page: 1 }));
+            loadData(1, true);
+        }, 350);
+
+        return () => clearTimeout(timer);
+    }, [searchTerm, statusFilter, typeFilter]);
+
+    const toggleExpanded = async (event) => {
+        if (expandedId === event._id) {
+            setExpandedId(null);
+            setDetails(null);
+            return;
+        }
+        setExpandedId(event._id);
+        setDetails(null);
+        try {
+            const response = await authFetch(`${EVENTS_URL}/${event._id}`);
+            const data = await response.json();
+            if (!response.ok || !data?.success) {
+                throw new Error(data?.message || 'Failed to load webhook event');
+            }
+            setDetails(data.data);
+        } catch (error) {
+            notify.error(error, 'Failed to load webhook event');
+        }
+    };
+
+    const handleReplay = async (event) => {
+        try {
+            setReplayingId(event._id);
+            const response = await authFetch(`${EVENTS_URL}/${event._id}/replay`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                notify.error(data, 'Failed to replay webhook event');
+                return;
+            }
+
+            if (data.data?.status === 'failed') {
+                notify.error(data.data.lastError || data.message, 'Replay failed again');
+            } else {
+                notify.success(data.message || 'Webhook event replayed');
+            }
+            if (expandedId === event._id) setDetails(data.data);
+            loadData(pagination.page, true);
+        } catch (error) {
+            notify.error(error, 'Failed to replay webhook event');
+        } finally {
+            setReplayingId(null);
+        }
+    };
+
+    if (isLoading) {
+        return <AdminLoadingState title="Loading webhook events..." subtitle="Preparing the payment event log" />;
+    }
+
+    const statusTabs = [{ value: '', label: 'All', count: EVENT_STATUSES.reduce((sum, status) => sum + (counts[status] || 0), 0) }]
+        .concat(EVENT_STATUSES.map((status) => ({ value: status, label: status.charAt(0).toUpperCase() + status.slice(1), count: counts[status] || 0 })));
+
+    return (
+        <div className="space-y-8">
+            <AdminPageHeader
+                eyebrow="Payments"
+                title="Webhook Events"
+                subtitle="Every Stripe event the store received, how it was applied, and a replay for the ones that failed."
+                actions={(
+                    <button
+                        type="button"
+                        onClick={() => loadData(pagination.page, true)}
+                        className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold text-white transition hover:bg-white/20"
+                    >
+                        {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                )}
+            />
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="flex flex-wrap gap-2">
+                    {statusTabs.map((tab) => (
+                        <button
+                            key={tab.value || 'all'}
+                            type="button"
+                            onClick={() => setStatusFilter(tab.value)}
+                            className={`rounded-xl px-4 py-2 text-sm font-semibold transition ${
+                                statusFilter === tab.value
+                                    ? 'bg-slate-900 text-white'
+                                    : 'border border-slate-300 text-slate-700 hover:bg-slate-100'
+                            }`}
+                        >
+                            {tab.label} <span className="ml-1 opacity-70">{tab.count}</span>
+                        </button>
+                    ))}
+                </div>
+                <div className="mt-4 grid grid-cols-1 gap-3 md:grid-cols-[1fr_280px]">
+                    <input
+                        type="text"
+                        value={searchTerm}
+                        onChange={(event) => setSearchTerm(event.target.value)}
+                        placeholder="Search by Stripe event id (evt_...)"
+                        className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    />
+                    <select
+                        value={typeFilter}
+                        onChange={(event) => setTypeFilter(event.target.value)}
+                        className="rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    >
+                        <option value="">All event types</option>
+                        {EVENT_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                </div>
+            </AdminSurface>
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="overflow-x-auto">
+                    <table className="w-full min-w-[900px] text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-600">
+                                <th className="py-3 pr-3">Event</th>
+                                <th className="py-3 pr-3">Type</th>
+                                <th className="py-3 pr-3">Status</th>
+                                <th className="py-3 pr-3">Outcome</th>
+                                <th className="py-3 pr-3">Received</th>
+                                <th className="py-3 pr-3 text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {events.map((event) => (
+                                <React.Fragment key={event._id}>
+                                <tr className="border-b border-slate-100">
+                                    <td className="py-3 pr-3 font-mono text-xs text-slate-900">{event.eventId}</td>
+                                    <td className="py-3 pr-3 text-slate-700">{event.type}</td>
+                                    <td className="py-3 pr-3">
+                                        <span className={`rounded-full px-3 py-1 text-xs font-semibold ${EVENT_STATUS_STYLES[event.status] || 'bg-slate-100 text-slate-700'}`}>
+                                            {event.status}
+                                        </span>
+                                        <p className="mt-1 text-xs text-slate-500">
+                                            {event.attempts} attempt{event.attempts === 1 ? '' : 's'}
+                                        </p>
+                                    </td>
+                                    <td className="max-w-xs py-3 pr-3 text-slate-700">
+                                        <p className={`line-clamp-2 ${event.lastError ? 'text-rose-700' : ''}`}>
+                                            {event.lastError || event.note || '—'}
+                                        </p>
+                                    </td>
+                                    <td className="py-3 pr-3 text-slate-700">
+                                        {new Date(event.createdAt).toLocaleString()}
+                                    </td>
+                                    <td className="space-x-2 whitespace-nowrap py-3 pr-3 text-right">
+                                        {event.status === 'failed' && (
+                                            <button
+                                                type="button"
+                                                onClick={() => handleReplay(event)}
+                                                disabled={replayingId === event._id}
+                                                className="rounded-lg bg-slate-900 px-3 py-1.5 text-xs font-semibold text-white transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-50"
+                                            >
+                                                {replayingId === event._id ? 'Replaying...' : 'Replay'}
+                                            </button>
+                                        )}
+                                        <button
+                                            type="button"
+                                            onClick={() => toggleExpanded(event)}
+                                            className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                                        >
+                                            {expandedId === event._id ? 'Close' : 'Payload'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {expandedId === event._id && (
+                                    <tr className="border-b border-slate-100 bg-slate-50/60">
+                                        <td colSpan="6" className="px-4 py-4">
+                                            {details ? (
+                                                <div className="space-y-2 text-xs text-slate-600">
+                                                    <p>
+                                                        {details.orderId ? `Order ${details.orderId}` : 'No matching order'}
+                                                        {details.processedAt ? ` · processed ${new Date(details.processedAt).toLocaleString()}` : ''}
+                                                        {details.stripeCreatedAt ? ` · sent by Stripe ${new Date(details.stripeCreatedAt).toLocaleString()}` : ''}
+                                                    </p>
+                                                    <pre className="max-h-96 overflow-auto rounded-xl bg-slate-900 p-4 font-mono text-xs text-slate-100">
+                                                        {JSON.stringify(details.payload, null, 2)}
+                                                    </pre>
+                                                </div>
+                                            ) : (
+                                                <p className="text-xs text-slate-500">Loading payload...</p>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                                </React.Fragment>
+                            ))}
+                            {events.length === 0 && (
+                                <tr>
+                                    <td colSpan="6" className="py-10 text-center text-slate-500">
+                                        No webhook events found for the selected filters.
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="mt-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                    <p className="text-sm text-slate-600">
+                        Showing {events.length ? (pagination.page - 1) * pagination.limit + 1 : 0} to{' '}
+                        {Math.min(pagination.page * pagination.limit, pagination.total || 0)} of {pagination.total || 0} events
+                    </p>
+
+                    <div className="flex items-center gap-2">
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const prevPage = pagination.page - 1;
+                                setPagination((prev) => ({ ...prev, page: prevPage }));
+                                loadData(prevPage, true);
+                            }}
+                            disabled={!pagination.hasPrev}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <span className="text-sm font-semibold text-slate-700">
+                            Page {pagination.page || 1} of {pagination.pages || 1}
+                        </span>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const nextPage = pagination.page + 1;
+                                setPagination((prev) => ({ ...prev, page: nextPage }));
+                                loadData(nextPage, true);
+                            }}
+                            disabled={!pagination.hasNext}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+            </AdminSurface>
+        </div>
+    );
+};
+
+export default WebhookEventsList;
@@ -0,0 +1,3 @@
+export * from './WebhookEventsList.jsx';
+
+export { default as WebhookEventsList } from './WebhookEventsList.jsx';
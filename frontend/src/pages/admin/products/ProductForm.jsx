@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { API_CONFIG } from '../../../constants';
+import { API_CONFIG, INVENTORY_POLICIES, TAX_CLASSES } from '../../../constants';
 import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
@@ -18,6 +18,11 @@ const schema = yup.object({
     description: yup.string().default(''),
     basePrice: yup.string().default(''),
     baseDiscount: yup.number().transform((v, orig) => (orig === '' ? 0 : v)).min(0).max(100).default(0),
+    weight: yup.number().typeError('Weight must be a number').transform((v, orig) => (orig === '' ? 0 : v)).min(0, 'Weight cannot be negative').default(0),
+    taxClass: yup.string().oneOf(TAX_CLASSES.map((item) => item.value)).default('standard'),
+    inventoryMode: yup.string().oneOf(INVENTORY_POLICIES.map((item) => item.value)).default('deny'),
+    expectedDate: yup.string().default(''),
+    oversellLimit: yup.number().typeError('Oversell limit must be a number').transform((v, orig) => (orig === '' ? null : v)).nullable().integer('Oversell limit must be a whole number').min(0, 'Oversell limit cannot be negative').default(null),
     categoryId: yup.string().required('Category is required').default(''),
     brandId: yup.string().required('Brand is required').default(''),
     condition: yup.string().default('new'),
@@ -194,6 +199,11 @@ const ProductForm = () => {
             description: '',
             basePrice: '',
             baseDiscount: 0,
+            weight: 0,
+            taxClass: 'standard',
+            inventoryMode: 'deny',
+            expectedDate: '',
+            oversellLimit: '',
             categoryId: '',
             brandId: '',
             condition: 'new',
@@ -206,6 +216,7 @@ const ProductForm = () => {
     const watchBasePrice = watch('basePrice');
     const watchStatus = watch('status');
     const watchIsFeatured = watch('isFeatured');
+    const watchInventoryMode = watch('inventoryMode');
 
     const [images, setImages] = useState([]);
     const [imagePreviews, setImagePreviews] = useState([]);
@@ -226,6 +237,7 @@ const ProductForm = () => {
     const [generatedVariants, setGeneratedVariants] = useState([]);
     const [variantImages, setVariantImages] = useState({});
     const [isFillingVariantData, setIsFillingVariantData] = useState(false);
+    const [stockLocations, setStockLocations] = useState([]);
 
     useEffect(() => {
         return () => {
@@ -244,6 +256,7 @@ const ProductForm = () => {
     useEffect(() => {
         loadSelectOptions();
         loadVariantTypes();
+        loadStockLocations();
         if (isEdit) {
             loadProduct();
         }
@@ -337,6 +350,16 @@ const ProductForm = () => {
         }
     };
 
+    const loadStockLocations = async () => {
+        try {
+            const res = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.STOCK_LOCATIONS}?status=active&limit=200`);
+            const data = await res.json();
+            if (data.success) setStockLocations(Array.isArray(data.data) ? data.data : []);
+        } catch (err) {
+            logger.error('Error loading stock locations:', err);
+        }
+    };
+
     const loadProduct = async () => {
         try {
             setIsLoading(true);
@@ -353,6 +376,11 @@ reset({
                     description: product.description || '',
                     basePrice: product.basePrice || '',
                     baseDiscount: product.baseDiscount || 0,
+                    weight: product.weight || 0,
+                    taxClass: product.taxClass || 'standard',
+                    inventoryMode: product.inventoryPolicy?.mode || 'deny',
+                    expectedDate: product.inventoryPolicy?.expectedDate ? String(product.inventoryPolicy.expectedDate).slice(0, 10) : '',
+                    oversellLimit: product.inventoryPolicy?.oversellLimit ?? '',
                     categoryId: product.category?.id || '',
                     brandId: product.brand?.id || '',
                     condition: product.condition || 'new',
@@ -706,11 +734,17 @@ reset({
 
             setUploadProgress({ current: 0, total: totalUploads, phase: isEdit ? 'Updating product...' : 'Creating product...' });
 
+            const { inventoryMode, expectedDate, oversellLimit, ...fields } = data;
             const formDataToSend = new FormData();
-            Object.keys(data).forEach((key) => {
-                formDataToSend.append(key, data[key]);
+            Object.keys(fields).forEach((key) => {
+                formDataToSend.append(key, fields[key]);
             });
             formDataToSend.append('hasVariants', hasVariants);
+            formDataToSend.append('inventoryPolicy', JSON.stringify({
+                mode: inventoryMode,
+                expectedDate: expectedDate || null,
+                oversellLimit: oversellLimit ?? null,
+            }));
 
             if (isEdit) {
                 formDataToSend.append('existingImages', JSON.stringify(existingImages));
@@ -727,6 +761,11 @@ reset({
                     status: v.status,
                     options: v.options || [],
                     images: Array.isArray(v.images) ? v.images : [],
+                    inventoryPolicy: {
+                        mode: v.inventoryPolicy?.mode || 'inherit',
+                        expectedDate: v.inventoryPolicy?.expectedDate || null,
+                        oversellLimit: v.inventoryPolicy?.oversellLimit ?? null,
+                    },
                 }));
                 formDataToSend.append('variants', JSON.stringify(variantsPayload));
             }
@@ -941,6 +980,65 @@ reset({
                                 />
                             </div>
 
+                            <div>
+                                <label className="mb-2 block text-sm font-semibold text-slate-700">Shipping Weight (kg)</label>
+                                <input
+                                    type="number"
+                                    {...register('weight')}
+                                    step="0.01"
+                                    min="0"
+                                    className={`w-full rounded-xl border px-4 py-3 text-slate-900 focus:border-cyan-400 focus:ring-2 focus:ring-cyan-200 ${errors.weight ? 'border-red-400 bg-red-50' : 'border-slate-300'}`}
+                                    placeholder="0.00"
+                                />
+                                {errors.weight && <p className="mt-1 text-sm text-red-600">{errors.weight?.message}</p>}
+                            </div>
+
+                            <div>
+                                <label className="mb-2 block text-sm font-semibold text-slate-700">Tax Class</label>
+                                <select
+                                    {...register('taxClass')}
+                                    className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-900 focus:border-cyan-400 focus:ring-2 focus:ring-cyan-200"
+                                >
+                                    {TAX_CLASSES.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+                                </select>
+                            </div>
+
+                            <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+                                <div>
+                                    <label className="mb-2 block text-sm font-semibold text-slate-700">When Out of Stock</label>
+                                    <select
+                                        {...register('inventoryMode')}
+                                        className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-900 focus:border-cyan-400 focus:ring-2 focus:ring-cyan-200"
+                                    >
+                                        {INVENTORY_POLICIES.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+                                    </select>
+                                </div>
+                                {watchInventoryMode !== 'deny' && (
+                                    <>
+                                        <div>
+                                            <label className="mb-2 block text-sm font-semibold text-slate-700">Expected Ship Date</label>
+                                            <input
+                                                type="date"
+                                                {...register('expectedDate')}
+                                                className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-900 focus:border-cyan-400 focus:ring-2 focus:ring-cyan-200"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="mb-2 block text-sm font-semibold text-slate-700">Oversell Limit</label>
+                                            <input
+                                                type="number"
+                                                {...register('oversellLimit')}
+                                                min="0"
+                                                step="1"
+                                                className={`w-full rounded-xl border px-4 py-3 text-slate-900 focus:border-cyan-400 focus:ring-2 focus:ring-cyan-200 ${errors.oversellLimit ? 'border-red-400 bg-red-50' : 'border-slate-300'}`}
+                                                placeholder="No limit"
+                                            />
+                                            {errors.oversellLimit && <p className="mt-1 text-sm text-red-600">{errors.oversellLimit?.message}</p>}
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+
                             {!hasVariants && (
                                 <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
                                     <div>
@@ -1363,6 +1461,26 @@ reset({
                                                         <input type="number" min="0" value={variant.stock}
                                                             onChange={e => updateVariantField(vi, 'stock', e.target.value)}
                                                             className="w-full rounded border border-slate-300 px-2 py-1.5 text-xs focus:ring-1 focus:ring-indigo-400" />
+                                                        {stockLocations.length > 0 && variant.locationStock?.length > 0 && (
+                                                            <p className="mt-1 text-[11px] leading-tight text-slate-500">
+                                                                {stockLocations
+                                                                    .map((location) => `${location.code} ${variant.locationStock.find((entry) => String(entry.locationId) === String(location._id))?.quantity || 0}`)
+                                                                    .join(' · ')}
+                                                            </p>
+                                                        )}
+                                                        <select value={variant.inventoryPolicy?.mode || 'inherit'}
+                                                            onChange={e => updateVariantField(vi, 'inventoryPolicy', { ...variant.inventoryPolicy, mode: e.target.value })}
+                                                            title="When this variant is out of stock"
+                                                            className="mt-1 w-full rounded border border-slate-300 px-1 py-1 text-[11px] focus:ring-1 focus:ring-indigo-400">
+                                                            <option value="inherit">Product default</option>
+                                                            {INVENTORY_POLICIES.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+                                                        </select>
+                                                        {['backorder', 'preorder'].includes(variant.inventoryPolicy?.mode) && (
+                                                            <input type="date" value={variant.inventoryPolicy?.expectedDate ? String(variant.inventoryPolicy.expectedDate).slice(0, 10) : ''}
+                                                                onChange={e => updateVariantField(vi, 'inventoryPolicy', { ...variant.inventoryPolicy, expectedDate: e.target.value || null })}
+                                                                title="Expected ship date"
+                                                                className="mt-1 w-full rounded border border-slate-300 px-1 py-1 text-[11px] focus:ring-1 focus:ring-indigo-400" />
+                                                        )}
                                                     </div>
                                                     {/* Images */}
                                                     <div className="mb-2 md:mb-0">
@@ -1407,6 +1525,11 @@ reset({
                                         <p className="mt-2 text-xs text-slate-400">
                                             Total stock: <strong>{generatedVariants.reduce((s, v) => s + (parseInt(v.stock) || 0), 0)}</strong> units
                                         </p>
+                                        {stockLocations.length > 0 && (
+                                            <p className="mt-1 text-xs text-slate-400">
+                                                Stock is kept per location. Units added here go to the default location; move stock between locations from the Inventory page.
+                                            </p>
+                                        )}
                                     </>
                                 )}
                             </div>
@@ -0,0 +1,427 @@
+import React, { useEffect, useState } from 'react';
+import notify from '../../../utils/notify';
+import { API_CONFIG, PERMISSIONS, RETURN_STATUS_LABELS } from '../../../constants';
+import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
+import authFetch from '../../../utils/authFetch.js';
+import { useSiteSettings } from '../../../context/useSiteSettings';
+import { formatCurrency } from '../../../utils/currency';
+import { OrderStatusTimeline } from '../../../components/orders';
+import { useAuthStore } from '../../../store/authStore';
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+const RETURN_STATUS_STYLES = {
+    requested: 'bg-amber-100 text-amber-800',
+    approved: 'bg-sky-100 text-sky-800',
+    rejected: 'bg-rose-100 text-rose-800',
+    received: 'bg-violet-100 text-violet-800',
+    refunded: 'bg-emerald-100 text-emerald-800',
+};
+
+const EMPTY_FORM = { note: '', rejectionReason: '', amount: '', restock: true };
+
+const ReturnsList = () => {
+    const { settings } = useSiteSettings();
+    const can = useAuthStore((state) => state.can);
+    const [returns, setReturns] = useState([]);
+    const [counts, setCounts] = useState({});
+    const [pagination, setPagination] = useState({
+        page: 1,
+        limit: 20,
+        total: 0,
+        pages: 1,
+        hasPrev: false,
+        hasNext: false,
+    });
+    const [searchTerm, setSearchTerm] = useState('');
+    const [statusFilter, setStatusFilter] = useState('requested');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const loadData = async (page = pagination.page, background = false) => {
+        try {
+            if (background) setIsRefreshing(true);
+            else setIsLoading(true);
+
+            const params = new URLSearchParams({
+                page: String(page),
+                limit: String(pagination.limit),
+            });
+            if (statusFilter) params.set('status', statusFilter);
+            if (searchTerm.trim()) params.set('search', searchTerm.trim());
+
+            const response = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ORDERS}/admin/returns?${params}`);
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                throw new Error(data?.message || 'Failed to load return requests');
+            }
+
+            setReturns(data?.data?.returnRequests || []);
+            setCounts(data?.data?.counts || {});
+            setPagination((prev) => ({
+                ...prev,
+                ...(data?.data?.pagination || {}),
+            }));
+        } catch (error) {
+            notify.error(error, 'Failed to load return requests');
+        } finally {
+            setIsLoading(false);
+            setIsRefreshing(false);
+        }
+    };
+
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setPagination((prev) => ({ ...prev, page: 1 }));
+            loadData(1, true);
+        }, 350);
+
+        return () => clearTimeout(timer);
+    }, [searchTerm, statusFilter]);
+
+    const toggleExpanded = (request) => {
+        setExpandedId(expandedId === request._id ? null : request._id);
+        setForm(EMPTY_FORM);
+    };
+
+    const handleUpdate = async (request, status) => {
+        if (
+            status === 'refunded'
+            && !window.confirm(`Refund ${form.amount ? formatCurrency(form.amount, settings) : 'the returned items'} for order ${request.orderNumber}?`)
+        ) {
+            return;
+        }
+        try {
+            setIsSubmitting(true);
+            const response = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.ORDERS}/${request.orderId}/returns/${request._id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    status,
+                    ...(form.note.trim() && { note: form.note.trim() }),
+                    ...(status === 'rejected' && { rejectionReason: form.rejectionReason.trim() }),
+                    ...(status === 'received' && { restock: form.restock }),
+                    ...(status === 'refunded' && form.amount !== '' && { amount: Number(form.amount) }),
+                }),
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data?.success) {
+                notify.error(data, 'Failed to update return request');
+                return;
+            }
+
+            notify.success(data.message || 'Return request updated');
+            setExpandedId(null);
+            setForm(EMPTY_FORM);
+            loadData(pagination.page, true);
+        } catch (error) {
+            notify.error(error, 'Failed to update return request');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    if (isLoading) {
+        return <AdminLoadingState title="Loading returns..." subtitle="Preparing the returns workspace" />;
+    }
+
+    const statusTabs = [{ value: '', label: 'All', count: RETURN_STATUSES.reduce((sum, status) => sum + (counts[status] || 0), 0) }]
+        .concat(RETURN_STATUSES.map((status) => ({ value: status, label: RETURN_STATUS_LABELS[status], count: counts[status] || 0 })));
+
+    return (
+        <div className="space-y-8">
+            <AdminPageHeader
+                eyebrow="Order Studio"
+                title="Returns"
+                subtitle="Review return requests, receive returned items back into stock and issue refunds."
+                actions={(
+                    <button
+                        type="button"
+                        onClick={() => loadData(pagination.page, true)}
+                        className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold text-white transition hover:bg-white/20"
+                    >
+                        {isRefreshing ? 'Refreshing...' : 'Refresh'}
+                    </button>
+                )}
+            />
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="flex flex-wrap gap-2">
+                    {statusTabs.map((tab) => (
+                        <button
+                            key={tab.value || 'all'}
+                            type="button"
+                            onClick={() => setStatusFilter(tab.value)}
+                            className={`rounded-xl px-4 py-2 text-sm font-semibold transition ${
+                                statusFilter === tab.value
+                                    ? 'bg-slate-900 text-white'
+                                    : 'border border-slate-300 text-slate-700 hover:bg-slate-100'
+                            }`}
+                        >
+                            {tab.label} <span className="ml-1 opacity-70">{tab.count}</span>
+                        </button>
+                    ))}
+                </div>
+                <input
+                    type="text"
+                    value={searchTerm}
+                    onChange={(event) => setSearchTerm(event.target.value)}
+                    placeholder="Search order number, customer email, customer name..."
+                    className="mt-4 w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                />
+            </AdminSurface>
+
+            <AdminSurface className="p-4 sm:p-5">
+                <div className="overflow-x-auto">
+                    <table className="w-full min-w-[1000px] text-sm">
+                        <thead>
+                            <tr className="border-b border-slate-200 text-left text-slate-600">
+                                <th className="py-3 pr-3">Order</th>
+                                <th className="py-3 pr-3">Customer</th>
+                                <th className="py-3 pr-3">Items</th>
+                                <th className="py-3 pr-3">Reason</th>
+                                <th className="py-3 pr-3">Status</th>
+                                <th className="py-3 pr-3">Requested</th>
+                                <th className="py-3 pr-3 text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {returns.map((request) => (
+                                <React.Fragment key={request._id}>
+                                <tr className="border-b border-slate-100">
+                                    <td className="py-3 pr-3 font-semibold text-slate-900">
+                                        {request.orderNumber}
+                                        <p className="text-xs font-normal text-slate-500">
+                                            {formatCurrency(request.totalAmount, settings)} · {request.paymentMethod} · {request.paymentStatus}
+                                        </p>
+                                    </td>
+                                    <td className="py-3 pr-3 text-slate-700">
+                                        <p className="font-medium">{request.customer?.name}</p>
+                                        <p className="text-xs text-slate-500">{request.customer?.email}</p>
+                                    </td>
+                                    <td className="py-3 pr-3 text-slate-700">
+                                        {(request.items || []).map((item) => (
+                                            <p key={`${item.productId}-${item.variantId || ''}`} className="text-xs">
+                                                {item.title || 'Item'} × {item.quantity}
+                                            </p>
+                                        ))}
+                                    </td>
+                                    <td className="max-w-xs py-3 pr-3 text-slate-700">
+                                        <p className="line-clamp-2">{request.reason}</p>
+                                    </td>
+                                    <td className="py-3 pr-3">
+                                        <span className={`rounded-full px-3 py-1 text-xs font-semibold ${RETURN_STATUS_STYLES[request.status] || 'bg-slate-100 text-slate-700'}`}>
+                                            {RETURN_STATUS_LABELS[request.status] || request.status}
+                                        </span>
+                                        {request.refundAmount != null && (
+                                            <p className="mt-1 text-xs text-slate-500">{formatCurrency(request.refundAmount, settings)} refunded</p>
+                                        )}
+                                    </td>
+                                    <td className="py-3 pr-3 text-slate-700">
+                                        {new Date(request.requestedAt).toLocaleString()}
+                                    </td>
+                                    <td className="py-3 pr-3 text-right">
+                                        <button
+                                            type="button"
+                                            onClick={() => toggleExpanded(request)}
+                                            className="rounded-lg border border-slate-300 px-3 py-1.5 text-xs font-semibold text-slate-700 transition hover:bg-slate-100"
+                                        >
+                                            {expandedId === request._id ? 'Close' : 'Review'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {expandedId === request._id && (
+                                    <tr className="border-b border-slate-100 bg-slate-50/60">
+                                        <td colSpan="7" className="px-4 py-4">
+                                            <div className="grid grid-cols-1 gap-6 lg:grid-cols-[1fr_1fr]">
+                                                <div className="space-y-4">
+                                                    {request.notes && (
+                                                        <p className="text-sm text-slate-700">
+                                                            <span className="font-semibold">Customer notes:</span> {request.notes}
+                                                        </p>
+                                                    )}
+                                                    <OrderStatusTimeline
+                                                        history={request.history}
+                                                        createdAt={request.requestedAt}
+                                                        labels={RETURN_STATUS_LABELS}
+                                                        initialStatus="requested"
+                                                        showActorName
+                                                    />
+                                                </div>
+                                                <ReturnActions
+                                                    request={request}
+                                                    canManage={can(PERMISSIONS.ORDERS_MANAGE)}
+                                                    canRefund={can(PERMISSIONS.ORDERS_REFUND)}
+                                                    form={form}
+                                                    setForm={setForm}
+                                                    settings={settings}
+                                                    isSubmitting={isSubmitting}
+                                                    onUpdate={(status) => handleUpdate(request, status)}
+                                                />
+                                            </div>
+                                        </td>
+                                    </tr>
+                                )}
+                                </React.Fragment>
+                            ))}
+                            {returns.length === 0 && (
+                                <tr>
+                                    <td colSpan="7" className="py-10 text-center text-slate-500">
+                                        No return requests found for the selected filters.
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="mt-4 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                    <p className="text-sm text-slate-600">
+                        Showing {returns.length ? (pagination.page - 1) * pagination.limit + 1 : 0} to{' '}
+                        {Math.min(pagination.page * pagination.limit, pagination.total || 0)} of {pagination.total || 0} returns
+                    </p>
+
+                    <div className="flex items-center gap-2">
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const prevPage = pagination.page - 1;
+                                setPagination((prev) => ({ ...prev, page: prevPage }));
+                                loadData(prevPage, true);
+                            }}
+                            disabled={!pagination.hasPrev}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <span className="text-sm font-semibold text-slate-700">
+                            Page {pagination.page || 1} of {pagination.pages || 1}
+                        </span>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                const nextPage = pagination.page + 1;
+                                setPagination((prev) => ({ ...prev, page: nextPage }));
+                                loadData(nextPage, true);
+                            }}
+                            disabled={!pagination.hasNext}
+                            className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+            </AdminSurface>
+        </div>
+    );
+};
+
+const inputClass = 'mt-1 w-full rounded-lg border border-slate-300 px-3 py-2 text-sm font-normal text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200';
+const buttonClass = 'rounded-lg px-4 py-2 text-xs font-semibold transition disabled:cursor-not-allowed disabled:opacity-50';
+
+const ReturnActions = ({ request, canManage, canRefund, form, setForm, settings, isSubmitting, onUpdate }) => {
+    const canReject = request.status === 'requested' || request.status === 'approved';
+
+    if (!canManage || !['requested', 'approved', 'received'].includes(request.status)) {
+        return (
+            <div className="text-sm text-slate-600">
+                {request.status === 'rejected' && request.rejectionReason && (
+                    <p><span className="font-semibold">Rejection reason:</span> {request.rejectionReason}</p>
+                )}
+                {request.status === 'refunded' && (
+                    <p>Refunded {formatCurrency(request.refundAmount, settings)}{request.refundId ? ` (${request.refundId})` : ''}.</p>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-3">
+            <label className="block text-xs font-semibold text-slate-600">
+                Note for the customer timeline
+                <textarea
+                    value={form.note}
+                    onChange={(event) => setForm((prev) => ({ ...prev, note: event.target.value }))}
+                    maxLength={500}
+                    rows={2}
+                    className={inputClass}
+                />
+            </label>
+
+            {request.status === 'received' && canRefund && (
+                <label className="block text-xs font-semibold text-slate-600">
+                    Refund amount (up to {formatCurrency(request.refundableAmount, settings)})
+                    <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        max={request.refundableAmount}
+                        value={form.amount}
+                        onChange={(event) => setForm((prev) => ({ ...prev, amount: event.target.value }))}
+                        placeholder="Leave empty to refund the returned items"
+                        className={inputClass}
+                    />
+                </label>
+            )}
+
+            {request.status === 'approved' && (
+                <label className="flex items-center gap-2 text-xs font-semibold text-slate-600">
+                    <input
+                        type="checkbox"
+                        checked={form.restock}
+                        onChange={(event) => setForm((prev) => ({ ...prev, restock: event.target.checked }))}
+                    />
+                    Put the returned quantities back into stock
+                </label>
+            )}
+
+            {canReject && (
+                <label className="block text-xs font-semibold text-slate-600">
+                    Rejection reason (required to reject)
+                    <input
+                        type="text"
+                        value={form.rejectionReason}
+                        onChange={(event) => setForm((prev) => ({ ...prev, rejectionReason: event.target.value }))}
+                        maxLength={500}
+                        className={inputClass}
+                    />
+                </label>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+                {request.status === 'requested' && (
+                    <button type="button" disabled={isSubmitting} onClick={() => onUpdate('approved')} className={`${buttonClass} bg-sky-600 text-white hover:bg-sky-700`}>
+                        Approve
+                    </button>
+                )}
+                {request.status === 'approved' && (
+                    <button type="button" disabled={isSubmitting} onClick={() => onUpdate('received')} className={`${buttonClass} bg-violet-600 text-white hover:bg-violet-700`}>
+                        Mark Received
+                    </button>
+                )}
+                {request.status === 'received' && canRefund && (
+                    <button type="button" disabled={isSubmitting} onClick={() => onUpdate('refunded')} className={`${buttonClass} bg-emerald-600 text-white hover:bg-emerald-700`}>
+                        Issue Refund
+                    </button>
+                )}
+                {canReject && (
+                    <button
+                        type="button"
+                        disabled={isSubmitting || form.rejectionReason.trim().length < 3}
+                        onClick={() => onUpdate('rejected')}
+                        className={`${buttonClass} border border-rose-300 text-rose-700 hover:bg-rose-50`}
+                    >
+                        Reject
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ReturnsList;
@@ -0,0 +1,3 @@
+export * from './ReturnsList.jsx';
+
+export { default as ReturnsList } from './ReturnsList.jsx';
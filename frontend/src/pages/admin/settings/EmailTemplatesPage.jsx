@@ -0,0 +1,321 @@
+import React, { useEffect, useState } from 'react';
+import notify, { getErrorMessage } from '../../../utils/notify';
+import emailTemplateService from '../../../services/emailTemplateService';
+import orderService from '../../../services/orderService';
+import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
+import SettingsTabs from './SettingsTabs.jsx';
+
+const PREVIEW_DELAY_MS = 400;
+const EMPTY_DRAFT = { subject: '', html: '', text: '' };
+
+const inputClass = 'w-full rounded-xl border border-slate-300 px-4 py-3 text-sm text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200';
+
+const toDraft = (template) => ({
+    subject: template?.subject || '',
+    html: template?.html || '',
+    text: template?.text || '',
+});
+
+// Edits the stored transactional email templates. The preview renders the
+// unsaved draft against a real recent order, so admins see exactly what a
+// customer would receive before saving.
+const EmailTemplatesPage = () => {
+    const [templates, setTemplates] = useState([]);
+    const [selectedKey, setSelectedKey] = useState('');
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [orders, setOrders] = useState([]);
+    const [orderId, setOrderId] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [previewError, setPreviewError] = useState('');
+    const [testAddress, setTestAddress] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isSendingTest, setIsSendingTest] = useState(false);
+
+    const selected = templates.find((template) => template.key === selectedKey) || null;
+    const isDirty = Boolean(selected) && ['subject', 'html', 'text'].some((field) => draft[field] !== (selected[field] || ''));
+
+    useEffect(() => {
+        const load = async () => {
+            try {
+                const [templatesResponse, ordersResponse] = await Promise.all([
+                    emailTemplateService.getTemplates(),
+                    orderService.getAdminAll({ limit: 10 }).catch(() => null),
+                ]);
+                const list = templatesResponse?.data?.data ?? [];
+                setTemplates(list);
+                setOrders(ordersResponse?.data?.data?.orders || []);
+                if (list.length > 0) {
+                    setSelectedKey(list[0].key);
+                    setDraft(toDraft(list[0]));
+                }
+            } catch (error) {
+                notify.error(error, 'Failed to load email templates');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        load();
+    }, []);
+
+    useEffect(() => {
+        if (!selectedKey) return undefined;
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const response = await emailTemplateService.previewTemplate(selectedKey, {
+                    ...draft,
+                    ...(orderId ? { orderId } : {}),
+                });
+                if (cancelled) return;
+                setPreview(response?.data?.data || null);
+                setPreviewError('');
+            } catch (error) {
+                if (!cancelled) setPreviewError(getErrorMessage(error, 'Failed to render the preview'));
+            }
+        }, PREVIEW_DELAY_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [selectedKey, draft, orderId]);
+
+    const selectTemplate = (template) => {
+        if (isDirty && !window.confirm('Discard your unsaved changes to this template?')) return;
+        setSelectedKey(template.key);
+        setDraft(toDraft(template));
+        setPreview(null);
+    };
+
+    const replaceTemplate = (updated) => {
+        setTemplates((current) => current.map((template) => (template.key === updated.key ? updated : template)));
+        setDraft(toDraft(updated));
+    };
+
+    const handleSave = async () => {
+        try {
+            setIsSaving(true);
+            const response = await emailTemplateService.updateTemplate(selectedKey, draft);
+            replaceTemplate(response.data.data);
+            notify.success('Email template saved');
+        } catch (error) {
+            notify.error(error, 'Failed to save the email template');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm(`Reset "${selected.name}" to the built-in template? Your edits will be lost.`)) return;
+        try {
+            setIsSaving(true);
+            const response = await emailTemplateService.resetTemplate(selectedKey);
+            replaceTemplate(response.data.data);
+            notify.success('Email template reset to default');
+        } catch (error) {
+            notify.error(error, 'Failed to reset the email template');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSendTest = async () => {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(testAddress)) {
+            notify.error('Enter a valid email address to send the test to');
+            return;
+        }
+        try {
+            setIsSendingTest(true);
+            await emailTemplateService.sendTestEmail(selectedKey, {
+                to: testAddress,
+                ...draft,
+                ...(orderId ? { orderId } : {}),
+            });
+            notify.success(`Test email sent to ${testAddress}`);
+        } catch (error) {
+            notify.error(error, 'Failed to send the test email');
+        } finally {
+            setIsSendingTest(false);
+        }
+    };
+
+    if (isLoading) {
+        return <AdminLoadingState title="Loading email templates..." subtitle="Fetching the customer notifications" />;
+    }
+
+    return (
+        <div className="space-y-8">
+            <AdminPageHeader
+                eyebrow="Settings"
+                title="Email Templates"
+                subtitle="Customise the emails customers receive for orders, returns and restocks."
+            />
+
+            <SettingsTabs />
+
+            <div className="grid grid-cols-1 gap-6 xl:grid-cols-[260px_1fr]">
+                <AdminSurface className="p-3">
+                    <ul className="space-y-1">
+                        {templates.map((template) => (
+                            <li key={template.key}>
+                                <button
+                                    type="button"
+                                    onClick={() => selectTemplate(template)}
+                                    className={`w-full rounded-xl px-3 py-2 text-left transition ${template.key === selectedKey ? 'bg-slate-900 text-white' : 'text-slate-700 hover:bg-slate-100'}`}
+                                >
+                                    <span className="block text-sm font-semibold">{template.name}</span>
+                                    <span className={`block text-xs ${template.key === selectedKey ? 'text-slate-300' : 'text-slate-500'}`}>
+                                        {template.isCustomized ? 'Customised' : 'Default'}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </AdminSurface>
+
+                {selected && (
+                    <div className="grid grid-cols-1 gap-6 2xl:grid-cols-2">
+                        <AdminSurface className="space-y-4">
+                            <div>
+                                <h2 className="text-lg font-bold text-slate-900">{selected.name}</h2>
+                                <p className="text-sm text-slate-500">{selected.description}</p>
+                            </div>
+
+                            <label className="block text-sm font-semibold text-slate-700">
+                                Subject
+                                <input
+                                    value={draft.subject}
+                                    onChange={(event) => setDraft({ ...draft, subject: event.target.value })}
+                                    maxLength={200}
+                                    className={`mt-2 ${inputClass}`}
+                                />
+                            </label>
+
+                            <label className="block text-sm font-semibold text-slate-700">
+                                HTML body
+                                <textarea
+                                    value={draft.html}
+                                    onChange={(event) => setDraft({ ...draft, html: event.target.value })}
+                                    rows={12}
+                                    spellCheck={false}
+                                    className={`mt-2 font-mono ${inputClass}`}
+                                />
+                            </label>
+
+                            <label className="block text-sm font-semibold text-slate-700">
+                                Plain-text version
+                                <span className="ml-2 font-normal text-slate-500">Leave empty to generate it from the HTML</span>
+                                <textarea
+                                    value={draft.text}
+                                    onChange={(event) => setDraft({ ...draft, text: event.target.value })}
+                                    rows={5}
+                                    spellCheck={false}
+                                    className={`mt-2 font-mono ${inputClass}`}
+                                />
+                            </label>
+
+                            <div>
+                                <p className="text-sm font-semibold text-slate-700">Placeholders</p>
+                                <p className="mt-1 text-xs text-slate-500">
+                                    Values are HTML-escaped. Wrap content in {'{{#name}}…{{/name}}'} to show it only when a value is set, or {'{{^name}}…{{/name}}'} when it is not.
+                                </p>
+                                <div className="mt-2 flex flex-wrap gap-2">
+                                    {selected.variables.map((name) => (
+                                        <code key={name} className="rounded-lg bg-slate-100 px-2 py-1 text-xs text-slate-700">{`{{${name}}}`}</code>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="flex flex-wrap gap-3">
+                                <button
+                                    type="button"
+                                    onClick={handleSave}
+                                    disabled={isSaving || !isDirty}
+                                    className="rounded-xl bg-slate-900 px-5 py-3 text-sm font-semibold text-white transition hover:bg-slate-700 disabled:opacity-50"
+                                >
+                                    {isSaving ? 'Saving...' : 'Save template'}
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={handleReset}
+                                    disabled={isSaving || !selected.isCustomized}
+                                    className="rounded-xl border border-red-300 px-5 py-3 text-sm font-semibold text-red-600 transition hover:bg-red-50 disabled:opacity-50"
+                                >
+                                    Reset to default
+                                </button>
+                            </div>
+                        </AdminSurface>
+
+                        <AdminSurface className="space-y-4">
+                            <div className="flex flex-wrap items-end gap-3">
+                                <label className="flex-1 text-sm font-semibold text-slate-700">
+                                    Preview with order
+                                    <select
+                                        value={orderId}
+                                        onChange={(event) => setOrderId(event.target.value)}
+                                        className={`mt-2 ${inputClass}`}
+                                    >
+                                        <option value="">Most recent order</option>
+                                        {orders.map((order) => (
+                                            <option key={order._id} value={order._id}>
+                                                {order.orderNumber} · {[order.firstName, order.lastName].filter(Boolean).join(' ')}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+
+                            {previewError ? (
+                                <p className="rounded-xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">{previewError}</p>
+                            ) : null}
+
+                            {preview ? (
+                                <>
+                                    <p className="text-sm text-slate-600">
+                                        <span className="font-semibold text-slate-900">Subject:</span> {preview.subject}
+                                        {preview.order ? <span className="ml-2 text-xs text-slate-500">(order {preview.order.orderNumber})</span> : <span className="ml-2 text-xs text-slate-500">(sample data)</span>}
+                                    </p>
+                                    <iframe
+                                        title="Email preview"
+                                        sandbox=""
+                                        srcDoc={preview.html}
+                                        className="h-[480px] w-full rounded-xl border border-slate-200 bg-white"
+                                    />
+                                    <details className="rounded-xl border border-slate-200 p-3">
+                                        <summary className="cursor-pointer text-sm font-semibold text-slate-700">Plain-text version</summary>
+                                        <pre className="mt-3 whitespace-pre-wrap text-xs text-slate-700">{preview.text}</pre>
+                                    </details>
+                                </>
+                            ) : (
+                                <p className="text-sm text-slate-500">Rendering preview...</p>
+                            )}
+
+                            <div className="flex flex-wrap items-end gap-3 border-t border-slate-200 pt-4">
+                                <label className="flex-1 text-sm font-semibold text-slate-700">
+                                    Send a test to
+                                    <input
+                                        type="email"
+                                        value={testAddress}
+                                        onChange={(event) => setTestAddress(event.target.value)}
+                                        placeholder="you@example.com"
+                                        className={`mt-2 ${inputClass}`}
+                                    />
+                                </label>
+                                <button
+                                    type="button"
+                                    onClick={handleSendTest}
+                                    disabled={isSendingTest}
+                                    className="rounded-xl border border-slate-300 px-5 py-3 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-50"
+                                >
+                                    {isSendingTest ? 'Sending...' : 'Send test'}
+                                </button>
+                            </div>
+                        </AdminSurface>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default EmailTemplatesPage;
@@ -2,6 +2,7 @@ import React, { useEffect, useState, useCallback } from 'react';
 import notify from '../../../utils/notify';
 import settingsService from '../../../services/settingsService';
 import SavingOverlay from '../../../components/ui/SavingOverlay';
+import SettingsTabs from './SettingsTabs.jsx';
 
 const SECTIONS = [
   { key: 'product', label: 'Products', icon: '📦' },
@@ -124,6 +125,8 @@ const ImageSettingsPage = () => {
     <div className="space-y-6">
       {isSaving && <SavingOverlay />}
 
+      <SettingsTabs />
+
       {/* Header */}
       <div className="flex items-center justify-between">
         <div>
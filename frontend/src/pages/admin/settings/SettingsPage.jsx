@@ -7,6 +7,7 @@ import settingsService from '../../../services/settingsService';
 import { API_CONFIG } from '../../../constants';
 import { resolveImageUrl } from '../../../utils/imageUrl';
 import SavingOverlay from '../../../components/ui/SavingOverlay';
+import SettingsTabs from './SettingsTabs.jsx';
 
 const urlTest = (msg) => (v) => !v || /^https?:\/\/.+/i.test(v) || msg;
 const emailTest = (msg) => (v) => !v || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) || msg;
@@ -24,6 +25,9 @@ const schema = yup.object({
     currencySymbol: yup.string().default('$'),
     timezone: yup.string().default('UTC'),
     maintenanceMode: yup.boolean().default(false),
+    pricesIncludeTax: yup.boolean().default(false),
+    requireVerifiedEmailForOrders: yup.boolean().default(false),
+    requireAdminTwoFactor: yup.boolean().default(false),
     metaTitle: yup.string().default(''),
     metaDescription: yup.string().default(''),
     facebook: yup.string().test('url', 'Facebook URL must start with http:// or https://', urlTest('Facebook URL must start with http:// or https://')).default(''),
@@ -41,6 +45,12 @@ const schema = yup.object({
     stripeEnabled: yup.boolean().default(false),
     paypalClientId: yup.string().default(''),
     paypalClientSecret: yup.string().default(''),
+    googleOAuthEnabled: yup.boolean().default(false),
+    googleClientId: yup.string().default(''),
+    googleClientSecret: yup.string().default(''),
+    facebookOAuthEnabled: yup.boolean().default(false),
+    facebookAppId: yup.string().default(''),
+    facebookAppSecret: yup.string().default(''),
     logo: yup.mixed().nullable().default(null),
     favicon: yup.mixed().nullable().default(null),
 });
@@ -48,13 +58,20 @@ const schema = yup.object({
 const defaultValues = {
     siteName: '', siteTagline: '', siteUrl: '', websiteEmail: '', supportEmail: '',
     phone: '', whatsapp: '', address: '', currencyCode: 'USD', currencySymbol: '$',
-    timezone: 'UTC', maintenanceMode: false, metaTitle: '', metaDescription: '',
+    timezone: 'UTC', maintenanceMode: false, pricesIncludeTax: false, requireVerifiedEmailForOrders: false, requireAdminTwoFactor: false, metaTitle: '', metaDescription: '',
     facebook: '', instagram: '', twitter: '', youtube: '',
     smtpHost: '', smtpPort: 587, smtpUser: '', smtpPassword: '', smtpFrom: '',
     stripePublicKey: '', stripeSecretKey: '', stripeWebhookSecret: '', stripeEnabled: false, paypalClientId: '', paypalClientSecret: '',
+    googleOAuthEnabled: false, googleClientId: '', googleClientSecret: '', facebookOAuthEnabled: false, facebookAppId: '', facebookAppSecret: '',
     logo: null, favicon: null,
 };
 
+// Secrets are write-only: the API only reports whether one is stored.
+const OAUTH_PROVIDERS = [
+    { name: 'google', label: 'Google', enabled: 'googleOAuthEnabled', id: 'googleClientId', idLabel: 'Client ID', secret: 'googleClientSecret', secretLabel: 'Client Secret' },
+    { name: 'facebook', label: 'Facebook', enabled: 'facebookOAuthEnabled', id: 'facebookAppId', idLabel: 'App ID', secret: 'facebookAppSecret', secretLabel: 'App Secret' },
+];
+
 const SettingsPage = () => {
     const [isLoading, setIsLoading] = useState(true);
     const [isSaving, setIsSaving] = useState(false);
@@ -187,6 +204,8 @@ const SettingsPage = () => {
                 </div>
             </div>
 
+            <SettingsTabs />
+
             <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
                 <div className="rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
                     <p className="text-xs uppercase tracking-widest text-slate-500">Logo</p>
@@ -283,6 +302,27 @@ const SettingsPage = () => {
                                 Maintenance Mode
                             </label>
                         </div>
+                        <div className="md:col-span-2">
+                            <label className="inline-flex items-center gap-2 text-sm font-semibold text-slate-700">
+                                <input type="checkbox" {...register('pricesIncludeTax')} />
+                                Product prices include tax
+                            </label>
+                            <p className="mt-1 text-xs text-slate-500">When enabled, tax is shown as part of the price at checkout. Otherwise it is added on top of the order total.</p>
+                        </div>
+                        <div className="md:col-span-2">
+                            <label className="inline-flex items-center gap-2 text-sm font-semibold text-slate-700">
+                                <input type="checkbox" {...register('requireVerifiedEmailForOrders')} />
+                                Require a verified email to place orders
+                            </label>
+                            <p className="mt-1 text-xs text-slate-500">Customers with an account must confirm their email address before checking out. Guest checkout is not affected.</p>
+                        </div>
+                        <div className="md:col-span-2">
+                            <label className="inline-flex items-center gap-2 text-sm font-semibold text-slate-700">
+                                <input type="checkbox" {...register('requireAdminTwoFactor')} />
+                                Require two-factor authentication for staff
+                            </label>
+                            <p className="mt-1 text-xs text-slate-500">Staff accounts must enter an authenticator app code at sign-in. Anyone without one sets it up at their next sign-in.</p>
+                        </div>
                         <div className="md:col-span-2">
                             <label className="mb-2 block text-sm font-semibold text-slate-700">Meta Title</label>
                             <input className="w-full rounded-xl border border-slate-300 px-4 py-3" {...register('metaTitle')} />
@@ -322,7 +362,7 @@ const SettingsPage = () => {
 
                 <div className="rounded-3xl border border-slate-200 bg-white p-6 shadow-sm">
                     <h2 className="mb-1 text-xl font-black text-slate-900">Credentials</h2>
-                    <p className="mb-6 text-sm text-slate-500">SMTP and payment gateway configuration. Changes take effect immediately.</p>
+                    <p className="mb-6 text-sm text-slate-500">SMTP, payment gateway and social sign-in configuration. Changes take effect immediately.</p>
 
                     <div className="mb-6 rounded-2xl border border-primary-100 bg-primary-50/40 p-5">
                         <div className="mb-4 flex items-center gap-2">
@@ -488,6 +528,47 @@ const SettingsPage = () => {
                             </div>
                         </div>
                     </div>
+
+                    <div className="mt-6 rounded-2xl border border-slate-100 bg-slate-50/40 p-5">
+                        <div className="mb-1 flex items-center gap-2">
+                            <svg className="h-5 w-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 16l-4-4m0 0l4-4m-4 4h14m-5 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h7a3 3 0 013 3v1" />
+                            </svg>
+                            <h3 className="text-base font-bold text-slate-800">Social Sign-in</h3>
+                        </div>
+                        <p className="mb-4 text-sm text-slate-500">Let customers sign in with Google or Facebook. Empty credentials fall back to the server&apos;s environment variables.</p>
+
+                        <div className="space-y-4">
+                            {OAUTH_PROVIDERS.map((provider) => (
+                                <div key={provider.name} className="rounded-xl border border-slate-200 bg-white p-4">
+                                    <label className="mb-3 inline-flex items-center gap-2 text-sm font-bold text-slate-800">
+                                        <input type="checkbox" {...register(provider.enabled)} />
+                                        Enable {provider.label} sign-in
+                                    </label>
+                                    <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+                                        <div>
+                                            <label className="mb-1.5 block text-xs font-semibold text-slate-600">{provider.idLabel}</label>
+                                            <input className="w-full rounded-xl border border-slate-300 bg-white px-4 py-2.5 text-sm" {...register(provider.id)} autoComplete="off" />
+                                        </div>
+                                        <div>
+                                            <label className="mb-1.5 block text-xs font-semibold text-slate-600">{provider.secretLabel}</label>
+                                            <input
+                                                type="password"
+                                                className="w-full rounded-xl border border-slate-300 bg-white px-4 py-2.5 text-sm"
+                                                {...register(provider.secret)}
+                                                placeholder={watch(`${provider.secret}Set`) ? 'Saved — leave blank to keep' : '••••••••••••'}
+                                                autoComplete="new-password"
+                                            />
+                                        </div>
+                                        <div className="md:col-span-2">
+                                            <label className="mb-1.5 block text-xs font-semibold text-slate-600">Redirect URI</label>
+                                            <code className="block truncate rounded-xl border border-dashed border-slate-300 bg-white px-4 py-2.5 text-xs text-slate-700">{`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.AUTH}/oauth/${provider.name}/callback`}</code>
+                                        </div>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
                 </div>
 
                 <div className="sticky bottom-3 z-10 flex flex-col items-center gap-3 rounded-2xl border border-slate-200 bg-white/90 p-3 shadow-[0_10px_30px_rgba(15,23,42,0.12)] backdrop-blur sm:flex-row">
@@ -0,0 +1,33 @@
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+import { PERMISSIONS } from '@/constants';
+import { useAuthStore } from '@/store/authStore';
+
+const SETTINGS_TABS = [
+    { path: '/admin/settings', label: 'General', permission: PERMISSIONS.SETTINGS_MANAGE },
+    { path: '/admin/settings/email-templates', label: 'Email Templates', permission: PERMISSIONS.EMAIL_TEMPLATES_MANAGE },
+    { path: '/admin/settings/images', label: 'Images', permission: PERMISSIONS.SETTINGS_MANAGE },
+];
+
+const SettingsTabs = () => {
+    const can = useAuthStore((state) => state.can);
+    const tabs = SETTINGS_TABS.filter((tab) => can(tab.permission));
+    if (tabs.length < 2) return null;
+
+    return (
+        <nav className="flex flex-wrap gap-2 rounded-2xl border border-slate-200 bg-white p-2 shadow-sm">
+            {tabs.map((tab) => (
+                <NavLink
+                    key={tab.path}
+                    to={tab.path}
+                    end
+                    className={({ isActive }) => `rounded-xl px-4 py-2 text-sm font-semibold transition ${isActive ? 'bg-slate-900 text-white' : 'text-slate-600 hover:bg-slate-100'}`}
+                >
+                    {tab.label}
+                </NavLink>
+            ))}
+        </nav>
+    );
+};
+
+export default SettingsTabs;
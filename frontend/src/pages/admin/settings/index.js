@@ -1,7 +1,11 @@
+export * from './EmailTemplatesPage.jsx';
+
 export * from './ImageSettingsPage.jsx';
 
 export * from './SettingsPage.jsx';
 
+export { default as EmailTemplatesPage } from './EmailTemplatesPage.jsx';
+
 export { default as ImageSettingsPage } from './ImageSettingsPage.jsx';
 
 export { default as SettingsPage } from './SettingsPage.jsx';
@@ -0,0 +1,357 @@
+import React, { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { useNavigate, useParams } from 'react-router-dom';
+import notify from '../../../utils/notify';
+import shippingService from '../../../services/shippingService';
+import SavingOverlay from '../../../components/ui/SavingOverlay';
+
+const RATE_TYPES = [
+    { value: 'flat', label: 'Flat rate' },
+    { value: 'weight', label: 'By cart weight (kg)' },
+    { value: 'order_value', label: 'By order value ($)' },
+];
+
+const nullableNumber = (min, msg) =>
+    yup.number().nullable()
+        .transform((v, orig) => (orig === '' || orig === null || orig === undefined || Number.isNaN(v) ? null : v))
+        .min(min, msg);
+
+const schema = yup.object({
+    type: yup.string().trim().required('Method name is required').max(100, 'Name cannot exceed 100 characters'),
+    description: yup.string().default(''),
+    rateType: yup.string().oneOf(RATE_TYPES.map((item) => item.value)).required(),
+    price: nullableNumber(0, 'Price cannot be negative'),
+    freeShippingThreshold: nullableNumber(0, 'Threshold cannot be negative'),
+    estimatedDays: nullableNumber(0, 'Estimated days cannot be negative').integer('Estimated days must be a whole number'),
+    sortOrder: nullableNumber(0, 'Sort order cannot be negative').integer('Sort order must be a whole number'),
+    status: yup.string().oneOf(['active', 'inactive']).required(),
+});
+
+const emptyTier = () => ({ min: '', max: '', price: '' });
+
+const emptyZone = () => ({
+    name: '',
+    countries: '',
+    states: '',
+    rateType: 'flat',
+    price: '',
+    rates: [emptyTier()],
+    freeShippingThreshold: '',
+    estimatedDays: '',
+});
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const serializeTiers = (tiers = []) => tiers
+    .filter((tier) => String(tier.price).trim() !== '')
+    .map((tier) => ({ min: toNumberOrNull(tier.min) ?? 0, max: toNumberOrNull(tier.max), price: Number(tier.price) }));
+
+const toFormTiers = (tiers = []) => (tiers.length
+    ? tiers.map((tier) => ({ min: tier.min ?? '', max: tier.max ?? '', price: tier.price ?? '' }))
+    : [emptyTier()]);
+
+const inputClass = 'w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-100';
+
+const RateTiersEditor = ({ rateType, tiers, onChange }) => {
+    const unit = rateType === 'weight' ? 'kg' : '$';
+    const updateTier = (index, field, value) => onChange(tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+
+    return (
+        <div className="space-y-2">
+            <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 text-xs font-semibold uppercase tracking-wide text-slate-500">
+                <span>From ({unit})</span>
+                <span>Up to ({unit})</span>
+                <span>Price ($)</span>
+                <span />
+            </div>
+            {tiers.map((tier, index) => (
+                <div key={index} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2">
+                    <input type="number" min="0" step="0.01" value={tier.min} onChange={(e) => updateTier(index, 'min', e.target.value)} className={inputClass} aria-label="Tier from" />
+                    <input type="number" min="0" step="0.01" value={tier.max} placeholder="No limit" onChange={(e) => updateTier(index, 'max', e.target.value)} className={inputClass} aria-label="Tier up to" />
+                    <input type="number" min="0" step="0.01" value={tier.price} onChange={(e) => updateTier(index, 'price', e.target.value)} className={inputClass} aria-label="Tier price" />
+                    <button type="button" onClick={() => onChange(tiers.filter((_, i) => i !== index))} disabled={tiers.length === 1} className="rounded-lg border border-red-200 bg-red-50 px-3 text-xs font-semibold text-red-700 hover:bg-red-100 disabled:opacity-40">
+                        Remove
+                    </button>
+                </div>
+            ))}
+            <button type="button" onClick={() => onChange([...tiers, emptyTier()])} className="text-xs font-semibold text-primary-700 hover:underline">
+                + Add tier
+            </button>
+        </div>
+    );
+};
+
+const ShippingMethodForm = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const isEdit = Boolean(id);
+
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [methodTiers, setMethodTiers] = useState([emptyTier()]);
+    const [zones, setZones] = useState([]);
+
+    const { register, handleSubmit, formState: { errors }, reset, setError, watch } = useForm({
+        resolver: yupResolver(schema),
+        defaultValues: {
+            type: '',
+            description: '',
+            rateType: 'flat',
+            price: '',
+            freeShippingThreshold: '',
+            estimatedDays: '',
+            sortOrder: 0,
+            status: 'active',
+        },
+        mode: 'onBlur',
+    });
+
+    const watchRateType = watch('rateType');
+
+    useEffect(() => {
+        if (!isEdit) return;
+        const loadMethod = async () => {
+            try {
+                setIsLoading(true);
+                const response = await shippingService.getShippingMethodById(id);
+                const method = response?.data?.data || response?.data;
+                if (!method?._id) {
+                    notify.error('Shipping method not found');
+                    navigate('/admin/shipping');
+                    return;
+                }
+                reset({
+                    type: method.type || '',
+                    description: method.description || '',
+                    rateType: method.rateType || 'flat',
+                    price: method.price ?? '',
+                    freeShippingThreshold: method.freeShippingThreshold ?? '',
+                    estimatedDays: method.estimatedDays ?? '',
+                    sortOrder: method.sortOrder ?? 0,
+                    status: method.status || 'active',
+                });
+                setMethodTiers(toFormTiers(method.rates));
+                setZones((method.zones || []).map((zone) => ({
+                    name: zone.name || '',
+                    countries: (zone.countries || []).join(', '),
+                    states: (zone.states || []).join(', '),
+                    rateType: zone.rateType || 'flat',
+                    price: zone.price ?? '',
+                    rates: toFormTiers(zone.rates),
+                    freeShippingThreshold: zone.freeShippingThreshold ?? '',
+                    estimatedDays: zone.estimatedDays ?? '',
+                })));
+            } catch (error) {
+                notify.error(error, 'Failed to load shipping method');
+                navigate('/admin/shipping');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        loadMethod();
+    }, [id, isEdit, navigate, reset]);
+
+    const updateZone = (index, field, value) => setZones((prev) => prev.map((zone, i) => (i === index ? { ...zone, [field]: value } : zone)));
+
+    const onSubmit = async (data) => {
+        try {
+            setIsSaving(true);
+            const payload = {
+                type: data.type.trim(),
+                description: data.description?.trim() || '',
+                rateType: data.rateType,
+                price: data.price ?? 0,
+                rates: data.rateType === 'flat' ? [] : serializeTiers(methodTiers),
+                freeShippingThreshold: data.freeShippingThreshold,
+                estimatedDays: data.estimatedDays,
+                sortOrder: data.sortOrder ?? 0,
+                status: data.status,
+                zones: zones.map((zone) => ({
+                    name: zone.name.trim(),
+                    countries: zone.countries.split(',').map((code) => code.trim().toUpperCase()).filter(Boolean),
+                    states: zone.states.split(',').map((state) => state.trim()).filter(Boolean),
+                    rateType: zone.rateType,
+                    price: toNumberOrNull(zone.price) ?? 0,
+                    rates: zone.rateType === 'flat' ? [] : serializeTiers(zone.rates),
+                    freeShippingThreshold: toNumberOrNull(zone.freeShippingThreshold),
+                    estimatedDays: toNumberOrNull(zone.estimatedDays),
+                })),
+            };
+
+            if (isEdit) {
+                await shippingService.updateShippingMethod(id, payload);
+                notify.success('Shipping method updated successfully');
+            } else {
+                await shippingService.createShippingMethod(payload);
+                notify.success('Shipping method created successfully');
+            }
+
+            navigate('/admin/shipping');
+        } catch (error) {
+            const serverErrors = error?.errors || error?.data?.errors || error?.response?.data?.errors;
+            if (Array.isArray(serverErrors) && serverErrors.length > 0) {
+                serverErrors.forEach(({ field, message }) => { if (field) setError(field, { message }); });
+                notify.error(serverErrors[0]?.message || 'Please fix form validation errors');
+            } else {
+                notify.error(error, `Failed to ${isEdit ? 'update' : 'create'} shipping method`);
+            }
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const fc = (field) => `w-full rounded-xl border px-4 py-3 focus:outline-none focus:ring-2 ${errors[field] ? 'border-red-400 focus:ring-red-100 bg-red-50' : 'border-slate-300 focus:ring-primary-100'}`;
+
+    if (isLoading) {
+        return (
+            <div className="flex h-[420px] items-center justify-center">
+                <div className="rounded-2xl border border-slate-200 bg-white p-10 text-center shadow-sm">
+                    <div className="mx-auto mb-4 h-16 w-16 animate-spin rounded-full border-b-4 border-slate-700" />
+                    <p className="text-lg font-semibold text-slate-800">Loading shipping method...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <SavingOverlay visible={isSaving} message={isEdit ? 'Updating shipping method...' : 'Creating shipping method...'} />
+            <div className="rounded-2xl border border-slate-200 bg-gradient-to-br from-slate-900 via-slate-800 to-primary-900 p-6 text-white shadow-lg sm:p-8">
+                <p className="text-xs uppercase tracking-[0.2em] text-slate-200/80">Shipping</p>
+                <h1 className="mt-2 text-3xl font-black leading-tight sm:text-4xl">{isEdit ? 'Edit Shipping Method' : 'Create Shipping Method'}</h1>
+                <p className="mt-2 text-slate-200/90">Set the default rate, then add zones to price specific countries or states differently.</p>
+            </div>
+
+            <form onSubmit={handleSubmit(onSubmit)} noValidate className="space-y-6 rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-[0_10px_30px_rgba(15,23,42,0.08)] sm:p-7">
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Method Name *</label>
+                        <input {...register('type')} placeholder="Standard, Express..." className={fc('type')} />
+                        {errors.type && <p className="mt-1 text-sm text-red-600">{errors.type.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Status *</label>
+                        <select {...register('status')} className={fc('status')}>
+                            <option value="active">Active</option>
+                            <option value="inactive">Inactive</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Rate Type *</label>
+                        <select {...register('rateType')} className={fc('rateType')}>
+                            {RATE_TYPES.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+                        </select>
+                    </div>
+                    {watchRateType === 'flat' && (
+                        <div>
+                            <label className="mb-2 block text-sm font-semibold text-slate-700">Price ($)</label>
+                            <input {...register('price')} type="number" min="0" step="0.01" className={fc('price')} />
+                            {errors.price && <p className="mt-1 text-sm text-red-600">{errors.price.message}</p>}
+                        </div>
+                    )}
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Free Shipping Over ($)</label>
+                        <input {...register('freeShippingThreshold')} type="number" min="0" step="0.01" placeholder="No free shipping" className={fc('freeShippingThreshold')} />
+                        {errors.freeShippingThreshold && <p className="mt-1 text-sm text-red-600">{errors.freeShippingThreshold.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Estimated Delivery (days)</label>
+                        <input {...register('estimatedDays')} type="number" min="0" step="1" className={fc('estimatedDays')} />
+                        {errors.estimatedDays && <p className="mt-1 text-sm text-red-600">{errors.estimatedDays.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Sort Order</label>
+                        <input {...register('sortOrder')} type="number" min="0" step="1" className={fc('sortOrder')} />
+                        {errors.sortOrder && <p className="mt-1 text-sm text-red-600">{errors.sortOrder.message}</p>}
+                    </div>
+                    {watchRateType !== 'flat' && (
+                        <div className="md:col-span-2">
+                            <label className="mb-2 block text-sm font-semibold text-slate-700">Rate Tiers</label>
+                            <RateTiersEditor rateType={watchRateType} tiers={methodTiers} onChange={setMethodTiers} />
+                            {errors.rates && <p className="mt-1 text-sm text-red-600">{errors.rates.message}</p>}
+                        </div>
+                    )}
+                    <div className="md:col-span-2">
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Description</label>
+                        <textarea {...register('description')} rows="2" className="w-full rounded-xl border border-slate-300 px-4 py-3 focus:outline-none focus:ring-2 focus:ring-primary-100" placeholder="Shown to customers at checkout" />
+                    </div>
+                </div>
+
+                <div className="space-y-4 border-t border-slate-100 pt-6">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h2 className="text-lg font-bold text-slate-900">Zones</h2>
+                            <p className="text-sm text-slate-500">When zones exist, the method is only offered where a zone matches. Leave countries empty for a rest-of-world zone.</p>
+                        </div>
+                        <button type="button" onClick={() => setZones((prev) => [...prev, emptyZone()])} className="rounded-xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-700">
+                            + Add Zone
+                        </button>
+                    </div>
+
+                    {zones.map((zone, index) => (
+                        <div key={index} className="space-y-3 rounded-2xl border border-slate-200 bg-slate-50 p-4">
+                            <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+                                <div>
+                                    <label className="mb-1 block text-xs font-semibold text-slate-600">Zone Name *</label>
+                                    <input value={zone.name} onChange={(e) => updateZone(index, 'name', e.target.value)} className={inputClass} placeholder="Domestic" />
+                                </div>
+                                <div>
+                                    <label className="mb-1 block text-xs font-semibold text-slate-600">Countries (ISO codes)</label>
+                                    <input value={zone.countries} onChange={(e) => updateZone(index, 'countries', e.target.value)} className={inputClass} placeholder="US, CA" />
+                                </div>
+                                <div>
+                                    <label className="mb-1 block text-xs font-semibold text-slate-600">States</label>
+                                    <input value={zone.states} onChange={(e) => updateZone(index, 'states', e.target.value)} className={inputClass} placeholder="Alaska, Hawaii" />
+                                </div>
+                                <div>
+                                    <label className="mb-1 block text-xs font-semibold text-slate-600">Rate Type</label>
+                                    <select value={zone.rateType} onChange={(e) => updateZone(index, 'rateType', e.target.value)} className={inputClass}>
+                                        {RATE_TYPES.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="mb-1 block text-xs font-semibold text-slate-600">Free Shipping Over ($)</label>
+                                    <input type="number" min="0" step="0.01" value={zone.freeShippingThreshold} onChange={(e) => updateZone(index, 'freeShippingThreshold', e.target.value)} className={inputClass} placeholder="Method default" />
+                                </div>
+                                <div>
+                                    <label className="mb-1 block text-xs font-semibold text-slate-600">Estimated Delivery (days)</label>
+                                    <input type="number" min="0" step="1" value={zone.estimatedDays} onChange={(e) => updateZone(index, 'estimatedDays', e.target.value)} className={inputClass} placeholder="Method default" />
+                                </div>
+                                {zone.rateType === 'flat' && (
+                                    <div>
+                                        <label className="mb-1 block text-xs font-semibold text-slate-600">Price ($)</label>
+                                        <input type="number" min="0" step="0.01" value={zone.price} onChange={(e) => updateZone(index, 'price', e.target.value)} className={inputClass} />
+                                    </div>
+                                )}
+                            </div>
+                            {zone.rateType !== 'flat' && (
+                                <RateTiersEditor rateType={zone.rateType} tiers={zone.rates} onChange={(rates) => updateZone(index, 'rates', rates)} />
+                            )}
+                            <div className="flex justify-end">
+                                <button type="button" onClick={() => setZones((prev) => prev.filter((_, i) => i !== index))} className="rounded-lg border border-red-200 bg-red-50 px-3 py-1 text-xs font-semibold text-red-700 hover:bg-red-100">
+                                    Remove Zone
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    {zones.length === 0 && (
+                        <p className="rounded-xl border border-dashed border-slate-300 p-4 text-center text-sm text-slate-500">No zones — the default rate applies to every address.</p>
+                    )}
+                </div>
+
+                <div className="sticky bottom-3 z-10 flex flex-col items-center gap-3 rounded-2xl border border-slate-200 bg-white/90 p-3 shadow-[0_10px_30px_rgba(15,23,42,0.12)] backdrop-blur sm:flex-row">
+                    <button type="button" onClick={() => navigate('/admin/shipping')} className="w-full rounded-xl border border-slate-300 bg-white px-6 py-3 font-semibold text-slate-800 transition-colors hover:bg-slate-100 sm:w-auto">
+                        Cancel
+                    </button>
+                    <button type="submit" disabled={isSaving} className="w-full rounded-xl bg-primary-400 px-6 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300 disabled:opacity-50 sm:flex-1">
+                        {isSaving ? 'Saving...' : isEdit ? 'Update Method' : 'Create Method'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ShippingMethodForm;
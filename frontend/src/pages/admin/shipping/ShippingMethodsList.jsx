@@ -0,0 +1,241 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import notify from '../../../utils/notify';
+import { ConfirmDialog } from '../../../components/common';
+import shippingService from '../../../services/shippingService';
+
+const RATE_TYPE_LABELS = {
+    flat: 'Flat rate',
+    weight: 'By weight',
+    order_value: 'By order value',
+};
+
+const formatPrice = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const describeRate = (rule) => {
+    if (rule.rateType === 'flat') return formatPrice(rule.price);
+    const tiers = rule.rates || [];
+    if (!tiers.length) return RATE_TYPE_LABELS[rule.rateType];
+    const prices = tiers.map((tier) => Number(tier.price || 0));
+    return `${RATE_TYPE_LABELS[rule.rateType]}: ${formatPrice(Math.min(...prices))} - ${formatPrice(Math.max(...prices))}`;
+};
+
+const ShippingMethodsList = () => {
+    const navigate = useNavigate();
+    const [methods, setMethods] = useState([]);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [deleteTarget, setDeleteTarget] = useState(null);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const loadMethods = async () => {
+        try {
+            setIsLoading(true);
+            const response = await shippingService.getShippingMethods({ limit: 200 });
+            const payload = response?.data?.data ?? response?.data ?? [];
+            setMethods(Array.isArray(payload) ? payload : payload?.methods || []);
+        } catch (error) {
+            notify.error(error, 'Failed to load shipping methods');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadMethods();
+    }, []);
+
+    const filteredMethods = useMemo(() => (
+        methods.filter((item) => {
+            const term = searchTerm.toLowerCase();
+            const matchesSearch = (item.type || '').toLowerCase().includes(term)
+                || (item.description || '').toLowerCase().includes(term)
+                || (item.zones || []).some((zone) => (zone.name || '').toLowerCase().includes(term));
+            const matchesStatus = !statusFilter || item.status === statusFilter;
+            return matchesSearch && matchesStatus;
+        })
+    ), [methods, searchTerm, statusFilter]);
+
+    const activeCount = useMemo(() => methods.filter((item) => item.status === 'active').length, [methods]);
+    const zoneCount = useMemo(() => methods.reduce((sum, item) => sum + (item.zones?.length || 0), 0), [methods]);
+
+    const confirmDelete = async () => {
+        if (!deleteTarget?._id) return;
+        try {
+            setIsDeleting(true);
+            await shippingService.deleteShippingMethod(deleteTarget._id);
+            notify.success('Shipping method deleted successfully');
+            setDeleteTarget(null);
+            await loadMethods();
+        } catch (error) {
+            notify.error(error, 'Failed to delete shipping method');
+        } finally {
+            setIsDeleting(false);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex h-[420px] items-center justify-center">
+                <div className="rounded-2xl border border-slate-200 bg-white p-10 text-center shadow-sm">
+                    <div className="mx-auto mb-4 h-16 w-16 animate-spin rounded-full border-b-4 border-slate-700" />
+                    <p className="text-lg font-semibold text-slate-800">Loading shipping methods...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div className="relative overflow-hidden rounded-2xl border border-slate-200 bg-gradient-to-br from-slate-900 via-slate-800 to-primary-900 p-6 text-white shadow-lg sm:p-8">
+                <div className="relative flex flex-col gap-6 lg:flex-row lg:items-center lg:justify-between">
+                    <div>
+                        <p className="text-xs uppercase tracking-[0.2em] text-slate-200/80">Admin Console</p>
+                        <h1 className="mt-2 text-3xl font-black leading-tight sm:text-4xl">Shipping</h1>
+                        <p className="mt-2 max-w-xl text-slate-200/90">Manage shipping methods, delivery zones and free-shipping thresholds offered at checkout.</p>
+                    </div>
+                    <div className="flex flex-wrap gap-3">
+                        <button type="button" onClick={loadMethods} className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold backdrop-blur-sm transition-all hover:bg-white/20">
+                            Refresh
+                        </button>
+                        <button type="button" onClick={() => navigate('/admin/shipping/create')} className="rounded-xl bg-primary-400 px-5 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300">
+                            + Add Method
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {methods.length === 0 && (
+                <div className="rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+                    No shipping methods are configured yet, so checkout charges a standard $10.00 rate with free shipping over $100.00.
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                <div className="rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-slate-500">Total Methods</p>
+                    <p className="mt-2 text-3xl font-black text-slate-900">{methods.length}</p>
+                </div>
+                <div className="rounded-2xl border border-emerald-200 bg-gradient-to-br from-emerald-50 to-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-emerald-700">Active</p>
+                    <p className="mt-2 text-3xl font-black text-emerald-800">{activeCount}</p>
+                </div>
+                <div className="rounded-2xl border border-sky-200 bg-gradient-to-br from-sky-50 to-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-sky-700">Zones</p>
+                    <p className="mt-2 text-3xl font-black text-sky-800">{zoneCount}</p>
+                </div>
+            </div>
+
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm sm:p-5">
+                <div className="grid grid-cols-1 gap-3 lg:grid-cols-[1fr_auto_auto]">
+                    <input
+                        type="text"
+                        placeholder="Search by method, description or zone..."
+                        value={searchTerm}
+                        onChange={(event) => setSearchTerm(event.target.value)}
+                        className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    />
+                    <select
+                        value={statusFilter}
+                        onChange={(event) => setStatusFilter(event.target.value)}
+                        className="rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    >
+                        <option value="">All Status</option>
+                        <option value="active">Active</option>
+                        <option value="inactive">Inactive</option>
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setSearchTerm('');
+                            setStatusFilter('');
+                        }}
+                        className="rounded-xl bg-slate-900 px-5 py-3 font-semibold text-white transition-colors hover:bg-slate-700"
+                    >
+                        Reset
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
+                <table className="w-full min-w-[900px] text-sm">
+                    <thead>
+                        <tr className="border-b border-slate-200 text-left text-slate-600">
+                            <th className="py-2 pr-2">Order</th>
+                            <th className="py-2 pr-2">Method</th>
+                            <th className="py-2 pr-2">Default Rate</th>
+                            <th className="py-2 pr-2">Free Over</th>
+                            <th className="py-2 pr-2">ETA</th>
+                            <th className="py-2 pr-2">Zones</th>
+                            <th className="py-2 pr-2">Status</th>
+                            <th className="py-2 pr-2">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {filteredMethods.map((method) => (
+                            <tr key={method._id} className="border-b border-slate-100 align-top">
+                                <td className="py-2 pr-2 font-semibold text-slate-700">{method.sortOrder ?? 0}</td>
+                                <td className="py-2 pr-2">
+                                    <p className="font-semibold text-slate-900">{method.type}</p>
+                                    {method.description && <p className="text-xs text-slate-500">{method.description}</p>}
+                                </td>
+                                <td className="py-2 pr-2">{method.zones?.length ? <span className="text-slate-400">Per zone</span> : describeRate(method)}</td>
+                                <td className="py-2 pr-2">{method.freeShippingThreshold != null ? formatPrice(method.freeShippingThreshold) : '-'}</td>
+                                <td className="py-2 pr-2">{method.estimatedDays != null ? `${method.estimatedDays} day(s)` : '-'}</td>
+                                <td className="py-2 pr-2">
+                                    {(method.zones || []).length === 0 ? (
+                                        <span className="text-slate-400">Ships everywhere</span>
+                                    ) : (
+                                        <ul className="space-y-0.5">
+                                            {method.zones.map((zone) => (
+                                                <li key={zone._id || zone.name} className="text-xs text-slate-600">
+                                                    <span className="font-semibold text-slate-800">{zone.name}</span>
+                                                    {' '}({[...(zone.countries || []), ...(zone.states || [])].join(', ') || 'Rest of world'}) · {describeRate(zone)}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </td>
+                                <td className="py-2 pr-2">
+                                    <span className={`rounded px-2 py-1 text-xs font-semibold ${method.status === 'active' ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-200 text-slate-700'}`}>
+                                        {method.status}
+                                    </span>
+                                </td>
+                                <td className="py-2 pr-2">
+                                    <div className="flex gap-2">
+                                        <button type="button" onClick={() => navigate(`/admin/shipping/${method._id}/edit`)} className="rounded bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-700">
+                                            Edit
+                                        </button>
+                                        <button type="button" onClick={() => setDeleteTarget(method)} className="rounded border border-red-200 bg-red-50 px-3 py-1 text-xs font-semibold text-red-700 hover:bg-red-100">
+                                            Delete
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                        {filteredMethods.length === 0 && (
+                            <tr>
+                                <td colSpan="8" className="py-8 text-center text-slate-500">No shipping methods found.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <ConfirmDialog
+                isOpen={Boolean(deleteTarget)}
+                title="Delete Shipping Method?"
+                message="Customers will no longer be able to choose this method at checkout."
+                highlightText={deleteTarget?.type || ''}
+                confirmText={isDeleting ? 'Deleting...' : 'Delete'}
+                cancelText="Cancel"
+                isProcessing={isDeleting}
+                onConfirm={confirmDelete}
+                onCancel={() => setDeleteTarget(null)}
+            />
+        </div>
+    );
+};
+
+export default ShippingMethodsList;
@@ -0,0 +1,7 @@
+export * from './ShippingMethodForm.jsx';
+
+export * from './ShippingMethodsList.jsx';
+
+export { default as ShippingMethodForm } from './ShippingMethodForm.jsx';
+
+export { default as ShippingMethodsList } from './ShippingMethodsList.jsx';
@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { useNavigate, useParams } from 'react-router-dom';
+import notify from '../../../utils/notify';
+import stockLocationService from '../../../services/stockLocationService';
+import SavingOverlay from '../../../components/ui/SavingOverlay';
+import { STOCK_LOCATION_TYPES } from '../../../constants';
+
+const schema = yup.object({
+    name: yup.string().trim().required('Name is required').max(100, 'Name cannot exceed 100 characters'),
+    code: yup.string().trim().required('Code is required').max(20, 'Code cannot exceed 20 characters')
+        .matches(/^[A-Za-z0-9_-]+$/, 'Use letters, numbers, dashes and underscores only'),
+    type: yup.string().oneOf(STOCK_LOCATION_TYPES.map((item) => item.value)).required(),
+    country: yup.string().trim().default('')
+        .test('iso', 'Use a 2-letter ISO code, e.g. US or DE', (value) => !value || /^[A-Za-z]{2}$/.test(value)),
+    state: yup.string().trim().max(100, 'State cannot exceed 100 characters').default(''),
+    city: yup.string().trim().max(100, 'City cannot exceed 100 characters').default(''),
+    priority: yup.number()
+        .transform((v, orig) => (orig === '' || Number.isNaN(v) ? undefined : v))
+        .required('Priority is required')
+        .integer('Priority must be a whole number')
+        .min(0, 'Priority cannot be negative'),
+    isDefault: yup.boolean().default(false),
+    status: yup.string().oneOf(['active', 'inactive']).required(),
+});
+
+const StockLocationForm = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const isEdit = Boolean(id);
+
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [wasDefault, setWasDefault] = useState(false);
+
+    const { register, handleSubmit, formState: { errors }, reset, setError } = useForm({
+        resolver: yupResolver(schema),
+        defaultValues: {
+            name: '',
+            code: '',
+            type: 'warehouse',
+            country: '',
+            state: '',
+            city: '',
+            priority: 100,
+            isDefault: false,
+            status: 'active',
+        },
+        mode: 'onBlur',
+    });
+
+    useEffect(() => {
+        if (!isEdit) return;
+        const loadLocation = async () => {
+            try {
+                setIsLoading(true);
+                const response = await stockLocationService.getStockLocationById(id);
+                const location = response?.data?.data || response?.data;
+                if (!location?._id) {
+                    notify.error('Stock location not found');
+                    navigate('/admin/stock-locations');
+                    return;
+                }
+                setWasDefault(Boolean(location.isDefault));
+                reset({
+                    name: location.name || '',
+                    code: location.code || '',
+                    type: location.type || 'warehouse',
+                    country: location.country || '',
+                    state: location.state || '',
+                    city: location.city || '',
+                    priority: location.priority ?? 100,
+                    isDefault: Boolean(location.isDefault),
+                    status: location.status || 'active',
+                });
+            } catch (error) {
+                notify.error(error, 'Failed to load stock location');
+                navigate('/admin/stock-locations');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        loadLocation();
+    }, [id, isEdit, navigate, reset]);
+
+    const onSubmit = async (data) => {
+        try {
+            setIsSaving(true);
+            const payload = {
+                name: data.name.trim(),
+                code: data.code.trim().toUpperCase(),
+                type: data.type,
+                country: data.country?.trim().toUpperCase() || '',
+                state: data.state?.trim().toUpperCase() || '',
+                city: data.city?.trim() || '',
+                priority: data.priority,
+                isDefault: wasDefault || Boolean(data.isDefault),
+                status: data.status,
+            };
+
+            if (isEdit) {
+                await stockLocationService.updateStockLocation(id, payload);
+                notify.success('Stock location updated successfully');
+            } else {
+                await stockLocationService.createStockLocation(payload);
+                notify.success('Stock location created successfully');
+            }
+
+            navigate('/admin/stock-locations');
+        } catch (error) {
+            const serverErrors = error?.errors || error?.data?.errors || error?.response?.data?.errors;
+            if (Array.isArray(serverErrors) && serverErrors.length > 0) {
+                serverErrors.forEach(({ field, message }) => { if (field) setError(field, { message }); });
+                notify.error(serverErrors[0]?.message || 'Please fix form validation errors');
+            } else {
+                notify.error(error, `Failed to ${isEdit ? 'update' : 'create'} stock location`);
+            }
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const fc = (field) => `w-full rounded-xl border px-4 py-3 focus:outline-none focus:ring-2 ${errors[field] ? 'border-red-400 focus:ring-red-100 bg-red-50' : 'border-slate-300 focus:ring-primary-100'}`;
+
+    if (isLoading) {
+        return (
+            <div className="flex h-[420px] items-center justify-center">
+                <div className="rounded-2xl border border-slate-200 bg-white p-10 text-center shadow-sm">
+                    <div className="mx-auto mb-4 h-16 w-16 animate-spin rounded-full border-b-4 border-slate-700" />
+                    <p className="text-lg font-semibold text-slate-800">Loading stock location...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <SavingOverlay visible={isSaving} message={isEdit ? 'Updating stock location...' : 'Creating stock location...'} />
+            <div className="rounded-2xl border border-slate-200 bg-gradient-to-br from-slate-900 via-slate-800 to-primary-900 p-6 text-white shadow-lg sm:p-8">
+                <p className="text-xs uppercase tracking-[0.2em] text-slate-200/80">Inventory</p>
+                <h1 className="mt-2 text-3xl font-black leading-tight sm:text-4xl">{isEdit ? 'Edit Stock Location' : 'Create Stock Location'}</h1>
+                <p className="mt-2 text-slate-200/90">Stock added without a location, e.g. from the product form, goes to the default location.</p>
+            </div>
+
+            <form onSubmit={handleSubmit(onSubmit)} noValidate className="space-y-6 rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-[0_10px_30px_rgba(15,23,42,0.08)] sm:p-7">
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Name *</label>
+                        <input {...register('name')} placeholder="Main warehouse, Berlin store..." className={fc('name')} />
+                        {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Code *</label>
+                        <input {...register('code')} placeholder="WH-EAST" maxLength={20} className={`${fc('code')} uppercase`} />
+                        {errors.code && <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Type *</label>
+                        <select {...register('type')} className={fc('type')}>
+                            {STOCK_LOCATION_TYPES.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Priority *</label>
+                        <input {...register('priority')} type="number" min="0" step="1" className={fc('priority')} />
+                        <p className="mt-1 text-xs text-slate-500">Lower numbers ship first.</p>
+                        {errors.priority && <p className="mt-1 text-sm text-red-600">{errors.priority.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Country (ISO code)</label>
+                        <input {...register('country')} placeholder="US" maxLength={2} className={`${fc('country')} uppercase`} />
+                        {errors.country && <p className="mt-1 text-sm text-red-600">{errors.country.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">State</label>
+                        <input {...register('state')} className={`${fc('state')} uppercase`} />
+                        {errors.state && <p className="mt-1 text-sm text-red-600">{errors.state.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">City</label>
+                        <input {...register('city')} className={fc('city')} />
+                        {errors.city && <p className="mt-1 text-sm text-red-600">{errors.city.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Status *</label>
+                        <select {...register('status')} className={fc('status')}>
+                            <option value="active">Active</option>
+                            <option value="inactive">Inactive</option>
+                        </select>
+                    </div>
+                    <div className="md:col-span-2">
+                        <label className="inline-flex items-center gap-2 text-sm font-semibold text-slate-700">
+                            <input type="checkbox" {...register('isDefault')} disabled={wasDefault} />
+                            Default location
+                        </label>
+                        {wasDefault && <p className="mt-1 text-xs text-slate-500">Make another location the default to change this.</p>}
+                    </div>
+                </div>
+
+                <div className="sticky bottom-3 z-10 flex flex-col items-center gap-3 rounded-2xl border border-slate-200 bg-white/90 p-3 shadow-[0_10px_30px_rgba(15,23,42,0.12)] backdrop-blur sm:flex-row">
+                    <button type="button" onClick={() => navigate('/admin/stock-locations')} className="w-full rounded-xl border border-slate-300 bg-white px-6 py-3 font-semibold text-slate-800 transition-colors hover:bg-slate-100 sm:w-auto">
+                        Cancel
+                    </button>
+                    <button type="submit" disabled={isSaving} className="w-full rounded-xl bg-primary-400 px-6 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300 disabled:opacity-50 sm:flex-1">
+                        {isSaving ? 'Saving...' : isEdit ? 'Update Location' : 'Create Location'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default StockLocationForm;
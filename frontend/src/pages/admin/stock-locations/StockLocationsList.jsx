@@ -0,0 +1,217 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import notify from '../../../utils/notify';
+import { ConfirmDialog } from '../../../components/common';
+import stockLocationService from '../../../services/stockLocationService';
+import { STOCK_LOCATION_TYPES } from '../../../constants';
+
+const TYPE_LABELS = Object.fromEntries(STOCK_LOCATION_TYPES.map((item) => [item.value, item.label]));
+
+const StockLocationsList = () => {
+    const navigate = useNavigate();
+    const [locations, setLocations] = useState([]);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [deleteTarget, setDeleteTarget] = useState(null);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const loadLocations = async () => {
+        try {
+            setIsLoading(true);
+            const response = await stockLocationService.getStockLocations({ limit: 200 });
+            const payload = response?.data?.data ?? response?.data ?? [];
+            setLocations(Array.isArray(payload) ? payload : payload?.locations || []);
+        } catch (error) {
+            notify.error(error, 'Failed to load stock locations');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadLocations();
+    }, []);
+
+    const filteredLocations = useMemo(() => (
+        locations.filter((item) => {
+            const term = searchTerm.toLowerCase();
+            const matchesSearch = (item.name || '').toLowerCase().includes(term)
+                || (item.code || '').toLowerCase().includes(term)
+                || (item.city || '').toLowerCase().includes(term);
+            const matchesStatus = !statusFilter || item.status === statusFilter;
+            return matchesSearch && matchesStatus;
+        })
+    ), [locations, searchTerm, statusFilter]);
+
+    const totalUnits = useMemo(() => locations.reduce((sum, item) => sum + Number(item.units || 0), 0), [locations]);
+    const activeCount = useMemo(() => locations.filter((item) => item.status === 'active').length, [locations]);
+
+    const confirmDelete = async () => {
+        if (!deleteTarget?._id) return;
+        try {
+            setIsDeleting(true);
+            await stockLocationService.deleteStockLocation(deleteTarget._id);
+            notify.success('Stock location deleted successfully');
+            setDeleteTarget(null);
+            await loadLocations();
+        } catch (error) {
+            notify.error(error, 'Failed to delete stock location');
+        } finally {
+            setIsDeleting(false);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex h-[420px] items-center justify-center">
+                <div className="rounded-2xl border border-slate-200 bg-white p-10 text-center shadow-sm">
+                    <div className="mx-auto mb-4 h-16 w-16 animate-spin rounded-full border-b-4 border-slate-700" />
+                    <p className="text-lg font-semibold text-slate-800">Loading stock locations...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div className="relative overflow-hidden rounded-2xl border border-slate-200 bg-gradient-to-br from-slate-900 via-slate-800 to-primary-900 p-6 text-white shadow-lg sm:p-8">
+                <div className="relative flex flex-col gap-6 lg:flex-row lg:items-center lg:justify-between">
+                    <div>
+                        <p className="text-xs uppercase tracking-[0.2em] text-slate-200/80">Admin Console</p>
+                        <h1 className="mt-2 text-3xl font-black leading-tight sm:text-4xl">Stock Locations</h1>
+                        <p className="mt-2 max-w-xl text-slate-200/90">Warehouses and stores that hold stock. Orders ship from locations in the customer&apos;s country first, then by priority.</p>
+                    </div>
+                    <div className="flex flex-wrap gap-3">
+                        <button type="button" onClick={loadLocations} className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold backdrop-blur-sm transition-all hover:bg-white/20">
+                            Refresh
+                        </button>
+                        <button type="button" onClick={() => navigate('/admin/stock-locations/create')} className="rounded-xl bg-primary-400 px-5 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300">
+                            + Add Location
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                <div className="rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-slate-500">Locations</p>
+                    <p className="mt-2 text-3xl font-black text-slate-900">{locations.length}</p>
+                </div>
+                <div className="rounded-2xl border border-emerald-200 bg-gradient-to-br from-emerald-50 to-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-emerald-700">Active</p>
+                    <p className="mt-2 text-3xl font-black text-emerald-800">{activeCount}</p>
+                </div>
+                <div className="rounded-2xl border border-sky-200 bg-gradient-to-br from-sky-50 to-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-sky-700">Units On Hand</p>
+                    <p className="mt-2 text-3xl font-black text-sky-800">{totalUnits}</p>
+                </div>
+            </div>
+
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm sm:p-5">
+                <div className="grid grid-cols-1 gap-3 lg:grid-cols-[1fr_auto_auto]">
+                    <input
+                        type="text"
+                        placeholder="Search by name, code or city..."
+                        value={searchTerm}
+                        onChange={(event) => setSearchTerm(event.target.value)}
+                        className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    />
+                    <select
+                        value={statusFilter}
+                        onChange={(event) => setStatusFilter(event.target.value)}
+                        className="rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    >
+                        <option value="">All Status</option>
+                        <option value="active">Active</option>
+                        <option value="inactive">Inactive</option>
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setSearchTerm('');
+                            setStatusFilter('');
+                        }}
+                        className="rounded-xl bg-slate-900 px-5 py-3 font-semibold text-white transition-colors hover:bg-slate-700"
+                    >
+                        Reset
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
+                <table className="w-full min-w-[800px] text-sm">
+                    <thead>
+                        <tr className="border-b border-slate-200 text-left text-slate-600">
+                            <th className="py-2 pr-2">Name</th>
+                            <th className="py-2 pr-2">Code</th>
+                            <th className="py-2 pr-2">Type</th>
+                            <th className="py-2 pr-2">Address</th>
+                            <th className="py-2 pr-2">Priority</th>
+                            <th className="py-2 pr-2">Units</th>
+                            <th className="py-2 pr-2">Status</th>
+                            <th className="py-2 pr-2">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {filteredLocations.map((location) => (
+                            <tr key={location._id} className="border-b border-slate-100">
+                                <td className="py-2 pr-2 font-semibold text-slate-900">
+                                    {location.name}
+                                    {location.isDefault && (
+                                        <span className="ml-2 rounded bg-primary-100 px-2 py-0.5 text-xs font-semibold text-primary-800">Default</span>
+                                    )}
+                                </td>
+                                <td className="py-2 pr-2 font-mono">{location.code}</td>
+                                <td className="py-2 pr-2">{TYPE_LABELS[location.type] || location.type}</td>
+                                <td className="py-2 pr-2">
+                                    {[location.city, location.state, location.country].filter(Boolean).join(', ') || <span className="text-slate-400">-</span>}
+                                </td>
+                                <td className="py-2 pr-2">{location.priority}</td>
+                                <td className="py-2 pr-2 font-semibold">{Number(location.units || 0)}</td>
+                                <td className="py-2 pr-2">
+                                    <span className={`rounded px-2 py-1 text-xs font-semibold ${location.status === 'active' ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-200 text-slate-700'}`}>
+                                        {location.status}
+                                    </span>
+                                </td>
+                                <td className="py-2 pr-2">
+                                    <div className="flex gap-2">
+                                        <button type="button" onClick={() => navigate(`/admin/stock-locations/${location._id}/edit`)} className="rounded bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-700">
+                                            Edit
+                                        </button>
+                                        {!location.isDefault && (
+                                            <button type="button" onClick={() => setDeleteTarget(location)} className="rounded border border-red-200 bg-red-50 px-3 py-1 text-xs font-semibold text-red-700 hover:bg-red-100">
+                                                Delete
+                                            </button>
+                                        )}
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                        {filteredLocations.length === 0 && (
+                            <tr>
+                                <td colSpan="8" className="py-8 text-center text-slate-500">
+                                    {locations.length ? 'No stock locations found.' : 'No stock locations yet. The first location you add takes over all existing stock.'}
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <ConfirmDialog
+                isOpen={Boolean(deleteTarget)}
+                title="Delete Stock Location?"
+                message="Only empty locations can be deleted. Move their stock from the Inventory page first."
+                highlightText={deleteTarget?.name || ''}
+                confirmText={isDeleting ? 'Deleting...' : 'Delete'}
+                cancelText="Cancel"
+                isProcessing={isDeleting}
+                onConfirm={confirmDelete}
+                onCancel={() => setDeleteTarget(null)}
+            />
+        </div>
+    );
+};
+
+export default StockLocationsList;
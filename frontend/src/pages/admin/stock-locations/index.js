@@ -0,0 +1,7 @@
+export * from './StockLocationForm.jsx';
+
+export * from './StockLocationsList.jsx';
+
+export { default as StockLocationForm } from './StockLocationForm.jsx';
+
+export { default as StockLocationsList } from './StockLocationsList.jsx';
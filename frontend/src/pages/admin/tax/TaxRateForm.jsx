@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { useNavigate, useParams } from 'react-router-dom';
+import notify from '../../../utils/notify';
+import taxService from '../../../services/taxService';
+import SavingOverlay from '../../../components/ui/SavingOverlay';
+import { TAX_CLASSES } from '../../../constants';
+
+const schema = yup.object({
+    name: yup.string().trim().required('Name is required').max(100, 'Name cannot exceed 100 characters'),
+    country: yup.string().trim().required('Country is required').matches(/^[A-Za-z]{2}$/, 'Use a 2-letter ISO code, e.g. US or DE'),
+    state: yup.string().trim().max(100, 'State cannot exceed 100 characters').default(''),
+    taxClass: yup.string().oneOf(TAX_CLASSES.map((item) => item.value)).required(),
+    rate: yup.number()
+        .transform((v, orig) => (orig === '' || Number.isNaN(v) ? undefined : v))
+        .required('Rate is required')
+        .min(0, 'Rate cannot be negative')
+        .max(100, 'Rate cannot exceed 100%'),
+    appliesToShipping: yup.boolean().default(false),
+    status: yup.string().oneOf(['active', 'inactive']).required(),
+});
+
+const TaxRateForm = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const isEdit = Boolean(id);
+
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const { register, handleSubmit, formState: { errors }, reset, setError } = useForm({
+        resolver: yupResolver(schema),
+        defaultValues: {
+            name: '',
+            country: '',
+            state: '',
+            taxClass: 'standard',
+            rate: '',
+            appliesToShipping: false,
+            status: 'active',
+        },
+        mode: 'onBlur',
+    });
+
+    useEffect(() => {
+        if (!isEdit) return;
+        const loadRate = async () => {
+            try {
+                setIsLoading(true);
+                const response = await taxService.getTaxRateById(id);
+                const rate = response?.data?.data || response?.data;
+                if (!rate?._id) {
+                    notify.error('Tax rate not found');
+                    navigate('/admin/tax-rates');
+                    return;
+                }
+                reset({
+                    name: rate.name || '',
+                    country: rate.country || '',
+                    state: rate.state || '',
+                    taxClass: rate.taxClass || 'standard',
+                    rate: rate.rate ?? '',
+                    appliesToShipping: Boolean(rate.appliesToShipping),
+                    status: rate.status || 'active',
+                });
+            } catch (error) {
+                notify.error(error, 'Failed to load tax rate');
+                navigate('/admin/tax-rates');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        loadRate();
+    }, [id, isEdit, navigate, reset]);
+
+    const onSubmit = async (data) => {
+        try {
+            setIsSaving(true);
+            const payload = {
+                name: data.name.trim(),
+                country: data.country.trim().toUpperCase(),
+                state: data.state?.trim().toUpperCase() || '',
+                taxClass: data.taxClass,
+                rate: data.rate,
+                appliesToShipping: Boolean(data.appliesToShipping),
+                status: data.status,
+            };
+
+            if (isEdit) {
+                await taxService.updateTaxRate(id, payload);
+                notify.success('Tax rate updated successfully');
+            } else {
+                await taxService.createTaxRate(payload);
+                notify.success('Tax rate created successfully');
+            }
+
+            navigate('/admin/tax-rates');
+        } catch (error) {
+            const serverErrors = error?.errors || error?.data?.errors || error?.response?.data?.errors;
+            if (Array.isArray(serverErrors) && serverErrors.length > 0) {
+                serverErrors.forEach(({ field, message }) => { if (field) setError(field, { message }); });
+                notify.error(serverErrors[0]?.message || 'Please fix form validation errors');
+            } else {
+                notify.error(error, `Failed to ${isEdit ? 'update' : 'create'} tax rate`);
+            }
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const fc = (field) => `w-full rounded-xl border px-4 py-3 focus:outline-none focus:ring-2 ${errors[field] ? 'border-red-400 focus:ring-red-100 bg-red-50' : 'border-slate-300 focus:ring-primary-100'}`;
+
+    if (isLoading) {
+        return (
+            <div className="flex h-[420px] items-center justify-center">
+                <div className="rounded-2xl border border-slate-200 bg-white p-10 text-center shadow-sm">
+                    <div className="mx-auto mb-4 h-16 w-16 animate-spin rounded-full border-b-4 border-slate-700" />
+                    <p className="text-lg font-semibold text-slate-800">Loading tax rate...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <SavingOverlay visible={isSaving} message={isEdit ? 'Updating tax rate...' : 'Creating tax rate...'} />
+            <div className="rounded-2xl border border-slate-200 bg-gradient-to-br from-slate-900 via-slate-800 to-primary-900 p-6 text-white shadow-lg sm:p-8">
+                <p className="text-xs uppercase tracking-[0.2em] text-slate-200/80">Tax</p>
+                <h1 className="mt-2 text-3xl font-black leading-tight sm:text-4xl">{isEdit ? 'Edit Tax Rate' : 'Create Tax Rate'}</h1>
+                <p className="mt-2 text-slate-200/90">Leave the state empty to apply the rate to the whole country. Country and state rates add up.</p>
+            </div>
+
+            <form onSubmit={handleSubmit(onSubmit)} noValidate className="space-y-6 rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-[0_10px_30px_rgba(15,23,42,0.08)] sm:p-7">
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Name *</label>
+                        <input {...register('name')} placeholder="DE VAT, CA Sales Tax..." className={fc('name')} />
+                        {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Rate (%) *</label>
+                        <input {...register('rate')} type="number" min="0" max="100" step="0.001" className={fc('rate')} />
+                        {errors.rate && <p className="mt-1 text-sm text-red-600">{errors.rate.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Country (ISO code) *</label>
+                        <input {...register('country')} placeholder="US" maxLength={2} className={`${fc('country')} uppercase`} />
+                        {errors.country && <p className="mt-1 text-sm text-red-600">{errors.country.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">State</label>
+                        <input {...register('state')} placeholder="All states" className={`${fc('state')} uppercase`} />
+                        {errors.state && <p className="mt-1 text-sm text-red-600">{errors.state.message}</p>}
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Tax Class *</label>
+                        <select {...register('taxClass')} className={fc('taxClass')}>
+                            {TAX_CLASSES.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="mb-2 block text-sm font-semibold text-slate-700">Status *</label>
+                        <select {...register('status')} className={fc('status')}>
+                            <option value="active">Active</option>
+                            <option value="inactive">Inactive</option>
+                        </select>
+                    </div>
+                    <div className="md:col-span-2">
+                        <label className="inline-flex items-center gap-2 text-sm font-semibold text-slate-700">
+                            <input type="checkbox" {...register('appliesToShipping')} />
+                            Also apply to shipping charges
+                        </label>
+                    </div>
+                </div>
+
+                <div className="sticky bottom-3 z-10 flex flex-col items-center gap-3 rounded-2xl border border-slate-200 bg-white/90 p-3 shadow-[0_10px_30px_rgba(15,23,42,0.12)] backdrop-blur sm:flex-row">
+                    <button type="button" onClick={() => navigate('/admin/tax-rates')} className="w-full rounded-xl border border-slate-300 bg-white px-6 py-3 font-semibold text-slate-800 transition-colors hover:bg-slate-100 sm:w-auto">
+                        Cancel
+                    </button>
+                    <button type="submit" disabled={isSaving} className="w-full rounded-xl bg-primary-400 px-6 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300 disabled:opacity-50 sm:flex-1">
+                        {isSaving ? 'Saving...' : isEdit ? 'Update Rate' : 'Create Rate'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default TaxRateForm;
@@ -0,0 +1,217 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import notify from '../../../utils/notify';
+import { ConfirmDialog } from '../../../components/common';
+import taxService from '../../../services/taxService';
+import { TAX_CLASSES } from '../../../constants';
+
+const TAX_CLASS_LABELS = Object.fromEntries(TAX_CLASSES.map((item) => [item.value, item.label]));
+
+const TaxRatesList = () => {
+    const navigate = useNavigate();
+    const [rates, setRates] = useState([]);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [countryFilter, setCountryFilter] = useState('');
+    const [statusFilter, setStatusFilter] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [deleteTarget, setDeleteTarget] = useState(null);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const loadRates = async () => {
+        try {
+            setIsLoading(true);
+            const response = await taxService.getTaxRates({ limit: 200 });
+            const payload = response?.data?.data ?? response?.data ?? [];
+            setRates(Array.isArray(payload) ? payload : payload?.rates || []);
+        } catch (error) {
+            notify.error(error, 'Failed to load tax rates');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadRates();
+    }, []);
+
+    const countries = useMemo(() => [...new Set(rates.map((item) => item.country))].sort(), [rates]);
+
+    const filteredRates = useMemo(() => (
+        rates.filter((item) => {
+            const term = searchTerm.toLowerCase();
+            const matchesSearch = (item.name || '').toLowerCase().includes(term)
+                || (item.state || '').toLowerCase().includes(term);
+            const matchesCountry = !countryFilter || item.country === countryFilter;
+            const matchesStatus = !statusFilter || item.status === statusFilter;
+            return matchesSearch && matchesCountry && matchesStatus;
+        })
+    ), [rates, searchTerm, countryFilter, statusFilter]);
+
+    const activeCount = useMemo(() => rates.filter((item) => item.status === 'active').length, [rates]);
+
+    const confirmDelete = async () => {
+        if (!deleteTarget?._id) return;
+        try {
+            setIsDeleting(true);
+            await taxService.deleteTaxRate(deleteTarget._id);
+            notify.success('Tax rate deleted successfully');
+            setDeleteTarget(null);
+            await loadRates();
+        } catch (error) {
+            notify.error(error, 'Failed to delete tax rate');
+        } finally {
+            setIsDeleting(false);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex h-[420px] items-center justify-center">
+                <div className="rounded-2xl border border-slate-200 bg-white p-10 text-center shadow-sm">
+                    <div className="mx-auto mb-4 h-16 w-16 animate-spin rounded-full border-b-4 border-slate-700" />
+                    <p className="text-lg font-semibold text-slate-800">Loading tax rates...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div className="relative overflow-hidden rounded-2xl border border-slate-200 bg-gradient-to-br from-slate-900 via-slate-800 to-primary-900 p-6 text-white shadow-lg sm:p-8">
+                <div className="relative flex flex-col gap-6 lg:flex-row lg:items-center lg:justify-between">
+                    <div>
+                        <p className="text-xs uppercase tracking-[0.2em] text-slate-200/80">Admin Console</p>
+                        <h1 className="mt-2 text-3xl font-black leading-tight sm:text-4xl">Tax Rates</h1>
+                        <p className="mt-2 max-w-xl text-slate-200/90">Manage tax rates by country and state. Whether prices include tax is set under Settings.</p>
+                    </div>
+                    <div className="flex flex-wrap gap-3">
+                        <button type="button" onClick={loadRates} className="rounded-xl border border-white/30 bg-white/10 px-5 py-3 font-semibold backdrop-blur-sm transition-all hover:bg-white/20">
+                            Refresh
+                        </button>
+                        <button type="button" onClick={() => navigate('/admin/tax-rates/create')} className="rounded-xl bg-primary-400 px-5 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300">
+                            + Add Rate
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                <div className="rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-slate-500">Total Rates</p>
+                    <p className="mt-2 text-3xl font-black text-slate-900">{rates.length}</p>
+                </div>
+                <div className="rounded-2xl border border-emerald-200 bg-gradient-to-br from-emerald-50 to-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-emerald-700">Active</p>
+                    <p className="mt-2 text-3xl font-black text-emerald-800">{activeCount}</p>
+                </div>
+                <div className="rounded-2xl border border-sky-200 bg-gradient-to-br from-sky-50 to-white p-5 shadow-sm">
+                    <p className="text-xs uppercase tracking-widest text-sky-700">Countries</p>
+                    <p className="mt-2 text-3xl font-black text-sky-800">{countries.length}</p>
+                </div>
+            </div>
+
+            <div className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm sm:p-5">
+                <div className="grid grid-cols-1 gap-3 lg:grid-cols-[1fr_auto_auto_auto]">
+                    <input
+                        type="text"
+                        placeholder="Search by name or state..."
+                        value={searchTerm}
+                        onChange={(event) => setSearchTerm(event.target.value)}
+                        className="w-full rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    />
+                    <select
+                        value={countryFilter}
+                        onChange={(event) => setCountryFilter(event.target.value)}
+                        className="rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    >
+                        <option value="">All Countries</option>
+                        {countries.map((country) => <option key={country} value={country}>{country}</option>)}
+                    </select>
+                    <select
+                        value={statusFilter}
+                        onChange={(event) => setStatusFilter(event.target.value)}
+                        className="rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
+                    >
+                        <option value="">All Status</option>
+                        <option value="active">Active</option>
+                        <option value="inactive">Inactive</option>
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setSearchTerm('');
+                            setCountryFilter('');
+                            setStatusFilter('');
+                        }}
+                        className="rounded-xl bg-slate-900 px-5 py-3 font-semibold text-white transition-colors hover:bg-slate-700"
+                    >
+                        Reset
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
+                <table className="w-full min-w-[800px] text-sm">
+                    <thead>
+                        <tr className="border-b border-slate-200 text-left text-slate-600">
+                            <th className="py-2 pr-2">Name</th>
+                            <th className="py-2 pr-2">Country</th>
+                            <th className="py-2 pr-2">State</th>
+                            <th className="py-2 pr-2">Class</th>
+                            <th className="py-2 pr-2">Rate</th>
+                            <th className="py-2 pr-2">Shipping</th>
+                            <th className="py-2 pr-2">Status</th>
+                            <th className="py-2 pr-2">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {filteredRates.map((rate) => (
+                            <tr key={rate._id} className="border-b border-slate-100">
+                                <td className="py-2 pr-2 font-semibold text-slate-900">{rate.name}</td>
+                                <td className="py-2 pr-2">{rate.country}</td>
+                                <td className="py-2 pr-2">{rate.state || <span className="text-slate-400">All</span>}</td>
+                                <td className="py-2 pr-2">{TAX_CLASS_LABELS[rate.taxClass] || rate.taxClass}</td>
+                                <td className="py-2 pr-2 font-semibold">{Number(rate.rate || 0)}%</td>
+                                <td className="py-2 pr-2">{rate.appliesToShipping ? 'Taxed' : '-'}</td>
+                                <td className="py-2 pr-2">
+                                    <span className={`rounded px-2 py-1 text-xs font-semibold ${rate.status === 'active' ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-200 text-slate-700'}`}>
+                                        {rate.status}
+                                    </span>
+                                </td>
+                                <td className="py-2 pr-2">
+                                    <div className="flex gap-2">
+                                        <button type="button" onClick={() => navigate(`/admin/tax-rates/${rate._id}/edit`)} className="rounded bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-700">
+                                            Edit
+                                        </button>
+                                        <button type="button" onClick={() => setDeleteTarget(rate)} className="rounded border border-red-200 bg-red-50 px-3 py-1 text-xs font-semibold text-red-700 hover:bg-red-100">
+                                            Delete
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                        {filteredRates.length === 0 && (
+                            <tr>
+                                <td colSpan="8" className="py-8 text-center text-slate-500">No tax rates found.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <ConfirmDialog
+                isOpen={Boolean(deleteTarget)}
+                title="Delete Tax Rate?"
+                message="Orders already placed keep their tax lines; new orders will no longer be charged this rate."
+                highlightText={deleteTarget?.name || ''}
+                confirmText={isDeleting ? 'Deleting...' : 'Delete'}
+                cancelText="Cancel"
+                isProcessing={isDeleting}
+                onConfirm={confirmDelete}
+                onCancel={() => setDeleteTarget(null)}
+            />
+        </div>
+    );
+};
+
+export default TaxRatesList;
@@ -0,0 +1,7 @@
+export * from './TaxRateForm.jsx';
+
+export * from './TaxRatesList.jsx';
+
+export { default as TaxRateForm } from './TaxRateForm.jsx';
+
+export { default as TaxRatesList } from './TaxRatesList.jsx';
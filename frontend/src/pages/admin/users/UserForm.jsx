@@ -4,11 +4,12 @@ import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import notify from '../../../utils/notify';
-import { API_CONFIG } from '../../../constants';
+import { API_CONFIG, PERMISSIONS, ROLE_OPTIONS, SIGN_IN_FAILURE_LABELS } from '../../../constants';
 import authFetch from '../../../utils/authFetch.js';
 import { AdminLoadingState, AdminPageHeader, AdminSurface } from '../../../components/admin/AdminTheme';
 import SavingOverlay from '../../../components/ui/SavingOverlay';
 import useImageSettings from '../../../hooks/useImageSettings';
+import { useAuthStore } from '../../../store/authStore';
 
 const buildSchema = (isEdit) => yup.object({
     name: yup.string().trim().required('Name is required').min(2, 'Name must be at least 2 characters'),
@@ -16,7 +17,7 @@ const buildSchema = (isEdit) => yup.object({
     password: isEdit
         ? yup.string().test('min-if-set', 'Password must be at least 8 characters', (v) => !v || v.length >= 8)
         : yup.string().required('Password is required').min(8, 'Password must be at least 8 characters'),
-    role: yup.string().oneOf(['admin', 'user'], 'Role must be admin or user').required(),
+    role: yup.string().oneOf(ROLE_OPTIONS.map((role) => role.value), 'Choose a role from the list').required(),
     status: yup.string().oneOf(['active', 'inactive'], 'Status must be active or inactive').required(),
 });
 
@@ -25,12 +26,18 @@ const UserForm = () => {
     const navigate = useNavigate();
     const { accept: imageAccept } = useImageSettings();
     const isEdit = Boolean(id);
+    const canManage = useAuthStore((state) => state.can(PERMISSIONS.USERS_MANAGE));
 
     const [isLoading, setIsLoading] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
     const [showPassword, setShowPassword] = useState(false);
     const [selectedPhotoFile, setSelectedPhotoFile] = useState(null);
     const [photoPreview, setPhotoPreview] = useState('');
+    const [lockout, setLockout] = useState({ failedLoginAttempts: 0, lockUntil: null });
+    const [isUnlocking, setIsUnlocking] = useState(false);
+    const [signIns, setSignIns] = useState([]);
+    const [signInPage, setSignInPage] = useState(1);
+    const [signInPagination, setSignInPagination] = useState(null);
 
     const { register, handleSubmit, reset, setError, formState: { errors } } = useForm({
         resolver: yupResolver(buildSchema(isEdit)),
@@ -49,6 +56,10 @@ const UserForm = () => {
         setPhotoPreview('');
     }, [id]);
 
+    useEffect(() => {
+        if (isEdit) loadSignIns(signInPage);
+    }, [id, signInPage]);
+
     useEffect(() => () => {
         if (photoPreview && photoPreview.startsWith('blob:')) {
             URL.revokeObjectURL(photoPreview);
@@ -82,6 +93,7 @@ const UserForm = () => {
             });
             setSelectedPhotoFile(null);
             setPhotoPreview(user.photo ? getImageUrl(user.photo) : '');
+            setLockout({ failedLoginAttempts: user.failedLoginAttempts || 0, lockUntil: user.lockUntil || null });
         } catch (error) {
             notify.error(error, 'Failed to load user');
         } finally {
@@ -89,6 +101,36 @@ const UserForm = () => {
         }
     };
 
+    const loadSignIns = async (page) => {
+        try {
+            const response = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.USERS}/${id}/login-history?page=${page}&limit=10`);
+            const data = await response.json();
+            if (!response.ok || !data?.success) return;
+            setSignIns(data?.data?.attempts || []);
+            setSignInPagination(data?.data?.pagination || null);
+        } catch (error) {
+            notify.error(error, 'Failed to load sign-in history');
+        }
+    };
+
+    const handleUnlock = async () => {
+        try {
+            setIsUnlocking(true);
+            const response = await authFetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.USERS}/${id}/unlock`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok || !data?.success) {
+                notify.error(data, 'Failed to unlock account');
+                return;
+            }
+            setLockout({ failedLoginAttempts: 0, lockUntil: null });
+            notify.success('Account unlocked');
+        } catch (error) {
+            notify.error(error, 'Failed to unlock account');
+        } finally {
+            setIsUnlocking(false);
+        }
+    };
+
     const handlePhotoChange = (event) => {
         const file = event.target.files?.[0];
         if (!file) return;
@@ -157,6 +199,8 @@ const UserForm = () => {
         }
     };
 
+    const isLocked = Boolean(lockout.lockUntil && new Date(lockout.lockUntil) > new Date());
+
     if (isLoading) {
         return <AdminLoadingState title="Loading user form..." subtitle="Preparing account details" />;
     }
@@ -251,8 +295,9 @@ const UserForm = () => {
                     <div>
                         <label className="mb-2 block text-sm font-semibold text-slate-700">Role *</label>
                         <select {...register('role')} className={fc('role')}>
-                            <option value="user">User</option>
-                            <option value="admin">Admin</option>
+                            {ROLE_OPTIONS.map((role) => (
+                                <option key={role.value} value={role.value}>{role.label}</option>
+                            ))}
                         </select>
                         {errors.role && <p className="mt-1 text-sm text-red-600">{errors.role.message}</p>}
                     </div>
@@ -284,6 +329,101 @@ const UserForm = () => {
                 </div>
                 </form>
             </AdminSurface>
+
+            {isEdit && (
+                <AdminSurface className="space-y-5">
+                    <div className="flex flex-wrap items-start justify-between gap-3">
+                        <div>
+                            <h2 className="text-lg font-bold text-slate-900">Sign-in Security</h2>
+                            <p className="text-sm text-slate-600">
+                                {isLocked
+                                    ? `Locked after ${lockout.failedLoginAttempts} failed sign-ins until ${new Date(lockout.lockUntil).toLocaleString()}.`
+                                    : `${lockout.failedLoginAttempts} failed sign-in${lockout.failedLoginAttempts === 1 ? '' : 's'} since the last successful one.`}
+                            </p>
+                        </div>
+                        <div className="flex items-center gap-3">
+                            <span className={`rounded-full px-3 py-1 text-xs font-semibold ${isLocked ? 'bg-red-50 text-red-700' : 'bg-emerald-50 text-emerald-700'}`}>
+                                {isLocked ? 'Locked' : 'Not locked'}
+                            </span>
+                            {canManage && (isLocked || lockout.failedLoginAttempts > 0) && (
+                                <button
+                                    type="button"
+                                    onClick={handleUnlock}
+                                    disabled={isUnlocking}
+                                    className="rounded-xl border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-700 hover:bg-slate-100 disabled:opacity-50"
+                                >
+                                    {isUnlocking ? 'Unlocking...' : isLocked ? 'Unlock Account' : 'Reset Failed Count'}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="w-full min-w-[640px] text-sm">
+                            <thead>
+                                <tr className="border-b border-slate-200 text-left text-slate-600">
+                                    <th className="py-3 pr-3">When</th>
+                                    <th className="py-3 pr-3">Device</th>
+                                    <th className="py-3 pr-3">IP address</th>
+                                    <th className="py-3 pr-3">Result</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {signIns.map((attempt) => (
+                                    <tr key={attempt._id} className="border-b border-slate-100">
+                                        <td className="whitespace-nowrap py-3 pr-3 text-slate-700">{new Date(attempt.createdAt).toLocaleString()}</td>
+                                        <td className="py-3 pr-3">
+                                            <p className="text-slate-900">
+                                                {attempt.device}
+                                                {attempt.newDevice && <span className="ml-2 rounded-full bg-amber-50 px-2 py-0.5 text-xs font-semibold text-amber-700">New device</span>}
+                                            </p>
+                                            <p className="max-w-xs truncate text-xs text-slate-500" title={attempt.userAgent}>{attempt.userAgent || '—'}</p>
+                                        </td>
+                                        <td className="py-3 pr-3 font-mono text-xs text-slate-700">{attempt.ip || '—'}</td>
+                                        <td className="py-3 pr-3">
+                                            <span className={`rounded-full px-3 py-1 text-xs font-semibold ${attempt.success ? 'bg-emerald-50 text-emerald-700' : 'bg-red-50 text-red-700'}`}>
+                                                {attempt.success ? 'Signed in' : SIGN_IN_FAILURE_LABELS[attempt.reason] || 'Failed'}
+                                            </span>
+                                            {attempt.method && attempt.method !== 'password' && (
+                                                <span className="ml-2 text-xs capitalize text-slate-500">{attempt.method}</span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                                {signIns.length === 0 && (
+                                    <tr>
+                                        <td colSpan="4" className="py-8 text-center text-slate-500">No sign-in attempts recorded.</td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {signInPagination && signInPagination.pages > 1 && (
+                        <div className="flex items-center justify-end gap-2">
+                            <button
+                                type="button"
+                                onClick={() => setSignInPage((page) => page - 1)}
+                                disabled={!signInPagination.hasPrev}
+                                className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                            >
+                                Previous
+                            </button>
+                            <span className="text-sm font-semibold text-slate-700">
+                                Page {signInPagination.page} of {signInPagination.pages}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => setSignInPage((page) => page + 1)}
+                                disabled={!signInPagination.hasNext}
+                                className="rounded-xl border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    )}
+                </AdminSurface>
+            )}
         </div>
     );
 };
@@ -2,14 +2,18 @@ import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 import ConfirmDialog from '../../../components/common/ConfirmDialog';
 import notify from '../../../utils/notify';
-import { API_CONFIG } from '../../../constants';
+import { API_CONFIG, PERMISSIONS, ROLE_LABELS, ROLE_OPTIONS } from '../../../constants';
 import apiClient from '../../../services/apiClient';
+import { useAuthStore } from '../../../store/authStore';
 
 const UsersList = () => {
+    const canManage = useAuthStore((state) => state.can(PERMISSIONS.USERS_MANAGE));
     const [users, setUsers] = useState([]);
     const [isInitialLoading, setIsInitialLoading] = useState(true);
     const [isFetching, setIsFetching] = useState(false);
     const [userToDelete, setUserToDelete] = useState(null);
+    const [userToSignOut, setUserToSignOut] = useState(null);
+    const [isSigningOut, setIsSigningOut] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const [roleFilter, setRoleFilter] = useState('');
     const [statusFilter, setStatusFilter] = useState('active');
@@ -98,24 +102,24 @@ const UsersList = () => {
     const stats = useMemo(() => {
         const total = pagination.total;
         const active = users.filter((u) => u.status === 'active').length;
-        const admins = users.filter((u) => u.role === 'admin').length;
         const normalUsers = users.filter((u) => u.role === 'user').length;
-        return { total, active, admins, normalUsers };
+        const staff = users.length - normalUsers;
+        return { total, active, staff, normalUsers };
     }, [users]);
 
     const orderedUsers = useMemo(() => {
-        const rolePriority = { admin: 0, user: 1 };
+        const rolePriority = { admin: 0, user: 2 };
         return [...users].sort((a, b) => {
-            const roleA = rolePriority[a.role] ?? 2;
-            const roleB = rolePriority[b.role] ?? 2;
+            const roleA = rolePriority[a.role] ?? 1;
+            const roleB = rolePriority[b.role] ?? 1;
             if (roleA !== roleB) return roleA - roleB;
             return String(a.name || '').localeCompare(String(b.name || ''));
         });
     }, [users]);
 
     const dynamicDescription = useMemo(() => {
-        return `Showing ${users.length} of ${stats.total} users | Active (page): ${stats.active} | Admins (page): ${stats.admins}`;
-    }, [users.length, stats.total, stats.active, stats.admins]);
+        return `Showing ${users.length} of ${stats.total} users | Active (page): ${stats.active} | Staff (page): ${stats.staff}`;
+    }, [users.length, stats.total, stats.active, stats.staff]);
 
     const handleDelete = async () => {
         if (!userToDelete?._id) return;
@@ -132,6 +136,21 @@ const UsersList = () => {
         }
     };
 
+    const handleSignOut = async () => {
+        if (!userToSignOut?._id) return;
+        setIsSigningOut(true);
+        try {
+            const response = await apiClient.delete(`${API_CONFIG.ENDPOINTS.USERS}/${userToSignOut._id}/sessions`);
+            const revoked = response.data?.data?.revoked ?? 0;
+            setUserToSignOut(null);
+            notify.success(`${userToSignOut.name || 'User'} signed out of ${revoked} session${revoked === 1 ? '' : 's'}`);
+        } catch (error) {
+            notify.error(error, 'Failed to sign out user');
+        } finally {
+            setIsSigningOut(false);
+        }
+    };
+
     if (isInitialLoading) {
         return (
             <div className="flex h-[420px] items-center justify-center">
@@ -162,12 +181,14 @@ const UsersList = () => {
                         >
                             Refresh
                         </button>
-                        <Link
-                            to="/admin/users/create"
-                            className="rounded-xl bg-primary-400 px-5 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300"
-                        >
-                            + Add User
-                        </Link>
+                        {canManage && (
+                            <Link
+                                to="/admin/users/create"
+                                className="rounded-xl bg-primary-400 px-5 py-3 font-bold text-slate-900 transition-colors hover:bg-primary-300"
+                            >
+                                + Add User
+                            </Link>
+                        )}
                     </div>
                 </div>
             </div>
@@ -182,8 +203,8 @@ const UsersList = () => {
                     <p className="mt-2 text-3xl font-black text-emerald-800">{stats.active}</p>
                 </div>
                 <div className="rounded-2xl border border-violet-200 bg-gradient-to-br from-violet-50 to-white p-5 shadow-sm">
-                    <p className="text-xs uppercase tracking-widest text-violet-700">Admins</p>
-                    <p className="mt-2 text-3xl font-black text-violet-800">{stats.admins}</p>
+                    <p className="text-xs uppercase tracking-widest text-violet-700">Staff</p>
+                    <p className="mt-2 text-3xl font-black text-violet-800">{stats.staff}</p>
                 </div>
                 <div className="rounded-2xl border border-primary-200 bg-gradient-to-br from-primary-50 to-white p-5 shadow-sm">
                     <p className="text-xs uppercase tracking-widest text-primary-700">Users</p>
@@ -223,8 +244,9 @@ const UsersList = () => {
                         className="rounded-xl border border-slate-300 px-4 py-3 text-slate-800 focus:border-primary-400 focus:ring-2 focus:ring-primary-200"
                     >
                         <option value="">All Roles</option>
-                        <option value="admin">Admin</option>
-                        <option value="user">User</option>
+                        {ROLE_OPTIONS.map((role) => (
+                            <option key={role.value} value={role.value}>{role.label}</option>
+                        ))}
                     </select>
                     <select
                         value={statusFilter}
@@ -296,8 +318,8 @@ const UsersList = () => {
                                 </td>
                                 <td className="py-3 pr-3 text-slate-700">{user.email}</td>
                                 <td className="py-3 pr-3">
-                                    <span className={`rounded-full px-3 py-1 text-xs font-semibold ${user.role === 'admin' ? 'bg-violet-100 text-violet-800' : 'bg-primary-100 text-primary-800'}`}>
-                                        {user.role}
+                                    <span className={`rounded-full px-3 py-1 text-xs font-semibold ${user.role !== 'user' ? 'bg-violet-100 text-violet-800' : 'bg-primary-100 text-primary-800'}`}>
+                                        {ROLE_LABELS[user.role] || user.role}
                                     </span>
                                 </td>
                                 <td className="py-3 pr-3">
@@ -308,12 +330,19 @@ const UsersList = () => {
                                 <td className="py-3 pr-3 text-slate-500">{new Date(user.createdAt).toLocaleDateString()}</td>
                                 <td className="py-3 pr-3">
                                     <div className="flex justify-end gap-2">
-                                        <Link to={`/admin/users/${user._id}/edit`} className="rounded-lg bg-slate-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-slate-700">
-                                            Edit
-                                        </Link>
-                                        <button onClick={() => setUserToDelete(user)} className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1.5 text-xs font-semibold text-rose-700 hover:bg-rose-100">
-                                            Delete
-                                        </button>
+                                        {canManage && (
+                                            <>
+                                                <Link to={`/admin/users/${user._id}/edit`} className="rounded-lg bg-slate-900 px-3 py-1.5 text-xs font-semibold text-white hover:bg-slate-700">
+                                                    Edit
+                                                </Link>
+                                                <button onClick={() => setUserToSignOut(user)} className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-1.5 text-xs font-semibold text-amber-700 hover:bg-amber-100">
+                                                    Sign Out
+                                                </button>
+                                                <button onClick={() => setUserToDelete(user)} className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1.5 text-xs font-semibold text-rose-700 hover:bg-rose-100">
+                                                    Delete
+                                                </button>
+                                            </>
+                                        )}
                                     </div>
                                 </td>
                             </tr>
@@ -359,6 +388,18 @@ const UsersList = () => {
                 onConfirm={handleDelete}
                 onCancel={() => setUserToDelete(null)}
             />
+
+            <ConfirmDialog
+                isOpen={Boolean(userToSignOut)}
+                title="Sign Out User?"
+                message="Every device this user is signed in on is logged out immediately."
+                highlightText={userToSignOut?.name || ''}
+                confirmText="Sign Out Everywhere"
+                cancelText="Cancel"
+                onConfirm={handleSignOut}
+                onCancel={() => setUserToSignOut(null)}
+                isProcessing={isSigningOut}
+            />
         </div>
     );
 };
@@ -75,6 +75,7 @@ const ForgotPasswordPage = () => {
                                 <svg className="mt-0.5 h-5 w-5 shrink-0 text-emerald-600" fill="currentColor" viewBox="0 0 20 20"><path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" /></svg>
                                 <div className="flex-1">
                                     <p className="mb-2 text-sm font-semibold text-emerald-700">Request submitted! Check your inbox if the account exists.</p>
+                                    <p className="mb-2 text-sm text-emerald-700">The reset link expires in 15 minutes and works once.</p>
                                     <Link to="/login" className="inline-flex items-center text-sm font-medium text-emerald-700 underline hover:text-emerald-800">Back to Sign In →</Link>
                                 </div>
                             </div>
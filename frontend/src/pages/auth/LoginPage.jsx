@@ -6,7 +6,7 @@ import * as yup from 'yup';
 import { useLogin } from '@/hooks/queries';
 import { useAuthStore } from '@/store/authStore';
 import { DEMO_AUTH_CONFIG } from '@/constants';
-import { ErrorAlert, FieldError } from '@/components/common';
+import { ErrorAlert, FieldError, OAuthButtons, TwoFactorChallenge } from '@/components/common';
 import { processApiError, getFieldClasses, getFieldError } from '@/utils/errorUtils';
 import { useSiteSettings } from '@/context/useSiteSettings';
 import { resolveImageUrl } from '@/utils/imageUrl';
@@ -22,11 +22,14 @@ const LoginPage = () => {
     const navigate = useNavigate();
     const location = useLocation();
     const { settings } = useSiteSettings();
-    const from = location.state?.from?.pathname || '/';
+    const from = location.state?.from?.pathname || location.state?.returnTo || '/';
 
     const [error, setError] = useState([]);
     const [serverErrors, setServerErrors] = useState({});
     const [showPassword, setShowPassword] = useState(false);
+    // Set when the password was accepted but a second factor is still needed;
+    // social sign-in hands one over through the route state.
+    const [twoFactor, setTwoFactor] = useState(location.state?.twoFactor || null);
 
     const siteName = String(settings?.siteName || 'Enterprise E-Commerce').trim();
     const siteTagline = String(settings?.siteTagline || '').trim();
@@ -48,17 +51,25 @@ const LoginPage = () => {
         }
     }, []);
 
+    const finishSignIn = () => {
+        const isStaff = useAuthStore.getState().isStaff();
+        if (isStaff) {
+            navigate('/admin', { replace: true });
+        } else {
+            navigate(from && !from.startsWith('/admin') ? from : '/account', { replace: true });
+        }
+    };
+
     const doLogin = (credentials) => {
         setError([]);
         setServerErrors({});
         login(credentials, {
-            onSuccess: () => {
-                const isAdmin = useAuthStore.getState().isAdmin();
-                if (isAdmin) {
-                    navigate('/admin', { replace: true });
-                } else {
-                    navigate(from && !from.startsWith('/admin') ? from : '/account', { replace: true });
+            onSuccess: (response) => {
+                if (response?.data?.twoFactor) {
+                    setTwoFactor(response.data.twoFactor);
+                    return;
                 }
+                finishSignIn();
             },
             onError: (err) => {
                 const { fieldErrors, errorMessages, generalError } = processApiError(err);
@@ -116,63 +127,71 @@ const LoginPage = () => {
                         <p className="mt-1 text-sm text-slate-500">Continue where you left off.</p>
                     </div>
 
-                    <ErrorAlert errors={error} onClose={() => setError([])} className="mb-5" />
+                    {twoFactor ? (
+                        <TwoFactorChallenge challenge={twoFactor} onSuccess={finishSignIn} onCancel={() => setTwoFactor(null)} />
+                    ) : (
+                    <>
+                        <ErrorAlert errors={error} onClose={() => setError([])} className="mb-5" />
+
+                        <form onSubmit={handleSubmit(onSubmit)} className="space-y-5" noValidate>
+                            <div>
+                                <label htmlFor="email" className="mb-2 block text-sm font-semibold text-slate-700">Email Address</label>
+                                <input id="email" type="email" {...register('email')} className={getFieldClasses(errors, serverErrors, 'email')} placeholder="your@email.com" autoComplete="email" aria-invalid={errors.email ? true : undefined} />
+                                <FieldError error={getFieldError(errors, serverErrors, 'email')} />
+                            </div>
 
-                    <form onSubmit={handleSubmit(onSubmit)} className="space-y-5" noValidate>
-                        <div>
-                            <label htmlFor="email" className="mb-2 block text-sm font-semibold text-slate-700">Email Address</label>
-                            <input id="email" type="email" {...register('email')} className={getFieldClasses(errors, serverErrors, 'email')} placeholder="your@email.com" autoComplete="email" aria-invalid={errors.email ? true : undefined} />
-                            <FieldError error={getFieldError(errors, serverErrors, 'email')} />
-                        </div>
+                            <div>
+                                <label htmlFor="password" className="mb-2 block text-sm font-semibold text-slate-700">Password</label>
+                                <div className="relative">
+                                    <input id="password" type={showPassword ? 'text' : 'password'} {...register('password')} className={getFieldClasses(errors, serverErrors, 'password')} placeholder="••••••••" autoComplete="current-password" aria-invalid={errors.password ? true : undefined} />
+                                    <button type="button" onClick={() => setShowPassword(prev => !prev)} aria-label={showPassword ? 'Hide password' : 'Show password'} className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 transition-colors hover:text-slate-600">
+                                        {showPassword ? (
+                                            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L6.59 6.59m7.532 7.532l3.29 3.29M3 3l18 18" /></svg>
+                                        ) : (
+                                            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" /></svg>
+                                        )}
+                                    </button>
+                                </div>
+                                <FieldError error={getFieldError(errors, serverErrors, 'password')} />
+                            </div>
 
-                        <div>
-                            <label htmlFor="password" className="mb-2 block text-sm font-semibold text-slate-700">Password</label>
-                            <div className="relative">
-                                <input id="password" type={showPassword ? 'text' : 'password'} {...register('password')} className={getFieldClasses(errors, serverErrors, 'password')} placeholder="••••••••" autoComplete="current-password" aria-invalid={errors.password ? true : undefined} />
-                                <button type="button" onClick={() => setShowPassword(prev => !prev)} aria-label={showPassword ? 'Hide password' : 'Show password'} className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 transition-colors hover:text-slate-600">
-                                    {showPassword ? (
-                                        <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L6.59 6.59m7.532 7.532l3.29 3.29M3 3l18 18" /></svg>
-                                    ) : (
-                                        <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" /></svg>
-                                    )}
-                                </button>
+                            <div className="flex items-center justify-between gap-3">
+                                <label className="flex cursor-pointer items-center">
+                                    <input type="checkbox" {...register('rememberMe')} className="cursor-pointer rounded border-slate-300 text-primary-600 focus:ring-primary-500" />
+                                    <span className="ml-2 text-sm text-slate-600">
+                                        Remember me {rememberMeValue && <span className="font-semibold text-emerald-600"> ✓ Enabled</span>}
+                                    </span>
+                                </label>
+                                <Link to="/forgot-password" className="text-sm font-semibold text-primary-600 transition-colors hover:text-primary-700">Forgot password?</Link>
                             </div>
-                            <FieldError error={getFieldError(errors, serverErrors, 'password')} />
-                        </div>
 
-                        <div className="flex items-center justify-between gap-3">
-                            <label className="flex cursor-pointer items-center">
-                                <input type="checkbox" {...register('rememberMe')} className="cursor-pointer rounded border-slate-300 text-primary-600 focus:ring-primary-500" />
-                                <span className="ml-2 text-sm text-slate-600">
-                                    Remember me {rememberMeValue && <span className="font-semibold text-emerald-600"> ✓ Enabled</span>}
-                                </span>
-                            </label>
-                            <Link to="/forgot-password" className="text-sm font-semibold text-primary-600 transition-colors hover:text-primary-700">Forgot password?</Link>
-                        </div>
+                            <button type="submit" disabled={isPending} className="btn-neo tap-bounce hover-glow w-full rounded-xl py-3 font-semibold disabled:cursor-not-allowed disabled:opacity-50">
+                                {isPending ? 'Signing in...' : 'Enter Workspace'}
+                            </button>
+                        </form>
 
-                        <button type="submit" disabled={isPending} className="btn-neo tap-bounce hover-glow w-full rounded-xl py-3 font-semibold disabled:cursor-not-allowed disabled:opacity-50">
-                            {isPending ? 'Signing in...' : 'Enter Workspace'}
-                        </button>
-                    </form>
+                        <OAuthButtons rememberMe={rememberMeValue} returnTo={from && !from.startsWith('/admin') ? from : undefined} className="mt-6" />
 
-                    <div className="mt-6 text-center">
-                        <p className="text-slate-600">Don&apos;t have an account?{' '}<Link to="/register" className="font-semibold text-primary-600 hover:text-primary-700">Create one</Link></p>
-                    </div>
+                        <div className="mt-6 text-center">
+                            <p className="text-slate-600">Don&apos;t have an account?{' '}<Link to="/register" className="font-semibold text-primary-600 hover:text-primary-700">Create one</Link></p>
+                        </div>
 
-                    {import.meta.env.DEV && (
-                        <div className="glass-panel interactive-card mt-7 rounded-2xl border border-primary-100 bg-gradient-to-r from-primary-50 to-primary-50/50 p-4">
-                            <p className="mb-3 text-sm font-semibold text-primary-900">Quick Login:</p>
-                            <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
-                                <button type="button" onClick={() => handleQuickLogin('admin')} disabled={isPending} className="btn-neo tap-bounce hover-glow flex items-center justify-center gap-2 rounded-lg px-4 py-2.5 font-medium disabled:cursor-not-allowed disabled:opacity-50">
-                                    <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" /></svg>
-                                    Login as Admin
-                                </button>
-                                <button type="button" onClick={() => handleQuickLogin('user')} disabled={isPending} className="tap-bounce hover-glow flex items-center justify-center gap-2 rounded-lg bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2.5 font-medium text-white transition-colors hover:opacity-95 disabled:cursor-not-allowed disabled:opacity-50">
-                                    <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg>
-                                    Login as User
-                                </button>
+                        {import.meta.env.DEV && (
+                            <div className="glass-panel interactive-card mt-7 rounded-2xl border border-primary-100 bg-gradient-to-r from-primary-50 to-primary-50/50 p-4">
+                                <p className="mb-3 text-sm font-semibold text-primary-900">Quick Login:</p>
+                                <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                                    <button type="button" onClick={() => handleQuickLogin('admin')} disabled={isPending} className="btn-neo tap-bounce hover-glow flex items-center justify-center gap-2 rounded-lg px-4 py-2.5 font-medium disabled:cursor-not-allowed disabled:opacity-50">
+                                        <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" /></svg>
+                                        Login as Admin
+                                    </button>
+                                    <button type="button" onClick={() => handleQuickLogin('user')} disabled={isPending} className="tap-bounce hover-glow flex items-center justify-center gap-2 rounded-lg bg-gradient-to-r from-emerald-500 to-cyan-500 px-4 py-2.5 font-medium text-white transition-colors hover:opacity-95 disabled:cursor-not-allowed disabled:opacity-50">
+                                        <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg>
+                                        Login as User
+                                    </button>
+                                </div>
                             </div>
-                        </div>
+                        )}
+                    </>
                     )}
                 </section>
             </div>
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { AUTH_KEYS } from '@/hooks/queries';
+import authService from '@/services/authService';
+import { useAuthStore } from '@/store/authStore';
+import { useSiteSettings } from '@/context/useSiteSettings';
+import { resolveImageUrl } from '@/utils/imageUrl';
+import notify from '@/utils/notify';
+
+// Where the API sends the browser after a social sign-in. The session cookies
+// are already set, so a successful sign-in only has to load the user.
+const OAuthCallbackPage = () => {
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+    const { settings } = useSiteSettings();
+    const [searchParams] = useSearchParams();
+    const [error, setError] = useState(searchParams.get('error') || '');
+    const started = useRef(false);
+
+    const siteName = String(settings?.siteName || 'Enterprise E-Commerce').trim();
+    const logoUrl = resolveImageUrl(settings?.logo, { placeholder: null });
+
+    useEffect(() => {
+        if (error || started.current) return;
+        started.current = true;
+
+        const returnTo = searchParams.get('returnTo') || '';
+        // The provider vouched for the user, but the account still needs its
+        // second factor; the login page asks for it.
+        if (searchParams.get('twoFactor')) {
+            authService.getOAuthChallenge()
+                .then((twoFactor) => navigate('/login', { replace: true, state: { twoFactor, returnTo } }))
+                .catch(() => setError('Your sign-in expired. Please sign in again.'));
+            return;
+        }
+
+        authService.getCurrentUser()
+            .then(() => {
+                queryClient.invalidateQueries({ queryKey: AUTH_KEYS.me });
+                window.dispatchEvent(new Event('cart:changed'));
+                if (searchParams.get('cartAdjusted')) {
+                    notify.info('Some items in your cart were updated to match available stock.');
+                }
+                const isStaff = useAuthStore.getState().isStaff();
+                navigate(isStaff ? '/admin' : (returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/account'), { replace: true });
+            })
+            .catch(() => setError('We could not complete your sign-in. Please try again.'));
+    }, [error, navigate, queryClient, searchParams]);
+
+    return (
+        <div className="relative min-h-screen overflow-hidden bg-slate-950 p-4">
+            <div className="absolute -left-10 top-10 h-56 w-56 rounded-full bg-primary-500/20 blur-3xl" />
+            <div className="absolute -right-10 bottom-10 h-56 w-56 rounded-full bg-accent-500/20 blur-3xl" />
+            <div className="mx-auto flex min-h-screen w-full max-w-5xl items-center justify-center py-8">
+                <div className="w-full max-w-md rounded-2xl border border-white/10 bg-white/95 p-8 shadow-2xl backdrop-blur">
+                    <div className="mb-6 text-center">
+                        {logoUrl && <img src={logoUrl} alt={siteName} className="mx-auto mb-3 h-10 w-10 rounded-lg object-cover" />}
+                        <h1 className="mb-1 text-3xl font-bold text-slate-900">{error ? 'Sign-in failed' : 'Signing you in'}</h1>
+                    </div>
+
+                    {error ? (
+                        <div className="rounded-lg border border-red-200 bg-red-50 p-4">
+                            <p className="mb-2 text-sm font-semibold text-red-700">{error}</p>
+                            <Link to="/login" className="inline-flex items-center text-sm font-medium text-red-700 underline hover:text-red-800">Back to Sign In →</Link>
+                        </div>
+                    ) : (
+                        <div className="flex items-center justify-center gap-3 py-6 text-sm text-slate-600">
+                            <div className="h-5 w-5 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+                            Finishing sign-in...
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default OAuthCallbackPage;
@@ -4,7 +4,7 @@ import { useForm } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { useRegister } from '@/hooks/queries';
-import { ErrorAlert, FieldError } from '@/components/common';
+import { ErrorAlert, FieldError, OAuthButtons } from '@/components/common';
 import { processApiError, getFieldClasses, getFieldError } from '@/utils/errorUtils';
 import { useSiteSettings } from '@/context/useSiteSettings';
 import { resolveImageUrl } from '@/utils/imageUrl';
@@ -40,7 +40,7 @@ const RegisterPage = () => {
         setSuccessMessage('');
         registerUser({ name: data.name, email: data.email, password: data.password.trim(), confirmPassword: data.confirmPassword.trim() }, {
             onSuccess: () => {
-                setSuccessMessage('You are successfully registered! Now you can login.');
+                setSuccessMessage(`You are successfully registered! We sent a verification link to ${data.email}.`);
                 reset();
             },
             onError: (err) => {
@@ -118,6 +118,8 @@ const RegisterPage = () => {
                         </button>
                     </form>
 
+                    <OAuthButtons className="mt-6" />
+
                     <div className="mt-6 text-center">
                         <p className="text-slate-600">Already have an account?{' '}<Link to="/login" className="font-semibold text-primary-600 hover:text-primary-700">Sign in</Link></p>
                     </div>
@@ -0,0 +1,125 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useResendVerification, useVerifyEmail } from '@/hooks/queries';
+import { ErrorAlert } from '@/components/common';
+import { processApiError } from '@/utils/errorUtils';
+import { useSiteSettings } from '@/context/useSiteSettings';
+import { useAuthStore } from '@/store/authStore';
+import { resolveImageUrl } from '@/utils/imageUrl';
+
+const VerifyEmailPage = () => {
+    const { settings } = useSiteSettings();
+    const [searchParams] = useSearchParams();
+    const token = useMemo(() => (searchParams.get('token') || '').trim(), [searchParams]);
+    const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+
+    const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+    const [error, setError] = useState(token ? [] : ['This verification link is missing its token.']);
+    const [email, setEmail] = useState('');
+    const [resendMessage, setResendMessage] = useState('');
+    const requested = useRef(false);
+
+    const siteName = String(settings?.siteName || 'Enterprise E-Commerce').trim();
+    const logoUrl = resolveImageUrl(settings?.logo, { placeholder: null });
+
+    const { mutate: verify } = useVerifyEmail();
+    const { mutate: resend, isPending: isResending } = useResendVerification();
+
+    // Links are single-use, so make sure StrictMode's double effect only submits once.
+    useEffect(() => {
+        if (!token || requested.current) return;
+        requested.current = true;
+        verify(token, {
+            onSuccess: () => setStatus('verified'),
+            onError: (err) => {
+                const { errorMessages, generalError } = processApiError(err);
+                setError(errorMessages.length > 0 ? errorMessages : [generalError]);
+                setStatus('failed');
+            },
+        });
+    }, [token, verify]);
+
+    const onResend = (event) => {
+        event.preventDefault();
+        setError([]);
+        setResendMessage('');
+        resend(isAuthenticated ? undefined : email, {
+            onSuccess: (response) => setResendMessage(response?.message || 'A new verification link is on its way.'),
+            onError: (err) => {
+                const { errorMessages, generalError } = processApiError(err);
+                setError(errorMessages.length > 0 ? errorMessages : [generalError]);
+            },
+        });
+    };
+
+    return (
+        <div className="relative min-h-screen overflow-hidden bg-slate-950 p-4">
+            <div className="absolute -left-10 top-10 h-56 w-56 rounded-full bg-primary-500/20 blur-3xl" />
+            <div className="absolute -right-10 bottom-10 h-56 w-56 rounded-full bg-accent-500/20 blur-3xl" />
+            <div className="mx-auto flex min-h-screen w-full max-w-5xl items-center justify-center py-8">
+                <div className="w-full max-w-md rounded-2xl border border-white/10 bg-white/95 p-8 shadow-2xl backdrop-blur">
+                    <div className="mb-6 text-center">
+                        {logoUrl && <img src={logoUrl} alt={siteName} className="mx-auto mb-3 h-10 w-10 rounded-lg object-cover" />}
+                        <div className="mb-3 inline-flex h-14 w-14 items-center justify-center rounded-full bg-primary-100">
+                            <svg className="h-7 w-7 text-primary-600" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" /></svg>
+                        </div>
+                        <h1 className="mb-1 text-3xl font-bold text-slate-900">Verify Email</h1>
+                        <p className="text-sm text-slate-500">Confirm the email address for your {siteName} account.</p>
+                    </div>
+
+                    {status === 'verifying' && (
+                        <div className="flex items-center justify-center gap-3 py-6 text-sm text-slate-600">
+                            <div className="h-5 w-5 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+                            Verifying your email...
+                        </div>
+                    )}
+
+                    {status === 'verified' && (
+                        <div className="mb-6 rounded-lg border border-green-200 bg-green-50 p-4">
+                            <p className="mb-2 text-sm font-semibold text-green-700">Your email address has been verified.</p>
+                            <Link to={isAuthenticated ? '/account' : '/login'} className="inline-flex items-center text-sm font-medium text-green-700 underline hover:text-green-800">
+                                {isAuthenticated ? 'Go to my account →' : 'Sign in →'}
+                            </Link>
+                        </div>
+                    )}
+
+                    {status === 'failed' && (
+                        <form onSubmit={onResend} className="space-y-5" noValidate>
+                            <ErrorAlert errors={error} onClose={() => setError([])} className="mb-1" />
+                            <p className="text-sm text-slate-600">Links expire after 24 hours and work once. Request a new one below.</p>
+
+                            {!isAuthenticated && (
+                                <div>
+                                    <label className="mb-2 block text-sm font-semibold text-slate-700">Email Address</label>
+                                    <input
+                                        type="email"
+                                        value={email}
+                                        onChange={(event) => setEmail(event.target.value)}
+                                        className="w-full rounded-xl border border-slate-300 px-4 py-3"
+                                        placeholder="you@example.com"
+                                        autoComplete="email"
+                                        required
+                                    />
+                                </div>
+                            )}
+
+                            {resendMessage && (
+                                <p className="rounded-lg border border-green-200 bg-green-50 p-3 text-sm text-green-700">{resendMessage}</p>
+                            )}
+
+                            <button type="submit" disabled={isResending || (!isAuthenticated && !email.trim())} className="w-full rounded-xl bg-gradient-to-r from-primary-600 to-primary-500 py-3 font-semibold text-white transition hover:opacity-95 disabled:cursor-not-allowed disabled:opacity-50">
+                                {isResending ? 'Sending...' : 'Send a new link'}
+                            </button>
+                        </form>
+                    )}
+
+                    <div className="mt-6 text-center">
+                        <p className="text-sm text-slate-600">Back to{' '}<Link to="/" className="font-semibold text-primary-600 hover:text-primary-700">the store</Link></p>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmailPage;
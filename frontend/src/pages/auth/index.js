@@ -2,14 +2,22 @@ export * from './ForgotPasswordPage.jsx';
 
 export * from './LoginPage.jsx';
 
+export * from './OAuthCallbackPage.jsx';
+
 export * from './RegisterPage.jsx';
 
 export * from './ResetPasswordPage.jsx';
 
+export * from './VerifyEmailPage.jsx';
+
 export { default as ForgotPasswordPage } from './ForgotPasswordPage.jsx';
 
 export { default as LoginPage } from './LoginPage.jsx';
 
+export { default as OAuthCallbackPage } from './OAuthCallbackPage.jsx';
+
 export { default as RegisterPage } from './RegisterPage.jsx';
 
 export { default as ResetPasswordPage } from './ResetPasswordPage.jsx';
+
+export { default as VerifyEmailPage } from './VerifyEmailPage.jsx';
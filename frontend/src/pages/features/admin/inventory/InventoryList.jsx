@@ -0,0 +1 @@
+export { default } from "@pages/admin/inventory/InventoryList.jsx";
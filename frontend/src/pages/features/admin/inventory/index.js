@@ -0,0 +1,2 @@
+export { default as InventoryList } from './InventoryList.jsx';
+export { default as StockDemandReport } from './StockDemandReport.jsx';
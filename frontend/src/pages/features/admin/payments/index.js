@@ -0,0 +1 @@
+export { default as WebhookEventsList } from './WebhookEventsList.jsx';
@@ -0,0 +1 @@
+export { default as ReturnsList } from './ReturnsList.jsx';
@@ -0,0 +1 @@
+export { default } from "@pages/admin/settings/EmailTemplatesPage.jsx";
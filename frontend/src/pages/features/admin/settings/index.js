@@ -1,2 +1,3 @@
 export { default as SettingsPage } from './SettingsPage.jsx';
 export { default as ImageSettingsPage } from './ImageSettingsPage.jsx';
+export { default as EmailTemplatesPage } from './EmailTemplatesPage.jsx';
@@ -0,0 +1,2 @@
+export { default as ShippingMethodsList } from './ShippingMethodsList.jsx';
+export { default as ShippingMethodForm } from './ShippingMethodForm.jsx';
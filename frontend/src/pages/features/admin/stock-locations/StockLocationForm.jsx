@@ -0,0 +1 @@
+export { default } from "@pages/admin/stock-locations/StockLocationForm.jsx";
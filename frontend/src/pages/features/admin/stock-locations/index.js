@@ -0,0 +1,2 @@
+export { default as StockLocationsList } from './StockLocationsList.jsx';
+export { default as StockLocationForm } from './StockLocationForm.jsx';
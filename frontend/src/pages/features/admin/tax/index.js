@@ -0,0 +1,2 @@
+export { default as TaxRatesList } from './TaxRatesList.jsx';
+export { default as TaxRateForm } from './TaxRateForm.jsx';
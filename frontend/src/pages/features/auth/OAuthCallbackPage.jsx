@@ -0,0 +1 @@
+export { default } from "@pages/auth/OAuthCallbackPage.jsx";
@@ -0,0 +1 @@
+export { default } from "@pages/auth/VerifyEmailPage.jsx";
@@ -2,3 +2,5 @@ export { default as LoginPage } from './LoginPage.jsx';
 export { default as RegisterPage } from './RegisterPage.jsx';
 export { default as ForgotPasswordPage } from './ForgotPasswordPage.jsx';
 export { default as ResetPasswordPage } from './ResetPasswordPage.jsx';
+export { default as VerifyEmailPage } from './VerifyEmailPage.jsx';
+export { default as OAuthCallbackPage } from './OAuthCallbackPage.jsx';
@@ -9,7 +9,13 @@ export * from "./admin/banners/index.js";
 export * from "./admin/brands/index.js";
 export * from "./admin/discounts/index.js";
 export * from "./admin/coupons/index.js";
+export * from "./admin/shipping/index.js";
+export * from "./admin/tax/index.js";
 export * from "./admin/reviews/index.js";
 export * from "./admin/settings/index.js";
 export * from "./admin/variants/index.js";
 export * from "./admin/orders/index.js";
+export * from "./admin/returns/index.js";
+export * from "./admin/payments/index.js";
+export * from "./admin/inventory/index.js";
+export * from "./admin/stock-locations/index.js";
@@ -4,5 +4,6 @@ export { default as ProductDetailPage } from './ProductDetailPage.jsx';
 export { default as CategoryPage } from './CategoryPage.jsx';
 export { default as CartPage } from './CartPage.jsx';
 export { default as CheckoutPage } from './CheckoutPage.jsx';
+export { default as OrderConfirmationPage } from './OrderConfirmationPage.jsx';
 export { default as WishlistPage } from './WishlistPage.jsx';
 export { default as NotFound } from './NotFound.jsx';
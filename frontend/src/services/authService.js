@@ -123,6 +123,127 @@ class AuthService {
     return response.data;
   }
 
+  async verifyEmail(token) {
+    if (!token) throw new Error("Verification token is required");
+
+    const response = await apiClient.post(`${AUTH}/verify-email`, { token });
+    const verified = extractUser(response);
+    const current = useAuthStore.getState().user;
+    if (verified && current && String(current._id) === String(verified._id)) {
+      useAuthStore.getState().setUser({ ...current, emailVerified: true });
+    }
+    return response.data;
+  }
+
+  // Signed-in users resend to their own address; `email` is for signed-out ones.
+  async resendVerification(email) {
+    const trimmedEmail = email?.trim();
+    const response = await apiClient.post(
+      `${AUTH}/resend-verification`,
+      trimmedEmail ? { email: trimmedEmail } : {},
+    );
+    return response.data;
+  }
+
+  async getSessions() {
+    const response = await apiClient.get(`${AUTH}/sessions`);
+    return response.data?.data?.sessions ?? [];
+  }
+
+  async getLoginHistory({ page = 1, limit = 10 } = {}) {
+    const response = await apiClient.get(`${AUTH}/login-history`, {
+      params: { page, limit },
+    });
+    return response.data?.data;
+  }
+
+  // Revoking the session this browser is using signs it out as well.
+  async revokeSession(sessionId, { current = false } = {}) {
+    const response = await apiClient.delete(
+      `${AUTH}/sessions/${encodeURIComponent(sessionId)}`,
+    );
+    if (current) useAuthStore.getState().clearUser();
+    return response.data;
+  }
+
+  async revokeAllSessions({ keepCurrent = false } = {}) {
+    const response = await apiClient.delete(`${AUTH}/sessions`, {
+      params: keepCurrent ? { keepCurrent: "true" } : undefined,
+    });
+    if (!keepCurrent) useAuthStore.getState().clearUser();
+    return response.data;
+  }
+
+  // Second sign-in step when the password alone was not enough.
+  async completeTwoFactorLogin(challengeToken, { code, recoveryCode } = {}) {
+    const response = await apiClient.post(`${AUTH}/2fa/login`, {
+      challengeToken,
+      ...(recoveryCode ? { recoveryCode: recoveryCode.trim() } : { code }),
+    });
+    const user = extractUser(response);
+    if (user) useAuthStore.getState().setUser(user);
+    return response.data;
+  }
+
+  async beginTwoFactorLoginSetup(challengeToken) {
+    const response = await apiClient.post(`${AUTH}/2fa/login/setup`, {
+      challengeToken,
+    });
+    return response.data?.data;
+  }
+
+  async getTwoFactorStatus() {
+    const response = await apiClient.get(`${AUTH}/2fa`);
+    return response.data?.data?.twoFactor ?? null;
+  }
+
+  async setupTwoFactor() {
+    const response = await apiClient.post(`${AUTH}/2fa/setup`);
+    return response.data?.data;
+  }
+
+  async enableTwoFactor(code) {
+    const response = await apiClient.post(`${AUTH}/2fa/enable`, { code });
+    return response.data?.data;
+  }
+
+  async disableTwoFactor({ code, recoveryCode } = {}) {
+    const response = await apiClient.post(`${AUTH}/2fa/disable`, {
+      code,
+      recoveryCode,
+    });
+    return response.data;
+  }
+
+  async regenerateRecoveryCodes({ code, recoveryCode } = {}) {
+    const response = await apiClient.post(`${AUTH}/2fa/recovery-codes`, {
+      code,
+      recoveryCode,
+    });
+    return response.data?.data;
+  }
+
+  async getOAuthProviders() {
+    const response = await apiClient.get(`${AUTH}/oauth/providers`);
+    return response.data?.data?.providers ?? [];
+  }
+
+  // Sign-in with a provider is a full-page redirect through the API.
+  getOAuthUrl(provider, { rememberMe = false, returnTo } = {}) {
+    const params = new URLSearchParams();
+    if (rememberMe) params.set("rememberMe", "true");
+    if (returnTo) params.set("returnTo", returnTo);
+    const query = params.toString();
+    return `${API_CONFIG.BASE_URL}${AUTH}/oauth/${encodeURIComponent(provider)}${query ? `?${query}` : ""}`;
+  }
+
+  // A provider sign-in that still needs a code leaves its challenge in an
+  // httpOnly cookie; this trades it for the token, once.
+  async getOAuthChallenge() {
+    const response = await apiClient.post(`${AUTH}/oauth/challenge`);
+    return response.data?.data?.twoFactor;
+  }
+
   // ─── Synchronous getters — read from Zustand store ───────────────────────
   getUser() {
     return useAuthStore.getState().user;
@@ -140,6 +261,14 @@ class AuthService {
     return useAuthStore.getState().user?.role === role;
   }
 
+  isStaff() {
+    return useAuthStore.getState().isStaff();
+  }
+
+  can(permission) {
+    return useAuthStore.getState().can(permission);
+  }
+
   // Keep for backward compatibility — no-op now that Zustand handles state
   reset() {
     useAuthStore.getState().clearUser();
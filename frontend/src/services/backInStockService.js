@@ -0,0 +1,20 @@
+import { apiClient } from './apiClient.js';
+import { API_CONFIG } from '../constants';
+
+class BackInStockService {
+    async subscribe({ productId, variantId = null, email }) {
+        return apiClient.post(API_CONFIG.ENDPOINTS.BACK_IN_STOCK, {
+            productId,
+            variantId,
+            ...(email ? { email } : {}),
+        });
+    }
+
+    async getDemandReport(params = {}) {
+        const query = params.limit ? `?limit=${params.limit}` : '';
+        return apiClient.get(`${API_CONFIG.ENDPOINTS.BACK_IN_STOCK}/demand${query}`);
+    }
+}
+
+export const backInStockService = new BackInStockService();
+export default backInStockService;
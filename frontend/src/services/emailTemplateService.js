@@ -0,0 +1,34 @@
+import { apiClient } from './apiClient.js';
+import { API_CONFIG } from '../constants';
+
+const BASE = API_CONFIG.ENDPOINTS.EMAIL_TEMPLATES;
+
+class EmailTemplateService {
+    async getTemplates() {
+        return apiClient.get(BASE);
+    }
+
+    async getTemplate(key) {
+        return apiClient.get(`${BASE}/${key}`);
+    }
+
+    async updateTemplate(key, { subject, html, text = '' }) {
+        return apiClient.put(`${BASE}/${key}`, { subject, html, text });
+    }
+
+    async resetTemplate(key) {
+        return apiClient.delete(`${BASE}/${key}`);
+    }
+
+    // `draft` may hold unsaved subject/html/text and an `orderId` to render against.
+    async previewTemplate(key, draft = {}) {
+        return apiClient.post(`${BASE}/${key}/preview`, draft);
+    }
+
+    async sendTestEmail(key, { to, ...draft }) {
+        return apiClient.post(`${BASE}/${key}/test`, { to, ...draft });
+    }
+}
+
+export const emailTemplateService = new EmailTemplateService();
+export default emailTemplateService;
@@ -1,17 +1,22 @@
 export { default as apiClient } from "./apiClient.js";
 export { default as authService } from "./authService.js";
+export { default as backInStockService } from "./backInStockService.js";
 export { default as bannerService } from "./bannerService.js";
 export { default as brandService } from "./brandService.js";
 export { default as cartService } from "./cartService.js";
 export { default as categoryService } from "./categoryService.js";
 export { default as couponService } from "./couponService.js";
 export { default as discountService } from "./discountService.js";
+export { default as emailTemplateService } from "./emailTemplateService.js";
 export { default as imageService } from "./imageService.js";
 export { default as orderService } from "./orderService.js";
 export { default as paymentService } from "./paymentService.js";
 export { default as productService } from "./productService.js";
 export { default as reviewService } from "./reviewService.js";
 export { default as settingsService } from "./settingsService.js";
+export { default as shippingService } from "./shippingService.js";
+export { default as stockLocationService } from "./stockLocationService.js";
+export { default as taxService } from "./taxService.js";
 export { default as userService } from "./userService.js";
 export { default as variantService } from "./variantService.js";
 export { default as wishlistService } from "./wishlistService.js";
@@ -9,6 +9,11 @@ const orderService = {
     return apiClient.get(`${BASE}${qs ? `?${qs}` : ""}`);
   },
 
+  getAdminAll(params = {}) {
+    const qs = new URLSearchParams(params).toString();
+    return apiClient.get(`${BASE}/admin/all${qs ? `?${qs}` : ""}`);
+  },
+
   getById(id) {
     return apiClient.get(`${BASE}/${id}`);
   },
@@ -6,20 +6,46 @@ class PaymentService {
     const response = await apiClient.get(
       `${API_CONFIG.ENDPOINTS.PAYMENTS}/config`,
     );
-    return response?.data;
+    return response?.data?.data ?? response?.data;
   }
 
-  async createPaymentIntent(idempotencyKey = "") {
+  async createPaymentIntent(
+    idempotencyKey = "",
+    { couponCode = "", shippingMethodId = "", country = "", state = "" } = {},
+  ) {
     const headers = {};
     if (idempotencyKey) {
       headers["X-Idempotency-Key"] = idempotencyKey;
     }
     const response = await apiClient.post(
       `${API_CONFIG.ENDPOINTS.PAYMENTS}/create-intent`,
-      {},
+      {
+        ...(couponCode && { couponCode }),
+        ...(shippingMethodId && { shippingMethodId }),
+        ...(country && { country }),
+        ...(state && { state }),
+      },
       { headers },
     );
-    return response?.data;
+    return response?.data?.data ?? response?.data;
+  }
+
+  async getCheckoutSummary({
+    couponCode = "",
+    shippingMethodId = "",
+    country = "",
+    state = "",
+  } = {}) {
+    const response = await apiClient.post(
+      `${API_CONFIG.ENDPOINTS.PAYMENTS}/summary`,
+      {
+        ...(couponCode && { couponCode }),
+        ...(shippingMethodId && { shippingMethodId }),
+        ...(country && { country }),
+        ...(state && { state }),
+      },
+    );
+    return response?.data?.data ?? response?.data;
   }
 }
 
@@ -0,0 +1,45 @@
+import { apiClient } from './apiClient.js';
+import { API_CONFIG } from '../constants';
+
+class ShippingService {
+    async getShippingMethods(params = {}) {
+        const queryParams = new URLSearchParams();
+
+        if (params.page) queryParams.append('page', params.page);
+        if (params.limit) queryParams.append('limit', params.limit);
+        if (params.search) queryParams.append('search', params.search);
+        if (params.status) queryParams.append('status', params.status);
+
+        const query = queryParams.toString();
+        return apiClient.get(`${API_CONFIG.ENDPOINTS.SHIPPING}${query ? `?${query}` : ''}`);
+    }
+
+    async getShippingMethodById(id) {
+        return apiClient.get(`${API_CONFIG.ENDPOINTS.SHIPPING}/${id}`);
+    }
+
+    async createShippingMethod(payload) {
+        return apiClient.post(API_CONFIG.ENDPOINTS.SHIPPING, payload);
+    }
+
+    async updateShippingMethod(id, payload) {
+        return apiClient.put(`${API_CONFIG.ENDPOINTS.SHIPPING}/${id}`, payload);
+    }
+
+    async deleteShippingMethod(id) {
+        return apiClient.delete(`${API_CONFIG.ENDPOINTS.SHIPPING}/${id}`);
+    }
+
+    async getShippingOptions({ country, state } = {}) {
+        const queryParams = new URLSearchParams();
+        if (country) queryParams.append('country', country);
+        if (state) queryParams.append('state', state);
+
+        const query = queryParams.toString();
+        const response = await apiClient.get(`${API_CONFIG.ENDPOINTS.SHIPPING}/options${query ? `?${query}` : ''}`);
+        return response?.data?.data ?? response?.data ?? [];
+    }
+}
+
+export const shippingService = new ShippingService();
+export default shippingService;
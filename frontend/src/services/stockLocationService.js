@@ -0,0 +1,35 @@
+import { apiClient } from './apiClient.js';
+import { API_CONFIG } from '../constants';
+
+class StockLocationService {
+    async getStockLocations(params = {}) {
+        const queryParams = new URLSearchParams();
+
+        if (params.page) queryParams.append('page', params.page);
+        if (params.limit) queryParams.append('limit', params.limit);
+        if (params.search) queryParams.append('search', params.search);
+        if (params.status) queryParams.append('status', params.status);
+
+        const query = queryParams.toString();
+        return apiClient.get(`${API_CONFIG.ENDPOINTS.STOCK_LOCATIONS}${query ? `?${query}` : ''}`);
+    }
+
+    async getStockLocationById(id) {
+        return apiClient.get(`${API_CONFIG.ENDPOINTS.STOCK_LOCATIONS}/${id}`);
+    }
+
+    async createStockLocation(payload) {
+        return apiClient.post(API_CONFIG.ENDPOINTS.STOCK_LOCATIONS, payload);
+    }
+
+    async updateStockLocation(id, payload) {
+        return apiClient.put(`${API_CONFIG.ENDPOINTS.STOCK_LOCATIONS}/${id}`, payload);
+    }
+
+    async deleteStockLocation(id) {
+        return apiClient.delete(`${API_CONFIG.ENDPOINTS.STOCK_LOCATIONS}/${id}`);
+    }
+}
+
+export const stockLocationService = new StockLocationService();
+export default stockLocationService;
@@ -0,0 +1,36 @@
+import { apiClient } from './apiClient.js';
+import { API_CONFIG } from '../constants';
+
+class TaxService {
+    async getTaxRates(params = {}) {
+        const queryParams = new URLSearchParams();
+
+        if (params.page) queryParams.append('page', params.page);
+        if (params.limit) queryParams.append('limit', params.limit);
+        if (params.search) queryParams.append('search', params.search);
+        if (params.status) queryParams.append('status', params.status);
+        if (params.country) queryParams.append('country', params.country);
+
+        const query = queryParams.toString();
+        return apiClient.get(`${API_CONFIG.ENDPOINTS.TAX_RATES}${query ? `?${query}` : ''}`);
+    }
+
+    async getTaxRateById(id) {
+        return apiClient.get(`${API_CONFIG.ENDPOINTS.TAX_RATES}/${id}`);
+    }
+
+    async createTaxRate(payload) {
+        return apiClient.post(API_CONFIG.ENDPOINTS.TAX_RATES, payload);
+    }
+
+    async updateTaxRate(id, payload) {
+        return apiClient.put(`${API_CONFIG.ENDPOINTS.TAX_RATES}/${id}`, payload);
+    }
+
+    async deleteTaxRate(id) {
+        return apiClient.delete(`${API_CONFIG.ENDPOINTS.TAX_RATES}/${id}`);
+    }
+}
+
+export const taxService = new TaxService();
+export default taxService;
@@ -13,6 +13,12 @@ export const useAuthStore = create(
 
       isAdmin: () => get().user?.role === "admin",
 
+      // Staff are any users with at least one admin-panel permission.
+      isStaff: () => (get().user?.permissions?.length ?? 0) > 0,
+
+      can: (permission) =>
+        Boolean(get().user?.permissions?.includes(permission)),
+
       isCustomer: () => ["user", "customer"].includes(get().user?.role),
     }),
     {
@@ -78,8 +78,9 @@ const normalizeVariantPricing = (variant) => {
   const finalPrice =
     explicitFinalPrice || calculateDiscountPrice(basePrice, discount);
   const normalizedBasePrice = Math.max(basePrice, finalPrice);
+  // Server-resolved prices may include a campaign, so derive the percentage.
   const effectiveDiscount =
-    discount > 0
+    discount > 0 && !explicitFinalPrice
       ? discount
       : normalizedBasePrice > 0
         ? Math.round(
@@ -196,7 +197,7 @@ export const getProductDisplayPricing = (product, options = {}) => {
     explicitFinalPrice || calculateDiscountPrice(basePrice, discount);
   const normalizedBasePrice = Math.max(basePrice, finalPrice);
   const effectiveDiscount =
-    discount > 0
+    discount > 0 && !explicitFinalPrice
       ? discount
       : normalizedBasePrice > 0
         ? Math.round(
@@ -22,9 +22,13 @@ export const ORDER_STATUS = {
 
 export const PAYMENT_STATUS = {
   PENDING: "pending",
+  UNPAID: "unpaid",
   PAID: "paid",
   FAILED: "failed",
+  PARTIALLY_REFUNDED: "partially_refunded",
   REFUNDED: "refunded",
+  DISPUTED: "disputed",
+  CHARGED_BACK: "charged_back",
 };
 
 export const USER_ROLES = {